@@ -0,0 +1,293 @@
+/**
+ * ============================================================================
+ * LOGIN GUARD CLASS
+ * ============================================================================
+ *
+ * Brute-force protection for password logins. Failed attempts are counted
+ * per email address (whether or not it is registered, so responses do not
+ * reveal which emails exist) and per client IP:
+ *
+ *   - LOGIN_MAX_ATTEMPTS failures for an email within
+ *     LOGIN_ATTEMPT_WINDOW_MINUTES lock that email
+ *   - LOGIN_IP_MAX_ATTEMPTS failures from an IP lock that IP
+ *   - the first lockout lasts LOGIN_LOCKOUT_MINUTES and every further one
+ *     twice as long as the last, up to LOGIN_LOCKOUT_MAX_MINUTES
+ *
+ * A successful login clears the email's counters; IP counters only decay.
+ * Admins can lift a lock early with unlock().
+ *
+ * Requests that email a sign-in or password reset link, and donor sign-ups
+ * (which always email the address), are throttled the same way with their
+ * own counters (LOGIN_MAIL_MAX_REQUESTS per email, LOGIN_MAIL_IP_MAX_REQUESTS
+ * per IP), so they cannot be used to flood an inbox and never lock anyone
+ * out of password login.
+ *
+ * Every decision is written to the auth event log (AuthEvent).
+ *
+ * @class LoginGuard
+ * @requires models/LoginThrottle
+ * @requires models/AuthEvent
+ */
+
+const LoginThrottle = require('../models/LoginThrottle');
+const AuthEvent = require('../models/AuthEvent');
+
+const MINUTE = 60 * 1000;
+
+class LoginGuard {
+  static MAX_ATTEMPTS = Number(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+
+  static IP_MAX_ATTEMPTS = Number(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20;
+
+  static WINDOW_MINUTES = Number(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15;
+
+  static LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+
+  static LOCKOUT_MAX_MINUTES = Number(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 24 * 60;
+
+  static MAIL_MAX_REQUESTS = Number(process.env.LOGIN_MAIL_MAX_REQUESTS) || 3;
+
+  static MAIL_IP_MAX_REQUESTS = Number(process.env.LOGIN_MAIL_IP_MAX_REQUESTS) || 10;
+
+  /**
+   * Throttle records are dropped after this long without failures, which
+   * also resets the progressive lockout
+   */
+  static RETENTION_MINUTES = 7 * 24 * 60;
+
+  /**
+   * Throttle key; `kind` is login (failed logins) or mail (link requests)
+   */
+  static keyFor(scope, value, kind = 'login') {
+    return kind === 'login' ? `${scope}:${value}` : `${kind}:${scope}:${value}`;
+  }
+
+  static normaliseEmail(email) {
+    return String(email).trim().toLowerCase();
+  }
+
+  /**
+   * Length of the next lockout after `lockouts` earlier ones
+   */
+  static lockoutMinutes(lockouts) {
+    return Math.min(LoginGuard.LOCKOUT_MINUTES * 2 ** lockouts, LoginGuard.LOCKOUT_MAX_MINUTES);
+  }
+
+  /**
+   * Whether the email or IP is locked right now
+   *
+   * @param {string} email - Attempted email
+   * @param {string} ip - Client IP
+   * @param {string} kind - login | mail
+   * @returns {Object|null} { scope, lockedUntil, retryAfter (seconds) } or null
+   */
+  static async check(email, ip, kind = 'login') {
+    const keys = [LoginGuard.keyFor('email', LoginGuard.normaliseEmail(email), kind)];
+    if (ip) keys.push(LoginGuard.keyFor('ip', ip, kind));
+
+    const now = new Date();
+    const locks = await LoginThrottle.find({ key: { $in: keys }, lockedUntil: { $gt: now } })
+      .sort('-lockedUntil')
+      .lean();
+
+    if (locks.length === 0) return null;
+
+    const [lock] = locks;
+    return {
+      scope: lock.scope,
+      lockedUntil: lock.lockedUntil,
+      retryAfter: Math.ceil((lock.lockedUntil - now) / 1000)
+    };
+  }
+
+  /**
+   * Count a failure (or link request) against one key and lock it when it
+   * reaches `max`
+   *
+   * @returns {Object|null} The new lock ({ scope, value, lockedUntil, minutes }) or null
+   */
+  static async countFailure(scope, value, max, kind = 'login') {
+    const now = new Date();
+    const windowStart = new Date(now.getTime() - LoginGuard.WINDOW_MINUTES * MINUTE);
+
+    // Restart the count when the previous failure is outside the window
+    const record = await LoginThrottle.findOneAndUpdate(
+      { key: LoginGuard.keyFor(scope, value, kind) },
+      [{
+        $set: {
+          scope,
+          value,
+          failures: {
+            $cond: [
+              { $lt: ['$lastFailureAt', windowStart] },
+              1,
+              { $add: ['$failures', 1] }
+            ]
+          },
+          lockouts: { $ifNull: ['$lockouts', 0] },
+          lastFailureAt: now,
+          expiresAt: new Date(now.getTime() + LoginGuard.RETENTION_MINUTES * MINUTE)
+        }
+      }],
+      { upsert: true, new: true, updatePipeline: true }
+    ).lean();
+
+    if (record.failures < max) return null;
+
+    const minutes = LoginGuard.lockoutMinutes(record.lockouts);
+    const lockedUntil = new Date(now.getTime() + minutes * MINUTE);
+
+    // Only the request that crossed the threshold applies the lock
+    const locked = await LoginThrottle.updateOne(
+      { _id: record._id, failures: record.failures },
+      { $set: { failures: 0, lockedUntil }, $inc: { lockouts: 1 } }
+    );
+
+    return locked.modifiedCount === 1 ? { scope, value, lockedUntil, minutes } : null;
+  }
+
+  /**
+   * Record a failed login for the email and the IP
+   *
+   * @param {string} email - Attempted email
+   * @param {Object} context - { ip, userAgent, account, accountModel, reason }
+   * @returns {Array} Locks applied by this failure
+   */
+  static async recordFailure(email, { ip = null, userAgent = null, account = null, accountModel = null, reason } = {}) {
+    const normalisedEmail = LoginGuard.normaliseEmail(email);
+
+    const locks = [await LoginGuard.countFailure('email', normalisedEmail, LoginGuard.MAX_ATTEMPTS)];
+    if (ip) locks.push(await LoginGuard.countFailure('ip', ip, LoginGuard.IP_MAX_ATTEMPTS));
+
+    const applied = locks.filter(Boolean);
+    const base = { email: normalisedEmail, account, accountModel, ip, userAgent };
+
+    await AuthEvent.insertMany([
+      { ...base, type: 'login_failure', reason },
+      ...applied.map(lock => ({
+        ...base,
+        type: 'lockout',
+        reason: `${lock.scope}_locked`,
+        details: { scope: lock.scope, lockedUntil: lock.lockedUntil, minutes: lock.minutes }
+      }))
+    ]);
+
+    return applied;
+  }
+
+  /**
+   * Record a login refused because of a lock
+   */
+  static async recordBlocked(email, lock, { ip = null, userAgent = null } = {}) {
+    await AuthEvent.create({
+      type: 'login_blocked',
+      email: LoginGuard.normaliseEmail(email),
+      reason: `${lock.scope}_locked`,
+      ip,
+      userAgent,
+      details: { lockedUntil: lock.lockedUntil }
+    });
+  }
+
+  /**
+   * Record a successful login and clear the email's failure count
+   */
+  static async recordSuccess(email, { ip = null, userAgent = null, account, accountModel } = {}) {
+    const normalisedEmail = LoginGuard.normaliseEmail(email);
+
+    await LoginThrottle.updateOne(
+      { key: LoginGuard.keyFor('email', normalisedEmail) },
+      { $set: { failures: 0, lockouts: 0, lockedUntil: null } }
+    );
+
+    await AuthEvent.create({
+      type: 'login_success',
+      email: normalisedEmail,
+      account,
+      accountModel,
+      ip,
+      userAgent
+    });
+  }
+
+  /**
+   * Count a request that emails a sign-in or password reset link, or refuse
+   * it while the email or IP is over its limit. Counted whether or not the
+   * email is registered, like failed logins.
+   *
+   * @param {string} email - Email the link was requested for
+   * @param {Object} context - { ip, userAgent, request: magic_link | password_reset | registration }
+   * @returns {Object|null} The lock refusing the request ({ scope, lockedUntil, retryAfter }), or null
+   */
+  static async throttleMailRequest(email, { ip = null, userAgent = null, request = null } = {}) {
+    const normalisedEmail = LoginGuard.normaliseEmail(email);
+
+    const lock = await LoginGuard.check(normalisedEmail, ip, 'mail');
+    if (lock) {
+      await AuthEvent.create({
+        type: 'mail_blocked',
+        email: normalisedEmail,
+        reason: `${lock.scope}_locked`,
+        ip,
+        userAgent,
+        details: { request, lockedUntil: lock.lockedUntil }
+      });
+      return lock;
+    }
+
+    await LoginGuard.countFailure('email', normalisedEmail, LoginGuard.MAIL_MAX_REQUESTS, 'mail');
+    if (ip) await LoginGuard.countFailure('ip', ip, LoginGuard.MAIL_IP_MAX_REQUESTS, 'mail');
+    return null;
+  }
+
+  /**
+   * Currently locked emails and IPs
+   *
+   * @param {Object} filter - { scope }
+   * @returns {Array} LoginThrottle records
+   */
+  static activeLocks({ scope } = {}) {
+    const query = { lockedUntil: { $gt: new Date() } };
+    if (scope) query.scope = scope;
+    return LoginThrottle.find(query).sort('-lockedUntil').lean();
+  }
+
+  /**
+   * Lift the login and link request locks on an email or IP and reset their
+   * lockout history
+   *
+   * @param {string} scope - email | ip
+   * @param {string} value - Email address or IP
+   * @param {Object} actor - { id, ip, userAgent } of the admin
+   * @returns {boolean} Whether a lock was lifted
+   */
+  static async unlock(scope, value, actor = {}) {
+    const normalised = scope === 'email' ? LoginGuard.normaliseEmail(value) : String(value).trim();
+
+    const keys = ['login', 'mail'].map(kind => LoginGuard.keyFor(scope, normalised, kind));
+    const records = await LoginThrottle.find({ key: { $in: keys }, lockedUntil: { $gt: new Date() } })
+      .sort('-lockedUntil')
+      .lean();
+
+    if (records.length === 0) return false;
+
+    await LoginThrottle.updateMany(
+      { _id: { $in: records.map(r => r._id) } },
+      { $set: { failures: 0, lockouts: 0, lockedUntil: null } }
+    );
+    const [record] = records;
+
+    await AuthEvent.create({
+      type: 'unlock',
+      email: scope === 'email' ? normalised : null,
+      ip: actor.ip || null,
+      userAgent: actor.userAgent || null,
+      actor: actor.id || null,
+      details: { scope, value: normalised, lockedUntil: record.lockedUntil }
+    });
+
+    return true;
+  }
+}
+
+module.exports = LoginGuard;
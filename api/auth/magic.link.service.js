@@ -0,0 +1,151 @@
+/**
+ * ============================================================================
+ * MAGIC LINK SERVICE CLASS
+ * ============================================================================
+ *
+ * Passwordless sign-in by email:
+ *
+ *   - request: emails a single-use sign-in link (valid for
+ *     MAGIC_LINK_TTL_MINUTES); any earlier unused link is superseded
+ *   - redeem: claims the token and returns the account, which then goes
+ *     through the rest of the login (two-factor, token issuance) in
+ *     IdentityService.continueLogin
+ *
+ * Used by donors, many of whom were recorded by staff and never chose a
+ * password. The emailed link opens FRONTEND_URL/magic-link, a page of the
+ * donor frontend that posts the token to /donors/magic-link/verify;
+ * FRONTEND_URL is required in production.
+ *
+ * @class MagicLinkService
+ * @requires auth/token.service
+ * @requires mail/mailer
+ * @requires models/MagicLinkToken
+ */
+
+const crypto = require('crypto');
+const TokenService = require('./token.service');
+const Mailer = require('../mail/mailer');
+const MagicLinkToken = require('../models/MagicLinkToken');
+
+class MagicLinkService {
+  /**
+   * Minutes a sign-in link stays valid
+   */
+  static TTL_MINUTES = Number(process.env.MAGIC_LINK_TTL_MINUTES) || 15;
+
+  /**
+   * Frontend the sign-in links open. Outside production it falls back to
+   * APP_URL so links can be copied from the console mail transport.
+   */
+  static frontendUrl() {
+    const url = process.env.FRONTEND_URL
+      || (process.env.NODE_ENV === 'production' ? null : process.env.APP_URL || 'http://localhost:3000');
+
+    if (!url) throw new Error('FRONTEND_URL must be set in production for magic link sign-in');
+    return url.replace(/\/$/, '');
+  }
+
+  /**
+   * Fail fast at startup when sign-in links would have nowhere to open
+   */
+  static assertConfigured() {
+    MagicLinkService.frontendUrl();
+  }
+
+  /**
+   * Link sent in the email
+   */
+  static link(role, token) {
+    return `${MagicLinkService.frontendUrl()}/magic-link?type=${encodeURIComponent(role)}&token=${encodeURIComponent(token)}`;
+  }
+
+  /**
+   * Email a sign-in link to the account with this address, if there is an
+   * active one. Callers should respond the same way either way so the
+   * endpoint does not reveal which emails are registered.
+   *
+   * @param {string} role - Token role
+   * @param {string} email - Address entered by the user
+   * @param {Object} meta - { ip }
+   * @returns {boolean} Whether an email was sent
+   */
+  static async request(role, email, { ip = null } = {}) {
+    const Model = TokenService.modelFor(role);
+    const accountModel = TokenService.ACCOUNT_MODELS[role];
+    const account = await Model.findOne({ email: String(email).trim().toLowerCase() })
+      .select('name firstName email isActive')
+      .lean();
+
+    if (!account || account.isActive === false) return false;
+
+    await MagicLinkToken.updateMany(
+      { account: account._id, accountModel, usedAt: null, supersededAt: null },
+      { $set: { supersededAt: new Date() } }
+    );
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    await MagicLinkToken.create({
+      account: account._id,
+      accountModel,
+      tokenHash: TokenService.hash(token),
+      expiresAt: new Date(Date.now() + MagicLinkService.TTL_MINUTES * 60 * 1000),
+      ip
+    });
+
+    const name = account.name || account.firstName;
+    await Mailer.send({
+      to: account.email,
+      subject: 'Your sign-in link',
+      text: [
+        name ? `Hello ${name},` : 'Hello,',
+        '',
+        'Use the link below to sign in:',
+        '',
+        MagicLinkService.link(role, token),
+        '',
+        `The link can be used once and expires in ${MagicLinkService.TTL_MINUTES} minutes.`,
+        'If you did not ask for this, you can ignore this email.'
+      ].join('\n')
+    });
+
+    return true;
+  }
+
+  /**
+   * Redeem a sign-in token
+   *
+   * @param {string} role - Token role
+   * @param {string} token - Raw token from the email
+   * @returns {Object} { success, account } or { success: false, status, error }
+   */
+  static async redeem(role, token) {
+    const accountModel = TokenService.ACCOUNT_MODELS[role];
+
+    // Claim the token; only one request can redeem it
+    const record = await MagicLinkToken.findOneAndUpdate(
+      {
+        tokenHash: TokenService.hash(String(token)),
+        accountModel,
+        usedAt: null,
+        supersededAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      { $set: { usedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!record) {
+      return { success: false, status: 400, error: 'Sign-in link is invalid, expired or already used' };
+    }
+
+    const account = await TokenService.modelFor(role).findById(record.account);
+
+    if (!account || account.isActive === false) {
+      return { success: false, status: 403, error: 'Account is deactivated or no longer exists' };
+    }
+
+    return { success: true, account };
+  }
+}
+
+module.exports = MagicLinkService;
@@ -0,0 +1,188 @@
+/**
+ * ============================================================================
+ * PASSWORD SERVICE CLASS
+ * ============================================================================
+ *
+ * Forgot/reset and change-password flows shared by every account type:
+ *
+ *   - requestReset: emails a single-use reset token (valid for
+ *     PASSWORD_RESET_TTL_MINUTES); any earlier unused token is superseded
+ *   - resetPassword: redeems the token and sets the new password
+ *   - changePassword: requires the current password
+ *
+ * Both ways of setting a password sign the account out everywhere
+ * (TokenService.revokeAll); changePassword hands back a fresh token pair.
+ * Hashing is left to each model's pre-save hook.
+ *
+ * @class PasswordService
+ * @requires auth/token.service
+ * @requires mail/mailer
+ * @requires models/PasswordResetToken
+ */
+
+const crypto = require('crypto');
+const TokenService = require('./token.service');
+const Mailer = require('../mail/mailer');
+const PasswordResetToken = require('../models/PasswordResetToken');
+
+class PasswordService {
+  /**
+   * Minutes a reset token stays valid
+   */
+  static RESET_TOKEN_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+  static MIN_LENGTH = 8;
+
+  /**
+   * Check a new password and its confirmation
+   *
+   * @returns {string|null} Error message, or null when acceptable
+   */
+  static validate(password, confirmPassword) {
+    if (!password || typeof password !== 'string') return 'New password is required';
+    if (password.length < PasswordService.MIN_LENGTH) {
+      return `Password must be at least ${PasswordService.MIN_LENGTH} characters long`;
+    }
+    if (confirmPassword !== undefined && password !== confirmPassword) return 'Passwords do not match';
+    return null;
+  }
+
+  /**
+   * Link sent in the reset email
+   */
+  static resetLink(role, token) {
+    const base = (process.env.APP_URL || 'http://localhost:3035').replace(/\/$/, '');
+    return `${base}/reset-password?type=${encodeURIComponent(role)}&token=${encodeURIComponent(token)}`;
+  }
+
+  /**
+   * Email a reset token to the account with this address, if there is an
+   * active one. Callers should respond the same way either way so the
+   * endpoint does not reveal which emails are registered.
+   *
+   * @param {string} role - Token role (agent, corporate_agent, project_owner, ...)
+   * @param {string} email - Address entered by the user
+   * @param {Object} meta - { ip }
+   * @returns {boolean} Whether an email was sent
+   */
+  static async requestReset(role, email, { ip = null } = {}) {
+    const Model = TokenService.modelFor(role);
+    const accountModel = TokenService.ACCOUNT_MODELS[role];
+    const account = await Model.findOne({ email: String(email).trim().toLowerCase() })
+      .select('name firstName email isActive')
+      .lean();
+
+    if (!account || account.isActive === false) return false;
+
+    await PasswordResetToken.updateMany(
+      { account: account._id, accountModel, usedAt: null, supersededAt: null },
+      { $set: { supersededAt: new Date() } }
+    );
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    await PasswordResetToken.create({
+      account: account._id,
+      accountModel,
+      tokenHash: TokenService.hash(token),
+      expiresAt: new Date(Date.now() + PasswordService.RESET_TOKEN_TTL_MINUTES * 60 * 1000),
+      ip
+    });
+
+    const name = account.name || account.firstName;
+    await Mailer.send({
+      to: account.email,
+      subject: 'Reset your password',
+      text: [
+        name ? `Hello ${name},` : 'Hello,',
+        '',
+        'We received a request to reset your password. Use the link below to choose a new one:',
+        '',
+        PasswordService.resetLink(role, token),
+        '',
+        `The link can be used once and expires in ${PasswordService.RESET_TOKEN_TTL_MINUTES} minutes.`,
+        'If you did not ask for this, you can ignore this email; your password has not changed.'
+      ].join('\n')
+    });
+
+    return true;
+  }
+
+  /**
+   * Redeem a reset token and set a new password
+   *
+   * @param {string} role - Token role
+   * @param {string} token - Raw token from the email
+   * @param {string} password - New password (already validated)
+   * @returns {Object} { success, error }
+   */
+  static async resetPassword(role, token, password) {
+    const accountModel = TokenService.ACCOUNT_MODELS[role];
+
+    // Claim the token; only one request can redeem it
+    const record = await PasswordResetToken.findOneAndUpdate(
+      {
+        tokenHash: TokenService.hash(String(token)),
+        accountModel,
+        usedAt: null,
+        supersededAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      { $set: { usedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!record) {
+      return { success: false, error: 'Reset token is invalid, expired or already used' };
+    }
+
+    const account = await TokenService.modelFor(role).findById(record.account).select('+password');
+
+    if (!account || account.isActive === false) {
+      return { success: false, error: 'Account is deactivated or no longer exists' };
+    }
+
+    account.password = password;
+    await account.save();
+    await TokenService.revokeAll(account._id, role, 'password_changed');
+
+    return { success: true };
+  }
+
+  /**
+   * Change a signed-in account's password
+   *
+   * @param {string} role - Token role
+   * @param {string} accountId - Account MongoDB ObjectId
+   * @param {string} currentPassword - Password the caller claims to have
+   * @param {string} password - New password (already validated)
+   * @param {Object} meta - { ip, userAgent } for the new session
+   * @returns {Object} { success, error, status, tokens }
+   */
+  static async changePassword(role, accountId, currentPassword, password, meta = {}) {
+    const account = await TokenService.modelFor(role).findById(accountId).select('+password');
+
+    if (!account) {
+      return { success: false, status: 404, error: 'Account not found' };
+    }
+
+    if (!currentPassword || !(await account.comparePassword(currentPassword))) {
+      return { success: false, status: 400, error: 'Current password is incorrect' };
+    }
+
+    if (await account.comparePassword(password)) {
+      return { success: false, status: 400, error: 'New password must be different from the current one' };
+    }
+
+    account.password = password;
+    await account.save();
+    await TokenService.revokeAll(account._id, role, 'password_changed');
+
+    // Sign the caller back in; every other session stays logged out
+    const fresh = await TokenService.modelFor(role).findById(accountId);
+    const { token, refreshToken, expiresIn, refreshTokenExpiresAt } = await TokenService.issueTokens(fresh, role, meta);
+
+    return { success: true, tokens: { token, refreshToken, expiresIn, refreshTokenExpiresAt } };
+  }
+}
+
+module.exports = PasswordService;
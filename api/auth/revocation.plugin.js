@@ -0,0 +1,59 @@
+/**
+ * ============================================================================
+ * TOKEN REVOCATION PLUGIN
+ * ============================================================================
+ *
+ * Mongoose plugin for account schemas. Adds `tokenVersion` and, whenever an
+ * account's isActive is set to false (document save or update query), bumps
+ * tokenVersion and revokes its refresh tokens, so a deactivated account is
+ * locked out at once rather than when its tokens expire.
+ *
+ * @param {Schema} schema - Account schema
+ * @param {Object} options - { modelName } as registered with mongoose.model()
+ */
+
+const mongoose = require('mongoose');
+
+const revokeRefreshTokens = (accountIds, accountModel) => mongoose.model('RefreshToken').updateMany(
+  { account: { $in: accountIds }, accountModel, revokedAt: null },
+  { $set: { revokedAt: new Date(), revokedReason: 'deactivated' } }
+);
+
+module.exports = function revocationPlugin(schema, { modelName }) {
+  schema.add({
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
+  });
+
+  schema.pre('save', function () {
+    if (!this.isNew && this.isModified('isActive') && this.isActive === false) {
+      this.tokenVersion = (this.tokenVersion || 0) + 1;
+      this.$locals.revokeTokens = true;
+    }
+  });
+
+  schema.post('save', async function () {
+    if (!this.$locals.revokeTokens) return;
+    this.$locals.revokeTokens = false;
+    await revokeRefreshTokens([this._id], modelName);
+  });
+
+  for (const op of ['findOneAndUpdate', 'updateOne', 'updateMany']) {
+    schema.pre(op, async function () {
+      const update = this.getUpdate() || {};
+      const isActive = update.$set?.isActive ?? update.isActive;
+      if (isActive !== false && isActive !== 'false') return;
+
+      this._deactivatedIds = await this.model.find(this.getFilter()).distinct('_id');
+      this.setUpdate({ ...update, $inc: { ...(update.$inc || {}), tokenVersion: 1 } });
+    });
+
+    schema.post(op, async function () {
+      if (this._deactivatedIds?.length) {
+        await revokeRefreshTokens(this._deactivatedIds, modelName);
+      }
+    });
+  }
+};
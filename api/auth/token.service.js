@@ -0,0 +1,331 @@
+/**
+ * ============================================================================
+ * TOKEN SERVICE CLASS
+ * ============================================================================
+ *
+ * Issues and revokes credentials for every account type:
+ *
+ *   - Access tokens: short-lived JWTs ({ id, role, adminRole, tv }). `tv` is
+ *     the account's tokenVersion; bumping it invalidates every access token
+ *     already issued to the account.
+ *   - Refresh tokens: opaque random strings stored hashed in RefreshToken.
+ *     Each use rotates the token; presenting a rotated token again revokes
+ *     its whole family (it has probably been stolen).
+ *   - Challenge tokens: short-lived JWTs carrying a `purpose`, issued between
+ *     the password and two-factor steps of a login. They are not access
+ *     tokens and are refused by verifyAccessToken.
+ *
+ * @class TokenService
+ * @requires jsonwebtoken
+ * @requires models/RefreshToken
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+
+// Register the account models looked up by name below
+require('../models/Agent');
+require('../models/CorporateAgent');
+require('../models/ProjectOwner');
+require('../models/Admin');
+require('../models/Donor');
+
+class TokenService {
+  /**
+   * Access token lifetime (jsonwebtoken format)
+   */
+  static ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '15m';
+
+  /**
+   * Refresh token lifetime in days
+   */
+  static REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+  /**
+   * Challenge token lifetime (jsonwebtoken format)
+   */
+  static CHALLENGE_TTL = '5m';
+
+  /**
+   * Account model behind each token role
+   */
+  static ACCOUNT_MODELS = {
+    agent: 'Agent',
+    corporate_agent: 'CorporateAgent',
+    project_owner: 'ProjectOwner',
+    admin: 'Admin',
+    donor: 'Donor'
+  };
+
+  /**
+   * Secret that signs access and challenge tokens. There is no default:
+   * a known secret lets anyone sign an admin token.
+   */
+  static secret() {
+    const secret = process.env.JWT_SECRET;
+    if (!secret) throw new Error('JWT_SECRET is not set; refusing to sign or verify tokens');
+    return secret;
+  }
+
+  /**
+   * Fail fast at startup when JWT_SECRET is missing
+   */
+  static assertConfigured() {
+    TokenService.secret();
+  }
+
+  static hash(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  static modelFor(role) {
+    const name = TokenService.ACCOUNT_MODELS[role];
+    return name ? mongoose.model(name) : null;
+  }
+
+  static roleFor(modelName) {
+    return Object.keys(TokenService.ACCOUNT_MODELS)
+      .find(role => TokenService.ACCOUNT_MODELS[role] === modelName);
+  }
+
+  /**
+   * Sign an access token for an account
+   *
+   * @param {Object} account - Account document (needs _id, tokenVersion; role for admins)
+   * @param {string} role - Token role
+   * @returns {string} JWT
+   */
+  static signAccessToken(account, role) {
+    const payload = { id: account._id, role, tv: account.tokenVersion || 0 };
+    if (role === 'admin') payload.adminRole = account.role;
+
+    return jwt.sign(payload, TokenService.secret(), { expiresIn: TokenService.ACCESS_TOKEN_TTL });
+  }
+
+  /**
+   * Sign a challenge token for the second step of a login
+   *
+   * @param {Object} account - Account document (needs _id, tokenVersion)
+   * @param {string} role - Token role
+   * @param {string} purpose - 'two_factor_login' or 'two_factor_setup'
+   * @returns {string} JWT
+   */
+  static signChallenge(account, role, purpose) {
+    const payload = { id: account._id, role, tv: account.tokenVersion || 0, purpose };
+    return jwt.sign(payload, TokenService.secret(), { expiresIn: TokenService.CHALLENGE_TTL });
+  }
+
+  /**
+   * Verify a challenge token issued for `purpose`
+   *
+   * @param {string} token - JWT
+   * @param {string} purpose - Purpose it must have been issued for
+   * @returns {Object} { success, error, message, payload }
+   */
+  static async verifyChallenge(token, purpose) {
+    let payload;
+    try {
+      payload = jwt.verify(String(token), TokenService.secret(), { algorithms: ['HS256'] });
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        return { success: false, error: 'Challenge expired', message: 'Log in again' };
+      }
+      return { success: false, error: 'Invalid challenge token', message: error.message };
+    }
+
+    if (payload.purpose !== purpose || !payload.id || !payload.role) {
+      return { success: false, error: 'Invalid challenge token', message: `Not a ${purpose} challenge` };
+    }
+
+    const Model = TokenService.modelFor(payload.role);
+    const account = Model
+      ? await Model.findById(payload.id).select('isActive tokenVersion').lean()
+      : null;
+
+    if (!account || account.isActive === false || (payload.tv || 0) !== (account.tokenVersion || 0)) {
+      return { success: false, error: 'Challenge revoked', message: 'Log in again' };
+    }
+
+    return { success: true, payload };
+  }
+
+  /**
+   * Issue an access token and a new refresh token
+   *
+   * @param {Object} account - Account document
+   * @param {string} role - Token role
+   * @param {Object} meta - { ip, userAgent, family } (family continues a rotation chain)
+   * @returns {Object} { token, refreshToken, expiresIn, refreshTokenExpiresAt }
+   */
+  static async issueTokens(account, role, { ip = null, userAgent = null, family = null } = {}) {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    const expiresAt = new Date(Date.now() + TokenService.REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+    const record = await RefreshToken.create({
+      account: account._id,
+      accountModel: TokenService.ACCOUNT_MODELS[role],
+      tokenHash: TokenService.hash(refreshToken),
+      family: family || crypto.randomUUID(),
+      expiresAt,
+      ip,
+      userAgent
+    });
+
+    return {
+      token: TokenService.signAccessToken(account, role),
+      refreshToken,
+      expiresIn: TokenService.ACCESS_TOKEN_TTL,
+      refreshTokenExpiresAt: expiresAt,
+      record
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new pair (rotation)
+   *
+   * @param {string} refreshToken - Token presented by the client
+   * @param {Object} meta - { ip, userAgent }
+   * @returns {Object} { success, error, ...tokens, account, role }
+   */
+  static async rotate(refreshToken, meta = {}) {
+    const record = await RefreshToken.findOne({ tokenHash: TokenService.hash(refreshToken) });
+
+    if (!record) {
+      return { success: false, error: 'Invalid refresh token' };
+    }
+
+    if (record.revokedAt) {
+      // A rotated token coming back means two parties hold the chain
+      if (record.revokedReason === 'rotated') {
+        await TokenService.revokeFamily(record.family, 'reuse_detected');
+      }
+      return { success: false, error: 'Refresh token has been revoked' };
+    }
+
+    if (record.expiresAt <= new Date()) {
+      return { success: false, error: 'Refresh token has expired' };
+    }
+
+    const role = TokenService.roleFor(record.accountModel);
+    const account = await mongoose.model(record.accountModel).findById(record.account);
+
+    if (!account || account.isActive === false) {
+      await TokenService.revokeFamily(record.family, 'deactivated');
+      return { success: false, error: 'Account is deactivated or no longer exists' };
+    }
+
+    // Claim the token; if another request rotated it first, this one loses
+    const claimed = await RefreshToken.findOneAndUpdate(
+      { _id: record._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'rotated' } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return { success: false, error: 'Refresh token has been revoked' };
+    }
+
+    const issued = await TokenService.issueTokens(account, role, { ...meta, family: record.family });
+    await RefreshToken.updateOne({ _id: record._id }, { replacedBy: issued.record._id });
+
+    return { success: true, ...issued, account, role };
+  }
+
+  /**
+   * Revoke the session a refresh token belongs to
+   *
+   * @param {string} refreshToken - Token presented by the client
+   * @returns {Object} { success, error, revoked }
+   */
+  static async revoke(refreshToken) {
+    const record = await RefreshToken.findOne({ tokenHash: TokenService.hash(refreshToken) }).lean();
+
+    if (!record) {
+      return { success: false, error: 'Invalid refresh token' };
+    }
+
+    const revoked = await TokenService.revokeFamily(record.family, 'logout');
+    return { success: true, revoked, account: record.account, accountModel: record.accountModel };
+  }
+
+  /**
+   * Revoke every live refresh token in a rotation chain
+   *
+   * @returns {number} Tokens revoked
+   */
+  static async revokeFamily(family, reason) {
+    const result = await RefreshToken.updateMany(
+      { family, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Sign an account out everywhere: revoke its refresh tokens and bump its
+   * tokenVersion so access tokens already issued stop working
+   *
+   * @param {string} accountId - Account MongoDB ObjectId
+   * @param {string} role - Token role
+   * @param {string} reason - 'logout_all', 'deactivated', 'password_changed' or 'two_factor_required'
+   * @returns {number} Refresh tokens revoked
+   */
+  static async revokeAll(accountId, role, reason = 'logout_all') {
+    const Model = TokenService.modelFor(role);
+    if (Model) await Model.updateOne({ _id: accountId }, { $inc: { tokenVersion: 1 } });
+
+    return TokenService.revokeRefreshTokens(accountId, TokenService.ACCOUNT_MODELS[role], reason);
+  }
+
+  /**
+   * Revoke every live refresh token of an account (tokenVersion untouched)
+   */
+  static async revokeRefreshTokens(accountId, accountModel, reason) {
+    const result = await RefreshToken.updateMany(
+      { account: accountId, accountModel, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Verify an access token and check it against the account's current state
+   *
+   * @param {string} token - JWT
+   * @returns {Object} { success, error, message, payload, account }
+   */
+  static async verifyAccessToken(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, TokenService.secret(), { algorithms: ['HS256'] });
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        return { success: false, error: 'Token expired', message: 'Refresh the token or log in again' };
+      }
+      return { success: false, error: 'Invalid token', message: error.message };
+    }
+
+    if (payload.purpose) {
+      return { success: false, error: 'Invalid token', message: 'Challenge tokens cannot be used as access tokens' };
+    }
+
+    if (!payload.id || !payload.role || (payload.role === 'admin' && !payload.adminRole)) {
+      return { success: false, error: 'Invalid token', message: 'Token is missing the id, role or adminRole claim' };
+    }
+
+    const Model = TokenService.modelFor(payload.role);
+    const account = Model
+      ? await Model.findById(payload.id).select('isActive tokenVersion role').lean()
+      : null;
+
+    if (!account || account.isActive === false || (payload.tv || 0) !== (account.tokenVersion || 0)) {
+      return { success: false, error: 'Token revoked', message: 'Log in again' };
+    }
+
+    return { success: true, payload, account };
+  }
+}
+
+module.exports = TokenService;
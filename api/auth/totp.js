@@ -0,0 +1,133 @@
+/**
+ * ============================================================================
+ * TOTP (RFC 6238)
+ * ============================================================================
+ *
+ * Time-based one-time passwords as produced by Google Authenticator, Authy,
+ * 1Password and similar apps: HMAC-SHA1, 30-second steps, 6 digits, secrets
+ * exchanged in base32. Works offline; nothing here calls out to a service.
+ *
+ * @module auth/totp
+ */
+
+const crypto = require('crypto');
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * RFC 4648 base32 without padding
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+
+  return output;
+};
+
+const base32Decode = (text) => {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * New random secret (160 bits, as RFC 4226 recommends), base32 encoded
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Time step a moment falls in
+ */
+const stepAt = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+/**
+ * Code for a secret at a time step (RFC 4226 HOTP with the step as counter)
+ */
+const codeAt = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Check a code against the current step and `window` steps either side
+ * (clock drift). Steps at or before `afterStep` are refused so a code
+ * cannot be replayed.
+ *
+ * @returns {number|null} The matching step, or null
+ */
+const verify = (secret, code, { window = 1, afterStep = -1, time = Date.now() } = {}) => {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(candidate)) return null;
+
+  const current = stepAt(time);
+  for (let step = current - window; step <= current + window; step++) {
+    if (step <= afterStep) continue;
+    const expected = codeAt(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) return step;
+  }
+  return null;
+};
+
+/**
+ * otpauth:// URI for authenticator apps (usually shown as a QR code)
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Shown under the issuer, e.g. the email
+ * @param {string} issuer - Service name
+ */
+const provisioningUri = (secret, accountName, issuer) => {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  STEP_SECONDS,
+  DIGITS,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  stepAt,
+  codeAt,
+  verify,
+  provisioningUri,
+};
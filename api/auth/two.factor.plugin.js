@@ -0,0 +1,55 @@
+/**
+ * ============================================================================
+ * TWO-FACTOR PLUGIN
+ * ============================================================================
+ *
+ * Mongoose plugin for account schemas. Adds the `twoFactor` sub-document
+ * used by TwoFactorService. The TOTP secret is stored encrypted and, like
+ * the backup code hashes and the replay marker, is never selected unless
+ * asked for (TwoFactorService.SECRET_FIELDS).
+ *
+ * @param {Schema} schema - Account schema
+ */
+
+module.exports = function twoFactorPlugin(schema) {
+  schema.add({
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      // Set by admins; the account must enrol before it can log in
+      required: {
+        type: Boolean,
+        default: false,
+      },
+      enabledAt: {
+        type: Date,
+        default: null,
+      },
+      secret: {
+        type: String,
+        default: null,
+        select: false,
+      },
+      // Secret handed out by setup, until the first code confirms it
+      pendingSecret: {
+        type: String,
+        default: null,
+        select: false,
+      },
+      // SHA-256 hashes of the unused backup codes
+      backupCodes: {
+        type: [String],
+        default: [],
+        select: false,
+      },
+      // Last accepted time step, so a code cannot be used twice
+      lastUsedStep: {
+        type: Number,
+        default: null,
+        select: false,
+      },
+    },
+  });
+};
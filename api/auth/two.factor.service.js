@@ -0,0 +1,406 @@
+/**
+ * ============================================================================
+ * TWO-FACTOR SERVICE CLASS
+ * ============================================================================
+ *
+ * Optional TOTP (RFC 6238) second factor for every account type:
+ *
+ *   - setup() hands out a new secret and its otpauth:// URI; enable()
+ *     confirms it with a first code and returns single-use backup codes
+ *   - verify() checks a code (each time step is accepted once) or consumes
+ *     a backup code; IdentityService uses it for the second login step
+ *   - admins can require 2FA for an account or reset a lost enrolment
+ *
+ * Secrets are stored AES-256-GCM encrypted with TWO_FACTOR_KEY (falling back
+ * to JWT_SECRET); backup codes are stored as SHA-256 hashes.
+ *
+ * Methods return { success: false, status, error } for expected failures.
+ *
+ * @class TwoFactorService
+ * @requires auth/totp
+ * @requires identity/account.types
+ * @requires models/AuthEvent
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const totp = require('./totp');
+const TokenService = require('./token.service');
+const AuthEvent = require('../models/AuthEvent');
+const { accountTypeFor } = require('../identity/account.types');
+
+class TwoFactorService {
+  /**
+   * Issuer shown in authenticator apps
+   */
+  static ISSUER = process.env.TWO_FACTOR_ISSUER || 'FTT';
+
+  static BACKUP_CODE_COUNT = 10;
+
+  /**
+   * Projection adding the twoFactor fields hidden by default
+   */
+  static SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedStep';
+
+  /**
+   * AES key for stored secrets, read when first needed so .env is loaded
+   */
+  static encryptionKey() {
+    return crypto
+      .createHash('sha256')
+      .update(process.env.TWO_FACTOR_KEY || TokenService.secret())
+      .digest();
+  }
+
+  static encrypt(text) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', TwoFactorService.encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+  }
+
+  static decrypt(payload) {
+    const [iv, tag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', TwoFactorService.encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Backup codes are compared case-insensitively, ignoring separators
+   */
+  static hashBackupCode(code) {
+    const normalised = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalised).digest('hex');
+  }
+
+  /**
+   * New set of backup codes (xxxx-xxxx)
+   *
+   * @returns {Object} { codes: shown to the user once, hashes: stored }
+   */
+  static generateBackupCodes() {
+    const codes = Array.from({ length: TwoFactorService.BACKUP_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(4).toString('hex');
+      return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+    });
+    return { codes, hashes: codes.map(code => TwoFactorService.hashBackupCode(code)) };
+  }
+
+  static modelFor(role) {
+    return mongoose.model(accountTypeFor(role).modelName);
+  }
+
+  static load(role, id, extra = '') {
+    return TwoFactorService.modelFor(role).findById(id).select(`${TwoFactorService.SECRET_FIELDS} ${extra}`.trim());
+  }
+
+  /**
+   * Two-factor settings safe to return to clients
+   */
+  static status(account) {
+    const twoFactor = account.twoFactor || {};
+    const status = {
+      enabled: Boolean(twoFactor.enabled),
+      required: Boolean(twoFactor.required),
+      enabledAt: twoFactor.enabledAt || null
+    };
+    if (Array.isArray(twoFactor.backupCodes) && twoFactor.enabled) {
+      status.backupCodesRemaining = twoFactor.backupCodes.length;
+    }
+    return status;
+  }
+
+  static async logEvent(type, account, role, { actor = {}, reason = null, details = null } = {}) {
+    await AuthEvent.create({
+      type,
+      email: account.email,
+      account: account._id,
+      accountModel: accountTypeFor(role).modelName,
+      reason,
+      ip: actor.ip || null,
+      userAgent: actor.userAgent || null,
+      actor: actor.id || null,
+      details
+    });
+  }
+
+  /**
+   * Two-factor status of an account
+   *
+   * @returns {Object|null} Status, or null when the account does not exist
+   */
+  static async getStatus(role, id) {
+    const account = await TwoFactorService.load(role, id);
+    return account ? TwoFactorService.status(account) : null;
+  }
+
+  /**
+   * Start enrolment: generate a secret and keep it pending until enable()
+   *
+   * @param {string} role - Token role of the account
+   * @param {string} id - Account id
+   * @returns {Object} { success, secret, otpauthUrl } or a failure
+   */
+  static async setup(role, id) {
+    const account = await TwoFactorService.load(role, id);
+
+    if (!account) {
+      return { success: false, status: 404, error: 'Account not found' };
+    }
+
+    if (account.twoFactor.enabled) {
+      return { success: false, status: 409, error: 'Two-factor authentication is already enabled' };
+    }
+
+    const secret = totp.generateSecret();
+    await TwoFactorService.modelFor(role).updateOne(
+      { _id: account._id },
+      { $set: { 'twoFactor.pendingSecret': TwoFactorService.encrypt(secret) } }
+    );
+
+    return {
+      success: true,
+      secret,
+      otpauthUrl: totp.provisioningUri(secret, account.email, TwoFactorService.ISSUER),
+      digits: totp.DIGITS,
+      period: totp.STEP_SECONDS
+    };
+  }
+
+  /**
+   * Finish enrolment with a code from the authenticator app
+   *
+   * @param {string} role - Token role of the account
+   * @param {string} id - Account id
+   * @param {string} code - Current TOTP code
+   * @param {Object} actor - { ip, userAgent }
+   * @returns {Object} { success, backupCodes, account } or a failure
+   */
+  static async enable(role, id, code, actor = {}) {
+    const account = await TwoFactorService.load(role, id);
+
+    if (!account) {
+      return { success: false, status: 404, error: 'Account not found' };
+    }
+
+    if (account.twoFactor.enabled) {
+      return { success: false, status: 409, error: 'Two-factor authentication is already enabled' };
+    }
+
+    if (!account.twoFactor.pendingSecret) {
+      return { success: false, status: 400, error: 'Start two-factor setup first' };
+    }
+
+    const secret = TwoFactorService.decrypt(account.twoFactor.pendingSecret);
+    const step = totp.verify(secret, code);
+
+    if (step === null) {
+      return { success: false, status: 400, error: 'Invalid two-factor code' };
+    }
+
+    const { codes, hashes } = TwoFactorService.generateBackupCodes();
+
+    const changes = {
+      'twoFactor.secret': account.twoFactor.pendingSecret,
+      'twoFactor.pendingSecret': null,
+      'twoFactor.enabled': true,
+      'twoFactor.enabledAt': new Date(),
+      'twoFactor.lastUsedStep': step,
+      'twoFactor.backupCodes': hashes
+    };
+
+    // Conditional so two concurrent enables cannot both hand out backup codes
+    const enabled = await TwoFactorService.modelFor(role).updateOne(
+      { _id: account._id, 'twoFactor.enabled': { $ne: true } },
+      { $set: changes }
+    );
+
+    if (enabled.modifiedCount !== 1) {
+      return { success: false, status: 409, error: 'Two-factor authentication is already enabled' };
+    }
+
+    account.set(changes);
+
+    await TwoFactorService.logEvent('two_factor_enabled', account, role, { actor });
+
+    return { success: true, backupCodes: codes, account };
+  }
+
+  /**
+   * Check a second factor: a TOTP code (each time step is accepted once) or
+   * a backup code (consumed on use)
+   *
+   * @param {Object} account - Account document loaded with SECRET_FIELDS
+   * @param {Object} factor - { code } or { backupCode }
+   * @returns {string|null} 'totp' or 'backup_code' when accepted, else null
+   */
+  static async verify(account, { code, backupCode } = {}) {
+    const { twoFactor } = account;
+    if (!twoFactor || !twoFactor.enabled || !twoFactor.secret) return null;
+
+    const Model = account.constructor;
+
+    if (code) {
+      const lastUsedStep = twoFactor.lastUsedStep ?? -1;
+      const step = totp.verify(TwoFactorService.decrypt(twoFactor.secret), code, { afterStep: lastUsedStep });
+      if (step === null) return null;
+
+      // Claim the step; a concurrent request with the same code loses
+      const claimed = await Model.updateOne(
+        {
+          _id: account._id,
+          $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+        },
+        { $set: { 'twoFactor.lastUsedStep': step } }
+      );
+      return claimed.modifiedCount === 1 ? 'totp' : null;
+    }
+
+    if (backupCode) {
+      const hash = TwoFactorService.hashBackupCode(backupCode);
+      const consumed = await Model.updateOne(
+        { _id: account._id, 'twoFactor.backupCodes': hash },
+        { $pull: { 'twoFactor.backupCodes': hash } }
+      );
+      return consumed.modifiedCount === 1 ? 'backup_code' : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Turn two-factor authentication off. Needs the password and a second
+   * factor; not allowed while an admin requires 2FA for the account.
+   *
+   * @param {string} role - Token role of the account
+   * @param {string} id - Account id
+   * @param {Object} body - { password, code | backupCode }
+   * @param {Object} actor - { ip, userAgent }
+   * @returns {Object} { success } or a failure
+   */
+  static async disable(role, id, { password, code, backupCode } = {}, actor = {}) {
+    const account = await TwoFactorService.load(role, id, '+password');
+
+    if (!account) {
+      return { success: false, status: 404, error: 'Account not found' };
+    }
+
+    if (!account.twoFactor.enabled) {
+      return { success: false, status: 409, error: 'Two-factor authentication is not enabled' };
+    }
+
+    if (account.twoFactor.required) {
+      return { success: false, status: 409, error: 'Two-factor authentication is required for this account' };
+    }
+
+    if (!password || !(await account.comparePassword(String(password)))) {
+      return { success: false, status: 400, error: 'Password is incorrect' };
+    }
+
+    if (!(await TwoFactorService.verify(account, { code, backupCode }))) {
+      return { success: false, status: 400, error: 'Invalid two-factor code' };
+    }
+
+    await TwoFactorService.modelFor(role).updateOne({ _id: account._id }, { $set: TwoFactorService.cleared() });
+    await TwoFactorService.logEvent('two_factor_disabled', account, role, { actor });
+
+    return { success: true };
+  }
+
+  /**
+   * Replace the backup codes; the old ones stop working
+   *
+   * @param {string} role - Token role of the account
+   * @param {string} id - Account id
+   * @param {Object} body - { code | backupCode }
+   * @returns {Object} { success, backupCodes } or a failure
+   */
+  static async regenerateBackupCodes(role, id, { code, backupCode } = {}) {
+    const account = await TwoFactorService.load(role, id);
+
+    if (!account) {
+      return { success: false, status: 404, error: 'Account not found' };
+    }
+
+    if (!account.twoFactor.enabled) {
+      return { success: false, status: 409, error: 'Two-factor authentication is not enabled' };
+    }
+
+    if (!(await TwoFactorService.verify(account, { code, backupCode }))) {
+      return { success: false, status: 400, error: 'Invalid two-factor code' };
+    }
+
+    const { codes, hashes } = TwoFactorService.generateBackupCodes();
+    await TwoFactorService.modelFor(role).updateOne({ _id: account._id }, { $set: { 'twoFactor.backupCodes': hashes } });
+
+    return { success: true, backupCodes: codes };
+  }
+
+  /**
+   * Admin change to an account's two-factor settings
+   *
+   *   - required: true makes 2FA mandatory. An account that has not enrolled
+   *     is signed out everywhere and must enrol at its next login.
+   *   - reset: true removes the enrolment (e.g. a lost phone)
+   *
+   * @param {string} role - Token role of the account
+   * @param {string} id - Account id
+   * @param {Object} changes - { required, reset }
+   * @param {Object} actor - { id, ip, userAgent } of the admin
+   * @returns {Object} { success, twoFactor, sessionsRevoked } or a failure
+   */
+  static async adminUpdate(role, id, { required, reset } = {}, actor = {}) {
+    if (required === undefined && !reset) {
+      return { success: false, status: 400, error: 'Provide required and/or reset' };
+    }
+
+    if (required !== undefined && typeof required !== 'boolean') {
+      return { success: false, status: 400, error: 'required must be a boolean' };
+    }
+
+    const account = await TwoFactorService.load(role, id);
+
+    if (!account) {
+      return { success: false, status: 404, error: 'Account not found' };
+    }
+
+    const changes = reset ? TwoFactorService.cleared() : {};
+    if (required !== undefined) changes['twoFactor.required'] = required;
+
+    await TwoFactorService.modelFor(role).updateOne({ _id: account._id }, { $set: changes });
+
+    if (reset) {
+      await TwoFactorService.logEvent('two_factor_reset', account, role, { actor });
+    }
+
+    let sessionsRevoked = 0;
+    if (required !== undefined && required !== account.twoFactor.required) {
+      await TwoFactorService.logEvent('two_factor_required', account, role, { actor, details: { required } });
+
+      // Sessions opened without a second factor end now
+      if (required && (reset || !account.twoFactor.enabled)) {
+        sessionsRevoked = await TokenService.revokeAll(account._id, role, 'two_factor_required');
+      }
+    }
+
+    const updated = await TwoFactorService.load(role, id);
+    return { success: true, twoFactor: TwoFactorService.status(updated), sessionsRevoked };
+  }
+
+  /**
+   * $set clearing an enrolment (the `required` flag is kept)
+   */
+  static cleared() {
+    return {
+      'twoFactor.enabled': false,
+      'twoFactor.enabledAt': null,
+      'twoFactor.secret': null,
+      'twoFactor.pendingSecret': null,
+      'twoFactor.backupCodes': [],
+      'twoFactor.lastUsedStep': null
+    };
+  }
+}
+
+module.exports = TwoFactorService;
@@ -0,0 +1,553 @@
+const IdentityService = require('../identity/identity.service');
+const MagicLinkService = require('../auth/magic.link.service');
+const LoginGuard = require('../auth/login.guard');
+const { ACCOUNT_TYPES, accountTypeFor } = require('../identity/account.types');
+
+// Per-type handlers are built for the token role the router mounts them for
+// (agent, corporate_agent, project_owner, admin); /auth/login and /me work
+// for whichever account type is calling.
+
+const isObjectId = (id) => /^[0-9a-fA-F]{24}$/.test(id);
+
+const capitalise = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+const sendFailure = (res, { status, error, success, ...details }) => res.status(status).json({
+  success: false,
+  error,
+  ...details,
+});
+
+const validationFailure = (res, error) => {
+  const errors = Object.values(error.errors).map((err) => ({
+    field: err.path,
+    message: err.message,
+  }));
+  return res.status(400).json({
+    success: false,
+    error: 'Validation failed',
+    errors,
+  });
+};
+
+/**
+ * Respond with tokens, a two-factor challenge or a failure
+ */
+const sendLoginResult = (res, result) => {
+  if (!result.success) {
+    if (result.retryAfter) res.set('Retry-After', String(result.retryAfter));
+    return sendFailure(res, result);
+  }
+
+  if (result.twoFactorRequired || result.twoFactorSetupRequired) {
+    return res.status(200).json({
+      success: true,
+      message: result.twoFactorRequired
+        ? 'Enter the code from your authenticator app'
+        : 'Two-factor authentication must be set up for this account',
+      accountType: result.type.role,
+      twoFactorRequired: Boolean(result.twoFactorRequired),
+      twoFactorSetupRequired: Boolean(result.twoFactorSetupRequired),
+      challengeToken: result.challengeToken,
+      expiresIn: result.expiresIn,
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    accountType: result.type.role,
+    ...result.tokens,
+    data: result.account,
+  });
+};
+
+/**
+ * Shared login handler
+ */
+const handleLogin = async (req, res, roles) => {
+  const { email, password } = req.body || {};
+
+  // ── Required field check ─────────────────────────────────────────────────
+  if (!email || typeof email !== 'string' || !email.trim()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Email is required',
+    });
+  }
+
+  if (!password || typeof password !== 'string' || !password.trim()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Password is required',
+    });
+  }
+
+  const result = await IdentityService.login(email, password, {
+    roles,
+    meta: { ip: req.ip, userAgent: req.get('user-agent') || null },
+  });
+
+  sendLoginResult(res, result);
+};
+
+// ============================================================================
+// LOGIN
+// ============================================================================
+
+/**
+ * Login an account of one type
+ *
+ * @route POST /api/v1/{agents|corporate-agents|project-owners|admins|donors}/login
+ * @access Public
+ *
+ * @bodyparam {string} email    - Registered email address
+ * @bodyparam {string} password - Account password
+ */
+exports.login = (role) => async (req, res) => {
+  try {
+    await handleLogin(req, res, [role]);
+  } catch (error) {
+    console.error('Error in login:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Login failed',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Login with any account type. The type is found from the email; if the
+ * same email and password belong to several types, accountType picks one.
+ *
+ * @route POST /api/v1/auth/login
+ * @access Public
+ *
+ * @bodyparam {string} email       - Registered email address
+ * @bodyparam {string} password    - Account password
+ * @bodyparam {string} accountType - agent | corporate_agent | project_owner | admin | donor (optional)
+ */
+exports.loginAny = async (req, res) => {
+  try {
+    const { accountType } = req.body || {};
+
+    if (accountType !== undefined && !accountTypeFor(accountType)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid accountType',
+        validAccountTypes: Object.keys(ACCOUNT_TYPES),
+      });
+    }
+
+    await handleLogin(req, res, accountType ? [accountType] : Object.keys(ACCOUNT_TYPES));
+  } catch (error) {
+    console.error('Error in loginAny:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Login failed',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Second login step for accounts with two-factor authentication
+ *
+ * @route POST /api/v1/auth/login/verify
+ * @access Public (with a challenge token from login)
+ *
+ * @bodyparam {string} challengeToken - From the login response
+ * @bodyparam {string} code           - Code from the authenticator app
+ * @bodyparam {string} backupCode     - Or one of the backup codes
+ */
+exports.verifyLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, backupCode } = req.body || {};
+
+    if (!challengeToken || typeof challengeToken !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'challengeToken is required',
+      });
+    }
+
+    if (!code && !backupCode) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide code or backupCode',
+      });
+    }
+
+    const result = await IdentityService.verifyTwoFactor(challengeToken, { code, backupCode }, {
+      ip: req.ip,
+      userAgent: req.get('user-agent') || null,
+    });
+
+    sendLoginResult(res, result);
+  } catch (error) {
+    console.error('Error in verifyLogin:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Login failed',
+      message: error.message,
+    });
+  }
+};
+
+// ============================================================================
+// MAGIC LINK
+// ============================================================================
+
+/**
+ * Email a single-use sign-in link. Always answers the same way so the
+ * endpoint cannot be used to find out which emails are registered. Requests
+ * are throttled per email and IP (see LoginGuard.throttleMailRequest).
+ *
+ * @route POST /api/v1/donors/magic-link
+ * @access Public
+ *
+ * @bodyparam {string} email - Registered email address
+ */
+exports.requestMagicLink = (role) => async (req, res) => {
+  try {
+    const { email } = req.body || {};
+
+    if (!email || typeof email !== 'string' || !email.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email is required',
+      });
+    }
+
+    const lock = await LoginGuard.throttleMailRequest(email, {
+      ip: req.ip,
+      userAgent: req.get('user-agent') || null,
+      request: 'magic_link',
+    });
+
+    if (lock) {
+      res.set('Retry-After', String(lock.retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many link requests for this email or IP',
+        message: 'Try again later',
+      });
+    }
+
+    await MagicLinkService.request(role, email, { ip: req.ip });
+
+    res.json({
+      success: true,
+      message: 'If an active account uses this email, a sign-in link has been sent to it',
+    });
+  } catch (error) {
+    console.error('Error in requestMagicLink:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send sign-in link',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Sign in with the token from a magic link. Accounts with two-factor
+ * authentication get a challenge, as with a password login.
+ *
+ * @route POST /api/v1/donors/magic-link/verify
+ * @access Public (sign-in token)
+ *
+ * @bodyparam {string} token - Token from the sign-in link
+ */
+exports.magicLinkLogin = (role) => async (req, res) => {
+  try {
+    const { token } = req.body || {};
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Token is required',
+      });
+    }
+
+    const redeemed = await MagicLinkService.redeem(role, token);
+
+    if (!redeemed.success) return sendFailure(res, redeemed);
+
+    const result = await IdentityService.continueLogin(redeemed.account, accountTypeFor(role), {
+      ip: req.ip,
+      userAgent: req.get('user-agent') || null,
+    });
+
+    sendLoginResult(res, result);
+  } catch (error) {
+    console.error('Error in magicLinkLogin:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Login failed',
+      message: error.message,
+    });
+  }
+};
+
+// ============================================================================
+// REGISTRATION
+// ============================================================================
+
+/**
+ * Register a new account of one type. Required fields are listed in
+ * identity/account.types (`register`). Donor registration (`hideExisting`)
+ * answers 202 with the same message whether or not the email is taken, so
+ * it cannot be used to find out which emails are registered; the address is
+ * emailed either way, and donors already recorded by staff are pointed to a
+ * magic link or forgot-password. Those requests are throttled per email and
+ * IP like the other endpoints that send mail.
+ *
+ * @route POST /api/v1/{agents|corporate-agents|project-owners|donors}/register
+ * @access Public
+ */
+exports.register = (role) => async (req, res) => {
+  try {
+    const type = accountTypeFor(role);
+    const body = req.body || {};
+
+    if (type.hideExisting && typeof body.email === 'string' && body.email.trim()) {
+      const lock = await LoginGuard.throttleMailRequest(body.email, {
+        ip: req.ip,
+        userAgent: req.get('user-agent') || null,
+        request: 'registration',
+      });
+
+      if (lock) {
+        res.set('Retry-After', String(lock.retryAfter));
+        return res.status(429).json({
+          success: false,
+          error: 'Too many requests for this email or IP',
+          message: 'Try again later',
+        });
+      }
+    }
+
+    const result = await IdentityService.register(role, body);
+
+    if (!result.success) return sendFailure(res, result);
+
+    if (type.hideExisting) {
+      return res.status(202).json({
+        success: true,
+        message: 'Check your email to continue. If this address already has an account, we have sent it sign-in instructions instead',
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${capitalise(type.label)} registered successfully`,
+      data: result.account,
+    });
+  } catch (error) {
+    console.error('Error in register:', error);
+
+    if (error.name === 'ValidationError') return validationFailure(res, error);
+
+    res.status(500).json({
+      success: false,
+      error: 'Registration failed',
+      message: error.message,
+    });
+  }
+};
+
+// ============================================================================
+// LIST AND GET
+// ============================================================================
+
+/**
+ * Get all accounts of one type with pagination
+ *
+ * @route GET /api/v1/{agents|corporate-agents|project-owners}
+ * @access Admin
+ *
+ * @queryparam {string} isActive - true | false | all
+ * @queryparam {string} search - Match name, email, phone and CAC or organization
+ */
+exports.getAll = (role) => async (req, res) => {
+  try {
+    const result = await IdentityService.list(role, req.query);
+
+    res.json({
+      success: true,
+      ...result,
+    });
+  } catch (error) {
+    console.error('Error in getAll:', error);
+    res.status(500).json({
+      success: false,
+      error: `Failed to retrieve ${accountTypeFor(role).label}s`,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Get a single account of one type by ID
+ *
+ * @route GET /api/v1/{agents|corporate-agents|project-owners}/:id
+ * @access Admin, or the account itself
+ */
+exports.getOne = (role) => async (req, res) => {
+  const { label } = accountTypeFor(role);
+
+  try {
+    const { id } = req.params;
+
+    if (!isObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid ${label} ID format`,
+      });
+    }
+
+    const account = await IdentityService.findById(role, id);
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        error: `${capitalise(label)} not found`,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: account,
+    });
+  } catch (error) {
+    console.error('Error in getOne:', error);
+    res.status(500).json({
+      success: false,
+      error: `Failed to retrieve ${label}`,
+      message: error.message,
+    });
+  }
+};
+
+// ============================================================================
+// PAYOUTS LEDGER
+// ============================================================================
+
+/**
+ * Get the profit sharing payouts ledger of an agent or corporate agent
+ *
+ * @route GET /api/v1/{agents|corporate-agents}/:id/payouts
+ * @access Admin, or the account itself
+ *
+ * @queryparam {string} season - Filter by season ID
+ * @queryparam {string} campaign - Filter by campaign ID
+ * @queryparam {number} page - Page number (default: 1)
+ * @queryparam {number} limit - Items per page (default: 10, max: 100)
+ */
+exports.getPayouts = (role) => async (req, res) => {
+  const { label, responseKey } = accountTypeFor(role);
+
+  try {
+    const { id } = req.params;
+
+    if (!isObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid ${label} ID format`,
+      });
+    }
+
+    const result = await IdentityService.payouts(role, id, req.query);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: `${capitalise(label)} not found`,
+      });
+    }
+
+    const { account, ...ledger } = result;
+
+    res.json({
+      success: true,
+      [responseKey]: account,
+      ...ledger,
+    });
+  } catch (error) {
+    console.error('Error in getPayouts:', error);
+    res.status(500).json({
+      success: false,
+      error: `Failed to retrieve ${label} payouts`,
+      message: error.message,
+    });
+  }
+};
+
+// ============================================================================
+// OWN PROFILE
+// ============================================================================
+
+/**
+ * Get the caller's own account
+ *
+ * @route GET /api/v1/me
+ * @access Any authenticated account
+ */
+exports.getMe = async (req, res) => {
+  try {
+    const account = await IdentityService.findById(req.user.role, req.user.id);
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        error: 'Account not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      accountType: req.user.role,
+      data: account,
+    });
+  } catch (error) {
+    console.error('Error in getMe:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve profile',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Update the caller's own profile. Editable fields depend on the account
+ * type; email, password, NIN and CAC have their own flows.
+ *
+ * @route PATCH /api/v1/me
+ * @access Any authenticated account
+ */
+exports.updateMe = async (req, res) => {
+  try {
+    const result = await IdentityService.updateProfile(req.user.role, req.user.id, req.body || {});
+
+    if (!result.success) return sendFailure(res, result);
+
+    res.json({
+      success: true,
+      message: 'Profile updated successfully',
+      accountType: req.user.role,
+      data: result.account,
+    });
+  } catch (error) {
+    console.error('Error in updateMe:', error);
+
+    if (error.name === 'ValidationError') return validationFailure(res, error);
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update profile',
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,540 @@
+/**
+ * ============================================================================
+ * ACCOUNT DELETION CONTROLLER
+ * ============================================================================
+ *
+ * This controller handles account deletion requests:
+ * - Public requests by email address (API and the /account-delete page)
+ * - Confirmation and cancellation with the emailed token
+ * - The signed-in account's own request (/me/deletion-request)
+ * - The admin review queue, approval and rejection
+ *
+ * Public request endpoints respond the same way whether or not the email
+ * belongs to an account.
+ *
+ * @module controllers/accountDeletionController
+ * @requires deletion/account.deletion.service
+ */
+
+const AccountDeletionService = require('../deletion/account.deletion.service');
+const { accountTypeFor } = require('../identity/account.types');
+
+const isObjectId = (id) => /^[0-9a-fA-F]{24}$/.test(id);
+const isEmail = (email) => /^\S+@\S+\.\S+$/.test(email);
+
+const REQUEST_RECEIVED = 'If an account with this email exists, we have sent a link to confirm the deletion request.';
+
+const sendFailure = (res, { status, error, success, ...details }) => res.status(status).json({
+  success: false,
+  error,
+  ...details,
+});
+
+/**
+ * Validate { email, accountType, reason } from a public request
+ *
+ * @returns {string|null} Error message
+ */
+const validateRequest = ({ email, accountType, reason }) => {
+  if (!email || !isEmail(String(email).trim())) return 'A valid email is required';
+  if (accountType && !accountTypeFor(accountType)) return 'Invalid accountType';
+  if (reason && String(reason).length > 1000) return 'Reason cannot exceed 1000 characters';
+  return null;
+};
+
+// ============================================================================
+// PUBLIC
+// ============================================================================
+
+/**
+ * Request deletion of the account(s) registered with an email address
+ *
+ * @route POST /api/v1/account-deletion/requests
+ * @access Public
+ *
+ * @bodyparam {string} email       - Account email (required)
+ * @bodyparam {string} accountType - Limit to one account type, e.g. donor
+ * @bodyparam {string} reason      - Why the account should be deleted
+ */
+exports.createRequest = async (req, res) => {
+  try {
+    const { email, accountType, reason } = req.body || {};
+    const invalid = validateRequest({ email, accountType, reason });
+
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid,
+      });
+    }
+
+    await AccountDeletionService.request(
+      { email, accountType, reason: reason ? String(reason).trim() : null, source: 'api' },
+      { ip: req.ip }
+    );
+
+    res.status(202).json({
+      success: true,
+      message: REQUEST_RECEIVED,
+    });
+  } catch (error) {
+    console.error('Error in createRequest:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create deletion request',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Confirm a request with the token from the confirmation email
+ *
+ * @route POST /api/v1/account-deletion/confirm
+ * @access Public
+ *
+ * @bodyparam {string} token - Token from the email (required)
+ */
+exports.confirmRequest = async (req, res) => {
+  try {
+    const { token } = req.body || {};
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        error: 'token is required',
+      });
+    }
+
+    const result = await AccountDeletionService.confirm(token, { ip: req.ip });
+
+    if (!result.success) return sendFailure(res, result);
+
+    res.json({
+      success: true,
+      message: 'Deletion request confirmed and queued for review',
+      data: {
+        status: result.request.status,
+        scheduledFor: result.request.scheduledFor,
+      },
+    });
+  } catch (error) {
+    console.error('Error in confirmRequest:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to confirm deletion request',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Cancel a request with the token from the emails
+ *
+ * @route POST /api/v1/account-deletion/cancel
+ * @access Public
+ *
+ * @bodyparam {string} token - Token from the email (required)
+ */
+exports.cancelRequest = async (req, res) => {
+  try {
+    const { token } = req.body || {};
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        error: 'token is required',
+      });
+    }
+
+    const result = await AccountDeletionService.cancel({ token }, { ip: req.ip });
+
+    if (!result.success) return sendFailure(res, result);
+
+    res.json({
+      success: true,
+      message: 'Deletion request cancelled',
+    });
+  } catch (error) {
+    console.error('Error in cancelRequest:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel deletion request',
+      message: error.message,
+    });
+  }
+};
+
+// ============================================================================
+// ACCOUNT SELF-SERVICE
+// ============================================================================
+
+/**
+ * Get the caller's latest deletion request
+ *
+ * @route GET /api/v1/me/deletion-request
+ * @access Any authenticated account
+ */
+exports.getMyDeletionRequest = async (req, res) => {
+  try {
+    const request = await AccountDeletionService.latestFor(req.user.role, req.user.id);
+
+    res.json({
+      success: true,
+      data: request,
+    });
+  } catch (error) {
+    console.error('Error in getMyDeletionRequest:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve deletion request',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Request deletion of the caller's account. The request still has to be
+ * confirmed with the emailed link.
+ *
+ * @route POST /api/v1/me/deletion-request
+ * @access Any authenticated account
+ *
+ * @bodyparam {string} reason - Why the account should be deleted
+ */
+exports.createMyDeletionRequest = async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+
+    if (reason && String(reason).length > 1000) {
+      return res.status(400).json({
+        success: false,
+        error: 'Reason cannot exceed 1000 characters',
+      });
+    }
+
+    const result = await AccountDeletionService.requestForAccount(
+      req.user.role,
+      req.user.id,
+      { reason: reason ? String(reason).trim() : null },
+      { ip: req.ip }
+    );
+
+    if (!result.success) return sendFailure(res, result);
+
+    res.status(201).json({
+      success: true,
+      message: 'Check your email to confirm the deletion request',
+      data: result.request,
+    });
+  } catch (error) {
+    console.error('Error in createMyDeletionRequest:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create deletion request',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Cancel the caller's open deletion request
+ *
+ * @route POST /api/v1/me/deletion-request/cancel
+ * @access Any authenticated account
+ */
+exports.cancelMyDeletionRequest = async (req, res) => {
+  try {
+    const result = await AccountDeletionService.cancel(
+      { role: req.user.role, id: req.user.id },
+      { ip: req.ip }
+    );
+
+    if (!result.success) return sendFailure(res, result);
+
+    res.json({
+      success: true,
+      message: 'Deletion request cancelled',
+      data: result.request,
+    });
+  } catch (error) {
+    console.error('Error in cancelMyDeletionRequest:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel deletion request',
+      message: error.message,
+    });
+  }
+};
+
+// ============================================================================
+// ADMIN REVIEW
+// ============================================================================
+
+/**
+ * List deletion requests; by default the review queue, soonest first
+ *
+ * @route GET /api/v1/account-deletion/requests
+ * @access Admin
+ *
+ * @queryparam {string} status      - A request status, 'open' or 'all' (default: pending_review)
+ * @queryparam {string} accountType - Filter by account type
+ * @queryparam {number} page        - Page number (default: 1)
+ * @queryparam {number} limit       - Items per page (default: 20, max: 100)
+ */
+exports.getDeletionRequests = async (req, res) => {
+  try {
+    const { status, accountType } = req.query;
+
+    if (status && !['open', 'all', ...AccountDeletionService.STATUSES].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status filter',
+      });
+    }
+
+    if (accountType && !accountTypeFor(accountType)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid accountType',
+      });
+    }
+
+    const result = await AccountDeletionService.list(req.query);
+
+    res.json({
+      success: true,
+      ...result,
+    });
+  } catch (error) {
+    console.error('Error in getDeletionRequests:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve deletion requests',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Get a deletion request with its audit trail
+ *
+ * @route GET /api/v1/account-deletion/requests/:id
+ * @access Admin
+ */
+exports.getDeletionRequest = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request ID format',
+      });
+    }
+
+    const request = await AccountDeletionService.findById(id);
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        error: 'Deletion request not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: request,
+    });
+  } catch (error) {
+    console.error('Error in getDeletionRequest:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve deletion request',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Approve a confirmed request. It is executed at the end of its grace
+ * period, or immediately if that has passed.
+ *
+ * @route POST /api/v1/account-deletion/requests/:id/approve
+ * @access Admin (super_admin, support)
+ *
+ * @bodyparam {string} note - Optional review note
+ */
+exports.approveDeletionRequest = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { note } = req.body || {};
+
+    if (!isObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request ID format',
+      });
+    }
+
+    const result = await AccountDeletionService.approve(id, {
+      id: req.user.id,
+      ip: req.ip,
+      note: note ? String(note).trim() : null,
+    });
+
+    if (!result.success) return sendFailure(res, result);
+
+    res.json({
+      success: true,
+      message: result.executed
+        ? 'Deletion request approved and executed'
+        : 'Deletion request approved; the account is deleted when the grace period ends',
+      data: result.request,
+    });
+  } catch (error) {
+    console.error('Error in approveDeletionRequest:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to approve deletion request',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Reject a request; the holder is emailed the reason
+ *
+ * @route POST /api/v1/account-deletion/requests/:id/reject
+ * @access Admin (super_admin, support)
+ *
+ * @bodyparam {string} reason - Why the request was rejected (required)
+ */
+exports.rejectDeletionRequest = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body || {};
+
+    if (!isObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request ID format',
+      });
+    }
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'reason is required',
+      });
+    }
+
+    const result = await AccountDeletionService.reject(id, {
+      id: req.user.id,
+      ip: req.ip,
+      reason: String(reason).trim(),
+    });
+
+    if (!result.success) return sendFailure(res, result);
+
+    res.json({
+      success: true,
+      message: 'Deletion request rejected',
+      data: result.request,
+    });
+  } catch (error) {
+    console.error('Error in rejectDeletionRequest:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reject deletion request',
+      message: error.message,
+    });
+  }
+};
+
+// ============================================================================
+// /account-delete PAGE
+// ============================================================================
+
+// The page renders views/account_delete with { notice: { type, text } }
+
+const renderPage = (res, status, type, text) => res.status(status).render('account_delete', {
+  notice: { type, text },
+});
+
+/**
+ * Form submission from the /account-delete page
+ *
+ * @route POST /account-delete
+ * @access Public
+ */
+exports.submitForm = async (req, res) => {
+  try {
+    const { email, accountType, reason } = req.body || {};
+    const invalid = validateRequest({ email, accountType, reason });
+
+    if (invalid) return renderPage(res, 400, 'error', invalid);
+
+    await AccountDeletionService.request(
+      { email, accountType: accountType || null, reason: reason ? String(reason).trim() : null, source: 'form' },
+      { ip: req.ip }
+    );
+
+    renderPage(res, 200, 'success', REQUEST_RECEIVED);
+  } catch (error) {
+    console.error('Error in submitForm:', error);
+    renderPage(res, 500, 'error', 'Something went wrong. Please try again later.');
+  }
+};
+
+/**
+ * Confirmation link from the email
+ *
+ * @route GET /account-delete/confirm?token=
+ * @access Public
+ */
+exports.confirmFromLink = async (req, res) => {
+  try {
+    const { token } = req.query;
+
+    if (!token) return renderPage(res, 400, 'error', 'The confirmation link is incomplete.');
+
+    const result = await AccountDeletionService.confirm(token, { ip: req.ip });
+
+    if (!result.success) return renderPage(res, result.status, 'error', result.error);
+
+    renderPage(
+      res,
+      200,
+      'success',
+      `Your request is confirmed. Once reviewed, your account will be deleted on or after ${result.request.scheduledFor.toDateString()}. `
+        + 'The email we just sent has a link to cancel before then.'
+    );
+  } catch (error) {
+    console.error('Error in confirmFromLink:', error);
+    renderPage(res, 500, 'error', 'Something went wrong. Please try again later.');
+  }
+};
+
+/**
+ * Cancellation link from the emails
+ *
+ * @route GET /account-delete/cancel?token=
+ * @access Public
+ */
+exports.cancelFromLink = async (req, res) => {
+  try {
+    const { token } = req.query;
+
+    if (!token) return renderPage(res, 400, 'error', 'The cancellation link is incomplete.');
+
+    const result = await AccountDeletionService.cancel({ token }, { ip: req.ip });
+
+    if (!result.success) return renderPage(res, result.status, 'error', result.error);
+
+    renderPage(res, 200, 'success', 'Your deletion request has been cancelled. Your account stays as it is.');
+  } catch (error) {
+    console.error('Error in cancelFromLink:', error);
+    renderPage(res, 500, 'error', 'Something went wrong. Please try again later.');
+  }
+};
@@ -0,0 +1,314 @@
+const Admin = require('../models/Admin');
+
+/**
+ * Whether changing `admin` would leave no active super admin
+ */
+const isLastSuperAdmin = async (admin) => {
+  if (admin.role !== 'super_admin' || !admin.isActive) return false;
+  const others = await Admin.countDocuments({
+    _id: { $ne: admin._id },
+    role: 'super_admin',
+    isActive: true,
+  });
+  return others === 0;
+};
+
+// ============================================================================
+// CREATE ADMIN
+// ============================================================================
+
+/**
+ * Create a back-office account (the first one comes from `npm run create-admin`)
+ *
+ * @route POST /api/v1/admins
+ * @access Super admin
+ *
+ * @bodyparam {string} name     - Full name (required)
+ * @bodyparam {string} email    - Email address (required, unique)
+ * @bodyparam {string} password - Password, min 8 chars (required)
+ * @bodyparam {string} role     - super_admin | finance | support | viewer (default: viewer)
+ */
+exports.createAdmin = async (req, res) => {
+  try {
+    const { name, email, password, role } = req.body || {};
+
+    // ── Required field check ─────────────────────────────────────────────────
+    const missingFields = ['name', 'email', 'password'].filter(
+      (field) => !req.body?.[field] || !String(req.body[field]).trim()
+    );
+
+    if (missingFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        missingFields,
+      });
+    }
+
+    if (role && !Admin.ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid role',
+        validRoles: Admin.ROLES,
+      });
+    }
+
+    // ── Duplicate check ──────────────────────────────────────────────────────
+    const existing = await Admin.findOne({ email: email.trim().toLowerCase() }).lean();
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: 'An admin with this email already exists',
+      });
+    }
+
+    const admin = await Admin.create({
+      name,
+      email,
+      password,
+      role: role || 'viewer',
+      createdBy: req.user.id,
+    });
+
+    const adminData = admin.toObject();
+    delete adminData.password;
+
+    res.status(201).json({
+      success: true,
+      message: 'Admin created successfully',
+      data: adminData,
+    });
+  } catch (error) {
+    console.error('Error in createAdmin:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map((err) => ({
+        field: err.path,
+        message: err.message,
+      }));
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create admin',
+      message: error.message,
+    });
+  }
+};
+
+// ============================================================================
+// GET ALL ADMINS
+// ============================================================================
+
+/**
+ * Get all admins with pagination
+ *
+ * @route GET /api/v1/admins
+ * @access Super admin
+ *
+ * @queryparam {string} role - Filter by sub-role
+ * @queryparam {string} isActive - true | false | all
+ * @queryparam {string} search - Match name or email
+ */
+exports.getAllAdmins = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, role, isActive, search } = req.query;
+
+    const pageNum = Math.max(1, parseInt(page));
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+
+    const query = {};
+
+    if (role) query.role = role;
+
+    if (isActive !== undefined && isActive !== 'all') {
+      query.isActive = isActive === 'true';
+    }
+
+    if (search) {
+      query.$or = [
+        { name: new RegExp(search, 'i') },
+        { email: new RegExp(search, 'i') },
+      ];
+    }
+
+    const admins = await Admin.find(query)
+      .select('-password')
+      .sort('-createdAt')
+      .limit(limitNum)
+      .skip((pageNum - 1) * limitNum)
+      .lean();
+
+    const count = await Admin.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: admins,
+      pagination: {
+        total: count,
+        page: pageNum,
+        limit: limitNum,
+        pages: Math.ceil(count / limitNum),
+      },
+    });
+  } catch (error) {
+    console.error('Error in getAllAdmins:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve admins',
+      message: error.message,
+    });
+  }
+};
+
+// ============================================================================
+// GET SINGLE ADMIN
+// ============================================================================
+
+/**
+ * Get a single admin by ID
+ *
+ * @route GET /api/v1/admins/:id
+ * @access Super admin, or the admin
+ */
+exports.getAdmin = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid admin ID format',
+      });
+    }
+
+    const admin = await Admin.findById(id).select('-password').lean();
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        error: 'Admin not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: admin,
+    });
+  } catch (error) {
+    console.error('Error in getAdmin:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve admin',
+      message: error.message,
+    });
+  }
+};
+
+// ============================================================================
+// UPDATE ADMIN
+// ============================================================================
+
+/**
+ * Change an admin's name, sub-role or active flag. The last active super
+ * admin cannot be demoted or deactivated.
+ *
+ * A role change invalidates the admin's access tokens (they carry the old
+ * role); deactivation also revokes their refresh tokens.
+ *
+ * @route PATCH /api/v1/admins/:id
+ * @access Super admin
+ *
+ * @bodyparam {string} name     - Full name
+ * @bodyparam {string} role     - super_admin | finance | support | viewer
+ * @bodyparam {boolean} isActive - Active flag
+ */
+exports.updateAdmin = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, role, isActive } = req.body || {};
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid admin ID format',
+      });
+    }
+
+    if (role !== undefined && !Admin.ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid role',
+        validRoles: Admin.ROLES,
+      });
+    }
+
+    if (isActive !== undefined && typeof isActive !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'isActive must be a boolean',
+      });
+    }
+
+    const admin = await Admin.findById(id);
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        error: 'Admin not found',
+      });
+    }
+
+    const demoting = role !== undefined && role !== 'super_admin';
+    const deactivating = isActive === false;
+
+    if ((demoting || deactivating) && await isLastSuperAdmin(admin)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Cannot demote or deactivate the last active super admin',
+      });
+    }
+
+    if (name !== undefined) admin.name = name;
+    if (role !== undefined && role !== admin.role) {
+      admin.role = role;
+      admin.tokenVersion = (admin.tokenVersion || 0) + 1;
+    }
+    if (isActive !== undefined) admin.isActive = isActive;
+    await admin.save();
+
+    const adminData = admin.toObject();
+    delete adminData.password;
+
+    res.json({
+      success: true,
+      message: 'Admin updated successfully',
+      data: adminData,
+    });
+  } catch (error) {
+    console.error('Error in updateAdmin:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map((err) => ({
+        field: err.path,
+        message: err.message,
+      }));
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update admin',
+      message: error.message,
+    });
+  }
+};
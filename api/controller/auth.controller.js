@@ -0,0 +1,314 @@
+const TokenService = require('../auth/token.service');
+const LoginGuard = require('../auth/login.guard');
+const AuthEvent = require('../models/AuthEvent');
+
+const LOCK_SCOPES = ['email', 'ip'];
+
+// ============================================================================
+// REFRESH ACCESS TOKEN
+// ============================================================================
+
+/**
+ * Exchange a refresh token for a new access token and refresh token.
+ * The presented refresh token stops working; reusing it later revokes the
+ * whole session.
+ *
+ * @route POST /api/v1/auth/refresh
+ * @access Public (refresh token)
+ *
+ * @bodyparam {string} refreshToken - Refresh token from login or a previous refresh
+ */
+exports.refreshToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'refreshToken is required',
+      });
+    }
+
+    const result = await TokenService.rotate(refreshToken, {
+      ip: req.ip,
+      userAgent: req.get('user-agent') || null,
+    });
+
+    if (!result.success) {
+      return res.status(401).json({
+        success: false,
+        error: result.error,
+        message: 'Log in again',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Token refreshed',
+      token: result.token,
+      refreshToken: result.refreshToken,
+      expiresIn: result.expiresIn,
+      refreshTokenExpiresAt: result.refreshTokenExpiresAt,
+    });
+  } catch (error) {
+    console.error('Error in refreshToken:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to refresh token',
+      message: error.message,
+    });
+  }
+};
+
+// ============================================================================
+// LOGOUT
+// ============================================================================
+
+/**
+ * End one session: revoke the refresh token and every token rotated from it.
+ * Access tokens already issued for the session expire on their own.
+ *
+ * @route POST /api/v1/auth/logout
+ * @access Public (refresh token)
+ *
+ * @bodyparam {string} refreshToken - Refresh token of the session to end
+ */
+exports.logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'refreshToken is required',
+      });
+    }
+
+    const result = await TokenService.revoke(refreshToken);
+
+    if (!result.success) {
+      return res.status(401).json({
+        success: false,
+        error: result.error,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out',
+    });
+  } catch (error) {
+    console.error('Error in logout:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to log out',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Log out of every device: revoke all refresh tokens of the caller and
+ * invalidate all access tokens issued so far, including the one used here
+ *
+ * @route POST /api/v1/auth/logout-all
+ * @access Any authenticated account
+ */
+exports.logoutAll = async (req, res) => {
+  try {
+    const revoked = await TokenService.revokeAll(req.user.id, req.user.role, 'logout_all');
+
+    res.json({
+      success: true,
+      message: 'Logged out of all devices',
+      data: {
+        sessionsRevoked: revoked,
+      },
+    });
+  } catch (error) {
+    console.error('Error in logoutAll:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to log out of all devices',
+      message: error.message,
+    });
+  }
+};
+
+// ============================================================================
+// LOGIN LOCKOUTS
+// ============================================================================
+
+/**
+ * List emails and IPs currently locked out of logging in
+ *
+ * @route GET /api/v1/auth/lockouts
+ * @access Super admin, support
+ *
+ * @queryparam {string} scope - email | ip
+ */
+exports.getLockouts = async (req, res) => {
+  try {
+    const { scope } = req.query;
+
+    if (scope && !LOCK_SCOPES.includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid scope',
+        validScopes: LOCK_SCOPES,
+      });
+    }
+
+    const locks = await LoginGuard.activeLocks({ scope });
+
+    res.json({
+      success: true,
+      count: locks.length,
+      data: locks,
+    });
+  } catch (error) {
+    console.error('Error in getLockouts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve lockouts',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Lift a login lockout early. Also resets the lockout history, so the next
+ * lockout is short again.
+ *
+ * @route POST /api/v1/auth/lockouts/unlock
+ * @access Super admin, support
+ *
+ * @bodyparam {string} email - Email address to unlock
+ * @bodyparam {string} ip    - Or: client IP to unlock
+ */
+exports.unlockLogin = async (req, res) => {
+  try {
+    const { email, ip } = req.body || {};
+
+    if (Boolean(email) === Boolean(ip)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide either email or ip',
+      });
+    }
+
+    const [scope, value] = email ? ['email', email] : ['ip', ip];
+
+    const unlocked = await LoginGuard.unlock(scope, String(value), {
+      id: req.user.id,
+      ip: req.ip,
+      userAgent: req.get('user-agent') || null,
+    });
+
+    if (!unlocked) {
+      return res.status(404).json({
+        success: false,
+        error: `No active lockout for this ${scope}`,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Login unlocked for ${scope} ${value}`,
+    });
+  } catch (error) {
+    console.error('Error in unlockLogin:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to unlock login',
+      message: error.message,
+    });
+  }
+};
+
+// ============================================================================
+// AUTH EVENT LOG
+// ============================================================================
+
+/**
+ * Query the log of login attempts, lockouts and unlocks, newest first
+ *
+ * @route GET /api/v1/auth/events
+ * @access Super admin, support
+ *
+ * @queryparam {string} type - login_success | login_failure | login_blocked | lockout | unlock | mail_blocked | two_factor_*
+ * @queryparam {string} email - Attempted email address
+ * @queryparam {string} account - Account ID
+ * @queryparam {string} accountModel - Agent | CorporateAgent | ProjectOwner | Admin | Donor
+ * @queryparam {string} ip - Client IP
+ * @queryparam {string} from - Start date (inclusive)
+ * @queryparam {string} to - End date (inclusive)
+ * @queryparam {number} page - Page number (default: 1)
+ * @queryparam {number} limit - Items per page (default: 20, max: 100)
+ */
+exports.getAuthEvents = async (req, res) => {
+  try {
+    const { type, email, account, accountModel, ip, from, to, page = 1, limit = 20 } = req.query;
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+    const query = {};
+    if (type) query.type = type;
+    if (email) query.email = String(email).trim().toLowerCase();
+    if (accountModel) query.accountModel = accountModel;
+    if (ip) query.ip = ip;
+
+    if (account) {
+      if (!/^[0-9a-fA-F]{24}$/.test(account)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid account ID format',
+        });
+      }
+      query.account = account;
+    }
+
+    if (from || to) {
+      const range = {};
+      if (from) range.$gte = new Date(from);
+      if (to) range.$lte = new Date(to);
+
+      if (Object.values(range).some((date) => isNaN(date.getTime()))) {
+        return res.status(400).json({
+          success: false,
+          error: 'from and to must be valid dates',
+        });
+      }
+      query.createdAt = range;
+    }
+
+    const events = await AuthEvent.find(query)
+      .populate('account', 'name email')
+      .populate('actor', 'name email')
+      .sort('-createdAt')
+      .limit(limitNum)
+      .skip((pageNum - 1) * limitNum)
+      .lean();
+
+    const count = await AuthEvent.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: events,
+      pagination: {
+        total: count,
+        page: pageNum,
+        limit: limitNum,
+        pages: Math.ceil(count / limitNum),
+      },
+    });
+  } catch (error) {
+    console.error('Error in getAuthEvents:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve auth events',
+      message: error.message,
+    });
+  }
+};
@@ -19,6 +19,7 @@
 const Campaign = require('../models/Campaign');
 const Donation = require('../models/Donation');
 const { validationResult } = require('express-validator');
+const { BASE_AMOUNT } = require('../fx/exchange.rate.service');
 
 // ============================================================================
 // CAMPAIGN RETRIEVAL OPERATIONS
@@ -153,6 +154,7 @@ exports.getAllCampaigns = async (req, res) => {
  *   - Populated seasons
  *   - Populated cycles
  *   - Calculated progress percentage
+ *   - Amount still owed on open pledges, next to the amount raised
  *   - Days remaining until end date
  *
  * @throws {404} Campaign not found
@@ -224,6 +226,10 @@ exports.getCampaign = async (req, res) => {
     // Amount remaining to reach goal
     const amountRemaining = Math.max(0, campaign.goal - campaign.totalRaised);
 
+    // Still owed on open pledges, shown next to (not inside) totalRaised
+    const amountPledged = campaign.pledgeOutstanding || 0;
+    const raisedPlusPledged = Math.round((campaign.totalRaised + amountPledged) * 100) / 100;
+
     // Enriched campaign object
     const enrichedCampaign = {
       ...campaign,
@@ -237,6 +243,11 @@ exports.getCampaign = async (req, res) => {
         isActive: hasStarted && !hasEnded && campaign.status === 'active',
         avgDonation,
         amountRemaining,
+        amountPledged,
+        raisedPlusPledged,
+        progressWithPledgesPercent: campaign.goal > 0
+          ? Math.round((raisedPlusPledged / campaign.goal) * 100 * 100) / 100
+          : 0,
         percentageOfTimeElapsed: totalDays > 0
           ? Math.round((daysElapsed / totalDays) * 100 * 100) / 100
           : 0
@@ -269,11 +280,12 @@ exports.getCampaign = async (req, res) => {
  * Create a new campaign
  *
  * @route POST /api/campaigns
- * @access Public/Admin (depends on your auth setup)
+ * @access Admin
  *
  * @bodyparam {string} name - Campaign name (required, max 200 chars)
  * @bodyparam {string} description - Campaign description (max 2000 chars)
  * @bodyparam {number} goal - Fundraising goal amount (required, min 0)
+ * @bodyparam {string} baseCurrency - Currency of the goal and totals (default: DEFAULT_BASE_CURRENCY)
  * @bodyparam {Date} startDate - Campaign start date (required)
  * @bodyparam {Date} endDate - Campaign end date (required, must be after startDate)
  * @bodyparam {string} status - Campaign status (draft, active, paused, completed, cancelled)
@@ -310,7 +322,7 @@ exports.createCampaign = async (req, res) => {
       });
     }
 
-    const { name, description, goal, startDate, endDate, status } = req.body;
+    const { name, description, goal, baseCurrency, startDate, endDate, status, settings } = req.body;
 
     // Additional business logic validations
     const start = new Date(startDate);
@@ -358,9 +370,11 @@ exports.createCampaign = async (req, res) => {
       name,
       description,
       goal,
+      baseCurrency,
       startDate: start,
       endDate: end,
       status: status || 'draft',
+      settings,
       totalRaised: 0,
       donationCount: 0
     });
@@ -407,7 +421,7 @@ exports.createCampaign = async (req, res) => {
  * Update an existing campaign
  *
  * @route PUT /api/campaigns/:id
- * @access Public/Admin
+ * @access Admin
  *
  * @param {string} id - Campaign MongoDB ObjectId
  * @bodyparam Any campaign field to update
@@ -416,6 +430,7 @@ exports.createCampaign = async (req, res) => {
  *
  * @throws {400} Validation errors
  * @throws {404} Campaign not found
+ * @throws {409} baseCurrency changed on a campaign that has donations
  *
  * @example
  * PUT /api/campaigns/507f1f77bcf86cd799439011
@@ -490,6 +505,17 @@ exports.updateCampaign = async (req, res) => {
       }
     }
 
+    // Totals are in the base currency; changing it would leave them meaningless
+    if (req.body.baseCurrency
+      && String(req.body.baseCurrency).toUpperCase() !== existingCampaign.baseCurrency
+      && await Donation.exists({ campaign: existingCampaign._id })) {
+      return res.status(409).json({
+        success: false,
+        error: 'Cannot change the base currency of a campaign that has donations',
+        baseCurrency: existingCampaign.baseCurrency
+      });
+    }
+
     // Prevent manual modification of calculated fields
     const protectedFields = ['totalRaised', 'donationCount', 'createdAt', 'updatedAt'];
     const attemptedProtectedUpdates = protectedFields.filter(field => req.body[field] !== undefined);
@@ -560,7 +586,7 @@ exports.updateCampaign = async (req, res) => {
  * WARNING: This is a hard delete. Consider implementing soft delete for production.
  *
  * @route DELETE /api/campaigns/:id
- * @access Admin only (recommended)
+ * @access Admin
  *
  * @param {string} id - Campaign MongoDB ObjectId
  *
@@ -719,12 +745,12 @@ exports.getCampaignStats = async (req, res) => {
       {
         $group: {
           _id: null,
-          totalAmount: { $sum: '$amount' },
+          totalAmount: { $sum: BASE_AMOUNT },
           count: { $sum: 1 },
-          avgDonation: { $avg: '$amount' },
-          maxDonation: { $max: '$amount' },
-          minDonation: { $min: '$amount' },
-          medianAmount: { $push: '$amount' } // For median calculation
+          avgDonation: { $avg: BASE_AMOUNT },
+          maxDonation: { $max: BASE_AMOUNT },
+          minDonation: { $min: BASE_AMOUNT },
+          medianAmount: { $push: BASE_AMOUNT } // For median calculation
         }
       }
     ]);
@@ -758,6 +784,10 @@ exports.getCampaignStats = async (req, res) => {
     const amountRemaining = Math.max(0, campaign.goal - campaign.totalRaised);
     const isGoalReached = campaign.totalRaised >= campaign.goal;
 
+    // Open pledges: what is still owed, kept apart from money raised
+    const amountPledged = campaign.pledgeOutstanding || 0;
+    const raisedPlusPledged = Math.round((campaign.totalRaised + amountPledged) * 100) / 100;
+
     // ========================================================================
     // TIMELINE ANALYSIS
     // ========================================================================
@@ -793,7 +823,7 @@ exports.getCampaignStats = async (req, res) => {
         $group: {
           _id: '$donor',
           donationCount: { $sum: 1 },
-          totalContributed: { $sum: '$amount' }
+          totalContributed: { $sum: BASE_AMOUNT }
         }
       },
       {
@@ -835,8 +865,8 @@ exports.getCampaignStats = async (req, res) => {
         $group: {
           _id: '$paymentMethod',
           count: { $sum: 1 },
-          total: { $sum: '$amount' },
-          average: { $avg: '$amount' }
+          total: { $sum: BASE_AMOUNT },
+          average: { $avg: BASE_AMOUNT }
         }
       },
       {
@@ -859,7 +889,7 @@ exports.getCampaignStats = async (req, res) => {
         $group: {
           _id: '$donationType',
           count: { $sum: 1 },
-          total: { $sum: '$amount' }
+          total: { $sum: BASE_AMOUNT }
         }
       },
       {
@@ -888,7 +918,7 @@ exports.getCampaignStats = async (req, res) => {
             $dateToString: { format: '%Y-%m-%d', date: '$donationDate' }
           },
           count: { $sum: 1 },
-          total: { $sum: '$amount' }
+          total: { $sum: BASE_AMOUNT }
         }
       },
       {
@@ -937,7 +967,14 @@ exports.getCampaignStats = async (req, res) => {
           amountRaised: campaign.totalRaised,
           amountRemaining,
           isGoalReached,
-          percentageLabel: `${progressPercent}%`
+          percentageLabel: `${progressPercent}%`,
+          amountPledged,
+          totalPledged: campaign.totalPledged || 0,
+          pledgeCount: campaign.pledgeCount || 0,
+          raisedPlusPledged,
+          percentWithPledges: campaign.goal > 0
+            ? Math.round((raisedPlusPledged / campaign.goal) * 100 * 100) / 100
+            : 0
         },
         timeline: {
           totalDays,
@@ -1092,7 +1129,7 @@ exports.getTopDonors = async (req, res) => {
       {
         $group: {
           _id: '$donor',
-          totalContributed: { $sum: '$amount' },
+          totalContributed: { $sum: BASE_AMOUNT },
           donationCount: { $sum: 1 },
           lastDonation: { $max: '$donationDate' }
         }
@@ -0,0 +1,905 @@
+/**
+ * ============================================================================
+ * CYCLE CONTROLLER
+ * ============================================================================
+ *
+ * This controller handles all cycle-related operations including:
+ * - CRUD operations for campaign cycles
+ * - Attaching seasons to (and detaching them from) a cycle
+ * - Cycle analytics across its seasons
+ *
+ * A cycle groups a fixed number of consecutive seasons of a campaign
+ * (seasonsPerCycle, 10 by default). Seasons are numbered 1..seasonsPerCycle
+ * within their cycle, and donations to an attached season count towards it.
+ *
+ * @module controllers/cycleController
+ * @requires models/Cycle
+ * @requires models/Season
+ * @requires models/Campaign
+ * @requires models/Donation
+ */
+
+const Cycle = require('../models/Cycle');
+const Season = require('../models/Season');
+const Campaign = require('../models/Campaign');
+const Donation = require('../models/Donation');
+const mongoose = require('mongoose');
+const { BASE_AMOUNT } = require('../fx/exchange.rate.service');
+
+const isObjectId = (id) => /^[0-9a-fA-F]{24}$/.test(id);
+
+/**
+ * Recalculate a cycle's totals from its completed donations
+ * (aggregate does not cast, so cycleId must be an ObjectId)
+ */
+const refreshCycleTotals = async (cycleId) => {
+  const result = await Donation.aggregate([
+    { $match: { cycle: cycleId, status: 'completed' } },
+    { $group: { _id: null, total: { $sum: BASE_AMOUNT }, count: { $sum: 1 } } }
+  ]);
+  const stats = result[0] || { total: 0, count: 0 };
+
+  return Cycle.findByIdAndUpdate(
+    cycleId,
+    { totalRaised: stats.total, donationCount: stats.count },
+    { new: true }
+  );
+};
+
+// ============================================================================
+// CYCLE RETRIEVAL OPERATIONS
+// ============================================================================
+
+/**
+ * Get all cycles with filtering and pagination
+ *
+ * @route GET /api/v1/cycles
+ * @access Public
+ *
+ * @queryparam {string} campaign - Filter by campaign ID
+ * @queryparam {string} status - Filter by status (upcoming, active, completed)
+ * @queryparam {number} page - Page number (default: 1)
+ * @queryparam {number} limit - Items per page (default: 10, max: 100)
+ * @queryparam {string} sort - Sort field (default: 'cycleNumber')
+ */
+exports.getAllCycles = async (req, res) => {
+  try {
+    const {
+      campaign,
+      status,
+      page = 1,
+      limit = 10,
+      sort = 'cycleNumber'
+    } = req.query;
+
+    const pageNum = Math.max(1, parseInt(page));
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+
+    const query = {};
+
+    if (campaign) {
+      query.campaign = campaign;
+    }
+
+    if (status && ['upcoming', 'active', 'completed'].includes(status)) {
+      query.status = status;
+    }
+
+    const cycles = await Cycle.find(query)
+      .populate('campaign', 'name status')
+      .sort(sort)
+      .limit(limitNum)
+      .skip((pageNum - 1) * limitNum)
+      .lean();
+
+    const count = await Cycle.countDocuments(query);
+
+    // Number of seasons attached to each cycle on this page
+    const seasonCounts = await Season.aggregate([
+      { $match: { cycle: { $in: cycles.map(c => c._id) } } },
+      { $group: { _id: '$cycle', count: { $sum: 1 } } }
+    ]);
+    const seasonsByCycle = new Map(seasonCounts.map(s => [String(s._id), s.count]));
+
+    const enhancedCycles = cycles.map(cycle => ({
+      ...cycle,
+      metrics: {
+        progressPercent: cycle.goal > 0
+          ? Math.round((cycle.totalRaised / cycle.goal) * 100 * 100) / 100
+          : 0,
+        seasonCount: seasonsByCycle.get(String(cycle._id)) || 0,
+        seasonsPerCycle: cycle.seasonsPerCycle
+      }
+    }));
+
+    const totalPages = Math.ceil(count / limitNum);
+
+    res.json({
+      success: true,
+      data: enhancedCycles,
+      pagination: {
+        total: count,
+        page: pageNum,
+        limit: limitNum,
+        pages: totalPages,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1
+      },
+      filters: {
+        campaign: campaign || null,
+        status: status || 'all',
+        sort
+      }
+    });
+  } catch (error) {
+    console.error('Error in getAllCycles:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve cycles',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get a single cycle with its seasons
+ *
+ * @route GET /api/v1/cycles/:id
+ * @access Public
+ *
+ * @throws {400} Invalid cycle ID format
+ * @throws {404} Cycle not found
+ */
+exports.getCycle = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cycle ID format'
+      });
+    }
+
+    const cycle = await Cycle.findById(id)
+      .populate('campaign', 'name description goal totalRaised status startDate endDate')
+      .populate({
+        path: 'seasons',
+        select: 'name seasonNumber goal totalRaised donationCount status startDate endDate',
+        options: { sort: { seasonNumber: 1 } }
+      })
+      .lean();
+
+    if (!cycle) {
+      return res.status(404).json({
+        success: false,
+        error: 'Cycle not found',
+        requestedId: id
+      });
+    }
+
+    const seasons = cycle.seasons || [];
+    const progressPercent = cycle.goal > 0
+      ? Math.round((cycle.totalRaised / cycle.goal) * 100 * 100) / 100
+      : 0;
+
+    res.json({
+      success: true,
+      data: {
+        ...cycle,
+        progress: {
+          percent: progressPercent,
+          amountRaised: cycle.totalRaised,
+          amountRemaining: Math.max(0, (cycle.goal || 0) - cycle.totalRaised),
+          isGoalReached: cycle.goal > 0 && cycle.totalRaised >= cycle.goal
+        },
+        seasonProgress: {
+          attached: seasons.length,
+          completed: seasons.filter(s => s.status === 'completed').length,
+          seasonsPerCycle: cycle.seasonsPerCycle,
+          remainingSlots: Math.max(0, cycle.seasonsPerCycle - seasons.length)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error in getCycle:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve cycle',
+      message: error.message
+    });
+  }
+};
+
+// ============================================================================
+// CYCLE CREATION AND MODIFICATION
+// ============================================================================
+
+/**
+ * Create a new cycle for a campaign
+ * cycleNumber defaults to the campaign's next cycle number
+ *
+ * @route POST /api/v1/cycles
+ * @access Admin
+ *
+ * @bodyparam {string} name - Cycle name (required)
+ * @bodyparam {string} campaign - Campaign ID (required)
+ * @bodyparam {number} cycleNumber - Cycle number (optional)
+ * @bodyparam {number} goal - Cycle goal (optional)
+ * @bodyparam {number} seasonsPerCycle - Seasons in the cycle (default: 10)
+ * @bodyparam {string} status - upcoming, active or completed (default: upcoming)
+ * @bodyparam {Date} startDate - Start date (optional)
+ * @bodyparam {Date} endDate - End date (optional)
+ *
+ * @throws {404} Campaign not found
+ * @throws {409} Cycle number already used in the campaign
+ */
+exports.createCycle = async (req, res) => {
+  try {
+    const { name, campaign, cycleNumber, goal, seasonsPerCycle, status, startDate, endDate } = req.body || {};
+
+    if (!campaign || !isObjectId(campaign)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid campaign ID is required'
+      });
+    }
+
+    const campaignDoc = await Campaign.findById(campaign).select('name startDate endDate').lean();
+    if (!campaignDoc) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found',
+        campaignId: campaign
+      });
+    }
+
+    if (startDate && endDate && new Date(startDate) > new Date(endDate)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Start date must be before end date'
+      });
+    }
+
+    let number = cycleNumber;
+    if (number === undefined) {
+      const last = await Cycle.findOne({ campaign }).sort('-cycleNumber').select('cycleNumber').lean();
+      number = last ? last.cycleNumber + 1 : 1;
+    }
+
+    const cycle = await Cycle.create({
+      name: name?.trim(),
+      campaign,
+      cycleNumber: number,
+      goal: goal || undefined,
+      seasonsPerCycle: seasonsPerCycle || undefined,
+      status: status || 'upcoming',
+      startDate: startDate ? new Date(startDate) : undefined,
+      endDate: endDate ? new Date(endDate) : undefined,
+      totalRaised: 0,
+      donationCount: 0
+    });
+
+    await cycle.populate('campaign', 'name');
+
+    res.status(201).json({
+      success: true,
+      message: 'Cycle created successfully',
+      data: cycle
+    });
+  } catch (error) {
+    console.error('Error in createCycle:', error);
+
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: validationErrors
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'A cycle with this number already exists for the campaign'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create cycle',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Update an existing cycle
+ *
+ * @route PUT /api/v1/cycles/:id
+ * @access Admin
+ *
+ * @throws {400} Calculated fields or campaign change requested
+ * @throws {404} Cycle not found
+ * @throws {409} seasonsPerCycle below the number of attached seasons
+ */
+exports.updateCycle = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const updates = req.body || {};
+
+    if (!isObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cycle ID format'
+      });
+    }
+
+    const existingCycle = await Cycle.findById(id);
+    if (!existingCycle) {
+      return res.status(404).json({
+        success: false,
+        error: 'Cycle not found',
+        requestedId: id
+      });
+    }
+
+    // Prevent manual modification of calculated fields
+    const protectedFields = ['totalRaised', 'donationCount', 'createdAt', 'updatedAt'];
+    const attemptedProtectedUpdates = protectedFields.filter(field => updates[field] !== undefined);
+
+    if (attemptedProtectedUpdates.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot manually update calculated fields',
+        protectedFields: attemptedProtectedUpdates,
+        message: 'These fields are automatically calculated based on donations'
+      });
+    }
+
+    if (updates.campaign && String(updates.campaign) !== String(existingCycle.campaign)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A cycle cannot be moved to another campaign'
+      });
+    }
+
+    const attachedSeasons = await Season.countDocuments({ cycle: existingCycle._id });
+
+    if (updates.seasonsPerCycle !== undefined && updates.seasonsPerCycle < attachedSeasons) {
+      return res.status(409).json({
+        success: false,
+        error: `Cycle already has ${attachedSeasons} season(s) attached`,
+        seasonsPerCycle: updates.seasonsPerCycle
+      });
+    }
+
+    const cycle = await Cycle.findByIdAndUpdate(
+      id,
+      updates,
+      {
+        new: true,
+        runValidators: true
+      }
+    ).populate('campaign', 'name');
+
+    res.json({
+      success: true,
+      message: 'Cycle updated successfully',
+      data: cycle,
+      metadata: {
+        updatedFields: Object.keys(updates),
+        previousStatus: existingCycle.status,
+        currentStatus: cycle.status
+      }
+    });
+  } catch (error) {
+    console.error('Error in updateCycle:', error);
+
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: validationErrors
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'A cycle with this number already exists for the campaign'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update cycle',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Delete a cycle that has no seasons attached
+ *
+ * @route DELETE /api/v1/cycles/:id
+ * @access Admin
+ *
+ * @throws {404} Cycle not found
+ * @throws {409} Seasons are still attached
+ */
+exports.deleteCycle = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cycle ID format'
+      });
+    }
+
+    const cycle = await Cycle.findById(id);
+    if (!cycle) {
+      return res.status(404).json({
+        success: false,
+        error: 'Cycle not found',
+        requestedId: id
+      });
+    }
+
+    const attachedSeasons = await Season.countDocuments({ cycle: cycle._id });
+    if (attachedSeasons > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Cycle has ${attachedSeasons} season(s) attached`,
+        suggestion: 'Detach the seasons before deleting the cycle'
+      });
+    }
+
+    const warnings = [];
+    const donationsCount = await Donation.countDocuments({ cycle: cycle._id });
+    if (donationsCount > 0) {
+      warnings.push(`Cycle has ${donationsCount} associated donation(s). These will no longer be linked to a cycle.`);
+      await Donation.updateMany({ cycle: cycle._id }, { $set: { cycle: null } });
+    }
+
+    await Cycle.findByIdAndDelete(id);
+
+    res.json({
+      success: true,
+      message: 'Cycle deleted successfully',
+      deletedCycle: {
+        id: cycle._id,
+        name: cycle.name,
+        campaign: cycle.campaign,
+        cycleNumber: cycle.cycleNumber,
+        totalRaised: cycle.totalRaised,
+        donationCount: cycle.donationCount
+      },
+      warnings: warnings.length > 0 ? warnings : undefined
+    });
+  } catch (error) {
+    console.error('Error in deleteCycle:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete cycle',
+      message: error.message
+    });
+  }
+};
+
+// ============================================================================
+// CYCLE SEASONS
+// ============================================================================
+
+/**
+ * Get the seasons attached to a cycle, in season number order
+ *
+ * @route GET /api/v1/cycles/:id/seasons
+ * @access Public
+ */
+exports.getCycleSeasons = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cycle ID format'
+      });
+    }
+
+    const cycle = await Cycle.findById(id).select('name cycleNumber seasonsPerCycle campaign').lean();
+    if (!cycle) {
+      return res.status(404).json({
+        success: false,
+        error: 'Cycle not found',
+        requestedId: id
+      });
+    }
+
+    const seasons = await Season.find({ cycle: cycle._id })
+      .sort('seasonNumber')
+      .lean();
+
+    res.json({
+      success: true,
+      data: seasons.map(season => ({
+        ...season,
+        metrics: {
+          progressPercent: season.goal > 0
+            ? Math.round((season.totalRaised / season.goal) * 100 * 100) / 100
+            : 0
+        }
+      })),
+      cycle: {
+        id: cycle._id,
+        name: cycle.name,
+        cycleNumber: cycle.cycleNumber,
+        seasonsPerCycle: cycle.seasonsPerCycle,
+        remainingSlots: Math.max(0, cycle.seasonsPerCycle - seasons.length)
+      }
+    });
+  } catch (error) {
+    console.error('Error in getCycleSeasons:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve cycle seasons',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Attach a season to a cycle
+ * The season's donations are linked to the cycle and its totals recalculated
+ *
+ * @route POST /api/v1/cycles/:id/seasons
+ * @access Admin
+ *
+ * @bodyparam {string} season - Season ID (required)
+ * @bodyparam {number} seasonNumber - Position in the cycle (default: next free number)
+ *
+ * @throws {404} Cycle or season not found
+ * @throws {409} Different campaign, season already in a cycle, cycle full or number taken
+ */
+exports.attachSeason = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { season: seasonId, seasonNumber } = req.body || {};
+
+    if (!isObjectId(id) || !seasonId || !isObjectId(seasonId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Valid cycle and season IDs are required'
+      });
+    }
+
+    const [cycle, season] = await Promise.all([
+      Cycle.findById(id),
+      Season.findById(seasonId)
+    ]);
+
+    if (!cycle) {
+      return res.status(404).json({
+        success: false,
+        error: 'Cycle not found',
+        requestedId: id
+      });
+    }
+
+    if (!season) {
+      return res.status(404).json({
+        success: false,
+        error: 'Season not found',
+        seasonId
+      });
+    }
+
+    if (String(season.campaign) !== String(cycle.campaign)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Season does not belong to the cycle\'s campaign'
+      });
+    }
+
+    if (season.cycle) {
+      return res.status(409).json({
+        success: false,
+        error: String(season.cycle) === String(cycle._id)
+          ? 'Season is already attached to this cycle'
+          : 'Season is already attached to another cycle',
+        cycle: season.cycle
+      });
+    }
+
+    const attached = await Season.find({ cycle: cycle._id }).select('seasonNumber').lean();
+
+    if (attached.length >= cycle.seasonsPerCycle) {
+      return res.status(409).json({
+        success: false,
+        error: `Cycle already has ${cycle.seasonsPerCycle} season(s)`
+      });
+    }
+
+    const usedNumbers = attached.map(s => s.seasonNumber);
+    const number = seasonNumber !== undefined
+      ? parseInt(seasonNumber)
+      : Math.max(0, ...usedNumbers) + 1;
+
+    if (!(number >= 1 && number <= cycle.seasonsPerCycle)) {
+      return res.status(400).json({
+        success: false,
+        error: `seasonNumber must be between 1 and ${cycle.seasonsPerCycle}`
+      });
+    }
+
+    if (usedNumbers.includes(number)) {
+      return res.status(409).json({
+        success: false,
+        error: `Season number ${number} is already taken in this cycle`
+      });
+    }
+
+    // Conditional on cycle still being unset so a concurrent attach cannot win twice
+    const updated = await Season.findOneAndUpdate(
+      { _id: season._id, cycle: null },
+      { $set: { cycle: cycle._id, seasonNumber: number } },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        error: 'Season was attached to a cycle concurrently'
+      });
+    }
+
+    const linked = await Donation.updateMany({ season: season._id }, { $set: { cycle: cycle._id } });
+    const refreshedCycle = await refreshCycleTotals(cycle._id);
+
+    res.status(201).json({
+      success: true,
+      message: `Season attached to cycle ${cycle.cycleNumber} as season ${number}`,
+      data: updated,
+      cycle: {
+        id: refreshedCycle._id,
+        totalRaised: refreshedCycle.totalRaised,
+        donationCount: refreshedCycle.donationCount
+      },
+      metadata: {
+        donationsLinked: linked.modifiedCount
+      }
+    });
+  } catch (error) {
+    console.error('Error in attachSeason:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to attach season to cycle',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Detach a season from a cycle
+ *
+ * @route DELETE /api/v1/cycles/:id/seasons/:seasonId
+ * @access Admin
+ *
+ * @throws {404} Season is not attached to this cycle
+ */
+exports.detachSeason = async (req, res) => {
+  try {
+    const { id, seasonId } = req.params;
+
+    if (!isObjectId(id) || !isObjectId(seasonId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cycle or season ID format'
+      });
+    }
+
+    const season = await Season.findOneAndUpdate(
+      { _id: seasonId, cycle: id },
+      { $set: { cycle: null, seasonNumber: null } },
+      { new: true }
+    );
+
+    if (!season) {
+      return res.status(404).json({
+        success: false,
+        error: 'Season is not attached to this cycle'
+      });
+    }
+
+    const unlinked = await Donation.updateMany(
+      { season: season._id, cycle: id },
+      { $set: { cycle: null } }
+    );
+    const refreshedCycle = await refreshCycleTotals(new mongoose.Types.ObjectId(id));
+
+    res.json({
+      success: true,
+      message: 'Season detached from cycle',
+      data: season,
+      cycle: refreshedCycle ? {
+        id: refreshedCycle._id,
+        totalRaised: refreshedCycle.totalRaised,
+        donationCount: refreshedCycle.donationCount
+      } : null,
+      metadata: {
+        donationsUnlinked: unlinked.modifiedCount
+      }
+    });
+  } catch (error) {
+    console.error('Error in detachSeason:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to detach season from cycle',
+      message: error.message
+    });
+  }
+};
+
+// ============================================================================
+// CYCLE ANALYTICS
+// ============================================================================
+
+/**
+ * Get cycle statistics across its seasons
+ *
+ * @route GET /api/v1/cycles/:id/stats
+ * @access Public
+ */
+exports.getCycleStats = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cycle ID format'
+      });
+    }
+
+    const cycle = await Cycle.findById(id).populate('campaign', 'name').lean();
+
+    if (!cycle) {
+      return res.status(404).json({
+        success: false,
+        error: 'Cycle not found',
+        requestedId: id
+      });
+    }
+
+    const seasons = await Season.find({ cycle: cycle._id })
+      .sort('seasonNumber')
+      .select('name seasonNumber goal totalRaised donationCount status goalReachedAt')
+      .lean();
+
+    // Donation statistics
+    const donationStats = await Donation.aggregate([
+      { $match: { cycle: cycle._id, status: 'completed' } },
+      {
+        $group: {
+          _id: null,
+          totalAmount: { $sum: BASE_AMOUNT },
+          count: { $sum: 1 },
+          avgDonation: { $avg: BASE_AMOUNT },
+          maxDonation: { $max: BASE_AMOUNT },
+          minDonation: { $min: BASE_AMOUNT }
+        }
+      }
+    ]);
+
+    const stats = donationStats[0] || {
+      totalAmount: 0,
+      count: 0,
+      avgDonation: 0,
+      maxDonation: 0,
+      minDonation: 0
+    };
+
+    // Donor analytics
+    const donorStats = await Donation.aggregate([
+      { $match: { cycle: cycle._id, status: 'completed' } },
+      {
+        $group: {
+          _id: '$donor',
+          seasons: { $addToSet: '$season' }
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          uniqueDonors: { $sum: 1 },
+          multiSeasonDonors: {
+            $sum: { $cond: [{ $gt: [{ $size: '$seasons' }, 1] }, 1, 0] }
+          }
+        }
+      }
+    ]);
+
+    const donors = donorStats[0] || { uniqueDonors: 0, multiSeasonDonors: 0 };
+
+    const progressPercent = cycle.goal > 0
+      ? Math.round((cycle.totalRaised / cycle.goal) * 100 * 100) / 100
+      : 0;
+
+    res.json({
+      success: true,
+      data: {
+        cycle: {
+          id: cycle._id,
+          name: cycle.name,
+          campaign: cycle.campaign,
+          cycleNumber: cycle.cycleNumber,
+          goal: cycle.goal,
+          totalRaised: cycle.totalRaised,
+          donationCount: cycle.donationCount,
+          status: cycle.status,
+          startDate: cycle.startDate,
+          endDate: cycle.endDate
+        },
+        progress: {
+          percent: progressPercent,
+          amountRaised: cycle.totalRaised,
+          amountRemaining: Math.max(0, (cycle.goal || 0) - cycle.totalRaised),
+          isGoalReached: cycle.goal > 0 && cycle.totalRaised >= cycle.goal
+        },
+        seasonProgress: {
+          seasonsPerCycle: cycle.seasonsPerCycle,
+          attached: seasons.length,
+          completed: seasons.filter(s => s.status === 'completed').length,
+          goalsReached: seasons.filter(s => s.goalReachedAt).length
+        },
+        donationStatistics: {
+          total: stats.totalAmount,
+          count: stats.count,
+          average: Math.round((stats.avgDonation || 0) * 100) / 100,
+          maximum: stats.maxDonation,
+          minimum: stats.minDonation
+        },
+        donorAnalytics: {
+          uniqueDonors: donors.uniqueDonors,
+          multiSeasonDonors: donors.multiSeasonDonors
+        },
+        seasons: seasons.map(s => ({
+          id: s._id,
+          name: s.name,
+          seasonNumber: s.seasonNumber,
+          goal: s.goal,
+          totalRaised: s.totalRaised,
+          donationCount: s.donationCount,
+          status: s.status,
+          progressPercent: s.goal > 0
+            ? Math.round((s.totalRaised / s.goal) * 100 * 100) / 100
+            : 0,
+          shareOfCycle: cycle.totalRaised > 0
+            ? Math.round((s.totalRaised / cycle.totalRaised) * 100 * 100) / 100
+            : 0
+        }))
+      },
+      generatedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error in getCycleStats:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve cycle statistics',
+      message: error.message
+    });
+  }
+};
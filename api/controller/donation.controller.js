@@ -18,16 +18,36 @@
  * @requires models/Donor
  * @requires models/Season
  * @requires models/Cycle
+ * @requires models/Agent
+ * @requires models/CorporateAgent
+ * @requires models/Pledge
+ * @requires rollover/season.assignment
+ * @requires fx/exchange.rate.service
+ * @requires refunds/refund.service
+ * @requires auth/token.service
+ * @requires donor/donor.service
  * @requires express-validator
  */
 
+const mongoose = require('mongoose');
 const Donation = require('../models/Donation');
 const Campaign = require('../models/Campaign');
 const Donor = require('../models/Donor');
 const Season = require('../models/Season');
 const Cycle = require('../models/Cycle');
+const Agent = require('../models/Agent');
+const CorporateAgent = require('../models/CorporateAgent');
+const Pledge = require('../models/Pledge');
+const SeasonAssignment = require('../rollover/season.assignment');
+const ExchangeRateService = require('../fx/exchange.rate.service');
+const RefundService = require('../refunds/refund.service');
+const TokenService = require('../auth/token.service');
+const DonorService = require('../donor/donor.service');
+const { ROLES, hasPermission } = require('../middlesware/permissions');
 const { validationResult } = require('express-validator');
 
+const { BASE_AMOUNT } = ExchangeRateService;
+
 // ============================================================================
 // DONATION RETRIEVAL OPERATIONS
 // ============================================================================
@@ -36,12 +56,15 @@ const { validationResult } = require('express-validator');
  * Get all donations with advanced filtering and population
  *
  * @route GET /api/donations
- * @access Public
+ * @access Admin, Agent, CorporateAgent (donations they brought in)
  *
  * @queryparam {string} campaign - Filter by campaign ID
  * @queryparam {string} donor - Filter by donor ID
  * @queryparam {string} season - Filter by season ID
  * @queryparam {string} cycle - Filter by cycle ID
+ * @queryparam {string} seasonAssignment - Filter by provided, auto, backfill, out_of_season
+ * @queryparam {string} agent - Filter by attributed agent or corporate agent ID
+ * @queryparam {string} pledge - Filter by the pledge donations pay toward
  * @queryparam {string} status - Filter by donation status
  * @queryparam {string} donationType - Filter by type (one-time, recurring, pledge)
  * @queryparam {string} paymentMethod - Filter by payment method
@@ -68,6 +91,9 @@ exports.getAllDonations = async (req, res) => {
       donor,
       season,
       cycle,
+      seasonAssignment,
+      agent,
+      pledge,
       status,
       donationType,
       paymentMethod,
@@ -94,6 +120,9 @@ exports.getAllDonations = async (req, res) => {
     if (donor) query.donor = donor;
     if (season) query.season = season;
     if (cycle) query.cycle = cycle;
+    if (seasonAssignment) query.seasonAssignment = seasonAssignment;
+    if (agent) query.agent = agent;
+    if (pledge) query.pledge = pledge;
 
     // Status and type filters
     if (status) {
@@ -140,6 +169,9 @@ exports.getAllDonations = async (req, res) => {
       query.receiptSent = receiptSent === 'true';
     }
 
+    // Agents only see the donations they brought in
+    Object.assign(query, DonorService.donationScope(req.user));
+
     // Execute query with full population
     const donations = await Donation.find(query)
       .populate('campaign', 'name status goal totalRaised')
@@ -161,10 +193,10 @@ exports.getAllDonations = async (req, res) => {
       {
         $group: {
           _id: null,
-          totalAmount: { $sum: '$amount' },
-          avgAmount: { $avg: '$amount' },
-          maxAmount: { $max: '$amount' },
-          minAmount: { $min: '$amount' },
+          totalAmount: { $sum: BASE_AMOUNT },
+          avgAmount: { $avg: BASE_AMOUNT },
+          maxAmount: { $max: BASE_AMOUNT },
+          minAmount: { $min: BASE_AMOUNT },
           completedCount: {
             $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] }
           },
@@ -205,6 +237,8 @@ exports.getAllDonations = async (req, res) => {
         donor: donor || null,
         season: season || null,
         cycle: cycle || null,
+        seasonAssignment: seasonAssignment || null,
+        agent: agent || null,
         status: status || 'all',
         donationType: donationType || 'all',
         paymentMethod: paymentMethod || 'all',
@@ -240,7 +274,7 @@ exports.getAllDonations = async (req, res) => {
  * Get a single donation by ID with complete details
  *
  * @route GET /api/donations/:id
- * @access Public
+ * @access Admin, Agent, CorporateAgent (donations they brought in)
  *
  * @param {string} id - Donation MongoDB ObjectId
  *
@@ -271,10 +305,11 @@ exports.getDonation = async (req, res) => {
     }
 
     // Find donation with full population
-    const donation = await Donation.findById(id)
+    const scope = DonorService.donationScope(req.user);
+    const donation = await Donation.findOne({ _id: id, ...scope })
       .populate({
         path: 'campaign',
-        select: 'name description goal totalRaised status startDate endDate'
+        select: 'name description goal baseCurrency totalRaised status startDate endDate'
       })
       .populate({
         path: 'donor',
@@ -303,16 +338,22 @@ exports.getDonation = async (req, res) => {
       donor: donation.donor._id,
       campaign: donation.campaign._id,
       _id: { $ne: donation._id },
-      status: 'completed'
+      status: 'completed',
+      ...scope
     })
-      .select('amount donationDate status')
+      .select('amount currency baseAmount refundedAmount refundedBaseAmount donationDate status')
       .sort('-donationDate')
       .limit(5)
       .lean();
 
+    // Campaign figures are in its base currency and net of refunds
+    const inBase = d => (d.baseAmount !== null && d.baseAmount !== undefined ? d.baseAmount : d.amount) - (d.refundedBaseAmount || 0);
+    const baseAmount = inBase(donation);
+    const relatedTotal = relatedDonations.reduce((sum, d) => sum + inBase(d), 0);
+
     // Calculate campaign progress at time of donation
     const campaignProgressAtDonation = donation.campaign.goal > 0
-      ? Math.round(((donation.campaign.totalRaised - donation.amount) / donation.campaign.goal) * 100 * 100) / 100
+      ? Math.round(((donation.campaign.totalRaised - baseAmount) / donation.campaign.goal) * 100 * 100) / 100
       : 0;
 
     const campaignCurrentProgress = donation.campaign.goal > 0
@@ -321,7 +362,7 @@ exports.getDonation = async (req, res) => {
 
     // Calculate donation impact
     const donationImpact = donation.campaign.totalRaised > 0
-      ? Math.round((donation.amount / donation.campaign.totalRaised) * 100 * 100) / 100
+      ? Math.round((baseAmount / donation.campaign.totalRaised) * 100 * 100) / 100
       : 0;
 
     // Days since donation
@@ -337,17 +378,18 @@ exports.getDonation = async (req, res) => {
         donationImpact: `${donationImpact}% of campaign total`,
         campaignProgressBefore: `${campaignProgressAtDonation}%`,
         campaignProgressAfter: `${campaignCurrentProgress}%`,
-        progressContribution: `+${Math.round((donation.amount / donation.campaign.goal) * 100 * 100) / 100}%`,
+        progressContribution: `+${Math.round((baseAmount / donation.campaign.goal) * 100 * 100) / 100}%`,
         donorGivingPattern: {
-          totalToCampaign: relatedDonations.reduce((sum, d) => sum + d.amount, 0) + donation.amount,
+          totalToCampaign: Math.round((relatedTotal + baseAmount) * 100) / 100,
           donationsToCampaign: relatedDonations.length + 1,
           averageDonationToCampaign: relatedDonations.length > 0
-            ? Math.round(((relatedDonations.reduce((sum, d) => sum + d.amount, 0) + donation.amount) / (relatedDonations.length + 1)) * 100) / 100
-            : donation.amount
+            ? Math.round(((relatedTotal + baseAmount) / (relatedDonations.length + 1)) * 100) / 100
+            : baseAmount
         }
       },
       relatedDonations: relatedDonations.map(d => ({
         amount: d.amount,
+        currency: d.currency,
         date: d.donationDate,
         status: d.status
       })),
@@ -382,18 +424,21 @@ exports.getDonation = async (req, res) => {
  * Create a new donation with validation and relationship verification
  *
  * @route POST /api/donations
- * @access Public
+ * @access Admin, Agent, CorporateAgent, Donor (donors and agents only as themselves)
  *
  * @bodyparam {string} campaign - Campaign ID (required)
- * @bodyparam {string} donor - Donor ID (required)
- * @bodyparam {string} season - Season ID (optional)
- * @bodyparam {string} cycle - Cycle ID (optional)
+ * @bodyparam {string} donor - Donor ID (required; ignored for donors, who give as themselves)
+ * @bodyparam {string} season - Season ID (optional, resolved from donationDate when omitted)
+ * @bodyparam {string} cycle - Cycle ID (optional, taken from the season or resolved from donationDate)
+ * @bodyparam {string} agent - ID of the agent who brought the donation in (optional; agents are always credited themselves)
+ * @bodyparam {string} agentModel - Agent or CorporateAgent (required with agent)
  * @bodyparam {number} amount - Donation amount (required, min: 0.01)
- * @bodyparam {string} currency - Currency code (default: USD)
+ * @bodyparam {string} currency - Currency code (default: the campaign's baseCurrency; converted with the rate effective on donationDate)
  * @bodyparam {string} donationType - Type: one-time, recurring, pledge
+ * @bodyparam {string} pledge - ID of the open pledge this donation pays toward (optional, implies donationType pledge)
  * @bodyparam {string} paymentMethod - Payment method (required)
  * @bodyparam {string} transactionId - External transaction ID (optional)
- * @bodyparam {string} status - Status (default: pending)
+ * @bodyparam {string} status - Status (default: pending; admins only, others always start pending)
  * @bodyparam {Date} donationDate - Date of donation (default: now)
  * @bodyparam {string} notes - Additional notes (optional)
  * @bodyparam {boolean} isAnonymous - Anonymous donation flag (default: false)
@@ -402,7 +447,8 @@ exports.getDonation = async (req, res) => {
  *
  * @throws {400} Validation errors
  * @throws {404} Campaign or Donor not found
- * @throws {409} Season/Cycle doesn't belong to campaign
+ * @throws {409} Season/Cycle doesn't belong to campaign, or pledge is not open or belongs to another donor/campaign
+ * @throws {422} Donation dated outside every season and the campaign rejects those
  *
  * @example
  * POST /api/donations
@@ -432,20 +478,31 @@ exports.createDonation = async (req, res) => {
 
     const {
       campaign,
-      donor,
       season,
       cycle,
       amount,
       currency,
       donationType,
+      pledge,
       paymentMethod,
       transactionId,
-      status,
       donationDate,
       notes,
       isAnonymous
     } = req.body;
 
+    // The route only requires donations:create:own. Donors give as
+    // themselves and agents are credited with what they bring in; choosing
+    // the status takes donations:create. Everyone else's donation starts
+    // pending and is completed by the payment webhook.
+    const { id: callerId, role } = req.user;
+    const fullControl = hasPermission(req.user, 'donations:create');
+    const isAgent = [ROLES.AGENT, ROLES.CORPORATE_AGENT].includes(role);
+    const donor = role === ROLES.DONOR ? callerId : req.body.donor;
+    const agent = isAgent ? callerId : req.body.agent;
+    const agentModel = isAgent ? TokenService.ACCOUNT_MODELS[role] : req.body.agentModel;
+    const status = fullControl ? req.body.status : 'pending';
+
     // Verify campaign exists and is active
     const campaignDoc = await Campaign.findById(campaign);
     if (!campaignDoc) {
@@ -468,8 +525,8 @@ exports.createDonation = async (req, res) => {
       });
     }
 
-    // Verify donor exists and is active
-    const donorDoc = await Donor.findById(donor);
+    // Verify donor exists and is active; agents only give for their own donors
+    const donorDoc = await Donor.findOne({ _id: donor, ...await DonorService.scope(req.user) });
     if (!donorDoc) {
       return res.status(404).json({
         success: false,
@@ -491,9 +548,72 @@ exports.createDonation = async (req, res) => {
       });
     }
 
+    // Verify the pledge is open and made by this donor to this campaign (if provided)
+    if (pledge) {
+      if (!/^[0-9a-fA-F]{24}$/.test(pledge)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid pledge ID format'
+        });
+      }
+
+      const pledgeDoc = await Pledge.findById(pledge).select('donor campaign status currency');
+      if (!pledgeDoc) {
+        return res.status(404).json({
+          success: false,
+          error: 'Pledge not found',
+          pledgeId: pledge
+        });
+      }
+
+      if (pledgeDoc.donor.toString() !== donor || pledgeDoc.campaign.toString() !== campaign) {
+        return res.status(409).json({
+          success: false,
+          error: 'Pledge was made by another donor or to another campaign',
+          pledge: {
+            id: pledgeDoc._id,
+            donor: pledgeDoc.donor,
+            campaign: pledgeDoc.campaign
+          }
+        });
+      }
+
+      if (pledgeDoc.status !== 'open') {
+        return res.status(409).json({
+          success: false,
+          error: `Cannot pay toward a ${pledgeDoc.status} pledge`,
+          pledge: {
+            id: pledgeDoc._id,
+            status: pledgeDoc.status
+          }
+        });
+      }
+
+      if (pledgeDoc.currency !== (currency || campaignDoc.baseCurrency).toUpperCase()) {
+        return res.status(400).json({
+          success: false,
+          error: `Pledge is in ${pledgeDoc.currency}`,
+          pledge: {
+            id: pledgeDoc._id,
+            currency: pledgeDoc.currency
+          }
+        });
+      }
+    }
+
+    const effectiveDate = donationDate ? new Date(donationDate) : new Date();
+    if (isNaN(effectiveDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid donationDate',
+        donationDate
+      });
+    }
+
     // Verify season belongs to campaign (if provided)
+    let seasonDoc = null;
     if (season) {
-      const seasonDoc = await Season.findById(season);
+      seasonDoc = await Season.findById(season);
       if (!seasonDoc) {
         return res.status(404).json({
           success: false,
@@ -542,6 +662,67 @@ exports.createDonation = async (req, res) => {
       }
     }
 
+    // Place the donation in the season and cycle covering its date when not given
+    let resolvedSeason = season || null;
+    let resolvedCycle = cycle || seasonDoc?.cycle || null;
+    let seasonAssignment = season ? 'provided' : null;
+
+    if (!season) {
+      const placement = await SeasonAssignment.resolve(campaign, effectiveDate);
+
+      if (placement.season) {
+        resolvedSeason = placement.season._id;
+        seasonAssignment = 'auto';
+      } else if (campaignDoc.settings?.outOfSeasonDonations === 'reject') {
+        return res.status(422).json({
+          success: false,
+          error: 'Donation date is outside every season of this campaign',
+          donationDate: effectiveDate,
+          campaign: {
+            id: campaignDoc._id,
+            name: campaignDoc.name
+          },
+          suggestion: 'Create or extend a season covering this date, or pass a season explicitly'
+        });
+      } else {
+        seasonAssignment = 'out_of_season';
+      }
+
+      if (!resolvedCycle && placement.cycle) resolvedCycle = placement.cycle._id;
+    }
+
+    // Verify attributed agent exists and is active (if provided)
+    if (agent) {
+      const AGENT_MODELS = { Agent, CorporateAgent };
+      if (!AGENT_MODELS[agentModel]) {
+        return res.status(400).json({
+          success: false,
+          error: 'agentModel must be one of: Agent, CorporateAgent',
+          agentModel: agentModel || null
+        });
+      }
+
+      const agentDoc = await AGENT_MODELS[agentModel].findById(agent).select('name isActive');
+      if (!agentDoc) {
+        return res.status(404).json({
+          success: false,
+          error: `${agentModel} not found`,
+          agentId: agent
+        });
+      }
+
+      if (!agentDoc.isActive) {
+        return res.status(400).json({
+          success: false,
+          error: `Cannot attribute donation to inactive ${agentModel}`,
+          agent: {
+            id: agentDoc._id,
+            name: agentDoc.name
+          }
+        });
+      }
+    }
+
     // Validate donation amount is reasonable
     const warnings = [];
     if (amount > 100000) {
@@ -552,19 +733,27 @@ exports.createDonation = async (req, res) => {
       warnings.push('Small donation amount - processing fees may exceed donation value');
     }
 
+    if (seasonAssignment === 'out_of_season') {
+      warnings.push('Donation date is outside every season - it will not count toward season totals');
+    }
+
     // Create donation
     const donation = await Donation.create({
       campaign,
       donor,
-      season: season || undefined,
-      cycle: cycle || undefined,
+      season: resolvedSeason || undefined,
+      cycle: resolvedCycle || undefined,
+      seasonAssignment,
+      agent: agent || undefined,
+      agentModel: agent ? agentModel : undefined,
       amount: parseFloat(amount),
-      currency: currency || 'USD',
-      donationType: donationType || 'one-time',
+      currency: currency || campaignDoc.baseCurrency,
+      donationType: pledge ? 'pledge' : donationType || 'one-time',
+      pledge: pledge || undefined,
       paymentMethod,
       transactionId: transactionId || undefined,
       status: status || 'pending',
-      donationDate: donationDate || new Date(),
+      donationDate: effectiveDate,
       notes: notes || undefined,
       isAnonymous: isAnonymous || false,
       receiptSent: false
@@ -572,10 +761,11 @@ exports.createDonation = async (req, res) => {
 
     // Populate references for response
     await donation.populate([
-      { path: 'campaign', select: 'name goal totalRaised' },
+      { path: 'campaign', select: 'name goal totalRaised baseCurrency' },
       { path: 'donor', select: 'firstName lastName email' },
       { path: 'season', select: 'name' },
-      { path: 'cycle', select: 'name cycleNumber' }
+      { path: 'cycle', select: 'name cycleNumber' },
+      { path: 'agent', select: 'name email' }
     ]);
 
     res.status(201).json({
@@ -751,11 +941,11 @@ exports.getDonationAnalytics = async (req, res) => {
       {
         $group: {
           _id: null,
-          totalAmount: { $sum: '$amount' },
+          totalAmount: { $sum: BASE_AMOUNT },
           count: { $sum: 1 },
-          avgDonation: { $avg: '$amount' },
-          maxDonation: { $max: '$amount' },
-          minDonation: { $min: '$amount' }
+          avgDonation: { $avg: BASE_AMOUNT },
+          maxDonation: { $max: BASE_AMOUNT },
+          minDonation: { $min: BASE_AMOUNT }
         }
       }
     ]);
@@ -767,7 +957,7 @@ exports.getDonationAnalytics = async (req, res) => {
         $group: {
           _id: '$paymentMethod',
           count: { $sum: 1 },
-          total: { $sum: '$amount' }
+          total: { $sum: BASE_AMOUNT }
         }
       },
       { $sort: { total: -1 } }
@@ -780,7 +970,7 @@ exports.getDonationAnalytics = async (req, res) => {
         $group: {
           _id: '$donationType',
           count: { $sum: 1 },
-          total: { $sum: '$amount' }
+          total: { $sum: BASE_AMOUNT }
         }
       }
     ]);
@@ -858,17 +1048,40 @@ exports.updateDonation = async (req, res) => {
     }
 
     const updatedFields = Object.keys(req.body);
+    const update = { ...req.body };
+
+    // Refunded and held amounts are kept by the refund service
+    ['refundedAmount', 'refundedBaseAmount', 'pendingRefundAmount'].forEach(field => delete update[field]);
+
+    // findByIdAndUpdate skips the model's conversion hook, so reconvert here
+    if (['amount', 'currency', 'campaign', 'donationDate'].some(field => field in update)) {
+      const { fields, error } = await ExchangeRateService.convertDonation({
+        campaign: update.campaign || existingDonation.campaign,
+        amount: update.amount || existingDonation.amount,
+        currency: 'currency' in update ? update.currency : existingDonation.currency,
+        donationDate: update.donationDate || existingDonation.donationDate
+      });
+
+      if (!fields) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+
+      Object.assign(update, fields);
+    }
 
     const donation = await Donation.findByIdAndUpdate(
       id,
-      req.body,
+      update,
       {
         new: true,
         runValidators: true,
         context: 'query'
       }
     ).populate([
-      { path: 'campaign', select: 'name goal totalRaised' },
+      { path: 'campaign', select: 'name goal totalRaised baseCurrency' },
       { path: 'donor', select: 'firstName lastName email' },
       { path: 'season', select: 'name' },
       { path: 'cycle', select: 'name cycleNumber' }
@@ -1037,7 +1250,7 @@ exports.processDonation = async (req, res) => {
     await donation.save();
 
     await donation.populate([
-      { path: 'campaign', select: 'name goal totalRaised donationCount' },
+      { path: 'campaign', select: 'name goal baseCurrency totalRaised donationCount' },
       { path: 'donor', select: 'firstName lastName email totalDonated donationCount' }
     ]);
 
@@ -1095,7 +1308,7 @@ exports.processDonation = async (req, res) => {
  * Get comprehensive donation analytics
  *
  * @route GET /api/donations/analytics
- * @access Public
+ * @access Admin, Agent, CorporateAgent (donations they brought in)
  */
 exports.getDonationAnalytics = async (req, res) => {
   try {
@@ -1107,11 +1320,11 @@ exports.getDonationAnalytics = async (req, res) => {
       status = 'completed'
     } = req.query;
 
-    const matchQuery = {};
+    const matchQuery = { ...DonorService.donationScope(req.user) };
 
     if (status) matchQuery.status = status;
-    if (campaign) matchQuery.campaign = mongoose.Types.ObjectId(campaign);
-    if (donor) matchQuery.donor = mongoose.Types.ObjectId(donor);
+    if (campaign) matchQuery.campaign = new mongoose.Types.ObjectId(campaign);
+    if (donor) matchQuery.donor = new mongoose.Types.ObjectId(donor);
 
     if (startDate || endDate) {
       matchQuery.donationDate = {};
@@ -1125,12 +1338,12 @@ exports.getDonationAnalytics = async (req, res) => {
       {
         $group: {
           _id: null,
-          totalAmount: { $sum: '$amount' },
+          totalAmount: { $sum: BASE_AMOUNT },
           count: { $sum: 1 },
-          avgDonation: { $avg: '$amount' },
-          maxDonation: { $max: '$amount' },
-          minDonation: { $min: '$amount' },
-          medianCalc: { $push: '$amount' }
+          avgDonation: { $avg: BASE_AMOUNT },
+          maxDonation: { $max: BASE_AMOUNT },
+          minDonation: { $min: BASE_AMOUNT },
+          medianCalc: { $push: BASE_AMOUNT }
         }
       }
     ]);
@@ -1160,8 +1373,8 @@ exports.getDonationAnalytics = async (req, res) => {
         $group: {
           _id: '$paymentMethod',
           count: { $sum: 1 },
-          total: { $sum: '$amount' },
-          avg: { $avg: '$amount' }
+          total: { $sum: BASE_AMOUNT },
+          avg: { $avg: BASE_AMOUNT }
         }
       },
       { $sort: { total: -1 } }
@@ -1174,8 +1387,8 @@ exports.getDonationAnalytics = async (req, res) => {
         $group: {
           _id: '$donationType',
           count: { $sum: 1 },
-          total: { $sum: '$amount' },
-          avg: { $avg: '$amount' }
+          total: { $sum: BASE_AMOUNT },
+          avg: { $avg: BASE_AMOUNT }
         }
       },
       { $sort: { total: -1 } }
@@ -1191,7 +1404,7 @@ exports.getDonationAnalytics = async (req, res) => {
             month: { $month: '$donationDate' }
           },
           count: { $sum: 1 },
-          total: { $sum: '$amount' }
+          total: { $sum: BASE_AMOUNT }
         }
       },
       { $sort: { '_id.year': -1, '_id.month': -1 } },
@@ -1205,8 +1418,8 @@ exports.getDonationAnalytics = async (req, res) => {
         $group: {
           _id: { $dayOfWeek: '$donationDate' },
           count: { $sum: 1 },
-          total: { $sum: '$amount' },
-          avg: { $avg: '$amount' }
+          total: { $sum: BASE_AMOUNT },
+          avg: { $avg: BASE_AMOUNT }
         }
       },
       { $sort: { _id: 1 } }
@@ -1217,12 +1430,12 @@ exports.getDonationAnalytics = async (req, res) => {
       { $match: matchQuery },
       {
         $bucket: {
-          groupBy: '$amount',
+          groupBy: BASE_AMOUNT,
           boundaries: [0, 50, 100, 250, 500, 1000, 5000, 10000, 50000, 100000, Infinity],
           default: 'Other',
           output: {
             count: { $sum: 1 },
-            total: { $sum: '$amount' }
+            total: { $sum: BASE_AMOUNT }
           }
         }
       }
@@ -1235,7 +1448,7 @@ exports.getDonationAnalytics = async (req, res) => {
         $group: {
           _id: '$campaign',
           count: { $sum: 1 },
-          total: { $sum: '$amount' }
+          total: { $sum: BASE_AMOUNT }
         }
       },
       { $sort: { total: -1 } },
@@ -1258,7 +1471,7 @@ exports.getDonationAnalytics = async (req, res) => {
         $group: {
           _id: '$donor',
           count: { $sum: 1 },
-          total: { $sum: '$amount' }
+          total: { $sum: BASE_AMOUNT }
         }
       },
       { $sort: { total: -1 } },
@@ -1281,7 +1494,7 @@ exports.getDonationAnalytics = async (req, res) => {
         $group: {
           _id: '$isAnonymous',
           count: { $sum: 1 },
-          total: { $sum: '$amount' }
+          total: { $sum: BASE_AMOUNT }
         }
       }
     ]);
@@ -1430,48 +1643,207 @@ exports.markReceiptSent = async (req, res) => {
 };
 
 /**
- * Refund a donation
+ * Refund part or all of a completed donation. Each refund is recorded as a
+ * Refund; totals subtract only the refunded portion and the donation moves
+ * to refunded once nothing is left (see refunds/refund.service).
+ *
  * @route PATCH /api/donations/:id/refund
+ * @access Super admin, finance
+ *
+ * @bodyparam {number} amount - Amount to refund in the donation's currency (default: all that is left)
+ * @bodyparam {string} reason - Why the money is returned (required)
+ * @bodyparam {string} method - gateway | manual (default: gateway when the donation's provider supports refunds)
+ *
+ * @throws {409} The donation's season has already paid out profit sharing (REFUNDS_AFTER_PAYOUT=block)
+ * @throws {409} A refund issued at the same time holds the amount
+ * @throws {409} The donation changed while the refund was applied; the refund is left pending
+ * @throws {502} The payment provider rejected the refund
  */
 exports.refundDonation = async (req, res) => {
   try {
     const { id } = req.params;
-    const { reason } = req.body;
+    const { amount, reason, method } = req.body || {};
 
-    const donation = await Donation.findById(id);
+    if (!/^[0-9a-fA-F]{24}$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid donation ID format'
+      });
+    }
 
-    if (!donation) {
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'A reason is required'
+      });
+    }
+
+    if (amount !== undefined && amount !== null && !(Number(amount) > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'amount must be greater than 0'
+      });
+    }
+
+    if (method && !['gateway', 'manual'].includes(method)) {
+      return res.status(400).json({
+        success: false,
+        error: 'method must be gateway or manual'
+      });
+    }
+
+    const result = await RefundService.create(
+      id,
+      { amount: amount === undefined || amount === null ? null : Number(amount), reason: String(reason).trim(), method },
+      req.user
+    );
+
+    if (!result.success) {
+      const { status, success, ...details } = result;
+      return res.status(status).json({ success: false, ...details });
+    }
+
+    const pending = result.refund.status === 'pending';
+
+    res.status(pending ? 202 : 200).json({
+      success: true,
+      message: pending ? 'Refund requested' : 'Refund completed',
+      data: {
+        refund: result.refund,
+        donation: result.donation
+      },
+      warnings: result.warnings.length > 0 ? result.warnings : undefined
+    });
+  } catch (error) {
+    console.error('Error in refundDonation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to refund donation',
+      message: error.message
+    });
+  }
+};
+
+// ============================================================================
+// SEASON ASSIGNMENT
+// ============================================================================
+
+/**
+ * Assign existing donations without a season to the season and cycle
+ * covering their donationDate
+ *
+ * @route POST /api/donations/backfill-seasons
+ * @access Admin
+ *
+ * @bodyparam {string} campaign - Only backfill this campaign (optional)
+ * @bodyparam {boolean} dryRun - Report what would be assigned without saving (default: false)
+ *
+ * @returns {Object} JSON response with assignment counts and seasons that reached their goal,
+ *   each with the profit sharing job queued for it
+ */
+exports.backfillDonationSeasons = async (req, res) => {
+  try {
+    const { campaign, dryRun = false } = req.body || {};
+
+    if (campaign && !/^[0-9a-fA-F]{24}$/.test(campaign)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid campaign ID format'
+      });
+    }
+
+    if (campaign && !(await Campaign.exists({ _id: campaign }))) {
       return res.status(404).json({
         success: false,
-        error: 'Donation not found'
+        error: 'Campaign not found',
+        campaignId: campaign
       });
     }
 
-    if (donation.status !== 'completed') {
+    const result = await SeasonAssignment.backfill({
+      campaign: campaign || null,
+      dryRun: dryRun === true || dryRun === 'true'
+    });
+
+    res.json({
+      success: true,
+      message: result.dryRun
+        ? `${result.assigned} of ${result.checked} donation(s) would be assigned a season`
+        : `${result.assigned} of ${result.checked} donation(s) assigned a season`,
+      data: result,
+      warnings: result.goalsReached.some(season => !season.job)
+        ? ['Profit sharing could not be queued for some seasons that reached their goal - run it for them manually']
+        : undefined
+    });
+  } catch (error) {
+    console.error('Error in backfillDonationSeasons:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to backfill donation seasons',
+      message: error.message
+    });
+  }
+};
+
+// ============================================================================
+// CURRENCY CONVERSION
+// ============================================================================
+
+/**
+ * Convert existing donations into their campaign's base currency with the
+ * uploaded exchange rates, and recalculate the totals they feed
+ *
+ * @route POST /api/donations/backfill-currency
+ * @access Admin
+ *
+ * @bodyparam {string} campaign - Only convert this campaign's donations (optional)
+ * @bodyparam {boolean} onlyMissing - Only donations never converted (default: true);
+ *   false reconverts every donation, e.g. after correcting a rate
+ * @bodyparam {boolean} dryRun - Report what would be converted without saving (default: false)
+ *
+ * @returns {Object} JSON response with conversion counts and currency pairs missing a rate
+ */
+exports.backfillDonationCurrency = async (req, res) => {
+  try {
+    const { campaign, onlyMissing = true, dryRun = false } = req.body || {};
+
+    if (campaign && !/^[0-9a-fA-F]{24}$/.test(campaign)) {
       return res.status(400).json({
         success: false,
-        error: 'Can only refund completed donations',
-        currentStatus: donation.status
+        error: 'Invalid campaign ID format'
       });
     }
 
-    donation.status = 'refunded';
-    if (reason) {
-      donation.notes = donation.notes ? `${donation.notes}; REFUND: ${reason}` : `REFUND: ${reason}`;
+    if (campaign && !(await Campaign.exists({ _id: campaign }))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found',
+        campaignId: campaign
+      });
     }
-    await donation.save();
+
+    const result = await ExchangeRateService.backfill({
+      campaign: campaign || null,
+      onlyMissing: !(onlyMissing === false || onlyMissing === 'false'),
+      dryRun: dryRun === true || dryRun === 'true'
+    });
 
     res.json({
       success: true,
-      message: 'Donation refunded successfully',
-      data: donation,
-      note: 'Totals will be recalculated automatically'
+      message: result.dryRun
+        ? `${result.converted} of ${result.checked} donation(s) would be converted`
+        : `${result.converted} of ${result.checked} donation(s) converted`,
+      data: result,
+      warnings: result.missingRates.length > 0
+        ? ['Some donations have no exchange rate for their date - upload rates and run the backfill again']
+        : undefined
     });
   } catch (error) {
+    console.error('Error in backfillDonationCurrency:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to refund donation',
+      error: 'Failed to convert donation currencies',
       message: error.message
     });
   }
-};
\ No newline at end of file
+};
@@ -14,13 +14,22 @@
  * @module controllers/donorController
  * @requires models/Donor
  * @requires models/Donation
+ * @requires donor/donor.service
+ * @requires auth/token.service
  * @requires express-validator
  */
 
 const Donor = require('../models/Donor');
 const Donation = require('../models/Donation');
 const Campaign = require('../models/Campaign');
+const DonorService = require('../donor/donor.service');
+const TokenService = require('../auth/token.service');
+const { ROLES } = require('../middlesware/permissions');
 const { validationResult } = require('express-validator');
+const { BASE_AMOUNT } = require('../fx/exchange.rate.service');
+
+// Match user input literally inside a RegExp
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
 // ============================================================================
 // DONOR RETRIEVAL OPERATIONS
@@ -30,7 +39,7 @@ const { validationResult } = require('express-validator');
  * Get all donors with advanced filtering, search, and pagination
  *
  * @route GET /api/donors
- * @access Public
+ * @access Admin, Agent, CorporateAgent (agents: donors they recorded or took donations from)
  *
  * @queryparam {string} search - Full-text search in firstName, lastName, email
  * @queryparam {string} donorType - Filter by donor type (individual, organization, foundation)
@@ -116,15 +125,18 @@ exports.getAllDonors = async (req, res) => {
 
     // Address filters
     if (city) {
-      query['address.city'] = new RegExp(city, 'i');
+      query['address.city'] = new RegExp(escapeRegex(city), 'i');
     }
     if (state) {
       query['address.state'] = state.toUpperCase();
     }
     if (country) {
-      query['address.country'] = new RegExp(country, 'i');
+      query['address.country'] = new RegExp(escapeRegex(country), 'i');
     }
 
+    // Agents only see their own donors
+    Object.assign(query, await DonorService.scope(req.user));
+
     // Execute query with pagination
     const donors = await Donor.find(query)
       .sort(sort)
@@ -193,7 +205,7 @@ exports.getAllDonors = async (req, res) => {
  * Get a single donor by ID with comprehensive details
  *
  * @route GET /api/donors/:id
- * @access Public
+ * @access Admin, Agent, CorporateAgent (own donors), or the donor
  *
  * @param {string} id - Donor MongoDB ObjectId
  *
@@ -223,7 +235,7 @@ exports.getDonor = async (req, res) => {
     }
 
     // Find donor
-    const donor = await Donor.findById(id).lean();
+    const donor = await Donor.findOne({ _id: id, ...await DonorService.scope(req.user) }).lean();
 
     if (!donor) {
       return res.status(404).json({
@@ -244,11 +256,11 @@ exports.getDonor = async (req, res) => {
       {
         $group: {
           _id: null,
-          totalAmount: { $sum: '$amount' },
+          totalAmount: { $sum: BASE_AMOUNT },
           count: { $sum: 1 },
-          avgDonation: { $avg: '$amount' },
-          maxDonation: { $max: '$amount' },
-          minDonation: { $min: '$amount' },
+          avgDonation: { $avg: BASE_AMOUNT },
+          maxDonation: { $max: BASE_AMOUNT },
+          minDonation: { $min: BASE_AMOUNT },
           firstDonation: { $min: '$donationDate' },
           lastDonation: { $max: '$donationDate' },
           campaigns: { $addToSet: '$campaign' }
@@ -308,7 +320,7 @@ exports.getDonor = async (req, res) => {
         $group: {
           _id: '$donationType',
           count: { $sum: 1 },
-          total: { $sum: '$amount' }
+          total: { $sum: BASE_AMOUNT }
         }
       }
     ]);
@@ -433,7 +445,7 @@ function classifyDonor(donor, stats) {
  * Create a new donor with comprehensive validation
  *
  * @route POST /api/donors
- * @access Public/Admin
+ * @access Admin, Agent, CorporateAgent (agents are recorded as the donor's agent)
  *
  * @bodyparam {string} firstName - First name (required, max 100 chars)
  * @bodyparam {string} lastName - Last name (required, max 100 chars)
@@ -494,9 +506,19 @@ exports.createDonor = async (req, res) => {
 
     // Check for duplicate email (case-insensitive)
     const existingDonor = await Donor.findOne({
-      email: { $regex: new RegExp(`^${email}$`, 'i') }
+      email: { $regex: new RegExp(`^${escapeRegex(email)}$`, 'i') }
     });
 
+    // Agents are not shown donors that are not theirs
+    const scoped = DonorService.isScoped(req.user);
+
+    if (existingDonor && scoped) {
+      return res.status(409).json({
+        success: false,
+        error: 'A donor with this email already exists'
+      });
+    }
+
     if (existingDonor) {
       return res.status(409).json({
         success: false,
@@ -541,6 +563,8 @@ exports.createDonor = async (req, res) => {
       address: normalizedAddress,
       donorType: donorType || 'individual',
       tags: tags || [],
+      agent: scoped ? req.user.id : null,
+      agentModel: scoped ? TokenService.ACCOUNT_MODELS[req.user.role] : null,
       isActive: true,
       totalDonated: 0,
       donationCount: 0
@@ -609,14 +633,15 @@ exports.createDonor = async (req, res) => {
  * Update an existing donor
  *
  * @route PUT /api/donors/:id
- * @access Public/Admin
+ * @access Admin, Agent, CorporateAgent (own donors; donors edit their own profile through PATCH /me)
  *
  * @param {string} id - Donor MongoDB ObjectId
- * @bodyparam Any donor field to update (except protected fields)
+ * @bodyparam Any donor field to update (except protected fields, and email
+ *   once the donor has a portal account)
  *
  * @returns {Object} JSON response with updated donor
  *
- * @throws {400} Validation errors
+ * @throws {400} Validation errors, protected fields, or email of a portal account
  * @throws {404} Donor not found
  * @throws {409} Email already in use by another donor
  *
@@ -656,8 +681,10 @@ exports.updateDonor = async (req, res) => {
       });
     }
 
-    // Get existing donor
-    const existingDonor = await Donor.findById(id);
+    // Get existing donor (with its password, to tell whether it has a portal account)
+    const scope = await DonorService.scope(req.user);
+    const scoped = DonorService.isScoped(req.user);
+    const existingDonor = await Donor.findOne({ _id: id, ...scope }).select('+password');
     if (!existingDonor) {
       return res.status(404).json({
         success: false,
@@ -679,10 +706,39 @@ exports.updateDonor = async (req, res) => {
       });
     }
 
+    // Portal credentials and preferences belong to the donor; agents cannot
+    // hand their donors to someone else
+    const accountFields = ['password', 'tokenVersion', 'twoFactor', 'lastLoginAt', 'preferences'];
+    if (scoped) accountFields.push('agent', 'agentModel');
+    const attemptedAccountUpdates = accountFields.filter(field => req.body[field] !== undefined);
+
+    if (attemptedAccountUpdates.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot update donor account fields',
+        protectedFields: attemptedAccountUpdates,
+        message: 'Donors manage their credentials and preferences through the donor portal'
+      });
+    }
+
+    const emailChanged = req.body.email !== undefined
+      && String(req.body.email).toLowerCase() !== existingDonor.email.toLowerCase();
+
+    // A portal account signs in with its email (password reset, magic link),
+    // so changing it here would hand the account to whoever owns the new one
+    if (emailChanged && (existingDonor.password || existingDonor.lastLoginAt)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot change the email of a donor with a portal account',
+        protectedFields: ['email'],
+        message: 'The donor signs in to the donor portal with this email'
+      });
+    }
+
     // If email is being updated, check for duplicates
-    if (req.body.email && req.body.email.toLowerCase() !== existingDonor.email.toLowerCase()) {
+    if (emailChanged) {
       const duplicateEmail = await Donor.findOne({
-        email: { $regex: new RegExp(`^${req.body.email}$`, 'i') },
+        email: { $regex: new RegExp(`^${escapeRegex(req.body.email)}$`, 'i') },
         _id: { $ne: id }
       });
 
@@ -690,7 +746,7 @@ exports.updateDonor = async (req, res) => {
         return res.status(409).json({
           success: false,
           error: 'Email already in use by another donor',
-          existingDonor: {
+          existingDonor: scoped ? undefined : {
             id: duplicateEmail._id,
             fullName: duplicateEmail.fullName
           }
@@ -843,7 +899,7 @@ exports.deleteDonor = async (req, res) => {
         $group: {
           _id: '$status',
           count: { $sum: 1 },
-          total: { $sum: '$amount' }
+          total: { $sum: BASE_AMOUNT }
         }
       }
     ]);
@@ -896,7 +952,7 @@ exports.deleteDonor = async (req, res) => {
  * Get comprehensive donation history for a donor
  *
  * @route GET /api/donors/:id/history
- * @access Public
+ * @access Admin, Agent, CorporateAgent (own donors), or the donor
  *
  * @param {string} id - Donor MongoDB ObjectId
  * @queryparam {number} page - Page number (default: 1)
@@ -918,18 +974,9 @@ exports.deleteDonor = async (req, res) => {
 exports.getDonorHistory = async (req, res) => {
   try {
     const { id } = req.params;
-    const {
-      page = 1,
-      limit = 10,
-      status,
-      campaign,
-      sort = '-donationDate',
-      startDate,
-      endDate
-    } = req.query;
 
     // Validate donor exists
-    const donor = await Donor.findById(id);
+    const donor = await Donor.findOne({ _id: id, ...await DonorService.scope(req.user) });
 
     if (!donor) {
       return res.status(404).json({
@@ -939,200 +986,11 @@ exports.getDonorHistory = async (req, res) => {
       });
     }
 
-    // Build donation query
-    const donationQuery = { donor: donor._id };
-
-    if (status) donationQuery.status = status;
-    if (campaign) donationQuery.campaign = campaign;
-
-    // Date range filter
-    if (startDate || endDate) {
-      donationQuery.donationDate = {};
-      if (startDate) donationQuery.donationDate.$gte = new Date(startDate);
-      if (endDate) donationQuery.donationDate.$lte = new Date(endDate);
-    }
-
-    // Pagination
-    const pageNum = Math.max(1, parseInt(page));
-    const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
-
-    // Get donations
-    const donations = await Donation.find(donationQuery)
-      .populate('campaign', 'name status')
-      .populate('season', 'name')
-      .populate('cycle', 'name cycleNumber')
-      .sort(sort)
-      .limit(limitNum)
-      .skip((pageNum - 1) * limitNum)
-      .lean();
-
-    const count = await Donation.countDocuments(donationQuery);
-
-    // Get comprehensive statistics
-    const stats = await Donation.aggregate([
-      { $match: { donor: donor._id, status: 'completed' } },
-      {
-        $group: {
-          _id: null,
-          totalAmount: { $sum: '$amount' },
-          count: { $sum: 1 },
-          avgDonation: { $avg: '$amount' },
-          maxDonation: { $max: '$amount' },
-          minDonation: { $min: '$amount' },
-          firstDonation: { $min: '$donationDate' },
-          lastDonation: { $max: '$donationDate' }
-        }
-      }
-    ]);
-
-    const donationStats = stats[0] || {
-      totalAmount: 0,
-      count: 0,
-      avgDonation: 0,
-      maxDonation: 0,
-      minDonation: 0,
-      firstDonation: null,
-      lastDonation: null
-    };
-
-    // Get donations by year
-    const donationsByYear = await Donation.aggregate([
-      { $match: { donor: donor._id, status: 'completed' } },
-      {
-        $group: {
-          _id: { $year: '$donationDate' },
-          count: { $sum: 1 },
-          total: { $sum: '$amount' }
-        }
-      },
-      { $sort: { _id: -1 } }
-    ]);
-
-    // Get donations by campaign
-    const donationsByCampaign = await Donation.aggregate([
-      { $match: { donor: donor._id, status: 'completed' } },
-      {
-        $group: {
-          _id: '$campaign',
-          count: { $sum: 1 },
-          total: { $sum: '$amount' },
-          lastDonation: { $max: '$donationDate' }
-        }
-      },
-      { $sort: { total: -1 } },
-      { $limit: 10 },
-      {
-        $lookup: {
-          from: 'campaigns',
-          localField: '_id',
-          foreignField: '_id',
-          as: 'campaignInfo'
-        }
-      },
-      { $unwind: '$campaignInfo' }
-    ]);
-
-    // Get donations by payment method
-    const donationsByPaymentMethod = await Donation.aggregate([
-      { $match: { donor: donor._id, status: 'completed' } },
-      {
-        $group: {
-          _id: '$paymentMethod',
-          count: { $sum: 1 },
-          total: { $sum: '$amount' }
-        }
-      },
-      { $sort: { count: -1 } }
-    ]);
-
-    // Calculate giving consistency (donations per month since first donation)
-    const monthsSinceFirst = donationStats.firstDonation
-      ? Math.max(1, Math.ceil((new Date() - new Date(donationStats.firstDonation)) / (1000 * 60 * 60 * 24 * 30)))
-      : 0;
-
-    const givingConsistency = monthsSinceFirst > 0
-      ? Math.round((donationStats.count / monthsSinceFirst) * 100) / 100
-      : 0;
+    const history = await DonorService.history(donor, req.query);
 
     res.json({
       success: true,
-      data: {
-        donor: {
-          id: donor._id,
-          fullName: donor.fullName,
-          email: donor.email,
-          donorType: donor.donorType,
-          isActive: donor.isActive,
-          totalDonated: donor.totalDonated,
-          donationCount: donor.donationCount,
-          tags: donor.tags
-        },
-        donations,
-        statistics: {
-          lifetime: {
-            totalAmount: donationStats.totalAmount,
-            donationCount: donationStats.count,
-            avgDonation: Math.round((donationStats.avgDonation || 0) * 100) / 100,
-            maxDonation: donationStats.maxDonation,
-            minDonation: donationStats.minDonation,
-            firstDonation: donationStats.firstDonation,
-            lastDonation: donationStats.lastDonation
-          },
-          engagement: {
-            daysSinceFirst: donationStats.firstDonation
-              ? Math.floor((new Date() - new Date(donationStats.firstDonation)) / (1000 * 60 * 60 * 24))
-              : null,
-            daysSinceLast: donationStats.lastDonation
-              ? Math.floor((new Date() - new Date(donationStats.lastDonation)) / (1000 * 60 * 60 * 24))
-              : null,
-            givingConsistency, // Donations per month
-            averageGap: donationStats.count > 1 && donationStats.firstDonation && donationStats.lastDonation
-              ? Math.round((new Date(donationStats.lastDonation) - new Date(donationStats.firstDonation)) / (1000 * 60 * 60 * 24) / (donationStats.count - 1))
-              : null
-          },
-          breakdown: {
-            byYear: donationsByYear.map(y => ({
-              year: y._id,
-              count: y.count,
-              total: Math.round(y.total * 100) / 100
-            })),
-            byCampaign: donationsByCampaign.map(c => ({
-              campaign: {
-                id: c.campaignInfo._id,
-                name: c.campaignInfo.name
-              },
-              count: c.count,
-              total: Math.round(c.total * 100) / 100,
-              lastDonation: c.lastDonation
-            })),
-            byPaymentMethod: donationsByPaymentMethod.map(pm => ({
-              method: pm._id,
-              count: pm.count,
-              total: Math.round(pm.total * 100) / 100,
-              percentage: donationStats.totalAmount > 0
-                ? Math.round((pm.total / donationStats.totalAmount) * 100 * 100) / 100
-                : 0
-            }))
-          }
-        }
-      },
-      pagination: {
-        total: count,
-        page: pageNum,
-        limit: limitNum,
-        pages: Math.ceil(count / limitNum),
-        hasNextPage: pageNum < Math.ceil(count / limitNum),
-        hasPrevPage: pageNum > 1
-      },
-      filters: {
-        status: status || 'all',
-        campaign: campaign || 'all',
-        dateRange: {
-          start: startDate || null,
-          end: endDate || null
-        },
-        sort
-      }
+      ...history
     });
   } catch (error) {
     console.error('Error in getDonorHistory:', error);
@@ -1178,7 +1036,7 @@ exports.getDonorSegments = async (req, res) => {
         {
           $group: {
             _id: null,
-            totalAmount: { $sum: '$amount' },
+            totalAmount: { $sum: BASE_AMOUNT },
             count: { $sum: 1 },
             lastDonation: { $max: '$donationDate' }
           }
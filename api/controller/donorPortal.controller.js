@@ -0,0 +1,160 @@
+const Donor = require('../models/Donor');
+const DonorService = require('../donor/donor.service');
+
+// Donor portal: the signed-in donor's own giving and settings. Every handler
+// is scoped to req.user (role donor); see me.router.
+
+const sendFailure = (res, { status, error, success, ...details }) => res.status(status).json({
+  success: false,
+  error,
+  ...details,
+});
+
+// ============================================================================
+// GIVING
+// ============================================================================
+
+/**
+ * Get the caller's donation history with statistics. Same data as
+ * GET /donors/:id/history.
+ *
+ * @route GET /api/v1/me/donations
+ * @access Donor
+ *
+ * @queryparam {number} page - Page number (default: 1)
+ * @queryparam {number} limit - Items per page (default: 10, max: 100)
+ * @queryparam {string} status - Filter by donation status
+ * @queryparam {string} campaign - Filter by campaign ID
+ * @queryparam {string} sort - Sort order (default: '-donationDate')
+ * @queryparam {string} startDate - Filter donations from this date
+ * @queryparam {string} endDate - Filter donations until this date
+ */
+exports.getMyDonations = async (req, res) => {
+  try {
+    const donor = await Donor.findById(req.user.id);
+
+    if (!donor) {
+      return res.status(404).json({
+        success: false,
+        error: 'Donor not found',
+      });
+    }
+
+    const history = await DonorService.history(donor, req.query);
+
+    res.json({
+      success: true,
+      ...history,
+    });
+  } catch (error) {
+    console.error('Error in getMyDonations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve donations',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Get the caller's completed donations with receipt status and totals
+ *
+ * @route GET /api/v1/me/receipts
+ * @access Donor
+ *
+ * @queryparam {number} year - Calendar year, e.g. for a tax summary
+ * @queryparam {number} page - Page number (default: 1)
+ * @queryparam {number} limit - Items per page (default: 10, max: 100)
+ */
+exports.getMyReceipts = async (req, res) => {
+  try {
+    const { year } = req.query;
+
+    if (year !== undefined && !/^\d{4}$/.test(String(year))) {
+      return res.status(400).json({
+        success: false,
+        error: 'year must be a four-digit year',
+      });
+    }
+
+    const result = await DonorService.receipts(req.user.id, req.query);
+
+    res.json({
+      success: true,
+      ...result,
+    });
+  } catch (error) {
+    console.error('Error in getMyReceipts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve receipts',
+      message: error.message,
+    });
+  }
+};
+
+// ============================================================================
+// PREFERENCES
+// ============================================================================
+
+/**
+ * Get the caller's communication preferences
+ *
+ * @route GET /api/v1/me/preferences
+ * @access Donor
+ */
+exports.getMyPreferences = async (req, res) => {
+  try {
+    const preferences = await DonorService.getPreferences(req.user.id);
+
+    if (!preferences) {
+      return res.status(404).json({
+        success: false,
+        error: 'Donor not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: preferences,
+    });
+  } catch (error) {
+    console.error('Error in getMyPreferences:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve preferences',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Update the caller's communication preferences
+ *
+ * @route PATCH /api/v1/me/preferences
+ * @access Donor
+ *
+ * @bodyparam {boolean} emailReceipts - Email a receipt for each donation
+ * @bodyparam {boolean} newsletter - Receive the newsletter
+ * @bodyparam {string} contactChannel - email | phone | mail | none
+ */
+exports.updateMyPreferences = async (req, res) => {
+  try {
+    const result = await DonorService.updatePreferences(req.user.id, req.body || {});
+
+    if (!result.success) return sendFailure(res, result);
+
+    res.json({
+      success: true,
+      message: 'Preferences updated successfully',
+      data: result.preferences,
+    });
+  } catch (error) {
+    console.error('Error in updateMyPreferences:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update preferences',
+      message: error.message,
+    });
+  }
+};
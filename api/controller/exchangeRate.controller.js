@@ -0,0 +1,237 @@
+/**
+ * ============================================================================
+ * EXCHANGE RATE CONTROLLER
+ * ============================================================================
+ *
+ * This controller handles the exchange-rate table used to convert donations
+ * into their campaign's base currency:
+ * - Listing uploaded rates
+ * - Uploading rates as JSON rows or CSV (no live feed)
+ * - Deleting a rate
+ * - Converting an amount with the rate effective on a date
+ *
+ * Conversion itself happens when a donation is saved (see
+ * fx/exchange.rate.service); POST /donations/backfill-currency reconverts
+ * existing donations after rates change.
+ *
+ * @module controllers/exchangeRateController
+ * @requires fx/exchange.rate.service
+ */
+
+const ExchangeRateService = require('../fx/exchange.rate.service');
+
+const isObjectId = (id) => /^[0-9a-fA-F]{24}$/.test(id);
+
+const sendFailure = (res, { status, error, success, ...details }) => res.status(status).json({
+  success: false,
+  error,
+  ...details,
+});
+
+// ============================================================================
+// RATES
+// ============================================================================
+
+/**
+ * Get uploaded exchange rates, most recent first
+ *
+ * @route GET /api/v1/exchange-rates
+ * @access Admins
+ *
+ * @queryparam {string} base  - Base currency
+ * @queryparam {string} quote - Quote currency
+ * @queryparam {Date}   from  - Effective on or after
+ * @queryparam {Date}   to    - Effective on or before
+ * @queryparam {number} page  - Page number (default: 1)
+ * @queryparam {number} limit - Results per page (default: 50, max: 200)
+ */
+exports.getExchangeRates = async (req, res) => {
+  try {
+    const { base, quote, from, to } = req.query;
+
+    if ([base, quote].some(code => code && !ExchangeRateService.isCurrency(code))) {
+      return res.status(400).json({
+        success: false,
+        error: 'base and quote must be 3-letter ISO currency codes',
+      });
+    }
+
+    if ([from, to].some(date => date && Number.isNaN(Date.parse(date)))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid from or to date',
+      });
+    }
+
+    const { data, pagination } = await ExchangeRateService.list(req.query);
+
+    res.json({
+      success: true,
+      data,
+      pagination,
+    });
+  } catch (error) {
+    console.error('Error in getExchangeRates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve exchange rates',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Add or replace exchange rates. A rate for a pair on a day it already has
+ * replaces it. Nothing is saved unless every row is valid.
+ *
+ * @route POST /api/v1/exchange-rates
+ * @access Super admin, finance
+ *
+ * @bodyparam {Array}  rates  - [{ base, quote, rate, effectiveDate, note }]
+ * @bodyparam {string} csv    - Instead of rates: lines of base,quote,rate,effectiveDate[,note]
+ * @bodyparam {string} source - Where the rates come from (default: manual)
+ */
+exports.uploadExchangeRates = async (req, res) => {
+  try {
+    const { rates, csv, source } = req.body || {};
+
+    if (!rates && typeof csv !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide rates as an array or csv as text',
+      });
+    }
+
+    const rows = rates || ExchangeRateService.parseCsv(csv);
+    const result = await ExchangeRateService.upload(rows, {
+      source: source ? String(source).trim() : 'manual',
+      user: req.user,
+    });
+
+    if (!result.success) return sendFailure(res, result);
+
+    res.status(201).json({
+      success: true,
+      message: `${result.inserted} rate(s) added, ${result.updated} replaced`,
+      data: {
+        inserted: result.inserted,
+        updated: result.updated,
+      },
+      nextSteps: [
+        'Donations saved from now on use these rates',
+        'Run POST /donations/backfill-currency to convert existing donations',
+      ],
+    });
+  } catch (error) {
+    console.error('Error in uploadExchangeRates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to upload exchange rates',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Delete an exchange rate
+ *
+ * @route DELETE /api/v1/exchange-rates/:id
+ * @access Super admin, finance
+ */
+exports.deleteExchangeRate = async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid exchange rate ID',
+      });
+    }
+
+    const result = await ExchangeRateService.remove(req.params.id);
+
+    if (!result.success) return sendFailure(res, result);
+
+    res.json({
+      success: true,
+      message: 'Exchange rate deleted',
+      data: result.rate,
+    });
+  } catch (error) {
+    console.error('Error in deleteExchangeRate:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete exchange rate',
+      message: error.message,
+    });
+  }
+};
+
+// ============================================================================
+// CONVERSION
+// ============================================================================
+
+/**
+ * Convert an amount with the rate effective on a date
+ *
+ * @route GET /api/v1/exchange-rates/convert
+ * @access Admins
+ *
+ * @queryparam {number} amount - Amount to convert (required)
+ * @queryparam {string} from   - Currency of the amount (required)
+ * @queryparam {string} to     - Currency to convert into (required)
+ * @queryparam {Date}   date   - Date of the rate (default: now)
+ */
+exports.convertAmount = async (req, res) => {
+  try {
+    const { amount, from, to, date } = req.query;
+
+    if (!(Number(amount) > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'amount must be greater than 0',
+      });
+    }
+
+    if (![from, to].every(code => ExchangeRateService.isCurrency(code))) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be 3-letter ISO currency codes',
+      });
+    }
+
+    if (date && Number.isNaN(Date.parse(date))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date',
+      });
+    }
+
+    const conversion = await ExchangeRateService.convert(Number(amount), from, to, date ? new Date(date) : new Date());
+
+    if (!conversion) {
+      return res.status(404).json({
+        success: false,
+        error: `No exchange rate from ${from.toUpperCase()} to ${to.toUpperCase()} on or before that date`,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        amount: Number(amount),
+        currency: from.toUpperCase(),
+        convertedAmount: conversion.amount,
+        convertedCurrency: conversion.currency,
+        rate: conversion.rate,
+        rateDate: conversion.effectiveDate,
+      },
+    });
+  } catch (error) {
+    console.error('Error in convertAmount:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to convert amount',
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,327 @@
+/**
+ * ============================================================================
+ * KYC CONTROLLER
+ * ============================================================================
+ *
+ * This controller handles identity verification:
+ * - Submission of KYC documents by agents, corporate agents and project owners
+ * - The caller's own verification status
+ * - The admin review queue, approval and rejection
+ *
+ * @module controllers/kycController
+ * @requires models/KycSubmission
+ * @requires kyc/kyc.service
+ */
+
+const KycSubmission = require('../models/KycSubmission');
+const KycService = require('../kyc/kyc.service');
+const TokenService = require('../auth/token.service');
+
+const isObjectId = (id) => /^[0-9a-fA-F]{24}$/.test(id);
+
+const ACCOUNT_FIELDS = 'name email phone isActive isVerified kycStatus';
+
+// ============================================================================
+// ACCOUNT SELF-SERVICE
+// ============================================================================
+
+/**
+ * Submit the caller's account for KYC review
+ *
+ * @route POST /api/v1/kyc/submissions
+ * @access Agent, CorporateAgent, ProjectOwner
+ *
+ * @bodyparam {Array} documents - [{ type, fileName, url, mimeType, size }] (required)
+ * @bodyparam {string} nin - NIN to verify (default: the one on the account)
+ * @bodyparam {string} cac - CAC number to verify (agents and corporate agents; default: the one on the account)
+ */
+exports.submitKyc = async (req, res) => {
+  try {
+    const { documents, nin, cac } = req.body || {};
+
+    const result = await KycService.submit(req.user.role, req.user.id, { documents, nin, cac });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error,
+        ...(result.errors ? { errors: result.errors } : {}),
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'KYC submission received and awaiting review',
+      data: result.submission,
+    });
+  } catch (error) {
+    console.error('Error in submitKyc:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map((err) => ({
+        field: err.path,
+        message: err.message,
+      }));
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to submit KYC',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Get the caller's verification status, latest submission and the documents
+ * their account type must provide
+ *
+ * @route GET /api/v1/kyc/me
+ * @access Agent, CorporateAgent, ProjectOwner
+ */
+exports.getMyKyc = async (req, res) => {
+  try {
+    const accountModel = TokenService.ACCOUNT_MODELS[req.user.role];
+    const account = await TokenService.modelFor(req.user.role)
+      .findById(req.user.id)
+      .select('isVerified kycStatus verifiedAt')
+      .lean();
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        error: 'Account not found',
+      });
+    }
+
+    const latestSubmission = await KycSubmission.findOne({ account: req.user.id, accountModel })
+      .sort('-createdAt')
+      .select('-reviewedBy')
+      .lean();
+
+    res.json({
+      success: true,
+      data: {
+        isVerified: account.isVerified,
+        kycStatus: account.kycStatus,
+        verifiedAt: account.verifiedAt,
+        requiredDocuments: KycService.REQUIRED_DOCUMENTS[accountModel],
+        latestSubmission,
+      },
+    });
+  } catch (error) {
+    console.error('Error in getMyKyc:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve KYC status',
+      message: error.message,
+    });
+  }
+};
+
+// ============================================================================
+// REVIEW QUEUE
+// ============================================================================
+
+/**
+ * List KYC submissions, oldest first (the review queue)
+ *
+ * @route GET /api/v1/kyc/submissions
+ * @access Admin
+ *
+ * @queryparam {string} status - pending (default) | approved | rejected | all
+ * @queryparam {string} accountModel - Agent | CorporateAgent | ProjectOwner
+ * @queryparam {string} account - Filter by account ID
+ * @queryparam {number} page - Page number (default: 1)
+ * @queryparam {number} limit - Items per page (default: 10, max: 100)
+ */
+exports.getKycSubmissions = async (req, res) => {
+  try {
+    const { status = 'pending', accountModel, account, page = 1, limit = 10 } = req.query;
+
+    const pageNum = Math.max(1, parseInt(page));
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+
+    const query = {};
+    if (status !== 'all') query.status = status;
+    if (accountModel) query.accountModel = accountModel;
+    if (account && isObjectId(account)) query.account = account;
+
+    const submissions = await KycSubmission.find(query)
+      .populate('account', ACCOUNT_FIELDS)
+      .populate('reviewedBy', 'name email')
+      .sort(status === 'pending' ? 'createdAt' : '-createdAt')
+      .limit(limitNum)
+      .skip((pageNum - 1) * limitNum)
+      .lean();
+
+    const count = await KycSubmission.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: submissions,
+      pagination: {
+        total: count,
+        page: pageNum,
+        limit: limitNum,
+        pages: Math.ceil(count / limitNum),
+      },
+    });
+  } catch (error) {
+    console.error('Error in getKycSubmissions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve KYC submissions',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Get a single KYC submission with the account it belongs to
+ *
+ * @route GET /api/v1/kyc/submissions/:id
+ * @access Admin
+ */
+exports.getKycSubmission = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid submission ID format',
+      });
+    }
+
+    const submission = await KycSubmission.findById(id)
+      .populate('account', `${ACCOUNT_FIELDS} nin cac`)
+      .populate('reviewedBy', 'name email')
+      .lean();
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        error: 'Submission not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: submission,
+    });
+  } catch (error) {
+    console.error('Error in getKycSubmission:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve KYC submission',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Approve a pending submission: the account becomes verified and is emailed
+ *
+ * @route POST /api/v1/kyc/submissions/:id/approve
+ * @access Super admin, support
+ *
+ * @bodyparam {string} reason - Optional note kept on the submission
+ */
+exports.approveKyc = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body || {};
+
+    if (!isObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid submission ID format',
+      });
+    }
+
+    const result = await KycService.review(id, 'approved', {
+      reviewerId: req.user.id,
+      reason: reason ? String(reason).trim() : null,
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'KYC submission approved',
+      data: result.submission,
+    });
+  } catch (error) {
+    console.error('Error in approveKyc:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to approve KYC submission',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Reject a pending submission with a reason the account will see
+ *
+ * @route POST /api/v1/kyc/submissions/:id/reject
+ * @access Super admin, support
+ *
+ * @bodyparam {string} reason - Why the submission was rejected (required)
+ */
+exports.rejectKyc = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body || {};
+
+    if (!isObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid submission ID format',
+      });
+    }
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'reason is required',
+      });
+    }
+
+    const result = await KycService.review(id, 'rejected', {
+      reviewerId: req.user.id,
+      reason: String(reason).trim(),
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'KYC submission rejected',
+      data: result.submission,
+    });
+  } catch (error) {
+    console.error('Error in rejectKyc:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reject KYC submission',
+      message: error.message,
+    });
+  }
+};
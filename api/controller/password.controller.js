@@ -0,0 +1,179 @@
+const PasswordService = require('../auth/password.service');
+const LoginGuard = require('../auth/login.guard');
+
+// Handlers are built per account type; `role` is the token role
+// (agent, corporate_agent, project_owner, donor) the router mounts them for.
+
+// ============================================================================
+// FORGOT PASSWORD
+// ============================================================================
+
+/**
+ * Email a single-use password reset link. Always answers the same way so
+ * the endpoint cannot be used to find out which emails are registered.
+ * Requests are throttled per email and IP (see LoginGuard.throttleMailRequest).
+ *
+ * @route POST /api/v1/{agents|corporate-agents|project-owners|donors}/forgot-password
+ * @access Public
+ *
+ * @bodyparam {string} email - Registered email address
+ */
+exports.forgotPassword = (role) => async (req, res) => {
+  try {
+    const { email } = req.body || {};
+
+    if (!email || typeof email !== 'string' || !email.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email is required',
+      });
+    }
+
+    const lock = await LoginGuard.throttleMailRequest(email, {
+      ip: req.ip,
+      userAgent: req.get('user-agent') || null,
+      request: 'password_reset',
+    });
+
+    if (lock) {
+      res.set('Retry-After', String(lock.retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many link requests for this email or IP',
+        message: 'Try again later',
+      });
+    }
+
+    await PasswordService.requestReset(role, email, { ip: req.ip });
+
+    res.json({
+      success: true,
+      message: 'If an active account uses this email, a password reset link has been sent to it',
+    });
+  } catch (error) {
+    console.error('Error in forgotPassword:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to request password reset',
+      message: error.message,
+    });
+  }
+};
+
+// ============================================================================
+// RESET PASSWORD
+// ============================================================================
+
+/**
+ * Set a new password with the token from the reset email. The token works
+ * once; every existing session of the account is signed out.
+ *
+ * @route POST /api/v1/{agents|corporate-agents|project-owners|donors}/reset-password
+ * @access Public (reset token)
+ *
+ * @bodyparam {string} token           - Token from the reset link
+ * @bodyparam {string} password        - New password, min 8 chars
+ * @bodyparam {string} confirmPassword - Must match password
+ */
+exports.resetPassword = (role) => async (req, res) => {
+  try {
+    const { token, password, confirmPassword } = req.body || {};
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Reset token is required',
+      });
+    }
+
+    const invalid = PasswordService.validate(password, confirmPassword);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid,
+      });
+    }
+
+    const result = await PasswordService.resetPassword(role, token, password);
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        error: result.error,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Log in with your new password.',
+    });
+  } catch (error) {
+    console.error('Error in resetPassword:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reset password',
+      message: error.message,
+    });
+  }
+};
+
+// ============================================================================
+// CHANGE PASSWORD
+// ============================================================================
+
+/**
+ * Change the caller's password. Other sessions are signed out; the caller
+ * gets a fresh token pair in the response.
+ *
+ * @route POST /api/v1/{agents|corporate-agents|project-owners|donors}/change-password
+ * @access The account itself
+ *
+ * @bodyparam {string} currentPassword - Current password
+ * @bodyparam {string} newPassword     - New password, min 8 chars
+ * @bodyparam {string} confirmPassword - Must match newPassword
+ */
+exports.changePassword = (role) => async (req, res) => {
+  try {
+    const { currentPassword, newPassword, confirmPassword } = req.body || {};
+
+    if (!currentPassword || typeof currentPassword !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Current password is required',
+      });
+    }
+
+    const invalid = PasswordService.validate(newPassword, confirmPassword);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid,
+      });
+    }
+
+    const result = await PasswordService.changePassword(role, req.user.id, currentPassword, newPassword, {
+      ip: req.ip,
+      userAgent: req.get('user-agent') || null,
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Password changed. Other sessions have been logged out.',
+      ...result.tokens,
+    });
+  } catch (error) {
+    console.error('Error in changePassword:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change password',
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,191 @@
+/**
+ * ============================================================================
+ * PAYMENT CONTROLLER
+ * ============================================================================
+ *
+ * This controller handles gateway payments for donations:
+ * - Starting a hosted checkout for a pending donation
+ * - Verifying a checkout by reference (e.g. on the callback page)
+ * - Signed provider webhooks that complete, fail or refund donations
+ * - The payment event log
+ *
+ * @module controllers/paymentController
+ * @requires payments/payment.service
+ */
+
+const PaymentService = require('../payments/payment.service');
+
+const isObjectId = (id) => /^[0-9a-fA-F]{24}$/.test(id);
+
+const RESULTS = ['applied', 'no_change', 'duplicate', 'unmatched', 'amount_mismatch'];
+
+const sendFailure = (res, { status, error, success, ...details }) => res.status(status).json({
+  success: false,
+  error,
+  ...details,
+});
+
+// What a payment result reveals about the donation
+const donationSummary = (donation) => (donation ? {
+  id: donation._id,
+  status: donation.status,
+  amount: donation.amount,
+  currency: donation.currency,
+  transactionId: donation.transactionId,
+  paymentProvider: donation.paymentProvider,
+  failureReason: donation.failureReason,
+} : null);
+
+/**
+ * Start a hosted checkout for a pending donation
+ *
+ * @route POST /api/v1/payments/checkout
+ * @access Admin, Agent, CorporateAgent, Donor (own donations)
+ *
+ * @bodyparam {string} donation    - Donation ID (required)
+ * @bodyparam {string} provider    - paystack | flutterwave | mock (default: PAYMENT_PROVIDER)
+ * @bodyparam {string} callbackUrl - Where the provider sends the donor afterwards
+ */
+exports.createCheckout = async (req, res) => {
+  try {
+    const { donation, provider, callbackUrl } = req.body || {};
+
+    if (!donation || !isObjectId(String(donation))) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid donation ID is required',
+      });
+    }
+
+    if (callbackUrl && !/^https?:\/\//.test(callbackUrl)) {
+      return res.status(400).json({
+        success: false,
+        error: 'callbackUrl must be an http(s) URL',
+      });
+    }
+
+    const result = await PaymentService.checkout(donation, { provider, callbackUrl }, { ...req.user, ip: req.ip });
+
+    if (!result.success) return sendFailure(res, result);
+
+    res.status(201).json({
+      success: true,
+      message: 'Checkout started; send the donor to authorizationUrl',
+      data: {
+        provider: result.provider,
+        reference: result.reference,
+        authorizationUrl: result.authorizationUrl,
+      },
+    });
+  } catch (error) {
+    console.error('Error in createCheckout:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start checkout',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Ask the provider about a checkout and update the donation accordingly
+ *
+ * @route GET /api/v1/payments/verify/:reference
+ * @access Admin, Agent, CorporateAgent, Donor (own donations)
+ */
+exports.verifyPayment = async (req, res) => {
+  try {
+    const result = await PaymentService.verify(req.params.reference, { ...req.user, ip: req.ip });
+
+    if (!result.success) return sendFailure(res, result);
+
+    res.json({
+      success: true,
+      result: result.result,
+      data: donationSummary(result.donation),
+    });
+  } catch (error) {
+    console.error('Error in verifyPayment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify payment',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Provider webhook. Authenticated by the provider's signature over the raw
+ * body; repeated deliveries are acknowledged without changing anything.
+ *
+ * @route POST /api/v1/payments/webhooks/:provider
+ * @access Public (signed)
+ */
+exports.receiveWebhook = async (req, res) => {
+  try {
+    const rawBody = req.rawBody ? req.rawBody.toString('utf8') : null;
+    const result = await PaymentService.handleWebhook(req.params.provider, rawBody, req.headers, { ip: req.ip });
+
+    if (!result.success) return sendFailure(res, result);
+
+    res.json({
+      success: true,
+      result: result.result,
+    });
+  } catch (error) {
+    // 5xx makes the provider retry, which is safe
+    console.error('Error in receiveWebhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process webhook',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Payment event log, newest first
+ *
+ * @route GET /api/v1/payments/events
+ * @access Admin (super_admin, finance)
+ *
+ * @queryparam {string} donation  - Filter by donation ID
+ * @queryparam {string} reference - Filter by checkout reference
+ * @queryparam {string} provider  - Filter by provider
+ * @queryparam {string} result    - applied | no_change | duplicate | unmatched | amount_mismatch
+ * @queryparam {number} page      - Page number (default: 1)
+ * @queryparam {number} limit     - Items per page (default: 20, max: 100)
+ */
+exports.getPaymentEvents = async (req, res) => {
+  try {
+    const { donation, result } = req.query;
+
+    if (donation && !isObjectId(donation)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid donation ID format',
+      });
+    }
+
+    if (result && !RESULTS.includes(result)) {
+      return res.status(400).json({
+        success: false,
+        error: `result must be one of: ${RESULTS.join(', ')}`,
+      });
+    }
+
+    const events = await PaymentService.events(req.query);
+
+    res.json({
+      success: true,
+      ...events,
+    });
+  } catch (error) {
+    console.error('Error in getPaymentEvents:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve payment events',
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,339 @@
+/**
+ * ============================================================================
+ * PAYOUT CONTROLLER
+ * ============================================================================
+ *
+ * This controller handles the profit sharing payout ledger:
+ * - Listing and retrieving payout records
+ * - Bulk approval of pending payouts
+ * - Recording payments (with payment reference) and failures
+ * - Reconciliation of the ledger against the computed vendor distribution
+ *
+ * @module controllers/payoutController
+ * @requires models/Payout
+ * @requires profit_sharing/payout.ledger
+ */
+
+const Payout = require('../models/Payout');
+const PayoutLedger = require('../profit_sharing/payout.ledger');
+
+const isObjectId = (id) => /^[0-9a-fA-F]{24}$/.test(id);
+
+// ============================================================================
+// PAYOUT RETRIEVAL
+// ============================================================================
+
+/**
+ * Get all payouts with filtering and pagination
+ *
+ * @route GET /api/v1/payouts
+ * @access Admin
+ *
+ * @queryparam {string} distribution - Filter by profit distribution ID
+ * @queryparam {string} season - Filter by season ID
+ * @queryparam {string} campaign - Filter by campaign ID
+ * @queryparam {string} status - Filter by status (pending, approved, paid, failed)
+ * @queryparam {string} vendor - Filter by vendor (donors, agents, stakeholders)
+ * @queryparam {string} category - Filter by distribution line
+ * @queryparam {number} page - Page number (default: 1)
+ * @queryparam {number} limit - Items per page (default: 10, max: 100)
+ */
+exports.getAllPayouts = async (req, res) => {
+  try {
+    const {
+      distribution,
+      season,
+      campaign,
+      status,
+      vendor,
+      category,
+      page = 1,
+      limit = 10,
+    } = req.query;
+
+    const pageNum = Math.max(1, parseInt(page));
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+
+    const query = {};
+    if (distribution) query.distribution = distribution;
+    if (season) query.season = season;
+    if (campaign) query.campaign = campaign;
+    if (status && Object.keys(PayoutLedger.TRANSITIONS).includes(status)) query.status = status;
+    if (vendor) query.vendor = vendor;
+    if (category) query.category = category;
+
+    const payouts = await Payout.find(query)
+      .populate('season', 'name')
+      .populate('campaign', 'name')
+      .sort('-createdAt')
+      .limit(limitNum)
+      .skip((pageNum - 1) * limitNum)
+      .lean();
+
+    const count = await Payout.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: payouts,
+      pagination: {
+        total: count,
+        page: pageNum,
+        limit: limitNum,
+        pages: Math.ceil(count / limitNum),
+      },
+    });
+  } catch (error) {
+    console.error('Error in getAllPayouts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve payouts',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Get a single payout with its status history
+ *
+ * @route GET /api/v1/payouts/:id
+ * @access Admin
+ */
+exports.getPayout = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid payout ID format',
+      });
+    }
+
+    const payout = await Payout.findById(id)
+      .populate('beneficiary', 'name firstName lastName email')
+      .populate('season', 'name')
+      .populate('campaign', 'name')
+      .lean();
+
+    if (!payout) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payout not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: payout,
+    });
+  } catch (error) {
+    console.error('Error in getPayout:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve payout',
+      message: error.message,
+    });
+  }
+};
+
+// ============================================================================
+// SETTLEMENT WORKFLOW
+// ============================================================================
+
+/**
+ * Approve payouts in bulk (pending, or failed for a retry)
+ *
+ * @route POST /api/v1/payouts/approve
+ * @access Admin
+ *
+ * @bodyparam {Array} ids - Payout IDs to approve (required)
+ * @bodyparam {string} approvedBy - Approver identity (required)
+ * @bodyparam {string} note - Optional note
+ */
+exports.approvePayouts = async (req, res) => {
+  try {
+    const { ids, approvedBy, note } = req.body || {};
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'ids must be a non-empty array of payout IDs',
+      });
+    }
+
+    if (!approvedBy || !String(approvedBy).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'approvedBy is required',
+      });
+    }
+
+    const result = await PayoutLedger.approve(ids, String(approvedBy).trim(), note);
+
+    res.json({
+      success: true,
+      message: `${result.updated.length} payout(s) approved`,
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error in approvePayouts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to approve payouts',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Mark approved payouts as paid
+ *
+ * @route POST /api/v1/payouts/pay
+ * @access Admin
+ *
+ * @bodyparam {Array} payments - [{ id, paymentReference }] (required)
+ * @bodyparam {string} paidBy - Identity recording the payment (required)
+ */
+exports.markPayoutsPaid = async (req, res) => {
+  try {
+    const { payments, paidBy } = req.body || {};
+
+    if (!Array.isArray(payments) || payments.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'payments must be a non-empty array of { id, paymentReference }',
+      });
+    }
+
+    const missingReference = payments.filter(p => !p || !p.id || !p.paymentReference);
+    if (missingReference.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Every payment needs an id and a paymentReference',
+        invalid: missingReference,
+      });
+    }
+
+    if (!paidBy || !String(paidBy).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'paidBy is required',
+      });
+    }
+
+    const result = await PayoutLedger.markPaid(payments, String(paidBy).trim());
+
+    res.json({
+      success: true,
+      message: `${result.updated.length} payout(s) marked as paid`,
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error in markPayoutsPaid:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to mark payouts as paid',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Mark an approved payout as failed
+ *
+ * @route PATCH /api/v1/payouts/:id/fail
+ * @access Admin
+ *
+ * @bodyparam {string} reason - Failure reason (required)
+ * @bodyparam {string} failedBy - Identity recording the failure
+ */
+exports.markPayoutFailed = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason, failedBy } = req.body || {};
+
+    if (!isObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid payout ID format',
+      });
+    }
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'reason is required',
+      });
+    }
+
+    const result = await PayoutLedger.markFailed(id, String(reason).trim(), failedBy);
+
+    if (result.updated.length === 0) {
+      const [skipped] = result.skipped;
+      return res.status(skipped.reason === 'Payout not found' ? 404 : 409).json({
+        success: false,
+        error: skipped.reason,
+        currentStatus: skipped.status,
+      });
+    }
+
+    const payout = await Payout.findById(id).lean();
+
+    res.json({
+      success: true,
+      message: 'Payout marked as failed',
+      data: payout,
+    });
+  } catch (error) {
+    console.error('Error in markPayoutFailed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to mark payout as failed',
+      message: error.message,
+    });
+  }
+};
+
+// ============================================================================
+// RECONCILIATION
+// ============================================================================
+
+/**
+ * Reconcile a distribution's payout ledger against its vendor distribution
+ *
+ * @route GET /api/v1/payouts/reconciliation/:distributionId
+ * @access Admin
+ */
+exports.getReconciliation = async (req, res) => {
+  try {
+    const { distributionId } = req.params;
+
+    if (!isObjectId(distributionId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid distribution ID format',
+      });
+    }
+
+    const report = await PayoutLedger.reconcile(distributionId);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Profit distribution not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    console.error('Error in getReconciliation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reconcile payouts',
+      message: error.message,
+    });
+  }
+};
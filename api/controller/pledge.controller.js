@@ -0,0 +1,404 @@
+/**
+ * ============================================================================
+ * PLEDGE CONTROLLER
+ * ============================================================================
+ *
+ * This controller handles pledges:
+ * - Recording a pledge with its instalment schedule
+ * - Listing pledges, overdue pledges and a pledge with its donations
+ * - Rescheduling, cancelling and writing off open pledges
+ * - Outstanding, overdue and fulfilment-rate reports per campaign or season
+ *
+ * Donations pay toward a pledge by passing `pledge` to POST /donations;
+ * fulfilment is recalculated from them (see pledges/pledge.service). The
+ * same list and detail handlers serve /me/pledges for donors.
+ *
+ * @module controllers/pledgeController
+ * @requires pledges/pledge.service
+ */
+
+const PledgeService = require('../pledges/pledge.service');
+
+const isObjectId = (id) => /^[0-9a-fA-F]{24}$/.test(id);
+
+const sendFailure = (res, { status, error, success, ...details }) => res.status(status).json({
+  success: false,
+  error,
+  ...details,
+});
+
+/**
+ * Validate the body of a new pledge; the schedule itself is checked by
+ * PledgeService.schedule()
+ *
+ * @returns {string|null} Error message
+ */
+const validatePledge = ({ donor, campaign, totalAmount, pledgeDate, agent, agentModel }) => {
+  if (!donor || !isObjectId(donor)) return 'A valid donor is required';
+  if (!campaign || !isObjectId(campaign)) return 'A valid campaign is required';
+  if (!(Number(totalAmount) > 0)) return 'totalAmount must be greater than 0';
+  if (pledgeDate && Number.isNaN(Date.parse(pledgeDate))) return 'Invalid pledgeDate';
+  if (agent && !isObjectId(agent)) return 'Invalid agent ID';
+  if (agent && !['Agent', 'CorporateAgent'].includes(agentModel)) return 'agentModel must be one of: Agent, CorporateAgent';
+  return null;
+};
+
+// ============================================================================
+// PLEDGES
+// ============================================================================
+
+/**
+ * Get pledges with their outstanding balance
+ *
+ * @route GET /api/v1/pledges
+ * @route GET /api/v1/me/pledges
+ * @access Admins, agents (own pledges), donors (own pledges)
+ *
+ * @queryparam {string}  status   - open | fulfilled | cancelled | written_off
+ * @queryparam {string}  campaign - Campaign ID
+ * @queryparam {string}  season   - Season ID
+ * @queryparam {string}  donor    - Donor ID
+ * @queryparam {boolean} overdue  - Only open pledges with an instalment past due
+ * @queryparam {number}  page     - Page number (default: 1)
+ * @queryparam {number}  limit    - Results per page (default: 20, max: 100)
+ */
+exports.getPledges = async (req, res) => {
+  try {
+    const { status, campaign, season, donor } = req.query;
+
+    if (status && !PledgeService.STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${PledgeService.STATUSES.join(', ')}`,
+      });
+    }
+
+    if ([campaign, season, donor].some(id => id && !isObjectId(id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid campaign, season or donor ID',
+      });
+    }
+
+    const { data, pagination } = await PledgeService.list(req.query, req.user);
+
+    res.json({
+      success: true,
+      data,
+      pagination,
+    });
+  } catch (error) {
+    console.error('Error in getPledges:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve pledges',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Get open pledges with an instalment past due, longest overdue first
+ *
+ * @route GET /api/v1/pledges/overdue
+ * @access Admins, agents (own pledges)
+ *
+ * @queryparam {string} campaign - Campaign ID
+ * @queryparam {string} season   - Season ID
+ * @queryparam {number} page     - Page number (default: 1)
+ * @queryparam {number} limit    - Results per page (default: 20, max: 100)
+ */
+exports.getOverduePledges = async (req, res) => {
+  try {
+    const { campaign, season } = req.query;
+
+    if ([campaign, season].some(id => id && !isObjectId(id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid campaign or season ID',
+      });
+    }
+
+    const { data, pagination } = await PledgeService.list({ ...req.query, overdue: true }, req.user);
+
+    res.json({
+      success: true,
+      data,
+      pagination,
+      summary: {
+        overdueAmountOnPage: Math.round(data.reduce((sum, pledge) => sum + pledge.overdueAmount, 0) * 100) / 100,
+      },
+    });
+  } catch (error) {
+    console.error('Error in getOverduePledges:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve overdue pledges',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Get a pledge with its instalments and linked donations
+ *
+ * @route GET /api/v1/pledges/:id
+ * @route GET /api/v1/me/pledges/:id
+ * @access Admins, agents (own pledges), donors (own pledges)
+ */
+exports.getPledge = async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid pledge ID',
+      });
+    }
+
+    const pledge = await PledgeService.findById(req.params.id, req.user);
+
+    if (!pledge) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pledge not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: pledge,
+    });
+  } catch (error) {
+    console.error('Error in getPledge:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve pledge',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Record a pledge. Give the instalments, or instalmentCount with frequency
+ * and firstDueDate, or just dueDate for a single payment.
+ *
+ * @route POST /api/v1/pledges
+ * @access Super admin, finance, support, agents
+ *
+ * @bodyparam {string}  donor           - Donor ID (required)
+ * @bodyparam {string}  campaign        - Campaign ID (required)
+ * @bodyparam {number}  totalAmount     - Amount pledged (required)
+ * @bodyparam {string}  currency        - Currency (default: the campaign's baseCurrency)
+ * @bodyparam {Date}    pledgeDate      - When the pledge was made (default: now)
+ * @bodyparam {Date}    dueDate         - Due date of a single-payment pledge
+ * @bodyparam {Array}   instalments     - [{ dueDate, amount }] adding up to totalAmount
+ * @bodyparam {number}  instalmentCount - Number of equal instalments
+ * @bodyparam {string}  frequency       - weekly | monthly | quarterly | annually (default: monthly)
+ * @bodyparam {Date}    firstDueDate    - Due date of the first of instalmentCount instalments
+ * @bodyparam {string}  agent           - Agent who took the pledge (staff only)
+ * @bodyparam {string}  agentModel      - Agent or CorporateAgent
+ * @bodyparam {string}  notes           - Notes
+ * @bodyparam {boolean} isAnonymous     - Anonymous pledge
+ */
+exports.createPledge = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const invalid = validatePledge(body);
+
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid,
+      });
+    }
+
+    const result = await PledgeService.create(body, req.user);
+
+    if (!result.success) return sendFailure(res, result);
+
+    res.status(201).json({
+      success: true,
+      message: 'Pledge recorded',
+      data: PledgeService.withBalance(result.pledge),
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: Object.values(error.errors).map(err => err.message),
+      });
+    }
+
+    console.error('Error in createPledge:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record pledge',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Replace the instalment schedule of an open pledge, optionally with a new
+ * total. Payments already made are reallocated.
+ *
+ * @route PUT /api/v1/pledges/:id/schedule
+ * @access Super admin, finance, support, agents (own pledges)
+ *
+ * @bodyparam {number} totalAmount - New pledged amount (default: unchanged)
+ * @bodyparam {Array}  instalments - Same schedule options as POST /pledges
+ * @bodyparam {string} notes       - Notes
+ */
+exports.reschedulePledge = async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid pledge ID',
+      });
+    }
+
+    const body = req.body || {};
+
+    if (body.totalAmount !== undefined && !(Number(body.totalAmount) > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'totalAmount must be greater than 0',
+      });
+    }
+
+    const result = await PledgeService.reschedule(req.params.id, body, req.user);
+
+    if (!result.success) return sendFailure(res, result);
+
+    res.json({
+      success: true,
+      message: 'Pledge rescheduled',
+      data: result.pledge,
+    });
+  } catch (error) {
+    console.error('Error in reschedulePledge:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reschedule pledge',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Close an open pledge as cancelled or written off
+ */
+const closePledge = (status, name, message) => async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid pledge ID',
+      });
+    }
+
+    const { reason } = req.body || {};
+    const result = await PledgeService.close(
+      req.params.id,
+      status,
+      { reason: reason ? String(reason).trim() : null },
+      req.user
+    );
+
+    if (!result.success) return sendFailure(res, result);
+
+    res.json({
+      success: true,
+      message,
+      data: result.pledge,
+    });
+  } catch (error) {
+    console.error(`Error in ${name}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to close pledge',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Cancel an open pledge; it no longer counts as pledged or in reports
+ *
+ * @route POST /api/v1/pledges/:id/cancel
+ * @access Super admin, finance
+ *
+ * @bodyparam {string} reason - Why the pledge is cancelled
+ */
+exports.cancelPledge = closePledge('cancelled', 'cancelPledge', 'Pledge cancelled');
+
+/**
+ * Write off what is still owed on an open pledge; reports count it as
+ * pledged but unfulfilled
+ *
+ * @route POST /api/v1/pledges/:id/write-off
+ * @access Super admin, finance
+ *
+ * @bodyparam {string} reason - Why the balance is written off
+ */
+exports.writeOffPledge = closePledge('written_off', 'writeOffPledge', 'Pledge written off');
+
+// ============================================================================
+// REPORTS
+// ============================================================================
+
+/**
+ * Pledged, fulfilled, outstanding and overdue amounts with fulfilment rates,
+ * per campaign or season
+ *
+ * @route GET /api/v1/pledges/reports/summary
+ * @access Admins, agents (own pledges)
+ *
+ * @queryparam {string} groupBy  - campaign | season (default: campaign)
+ * @queryparam {string} campaign - Campaign ID
+ * @queryparam {string} season   - Season ID
+ * @queryparam {Date}   from     - Pledges made on or after
+ * @queryparam {Date}   to       - Pledges made on or before
+ */
+exports.getPledgeReport = async (req, res) => {
+  try {
+    const { groupBy = 'campaign', campaign, season, from, to } = req.query;
+
+    if (!['campaign', 'season'].includes(groupBy)) {
+      return res.status(400).json({
+        success: false,
+        error: 'groupBy must be campaign or season',
+      });
+    }
+
+    if ([campaign, season].some(id => id && !isObjectId(id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid campaign or season ID',
+      });
+    }
+
+    if ([from, to].some(date => date && Number.isNaN(Date.parse(date)))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid from or to date',
+      });
+    }
+
+    const report = await PledgeService.report({ groupBy, campaign, season, from, to }, req.user);
+
+    res.json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    console.error('Error in getPledgeReport:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build pledge report',
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,480 @@
+/**
+ * ============================================================================
+ * PROFIT SHARING CONTROLLER
+ * ============================================================================
+ *
+ * This controller exposes the ProfitSharing class over REST:
+ * - Committing to a season's donor draw before execution
+ * - Executing profit sharing for a season (persisted, once per season)
+ * - Replaying a persisted draw to verify its winners
+ * - Simulating profit sharing: candidate pool and draw odds, no winners picked
+ * - Summarising persisted distributions across seasons
+ * - Listing and retrieving persisted distributions for audit
+ * - Campaign-level profit statistics
+ *
+ * @module controllers/profitSharingController
+ * @requires profit_sharing/profit.sharing
+ * @requires models/ProfitDistribution
+ * @requires models/DrawCommitment
+ */
+
+const ProfitSharing = require('../profit_sharing/profit.sharing');
+const ProfitDistribution = require('../models/ProfitDistribution');
+const DrawCommitment = require('../models/DrawCommitment');
+
+/**
+ * HTTP status for known ProfitSharing failure reasons (anything else is a 400)
+ */
+const ERROR_STATUS = {
+  'Season not found': 404,
+  'Profit sharing already executed for this season': 409,
+  'A draw commitment already exists for this season': 409,
+  'Draw commitments close when the season reaches its goal or ends': 409,
+  'No profit distribution found for this season': 404,
+  'Failed to execute profit sharing': 500,
+};
+
+const isObjectId = (id) => /^[0-9a-fA-F]{24}$/.test(id);
+
+// ============================================================================
+// DRAW COMMITMENT
+// ============================================================================
+
+/**
+ * Commit to a season's donor draw while the season is still open
+ * Send `commitment` (SHA-256 hex of a secret you keep) to reveal it yourself at
+ * execution, or omit it and the server generates and holds the secret.
+ *
+ * @route POST /api/v1/profit-sharing/seasons/:seasonId/commitment
+ * @access Admin
+ *
+ * @param {string} seasonId - Season MongoDB ObjectId
+ * @bodyparam {string} commitment - SHA-256 hex digest of the reveal value (optional)
+ *
+ * @throws {404} Season not found
+ * @throws {409} Commitment already exists, season already executed, or the
+ *   season has reached its goal or ended
+ */
+exports.commitDraw = async (req, res) => {
+  try {
+    const { seasonId } = req.params;
+    const { commitment } = req.body || {};
+
+    if (!isObjectId(seasonId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid season ID format',
+      });
+    }
+
+    if (commitment !== undefined && !/^[0-9a-fA-F]{64}$/.test(commitment)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Commitment must be a SHA-256 hex digest',
+      });
+    }
+
+    const result = await ProfitSharing.commitDraw(seasonId, commitment && commitment.toLowerCase());
+
+    if (!result.success) {
+      return res.status(ERROR_STATUS[result.error] || 400).json(result);
+    }
+
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Error in commitDraw:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'A draw commitment already exists for this season',
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to commit draw',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Get the published draw commitment for a season
+ *
+ * @route GET /api/v1/profit-sharing/seasons/:seasonId/commitment
+ * @access Public
+ *
+ * @param {string} seasonId - Season MongoDB ObjectId
+ */
+exports.getDrawCommitment = async (req, res) => {
+  try {
+    const { seasonId } = req.params;
+
+    if (!isObjectId(seasonId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid season ID format',
+      });
+    }
+
+    const record = await DrawCommitment.findOne({ season: seasonId }).lean();
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: 'No draw commitment found for this season',
+        seasonId,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: record,
+    });
+  } catch (error) {
+    console.error('Error in getDrawCommitment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve draw commitment',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Replay a season's persisted draw and check it against the stored winners
+ *
+ * @route GET /api/v1/profit-sharing/seasons/:seasonId/verify
+ * @access Public
+ *
+ * @param {string} seasonId - Season MongoDB ObjectId
+ */
+exports.verifyDraw = async (req, res) => {
+  try {
+    const { seasonId } = req.params;
+
+    if (!isObjectId(seasonId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid season ID format',
+      });
+    }
+
+    const result = await ProfitSharing.verifyDraw(seasonId);
+
+    if (!result.success) {
+      return res.status(ERROR_STATUS[result.error] || 400).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error in verifyDraw:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify draw',
+      message: error.message,
+    });
+  }
+};
+
+// ============================================================================
+// PROFIT SHARING EXECUTION
+// ============================================================================
+
+/**
+ * Execute profit sharing for a season and persist the distribution
+ * The season must have a draw commitment; its reveal value seeds the draw
+ *
+ * @route POST /api/v1/profit-sharing/seasons/:seasonId/execute
+ * @access Admin
+ *
+ * @param {string} seasonId - Season MongoDB ObjectId
+ * @bodyparam {string} reveal - Reveal value for the commitment (unless server-held)
+ *
+ * @throws {400} Invalid ID format, season not eligible or reveal mismatch
+ * @throws {404} Season not found
+ * @throws {409} Profit sharing already executed for this season
+ */
+exports.executeProfitSharing = async (req, res) => {
+  try {
+    const { seasonId } = req.params;
+
+    if (!isObjectId(seasonId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid season ID format',
+      });
+    }
+
+    const result = await ProfitSharing.executeProfitSharing(seasonId, {
+      reveal: req.body?.reveal,
+    });
+
+    if (!result.success) {
+      return res.status(ERROR_STATUS[result.error] || 400).json(result);
+    }
+
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Error in executeProfitSharing:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to execute profit sharing',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Simulate profit sharing for a season without drawing or persisting anything
+ * Returns the candidate pool with each donor's probability of being drawn
+ *
+ * @route GET /api/v1/profit-sharing/seasons/:seasonId/simulate
+ * @access Admin
+ *
+ * @param {string} seasonId - Season MongoDB ObjectId
+ */
+exports.simulateProfitSharing = async (req, res) => {
+  try {
+    const { seasonId } = req.params;
+
+    if (!isObjectId(seasonId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid season ID format',
+      });
+    }
+
+    const result = await ProfitSharing.simulateProfitSharing(seasonId);
+
+    if (!result.success) {
+      return res.status(ERROR_STATUS[result.error] || 400).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error in simulateProfitSharing:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to simulate profit sharing',
+      message: error.message,
+    });
+  }
+};
+
+// ============================================================================
+// PROFIT DISTRIBUTION RETRIEVAL
+// ============================================================================
+
+/**
+ * Get all persisted profit distributions with pagination
+ *
+ * @route GET /api/v1/profit-sharing
+ * @access Admin
+ *
+ * @queryparam {string} campaign - Filter by campaign ID
+ * @queryparam {string} from - Executed on or after this date
+ * @queryparam {string} to - Executed on or before this date
+ * @queryparam {number} page - Page number (default: 1)
+ * @queryparam {number} limit - Items per page (default: 10, max: 100)
+ */
+exports.getAllDistributions = async (req, res) => {
+  try {
+    const { campaign, from, to, page = 1, limit = 10 } = req.query;
+
+    const pageNum = Math.max(1, parseInt(page));
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+
+    const query = {};
+
+    if (campaign) {
+      if (!isObjectId(campaign)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid campaign ID format',
+        });
+      }
+      query.campaign = campaign;
+    }
+
+    if (from || to) {
+      query.executedAt = {};
+      if (from) query.executedAt.$gte = new Date(from);
+      if (to) query.executedAt.$lte = new Date(to);
+    }
+
+    const distributions = await ProfitDistribution.find(query)
+      .populate('season', 'name goal totalRaised status')
+      .populate('campaign', 'name')
+      .sort('-executedAt')
+      .limit(limitNum)
+      .skip((pageNum - 1) * limitNum)
+      .lean();
+
+    const count = await ProfitDistribution.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: distributions,
+      pagination: {
+        total: count,
+        page: pageNum,
+        limit: limitNum,
+        pages: Math.ceil(count / limitNum),
+      },
+    });
+  } catch (error) {
+    console.error('Error in getAllDistributions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve profit distributions',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Summarise persisted profit distributions for a set of seasons
+ * Read-only: seasons that have not been executed are reported as pending
+ *
+ * @route GET /api/v1/profit-sharing/summary
+ * @access Admin
+ *
+ * @queryparam {string} seasons - Comma-separated season IDs (required)
+ */
+exports.getProfitSharingSummary = async (req, res) => {
+  try {
+    const seasonIds = String(req.query.seasons || '')
+      .split(',')
+      .map((id) => id.trim())
+      .filter(Boolean);
+
+    if (seasonIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'seasons query parameter is required (comma-separated season IDs)',
+      });
+    }
+
+    const invalid = seasonIds.filter((id) => !isObjectId(id));
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid season ID format',
+        invalid,
+      });
+    }
+
+    const summary = await ProfitSharing.getProfitSharingSummary(seasonIds);
+
+    res.json({
+      success: true,
+      data: summary,
+    });
+  } catch (error) {
+    console.error('Error in getProfitSharingSummary:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve profit sharing summary',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Get the persisted profit distribution for a season
+ *
+ * @route GET /api/v1/profit-sharing/seasons/:seasonId
+ * @access Admin
+ *
+ * @param {string} seasonId - Season MongoDB ObjectId
+ *
+ * @throws {404} Profit sharing has not been executed for this season
+ */
+exports.getDistributionBySeason = async (req, res) => {
+  try {
+    const { seasonId } = req.params;
+
+    if (!isObjectId(seasonId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid season ID format',
+      });
+    }
+
+    const distribution = await ProfitDistribution.findOne({ season: seasonId })
+      .populate('season', 'name goal totalRaised donationCount status startDate endDate')
+      .populate('campaign', 'name')
+      .populate('selectedDonors.donor', 'firstName lastName email donorType')
+      .lean();
+
+    if (!distribution) {
+      return res.status(404).json({
+        success: false,
+        error: 'No profit distribution found for this season',
+        seasonId,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: distribution,
+    });
+  } catch (error) {
+    console.error('Error in getDistributionBySeason:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve profit distribution',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Get profit sharing statistics for a campaign
+ *
+ * @route GET /api/v1/profit-sharing/campaigns/:campaignId/stats
+ * @access Admin
+ *
+ * @param {string} campaignId - Campaign MongoDB ObjectId
+ */
+exports.getCampaignProfitStats = async (req, res) => {
+  try {
+    const { campaignId } = req.params;
+
+    if (!isObjectId(campaignId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid campaign ID format',
+      });
+    }
+
+    const stats = await ProfitSharing.getCampaignProfitStats(campaignId);
+
+    const distributions = await ProfitDistribution.find({ campaign: campaignId })
+      .select('season totalProfit executedAt')
+      .lean();
+
+    const totalDistributed = distributions.reduce((sum, d) => sum + d.totalProfit, 0);
+
+    res.json({
+      success: true,
+      data: {
+        ...stats,
+        executed: {
+          count: distributions.length,
+          totalProfit: Math.round(totalDistributed * 100) / 100,
+          seasons: distributions.map(d => d.season),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Error in getCampaignProfitStats:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve campaign profit statistics',
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,254 @@
+/**
+ * ============================================================================
+ * PROFIT SHARING JOB CONTROLLER
+ * ============================================================================
+ *
+ * Jobs are queued automatically when a donation takes a season to its goal.
+ * Depending on the campaign policy's executionMode they either run straight
+ * away or wait here for an admin to approve (or reject) them.
+ *
+ * @module controllers/profitSharingJobController
+ * @requires models/ProfitSharingJob
+ * @requires profit_sharing/profit.sharing.trigger
+ */
+
+const ProfitSharingJob = require('../models/ProfitSharingJob');
+const ProfitSharingTrigger = require('../profit_sharing/profit.sharing.trigger');
+
+const isObjectId = (id) => /^[0-9a-fA-F]{24}$/.test(id);
+
+const JOB_STATUSES = ['awaiting_approval', 'queued', 'running', 'completed', 'failed', 'rejected'];
+
+/**
+ * Send a failed trigger result: unknown job → 404, wrong status → 409
+ */
+const sendJobError = (res, result) => res
+  .status(result.error === 'Profit sharing job not found' ? 404 : 409)
+  .json(result);
+
+// ============================================================================
+// JOB RETRIEVAL
+// ============================================================================
+
+/**
+ * Get profit sharing jobs with filtering and pagination
+ *
+ * @route GET /api/v1/profit-sharing/jobs
+ * @access Admin
+ *
+ * @queryparam {string} status - Filter by job status
+ * @queryparam {string} campaign - Filter by campaign ID
+ * @queryparam {number} page - Page number (default: 1)
+ * @queryparam {number} limit - Items per page (default: 10, max: 100)
+ */
+exports.getJobs = async (req, res) => {
+  try {
+    const { status, campaign, page = 1, limit = 10 } = req.query;
+
+    const pageNum = Math.max(1, parseInt(page));
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+
+    const query = {};
+    if (status && JOB_STATUSES.includes(status)) query.status = status;
+
+    if (campaign) {
+      if (!isObjectId(campaign)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid campaign ID format',
+        });
+      }
+      query.campaign = campaign;
+    }
+
+    const jobs = await ProfitSharingJob.find(query)
+      .populate('season', 'name goal totalRaised status')
+      .populate('campaign', 'name')
+      .sort('-goalReachedAt')
+      .limit(limitNum)
+      .skip((pageNum - 1) * limitNum)
+      .lean();
+
+    const count = await ProfitSharingJob.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: jobs,
+      pagination: {
+        total: count,
+        page: pageNum,
+        limit: limitNum,
+        pages: Math.ceil(count / limitNum),
+      },
+    });
+  } catch (error) {
+    console.error('Error in getJobs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve profit sharing jobs',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Get a single profit sharing job
+ *
+ * @route GET /api/v1/profit-sharing/jobs/:jobId
+ * @access Admin
+ */
+exports.getJob = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    if (!isObjectId(jobId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid job ID format',
+      });
+    }
+
+    const job = await ProfitSharingJob.findById(jobId)
+      .populate('season', 'name goal totalRaised status goalReachedAt')
+      .populate('campaign', 'name')
+      .populate('triggerDonation', 'amount donor donationDate')
+      .lean();
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Profit sharing job not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job,
+    });
+  } catch (error) {
+    console.error('Error in getJob:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve profit sharing job',
+      message: error.message,
+    });
+  }
+};
+
+// ============================================================================
+// APPROVAL
+// ============================================================================
+
+/**
+ * Approve a held or failed job and execute profit sharing for its season.
+ * Jobs left running or queued for PROFIT_SHARING_JOB_STALE_MINUTES (the
+ * process running them stopped) can be approved too.
+ *
+ * @route POST /api/v1/profit-sharing/jobs/:jobId/approve
+ * @access Admin
+ *
+ * @bodyparam {string} approvedBy - Approver identity (required)
+ * @bodyparam {string} reveal - Reveal value when the draw commitment is not server-held
+ *
+ * @throws {404} Job not found
+ * @throws {409} Job is not awaiting approval, failed or abandoned
+ * @throws {422} Profit sharing execution failed (job is left failed for retry)
+ */
+exports.approveJob = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const { approvedBy, reveal } = req.body || {};
+
+    if (!isObjectId(jobId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid job ID format',
+      });
+    }
+
+    if (!approvedBy || !String(approvedBy).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'approvedBy is required',
+      });
+    }
+
+    const outcome = await ProfitSharingTrigger.approve(jobId, String(approvedBy).trim(), reveal);
+
+    if (!outcome.job) {
+      return sendJobError(res, outcome);
+    }
+
+    if (!outcome.success) {
+      return res.status(422).json({
+        success: false,
+        error: 'Profit sharing execution failed',
+        job: outcome.job,
+        result: outcome.result,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Profit sharing job approved and executed',
+      data: outcome.job,
+      result: outcome.result,
+    });
+  } catch (error) {
+    console.error('Error in approveJob:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to approve profit sharing job',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Reject a held (or failed) job
+ *
+ * @route POST /api/v1/profit-sharing/jobs/:jobId/reject
+ * @access Admin
+ *
+ * @bodyparam {string} rejectedBy - Identity rejecting the job (required)
+ * @bodyparam {string} reason - Rejection reason (required)
+ */
+exports.rejectJob = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const { rejectedBy, reason } = req.body || {};
+
+    if (!isObjectId(jobId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid job ID format',
+      });
+    }
+
+    if (!rejectedBy || !reason) {
+      return res.status(400).json({
+        success: false,
+        error: 'rejectedBy and reason are required',
+      });
+    }
+
+    const outcome = await ProfitSharingTrigger.reject(jobId, String(rejectedBy).trim(), String(reason).trim());
+
+    if (!outcome.success) {
+      return sendJobError(res, outcome);
+    }
+
+    res.json({
+      success: true,
+      message: 'Profit sharing job rejected',
+      data: outcome.job,
+    });
+  } catch (error) {
+    console.error('Error in rejectJob:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reject profit sharing job',
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,310 @@
+/**
+ * ============================================================================
+ * PROFIT SHARING POLICY CONTROLLER
+ * ============================================================================
+ *
+ * Campaign-level profit sharing policies. Policies are versioned and immutable
+ * once used: "updating" a policy creates the next version, and the highest
+ * version is the one applied by the next profit sharing execution.
+ *
+ * @module controllers/profitSharingPolicyController
+ * @requires models/ProfitSharingPolicy
+ * @requires models/ProfitDistribution
+ * @requires models/Campaign
+ * @requires profit_sharing/profit.sharing
+ */
+
+const ProfitSharingPolicy = require('../models/ProfitSharingPolicy');
+const ProfitDistribution = require('../models/ProfitDistribution');
+const Campaign = require('../models/Campaign');
+const ProfitSharing = require('../profit_sharing/profit.sharing');
+
+const isObjectId = (id) => /^[0-9a-fA-F]{24}$/.test(id);
+
+const POLICY_FIELDS = [
+  'multipliers',
+  'minDonations',
+  'selectedDonorsCount',
+  'vendorSplit',
+  'agentDistribution',
+  'stakeholderDistribution',
+  'executionMode',
+];
+
+// ============================================================================
+// POLICY RETRIEVAL
+// ============================================================================
+
+/**
+ * Get all policy versions for a campaign (newest first)
+ *
+ * @route GET /api/v1/profit-sharing/campaigns/:campaignId/policies
+ * @access Admin
+ */
+exports.getPolicies = async (req, res) => {
+  try {
+    const { campaignId } = req.params;
+
+    if (!isObjectId(campaignId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid campaign ID format',
+      });
+    }
+
+    const policies = await ProfitSharingPolicy.find({ campaign: campaignId })
+      .sort('-version')
+      .lean();
+
+    res.json({
+      success: true,
+      data: policies,
+      currentVersion: policies.length > 0 ? policies[0].version : ProfitSharing.DEFAULT_POLICY.version,
+    });
+  } catch (error) {
+    console.error('Error in getPolicies:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve profit sharing policies',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Get the policy currently applied to a campaign (defaults if none exists)
+ *
+ * @route GET /api/v1/profit-sharing/campaigns/:campaignId/policies/current
+ * @access Admin
+ */
+exports.getCurrentPolicy = async (req, res) => {
+  try {
+    const { campaignId } = req.params;
+
+    if (!isObjectId(campaignId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid campaign ID format',
+      });
+    }
+
+    const policy = await ProfitSharing.getPolicy(campaignId);
+
+    res.json({
+      success: true,
+      data: policy,
+    });
+  } catch (error) {
+    console.error('Error in getCurrentPolicy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve profit sharing policy',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Get a specific policy version
+ *
+ * @route GET /api/v1/profit-sharing/campaigns/:campaignId/policies/:version
+ * @access Admin
+ */
+exports.getPolicyVersion = async (req, res) => {
+  try {
+    const { campaignId, version } = req.params;
+
+    if (!isObjectId(campaignId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid campaign ID format',
+      });
+    }
+
+    const policy = await ProfitSharingPolicy.findOne({
+      campaign: campaignId,
+      version: parseInt(version),
+    }).lean();
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        error: 'Policy version not found',
+        version,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: policy,
+    });
+  } catch (error) {
+    console.error('Error in getPolicyVersion:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve profit sharing policy',
+      message: error.message,
+    });
+  }
+};
+
+// ============================================================================
+// POLICY CREATION AND REMOVAL
+// ============================================================================
+
+/**
+ * Create the next policy version for a campaign
+ * Fields not supplied are carried over from the current policy (or the defaults)
+ *
+ * @route POST /api/v1/profit-sharing/campaigns/:campaignId/policies
+ * @access Admin
+ *
+ * @bodyparam {Object} multipliers - { initial, first, second, final }
+ * @bodyparam {number} minDonations - Minimum donations for donor eligibility
+ * @bodyparam {number} selectedDonorsCount - Number of donors drawn
+ * @bodyparam {Object} vendorSplit - { agents, stakeholders } fractions summing to 1
+ * @bodyparam {Object} agentDistribution - { freelancing, corporate, majorPerMillion }
+ * @bodyparam {Object} stakeholderDistribution - { r1, pb, sf, bmg } fractions summing to 1
+ * @bodyparam {string} executionMode - 'auto' or 'approval' when a season reaches its goal
+ * @bodyparam {string} notes - Reason for the change (optional)
+ *
+ * @throws {400} Validation failed (e.g. splits do not sum to 100%)
+ * @throws {404} Campaign not found
+ */
+exports.createPolicy = async (req, res) => {
+  try {
+    const { campaignId } = req.params;
+    const body = req.body || {};
+
+    if (!isObjectId(campaignId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid campaign ID format',
+      });
+    }
+
+    const campaign = await Campaign.findById(campaignId).select('name').lean();
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found',
+        campaignId,
+      });
+    }
+
+    const current = await ProfitSharing.getPolicy(campaignId);
+
+    // Merge each supplied section over the current one
+    const fields = {};
+    for (const field of POLICY_FIELDS) {
+      const base = current[field];
+      const update = body[field];
+      fields[field] = base !== null && typeof base === 'object'
+        ? { ...base, ...(update || {}) }
+        : (update !== undefined ? update : base);
+    }
+
+    const policy = await ProfitSharingPolicy.create({
+      ...fields,
+      campaign: campaignId,
+      version: current.version + 1,
+      notes: body.notes,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Profit sharing policy version ${policy.version} created`,
+      data: policy,
+      metadata: {
+        campaign: campaign.name,
+        previousVersion: current.version,
+      },
+    });
+  } catch (error) {
+    console.error('Error in createPolicy:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map((err) => ({
+        field: err.path,
+        message: err.message,
+      }));
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors,
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'A policy version was created concurrently, please retry',
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create profit sharing policy',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Delete a policy version that has never been used by an execution
+ *
+ * @route DELETE /api/v1/profit-sharing/campaigns/:campaignId/policies/:version
+ * @access Admin
+ *
+ * @throws {404} Policy version not found
+ * @throws {409} Policy version is referenced by a profit distribution
+ */
+exports.deletePolicy = async (req, res) => {
+  try {
+    const { campaignId, version } = req.params;
+
+    if (!isObjectId(campaignId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid campaign ID format',
+      });
+    }
+
+    const policy = await ProfitSharingPolicy.findOne({
+      campaign: campaignId,
+      version: parseInt(version),
+    });
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        error: 'Policy version not found',
+        version,
+      });
+    }
+
+    const usageCount = await ProfitDistribution.countDocuments({ 'policy.policy': policy._id });
+    if (usageCount > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Cannot delete a policy version used by profit sharing executions',
+        usageCount,
+        suggestion: 'Create a new version instead',
+      });
+    }
+
+    await ProfitSharingPolicy.findByIdAndDelete(policy._id);
+
+    res.json({
+      success: true,
+      message: `Profit sharing policy version ${policy.version} deleted`,
+    });
+  } catch (error) {
+    console.error('Error in deletePolicy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete profit sharing policy',
+      message: error.message,
+    });
+  }
+};
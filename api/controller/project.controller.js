@@ -1,4 +1,21 @@
 const Project = require('../models/Project');
+const { ROLES } = require('../middlesware/permissions');
+const KycService = require('../kyc/kyc.service');
+
+// Account model behind each role that can own projects
+const OWNER_MODELS = {
+  [ROLES.PROJECT_OWNER]: 'ProjectOwner',
+  [ROLES.AGENT]: 'Agent',
+  [ROLES.CORPORATE_AGENT]: 'CorporateAgent',
+};
+
+/**
+ * Whether the caller may change a project: admins always, others only
+ * projects they created
+ */
+const canModifyProject = (user, project) => user.role === ROLES.ADMIN
+  || (project.createdBy && String(project.createdBy) === user.id
+    && project.createdByModel === OWNER_MODELS[user.role]);
 
 const VALID_CATEGORIES = [
   'education', 'health', 'environment', 'humanitarian',
@@ -13,15 +30,15 @@ const VALID_CATEGORIES = [
  * Create a new project / campaign
  *
  * @route POST /api/v1/projects
- * @access Public
+ * @access Admin, ProjectOwner, Agent, CorporateAgent (KYC verified)
  *
  * @bodyparam {string} title       - Project title (required)
  * @bodyparam {string} category    - Category (required)
  * @bodyparam {string} description - Project description (required)
  * @bodyparam {number} goal        - Fundraising goal amount (required)
  * @bodyparam {string} status      - Status: draft | active | completed | cancelled
- * @bodyparam {string} createdBy   - ID of the creator (optional)
- * @bodyparam {string} createdByModel - Model type: ProjectOwner | Agent | CorporateAgent
+ * @bodyparam {string} createdBy   - ID of the creator (admin only; others are recorded as the creator)
+ * @bodyparam {string} createdByModel - Model type: ProjectOwner | Agent | CorporateAgent (admin only)
  */
 exports.createProject = async (req, res) => {
   try {
@@ -69,11 +86,26 @@ exports.createProject = async (req, res) => {
       status: status || 'draft',
     };
 
-    if (createdBy && createdByModel) {
+    if (req.user.role !== ROLES.ADMIN) {
+      projectData.createdBy = req.user.id;
+      projectData.createdByModel = OWNER_MODELS[req.user.role];
+    } else if (createdBy && createdByModel) {
       projectData.createdBy = createdBy;
       projectData.createdByModel = createdByModel;
     }
 
+    // ── KYC check: projects can only be owned by verified accounts ───────────
+    if (projectData.createdBy && Object.values(OWNER_MODELS).includes(projectData.createdByModel)
+      && !(await KycService.isVerified(projectData.createdByModel, projectData.createdBy))) {
+      return res.status(403).json({
+        success: false,
+        error: 'KYC verification required',
+        message: req.user.role === ROLES.ADMIN
+          ? 'The project owner has not passed KYC verification'
+          : 'Complete KYC verification before creating projects',
+      });
+    }
+
     const project = await Project.create(projectData);
 
     res.status(201).json({
@@ -247,7 +279,7 @@ exports.getProject = async (req, res) => {
  * Update a project by ID
  *
  * @route PUT /api/v1/projects/:id
- * @access Public
+ * @access Admin, or the project's creator
  */
 exports.updateProject = async (req, res) => {
   try {
@@ -292,6 +324,22 @@ exports.updateProject = async (req, res) => {
       }
     }
 
+    const existing = await Project.findById(id).select('createdBy createdByModel').lean();
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Project not found',
+      });
+    }
+
+    if (!canModifyProject(req.user, existing)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'Only the project creator or an admin can update this project',
+      });
+    }
+
     const updateData = {};
     if (title) updateData.title = title.trim();
     if (category) updateData.category = category.trim().toLowerCase();
@@ -348,7 +396,7 @@ exports.updateProject = async (req, res) => {
  * Delete a project by ID
  *
  * @route DELETE /api/v1/projects/:id
- * @access Public
+ * @access Admin, or the project's creator
  */
 exports.deleteProject = async (req, res) => {
   try {
@@ -361,6 +409,15 @@ exports.deleteProject = async (req, res) => {
       });
     }
 
+    const existing = await Project.findById(id).select('createdBy createdByModel').lean();
+    if (existing && !canModifyProject(req.user, existing)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'Only the project creator or an admin can delete this project',
+      });
+    }
+
     const project = await Project.findByIdAndDelete(id);
 
     if (!project) {
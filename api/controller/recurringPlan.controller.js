@@ -0,0 +1,283 @@
+/**
+ * ============================================================================
+ * RECURRING PLAN CONTROLLER
+ * ============================================================================
+ *
+ * This controller handles recurring donation plans:
+ * - Creating plans for a donor (staff, agents, or donors for themselves)
+ * - Listing and viewing plans with their recent installments
+ * - Pausing, resuming, skipping the next installment and cancelling
+ *
+ * The same handlers serve /recurring-plans for staff and /me/recurring-plans
+ * for donors; the service limits donors to their own plans and agents to the
+ * plans they set up. Installments are created and charged by the scheduler
+ * (see recurring/recurring.service).
+ *
+ * @module controllers/recurringPlanController
+ * @requires recurring/recurring.service
+ */
+
+const RecurringService = require('../recurring/recurring.service');
+const { ROLES } = require('../middlesware/permissions');
+
+const isObjectId = (id) => /^[0-9a-fA-F]{24}$/.test(id);
+
+const sendFailure = (res, { status, error, success, ...details }) => res.status(status).json({
+  success: false,
+  error,
+  ...details,
+});
+
+/**
+ * Validate the body of a new plan
+ *
+ * @returns {string|null} Error message
+ */
+const validatePlan = (body, isDonor) => {
+  const { donor, campaign, amount, frequency, startDate, endDate } = body;
+
+  if (!isDonor && (!donor || !isObjectId(donor))) return 'A valid donor is required';
+  if (!campaign || !isObjectId(campaign)) return 'A valid campaign is required';
+  if (!(Number(amount) > 0)) return 'Amount must be greater than 0';
+  if (!RecurringService.FREQUENCIES.includes(frequency)) {
+    return `frequency must be one of: ${RecurringService.FREQUENCIES.join(', ')}`;
+  }
+  if (startDate && Number.isNaN(Date.parse(startDate))) return 'Invalid startDate';
+  if (endDate && Number.isNaN(Date.parse(endDate))) return 'Invalid endDate';
+  if (endDate && new Date(endDate) <= new Date(startDate || Date.now())) return 'endDate must be after startDate';
+  return null;
+};
+
+/**
+ * Get recurring plans
+ *
+ * @route GET /api/v1/recurring-plans
+ * @route GET /api/v1/me/recurring-plans
+ * @access Admins, agents (own plans), donors (own plans)
+ *
+ * @queryparam {string} status    - active | past_due | paused | cancelled | completed
+ * @queryparam {string} donor     - Donor ID
+ * @queryparam {string} campaign  - Campaign ID
+ * @queryparam {string} frequency - weekly | monthly | quarterly | annually
+ * @queryparam {number} page      - Page number (default: 1)
+ * @queryparam {number} limit     - Results per page (default: 20, max: 100)
+ */
+exports.getRecurringPlans = async (req, res) => {
+  try {
+    const { data, pagination } = await RecurringService.list(req.query, req.user);
+
+    res.json({
+      success: true,
+      data,
+      pagination,
+    });
+  } catch (error) {
+    console.error('Error in getRecurringPlans:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve recurring plans',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Get a recurring plan with its events and latest installments
+ *
+ * @route GET /api/v1/recurring-plans/:id
+ * @route GET /api/v1/me/recurring-plans/:id
+ * @access Admins, agents (own plans), donors (own plans)
+ */
+exports.getRecurringPlan = async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid plan ID',
+      });
+    }
+
+    const plan = await RecurringService.findById(req.params.id, req.user);
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        error: 'Recurring plan not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: plan,
+    });
+  } catch (error) {
+    console.error('Error in getRecurringPlan:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve recurring plan',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Create a recurring plan. The first installment is due on startDate.
+ *
+ * @route POST /api/v1/recurring-plans
+ * @route POST /api/v1/me/recurring-plans
+ * @access Super admin, finance, support, agents, donors (for themselves)
+ *
+ * @bodyparam {string}  donor           - Donor ID (required unless the caller is the donor)
+ * @bodyparam {string}  campaign        - Campaign ID (required)
+ * @bodyparam {number}  amount          - Amount per installment (required)
+ * @bodyparam {string}  currency        - Currency (default: the campaign's baseCurrency)
+ * @bodyparam {string}  frequency       - weekly | monthly | quarterly | annually (required)
+ * @bodyparam {Date}    startDate       - First installment, today or later (default: now)
+ * @bodyparam {Date}    endDate         - No installments after this date
+ * @bodyparam {string}  paymentMethod   - Donation payment method
+ * @bodyparam {string}  paymentProvider - Gateway charging the saved token
+ * @bodyparam {string}  paymentToken    - Reusable provider authorization
+ * @bodyparam {boolean} isAnonymous     - Give anonymously
+ */
+exports.createRecurringPlan = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const isDonor = req.user.role === ROLES.DONOR;
+    const invalid = validatePlan(body, isDonor);
+
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid,
+      });
+    }
+
+    // Donors save a payment method by paying an installment through checkout
+    const input = isDonor ? { ...body, paymentToken: undefined } : body;
+    const result = await RecurringService.create(input, req.user);
+
+    if (!result.success) return sendFailure(res, result);
+
+    res.status(201).json({
+      success: true,
+      message: 'Recurring plan created',
+      data: result.plan,
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: Object.values(error.errors).map(err => err.message),
+      });
+    }
+
+    console.error('Error in createRecurringPlan:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create recurring plan',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Run a state change on a plan and send the result
+ */
+const changePlan = (name, message, action) => async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid plan ID',
+      });
+    }
+
+    const result = await action(req);
+
+    if (!result.success) return sendFailure(res, result);
+
+    res.json({
+      success: true,
+      message,
+      data: result.plan,
+    });
+  } catch (error) {
+    console.error(`Error in ${name}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update recurring plan',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Pause a plan, indefinitely or until a date
+ *
+ * @route POST /api/v1/recurring-plans/:id/pause
+ * @route POST /api/v1/me/recurring-plans/:id/pause
+ * @access Super admin, finance, support, donors (own plans)
+ *
+ * @bodyparam {Date}   until - Resume automatically on this date
+ * @bodyparam {string} note  - Why the plan is paused
+ */
+exports.pauseRecurringPlan = async (req, res) => {
+  const { until, note } = req.body || {};
+
+  if (until && (Number.isNaN(Date.parse(until)) || new Date(until) <= new Date())) {
+    return res.status(400).json({
+      success: false,
+      error: 'until must be a future date',
+    });
+  }
+
+  return changePlan('pauseRecurringPlan', 'Recurring plan paused', () => RecurringService.pause(
+    req.params.id,
+    req.user,
+    { until: until ? new Date(until) : null, note: note ? String(note).trim() : null }
+  ))(req, res);
+};
+
+/**
+ * Resume a paused plan. Installments missed while paused are not charged.
+ *
+ * @route POST /api/v1/recurring-plans/:id/resume
+ * @route POST /api/v1/me/recurring-plans/:id/resume
+ * @access Super admin, finance, support, donors (own plans)
+ */
+exports.resumeRecurringPlan = changePlan(
+  'resumeRecurringPlan',
+  'Recurring plan resumed',
+  req => RecurringService.resume(req.params.id, req.user)
+);
+
+/**
+ * Skip the installment currently due
+ *
+ * @route POST /api/v1/recurring-plans/:id/skip
+ * @route POST /api/v1/me/recurring-plans/:id/skip
+ * @access Super admin, finance, support, donors (own plans)
+ */
+exports.skipRecurringInstallment = changePlan(
+  'skipRecurringInstallment',
+  'Installment skipped',
+  req => RecurringService.skip(req.params.id, req.user)
+);
+
+/**
+ * Cancel a plan; its unpaid pending installment is cancelled too
+ *
+ * @route POST /api/v1/recurring-plans/:id/cancel
+ * @route POST /api/v1/me/recurring-plans/:id/cancel
+ * @access Super admin, finance, support, donors (own plans)
+ *
+ * @bodyparam {string} reason - Why the plan is cancelled
+ */
+exports.cancelRecurringPlan = changePlan(
+  'cancelRecurringPlan',
+  'Recurring plan cancelled',
+  req => RecurringService.cancel(req.params.id, req.user, {
+    reason: req.body && req.body.reason ? String(req.body.reason).trim() : null,
+  })
+);
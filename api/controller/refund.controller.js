@@ -0,0 +1,269 @@
+/**
+ * ============================================================================
+ * REFUND CONTROLLER
+ * ============================================================================
+ *
+ * This controller handles refund records:
+ * - Listing refunds, per donation or across campaigns, with pending clawbacks
+ * - Cancelling a refund still waiting for the payment provider
+ * - Resolving the clawback of a refund from a season that had paid out
+ *
+ * Refunds are issued with PATCH /donations/:id/refund (see
+ * refunds/refund.service).
+ *
+ * @module controllers/refundController
+ * @requires refunds/refund.service
+ * @requires donor/donor.service
+ */
+
+const RefundService = require('../refunds/refund.service');
+const DonorService = require('../donor/donor.service');
+const Donation = require('../models/Donation');
+
+const isObjectId = (id) => /^[0-9a-fA-F]{24}$/.test(id);
+
+const sendFailure = (res, { status, error, success, ...details }) => res.status(status).json({
+  success: false,
+  error,
+  ...details,
+});
+
+// ============================================================================
+// REFUNDS
+// ============================================================================
+
+/**
+ * Get refunds, newest first, with counts and base-currency amounts per status
+ *
+ * @route GET /api/v1/refunds
+ * @access Admins
+ *
+ * @queryparam {string} status   - pending | completed | failed | cancelled
+ * @queryparam {string} clawback - pending | recovered | waived
+ * @queryparam {string} method   - gateway | manual
+ * @queryparam {string} donation - Donation ID
+ * @queryparam {string} campaign - Campaign ID
+ * @queryparam {string} season   - Season ID
+ * @queryparam {number} page     - Page number (default: 1)
+ * @queryparam {number} limit    - Results per page (default: 20, max: 100)
+ */
+exports.getRefunds = async (req, res) => {
+  try {
+    const { status, clawback, method, donation, campaign, season } = req.query;
+
+    if (status && !RefundService.STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${RefundService.STATUSES.join(', ')}`,
+      });
+    }
+
+    if (clawback && !RefundService.CLAWBACK_STATUSES.includes(clawback)) {
+      return res.status(400).json({
+        success: false,
+        error: `clawback must be one of: ${RefundService.CLAWBACK_STATUSES.join(', ')}`,
+      });
+    }
+
+    if (method && !['gateway', 'manual'].includes(method)) {
+      return res.status(400).json({
+        success: false,
+        error: 'method must be gateway or manual',
+      });
+    }
+
+    if ([donation, campaign, season].some(id => id && !isObjectId(id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid donation, campaign or season ID',
+      });
+    }
+
+    const { data, pagination, totals } = await RefundService.list(req.query);
+
+    res.json({
+      success: true,
+      data,
+      pagination,
+      totals,
+    });
+  } catch (error) {
+    console.error('Error in getRefunds:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve refunds',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Get the refunds of a donation
+ *
+ * @route GET /api/v1/donations/:id/refunds
+ * @access Admins, agents (donations they brought in)
+ */
+exports.getDonationRefunds = async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid donation ID format',
+      });
+    }
+
+    if (!await Donation.exists({ _id: req.params.id, ...DonorService.donationScope(req.user) })) {
+      return res.status(404).json({
+        success: false,
+        error: 'Donation not found',
+      });
+    }
+
+    const { data, totals } = await RefundService.list({ donation: req.params.id, limit: 100 });
+
+    res.json({
+      success: true,
+      data,
+      totals,
+    });
+  } catch (error) {
+    console.error('Error in getDonationRefunds:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve donation refunds',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Get a refund with its status history
+ *
+ * @route GET /api/v1/refunds/:id
+ * @access Admins
+ */
+exports.getRefund = async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid refund ID',
+      });
+    }
+
+    const refund = await RefundService.findById(req.params.id);
+
+    if (!refund) {
+      return res.status(404).json({
+        success: false,
+        error: 'Refund not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: refund,
+    });
+  } catch (error) {
+    console.error('Error in getRefund:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve refund',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Cancel a refund still waiting for the payment provider. Check with the
+ * provider first: a refund it completes later is recorded again from its
+ * webhook.
+ *
+ * @route POST /api/v1/refunds/:id/cancel
+ * @access Super admin, finance
+ *
+ * @bodyparam {string} note - Why it is cancelled
+ */
+exports.cancelRefund = async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid refund ID',
+      });
+    }
+
+    const { note } = req.body || {};
+    const result = await RefundService.cancel(req.params.id, { note: note ? String(note).trim() : null }, req.user);
+
+    if (!result.success) return sendFailure(res, result);
+
+    res.json({
+      success: true,
+      message: 'Refund cancelled',
+      data: result.refund,
+    });
+  } catch (error) {
+    console.error('Error in cancelRefund:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel refund',
+      message: error.message,
+    });
+  }
+};
+
+// ============================================================================
+// CLAWBACKS
+// ============================================================================
+
+/**
+ * Resolve the clawback of a refund from a season that had already paid out
+ * profit sharing
+ *
+ * @route POST /api/v1/refunds/:id/clawback
+ * @access Super admin, finance
+ *
+ * @bodyparam {string} status - recovered | waived (required)
+ * @bodyparam {string} note   - How it was recovered, or why it is waived
+ */
+exports.resolveClawback = async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid refund ID',
+      });
+    }
+
+    const { status, note } = req.body || {};
+
+    if (!['recovered', 'waived'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'status must be recovered or waived',
+      });
+    }
+
+    const result = await RefundService.resolveClawback(
+      req.params.id,
+      { status, note: note ? String(note).trim() : null },
+      req.user
+    );
+
+    if (!result.success) return sendFailure(res, result);
+
+    res.json({
+      success: true,
+      message: `Clawback marked ${status}`,
+      data: result.refund,
+    });
+  } catch (error) {
+    console.error('Error in resolveClawback:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resolve clawback',
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,193 @@
+/**
+ * ============================================================================
+ * ROLLOVER CONTROLLER
+ * ============================================================================
+ *
+ * This controller exposes the season/cycle rollover engine:
+ * - Campaign history of season and cycle transitions
+ * - Manually rolling a campaign over to its next season
+ * - Running the end-date sweep on demand
+ *
+ * @module controllers/rolloverController
+ * @requires rollover/season.rollover
+ * @requires models/Campaign
+ * @requires models/Season
+ * @requires models/CampaignHistory
+ */
+
+const SeasonRollover = require('../rollover/season.rollover');
+const Campaign = require('../models/Campaign');
+const Season = require('../models/Season');
+const CampaignHistory = require('../models/CampaignHistory');
+
+const isObjectId = (id) => /^[0-9a-fA-F]{24}$/.test(id);
+
+/**
+ * Get a campaign's season and cycle transition history (newest first)
+ *
+ * @route GET /api/v1/campaigns/:id/history
+ * @access Public
+ *
+ * @queryparam {string} event - Filter by event type
+ * @queryparam {number} page - Page number (default: 1)
+ * @queryparam {number} limit - Items per page (default: 20, max: 100)
+ */
+exports.getCampaignHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { event, page = 1, limit = 20 } = req.query;
+
+    if (!isObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid campaign ID format'
+      });
+    }
+
+    const pageNum = Math.max(1, parseInt(page));
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+
+    const query = { campaign: id };
+    if (event) query.event = event;
+
+    const history = await CampaignHistory.find(query)
+      .populate('season', 'name seasonNumber')
+      .populate('cycle', 'name cycleNumber')
+      .sort('-occurredAt -_id')
+      .limit(limitNum)
+      .skip((pageNum - 1) * limitNum)
+      .lean();
+
+    const count = await CampaignHistory.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: history,
+      pagination: {
+        total: count,
+        page: pageNum,
+        limit: limitNum,
+        pages: Math.ceil(count / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error('Error in getCampaignHistory:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve campaign history',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Close a campaign's active season now and open the next one
+ *
+ * @route POST /api/v1/campaigns/:id/rollover
+ * @access Admin
+ *
+ * @bodyparam {string} triggeredBy - Identity recorded in the history (required)
+ *
+ * @throws {404} Campaign not found or has no active season
+ * @throws {409} Season was rolled over concurrently
+ */
+exports.rolloverCampaign = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { triggeredBy } = req.body || {};
+
+    if (!isObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid campaign ID format'
+      });
+    }
+
+    if (!triggeredBy || !String(triggeredBy).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'triggeredBy is required'
+      });
+    }
+
+    const campaign = await Campaign.findById(id).select('name').lean();
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found',
+        requestedId: id
+      });
+    }
+
+    const season = await Season.findOne({ campaign: id, status: 'active' })
+      .sort('startDate')
+      .select('_id')
+      .lean();
+
+    if (!season) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign has no active season'
+      });
+    }
+
+    const result = await SeasonRollover.rolloverSeason(season._id, {
+      reason: 'manual',
+      triggeredBy: String(triggeredBy).trim()
+    });
+
+    if (!result.success) {
+      return res.status(409).json(result);
+    }
+
+    res.json({
+      success: true,
+      message: result.halted
+        ? `Season closed; rollover halted (${result.halted})`
+        : 'Season rolled over',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error in rolloverCampaign:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to roll over campaign',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Run the rollover sweep now instead of waiting for the scheduler
+ *
+ * @route POST /api/v1/campaigns/rollover/sweep
+ * @access Admin
+ */
+exports.runRolloverSweep = async (req, res) => {
+  try {
+    const result = await SeasonRollover.sweep();
+
+    res.json({
+      success: true,
+      message: `${result.rolledOver.length} season(s) rolled over`,
+      data: {
+        checked: result.checked,
+        rolledOver: result.rolledOver.map(r => ({
+          closedSeason: r.closedSeason._id,
+          openedSeason: r.openedSeason?._id || null,
+          closedCycle: r.closedCycle?._id || null,
+          openedCycle: r.openedCycle?._id || null,
+          halted: r.halted
+        })),
+        failed: result.failed
+      }
+    });
+  } catch (error) {
+    console.error('Error in runRolloverSweep:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run rollover sweep',
+      message: error.message
+    });
+  }
+};
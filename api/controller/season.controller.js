@@ -25,6 +25,7 @@ const Season = require('../models/Season');
 const Campaign = require('../models/Campaign');
 const Donation = require('../models/Donation');
 const { validationResult } = require('express-validator');
+const { BASE_AMOUNT } = require('../fx/exchange.rate.service');
 
 // ============================================================================
 // SEASON RETRIEVAL OPERATIONS
@@ -37,6 +38,7 @@ const { validationResult } = require('express-validator');
  * @access Public
  *
  * @queryparam {string} campaign - Filter by campaign ID
+ * @queryparam {string} cycle - Filter by cycle ID
  * @queryparam {string} status - Filter by status (upcoming, active, completed)
  * @queryparam {number} page - Page number (default: 1)
  * @queryparam {number} limit - Items per page (default: 10, max: 100)
@@ -57,6 +59,7 @@ exports.getAllSeasons = async (req, res) => {
   try {
     const {
       campaign,
+      cycle,
       status,
       page = 1,
       limit = 10,
@@ -80,6 +83,11 @@ exports.getAllSeasons = async (req, res) => {
       query.campaign = campaign;
     }
 
+    // Cycle filter
+    if (cycle) {
+      query.cycle = cycle;
+    }
+
     // Status filter
     if (status) {
       const validStatuses = ['upcoming', 'active', 'completed'];
@@ -181,6 +189,7 @@ exports.getAllSeasons = async (req, res) => {
       },
       filters: {
         campaign: campaign || null,
+        cycle: cycle || null,
         status: status || 'all',
         active: active || null,
         sort
@@ -307,9 +316,9 @@ exports.getSeason = async (req, res) => {
       {
         $group: {
           _id: null,
-          avgDonation: { $avg: '$amount' },
-          maxDonation: { $max: '$amount' },
-          minDonation: { $min: '$amount' },
+          avgDonation: { $avg: BASE_AMOUNT },
+          maxDonation: { $max: BASE_AMOUNT },
+          minDonation: { $min: BASE_AMOUNT },
           uniqueDonors: { $addToSet: '$donor' }
         }
       }
@@ -508,9 +517,9 @@ exports.getSeasonStats = async (req, res) => {
       {
         $group: {
           _id: null,
-          totalAmount: { $sum: '$amount' },
+          totalAmount: { $sum: BASE_AMOUNT },
           count: { $sum: 1 },
-          avgDonation: { $avg: '$amount' }
+          avgDonation: { $avg: BASE_AMOUNT }
         }
       }
     ]);
@@ -721,6 +730,15 @@ exports.updateSeason = async (req, res) => {
       });
     }
 
+    // Cycle membership goes through the cycles API, which checks capacity and numbering
+    if (req.body.cycle !== undefined || req.body.seasonNumber !== undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot set cycle or seasonNumber directly',
+        message: 'Use POST /api/v1/cycles/:id/seasons to attach a season to a cycle'
+      });
+    }
+
     const warnings = [];
 
     // Validate date changes if campaign is being changed or dates are being updated
@@ -913,12 +931,12 @@ exports.getSeasonStats = async (req, res) => {
       {
         $group: {
           _id: null,
-          totalAmount: { $sum: '$amount' },
+          totalAmount: { $sum: BASE_AMOUNT },
           count: { $sum: 1 },
-          avgDonation: { $avg: '$amount' },
-          maxDonation: { $max: '$amount' },
-          minDonation: { $min: '$amount' },
-          medianCalc: { $push: '$amount' }
+          avgDonation: { $avg: BASE_AMOUNT },
+          maxDonation: { $max: BASE_AMOUNT },
+          minDonation: { $min: BASE_AMOUNT },
+          medianCalc: { $push: BASE_AMOUNT }
         }
       }
     ]);
@@ -977,7 +995,7 @@ exports.getSeasonStats = async (req, res) => {
         $group: {
           _id: '$donor',
           donationCount: { $sum: 1 },
-          totalContributed: { $sum: '$amount' }
+          totalContributed: { $sum: BASE_AMOUNT }
         }
       },
       {
@@ -1008,7 +1026,7 @@ exports.getSeasonStats = async (req, res) => {
         $group: {
           _id: '$paymentMethod',
           count: { $sum: 1 },
-          total: { $sum: '$amount' }
+          total: { $sum: BASE_AMOUNT }
         }
       },
       { $sort: { total: -1 } }
@@ -1026,7 +1044,7 @@ exports.getSeasonStats = async (req, res) => {
         $group: {
           _id: '$donationType',
           count: { $sum: 1 },
-          total: { $sum: '$amount' }
+          total: { $sum: BASE_AMOUNT }
         }
       }
     ]);
@@ -1049,7 +1067,7 @@ exports.getSeasonStats = async (req, res) => {
             $dateToString: { format: '%Y-%m-%d', date: '$donationDate' }
           },
           count: { $sum: 1 },
-          total: { $sum: '$amount' }
+          total: { $sum: BASE_AMOUNT }
         }
       },
       { $sort: { _id: 1 } }
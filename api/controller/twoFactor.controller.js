@@ -0,0 +1,252 @@
+const TwoFactorService = require('../auth/two.factor.service');
+const IdentityService = require('../identity/identity.service');
+const { accountTypeFor } = require('../identity/account.types');
+
+// Self-service handlers act on the caller (req.user). Setup and enable also
+// accept the challenge token of a login that requires enrolment, in which
+// case enabling completes the login.
+
+const isObjectId = (id) => /^[0-9a-fA-F]{24}$/.test(id);
+
+const sendFailure = (res, { status, error, success, ...details }) => res.status(status).json({
+  success: false,
+  error,
+  ...details,
+});
+
+const actorOf = (req) => ({
+  id: req.user ? req.user.id : null,
+  ip: req.ip,
+  userAgent: req.get('user-agent') || null,
+});
+
+// ============================================================================
+// SELF-SERVICE
+// ============================================================================
+
+/**
+ * Get the caller's two-factor status
+ *
+ * @route GET /api/v1/auth/two-factor
+ * @access Any authenticated account
+ */
+exports.getStatus = async (req, res) => {
+  try {
+    const status = await TwoFactorService.getStatus(req.user.role, req.user.id);
+
+    if (!status) {
+      return res.status(404).json({
+        success: false,
+        error: 'Account not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: status,
+    });
+  } catch (error) {
+    console.error('Error in getStatus:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve two-factor status',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Start enrolment: returns a new secret and its otpauth:// URI for the
+ * authenticator app. Calling again replaces the pending secret.
+ *
+ * @route POST /api/v1/auth/two-factor/setup
+ * @access Any authenticated account, or a two_factor_setup challenge
+ *
+ * @bodyparam {string} challengeToken - Instead of a bearer token, when login asked for enrolment
+ */
+exports.setup = async (req, res) => {
+  try {
+    const result = await TwoFactorService.setup(req.user.role, req.user.id);
+
+    if (!result.success) return sendFailure(res, result);
+
+    const { success, ...data } = result;
+
+    res.json({
+      success: true,
+      message: 'Add the secret to your authenticator app, then confirm with a code',
+      data,
+    });
+  } catch (error) {
+    console.error('Error in setup:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start two-factor setup',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Confirm enrolment with a code. Backup codes are returned once and never
+ * shown again. With a setup challenge the response also carries the login
+ * tokens.
+ *
+ * @route POST /api/v1/auth/two-factor/enable
+ * @access Any authenticated account, or a two_factor_setup challenge
+ *
+ * @bodyparam {string} code           - Code from the authenticator app
+ * @bodyparam {string} challengeToken - Instead of a bearer token, when login asked for enrolment
+ */
+exports.enable = async (req, res) => {
+  try {
+    const { code } = req.body || {};
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        error: 'code is required',
+      });
+    }
+
+    const result = await TwoFactorService.enable(req.user.role, req.user.id, code, actorOf(req));
+
+    if (!result.success) return sendFailure(res, result);
+
+    const response = {
+      success: true,
+      message: 'Two-factor authentication enabled. Store the backup codes somewhere safe',
+      backupCodes: result.backupCodes,
+    };
+
+    if (req.challenge) {
+      const type = accountTypeFor(req.user.role);
+      const login = await IdentityService.completeLogin(result.account, type, {
+        ip: req.ip,
+        userAgent: req.get('user-agent') || null,
+      });
+
+      Object.assign(response, {
+        accountType: type.role,
+        ...login.tokens,
+        data: login.account,
+      });
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Error in enable:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to enable two-factor authentication',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Turn two-factor authentication off
+ *
+ * @route POST /api/v1/auth/two-factor/disable
+ * @access Any authenticated account
+ *
+ * @bodyparam {string} password   - Account password
+ * @bodyparam {string} code       - Code from the authenticator app
+ * @bodyparam {string} backupCode - Or one of the backup codes
+ */
+exports.disable = async (req, res) => {
+  try {
+    const result = await TwoFactorService.disable(req.user.role, req.user.id, req.body || {}, actorOf(req));
+
+    if (!result.success) return sendFailure(res, result);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+    });
+  } catch (error) {
+    console.error('Error in disable:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to disable two-factor authentication',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Replace the backup codes
+ *
+ * @route POST /api/v1/auth/two-factor/backup-codes
+ * @access Any authenticated account
+ *
+ * @bodyparam {string} code       - Code from the authenticator app
+ * @bodyparam {string} backupCode - Or one of the current backup codes
+ */
+exports.regenerateBackupCodes = async (req, res) => {
+  try {
+    const result = await TwoFactorService.regenerateBackupCodes(req.user.role, req.user.id, req.body || {});
+
+    if (!result.success) return sendFailure(res, result);
+
+    res.json({
+      success: true,
+      message: 'New backup codes generated; the previous ones no longer work',
+      backupCodes: result.backupCodes,
+    });
+  } catch (error) {
+    console.error('Error in regenerateBackupCodes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to regenerate backup codes',
+      message: error.message,
+    });
+  }
+};
+
+// ============================================================================
+// ADMIN
+// ============================================================================
+
+/**
+ * Require two-factor authentication for an account, or reset its enrolment
+ *
+ * @route PATCH /api/v1/{agents|corporate-agents|project-owners}/:id/two-factor
+ * @access Admin (super_admin, support)
+ *
+ * @bodyparam {boolean} required - Make 2FA mandatory (or optional again)
+ * @bodyparam {boolean} reset    - Remove the current enrolment
+ */
+exports.updateAccountTwoFactor = (role) => async (req, res) => {
+  const { label } = accountTypeFor(role);
+
+  try {
+    const { id } = req.params;
+
+    if (!isObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid ${label} ID format`,
+      });
+    }
+
+    const { required, reset } = req.body || {};
+    const result = await TwoFactorService.adminUpdate(role, id, { required, reset: reset === true }, actorOf(req));
+
+    if (!result.success) return sendFailure(res, result);
+
+    res.json({
+      success: true,
+      message: 'Two-factor settings updated',
+      data: result.twoFactor,
+      sessionsRevoked: result.sessionsRevoked,
+    });
+  } catch (error) {
+    console.error('Error in updateAccountTwoFactor:', error);
+    res.status(500).json({
+      success: false,
+      error: `Failed to update ${label} two-factor settings`,
+      message: error.message,
+    });
+  }
+};
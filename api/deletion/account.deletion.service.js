@@ -0,0 +1,642 @@
+/**
+ * ============================================================================
+ * ACCOUNT DELETION SERVICE CLASS
+ * ============================================================================
+ *
+ * Lifecycle of a request to delete an account (any type, including donors):
+ *
+ *   1. request   - from the /account-delete form, the API or /me; emails a
+ *                  confirmation link (valid CONFIRM_TTL_HOURS)
+ *   2. confirm   - the holder follows the link; the grace period
+ *                  (ACCOUNT_DELETION_GRACE_DAYS) starts and the request
+ *                  joins the admin review queue
+ *   3. approve / reject - by an admin (deletions:review)
+ *   4. execute   - once approved and past the grace period, by approve()
+ *                  itself or the periodic sweep
+ *
+ * The holder can cancel with the link from the emails (or via /me) until the
+ * request is executed. Execution anonymises personal data rather than
+ * deleting documents: donations keep their amounts, dates and campaigns for
+ * accounting, payouts and KYC decisions keep their figures, but names,
+ * contact details, identifiers and documents are removed. The account is
+ * deactivated, which revokes its tokens (see auth/revocation.plugin).
+ *
+ * Every step is appended to the request's events as its audit trail.
+ *
+ * Methods return { success: false, status, error } for expected failures.
+ *
+ * @class AccountDeletionService
+ * @requires models/AccountDeletionRequest
+ * @requires auth/token.service
+ * @requires auth/two.factor.service
+ * @requires mail/mailer
+ */
+
+const crypto = require('crypto');
+const AccountDeletionRequest = require('../models/AccountDeletionRequest');
+const AuthEvent = require('../models/AuthEvent');
+const Donation = require('../models/Donation');
+const KycSubmission = require('../models/KycSubmission');
+const MagicLinkToken = require('../models/MagicLinkToken');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const TokenService = require('../auth/token.service');
+const TwoFactorService = require('../auth/two.factor.service');
+const Mailer = require('../mail/mailer');
+const { ACCOUNT_TYPES, accountTypeFor } = require('../identity/account.types');
+
+// Replacement for required profile strings once anonymised
+const REDACTED = '[deleted]';
+
+// Personal fields replaced on execution, per token role. Values are
+// functions of the account id where they must stay unique.
+const agentFields = (id) => ({
+  name: 'Deleted account',
+  phone: REDACTED,
+  houseAddress: REDACTED,
+  officeAddress: REDACTED,
+  cac: `DELETED${id}`,
+  nin: `deleted-${id}`
+});
+
+const ANONYMISED_FIELDS = {
+  agent: agentFields,
+  corporate_agent: agentFields,
+  project_owner: (id) => ({
+    name: 'Deleted account',
+    phone: REDACTED,
+    organization: REDACTED,
+    nin: `deleted-${id}`
+  }),
+  admin: () => ({
+    name: 'Deleted account'
+  }),
+  donor: () => ({
+    firstName: 'Deleted',
+    lastName: 'Donor',
+    phone: null,
+    address: null,
+    tags: [],
+    'preferences.emailReceipts': false,
+    'preferences.newsletter': false,
+    'preferences.contactChannel': 'none'
+  })
+};
+
+const OPEN_STATUSES = ['pending_confirmation', 'pending_review', 'approved', 'executing'];
+const CANCELLABLE_STATUSES = ['pending_confirmation', 'pending_review', 'approved'];
+
+class AccountDeletionService {
+  /**
+   * Days between confirmation and execution
+   */
+  static GRACE_DAYS = process.env.ACCOUNT_DELETION_GRACE_DAYS !== undefined
+    ? Number(process.env.ACCOUNT_DELETION_GRACE_DAYS)
+    : 14;
+
+  /**
+   * Hours a confirmation link stays valid
+   */
+  static CONFIRM_TTL_HOURS = 48;
+
+  /**
+   * Minutes between execution sweeps when ACCOUNT_DELETION_SWEEP_MINUTES is not set
+   */
+  static DEFAULT_INTERVAL_MINUTES = 60;
+
+  static STATUSES = AccountDeletionRequest.schema.path('status').enumValues;
+
+  /**
+   * Link to the /account-delete page (served by this app)
+   */
+  static link(action, token) {
+    const base = (process.env.APP_URL || 'http://localhost:3035').replace(/\/$/, '');
+    return `${base}/account-delete/${action}?token=${encodeURIComponent(token)}`;
+  }
+
+  static event(type, { actor = null, actorModel = null, ip = null, note = null } = {}) {
+    return { type, at: new Date(), actor, actorModel, ip, note };
+  }
+
+  /**
+   * Actor fields for a step taken by the account holder
+   */
+  static holder(request, ip = null) {
+    return { actor: request.account, actorModel: request.accountModel, ip };
+  }
+
+  static async notify(to, subject, lines) {
+    try {
+      await Mailer.send({ to, subject, text: ['Hello,', '', ...lines].join('\n') });
+    } catch (error) {
+      // The request stands even if the email cannot be sent
+      console.error('Failed to send account deletion email:', error);
+    }
+  }
+
+  /**
+   * Request deletion by email address (public form and API). Every active
+   * account with this address gets its own confirmation email, optionally
+   * limited to one account type. Callers should respond the same way
+   * whatever the result so the endpoint does not reveal which emails are
+   * registered.
+   *
+   * @param {Object} input - { email, accountType, reason, source }
+   * @param {Object} meta - { ip }
+   * @returns {number} Confirmation emails sent
+   */
+  static async request({ email, accountType = null, reason = null, source = 'api' }, { ip = null } = {}) {
+    const address = String(email).trim().toLowerCase();
+    const types = accountType ? [accountTypeFor(accountType)].filter(Boolean) : Object.values(ACCOUNT_TYPES);
+    let sent = 0;
+
+    for (const type of types) {
+      const account = await TokenService.modelFor(type.role)
+        .findOne({ email: address, deletedAt: null })
+        .select('email')
+        .lean();
+
+      if (!account) continue;
+
+      const result = await AccountDeletionService.open(type.role, account, { reason, source }, { ip });
+      if (result.emailed) sent += 1;
+    }
+
+    return sent;
+  }
+
+  /**
+   * Request deletion of the signed-in account
+   *
+   * @param {string} role - Token role
+   * @param {string} id - Account ID
+   * @param {Object} input - { reason }
+   * @param {Object} meta - { ip }
+   * @returns {Object} { success, request }
+   */
+  static async requestForAccount(role, id, { reason = null } = {}, { ip = null } = {}) {
+    const account = await TokenService.modelFor(role).findById(id).select('email deletedAt').lean();
+
+    if (!account || account.deletedAt) {
+      return { success: false, status: 404, error: 'Account not found' };
+    }
+
+    const result = await AccountDeletionService.open(role, account, { reason, source: 'self_service' }, { ip });
+
+    if (!result.emailed) {
+      return {
+        success: false,
+        status: 409,
+        error: 'A deletion request for this account is already under review',
+        request: result.request
+      };
+    }
+
+    return { success: true, request: result.request };
+  }
+
+  /**
+   * Open a request for an account and email its confirmation link. A request
+   * still awaiting confirmation gets a fresh link; one already confirmed is
+   * left alone.
+   *
+   * @returns {Object} { request, emailed }
+   */
+  static async open(role, account, { reason, source }, { ip }) {
+    const accountModel = TokenService.ACCOUNT_MODELS[role];
+    const token = crypto.randomBytes(32).toString('base64url');
+    const confirmBy = new Date(Date.now() + AccountDeletionService.CONFIRM_TTL_HOURS * 60 * 60 * 1000);
+    const requested = AccountDeletionService.event('requested', {
+      actor: account._id,
+      actorModel: accountModel,
+      ip,
+      note: `Requested via ${source}`
+    });
+
+    let request = await AccountDeletionRequest.findOneAndUpdate(
+      { account: account._id, accountModel, status: 'pending_confirmation' },
+      {
+        $set: {
+          tokenHash: TokenService.hash(token),
+          confirmBy,
+          ...(reason ? { reason } : {})
+        },
+        $push: { events: requested }
+      },
+      { new: true }
+    );
+
+    if (!request) {
+      try {
+        request = await AccountDeletionRequest.create({
+          account: account._id,
+          accountModel,
+          email: account.email,
+          reason,
+          source,
+          tokenHash: TokenService.hash(token),
+          confirmBy,
+          events: [requested]
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        // Already confirmed, approved or being executed
+        request = await AccountDeletionRequest.findOne({ account: account._id, accountModel, isOpen: true });
+        return { request, emailed: false };
+      }
+    }
+
+    await AccountDeletionService.notify(account.email, 'Confirm your account deletion request', [
+      `We received a request to delete your ${accountTypeFor(role).label} account.`,
+      'To confirm it, open the link below:',
+      '',
+      AccountDeletionService.link('confirm', token),
+      '',
+      `The link expires in ${AccountDeletionService.CONFIRM_TTL_HOURS} hours.`,
+      'If you did not ask for this, you can ignore this email and nothing will change.'
+    ]);
+
+    return { request, emailed: true };
+  }
+
+  /**
+   * Confirm a request with the token from the email. Starts the grace period
+   * and puts the request in the review queue.
+   *
+   * @param {string} token - Raw token from the email
+   * @param {Object} meta - { ip }
+   * @returns {Object} { success, request }
+   */
+  static async confirm(token, { ip = null } = {}) {
+    const now = new Date();
+    const tokenHash = TokenService.hash(String(token));
+    const current = await AccountDeletionRequest.findOne({
+      tokenHash,
+      status: 'pending_confirmation',
+      confirmBy: { $gt: now }
+    });
+
+    if (!current) {
+      return { success: false, status: 400, error: 'Confirmation link is invalid, expired or already used' };
+    }
+
+    const scheduledFor = new Date(now.getTime() + AccountDeletionService.GRACE_DAYS * 24 * 60 * 60 * 1000);
+    const request = await AccountDeletionRequest.findOneAndUpdate(
+      { _id: current._id, status: 'pending_confirmation' },
+      {
+        $set: { status: 'pending_review', confirmedAt: now, scheduledFor },
+        $push: { events: AccountDeletionService.event('confirmed', AccountDeletionService.holder(current, ip)) }
+      },
+      { new: true }
+    );
+
+    if (!request) {
+      return { success: false, status: 400, error: 'Confirmation link is invalid, expired or already used' };
+    }
+
+    await AccountDeletionService.notify(request.email, 'Your account deletion is scheduled', [
+      'Your account deletion request is confirmed.',
+      `Once reviewed, your account will be deleted on or after ${scheduledFor.toDateString()}.`,
+      '',
+      'Changed your mind? Cancel the request with this link before then:',
+      '',
+      AccountDeletionService.link('cancel', token)
+    ]);
+
+    return { success: true, request };
+  }
+
+  /**
+   * Cancel an open request before it is executed, either with the token from
+   * the emails or as the signed-in account holder.
+   *
+   * @param {Object} by - { token } or { role, id }
+   * @param {Object} meta - { ip }
+   * @returns {Object} { success, request }
+   */
+  static async cancel({ token, role, id }, { ip = null } = {}) {
+    const filter = token !== undefined
+      ? { tokenHash: TokenService.hash(String(token)) }
+      : { account: id, accountModel: TokenService.ACCOUNT_MODELS[role] };
+    const current = await AccountDeletionRequest.findOne({ ...filter, isOpen: true });
+
+    if (!current) {
+      return {
+        success: false,
+        status: 404,
+        error: token !== undefined ? 'Cancellation link is invalid or the request is already closed' : 'No open deletion request'
+      };
+    }
+
+    const request = await AccountDeletionRequest.findOneAndUpdate(
+      { _id: current._id, status: { $in: CANCELLABLE_STATUSES } },
+      {
+        $set: { status: 'cancelled', isOpen: false },
+        $push: { events: AccountDeletionService.event('cancelled', AccountDeletionService.holder(current, ip)) }
+      },
+      { new: true }
+    );
+
+    if (!request) {
+      return { success: false, status: 409, error: 'The account is already being deleted' };
+    }
+
+    return { success: true, request };
+  }
+
+  /**
+   * Approve a confirmed request. Executes it straight away when the grace
+   * period is over, otherwise the sweep picks it up.
+   *
+   * @param {string} id - Request ID
+   * @param {Object} admin - { id, ip, note }
+   * @returns {Object} { success, request, executed }
+   */
+  static async approve(id, { id: adminId, ip = null, note = null }) {
+    const current = await AccountDeletionRequest.findById(id);
+
+    if (!current) {
+      return { success: false, status: 404, error: 'Deletion request not found' };
+    }
+
+    if (current.status !== 'pending_review') {
+      return { success: false, status: 409, error: `Request is ${current.status}, not pending review` };
+    }
+
+    if (await AccountDeletionService.isLastSuperAdmin(current)) {
+      return { success: false, status: 409, error: 'Cannot delete the last active super admin' };
+    }
+
+    const now = new Date();
+    let request = await AccountDeletionRequest.findOneAndUpdate(
+      { _id: current._id, status: 'pending_review' },
+      {
+        $set: { status: 'approved', reviewedBy: adminId, reviewedAt: now, reviewNote: note },
+        $push: { events: AccountDeletionService.event('approved', { actor: adminId, actorModel: 'Admin', ip, note }) }
+      },
+      { new: true }
+    );
+
+    if (!request) {
+      return { success: false, status: 409, error: 'Request was changed by someone else; reload and try again' };
+    }
+
+    let executed = false;
+    if (request.scheduledFor <= now) {
+      const result = await AccountDeletionService.execute(request._id, { now });
+      executed = result.success;
+      request = result.request || request;
+    }
+
+    return { success: true, request, executed };
+  }
+
+  /**
+   * Reject a confirmed or approved request and tell the holder why
+   *
+   * @param {string} id - Request ID
+   * @param {Object} admin - { id, ip, reason }
+   * @returns {Object} { success, request }
+   */
+  static async reject(id, { id: adminId, ip = null, reason }) {
+    const request = await AccountDeletionRequest.findOneAndUpdate(
+      { _id: id, status: { $in: ['pending_review', 'approved'] } },
+      {
+        $set: {
+          status: 'rejected',
+          isOpen: false,
+          reviewedBy: adminId,
+          reviewedAt: new Date(),
+          reviewNote: reason
+        },
+        $push: {
+          events: AccountDeletionService.event('rejected', { actor: adminId, actorModel: 'Admin', ip, note: reason })
+        }
+      },
+      { new: true }
+    );
+
+    if (!request) {
+      const exists = await AccountDeletionRequest.exists({ _id: id });
+      return exists
+        ? { success: false, status: 409, error: 'Only requests pending review or approved can be rejected' }
+        : { success: false, status: 404, error: 'Deletion request not found' };
+    }
+
+    await AccountDeletionService.notify(request.email, 'Your account deletion request was not approved', [
+      'Your request to delete your account was not approved.',
+      '',
+      `Reason: ${reason}`,
+      '',
+      'Please contact support if you have any questions.'
+    ]);
+
+    return { success: true, request };
+  }
+
+  /**
+   * Whether a request targets the only active super admin
+   */
+  static async isLastSuperAdmin(request) {
+    if (request.accountModel !== 'Admin') return false;
+
+    const Admin = TokenService.modelFor('admin');
+    const admin = await Admin.findById(request.account).select('role isActive').lean();
+    if (!admin || admin.role !== 'super_admin' || !admin.isActive) return false;
+
+    const others = await Admin.countDocuments({ _id: { $ne: admin._id }, role: 'super_admin', isActive: true });
+    return others === 0;
+  }
+
+  /**
+   * Execute an approved request whose grace period is over: anonymise the
+   * account and the personal data linked to it. Claims the request first so
+   * the sweep and an approval cannot run it twice; on failure it goes back
+   * to approved for the next sweep.
+   *
+   * @param {string} id - Request ID
+   * @param {Object} options - { now }
+   * @returns {Object} { success, request }
+   */
+  static async execute(id, { now = new Date() } = {}) {
+    const request = await AccountDeletionRequest.findOneAndUpdate(
+      { _id: id, status: 'approved', scheduledFor: { $lte: now } },
+      { $set: { status: 'executing' } },
+      { new: true }
+    );
+
+    if (!request) {
+      return { success: false, status: 409, error: 'Request is not approved or its grace period is not over' };
+    }
+
+    if (await AccountDeletionService.isLastSuperAdmin(request)) {
+      return AccountDeletionService.fail(request, 'Cannot delete the last active super admin');
+    }
+
+    const role = TokenService.roleFor(request.accountModel);
+    const accountId = request.account;
+    const email = `deleted-${accountId}@deleted.invalid`;
+    const originalEmail = request.email;
+
+    try {
+      await TokenService.revokeAll(accountId, role, 'account_deleted');
+      await TokenService.modelFor(role).updateOne(
+        { _id: accountId },
+        {
+          $set: {
+            ...ANONYMISED_FIELDS[role](accountId),
+            ...TwoFactorService.cleared(),
+            email,
+            isActive: false,
+            deletedAt: now
+          },
+          $unset: { password: 1 }
+        }
+      );
+
+      if (role === 'donor') {
+        // Amounts, dates and campaigns stay for accounting
+        await Donation.updateMany({ donor: accountId }, { $set: { notes: null, isAnonymous: true } });
+      }
+
+      await KycSubmission.updateMany(
+        { account: accountId, accountModel: request.accountModel },
+        { $set: { nin: REDACTED, cac: null, documents: [] } }
+      );
+      await AuthEvent.updateMany({ account: accountId, accountModel: request.accountModel }, { $set: { email } });
+      await PasswordResetToken.deleteMany({ account: accountId, accountModel: request.accountModel });
+      await MagicLinkToken.deleteMany({ account: accountId, accountModel: request.accountModel });
+    } catch (error) {
+      console.error('Error executing account deletion:', error);
+      return AccountDeletionService.fail(request, error.message);
+    }
+
+    const completed = await AccountDeletionRequest.findByIdAndUpdate(
+      request._id,
+      {
+        $set: { status: 'completed', isOpen: false, completedAt: new Date() },
+        $push: { events: AccountDeletionService.event('executed') }
+      },
+      { new: true }
+    );
+    // Earlier requests of the account still hold its address
+    await AccountDeletionRequest.updateMany(
+      { account: accountId, accountModel: request.accountModel },
+      { $set: { email } }
+    );
+
+    await AccountDeletionService.notify(originalEmail, 'Your account has been deleted', [
+      'Your account and the personal data linked to it have been deleted.',
+      'Records we must keep for accounting, such as donation amounts, are retained without your details.'
+    ]);
+
+    return { success: true, request: completed };
+  }
+
+  /**
+   * Put a claimed request back to approved and record why it failed
+   */
+  static async fail(request, note) {
+    const updated = await AccountDeletionRequest.findByIdAndUpdate(
+      request._id,
+      {
+        $set: { status: 'approved' },
+        $push: { events: AccountDeletionService.event('failed', { note }) }
+      },
+      { new: true }
+    );
+
+    return { success: false, status: 409, error: note, request: updated };
+  }
+
+  /**
+   * Execute every approved request whose grace period is over
+   *
+   * @param {Object} options - { now }
+   * @returns {Object} { checked, executed, failed }
+   */
+  static async sweep({ now = new Date() } = {}) {
+    const due = await AccountDeletionRequest.find({ status: 'approved', scheduledFor: { $lte: now } })
+      .select('_id')
+      .lean();
+    const summary = { checked: due.length, executed: 0, failed: 0 };
+
+    for (const { _id } of due) {
+      const result = await AccountDeletionService.execute(_id, { now });
+      if (result.success) summary.executed += 1;
+      else summary.failed += 1;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Run sweep() every intervalMinutes. Does nothing for 0 or less.
+   *
+   * @param {number} intervalMinutes - Minutes between sweeps
+   * @returns {Object|null} Interval handle
+   */
+  static startScheduler(intervalMinutes = AccountDeletionService.DEFAULT_INTERVAL_MINUTES) {
+    if (!(intervalMinutes > 0)) return null;
+
+    const timer = setInterval(() => {
+      AccountDeletionService.sweep().catch((error) => {
+        console.error('Error in account deletion sweep:', error);
+      });
+    }, intervalMinutes * 60 * 1000);
+
+    // Do not keep the process alive just for the scheduler
+    timer.unref();
+    return timer;
+  }
+
+  /**
+   * Review queue and history
+   *
+   * @param {Object} query - { status, accountType, page, limit }
+   * @returns {Object} { data, pagination }
+   */
+  static async list({ status = 'pending_review', accountType, page = 1, limit = 20 } = {}) {
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+    const filter = {};
+
+    if (status === 'open') filter.status = { $in: OPEN_STATUSES };
+    else if (status !== 'all') filter.status = status;
+    if (accountType) filter.accountModel = TokenService.ACCOUNT_MODELS[accountType];
+
+    const [data, total] = await Promise.all([
+      AccountDeletionRequest.find(filter)
+        .sort({ scheduledFor: 1, createdAt: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .populate('reviewedBy', 'name email')
+        .lean(),
+      AccountDeletionRequest.countDocuments(filter)
+    ]);
+
+    return {
+      data,
+      pagination: {
+        total,
+        page: pageNum,
+        limit: limitNum,
+        pages: Math.ceil(total / limitNum)
+      }
+    };
+  }
+
+  static async findById(id) {
+    return AccountDeletionRequest.findById(id).populate('reviewedBy', 'name email').lean();
+  }
+
+  /**
+   * The account's latest request, open or not
+   */
+  static async latestFor(role, id) {
+    return AccountDeletionRequest.findOne({ account: id, accountModel: TokenService.ACCOUNT_MODELS[role] })
+      .sort({ createdAt: -1 })
+      .lean();
+  }
+}
+
+module.exports = AccountDeletionService;
@@ -0,0 +1,397 @@
+/**
+ * ============================================================================
+ * DONOR SERVICE CLASS
+ * ============================================================================
+ *
+ * Donor data shared by the staff donor endpoints and the donor's own portal
+ * (/me/donations, /me/receipts, /me/preferences):
+ *
+ *   - history: donations with lifetime statistics and breakdowns
+ *   - receipts: completed donations with their receipt status, by year
+ *   - preferences: communication settings the donor manages
+ *   - scope / donationScope: the donors and donations an agent can reach
+ *
+ * @class DonorService
+ * @requires models/Donor
+ * @requires models/Donation
+ */
+
+const mongoose = require('mongoose');
+const Donor = require('../models/Donor');
+const Donation = require('../models/Donation');
+const { BASE_AMOUNT } = require('../fx/exchange.rate.service');
+const { ROLES } = require('../middlesware/permissions');
+
+class DonorService {
+  /**
+   * Preferences a donor can change, with their allowed values
+   */
+  static PREFERENCES = {
+    emailReceipts: 'boolean',
+    newsletter: 'boolean',
+    contactChannel: ['email', 'phone', 'mail', 'none']
+  };
+
+  /**
+   * Whether the caller only reaches their own donors and donations (agents)
+   */
+  static isScoped(user) {
+    return Boolean(user) && [ROLES.AGENT, ROLES.CORPORATE_AGENT].includes(user.role);
+  }
+
+  /**
+   * Donor query restriction for the caller: agents only reach the donors
+   * they recorded or took donations from
+   */
+  static async scope(user) {
+    if (!DonorService.isScoped(user)) return {};
+
+    const agent = new mongoose.Types.ObjectId(String(user.id));
+    const donated = await Donation.distinct('donor', { agent });
+    return { $or: [{ agent }, { _id: { $in: donated } }] };
+  }
+
+  /**
+   * Donation query restriction for the caller: agents only reach the
+   * donations they brought in. Usable in aggregations.
+   */
+  static donationScope(user) {
+    return DonorService.isScoped(user) ? { agent: new mongoose.Types.ObjectId(String(user.id)) } : {};
+  }
+
+  /**
+   * Donation history of a donor with statistics
+   *
+   * @param {Object} donor - Donor document
+   * @param {Object} query - { page, limit, status, campaign, sort, startDate, endDate }
+   * @returns {Object} { data: { donor, donations, statistics }, pagination, filters }
+   */
+  static async history(donor, {
+    page = 1,
+    limit = 10,
+    status,
+    campaign,
+    sort = '-donationDate',
+    startDate,
+    endDate
+  } = {}) {
+    // Build donation query
+    const donationQuery = { donor: donor._id };
+
+    if (status) donationQuery.status = status;
+    if (campaign) donationQuery.campaign = campaign;
+
+    // Date range filter
+    if (startDate || endDate) {
+      donationQuery.donationDate = {};
+      if (startDate) donationQuery.donationDate.$gte = new Date(startDate);
+      if (endDate) donationQuery.donationDate.$lte = new Date(endDate);
+    }
+
+    // Pagination
+    const pageNum = Math.max(1, parseInt(page));
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+
+    // Get donations
+    const donations = await Donation.find(donationQuery)
+      .populate('campaign', 'name status')
+      .populate('season', 'name')
+      .populate('cycle', 'name cycleNumber')
+      .sort(sort)
+      .limit(limitNum)
+      .skip((pageNum - 1) * limitNum)
+      .lean();
+
+    const count = await Donation.countDocuments(donationQuery);
+
+    // Get comprehensive statistics
+    const stats = await Donation.aggregate([
+      { $match: { donor: donor._id, status: 'completed' } },
+      {
+        $group: {
+          _id: null,
+          totalAmount: { $sum: BASE_AMOUNT },
+          count: { $sum: 1 },
+          avgDonation: { $avg: BASE_AMOUNT },
+          maxDonation: { $max: BASE_AMOUNT },
+          minDonation: { $min: BASE_AMOUNT },
+          firstDonation: { $min: '$donationDate' },
+          lastDonation: { $max: '$donationDate' }
+        }
+      }
+    ]);
+
+    const donationStats = stats[0] || {
+      totalAmount: 0,
+      count: 0,
+      avgDonation: 0,
+      maxDonation: 0,
+      minDonation: 0,
+      firstDonation: null,
+      lastDonation: null
+    };
+
+    // Get donations by year
+    const donationsByYear = await Donation.aggregate([
+      { $match: { donor: donor._id, status: 'completed' } },
+      {
+        $group: {
+          _id: { $year: '$donationDate' },
+          count: { $sum: 1 },
+          total: { $sum: BASE_AMOUNT }
+        }
+      },
+      { $sort: { _id: -1 } }
+    ]);
+
+    // Get donations by campaign
+    const donationsByCampaign = await Donation.aggregate([
+      { $match: { donor: donor._id, status: 'completed' } },
+      {
+        $group: {
+          _id: '$campaign',
+          count: { $sum: 1 },
+          total: { $sum: BASE_AMOUNT },
+          lastDonation: { $max: '$donationDate' }
+        }
+      },
+      { $sort: { total: -1 } },
+      { $limit: 10 },
+      {
+        $lookup: {
+          from: 'campaigns',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'campaignInfo'
+        }
+      },
+      { $unwind: '$campaignInfo' }
+    ]);
+
+    // Get donations by payment method
+    const donationsByPaymentMethod = await Donation.aggregate([
+      { $match: { donor: donor._id, status: 'completed' } },
+      {
+        $group: {
+          _id: '$paymentMethod',
+          count: { $sum: 1 },
+          total: { $sum: BASE_AMOUNT }
+        }
+      },
+      { $sort: { count: -1 } }
+    ]);
+
+    // Calculate giving consistency (donations per month since first donation)
+    const monthsSinceFirst = donationStats.firstDonation
+      ? Math.max(1, Math.ceil((new Date() - new Date(donationStats.firstDonation)) / (1000 * 60 * 60 * 24 * 30)))
+      : 0;
+
+    const givingConsistency = monthsSinceFirst > 0
+      ? Math.round((donationStats.count / monthsSinceFirst) * 100) / 100
+      : 0;
+
+    return {
+      data: {
+        donor: {
+          id: donor._id,
+          fullName: donor.fullName,
+          email: donor.email,
+          donorType: donor.donorType,
+          isActive: donor.isActive,
+          totalDonated: donor.totalDonated,
+          donationCount: donor.donationCount,
+          tags: donor.tags
+        },
+        donations,
+        statistics: {
+          lifetime: {
+            totalAmount: donationStats.totalAmount,
+            donationCount: donationStats.count,
+            avgDonation: Math.round((donationStats.avgDonation || 0) * 100) / 100,
+            maxDonation: donationStats.maxDonation,
+            minDonation: donationStats.minDonation,
+            firstDonation: donationStats.firstDonation,
+            lastDonation: donationStats.lastDonation
+          },
+          engagement: {
+            daysSinceFirst: donationStats.firstDonation
+              ? Math.floor((new Date() - new Date(donationStats.firstDonation)) / (1000 * 60 * 60 * 24))
+              : null,
+            daysSinceLast: donationStats.lastDonation
+              ? Math.floor((new Date() - new Date(donationStats.lastDonation)) / (1000 * 60 * 60 * 24))
+              : null,
+            givingConsistency, // Donations per month
+            averageGap: donationStats.count > 1 && donationStats.firstDonation && donationStats.lastDonation
+              ? Math.round((new Date(donationStats.lastDonation) - new Date(donationStats.firstDonation)) / (1000 * 60 * 60 * 24) / (donationStats.count - 1))
+              : null
+          },
+          breakdown: {
+            byYear: donationsByYear.map(y => ({
+              year: y._id,
+              count: y.count,
+              total: Math.round(y.total * 100) / 100
+            })),
+            byCampaign: donationsByCampaign.map(c => ({
+              campaign: {
+                id: c.campaignInfo._id,
+                name: c.campaignInfo.name
+              },
+              count: c.count,
+              total: Math.round(c.total * 100) / 100,
+              lastDonation: c.lastDonation
+            })),
+            byPaymentMethod: donationsByPaymentMethod.map(pm => ({
+              method: pm._id,
+              count: pm.count,
+              total: Math.round(pm.total * 100) / 100,
+              percentage: donationStats.totalAmount > 0
+                ? Math.round((pm.total / donationStats.totalAmount) * 100 * 100) / 100
+                : 0
+            }))
+          }
+        }
+      },
+      pagination: {
+        total: count,
+        page: pageNum,
+        limit: limitNum,
+        pages: Math.ceil(count / limitNum),
+        hasNextPage: pageNum < Math.ceil(count / limitNum),
+        hasPrevPage: pageNum > 1
+      },
+      filters: {
+        status: status || 'all',
+        campaign: campaign || 'all',
+        dateRange: {
+          start: startDate || null,
+          end: endDate || null
+        },
+        sort
+      }
+    };
+  }
+
+  /**
+   * Completed donations of a donor with their receipt status
+   *
+   * @param {string} donorId - Donor MongoDB ObjectId
+   * @param {Object} query - { year, page, limit }
+   * @returns {Object} { data, summary, pagination }
+   */
+  static async receipts(donorId, { year, page = 1, limit = 10 } = {}) {
+    const query = { donor: donorId, status: 'completed' };
+
+    if (year) {
+      const yearNum = parseInt(year);
+      query.donationDate = {
+        $gte: new Date(Date.UTC(yearNum, 0, 1)),
+        $lt: new Date(Date.UTC(yearNum + 1, 0, 1))
+      };
+    }
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 10));
+
+    const donations = await Donation.find(query)
+      .select('campaign amount currency donationDate paymentMethod transactionId receiptSent receiptSentDate')
+      .populate('campaign', 'name')
+      .sort('-donationDate')
+      .limit(limitNum)
+      .skip((pageNum - 1) * limitNum)
+      .lean();
+
+    const count = await Donation.countDocuments(query);
+
+    // Totals per campaign base currency; amounts in different currencies are not added up
+    const totals = await Donation.aggregate([
+      { $match: query },
+      { $group: { _id: { $ifNull: ['$baseCurrency', '$currency'] }, totalAmount: { $sum: BASE_AMOUNT }, count: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ]);
+
+    return {
+      data: donations.map(donation => ({
+        donation: donation._id,
+        campaign: donation.campaign,
+        amount: donation.amount,
+        currency: donation.currency,
+        donationDate: donation.donationDate,
+        paymentMethod: donation.paymentMethod,
+        transactionId: donation.transactionId,
+        receiptStatus: donation.receiptSent ? 'sent' : 'pending',
+        receiptSentDate: donation.receiptSentDate || null
+      })),
+      summary: {
+        year: year ? parseInt(year) : null,
+        totals: totals.map(t => ({
+          currency: t._id,
+          totalAmount: Math.round(t.totalAmount * 100) / 100,
+          donationCount: t.count
+        }))
+      },
+      pagination: {
+        total: count,
+        page: pageNum,
+        limit: limitNum,
+        pages: Math.ceil(count / limitNum)
+      }
+    };
+  }
+
+  /**
+   * Communication preferences of a donor
+   *
+   * @returns {Object|null} Preferences, or null when the donor does not exist
+   */
+  static async getPreferences(donorId) {
+    const donor = await Donor.findById(donorId).select('preferences').lean();
+    return donor ? donor.preferences || {} : null;
+  }
+
+  /**
+   * Change communication preferences
+   *
+   * @param {string} donorId - Donor MongoDB ObjectId
+   * @param {Object} body - Subset of PREFERENCES
+   * @returns {Object} { success, preferences } or { success: false, status, error }
+   */
+  static async updatePreferences(donorId, body) {
+    const allowed = Object.keys(DonorService.PREFERENCES);
+    const rejected = Object.keys(body).filter(field => !allowed.includes(field));
+
+    if (rejected.length > 0) {
+      return { success: false, status: 400, error: 'Unknown preferences', fields: rejected, preferences: allowed };
+    }
+
+    const changes = {};
+    for (const [field, rule] of Object.entries(DonorService.PREFERENCES)) {
+      if (body[field] === undefined) continue;
+
+      const valid = rule === 'boolean' ? typeof body[field] === 'boolean' : rule.includes(body[field]);
+      if (!valid) {
+        return {
+          success: false,
+          status: 400,
+          error: rule === 'boolean' ? `${field} must be a boolean` : `${field} must be one of: ${rule.join(', ')}`
+        };
+      }
+      changes[`preferences.${field}`] = body[field];
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return { success: false, status: 400, error: 'No preferences to update', preferences: allowed };
+    }
+
+    const donor = await Donor.findByIdAndUpdate(donorId, { $set: changes }, { new: true, runValidators: true })
+      .select('preferences')
+      .lean();
+
+    if (!donor) {
+      return { success: false, status: 404, error: 'Donor not found' };
+    }
+
+    return { success: true, preferences: donor.preferences };
+  }
+}
+
+module.exports = DonorService;
@@ -0,0 +1,372 @@
+/**
+ * ============================================================================
+ * EXCHANGE RATE SERVICE CLASS
+ * ============================================================================
+ *
+ * Converts donations into their campaign's base currency with uploaded
+ * exchange rates (no live feed).
+ *
+ *   - Every campaign has a baseCurrency (default DEFAULT_BASE_CURRENCY, NGN);
+ *     its goal, seasons, cycles and profit sharing are in that currency.
+ *   - Each donation keeps its original amount and currency and stores
+ *     baseAmount, baseCurrency and the exchangeRate used. The Donation model
+ *     converts on validate, with the latest rate for the pair effective on or
+ *     before the donationDate; a new donation without a usable rate is
+ *     rejected.
+ *   - A rate for EUR/NGN also converts NGN to EUR (1 / rate); the more recent
+ *     of the two directions wins.
+ *   - Totals, analytics and profit sharing aggregate BASE_AMOUNT, which falls
+ *     back to the original amount for donations recorded before conversion
+ *     was introduced, until backfill() converts them.
+ *
+ * Methods return { success: false, status, error } for expected failures.
+ *
+ * @class ExchangeRateService
+ * @requires models/ExchangeRate
+ */
+
+const mongoose = require('mongoose');
+const ExchangeRate = require('../models/ExchangeRate');
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Start of the given day, UTC: one rate per pair per day
+const dayOf = (date) => {
+  const day = new Date(date);
+  return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()));
+};
+
+class ExchangeRateService {
+  /**
+   * Base currency of campaigns that do not set one
+   */
+  static DEFAULT_BASE_CURRENCY = (process.env.DEFAULT_BASE_CURRENCY || 'NGN').toUpperCase();
+
+  /**
+   * Aggregation expression for a donation's amount in its campaign's base
+   * currency, less what has been refunded of it. Use it instead of '$amount'
+   * wherever donations are summed.
+   */
+  static BASE_AMOUNT = {
+    $subtract: [{ $ifNull: ['$baseAmount', '$amount'] }, { $ifNull: ['$refundedBaseAmount', 0] }]
+  };
+
+  static MAX_UPLOAD_ROWS = 1000;
+
+  /**
+   * Donations read and written per round trip by backfill()
+   */
+  static BACKFILL_BATCH_SIZE = 500;
+
+  static normalise(code) {
+    return code ? String(code).trim().toUpperCase() : null;
+  }
+
+  static isCurrency(code) {
+    return CURRENCY_PATTERN.test(ExchangeRateService.normalise(code) || '');
+  }
+
+  /**
+   * The rate to turn `from` into `to` on `date`
+   *
+   * @returns {Object|null} { rate, effectiveDate, rateId, inverse } or null
+   *   when no rate for the pair is effective yet
+   */
+  static async findRate(from, to, date = new Date()) {
+    const source = ExchangeRateService.normalise(from);
+    const target = ExchangeRateService.normalise(to);
+
+    if (source === target) return { rate: 1, effectiveDate: null, rateId: null, inverse: false };
+
+    const on = { effectiveDate: { $lte: date } };
+    const [direct, inverse] = await Promise.all([
+      ExchangeRate.findOne({ base: source, quote: target, ...on }).sort({ effectiveDate: -1 }).lean(),
+      ExchangeRate.findOne({ base: target, quote: source, ...on }).sort({ effectiveDate: -1 }).lean()
+    ]);
+
+    if (direct && (!inverse || direct.effectiveDate >= inverse.effectiveDate)) {
+      return { rate: direct.rate, effectiveDate: direct.effectiveDate, rateId: direct._id, inverse: false };
+    }
+    if (inverse) {
+      return { rate: 1 / inverse.rate, effectiveDate: inverse.effectiveDate, rateId: inverse._id, inverse: true };
+    }
+    return null;
+  }
+
+  /**
+   * Convert an amount
+   *
+   * @returns {Object|null} { amount, currency, rate, effectiveDate, rateId } or null without a rate
+   */
+  static async convert(amount, from, to, date = new Date()) {
+    const found = await ExchangeRateService.findRate(from, to, date);
+    if (!found) return null;
+
+    return {
+      amount: round(amount * found.rate),
+      currency: ExchangeRateService.normalise(to),
+      rate: found.rate,
+      effectiveDate: found.effectiveDate,
+      rateId: found.rateId
+    };
+  }
+
+  /**
+   * A campaign's base currency
+   */
+  static async baseCurrencyOf(campaignId) {
+    const campaign = await mongoose.model('Campaign').findById(campaignId).select('baseCurrency').lean();
+    return (campaign && campaign.baseCurrency) || ExchangeRateService.DEFAULT_BASE_CURRENCY;
+  }
+
+  /**
+   * The conversion fields of a donation: its amount in the campaign's base
+   * currency at the rate effective on its donationDate
+   *
+   * @param {Object} donation - { campaign, amount, currency, donationDate, refundedAmount }
+   * @returns {Object} { fields } with currency, baseAmount, baseCurrency,
+   *   exchangeRate, exchangeRateDate and refundedBaseAmount, or { error, pair }
+   *   without a rate
+   */
+  static async convertDonation({ campaign, amount, currency, donationDate, refundedAmount = 0 }, baseCurrency = null) {
+    const base = baseCurrency || await ExchangeRateService.baseCurrencyOf(campaign);
+    const from = ExchangeRateService.normalise(currency) || base;
+    const conversion = await ExchangeRateService.convert(amount, from, base, donationDate || new Date());
+
+    if (!conversion) {
+      return {
+        pair: `${from}/${base}`,
+        error: `No exchange rate from ${from} to ${base} on or before the donation date`
+      };
+    }
+
+    return {
+      fields: {
+        currency: from,
+        baseAmount: conversion.amount,
+        baseCurrency: base,
+        exchangeRate: conversion.rate,
+        exchangeRateDate: conversion.effectiveDate,
+        refundedBaseAmount: round((refundedAmount || 0) * conversion.rate)
+      }
+    };
+  }
+
+  // ==========================================================================
+  // RATE TABLE
+  // ==========================================================================
+
+  /**
+   * Parse CSV lines of base,quote,rate,effectiveDate[,note]. A header line
+   * starting with "base" is skipped.
+   *
+   * @returns {Array} Rows for upload()
+   */
+  static parseCsv(text) {
+    return String(text)
+      .split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line && !/^base\s*,/i.test(line))
+      .map((line) => {
+        const cells = line.split(',');
+        const [base, quote, rate, effectiveDate] = cells.slice(0, 4).map(cell => cell.trim());
+        return { base, quote, rate, effectiveDate, note: cells.slice(4).join(',').trim() || null };
+      });
+  }
+
+  /**
+   * Add or replace rates. Nothing is saved unless every row is valid.
+   *
+   * @param {Array} rows - [{ base, quote, rate, effectiveDate, note }]
+   * @param {Object} options - { source, user }
+   * @returns {Object} { success, inserted, updated } or a failure with rowErrors
+   */
+  static async upload(rows, { source = 'manual', user = null } = {}) {
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return { success: false, status: 400, error: 'No rates given' };
+    }
+    if (rows.length > ExchangeRateService.MAX_UPLOAD_ROWS) {
+      return { success: false, status: 400, error: `At most ${ExchangeRateService.MAX_UPLOAD_ROWS} rates per upload` };
+    }
+
+    const rowErrors = [];
+    const rates = rows.map((row, index) => {
+      const base = ExchangeRateService.normalise(row.base);
+      const quote = ExchangeRateService.normalise(row.quote);
+      const rate = Number(row.rate);
+      const effectiveDate = row.effectiveDate ? new Date(row.effectiveDate) : null;
+
+      let error = null;
+      if (!ExchangeRateService.isCurrency(base) || !ExchangeRateService.isCurrency(quote)) {
+        error = 'base and quote must be 3-letter ISO currency codes';
+      } else if (base === quote) {
+        error = 'base and quote must differ';
+      } else if (!(rate > 0) || !Number.isFinite(rate)) {
+        error = 'rate must be a number greater than 0';
+      } else if (!effectiveDate || Number.isNaN(effectiveDate.getTime())) {
+        error = 'effectiveDate must be a valid date';
+      }
+
+      if (error) rowErrors.push({ row: index + 1, error });
+      return { base, quote, rate, effectiveDate: effectiveDate && dayOf(effectiveDate), note: row.note || null };
+    });
+
+    if (rowErrors.length) {
+      return { success: false, status: 400, error: 'Some rates are invalid; nothing was saved', rowErrors };
+    }
+
+    const result = await ExchangeRate.bulkWrite(rates.map(({ base, quote, rate, effectiveDate, note }) => ({
+      updateOne: {
+        filter: { base, quote, effectiveDate },
+        update: { $set: { rate, note, source, uploadedBy: user ? user.id : null } },
+        upsert: true
+      }
+    })));
+
+    return { success: true, inserted: result.upsertedCount, updated: result.modifiedCount };
+  }
+
+  /**
+   * @param {Object} query - { base, quote, from, to, page, limit }
+   * @returns {Object} { data, pagination }
+   */
+  static async list({ base, quote, from, to, page = 1, limit = 50 } = {}) {
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(200, Math.max(1, parseInt(limit, 10) || 50));
+    const filter = {};
+
+    if (base) filter.base = ExchangeRateService.normalise(base);
+    if (quote) filter.quote = ExchangeRateService.normalise(quote);
+    if (from || to) {
+      filter.effectiveDate = {};
+      if (from) filter.effectiveDate.$gte = new Date(from);
+      if (to) filter.effectiveDate.$lte = new Date(to);
+    }
+
+    const [data, total] = await Promise.all([
+      ExchangeRate.find(filter)
+        .populate('uploadedBy', 'name email')
+        .sort({ effectiveDate: -1, base: 1, quote: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      ExchangeRate.countDocuments(filter)
+    ]);
+
+    return {
+      data,
+      pagination: {
+        total,
+        page: pageNum,
+        limit: limitNum,
+        pages: Math.ceil(total / limitNum)
+      }
+    };
+  }
+
+  /**
+   * Delete a rate. Donations already converted with it keep their amounts
+   * until backfill() is run with onlyMissing off.
+   */
+  static async remove(id) {
+    const rate = await ExchangeRate.findByIdAndDelete(id);
+    return rate
+      ? { success: true, rate }
+      : { success: false, status: 404, error: 'Exchange rate not found' };
+  }
+
+  // ==========================================================================
+  // BACKFILL
+  // ==========================================================================
+
+  /**
+   * Convert existing donations and recalculate the totals they feed.
+   * Donations are streamed with a cursor and written BACKFILL_BATCH_SIZE at
+   * a time, so the whole collection is never held in memory.
+   *
+   * @param {Object} options - { campaign, onlyMissing (default true: only
+   *   donations never converted), dryRun }
+   * @returns {Object} { checked, converted, unchanged, missingRates, dryRun }
+   */
+  static async backfill({ campaign = null, onlyMissing = true, dryRun = false } = {}) {
+    const Donation = mongoose.model('Donation');
+    const query = {};
+    if (campaign) query.campaign = campaign;
+    if (onlyMissing) query.baseAmount = null;
+
+    const cursor = Donation.find(query)
+      .select('campaign donor season cycle amount currency donationDate refundedAmount baseAmount baseCurrency exchangeRate')
+      .lean()
+      .cursor({ batchSize: ExchangeRateService.BACKFILL_BATCH_SIZE });
+
+    const baseCurrencies = new Map();
+    const touched = { campaign: new Map(), donor: new Map(), season: new Map(), cycle: new Map() };
+    const missing = new Map();
+    let updates = [];
+    let checked = 0;
+    let converted = 0;
+    let unchanged = 0;
+
+    const flush = async () => {
+      if (updates.length === 0) return;
+      await Donation.bulkWrite(updates, { ordered: false });
+      updates = [];
+    };
+
+    for await (const donation of cursor) {
+      checked += 1;
+      const key = String(donation.campaign);
+      if (!baseCurrencies.has(key)) {
+        baseCurrencies.set(key, await ExchangeRateService.baseCurrencyOf(donation.campaign));
+      }
+
+      const { fields, pair } = await ExchangeRateService.convertDonation(donation, baseCurrencies.get(key));
+
+      if (!fields) {
+        const entry = missing.get(pair) || { pair, count: 0, earliest: donation.donationDate };
+        entry.count += 1;
+        if (donation.donationDate < entry.earliest) entry.earliest = donation.donationDate;
+        missing.set(pair, entry);
+        continue;
+      }
+
+      if (donation.baseAmount === fields.baseAmount && donation.baseCurrency === fields.baseCurrency
+        && donation.exchangeRate === fields.exchangeRate) {
+        unchanged += 1;
+        continue;
+      }
+
+      converted += 1;
+      Object.keys(touched).forEach((field) => {
+        if (donation[field]) touched[field].set(String(donation[field]), donation[field]);
+      });
+
+      if (!dryRun) {
+        updates.push({ updateOne: { filter: { _id: donation._id }, update: { $set: fields } } });
+        if (updates.length >= ExchangeRateService.BACKFILL_BATCH_SIZE) await flush();
+      }
+    }
+
+    if (!dryRun) {
+      await flush();
+      for (const [field, ids] of Object.entries(touched)) {
+        for (const id of ids.values()) {
+          await Donation.recalculateTotals({ [field]: id });
+        }
+      }
+    }
+
+    return {
+      checked,
+      converted,
+      unchanged,
+      missingRates: [...missing.values()],
+      campaigns: touched.campaign.size,
+      dryRun
+    };
+  }
+}
+
+module.exports = ExchangeRateService;
@@ -0,0 +1,89 @@
+/**
+ * ============================================================================
+ * ACCOUNT SCHEMA BUILDER
+ * ============================================================================
+ *
+ * Every account type that logs in (agents, corporate agents, project owners,
+ * admins) shares the same core: name, email, password and isActive, bcrypt
+ * hashing on save, comparePassword(), token revocation on deactivation and
+ * optional TOTP two-factor authentication.
+ * Each model adds its own profile fields on top; a profile field with a core
+ * name (e.g. a longer `name`) replaces the core definition.
+ *
+ * @param {string} modelName - Name the model is registered under
+ * @param {Object} profile - Type-specific schema fields
+ * @param {Object} options - { kyc }: add isVerified/kycStatus (default false)
+ * @returns {Schema}
+ */
+
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const revocationPlugin = require('../auth/revocation.plugin');
+const twoFactorPlugin = require('../auth/two.factor.plugin');
+const kycPlugin = require('../kyc/kyc.plugin');
+
+const coreFields = () => ({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters'],
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address'],
+  },
+  password: {
+    type: String,
+    required: [true, 'Password is required'],
+    minlength: [8, 'Password must be at least 8 characters'],
+    select: false, // never returned in queries by default
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  // Set when an account deletion request is executed (personal data anonymised)
+  deletedAt: {
+    type: Date,
+    default: null,
+  },
+});
+
+module.exports = function accountSchema(modelName, profile, { kyc = false } = {}) {
+  const schema = new mongoose.Schema(
+    { ...coreFields(), ...profile },
+    {
+      timestamps: true,
+      toJSON: { virtuals: true },
+      toObject: { virtuals: true },
+    }
+  );
+
+  // Hash password before saving
+  schema.pre('save', async function () {
+    if (!this.isModified('password')) return;
+    const salt = await bcrypt.genSalt(10);
+    this.password = await bcrypt.hash(this.password, salt);
+  });
+
+  // Instance method to compare passwords
+  schema.methods.comparePassword = async function (candidatePassword) {
+    return bcrypt.compare(candidatePassword, this.password);
+  };
+
+  // tokenVersion and automatic token revocation on deactivation
+  schema.plugin(revocationPlugin, { modelName });
+
+  // twoFactor settings, maintained by TwoFactorService
+  schema.plugin(twoFactorPlugin);
+
+  // isVerified, kycStatus and verifiedAt, maintained by KycService
+  if (kyc) schema.plugin(kycPlugin);
+
+  return schema;
+};
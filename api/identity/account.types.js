@@ -0,0 +1,113 @@
+/**
+ * ============================================================================
+ * ACCOUNT TYPES
+ * ============================================================================
+ *
+ * What differs between the account types that log in, keyed by token role.
+ * IdentityService and the account controller read everything type-specific
+ * from here:
+ *
+ *   modelName      - Mongoose model (see identity/account.schema)
+ *   label/article  - For messages ("An agent with this email already exists")
+ *   responseKey    - Key of the account object in per-type responses
+ *   register       - Self-registration fields in order (false: no self-registration)
+ *   unique         - Fields that must be unique besides email, with their label
+ *   hideExisting   - Registration answers the same whether or not the email
+ *                    is taken and emails the address instead (donors)
+ *   cac            - Whether the type carries a CAC number
+ *   editable       - Profile fields the account may change itself via /me
+ *                    (plain strings, except a donor's address and tags)
+ *   selfTags       - Tags the account may add or remove itself (donors only)
+ *   search         - Fields matched by the `search` list filter
+ *   payouts        - Whether the account can be a payout beneficiary
+ *   deactivatedMessage - Login error for a deactivated account
+ *
+ * @module identity/account.types
+ */
+
+const { ROLES } = require('../middlesware/permissions');
+
+const ACCOUNT_TYPES = Object.freeze({
+  [ROLES.AGENT]: {
+    role: ROLES.AGENT,
+    modelName: 'Agent',
+    label: 'agent',
+    article: 'An',
+    responseKey: 'agent',
+    register: ['name', 'email', 'password', 'confirmPassword', 'phone', 'houseAddress', 'officeAddress', 'cac', 'nin'],
+    unique: { cac: 'CAC number', nin: 'NIN' },
+    cac: true,
+    editable: ['name', 'phone', 'houseAddress', 'officeAddress'],
+    search: ['name', 'email', 'phone', 'cac'],
+    payouts: true,
+    deactivatedMessage: 'Account is deactivated. Please contact support.',
+  },
+  [ROLES.CORPORATE_AGENT]: {
+    role: ROLES.CORPORATE_AGENT,
+    modelName: 'CorporateAgent',
+    label: 'corporate agent',
+    article: 'A',
+    responseKey: 'corporateAgent',
+    register: ['name', 'email', 'password', 'confirmPassword', 'phone', 'houseAddress', 'officeAddress', 'cac', 'nin'],
+    unique: { cac: 'CAC number', nin: 'NIN' },
+    cac: true,
+    editable: ['name', 'phone', 'houseAddress', 'officeAddress'],
+    search: ['name', 'email', 'phone', 'cac'],
+    payouts: true,
+    deactivatedMessage: 'Account is deactivated. Please contact support.',
+  },
+  [ROLES.PROJECT_OWNER]: {
+    role: ROLES.PROJECT_OWNER,
+    modelName: 'ProjectOwner',
+    label: 'project owner',
+    article: 'A',
+    responseKey: 'projectOwner',
+    register: ['name', 'email', 'password', 'confirmPassword', 'phone', 'organization', 'nin'],
+    unique: { nin: 'NIN' },
+    cac: false,
+    editable: ['name', 'phone', 'organization'],
+    search: ['name', 'email', 'phone', 'organization'],
+    payouts: false,
+    deactivatedMessage: 'Account is deactivated. Please contact support.',
+  },
+  [ROLES.ADMIN]: {
+    role: ROLES.ADMIN,
+    modelName: 'Admin',
+    label: 'admin',
+    article: 'An',
+    responseKey: 'admin',
+    register: false,
+    unique: {},
+    cac: false,
+    editable: ['name'],
+    search: ['name', 'email'],
+    payouts: false,
+    deactivatedMessage: 'Account is deactivated. Please contact a super admin.',
+  },
+  [ROLES.DONOR]: {
+    role: ROLES.DONOR,
+    modelName: 'Donor',
+    label: 'donor',
+    article: 'A',
+    responseKey: 'donor',
+    register: ['firstName', 'lastName', 'email', 'password', 'confirmPassword'],
+    unique: {},
+    hideExisting: true,
+    cac: false,
+    editable: ['firstName', 'lastName', 'phone', 'address', 'tags'],
+    selfTags: (process.env.DONOR_SELF_SERVICE_TAGS || 'newsletter-subscriber,event-attendee,volunteer')
+      .split(',')
+      .map(tag => tag.trim())
+      .filter(Boolean),
+    search: ['firstName', 'lastName', 'email'],
+    payouts: false,
+    deactivatedMessage: 'Account is deactivated. Please contact support.',
+  },
+});
+
+/**
+ * Account type for a token role, or null
+ */
+const accountTypeFor = (role) => ACCOUNT_TYPES[role] || null;
+
+module.exports = { ACCOUNT_TYPES, accountTypeFor };
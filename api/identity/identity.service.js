@@ -0,0 +1,571 @@
+/**
+ * ============================================================================
+ * IDENTITY SERVICE CLASS
+ * ============================================================================
+ *
+ * Login, registration, lookup and self-service profile updates for every
+ * account type in identity/account.types. The per-type routes
+ * (/agents, /corporate-agents, /project-owners, /admins/login) and the
+ * type-agnostic /auth/login and /me all go through here.
+ *
+ * Methods return { success: false, status, error, ...details } for expected
+ * failures so controllers can pass them straight through.
+ *
+ * @class IdentityService
+ * @requires identity/account.types
+ * @requires auth/token.service
+ * @requires auth/password.service
+ * @requires auth/login.guard
+ * @requires auth/two.factor.service
+ * @requires mail/mailer
+ */
+
+const mongoose = require('mongoose');
+const Payout = require('../models/Payout');
+const TokenService = require('../auth/token.service');
+const PasswordService = require('../auth/password.service');
+const LoginGuard = require('../auth/login.guard');
+const TwoFactorService = require('../auth/two.factor.service');
+const Mailer = require('../mail/mailer');
+const { ACCOUNT_TYPES, accountTypeFor } = require('./account.types');
+const { normaliseCac } = require('../kyc/identifiers');
+
+const PHONE_PATTERN = /^[\d\s\-+()]{7,20}$/;
+
+const ADDRESS_FIELDS = ['street', 'city', 'state', 'zipCode', 'country'];
+
+const parseText = (value, field) => (typeof value === 'string' && value.trim()
+  ? { value: value.trim() }
+  : { error: `${field} must be a non-empty string` });
+
+// Editable profile fields that are not plain strings
+const PROFILE_PARSERS = {
+  // Partial update; empty strings clear a line
+  address: (value) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return { error: 'address must be an object' };
+    }
+
+    const rejected = Object.keys(value).filter(key => !ADDRESS_FIELDS.includes(key));
+    if (rejected.length > 0) {
+      return { error: 'Some address fields cannot be changed', fields: rejected, editableFields: ADDRESS_FIELDS };
+    }
+
+    const address = {};
+    for (const [key, line] of Object.entries(value)) {
+      if (typeof line !== 'string') return { error: `address.${key} must be a string` };
+      address[key] = line.trim();
+    }
+    return { value: address };
+  },
+
+  // The account's full set of self-service tags; tags set by staff are kept
+  tags: (value, field, type) => {
+    if (!Array.isArray(value) || value.some(tag => typeof tag !== 'string')) {
+      return { error: 'tags must be an array of strings' };
+    }
+
+    const tags = [...new Set(value.map(tag => tag.trim()))];
+    const rejected = tags.filter(tag => !type.selfTags.includes(tag));
+    if (rejected.length > 0) {
+      return { error: 'Some tags cannot be set here', tags: rejected, allowedTags: type.selfTags };
+    }
+    return { value: tags };
+  }
+};
+
+class IdentityService {
+  static modelFor(type) {
+    return mongoose.model(type.modelName);
+  }
+
+  /**
+   * Account data safe to return to clients
+   */
+  static toPublic(account) {
+    const data = typeof account.toObject === 'function' ? account.toObject() : { ...account };
+    delete data.password;
+    delete data.tokenVersion;
+    if (data.twoFactor) data.twoFactor = TwoFactorService.status(data);
+    return data;
+  }
+
+  /**
+   * Check credentials and issue tokens. Attempts are throttled and logged
+   * by LoginGuard.
+   *
+   * Accounts with two-factor authentication get a challenge instead of
+   * tokens ({ twoFactorRequired, challengeToken }) to complete with
+   * verifyTwoFactor(); accounts required to use 2FA that have not enrolled
+   * get { twoFactorSetupRequired, challengeToken } for the enrolment routes.
+   *
+   * @param {string} email - Registered email address
+   * @param {string} password - Account password
+   * @param {Object} options - { roles: token roles to look in, meta: { ip, userAgent } }
+   * @returns {Object} { success, account, type, tokens }, a challenge or a failure
+   */
+  static async login(email, password, { roles = Object.keys(ACCOUNT_TYPES), meta = {} } = {}) {
+    const normalisedEmail = String(email).trim().toLowerCase();
+    const context = { ip: meta.ip || null, userAgent: meta.userAgent || null };
+
+    const lock = await LoginGuard.check(normalisedEmail, context.ip);
+    if (lock) {
+      await LoginGuard.recordBlocked(normalisedEmail, lock, context);
+      return {
+        success: false,
+        status: 429,
+        error: 'Too many failed login attempts',
+        message: 'Try again later',
+        retryAfter: lock.retryAfter
+      };
+    }
+
+    const found = [];
+    const candidates = [];
+    for (const role of roles) {
+      const type = ACCOUNT_TYPES[role];
+      const account = await IdentityService.modelFor(type).findOne({ email: normalisedEmail }).select('+password');
+      if (!account) continue;
+      found.push({ type, account });
+      if (await account.comparePassword(password)) candidates.push({ type, account });
+    }
+
+    if (candidates.length === 0) {
+      // Tie the failure to the account when the email is known to one type
+      const [target] = found.length === 1 ? found : [];
+      await LoginGuard.recordFailure(normalisedEmail, {
+        ...context,
+        account: target ? target.account._id : null,
+        accountModel: target ? target.type.modelName : null,
+        reason: found.length === 0 ? 'unknown_email' : 'invalid_password'
+      });
+      return { success: false, status: 401, error: 'Invalid email or password' };
+    }
+
+    if (candidates.length > 1) {
+      return {
+        success: false,
+        status: 409,
+        error: 'This email is registered as more than one account type; specify accountType',
+        accountTypes: candidates.map(c => c.type.role)
+      };
+    }
+
+    const [{ type, account }] = candidates;
+    const identity = { ...context, account: account._id, accountModel: type.modelName };
+
+    if (!account.isActive) {
+      await LoginGuard.recordFailure(normalisedEmail, { ...identity, reason: 'deactivated' });
+      return { success: false, status: 403, error: type.deactivatedMessage };
+    }
+
+    return IdentityService.continueLogin(account, type, meta);
+  }
+
+  /**
+   * Next step for an account that has passed its first factor (password or
+   * magic link): a two-factor challenge, or tokens
+   *
+   * @param {Object} account - Account document
+   * @param {Object} type - Entry of ACCOUNT_TYPES
+   * @param {Object} meta - { ip, userAgent }
+   * @returns {Object} A challenge ({ twoFactorRequired | twoFactorSetupRequired, challengeToken }) or completeLogin()
+   */
+  static async continueLogin(account, type, meta = {}) {
+    if (account.twoFactor && account.twoFactor.enabled) {
+      return {
+        success: true,
+        type,
+        twoFactorRequired: true,
+        challengeToken: TokenService.signChallenge(account, type.role, 'two_factor_login'),
+        expiresIn: TokenService.CHALLENGE_TTL
+      };
+    }
+
+    if (account.twoFactor && account.twoFactor.required) {
+      return {
+        success: true,
+        type,
+        twoFactorSetupRequired: true,
+        challengeToken: TokenService.signChallenge(account, type.role, 'two_factor_setup'),
+        expiresIn: TokenService.CHALLENGE_TTL
+      };
+    }
+
+    return IdentityService.completeLogin(account, type, meta);
+  }
+
+  /**
+   * Second login step: check the two-factor code for a login challenge.
+   * Wrong codes count as failed logins for the account's email.
+   *
+   * @param {string} challengeToken - From the password step
+   * @param {Object} factor - { code } or { backupCode }
+   * @param {Object} meta - { ip, userAgent }
+   * @returns {Object} { success, account, type, tokens, method } or a failure
+   */
+  static async verifyTwoFactor(challengeToken, factor, meta = {}) {
+    const challenge = await TokenService.verifyChallenge(challengeToken, 'two_factor_login');
+
+    if (!challenge.success) {
+      return { success: false, status: 401, error: challenge.error, message: challenge.message };
+    }
+
+    const type = accountTypeFor(challenge.payload.role);
+    const account = await IdentityService.modelFor(type)
+      .findById(challenge.payload.id)
+      .select(TwoFactorService.SECRET_FIELDS);
+
+    if (!account) {
+      return { success: false, status: 401, error: 'Challenge revoked', message: 'Log in again' };
+    }
+
+    const context = { ip: meta.ip || null, userAgent: meta.userAgent || null };
+
+    const lock = await LoginGuard.check(account.email, context.ip);
+    if (lock) {
+      await LoginGuard.recordBlocked(account.email, lock, context);
+      return {
+        success: false,
+        status: 429,
+        error: 'Too many failed login attempts',
+        message: 'Try again later',
+        retryAfter: lock.retryAfter
+      };
+    }
+
+    const method = await TwoFactorService.verify(account, factor);
+
+    if (!method) {
+      await LoginGuard.recordFailure(account.email, {
+        ...context,
+        account: account._id,
+        accountModel: type.modelName,
+        reason: 'invalid_2fa_code'
+      });
+      return { success: false, status: 401, error: 'Invalid two-factor code' };
+    }
+
+    const result = await IdentityService.completeLogin(account, type, meta);
+    return { ...result, method };
+  }
+
+  /**
+   * Issue tokens for an account that has passed every login step
+   *
+   * @param {Object} account - Account document
+   * @param {Object} type - Entry of ACCOUNT_TYPES
+   * @param {Object} meta - { ip, userAgent }
+   * @returns {Object} { success, account, type, tokens }
+   */
+  static async completeLogin(account, type, meta = {}) {
+    const identity = {
+      ip: meta.ip || null,
+      userAgent: meta.userAgent || null,
+      account: account._id,
+      accountModel: type.modelName
+    };
+
+    const { token, refreshToken, expiresIn, refreshTokenExpiresAt } = await TokenService.issueTokens(account, type.role, meta);
+
+    await LoginGuard.recordSuccess(account.email, identity);
+
+    if (account.schema.path('lastLoginAt')) {
+      await IdentityService.modelFor(type).updateOne({ _id: account._id }, { lastLoginAt: new Date() });
+    }
+
+    return {
+      success: true,
+      type,
+      account: IdentityService.toPublic(account),
+      tokens: { token, refreshToken, expiresIn, refreshTokenExpiresAt }
+    };
+  }
+
+  /**
+   * Self-register an account. For types with `hideExisting` a taken email
+   * is not an error: the address is emailed instead and the result only has
+   * `existing` set, so the controller can answer the same either way.
+   *
+   * @param {string} role - Token role of the account type
+   * @param {Object} body - Registration fields (see ACCOUNT_TYPES[role].register)
+   * @returns {Object} { success, account, existing } or a failure
+   */
+  static async register(role, body) {
+    const type = accountTypeFor(role);
+    const Model = IdentityService.modelFor(type);
+
+    if (!type.register) {
+      return { success: false, status: 403, error: 'This account type cannot self-register' };
+    }
+
+    // ── Required field check ─────────────────────────────────────────────────
+    const missingFields = type.register.filter(field => !body[field] || String(body[field]).trim() === '');
+
+    if (missingFields.length > 0) {
+      return { success: false, status: 400, error: 'Missing required fields', missingFields };
+    }
+
+    const { email, password, confirmPassword, phone, nin, cac } = body;
+
+    const passwordError = PasswordService.validate(password, confirmPassword);
+    if (passwordError) {
+      return { success: false, status: 400, error: passwordError };
+    }
+
+    if (type.register.includes('nin') && !/^\d{11}$/.test(String(nin).trim())) {
+      return { success: false, status: 400, error: 'NIN must be exactly 11 digits' };
+    }
+
+    if (type.register.includes('phone') && !PHONE_PATTERN.test(String(phone).trim())) {
+      return { success: false, status: 400, error: 'Invalid phone number format' };
+    }
+
+    // ── Build the account from the type's registration fields ────────────────
+    const data = {};
+    for (const field of type.register) {
+      if (field === 'confirmPassword') continue;
+      data[field] = field === 'password' ? password : String(body[field]).trim();
+    }
+    data.email = String(email).trim().toLowerCase();
+    if (type.cac) data.cac = normaliseCac(String(cac));
+
+    // ── Duplicate checks ─────────────────────────────────────────────────────
+    const fields = { email: 'email', ...type.unique };
+    for (const [field, label] of Object.entries(fields)) {
+      if (await Model.exists({ [field]: data[field] })) {
+        if (field === 'email' && type.hideExisting) return IdentityService.registeredExisting(type, data.email);
+        return {
+          success: false,
+          status: 409,
+          error: `${type.article} ${type.label} with this ${label} already exists`
+        };
+      }
+    }
+
+    try {
+      const account = await Model.create(data);
+      if (type.hideExisting) await IdentityService.sendRegistrationEmail(type, account.email, false);
+      return { success: true, account: IdentityService.toPublic(account), existing: false };
+    } catch (error) {
+      // Lost a race with a concurrent registration
+      if (error.code === 11000) {
+        const field = Object.keys(error.keyPattern)[0];
+        if (field === 'email' && type.hideExisting) return IdentityService.registeredExisting(type, data.email);
+        return {
+          success: false,
+          status: 409,
+          error: `${type.article} ${type.label} with this ${fields[field] || field} already exists`,
+          field
+        };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Registration result for a taken email of a `hideExisting` type: the
+   * holder is told someone tried to sign up and how to get in instead
+   */
+  static async registeredExisting(type, email) {
+    await IdentityService.sendRegistrationEmail(type, email, true);
+    return { success: true, account: null, existing: true };
+  }
+
+  /**
+   * Email sent after a registration of a `hideExisting` type. Failures are
+   * only logged: an error response would show whether the email was taken.
+   */
+  static async sendRegistrationEmail(type, email, existing) {
+    const lines = existing
+      ? [
+        `Someone tried to create a ${type.label} account with this email address, which already has one.`,
+        'If it was you, sign in with a one-time sign-in link or reset your password from the sign-in page.',
+        'If it was not you, you can ignore this email; nothing has changed.'
+      ]
+      : [
+        `Your ${type.label} account is ready.`,
+        'Sign in with this email address and the password you chose.'
+      ];
+
+    try {
+      await Mailer.send({
+        to: email,
+        subject: existing ? 'Sign-up attempt for your account' : 'Welcome',
+        text: ['Hello,', '', ...lines].join('\n')
+      });
+    } catch (error) {
+      console.error('Failed to send registration email:', error);
+    }
+  }
+
+  /**
+   * List accounts of a type
+   *
+   * @param {string} role - Token role of the account type
+   * @param {Object} query - { page, limit, isActive, search }
+   * @returns {Object} { data, pagination }
+   */
+  static async list(role, { page = 1, limit = 10, isActive, search } = {}) {
+    const type = accountTypeFor(role);
+    const Model = IdentityService.modelFor(type);
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 10));
+
+    const query = {};
+
+    if (isActive !== undefined && isActive !== 'all') {
+      query.isActive = isActive === 'true';
+    }
+
+    if (search) {
+      query.$or = type.search.map(field => ({ [field]: new RegExp(search, 'i') }));
+    }
+
+    const accounts = await Model.find(query)
+      .select('-password -tokenVersion')
+      .sort('-createdAt')
+      .limit(limitNum)
+      .skip((pageNum - 1) * limitNum)
+      .lean();
+
+    const count = await Model.countDocuments(query);
+
+    return {
+      data: accounts,
+      pagination: {
+        total: count,
+        page: pageNum,
+        limit: limitNum,
+        pages: Math.ceil(count / limitNum)
+      }
+    };
+  }
+
+  /**
+   * Get one account of a type
+   *
+   * @returns {Object|null} Public account data
+   */
+  static async findById(role, id) {
+    const type = accountTypeFor(role);
+    return IdentityService.modelFor(type).findById(id).select('-password -tokenVersion').lean();
+  }
+
+  /**
+   * Profit sharing payouts ledger of a beneficiary account
+   *
+   * @param {string} role - Token role of the account type
+   * @param {string} id - Account id
+   * @param {Object} query - { season, campaign, page, limit }
+   * @returns {Object|null} { account, data, summary, pagination }, null when the account does not exist
+   */
+  static async payouts(role, id, { season, campaign, page = 1, limit = 10 } = {}) {
+    const type = accountTypeFor(role);
+    const account = await IdentityService.modelFor(type).findById(id).select('name email').lean();
+
+    if (!account) return null;
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 10));
+
+    const query = { beneficiary: account._id, beneficiaryModel: type.modelName };
+    if (season) query.season = season;
+    if (campaign) query.campaign = campaign;
+
+    const payouts = await Payout.find(query)
+      .populate('season', 'name')
+      .populate('campaign', 'name')
+      .sort('-createdAt')
+      .limit(limitNum)
+      .skip((pageNum - 1) * limitNum)
+      .lean();
+
+    const count = await Payout.countDocuments(query);
+
+    const totals = await Payout.aggregate([
+      { $match: query },
+      { $group: { _id: null, totalAmount: { $sum: '$amount' }, count: { $sum: 1 } } }
+    ]);
+
+    return {
+      account,
+      data: payouts,
+      summary: {
+        totalAmount: Math.round((totals[0]?.totalAmount || 0) * 100) / 100,
+        payoutCount: totals[0]?.count || 0
+      },
+      pagination: {
+        total: count,
+        page: pageNum,
+        limit: limitNum,
+        pages: Math.ceil(count / limitNum)
+      }
+    };
+  }
+
+  /**
+   * Update the caller's own profile. Only the type's `editable` fields can
+   * change; email, NIN and CAC changes go through support and KYC. A donor's
+   * address is merged line by line and their tags limited to `selfTags`.
+   *
+   * @param {string} role - Token role of the caller
+   * @param {string} id - Caller's account id
+   * @param {Object} body - Fields to change
+   * @returns {Object} { success, account } or a failure
+   */
+  static async updateProfile(role, id, body) {
+    const type = accountTypeFor(role);
+
+    const rejected = Object.keys(body).filter(field => !type.editable.includes(field));
+    if (rejected.length > 0) {
+      return {
+        success: false,
+        status: 400,
+        error: 'Some fields cannot be changed here',
+        fields: rejected,
+        editableFields: type.editable
+      };
+    }
+
+    const changes = {};
+    for (const field of type.editable) {
+      if (body[field] === undefined) continue;
+      const parse = PROFILE_PARSERS[field] || parseText;
+      const { value, ...failure } = parse(body[field], field, type);
+      if (failure.error) return { success: false, status: 400, ...failure };
+      changes[field] = value;
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return { success: false, status: 400, error: 'No fields to update', editableFields: type.editable };
+    }
+
+    if (changes.phone && !PHONE_PATTERN.test(changes.phone)) {
+      return { success: false, status: 400, error: 'Invalid phone number format' };
+    }
+
+    const account = await IdentityService.modelFor(type).findById(id);
+
+    if (!account) {
+      return { success: false, status: 404, error: 'Account not found' };
+    }
+
+    if (changes.tags) {
+      changes.tags = [...account.tags.filter(tag => !type.selfTags.includes(tag)), ...changes.tags];
+    }
+
+    if (changes.address) {
+      for (const [key, line] of Object.entries(changes.address)) account.set(`address.${key}`, line);
+      delete changes.address;
+    }
+
+    account.set(changes);
+    await account.save();
+
+    return { success: true, account: IdentityService.toPublic(account) };
+  }
+}
+
+module.exports = IdentityService;
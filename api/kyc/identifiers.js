@@ -0,0 +1,64 @@
+/**
+ * ============================================================================
+ * IDENTITY NUMBER HELPERS
+ * ============================================================================
+ *
+ * Format checks for the identifiers collected at registration:
+ *
+ *   - NIN: 11 digits. NIMC publishes no check digit for it, so the number
+ *     itself is confirmed by the reviewer, not here.
+ *   - CAC: registration number with its register prefix (RC companies,
+ *     BN business names, IT incorporated trustees, LP/LLP partnerships),
+ *     stored without spaces or separators, e.g. "rc 123-456" → "RC123456"
+ *
+ * @module kyc/identifiers
+ */
+
+const CAC_PREFIXES = ['RC', 'BN', 'IT', 'LLP', 'LP'];
+
+/**
+ * Strip whitespace from a NIN
+ */
+const normaliseNin = (nin) => (typeof nin === 'string' ? nin.replace(/\s+/g, '') : nin);
+
+/**
+ * Validate a NIN
+ *
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateNin = (nin) => {
+  const value = normaliseNin(nin);
+  if (!value || !/^\d{11}$/.test(value)) return 'NIN must be exactly 11 digits';
+  return null;
+};
+
+/**
+ * Canonical CAC number: upper case, no spaces, dashes, slashes or dots.
+ * Non-strings are returned unchanged so schema validation can report them.
+ */
+const normaliseCac = (cac) => (typeof cac === 'string' ? cac.toUpperCase().replace(/[\s\-/.#]+/g, '') : cac);
+
+/**
+ * Validate a CAC number (after normalisation)
+ *
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateCac = (cac) => {
+  const value = normaliseCac(cac);
+  if (!value) return 'CAC registration number is required';
+
+  const prefix = CAC_PREFIXES.find((p) => value.startsWith(p));
+  if (!prefix) return `CAC number must start with one of ${CAC_PREFIXES.join(', ')}`;
+  if (!/^\d{1,8}$/.test(value.slice(prefix.length))) {
+    return 'CAC number must be the register prefix followed by up to 8 digits';
+  }
+  return null;
+};
+
+module.exports = {
+  CAC_PREFIXES,
+  normaliseNin,
+  validateNin,
+  normaliseCac,
+  validateCac,
+};
@@ -0,0 +1,35 @@
+/**
+ * ============================================================================
+ * KYC STATUS PLUGIN
+ * ============================================================================
+ *
+ * Mongoose plugin for account schemas that go through KYC review. Adds
+ * `isVerified`, the single field the rest of the app checks, and the review
+ * state behind it:
+ *
+ *   kycStatus: unsubmitted → pending → approved | rejected (→ pending again)
+ *
+ * Only KycService changes these fields.
+ *
+ * @param {Schema} schema - Account schema
+ */
+
+module.exports = function kycPlugin(schema) {
+  schema.add({
+    isVerified: {
+      type: Boolean,
+      default: false,
+    },
+    kycStatus: {
+      type: String,
+      enum: ['unsubmitted', 'pending', 'approved', 'rejected'],
+      default: 'unsubmitted',
+    },
+    verifiedAt: {
+      type: Date,
+      default: null,
+    },
+  });
+
+  schema.index({ kycStatus: 1 });
+};
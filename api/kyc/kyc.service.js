@@ -0,0 +1,291 @@
+/**
+ * ============================================================================
+ * KYC SERVICE CLASS
+ * ============================================================================
+ *
+ * Identity verification for agents, corporate agents and project owners:
+ *
+ *   1. The account submits document metadata (files are uploaded to storage
+ *      beforehand) together with the NIN and, where the account type has
+ *      one, the CAC number under review. Identifiers are format-checked and
+ *      normalised (see ./identifiers).
+ *   2. Admins work through the pending queue, oldest first, and approve or
+ *      reject with a reason.
+ *   3. The outcome is written to the account (isVerified, kycStatus) and
+ *      emailed to it. A rejected account can submit again.
+ *
+ * isVerified gates project creation and payout approval/settlement.
+ *
+ * @class KycService
+ * @requires models/KycSubmission
+ * @requires auth/token.service
+ * @requires mail/mailer
+ */
+
+const mongoose = require('mongoose');
+const KycSubmission = require('../models/KycSubmission');
+const TokenService = require('../auth/token.service');
+const Mailer = require('../mail/mailer');
+const { normaliseNin, validateNin, normaliseCac, validateCac } = require('./identifiers');
+
+class KycService {
+  /**
+   * Token roles that go through KYC
+   */
+  static SUBJECT_ROLES = ['agent', 'corporate_agent', 'project_owner'];
+
+  /**
+   * Document types each account model must include in a submission
+   */
+  static REQUIRED_DOCUMENTS = {
+    Agent: ['nin_slip', 'cac_certificate'],
+    CorporateAgent: ['nin_slip', 'cac_certificate'],
+    ProjectOwner: ['nin_slip']
+  };
+
+  /**
+   * Account models that carry a CAC number
+   */
+  static CAC_MODELS = ['Agent', 'CorporateAgent'];
+
+  static MAX_DOCUMENT_BYTES = 10 * 1024 * 1024;
+
+  static MAX_DOCUMENTS = 10;
+
+  /**
+   * Check submitted document metadata
+   *
+   * @param {Array} documents - [{ type, fileName, url, mimeType, size }]
+   * @param {string} accountModel - Account model name
+   * @returns {Array} Error messages (empty when acceptable)
+   */
+  static validateDocuments(documents, accountModel) {
+    if (!Array.isArray(documents) || documents.length === 0) {
+      return ['At least one document is required'];
+    }
+    if (documents.length > KycService.MAX_DOCUMENTS) {
+      return [`At most ${KycService.MAX_DOCUMENTS} documents can be submitted`];
+    }
+
+    const errors = [];
+    documents.forEach((doc, i) => {
+      if (!doc || typeof doc !== 'object') {
+        errors.push(`documents[${i}] must be an object`);
+        return;
+      }
+      if (!doc.url || !/^https?:\/\//i.test(String(doc.url))) {
+        errors.push(`documents[${i}].url must be an http(s) URL`);
+      }
+      if (Number(doc.size) > KycService.MAX_DOCUMENT_BYTES) {
+        errors.push(`documents[${i}] exceeds ${KycService.MAX_DOCUMENT_BYTES / (1024 * 1024)} MB`);
+      }
+    });
+
+    const types = new Set(documents.map(doc => doc && doc.type));
+    const missing = KycService.REQUIRED_DOCUMENTS[accountModel].filter(type => !types.has(type));
+    if (missing.length > 0) {
+      errors.push(`Missing required documents: ${missing.join(', ')}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Submit an account for review
+   *
+   * @param {string} role - Token role of the account
+   * @param {string} accountId - Account MongoDB ObjectId
+   * @param {Object} input - { documents, nin, cac }; nin/cac default to the account's own
+   * @returns {Object} { success, status, error, errors, submission }
+   */
+  static async submit(role, accountId, { documents, nin, cac } = {}) {
+    const accountModel = TokenService.ACCOUNT_MODELS[role];
+    const Model = TokenService.modelFor(role);
+    const account = await Model.findById(accountId).lean();
+
+    if (!account) {
+      return { success: false, status: 404, error: 'Account not found' };
+    }
+    if (account.isVerified) {
+      return { success: false, status: 409, error: 'Account is already verified' };
+    }
+
+    const hasCac = KycService.CAC_MODELS.includes(accountModel);
+    const identifiers = {
+      nin: normaliseNin(nin !== undefined ? String(nin) : account.nin),
+      cac: hasCac ? normaliseCac(cac !== undefined ? String(cac) : account.cac) : null
+    };
+
+    const errors = KycService.validateDocuments(documents, accountModel);
+    const ninError = validateNin(identifiers.nin);
+    if (ninError) errors.push(ninError);
+    if (hasCac) {
+      const cacError = validateCac(identifiers.cac);
+      if (cacError) errors.push(cacError);
+    }
+
+    if (errors.length > 0) {
+      return { success: false, status: 400, error: 'KYC submission is invalid', errors };
+    }
+
+    const conflict = await KycService.findIdentifierConflict(Model, accountId, identifiers);
+    if (conflict) {
+      return { success: false, status: 409, error: `This ${conflict} is registered to another account` };
+    }
+
+    let submission;
+    try {
+      submission = await KycSubmission.create({
+        account: accountId,
+        accountModel,
+        nin: identifiers.nin,
+        cac: identifiers.cac,
+        documents: documents.map(({ type, fileName, url, mimeType, size }) => ({ type, fileName, url, mimeType, size }))
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return { success: false, status: 409, error: 'A KYC submission is already pending review' };
+      }
+      throw error;
+    }
+
+    await Model.updateOne({ _id: accountId }, { $set: { kycStatus: 'pending' } });
+
+    return { success: true, submission };
+  }
+
+  /**
+   * The identifier ('NIN' or 'CAC number') another account of the same type
+   * already uses, if any
+   */
+  static async findIdentifierConflict(Model, accountId, { nin, cac }) {
+    if (await Model.exists({ _id: { $ne: accountId }, nin })) return 'NIN';
+    if (cac && await Model.exists({ _id: { $ne: accountId }, cac })) return 'CAC number';
+    return null;
+  }
+
+  /**
+   * Approve or reject a pending submission and update the account
+   *
+   * @param {string} submissionId - KycSubmission id
+   * @param {string} decision - approved | rejected
+   * @param {Object} options - { reviewerId, reason } (reason required to reject)
+   * @returns {Object} { success, status, error, submission }
+   */
+  static async review(submissionId, decision, { reviewerId, reason = null }) {
+    const pending = await KycSubmission.findOne({ _id: submissionId, status: 'pending' }).lean();
+
+    if (!pending) {
+      const exists = await KycSubmission.exists({ _id: submissionId });
+      return exists
+        ? { success: false, status: 409, error: 'Submission has already been reviewed' }
+        : { success: false, status: 404, error: 'Submission not found' };
+    }
+
+    const Model = mongoose.model(pending.accountModel);
+
+    if (decision === 'approved') {
+      const conflict = await KycService.findIdentifierConflict(Model, pending.account, pending);
+      if (conflict) {
+        return { success: false, status: 409, error: `This ${conflict} is now registered to another account` };
+      }
+    }
+
+    // Claim the submission; only one reviewer can decide it
+    const submission = await KycSubmission.findOneAndUpdate(
+      { _id: submissionId, status: 'pending' },
+      { $set: { status: decision, reviewedBy: reviewerId, reviewedAt: new Date(), reason } },
+      { new: true }
+    );
+
+    if (!submission) {
+      return { success: false, status: 409, error: 'Submission has already been reviewed' };
+    }
+
+    const update = decision === 'approved'
+      ? {
+        isVerified: true,
+        kycStatus: 'approved',
+        verifiedAt: submission.reviewedAt,
+        nin: submission.nin,
+        ...(submission.cac ? { cac: submission.cac } : {})
+      }
+      : { isVerified: false, kycStatus: 'rejected', verifiedAt: null };
+
+    const account = await Model.findByIdAndUpdate(submission.account, { $set: update }, { new: true }).lean();
+
+    if (account) {
+      await KycService.notify(account, submission);
+    }
+
+    return { success: true, submission };
+  }
+
+  /**
+   * Email the account the outcome of its review
+   */
+  static async notify(account, submission) {
+    const approved = submission.status === 'approved';
+    const lines = approved
+      ? [
+        'Your identity verification has been approved.',
+        'You can now create projects and receive payouts.'
+      ]
+      : [
+        'Your identity verification was not approved.',
+        '',
+        `Reason: ${submission.reason}`,
+        '',
+        'You can correct the details and submit again.'
+      ];
+
+    try {
+      await Mailer.send({
+        to: account.email,
+        subject: approved ? 'Your account has been verified' : 'Your verification was not approved',
+        text: [`Hello ${account.name},`, '', ...lines].join('\n')
+      });
+    } catch (error) {
+      // The decision stands even if the email cannot be sent
+      console.error('Failed to send KYC notification:', error);
+    }
+  }
+
+  /**
+   * Whether an account has passed KYC
+   *
+   * @param {string} accountModel - Account model name
+   * @param {string} accountId - Account MongoDB ObjectId
+   * @returns {boolean}
+   */
+  static async isVerified(accountModel, accountId) {
+    if (!mongoose.isValidObjectId(accountId)) return false;
+    return Boolean(await mongoose.model(accountModel).exists({ _id: accountId, isVerified: true }));
+  }
+
+  /**
+   * Ids of the KYC-subject beneficiaries among `payouts` that are not verified
+   *
+   * @param {Array} payouts - [{ beneficiary, beneficiaryModel }]
+   * @returns {Set} Beneficiary ids as strings
+   */
+  static async unverifiedBeneficiaries(payouts) {
+    const byModel = {};
+    for (const payout of payouts) {
+      if (!payout.beneficiary || !KycService.REQUIRED_DOCUMENTS[payout.beneficiaryModel]) continue;
+      (byModel[payout.beneficiaryModel] = byModel[payout.beneficiaryModel] || []).push(payout.beneficiary);
+    }
+
+    const unverified = new Set();
+    for (const [modelName, ids] of Object.entries(byModel)) {
+      const accounts = await mongoose.model(modelName)
+        .find({ _id: { $in: ids }, isVerified: { $ne: true } })
+        .select('_id')
+        .lean();
+      accounts.forEach(a => unverified.add(String(a._id)));
+    }
+    return unverified;
+  }
+}
+
+module.exports = KycService;
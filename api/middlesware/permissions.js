@@ -0,0 +1,115 @@
+/**
+ * ============================================================================
+ * ROLES AND PERMISSIONS
+ * ============================================================================
+ *
+ * Role/permission matrix used by the authorize() middleware. A token's
+ * `role` claim is one of ROLES; each permission lists the roles (and admin
+ * sub-roles) granted it.
+ * Routes that are not listed here are public.
+ *
+ * @module middleware/permissions
+ */
+
+const ROLES = Object.freeze({
+  ADMIN: 'admin',
+  AGENT: 'agent',
+  CORPORATE_AGENT: 'corporate_agent',
+  PROJECT_OWNER: 'project_owner',
+  DONOR: 'donor',
+});
+
+// Admin tokens also carry an adminRole claim (Admin.role); the matrix grants
+// permissions to each admin sub-role as 'admin:<adminRole>'
+const SUPER_ADMIN = 'admin:super_admin';
+const FINANCE = 'admin:finance';
+const SUPPORT = 'admin:support';
+const VIEWER = 'admin:viewer';
+const ADMINS = [SUPER_ADMIN, FINANCE, SUPPORT, VIEWER];
+
+const { AGENT, CORPORATE_AGENT, PROJECT_OWNER, DONOR } = ROLES;
+
+const PERMISSIONS = Object.freeze({
+  // Campaigns, seasons and cycles: create, update, delete, status, rollover
+  'campaigns:manage': [SUPER_ADMIN],
+  'seasons:manage': [SUPER_ADMIN],
+  'cycles:manage': [SUPER_ADMIN],
+
+  // Donations
+  'donations:create': [SUPER_ADMIN], // any donor, agent and status
+  // Own donations: the controller makes donors the donor and agents the
+  // agent (for one of their own donors), and the donation starts pending
+  // until the payment webhook
+  'donations:create:own': [SUPER_ADMIN, AGENT, CORPORATE_AGENT, DONOR],
+  // Agents only see donations they brought in (DonorService.donationScope)
+  'donations:read': [...ADMINS, AGENT, CORPORATE_AGENT],
+  'donations:process': [SUPER_ADMIN, FINANCE], // process, receipt
+  'donations:refund': [SUPER_ADMIN, FINANCE], // refund, cancel refunds, resolve clawbacks
+  'refunds:read': ADMINS,
+  'donations:manage': [SUPER_ADMIN], // update, delete, backfill
+  'payments:read': [SUPER_ADMIN, FINANCE], // gateway checkout and webhook log
+
+  // Recurring plans (agents only see plans they set up)
+  'recurring:read': [...ADMINS, AGENT, CORPORATE_AGENT],
+  'recurring:create': [SUPER_ADMIN, FINANCE, SUPPORT, AGENT, CORPORATE_AGENT],
+  'recurring:manage': [SUPER_ADMIN, FINANCE, SUPPORT], // pause, resume, skip, cancel
+
+  // Pledges (agents only see pledges they took)
+  'pledges:read': [...ADMINS, AGENT, CORPORATE_AGENT], // lists, overdue, reports
+  'pledges:write': [SUPER_ADMIN, FINANCE, SUPPORT, AGENT, CORPORATE_AGENT], // record, reschedule
+  'pledges:manage': [SUPER_ADMIN, FINANCE], // cancel, write off
+
+  // Exchange rates for converting donations into campaign base currencies
+  'fx:read': ADMINS, // rate table, conversions
+  'fx:manage': [SUPER_ADMIN, FINANCE], // upload and delete rates
+
+  // Donors (agents only reach donors they recorded or took donations from;
+  // see DonorService.scope)
+  'donors:read': [...ADMINS, AGENT, CORPORATE_AGENT],
+  'donors:reports': ADMINS, // segments, retention, communications
+  'donors:write': [SUPER_ADMIN, SUPPORT, AGENT, CORPORATE_AGENT], // create and update
+  'donors:support': [SUPER_ADMIN, SUPPORT], // merge, reactivate
+  'donors:manage': [SUPER_ADMIN], // delete
+
+  // Projects (non-admins may only change projects they created)
+  'projects:write': [SUPER_ADMIN, PROJECT_OWNER, AGENT, CORPORATE_AGENT],
+
+  // Agent, corporate agent, project owner and admin accounts
+  'accounts:read': ADMINS,
+  'admins:manage': [SUPER_ADMIN],
+  'logins:support': [SUPER_ADMIN, SUPPORT], // lockouts, unlock, auth event log
+  'accounts:security': [SUPER_ADMIN, SUPPORT], // require or reset two-factor authentication
+
+  // KYC review queue
+  'kyc:read': ADMINS,
+  'kyc:review': [SUPER_ADMIN, SUPPORT], // approve, reject
+
+  // Account deletion review queue
+  'deletions:read': ADMINS,
+  'deletions:review': [SUPER_ADMIN, SUPPORT], // approve, reject
+
+  // Profit sharing and payouts
+  'profitSharing:read': ADMINS,
+  'profitSharing:manage': [SUPER_ADMIN, FINANCE],
+  'payouts:read': ADMINS,
+  'payouts:manage': [SUPER_ADMIN, FINANCE],
+});
+
+/**
+ * Matrix entry for a caller: their role, or 'admin:<adminRole>' for admins
+ *
+ * @param {Object} user - req.user ({ role, adminRole })
+ * @returns {string}
+ */
+const principalOf = ({ role, adminRole }) => (role === ROLES.ADMIN ? `admin:${adminRole}` : role);
+
+/**
+ * Whether a caller is granted a permission
+ *
+ * @param {Object} user - req.user ({ role, adminRole })
+ * @param {string} permission - Key of PERMISSIONS
+ * @returns {boolean}
+ */
+const hasPermission = (user, permission) => (PERMISSIONS[permission] || []).includes(principalOf(user));
+
+module.exports = { ROLES, PERMISSIONS, principalOf, hasPermission };
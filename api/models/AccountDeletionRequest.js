@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+
+// One step of a deletion request, kept as its audit trail
+const DeletionEventSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['requested', 'confirmed', 'approved', 'rejected', 'cancelled', 'executed', 'failed'],
+      required: true,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+    // Who took the step: the account holder, an admin, or nobody (scheduler)
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'events.actorModel',
+      default: null,
+    },
+    actorModel: {
+      type: String,
+      enum: ['Agent', 'CorporateAgent', 'ProjectOwner', 'Admin', 'Donor', null],
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    note: {
+      type: String,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+// Request to delete an account: confirmed by email, reviewed by an admin and
+// executed (personal data anonymised) once the grace period has passed.
+const AccountDeletionRequestSchema = new mongoose.Schema(
+  {
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'accountModel',
+      required: [true, 'Account reference is required'],
+    },
+    accountModel: {
+      type: String,
+      enum: ['Agent', 'CorporateAgent', 'ProjectOwner', 'Admin', 'Donor'],
+      required: [true, 'Account model is required'],
+    },
+    // Where confirmation and outcome emails go; anonymised on execution
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      required: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Reason cannot exceed 1000 characters'],
+      default: null,
+    },
+    source: {
+      type: String,
+      enum: ['form', 'api', 'self_service'],
+      default: 'api',
+    },
+    status: {
+      type: String,
+      enum: ['pending_confirmation', 'pending_review', 'approved', 'executing', 'rejected', 'cancelled', 'completed'],
+      default: 'pending_confirmation',
+    },
+    // True until the request is rejected, cancelled or completed
+    isOpen: {
+      type: Boolean,
+      default: true,
+    },
+    // SHA-256 of the token in the confirmation email; also cancels the request
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    confirmBy: {
+      type: Date,
+      required: true,
+    },
+    confirmedAt: {
+      type: Date,
+      default: null,
+    },
+    // End of the grace period; executed after this once approved
+    scheduledFor: {
+      type: Date,
+      default: null,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+    reviewNote: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    events: {
+      type: [DeletionEventSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// At most one open request per account
+AccountDeletionRequestSchema.index(
+  { account: 1, accountModel: 1 },
+  { unique: true, partialFilterExpression: { isOpen: true } }
+);
+AccountDeletionRequestSchema.index({ status: 1, scheduledFor: 1 });
+
+module.exports = mongoose.model('AccountDeletionRequest', AccountDeletionRequestSchema);
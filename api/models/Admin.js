@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+const accountSchema = require('../identity/account.schema');
+
+// Back-office sub-roles; see middlesware/permissions.js for what each may do
+const ADMIN_ROLES = ['super_admin', 'finance', 'support', 'viewer'];
+
+// Back-office account; name, email, password and isActive come from the account core
+const AdminSchema = accountSchema('Admin', {
+  role: {
+    type: String,
+    enum: ADMIN_ROLES,
+    default: 'viewer',
+  },
+  lastLoginAt: {
+    type: Date,
+    default: null,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null, // null for the bootstrapped first admin
+  },
+});
+
+AdminSchema.statics.ROLES = ADMIN_ROLES;
+
+module.exports = mongoose.model('Admin', AdminSchema);
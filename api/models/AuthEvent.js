@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Audit log of login attempts, lockouts, refused link requests and two-factor changes. `account` is set whenever the
+// email matched an account, including failed attempts.
+const AuthEventSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: [
+        'login_success', 'login_failure', 'login_blocked', 'lockout', 'unlock', 'mail_blocked',
+        'two_factor_enabled', 'two_factor_disabled', 'two_factor_required', 'two_factor_reset',
+      ],
+      required: [true, 'Event type is required'],
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      default: null,
+    },
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'accountModel',
+      default: null,
+    },
+    accountModel: {
+      type: String,
+      enum: ['Agent', 'CorporateAgent', 'ProjectOwner', 'Admin', 'Donor', null],
+      default: null,
+    },
+    // unknown_email, invalid_password, invalid_2fa_code, deactivated, email_locked, ip_locked, ...
+    reason: {
+      type: String,
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: null,
+    },
+    // Admin who acted, for unlock and admin two-factor events
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null,
+    },
+    // Lock details for lockout and unlock events
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+AuthEventSchema.index({ account: 1, accountModel: 1, createdAt: -1 });
+AuthEventSchema.index({ email: 1, createdAt: -1 });
+AuthEventSchema.index({ ip: 1, createdAt: -1 });
+AuthEventSchema.index({ type: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuthEvent', AuthEventSchema);
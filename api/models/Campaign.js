@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { DEFAULT_BASE_CURRENCY } = require('../fx/exchange.rate.service');
 
 const CampaignSchema = new mongoose.Schema(
   {
@@ -18,6 +19,15 @@ const CampaignSchema = new mongoose.Schema(
       required: [true, 'Goal amount is required'],
       min: [0, 'Goal must be a positive number'],
     },
+    // Currency of the goal and every total; donations in other currencies are
+    // converted into it (see fx/exchange.rate.service)
+    baseCurrency: {
+      type: String,
+      default: DEFAULT_BASE_CURRENCY,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code'],
+    },
     totalRaised: {
       type: Number,
       default: 0,
@@ -28,6 +38,23 @@ const CampaignSchema = new mongoose.Schema(
       default: 0,
       min: 0,
     },
+    // Pledges (see pledges/pledge.service): committed on open and fulfilled
+    // pledges, and what is still owed on the open ones
+    totalPledged: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    pledgeOutstanding: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    pledgeCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     status: {
       type: String,
       enum: ['draft', 'active', 'paused', 'completed', 'cancelled'],
@@ -41,6 +68,24 @@ const CampaignSchema = new mongoose.Schema(
       type: Date,
       required: [true, 'End date is required'],
     },
+    // Season and cycle rollover (see rollover/season.rollover.js)
+    settings: {
+      autoAdvance: {
+        type: Boolean,
+        default: false,
+      },
+      seasonsPerCycle: {
+        type: Number,
+        default: 10,
+        min: [1, 'A cycle needs at least one season'],
+      },
+      // Donations dated outside every season: flag them or refuse them
+      outOfSeasonDonations: {
+        type: String,
+        enum: ['flag', 'reject'],
+        default: 'flag',
+      },
+    },
   },
   {
     timestamps: true,
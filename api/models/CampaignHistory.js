@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const CampaignHistorySchema = new mongoose.Schema(
+  {
+    campaign: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Campaign',
+      required: [true, 'Campaign reference is required'],
+    },
+    event: {
+      type: String,
+      enum: ['season_closed', 'season_opened', 'cycle_closed', 'cycle_opened', 'rollover_halted'],
+      required: [true, 'Event is required'],
+    },
+    season: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Season',
+      default: null,
+    },
+    cycle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Cycle',
+      default: null,
+    },
+    reason: {
+      type: String,
+      enum: ['goal_reached', 'end_date_passed', 'manual', 'season_limit_reached', 'campaign_ended', 'campaign_inactive'],
+      required: [true, 'Reason is required'],
+    },
+    // 'system' for the scheduler and donation hook, otherwise the admin's identity
+    triggeredBy: {
+      type: String,
+      trim: true,
+      default: 'system',
+    },
+    // Totals and dates at the time of the transition
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    occurredAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+CampaignHistorySchema.index({ campaign: 1, occurredAt: -1 });
+
+module.exports = mongoose.model('CampaignHistory', CampaignHistorySchema);
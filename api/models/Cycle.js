@@ -21,6 +21,11 @@ const CycleSchema = new mongoose.Schema(
       type: Number,
       min: [0, 'Goal must be a positive number'],
     },
+    seasonsPerCycle: {
+      type: Number,
+      default: 10,
+      min: [1, 'A cycle needs at least one season'],
+    },
     totalRaised: {
       type: Number,
       default: 0,
@@ -50,4 +55,13 @@ const CycleSchema = new mongoose.Schema(
   }
 );
 
+// Virtual: populated seasons
+CycleSchema.virtual('seasons', {
+  ref: 'Season',
+  localField: '_id',
+  foreignField: 'cycle',
+});
+
+CycleSchema.index({ campaign: 1, cycleNumber: 1 }, { unique: true });
+
 module.exports = mongoose.model('Cycle', CycleSchema);
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const ExchangeRateService = require('../fx/exchange.rate.service');
+
+const { BASE_AMOUNT } = ExchangeRateService;
 
 const DonationSchema = new mongoose.Schema(
   {
@@ -22,17 +25,54 @@ const DonationSchema = new mongoose.Schema(
       ref: 'Cycle',
       default: null,
     },
+    // How season/cycle were set: given by the client, resolved from donationDate
+    // at creation or by the backfill, or no season covers the date
+    seasonAssignment: {
+      type: String,
+      enum: ['provided', 'auto', 'backfill', 'out_of_season', null],
+      default: null,
+    },
+    agent: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'agentModel',
+      default: null,
+    },
+    agentModel: {
+      type: String,
+      enum: ['Agent', 'CorporateAgent'],
+      default: null,
+    },
     amount: {
       type: Number,
       required: [true, 'Amount is required'],
       min: [0.01, 'Amount must be greater than 0'],
     },
+    // Currency the donor paid in; defaults to the campaign's baseCurrency
     currency: {
       type: String,
-      default: 'USD',
+      default: null,
       uppercase: true,
       trim: true,
     },
+    // amount converted into the campaign's baseCurrency on validate (see
+    // fx/exchange.rate.service); totals, analytics and profit sharing use it
+    baseAmount: {
+      type: Number,
+      default: null,
+    },
+    baseCurrency: {
+      type: String,
+      default: null,
+    },
+    // Units of baseCurrency per unit of currency, and the date of that rate
+    exchangeRate: {
+      type: Number,
+      default: null,
+    },
+    exchangeRateDate: {
+      type: Date,
+      default: null,
+    },
     donationType: {
       type: String,
       enum: ['one-time', 'recurring', 'pledge'],
@@ -48,11 +88,59 @@ const DonationSchema = new mongoose.Schema(
       trim: true,
       default: null,
     },
+    // Set when the donation is paid through a gateway checkout
+    // (see payments/payment.service); transactionId is then the provider's
+    paymentProvider: {
+      type: String,
+      default: null,
+    },
+    paymentReference: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    failureReason: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Installment of a recurring plan; donationDate is the installment's due date
+    recurringPlan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RecurringPlan',
+      default: null,
+    },
+    // Pledge this donation fulfils (donationType 'pledge')
+    pledge: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Pledge',
+      default: null,
+    },
     status: {
       type: String,
       enum: ['pending', 'completed', 'failed', 'refunded', 'cancelled'],
       default: 'pending',
     },
+    // Sum of completed refunds (see refunds/refund.service); the donation
+    // stays completed until it is refunded in full, and totals count
+    // baseAmount - refundedBaseAmount
+    refundedAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    refundedBaseAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Held by pending refunds, so refunds issued at the same time cannot
+    // together exceed the donation
+    pendingRefundAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     donationDate: {
       type: Date,
       default: Date.now,
@@ -82,6 +170,23 @@ const DonationSchema = new mongoose.Schema(
   }
 );
 
+// ─── Pre-validate hook: convert amount into the campaign's base currency ─────
+// New donations and changes to amount, currency, campaign or date need a rate;
+// older donations without one are left for POST /donations/backfill-currency.
+DonationSchema.pre('validate', async function () {
+  const changed = this.isNew || ['amount', 'currency', 'campaign', 'donationDate'].some(path => this.isModified(path));
+  if (!this.campaign || !this.amount || (!changed && this.baseAmount !== null)) return;
+
+  const { fields, error } = await ExchangeRateService.convertDonation(this);
+
+  if (!fields) {
+    if (changed) this.invalidate('currency', error);
+    return;
+  }
+
+  this.set(fields);
+});
+
 // ─── Post-save hook: update totals on Campaign, Donor, Season, Cycle ──────────
 async function recalculateTotals(donation) {
   const Campaign = mongoose.model('Campaign');
@@ -95,7 +200,7 @@ async function recalculateTotals(donation) {
   if (donation.campaign) {
     const result = await mongoose.model('Donation').aggregate([
       { $match: { campaign: donation.campaign, status: 'completed' } },
-      { $group: { _id: null, total: { $sum: '$amount' }, count: { $sum: 1 } } },
+      { $group: { _id: null, total: { $sum: BASE_AMOUNT }, count: { $sum: 1 } } },
     ]);
     const stats = result[0] || { total: 0, count: 0 };
     await Campaign.findByIdAndUpdate(donation.campaign, {
@@ -104,11 +209,12 @@ async function recalculateTotals(donation) {
     });
   }
 
-  // Recalculate Donor totals
+  // Recalculate Donor totals (base amounts; a donor giving to campaigns with
+  // different base currencies gets a mixed total)
   if (donation.donor) {
     const result = await mongoose.model('Donation').aggregate([
       { $match: { donor: donation.donor, status: 'completed' } },
-      { $group: { _id: null, total: { $sum: '$amount' }, count: { $sum: 1 } } },
+      { $group: { _id: null, total: { $sum: BASE_AMOUNT }, count: { $sum: 1 } } },
     ]);
     const stats = result[0] || { total: 0, count: 0 };
     await Donor.findByIdAndUpdate(donation.donor, {
@@ -121,20 +227,42 @@ async function recalculateTotals(donation) {
   if (donation.season) {
     const result = await mongoose.model('Donation').aggregate([
       { $match: { season: donation.season, status: 'completed' } },
-      { $group: { _id: null, total: { $sum: '$amount' }, count: { $sum: 1 } } },
+      { $group: { _id: null, total: { $sum: BASE_AMOUNT }, count: { $sum: 1 } } },
     ]);
     const stats = result[0] || { total: 0, count: 0 };
     await Season.findByIdAndUpdate(donation.season, {
       totalRaised: stats.total,
       donationCount: stats.count,
     });
+
+    // Queue profit sharing when this donation takes the season to its goal,
+    // then roll the campaign over to its next season if it auto-advances.
+    // Required here because both depend on this model.
+    if (isCompleted) {
+      let job = null;
+      try {
+        const ProfitSharingTrigger = require('../profit_sharing/profit.sharing.trigger');
+        job = await ProfitSharingTrigger.onSeasonTotals(donation, stats.total);
+      } catch (error) {
+        console.error('Error triggering profit sharing:', error);
+      }
+
+      if (job) {
+        try {
+          const SeasonRollover = require('../rollover/season.rollover');
+          await SeasonRollover.onGoalReached(donation.season);
+        } catch (error) {
+          console.error('Error rolling over season:', error);
+        }
+      }
+    }
   }
 
   // Recalculate Cycle totals
   if (donation.cycle) {
     const result = await mongoose.model('Donation').aggregate([
       { $match: { cycle: donation.cycle, status: 'completed' } },
-      { $group: { _id: null, total: { $sum: '$amount' }, count: { $sum: 1 } } },
+      { $group: { _id: null, total: { $sum: BASE_AMOUNT }, count: { $sum: 1 } } },
     ]);
     const stats = result[0] || { total: 0, count: 0 };
     await Cycle.findByIdAndUpdate(donation.cycle, {
@@ -142,8 +270,21 @@ async function recalculateTotals(donation) {
       donationCount: stats.count,
     });
   }
+
+  // Recalculate the fulfilment of the pledge it pays toward
+  if (donation.pledge) {
+    try {
+      const PledgeService = require('../pledges/pledge.service');
+      await PledgeService.recalculate(donation.pledge);
+    } catch (error) {
+      console.error('Error recalculating pledge:', error);
+    }
+  }
 }
 
+// For updates made without save(), e.g. the conditional status changes in PaymentService
+DonationSchema.statics.recalculateTotals = recalculateTotals;
+
 DonationSchema.post('save', async function () {
   await recalculateTotals(this);
 });
@@ -152,4 +293,22 @@ DonationSchema.post('findOneAndDelete', async function (doc) {
   if (doc) await recalculateTotals(doc);
 });
 
+DonationSchema.index({ agent: 1, season: 1, status: 1 });
+DonationSchema.index({ season: 1, campaign: 1 });
+DonationSchema.index({ pledge: 1, status: 1 });
+DonationSchema.index(
+  { paymentReference: 1 },
+  { unique: true, partialFilterExpression: { paymentReference: { $type: 'string' } } }
+);
+// One donation per recurring installment
+DonationSchema.index(
+  { recurringPlan: 1, donationDate: 1 },
+  { unique: true, partialFilterExpression: { recurringPlan: { $type: 'objectId' } } }
+);
+// A provider transaction pays for one donation only
+DonationSchema.index(
+  { paymentProvider: 1, transactionId: 1 },
+  { unique: true, partialFilterExpression: { paymentProvider: { $type: 'string' }, transactionId: { $type: 'string' } } }
+);
+
 module.exports = mongoose.model('Donation', DonationSchema);
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const revocationPlugin = require('../auth/revocation.plugin');
+const twoFactorPlugin = require('../auth/two.factor.plugin');
 
 const DonorSchema = new mongoose.Schema(
   {
@@ -42,6 +45,17 @@ const DonorSchema = new mongoose.Schema(
       type: [String],
       default: [],
     },
+    // Agent who recorded the donor; agents only reach their own donors
+    agent: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'agentModel',
+      default: null,
+    },
+    agentModel: {
+      type: String,
+      enum: ['Agent', 'CorporateAgent', null],
+      default: null,
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -56,6 +70,38 @@ const DonorSchema = new mongoose.Schema(
       default: 0,
       min: 0,
     },
+    // Portal credentials. Donors recorded by staff have no password until
+    // they set one (reset-password) or sign in with a magic link.
+    password: {
+      type: String,
+      minlength: [8, 'Password must be at least 8 characters'],
+      select: false,
+    },
+    lastLoginAt: {
+      type: Date,
+      default: null,
+    },
+    // Set when an account deletion request is executed (personal data anonymised)
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    // Managed by the donor through /me/preferences
+    preferences: {
+      emailReceipts: {
+        type: Boolean,
+        default: true,
+      },
+      newsletter: {
+        type: Boolean,
+        default: false,
+      },
+      contactChannel: {
+        type: String,
+        enum: ['email', 'phone', 'mail', 'none'],
+        default: 'email',
+      },
+    },
   },
   {
     timestamps: true,
@@ -69,7 +115,27 @@ DonorSchema.virtual('fullName').get(function () {
   return `${this.firstName} ${this.lastName}`;
 });
 
+// Hash password before saving
+DonorSchema.pre('save', async function () {
+  if (!this.isModified('password') || !this.password) return;
+  const salt = await bcrypt.genSalt(10);
+  this.password = await bcrypt.hash(this.password, salt);
+});
+
+// Instance method to compare passwords; donors without one never match
+DonorSchema.methods.comparePassword = async function (candidatePassword) {
+  if (!this.password) return false;
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
 // Text index for full-text search
 DonorSchema.index({ firstName: 'text', lastName: 'text', email: 'text' });
+DonorSchema.index({ agent: 1 });
+
+// tokenVersion and automatic token revocation on deactivation
+DonorSchema.plugin(revocationPlugin, { modelName: 'Donor' });
+
+// twoFactor settings, maintained by TwoFactorService
+DonorSchema.plugin(twoFactorPlugin);
 
 module.exports = mongoose.model('Donor', DonorSchema);
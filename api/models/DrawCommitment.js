@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const DrawCommitmentSchema = new mongoose.Schema(
+  {
+    season: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Season',
+      required: [true, 'Season reference is required'],
+      unique: true, // one commitment per season, it cannot be replaced
+    },
+    commitment: {
+      type: String,
+      required: [true, 'Commitment hash is required'],
+      lowercase: true,
+      trim: true,
+      match: [/^[0-9a-f]{64}$/, 'Commitment must be a SHA-256 hex digest'],
+    },
+    reveal: {
+      type: String,
+      trim: true,
+      default: null,
+      select: false, // only exposed once the draw has been executed
+    },
+    serverHeld: {
+      type: Boolean,
+      default: false,
+    },
+    committedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    revealedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+module.exports = mongoose.model('DrawCommitment', DrawCommitmentSchema);
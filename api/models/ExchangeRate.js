@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Uploaded exchange rate: 1 unit of `base` is worth `rate` units of `quote`
+// from effectiveDate until the next rate for the pair. There is no live feed;
+// rates come from POST /exchange-rates (see fx/exchange.rate.service).
+const ExchangeRateSchema = new mongoose.Schema(
+  {
+    base: {
+      type: String,
+      required: [true, 'Base currency is required'],
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code'],
+    },
+    quote: {
+      type: String,
+      required: [true, 'Quote currency is required'],
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code'],
+    },
+    rate: {
+      type: Number,
+      required: [true, 'Rate is required'],
+      min: [0.000001, 'Rate must be greater than 0'],
+    },
+    effectiveDate: {
+      type: Date,
+      required: [true, 'Effective date is required'],
+    },
+    source: {
+      type: String,
+      trim: true,
+      default: 'manual',
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null,
+    },
+    note: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One rate per pair and day; re-uploading replaces it
+ExchangeRateSchema.index({ base: 1, quote: 1, effectiveDate: -1 }, { unique: true });
+
+module.exports = mongoose.model('ExchangeRate', ExchangeRateSchema);
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+// Metadata of an identity document; the file itself lives in object storage
+const KycDocumentSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['nin_slip', 'cac_certificate', 'government_id', 'utility_bill', 'passport_photo', 'other'],
+      required: [true, 'Document type is required'],
+    },
+    fileName: {
+      type: String,
+      required: [true, 'Document file name is required'],
+      trim: true,
+    },
+    url: {
+      type: String,
+      required: [true, 'Document URL is required'],
+      trim: true,
+    },
+    mimeType: {
+      type: String,
+      enum: ['application/pdf', 'image/jpeg', 'image/png'],
+      required: [true, 'Document MIME type is required'],
+    },
+    size: {
+      type: Number,
+      required: [true, 'Document size is required'],
+      min: [1, 'Document size must be positive'],
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// One KYC review request from an agent, corporate agent or project owner.
+// nin and cac are the identifiers under review; approving copies them onto
+// the account.
+const KycSubmissionSchema = new mongoose.Schema(
+  {
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'accountModel',
+      required: [true, 'Account reference is required'],
+    },
+    accountModel: {
+      type: String,
+      enum: ['Agent', 'CorporateAgent', 'ProjectOwner'],
+      required: [true, 'Account model is required'],
+    },
+    nin: {
+      type: String,
+      required: [true, 'NIN is required'],
+      trim: true,
+    },
+    cac: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    documents: {
+      type: [KycDocumentSchema],
+      validate: [(docs) => docs.length > 0, 'At least one document is required'],
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      default: 'pending',
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+KycSubmissionSchema.index({ status: 1, createdAt: 1 });
+KycSubmissionSchema.index({ account: 1, accountModel: 1, createdAt: -1 });
+// At most one submission per account waiting for review
+KycSubmissionSchema.index(
+  { account: 1, accountModel: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+module.exports = mongoose.model('KycSubmission', KycSubmissionSchema);
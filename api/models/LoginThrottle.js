@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Failed-login counter for one email address or one client IP. Each lockout
+// lasts twice as long as the previous one; the record (and with it the
+// lockout history) is dropped after a quiet period.
+const LoginThrottleSchema = new mongoose.Schema(
+  {
+    // 'email:<address>' or 'ip:<address>'
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    scope: {
+      type: String,
+      enum: ['email', 'ip'],
+      required: true,
+    },
+    value: {
+      type: String,
+      required: true,
+    },
+    // Failures since the last lockout within the counting window
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    lastFailureAt: {
+      type: Date,
+      default: null,
+    },
+    lockouts: {
+      type: Number,
+      default: 0,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+LoginThrottleSchema.index({ lockedUntil: 1 });
+LoginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginThrottle', LoginThrottleSchema);
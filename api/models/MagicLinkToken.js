@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Single-use sign-in link token. Only the SHA-256 hash is stored; the raw
+// token is sent to the account's email address.
+const MagicLinkTokenSchema = new mongoose.Schema(
+  {
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'accountModel',
+      required: [true, 'Account reference is required'],
+    },
+    accountModel: {
+      type: String,
+      enum: ['Agent', 'CorporateAgent', 'ProjectOwner', 'Admin', 'Donor'],
+      required: [true, 'Account model is required'],
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+    // Set when a newer link replaces this one
+    supersededAt: {
+      type: Date,
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+MagicLinkTokenSchema.index({ account: 1, accountModel: 1, usedAt: 1 });
+// Let MongoDB drop tokens a day after they expire
+MagicLinkTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('MagicLinkToken', MagicLinkTokenSchema);
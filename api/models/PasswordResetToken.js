@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Single-use password reset token. Only the SHA-256 hash is stored; the raw
+// token is sent to the account's email address.
+const PasswordResetTokenSchema = new mongoose.Schema(
+  {
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'accountModel',
+      required: [true, 'Account reference is required'],
+    },
+    accountModel: {
+      type: String,
+      enum: ['Agent', 'CorporateAgent', 'ProjectOwner', 'Admin', 'Donor'],
+      required: [true, 'Account model is required'],
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+    // Set when a newer reset request replaces this token
+    supersededAt: {
+      type: Date,
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+PasswordResetTokenSchema.index({ account: 1, accountModel: 1, usedAt: 1 });
+// Let MongoDB drop tokens a day after they expire
+PasswordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('PasswordResetToken', PasswordResetTokenSchema);
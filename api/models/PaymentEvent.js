@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+// Audit log of provider interactions: checkouts, saved-token charges,
+// verifications and webhooks, with what each did to the donation. Webhooks
+// already applied for the same provider, outcome and transactionId are
+// recorded as duplicates.
+const PaymentEventSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: [true, 'Provider is required'],
+    },
+    source: {
+      type: String,
+      enum: ['checkout', 'verify', 'webhook', 'charge'],
+      required: [true, 'Source is required'],
+    },
+    outcome: {
+      type: String,
+      enum: ['initialized', 'completed', 'failed', 'refunded', 'pending'],
+      required: [true, 'Outcome is required'],
+    },
+    // applied: donation updated; no_change: already in that state or the
+    // transition is not allowed; duplicate: same webhook seen before;
+    // unmatched: no donation has the reference with this provider;
+    // amount_mismatch: paid amount or currency differs from the donation or
+    // was not reported
+    result: {
+      type: String,
+      enum: ['applied', 'no_change', 'duplicate', 'unmatched', 'amount_mismatch'],
+      required: [true, 'Result is required'],
+    },
+    reference: {
+      type: String,
+      default: null,
+    },
+    transactionId: {
+      type: String,
+      default: null,
+    },
+    amount: {
+      type: Number,
+      default: null,
+    },
+    currency: {
+      type: String,
+      default: null,
+    },
+    donation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Donation',
+      default: null,
+    },
+    // Refund notifications: the provider's refund ID and the Refund recorded
+    refundReference: {
+      type: String,
+      default: null,
+    },
+    refund: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Refund',
+      default: null,
+    },
+    // Donation status before and after
+    fromStatus: {
+      type: String,
+      default: null,
+    },
+    toStatus: {
+      type: String,
+      default: null,
+    },
+    reason: {
+      type: String,
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+PaymentEventSchema.index({ provider: 1, outcome: 1, transactionId: 1, result: 1 });
+PaymentEventSchema.index({ donation: 1, createdAt: -1 });
+PaymentEventSchema.index({ reference: 1, createdAt: -1 });
+PaymentEventSchema.index({ result: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PaymentEvent', PaymentEventSchema);
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+
+const PayoutStatusChangeSchema = new mongoose.Schema(
+  {
+    from: { type: String, default: null },
+    to: { type: String, required: true },
+    by: { type: String, trim: true, default: null },
+    note: { type: String, trim: true, default: null },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const PayoutSchema = new mongoose.Schema(
+  {
+    distribution: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ProfitDistribution',
+      required: [true, 'Profit distribution reference is required'],
+    },
+    season: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Season',
+      required: [true, 'Season reference is required'],
+    },
+    campaign: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Campaign',
+      required: [true, 'Campaign reference is required'],
+    },
+    vendor: {
+      type: String,
+      enum: ['donors', 'agents', 'stakeholders'],
+      required: [true, 'Vendor is required'],
+    },
+    // Distribution line the payout comes from
+    category: {
+      type: String,
+      enum: ['selectedDonor', 'freelancing', 'corporate', 'major', 'miscellaneous', 'r1', 'pb', 'sf', 'bmg'],
+      required: [true, 'Payout category is required'],
+    },
+    // Account being paid; null for stakeholder, major agent and unallocated lines
+    beneficiary: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'beneficiaryModel',
+      default: null,
+    },
+    beneficiaryModel: {
+      type: String,
+      enum: ['Agent', 'CorporateAgent', 'Donor'],
+      default: null,
+    },
+    beneficiaryName: {
+      type: String,
+      trim: true,
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Amount is required'],
+      min: [0, 'Amount cannot be negative'],
+    },
+    // The campaign's base currency, from the distribution
+    currency: {
+      type: String,
+      default: null,
+    },
+    // What the amount was calculated from (pro rata share of attributed donations)
+    basis: {
+      donationsAmount: { type: Number, default: 0, min: 0 },
+      donationCount: { type: Number, default: 0, min: 0 },
+      sharePercent: { type: Number, default: 0, min: 0 },
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'paid', 'failed'],
+      default: 'pending',
+    },
+    approvedBy: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    approvedAt: {
+      type: Date,
+      default: null,
+    },
+    paymentReference: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    paidAt: {
+      type: Date,
+      default: null,
+    },
+    failureReason: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    failedAt: {
+      type: Date,
+      default: null,
+    },
+    statusHistory: {
+      type: [PayoutStatusChangeSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+PayoutSchema.index({ beneficiary: 1, beneficiaryModel: 1, createdAt: -1 });
+PayoutSchema.index({ distribution: 1, category: 1 });
+PayoutSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Payout', PayoutSchema);
@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+
+// One scheduled instalment. paidAmount is allocated from the pledge's
+// completed donations in due-date order (see pledges/pledge.service).
+const InstalmentSchema = new mongoose.Schema(
+  {
+    dueDate: {
+      type: Date,
+      required: [true, 'Instalment due date is required'],
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Instalment amount is required'],
+      min: [0.01, 'Instalment amount must be greater than 0'],
+    },
+    paidAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    paidAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+// A donor's commitment to give totalAmount to a campaign by dueDate, in one or
+// more instalments. Donations with `pledge` set fulfil it; amountFulfilled and
+// the instalments are recalculated whenever one of them changes status.
+const PledgeSchema = new mongoose.Schema(
+  {
+    donor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Donor',
+      required: [true, 'Donor reference is required'],
+    },
+    campaign: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Campaign',
+      required: [true, 'Campaign reference is required'],
+    },
+    // Season and cycle covering pledgeDate, for reporting
+    season: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Season',
+      default: null,
+    },
+    cycle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Cycle',
+      default: null,
+    },
+    agent: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'agentModel',
+      default: null,
+    },
+    agentModel: {
+      type: String,
+      enum: ['Agent', 'CorporateAgent', null],
+      default: null,
+    },
+    totalAmount: {
+      type: Number,
+      required: [true, 'Pledged amount is required'],
+      min: [0.01, 'Pledged amount must be greater than 0'],
+    },
+    // Defaults to the campaign's baseCurrency
+    currency: {
+      type: String,
+      default: null,
+      uppercase: true,
+      trim: true,
+    },
+    pledgeDate: {
+      type: Date,
+      default: Date.now,
+    },
+    // Due date of the last instalment
+    dueDate: {
+      type: Date,
+      required: [true, 'Due date is required'],
+    },
+    instalments: {
+      type: [InstalmentSchema],
+      validate: {
+        validator: instalments => instalments.length > 0,
+        message: 'A pledge needs at least one instalment',
+      },
+    },
+    amountFulfilled: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    donationCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    lastPaymentAt: {
+      type: Date,
+      default: null,
+    },
+    // Due date of the earliest instalment not yet paid in full; null once
+    // fulfilled. An open pledge is overdue when this has passed.
+    nextDueDate: {
+      type: Date,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ['open', 'fulfilled', 'cancelled', 'written_off'],
+      default: 'open',
+    },
+    fulfilledAt: {
+      type: Date,
+      default: null,
+    },
+    // Cancelled or written off: who closed it and why
+    closedAt: {
+      type: Date,
+      default: null,
+    },
+    closedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null,
+    },
+    closeReason: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    isAnonymous: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+PledgeSchema.virtual('outstanding').get(function () {
+  return Math.max(0, Math.round((this.totalAmount - this.amountFulfilled) * 100) / 100);
+});
+
+PledgeSchema.virtual('isOverdue').get(function () {
+  return this.status === 'open' && Boolean(this.nextDueDate) && this.nextDueDate < new Date();
+});
+
+PledgeSchema.index({ status: 1, nextDueDate: 1 });
+PledgeSchema.index({ campaign: 1, status: 1 });
+PledgeSchema.index({ season: 1, status: 1 });
+PledgeSchema.index({ donor: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Pledge', PledgeSchema);
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+const SelectedDonorSchema = new mongoose.Schema(
+  {
+    rank: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    donor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Donor',
+      required: true,
+    },
+    fullName: {
+      type: String,
+      trim: true,
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    donationCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    totalContributed: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+const ProfitDistributionSchema = new mongoose.Schema(
+  {
+    season: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Season',
+      required: [true, 'Season reference is required'],
+      unique: true, // profit sharing can only be executed once per season
+    },
+    campaign: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Campaign',
+      required: [true, 'Campaign reference is required'],
+    },
+    // The campaign's base currency; every amount below is in it
+    currency: {
+      type: String,
+      default: null,
+    },
+    seasonSnapshot: {
+      name: { type: String, trim: true },
+      goal: { type: Number, min: 0 },
+      totalRaised: { type: Number, min: 0 },
+      donationCount: { type: Number, min: 0 },
+    },
+    eligibility: {
+      totalEligibleDonors: { type: Number, default: 0, min: 0 },
+      minimumDonationsRequired: { type: Number, min: 0 },
+    },
+    selectedDonors: {
+      type: [SelectedDonorSchema],
+      default: [],
+    },
+    policy: {
+      policy: { type: mongoose.Schema.Types.ObjectId, ref: 'ProfitSharingPolicy', default: null },
+      version: { type: Number, min: 0 }, // 0 = built-in default policy
+    },
+    draw: {
+      algorithm: { type: String, trim: true },
+      commitment: { type: String, lowercase: true, trim: true },
+      reveal: { type: String, trim: true },
+      seed: { type: String, lowercase: true, trim: true },
+      poolHash: { type: String, lowercase: true, trim: true },
+      // Eligible pool in canonical (donor id ascending) order, as it was drawn from
+      pool: [
+        {
+          _id: false,
+          donor: { type: mongoose.Schema.Types.ObjectId, ref: 'Donor' },
+          donationCount: Number,
+          totalContributed: Number,
+        },
+      ],
+      // Selected donor ids in draw order
+      order: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Donor' }],
+      committedAt: Date,
+    },
+    totalProfit: {
+      type: Number,
+      required: [true, 'Total profit is required'],
+      min: 0,
+    },
+    profitCalculation: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    vendorDistribution: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    executedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+ProfitDistributionSchema.index({ campaign: 1, executedAt: -1 });
+
+module.exports = mongoose.model('ProfitDistribution', ProfitDistributionSchema);
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+const ProfitSharingJobSchema = new mongoose.Schema(
+  {
+    season: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Season',
+      required: [true, 'Season reference is required'],
+      unique: true, // a season crosses its goal once
+    },
+    campaign: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Campaign',
+      required: [true, 'Campaign reference is required'],
+    },
+    // Donation whose completion took the season to its goal
+    triggerDonation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Donation',
+      required: [true, 'Trigger donation reference is required'],
+    },
+    goalReachedAt: {
+      type: Date,
+      required: true,
+    },
+    goal: {
+      type: Number,
+      min: 0,
+    },
+    totalRaisedAtTrigger: {
+      type: Number,
+      min: 0,
+    },
+    mode: {
+      type: String,
+      enum: ['auto', 'approval'],
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['awaiting_approval', 'queued', 'running', 'completed', 'failed', 'rejected'],
+      default: 'queued',
+    },
+    // Why an auto job was held for approval instead of running
+    holdReason: {
+      type: String,
+      default: null,
+    },
+    approvedBy: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    approvedAt: {
+      type: Date,
+      default: null,
+    },
+    rejectedBy: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    rejectionReason: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    distribution: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ProfitDistribution',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+ProfitSharingJobSchema.index({ status: 1, goalReachedAt: -1 });
+ProfitSharingJobSchema.index({ campaign: 1, goalReachedAt: -1 });
+
+module.exports = mongoose.model('ProfitSharingJob', ProfitSharingJobSchema);
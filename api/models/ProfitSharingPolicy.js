@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+// Tolerance when checking that a split sums to 100%
+const SPLIT_TOLERANCE = 0.0001;
+
+const fraction = (label) => ({
+  type: Number,
+  required: [true, `${label} is required`],
+  min: [0, `${label} cannot be negative`],
+  max: [1, `${label} cannot exceed 1 (100%)`],
+});
+
+const ProfitSharingPolicySchema = new mongoose.Schema(
+  {
+    campaign: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Campaign',
+      required: [true, 'Campaign reference is required'],
+    },
+    version: {
+      type: Number,
+      required: [true, 'Version is required'],
+      min: 1,
+    },
+    multipliers: {
+      initial: { type: Number, required: true, min: 0 },
+      first: { type: Number, required: true, min: 0 },
+      second: { type: Number, required: true, min: 0 },
+      final: { type: Number, required: true, min: 0 },
+    },
+    minDonations: {
+      type: Number,
+      required: [true, 'Minimum donations is required'],
+      min: [1, 'Minimum donations must be at least 1'],
+    },
+    selectedDonorsCount: {
+      type: Number,
+      required: [true, 'Selected donors count is required'],
+      min: [1, 'At least one donor must be selected'],
+    },
+    vendorSplit: {
+      agents: fraction('Agents split'),
+      stakeholders: fraction('Stakeholders split'),
+    },
+    agentDistribution: {
+      freelancing: fraction('Freelancing agent share'),
+      corporate: fraction('Corporate agent share'),
+      majorPerMillion: { type: Number, required: true, min: 0 },
+    },
+    stakeholderDistribution: {
+      r1: fraction('R1 share'),
+      pb: fraction('PB share'),
+      sf: fraction('SF share'),
+      bmg: fraction('BMG share'),
+    },
+    // What happens when a season crosses its goal: run profit sharing straight
+    // away, or queue it for an admin to approve
+    executionMode: {
+      type: String,
+      enum: ['auto', 'approval'],
+      default: 'approval',
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Splits must account for exactly 100% of their share
+ProfitSharingPolicySchema.pre('validate', function () {
+  const sum = (values) => values.reduce((total, v) => total + (v || 0), 0);
+
+  const vendorTotal = sum([this.vendorSplit?.agents, this.vendorSplit?.stakeholders]);
+  if (Math.abs(vendorTotal - 1) > SPLIT_TOLERANCE) {
+    this.invalidate('vendorSplit', `Vendor split must sum to 100% (got ${Math.round(vendorTotal * 10000) / 100}%)`);
+  }
+
+  const s = this.stakeholderDistribution || {};
+  const stakeholderTotal = sum([s.r1, s.pb, s.sf, s.bmg]);
+  if (Math.abs(stakeholderTotal - 1) > SPLIT_TOLERANCE) {
+    this.invalidate('stakeholderDistribution', `Stakeholder distribution must sum to 100% (got ${Math.round(stakeholderTotal * 10000) / 100}%)`);
+  }
+
+  // Miscellaneous takes the remainder, so agent shares may not exceed 100%
+  const agentTotal = sum([this.agentDistribution?.freelancing, this.agentDistribution?.corporate]);
+  if (agentTotal - 1 > SPLIT_TOLERANCE) {
+    this.invalidate('agentDistribution', `Freelancing and corporate shares cannot exceed 100% (got ${Math.round(agentTotal * 10000) / 100}%)`);
+  }
+});
+
+ProfitSharingPolicySchema.index({ campaign: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('ProfitSharingPolicy', ProfitSharingPolicySchema);
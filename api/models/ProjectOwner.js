@@ -1,73 +1,26 @@
 const mongoose = require('mongoose');
-const bcrypt = require('bcryptjs');
+const accountSchema = require('../identity/account.schema');
 
-const ProjectOwnerSchema = new mongoose.Schema(
-  {
-    name: {
-      type: String,
-      required: [true, 'Name is required'],
-      trim: true,
-      maxlength: [100, 'Name cannot exceed 100 characters'],
-    },
-    email: {
-      type: String,
-      required: [true, 'Email is required'],
-      unique: true,
-      lowercase: true,
-      trim: true,
-      match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address'],
-    },
-    password: {
-      type: String,
-      required: [true, 'Password is required'],
-      minlength: [8, 'Password must be at least 8 characters'],
-      select: false,
-    },
-    phone: {
-      type: String,
-      required: [true, 'Phone number is required'],
-      trim: true,
-    },
-    organization: {
-      type: String,
-      required: [true, 'Organization name is required'],
-      trim: true,
-      maxlength: [150, 'Organization name cannot exceed 150 characters'],
-    },
-    nin: {
-      type: String,
-      required: [true, 'NIN is required'],
-      unique: true,
-      trim: true,
-      match: [/^\d{11}$/, 'NIN must be exactly 11 digits'],
-    },
-    isActive: {
-      type: Boolean,
-      default: true,
-    },
-    isVerified: {
-      type: Boolean,
-      default: false,
-    },
+// Project owner; name, email, password and isActive come from the account core
+const ProjectOwnerSchema = accountSchema('ProjectOwner', {
+  phone: {
+    type: String,
+    required: [true, 'Phone number is required'],
+    trim: true,
   },
-  {
-    timestamps: true,
-    toJSON: { virtuals: true },
-    toObject: { virtuals: true },
-  }
-);
-
-// Hash password before saving
-ProjectOwnerSchema.pre('save', async function (next) {
-  if (!this.isModified('password')) return next();
-  const salt = await bcrypt.genSalt(10);
-  this.password = await bcrypt.hash(this.password, salt);
-  next();
-});
-
-// Instance method to compare passwords
-ProjectOwnerSchema.methods.comparePassword = async function (candidatePassword) {
-  return bcrypt.compare(candidatePassword, this.password);
-};
+  organization: {
+    type: String,
+    required: [true, 'Organization name is required'],
+    trim: true,
+    maxlength: [150, 'Organization name cannot exceed 150 characters'],
+  },
+  nin: {
+    type: String,
+    required: [true, 'NIN is required'],
+    unique: true,
+    trim: true,
+    match: [/^\d{11}$/, 'NIN must be exactly 11 digits'],
+  },
+}, { kyc: true });
 
 module.exports = mongoose.model('ProjectOwner', ProjectOwnerSchema);
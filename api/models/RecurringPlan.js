@@ -0,0 +1,201 @@
+const mongoose = require('mongoose');
+
+// One step in a plan's life, kept as its audit trail
+const PlanEventSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: [
+        'created', 'installment_created', 'charged', 'charge_pending', 'charge_failed', 'charge_error',
+        'paused', 'resumed', 'skipped', 'cancelled', 'completed', 'payment_method_saved',
+      ],
+      required: true,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+    // Who took the step: the donor, staff, or nobody (scheduler)
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'events.actorModel',
+      default: null,
+    },
+    actorModel: {
+      type: String,
+      enum: ['Agent', 'CorporateAgent', 'Admin', 'Donor', null],
+      default: null,
+    },
+    donation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Donation',
+      default: null,
+    },
+    note: {
+      type: String,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+// A donor's standing instruction to give `amount` every `frequency`. The
+// scheduler (recurring/recurring.service) creates one child donation per
+// installment, dated dueDate, and charges the saved payment token if any.
+const RecurringPlanSchema = new mongoose.Schema(
+  {
+    donor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Donor',
+      required: [true, 'Donor reference is required'],
+    },
+    campaign: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Campaign',
+      required: [true, 'Campaign reference is required'],
+    },
+    agent: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'agentModel',
+      default: null,
+    },
+    agentModel: {
+      type: String,
+      enum: ['Agent', 'CorporateAgent', null],
+      default: null,
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Amount is required'],
+      min: [0.01, 'Amount must be greater than 0'],
+    },
+    // Defaults to the campaign's baseCurrency
+    currency: {
+      type: String,
+      default: null,
+      uppercase: true,
+      trim: true,
+    },
+    frequency: {
+      type: String,
+      enum: ['weekly', 'monthly', 'quarterly', 'annually'],
+      required: [true, 'Frequency is required'],
+    },
+    // Day of the month installments fall on (monthly and longer), from startDate
+    anchorDay: {
+      type: Number,
+      min: 1,
+      max: 31,
+      required: true,
+    },
+    startDate: {
+      type: Date,
+      required: [true, 'Start date is required'],
+    },
+    // No installments after this date
+    endDate: {
+      type: Date,
+      default: null,
+    },
+    paymentMethod: {
+      type: String,
+      enum: ['credit_card', 'debit_card', 'bank_transfer', 'cash', 'check', 'paypal', 'other'],
+      required: [true, 'Payment method is required'],
+    },
+    // Gateway used for automatic charges; null for plans collected by staff
+    paymentProvider: {
+      type: String,
+      default: null,
+    },
+    // Reusable authorization from the provider (e.g. a Paystack authorization
+    // code), saved from the first paid installment or given at creation
+    paymentToken: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    tokenSavedAt: {
+      type: Date,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ['active', 'past_due', 'paused', 'cancelled', 'completed'],
+      default: 'active',
+    },
+    // Date of the installment being collected
+    dueDate: {
+      type: Date,
+      required: true,
+    },
+    // When the scheduler next acts: dueDate, or a retry date while past_due
+    nextRunAt: {
+      type: Date,
+      default: null,
+    },
+    failedAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lastFailureReason: {
+      type: String,
+      default: null,
+    },
+    installmentCount: {
+      type: Number,
+      default: 0,
+    },
+    lastChargedAt: {
+      type: Date,
+      default: null,
+    },
+    pausedAt: {
+      type: Date,
+      default: null,
+    },
+    // Paused plans resume on their own at this date, when set
+    resumeAt: {
+      type: Date,
+      default: null,
+    },
+    pausedReason: {
+      type: String,
+      enum: ['requested', 'payment_failed', null],
+      default: null,
+    },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+    cancelReason: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    isAnonymous: {
+      type: Boolean,
+      default: false,
+    },
+    // Set while the scheduler works on the plan
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    events: {
+      type: [PlanEventSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+RecurringPlanSchema.index({ status: 1, nextRunAt: 1 });
+RecurringPlanSchema.index({ status: 1, resumeAt: 1 });
+RecurringPlanSchema.index({ donor: 1, createdAt: -1 });
+RecurringPlanSchema.index({ campaign: 1, status: 1 });
+
+module.exports = mongoose.model('RecurringPlan', RecurringPlanSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Server-side record of an issued refresh token. Only the SHA-256 hash of the
+// token is stored. Tokens rotate on every use; all tokens descending from one
+// login share a `family`, so reuse of a rotated token revokes the whole chain.
+const RefreshTokenSchema = new mongoose.Schema(
+  {
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'accountModel',
+      required: [true, 'Account reference is required'],
+    },
+    accountModel: {
+      type: String,
+      enum: ['Agent', 'CorporateAgent', 'ProjectOwner', 'Admin', 'Donor'],
+      required: [true, 'Account model is required'],
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    family: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: ['rotated', 'logout', 'logout_all', 'deactivated', 'reuse_detected', 'password_changed', 'two_factor_required', 'account_deleted', null],
+      default: null,
+    },
+    replacedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RefreshToken',
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+RefreshTokenSchema.index({ account: 1, accountModel: 1, revokedAt: 1 });
+RefreshTokenSchema.index({ family: 1 });
+// Let MongoDB drop tokens a day after they expire
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('RefreshToken', RefreshTokenSchema);
@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+
+const RefundStatusChangeSchema = new mongoose.Schema(
+  {
+    from: { type: String, default: null },
+    to: { type: String, required: true },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
+    note: { type: String, trim: true, default: null },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// One refund of part or all of a completed donation. Only completed refunds
+// count: they add up to the donation's refundedAmount, which every total
+// subtracts (see refunds/refund.service).
+const RefundSchema = new mongoose.Schema(
+  {
+    donation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Donation',
+      required: [true, 'Donation reference is required'],
+    },
+    donor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Donor',
+      default: null,
+    },
+    campaign: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Campaign',
+      default: null,
+    },
+    season: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Season',
+      default: null,
+    },
+    // In the donation's currency
+    amount: {
+      type: Number,
+      required: [true, 'Amount is required'],
+      min: [0.01, 'Amount must be greater than 0'],
+    },
+    currency: {
+      type: String,
+      default: null,
+    },
+    // amount at the donation's exchange rate, in the campaign's base currency
+    baseAmount: {
+      type: Number,
+      default: null,
+    },
+    reason: {
+      type: String,
+      required: [true, 'Reason is required'],
+      trim: true,
+    },
+    // gateway: sent to the donation's payment provider; manual: paid back
+    // outside the system and recorded as completed straight away
+    method: {
+      type: String,
+      enum: ['gateway', 'manual'],
+      required: [true, 'Method is required'],
+    },
+    // pending: waiting for the provider to confirm
+    status: {
+      type: String,
+      enum: ['pending', 'completed', 'failed', 'cancelled'],
+      default: 'pending',
+    },
+    provider: {
+      type: String,
+      default: null,
+    },
+    // The provider's refund ID
+    gatewayReference: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    failureReason: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Operator who issued it; null when it came from a provider webhook
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    // Set when the donation's season had already paid out profit sharing:
+    // the payouts were calculated with the refunded money
+    clawback: {
+      status: {
+        type: String,
+        enum: ['pending', 'recovered', 'waived', null],
+        default: null,
+      },
+      distribution: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ProfitDistribution',
+        default: null,
+      },
+      resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        default: null,
+      },
+      resolvedAt: {
+        type: Date,
+        default: null,
+      },
+      note: {
+        type: String,
+        trim: true,
+        default: null,
+      },
+    },
+    statusHistory: {
+      type: [RefundStatusChangeSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+RefundSchema.index({ donation: 1, status: 1 });
+RefundSchema.index({ status: 1, createdAt: -1 });
+RefundSchema.index({ 'clawback.status': 1, createdAt: -1 });
+RefundSchema.index(
+  { provider: 1, gatewayReference: 1 },
+  { unique: true, partialFilterExpression: { gatewayReference: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('Refund', RefundSchema);
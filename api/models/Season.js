@@ -12,6 +12,18 @@ const SeasonSchema = new mongoose.Schema(
       ref: 'Campaign',
       required: [true, 'Campaign reference is required'],
     },
+    // Cycle the season belongs to (attached through the cycles API)
+    cycle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Cycle',
+      default: null,
+    },
+    // Position within the cycle, 1..cycle.seasonsPerCycle
+    seasonNumber: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
     description: {
       type: String,
       trim: true,
@@ -43,6 +55,25 @@ const SeasonSchema = new mongoose.Schema(
       type: Date,
       required: [true, 'End date is required'],
     },
+    closedAt: {
+      type: Date,
+      default: null,
+    },
+    closeReason: {
+      type: String,
+      enum: ['goal_reached', 'end_date_passed', 'manual', null],
+      default: null,
+    },
+    // Set once, by the donation whose completion first took totalRaised to the goal
+    goalReachedAt: {
+      type: Date,
+      default: null,
+    },
+    goalReachedDonation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Donation',
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -51,4 +82,6 @@ const SeasonSchema = new mongoose.Schema(
   }
 );
 
+SeasonSchema.index({ cycle: 1, seasonNumber: 1 });
+
 module.exports = mongoose.model('Season', SeasonSchema);
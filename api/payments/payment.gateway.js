@@ -0,0 +1,83 @@
+/**
+ * ============================================================================
+ * PAYMENT GATEWAY CLASS
+ * ============================================================================
+ *
+ * Registry of payment provider adapters. An adapter is an object with:
+ *
+ *   name                          - Key used in routes and on donations
+ *   configured()                  - Whether its credentials are set
+ *   initialize(checkout)          - Start a hosted checkout; checkout is
+ *                                   { reference, amount, currency, email, name,
+ *                                   callbackUrl, metadata }; returns
+ *                                   { authorizationUrl, reference }
+ *   charge(charge)                - Optional: charge a saved payment token;
+ *                                   charge is { token, reference, amount,
+ *                                   currency, email, metadata }
+ *   refund(refund)                - Optional: refund part or all of a payment;
+ *                                   refund is { reference, transactionId,
+ *                                   amount, currency, reason }; returns
+ *                                   { outcome: completed | pending | failed,
+ *                                   refundReference, reason }
+ *   verify(reference)             - Ask the provider for the payment's state
+ *   verifySignature(raw, headers) - Check a webhook came from the provider
+ *   parseWebhook(payload)         - Webhook body to a result, or null for
+ *                                   events we do not act on
+ *
+ * charge(), verify() and parseWebhook() return a normalised result:
+ *   { outcome, reference, transactionId, amount, currency, reason, paymentToken,
+ *     refundReference }
+ * where outcome is completed | failed | refunded | pending, amounts are in
+ * major units and paymentToken is a reusable authorization, when the
+ * provider gives one. A refunded result's amount is the amount refunded and
+ * refundReference the provider's refund ID.
+ *
+ * Built-in: paystack, flutterwave and mock (see payments/providers).
+ * PAYMENT_PROVIDER picks the default for checkouts.
+ *
+ * @class PaymentGateway
+ */
+
+const paystack = require('./providers/paystack');
+const flutterwave = require('./providers/flutterwave');
+const mock = require('./providers/mock');
+
+class PaymentGateway {
+  static adapters = { paystack, flutterwave, mock };
+
+  /**
+   * Add or replace an adapter
+   *
+   * @param {Object} adapter - See the class comment
+   */
+  static register(adapter) {
+    const methods = ['configured', 'initialize', 'verify', 'verifySignature', 'parseWebhook'];
+    const missing = methods.filter(method => typeof adapter[method] !== 'function');
+
+    if (!adapter.name || missing.length) {
+      throw new Error(`Payment adapter must have a name and ${missing.join(', ')}`);
+    }
+    PaymentGateway.adapters[adapter.name] = adapter;
+  }
+
+  static names() {
+    return Object.keys(PaymentGateway.adapters);
+  }
+
+  /**
+   * A configured adapter by name, or null
+   */
+  static get(name) {
+    const adapter = PaymentGateway.adapters[name];
+    return adapter && adapter.configured() ? adapter : null;
+  }
+
+  /**
+   * Name of the provider used when a checkout does not pick one
+   */
+  static defaultProvider() {
+    return process.env.PAYMENT_PROVIDER || 'paystack';
+  }
+}
+
+module.exports = PaymentGateway;
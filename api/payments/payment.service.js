@@ -0,0 +1,430 @@
+/**
+ * ============================================================================
+ * PAYMENT SERVICE CLASS
+ * ============================================================================
+ *
+ * Takes donations from pending to completed (or failed, or refunded) through
+ * a payment provider instead of PATCH /donations/:id/process:
+ *
+ *   1. checkout - starts a hosted checkout for a pending donation and stores
+ *                 the provider and our reference on it
+ *   2. verify   - asks the provider for the payment's state, e.g. when the
+ *                 donor returns to the callback URL
+ *   3. webhook  - signed provider notification; the usual way a payment
+ *                 settles
+ *
+ * charge() pays a donation with a saved payment token instead (recurring
+ * installments, see recurring/recurring.service). When a paid installment
+ * comes with a reusable token, it is saved on its plan.
+ *
+ * verify and webhooks go through apply(), which moves the donation only along
+ * pending → completed | failed and failed → completed (a late success), with
+ * conditional updates so concurrent deliveries cannot both apply. A webhook
+ * whose provider, outcome and transactionId were already applied is recorded
+ * as a duplicate and changes nothing. A notification only matches a
+ * donation whose checkout went through the same provider, and completion
+ * requires the provider to report the paid amount and currency and both to
+ * match the donation. Refund notifications are recorded as Refund records
+ * instead (see refunds/refund.service), which refund the donation in part or
+ * in full.
+ *
+ * Every interaction is recorded as a PaymentEvent.
+ *
+ * Methods return { success: false, status, error } for expected failures.
+ *
+ * @class PaymentService
+ * @requires payments/payment.gateway
+ * @requires models/Donation
+ * @requires models/PaymentEvent
+ * @requires refunds/refund.service
+ */
+
+const crypto = require('crypto');
+const Donation = require('../models/Donation');
+const PaymentEvent = require('../models/PaymentEvent');
+const RecurringPlan = require('../models/RecurringPlan');
+const PaymentGateway = require('./payment.gateway');
+const RefundService = require('../refunds/refund.service');
+const { ROLES } = require('../middlesware/permissions');
+
+// Allowed transitions per outcome: donation statuses it may move from
+const TRANSITIONS = {
+  completed: ['pending', 'failed'],
+  failed: ['pending']
+};
+
+class PaymentService {
+  /**
+   * Where the provider sends the donor after paying
+   */
+  static callbackUrl() {
+    if (process.env.PAYMENT_CALLBACK_URL) return process.env.PAYMENT_CALLBACK_URL;
+    const base = (process.env.APP_URL || 'http://localhost:3035').replace(/\/$/, '');
+    return `${base}/payments/callback`;
+  }
+
+  static reference(donation) {
+    return `DON-${donation._id}-${crypto.randomBytes(4).toString('hex')}`;
+  }
+
+  /**
+   * Donors may only pay for their own donations
+   */
+  static canAccess(donation, user) {
+    if (!user || user.role !== ROLES.DONOR) return true;
+    const donorId = donation.donor && donation.donor._id ? donation.donor._id : donation.donor;
+    return String(donorId) === String(user.id);
+  }
+
+  /**
+   * Whether the provider reported paying exactly the donation; a report
+   * without the amount or currency never matches
+   */
+  static amountMatches(donation, result) {
+    if (result.amount == null || !result.currency) return false;
+    const sameAmount = Math.abs(Number(result.amount) - donation.amount) < 0.005;
+    const sameCurrency = String(result.currency).toUpperCase() === donation.currency;
+    return sameAmount && sameCurrency;
+  }
+
+  /**
+   * Start a hosted checkout for a pending donation. A new checkout replaces
+   * the reference of an earlier, unfinished one.
+   *
+   * @param {string} donationId - Donation ID
+   * @param {Object} options - { provider, callbackUrl }
+   * @param {Object} user - Caller (req.user) and { ip }
+   * @returns {Object} { success, provider, reference, authorizationUrl }
+   */
+  static async checkout(donationId, { provider, callbackUrl } = {}, user = {}) {
+    const name = provider || PaymentGateway.defaultProvider();
+    const adapter = PaymentGateway.get(name);
+
+    if (!adapter) {
+      return {
+        success: false,
+        status: 400,
+        error: `Payment provider '${name}' is not available`,
+        available: PaymentGateway.names().filter(key => PaymentGateway.get(key))
+      };
+    }
+
+    const donation = await Donation.findById(donationId).populate('donor', 'firstName lastName email');
+
+    if (!donation || !PaymentService.canAccess(donation, user)) {
+      return { success: false, status: 404, error: 'Donation not found' };
+    }
+
+    if (donation.status !== 'pending') {
+      return { success: false, status: 409, error: `Cannot pay for a ${donation.status} donation` };
+    }
+
+    const reference = PaymentService.reference(donation);
+    let checkout;
+
+    try {
+      checkout = await adapter.initialize({
+        reference,
+        amount: donation.amount,
+        currency: donation.currency,
+        email: donation.donor ? donation.donor.email : null,
+        name: donation.donor ? `${donation.donor.firstName} ${donation.donor.lastName}` : null,
+        callbackUrl: callbackUrl || PaymentService.callbackUrl(),
+        metadata: { donation: String(donation._id), campaign: String(donation.campaign) }
+      });
+    } catch (error) {
+      console.error(`Error initializing ${name} checkout:`, error);
+      return { success: false, status: 502, error: 'Payment provider could not start the checkout', message: error.message };
+    }
+
+    const updated = await Donation.updateOne(
+      { _id: donation._id, status: 'pending' },
+      { $set: { paymentProvider: name, paymentReference: reference, failureReason: null } }
+    );
+
+    if (updated.modifiedCount === 0) {
+      return { success: false, status: 409, error: 'Donation is no longer pending' };
+    }
+
+    await PaymentEvent.create({
+      provider: name,
+      source: 'checkout',
+      outcome: 'initialized',
+      result: 'applied',
+      reference,
+      amount: donation.amount,
+      currency: donation.currency,
+      donation: donation._id,
+      fromStatus: 'pending',
+      toStatus: 'pending',
+      ip: user.ip || null
+    });
+
+    return { success: true, provider: name, reference, authorizationUrl: checkout.authorizationUrl };
+  }
+
+  /**
+   * Charge a saved payment token for a pending or failed donation. Errors
+   * talking to the provider count as a failed charge; if the charge went
+   * through after all, its webhook still completes the donation.
+   *
+   * @param {Object} donation - Donation document
+   * @param {Object} charge - { provider, token, email }
+   * @returns {Object} { success, result, donation, outcome, reason }
+   */
+  static async charge(donation, { provider, token, email }) {
+    const adapter = PaymentGateway.get(provider);
+
+    if (!adapter || typeof adapter.charge !== 'function') {
+      return { success: false, status: 400, error: `Payment provider '${provider}' cannot charge saved payment methods` };
+    }
+
+    const reference = PaymentService.reference(donation);
+    const claimed = await Donation.updateOne(
+      { _id: donation._id, status: { $in: ['pending', 'failed'] } },
+      { $set: { paymentProvider: provider, paymentReference: reference } }
+    );
+
+    if (claimed.modifiedCount === 0) {
+      return { success: false, status: 409, error: 'Donation is no longer awaiting payment' };
+    }
+
+    let result;
+    try {
+      result = await adapter.charge({
+        token,
+        reference,
+        amount: donation.amount,
+        currency: donation.currency,
+        email,
+        metadata: { donation: String(donation._id), recurringPlan: String(donation.recurringPlan || '') }
+      });
+    } catch (error) {
+      console.error(`Error charging ${provider} payment token:`, error);
+      result = { outcome: 'failed', reason: error.message };
+    }
+
+    const applied = await PaymentService.apply(provider, { ...result, reference }, { source: 'charge' });
+    return { ...applied, outcome: result.outcome, reason: result.reason || null };
+  }
+
+  /**
+   * Ask the provider about a checkout and apply what it reports
+   *
+   * @param {string} reference - Checkout reference
+   * @param {Object} user - Caller (req.user) and { ip }
+   * @returns {Object} { success, result, donation }
+   */
+  static async verify(reference, user = {}) {
+    const donation = await Donation.findOne({ paymentReference: reference }).select('donor paymentProvider');
+
+    if (!donation || !PaymentService.canAccess(donation, user)) {
+      return { success: false, status: 404, error: 'No donation has this payment reference' };
+    }
+
+    const adapter = PaymentGateway.get(donation.paymentProvider);
+
+    if (!adapter) {
+      return { success: false, status: 400, error: `Payment provider '${donation.paymentProvider}' is not available` };
+    }
+
+    let result;
+    try {
+      result = await adapter.verify(reference);
+    } catch (error) {
+      console.error(`Error verifying ${donation.paymentProvider} payment:`, error);
+      return { success: false, status: 502, error: 'Payment provider could not verify the payment', message: error.message };
+    }
+
+    return PaymentService.apply(adapter.name, { ...result, reference }, { source: 'verify', ip: user.ip });
+  }
+
+  /**
+   * Handle a provider webhook
+   *
+   * @param {string} provider - Provider name from the URL
+   * @param {string} rawBody - Request body exactly as received
+   * @param {Object} headers - Request headers (lower-case keys)
+   * @param {Object} meta - { ip }
+   * @returns {Object} { success, result, donation }
+   */
+  static async handleWebhook(provider, rawBody, headers, { ip = null } = {}) {
+    const adapter = PaymentGateway.get(provider);
+
+    if (!adapter) {
+      return { success: false, status: 404, error: `Payment provider '${provider}' is not available` };
+    }
+
+    if (!rawBody || !adapter.verifySignature(rawBody, headers)) {
+      return { success: false, status: 401, error: 'Invalid webhook signature' };
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(rawBody);
+    } catch (error) {
+      return { success: false, status: 400, error: 'Webhook body is not valid JSON' };
+    }
+
+    const result = adapter.parseWebhook(payload);
+
+    // Signed but not an event we act on
+    if (!result || !result.reference) return { success: true, result: 'ignored' };
+
+    return PaymentService.apply(provider, result, { source: 'webhook', ip, payload });
+  }
+
+  /**
+   * Apply a normalised provider result to the donation with its reference
+   *
+   * @param {string} provider - Provider name
+   * @param {Object} result - { outcome, reference, transactionId, amount, currency, reason }
+   * @param {Object} context - { source, ip, payload }
+   * @returns {Object} { success, result, donation }
+   */
+  static async apply(provider, result, { source, ip = null, payload = null }) {
+    const event = {
+      provider,
+      source,
+      outcome: result.outcome,
+      reference: result.reference,
+      transactionId: result.transactionId || null,
+      amount: result.amount,
+      currency: result.currency ? String(result.currency).toUpperCase() : null,
+      reason: result.reason || null,
+      refundReference: result.refundReference || null,
+      ip,
+      payload
+    };
+    const record = async ({ donationDoc = null, ...fields }) => {
+      await PaymentEvent.create({ ...event, ...fields });
+      return { success: true, result: fields.result, donation: donationDoc };
+    };
+
+    // Refunds carry the payment's transactionId; RefundService deduplicates
+    // them by the provider's refund ID
+    if (source === 'webhook' && event.transactionId && event.outcome !== 'refunded') {
+      const seen = await PaymentEvent.exists({
+        provider,
+        outcome: event.outcome,
+        transactionId: event.transactionId,
+        result: 'applied'
+      });
+      if (seen) return record({ result: 'duplicate' });
+    }
+
+    // A reference only counts for the provider its checkout went through
+    const donation = await Donation.findOne({ paymentReference: result.reference, paymentProvider: provider });
+    if (!donation) return record({ result: 'unmatched' });
+
+    const base = { donation: donation._id, fromStatus: donation.status, toStatus: donation.status, donationDoc: donation };
+
+    if (result.outcome === 'refunded') {
+      const refunded = await RefundService.fromProvider(provider, result, donation);
+      return record({
+        ...base,
+        toStatus: refunded.donation ? refunded.donation.status : donation.status,
+        donationDoc: refunded.donation || donation,
+        refund: refunded.refund ? refunded.refund._id : null,
+        result: refunded.result,
+        reason: refunded.reason || event.reason
+      });
+    }
+
+    const allowedFrom = TRANSITIONS[result.outcome];
+
+    if (!allowedFrom || !allowedFrom.includes(donation.status)) {
+      return record({ ...base, result: 'no_change' });
+    }
+
+    if (result.outcome === 'completed' && !PaymentService.amountMatches(donation, result)) {
+      return record({
+        ...base,
+        result: 'amount_mismatch',
+        reason: result.amount == null || !event.currency
+          ? 'Provider did not report the paid amount and currency'
+          : `Paid ${result.amount} ${event.currency} for a donation of ${donation.amount} ${donation.currency}`
+      });
+    }
+
+    const changes = { status: result.outcome };
+    if (result.outcome === 'completed') {
+      changes.transactionId = event.transactionId || donation.transactionId;
+      changes.failureReason = null;
+    } else if (result.outcome === 'failed') {
+      changes.failureReason = event.reason || 'Payment failed';
+    }
+
+    let updated;
+    try {
+      updated = await Donation.findOneAndUpdate(
+        { _id: donation._id, status: donation.status },
+        { $set: changes },
+        { new: true }
+      );
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return record({ ...base, result: 'no_change', reason: 'Transaction already recorded on another donation' });
+    }
+
+    // Another delivery moved it first
+    if (!updated) return record({ ...base, result: 'no_change' });
+
+    if (result.outcome !== 'failed') await Donation.recalculateTotals(updated);
+
+    if (result.outcome === 'completed' && updated.recurringPlan && result.paymentToken) {
+      await RecurringPlan.updateOne(
+        {
+          _id: updated.recurringPlan,
+          status: { $nin: ['cancelled', 'completed'] },
+          paymentToken: { $ne: result.paymentToken }
+        },
+        {
+          $set: { paymentProvider: provider, paymentToken: result.paymentToken, tokenSavedAt: new Date() },
+          $push: { events: { type: 'payment_method_saved', at: new Date(), donation: updated._id } }
+        }
+      );
+    }
+
+    return record({ ...base, toStatus: updated.status, donationDoc: updated, result: 'applied' });
+  }
+
+  /**
+   * Payment events, newest first
+   *
+   * @param {Object} query - { donation, reference, provider, result, page, limit }
+   * @returns {Object} { data, pagination }
+   */
+  static async events({ donation, reference, provider, result, page = 1, limit = 20 } = {}) {
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+    const filter = {};
+
+    if (donation) filter.donation = donation;
+    if (reference) filter.reference = reference;
+    if (provider) filter.provider = provider;
+    if (result) filter.result = result;
+
+    const [data, total] = await Promise.all([
+      PaymentEvent.find(filter)
+        .select('-payload')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      PaymentEvent.countDocuments(filter)
+    ]);
+
+    return {
+      data,
+      pagination: {
+        total,
+        page: pageNum,
+        limit: limitNum,
+        pages: Math.ceil(total / limitNum)
+      }
+    };
+  }
+}
+
+module.exports = PaymentService;
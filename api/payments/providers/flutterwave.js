@@ -0,0 +1,135 @@
+/**
+ * Flutterwave adapter
+ *
+ * Amounts are in major units both ways. Webhooks carry the secret hash set in
+ * the Flutterwave dashboard in the verif-hash header; it is compared with
+ * FLUTTERWAVE_WEBHOOK_HASH. Recurring charges use the card token of an earlier
+ * payment.
+ *
+ * Env: FLUTTERWAVE_SECRET_KEY, FLUTTERWAVE_WEBHOOK_HASH,
+ *      FLUTTERWAVE_BASE_URL (default https://api.flutterwave.com/v3)
+ *
+ * @module payments/providers/flutterwave
+ */
+
+const { requestJson, safeEqual } = require('./http');
+
+const secretKey = () => process.env.FLUTTERWAVE_SECRET_KEY;
+const webhookHash = () => process.env.FLUTTERWAVE_WEBHOOK_HASH;
+const baseUrl = () => (process.env.FLUTTERWAVE_BASE_URL || 'https://api.flutterwave.com/v3').replace(/\/$/, '');
+const headers = () => ({ Authorization: `Bearer ${secretKey()}` });
+
+const OUTCOMES = {
+  successful: 'completed',
+  failed: 'failed',
+  cancelled: 'failed',
+  pending: 'pending'
+};
+
+// Transaction object (verify response, charge.completed webhook) to a normalised result
+const fromTransaction = (data) => {
+  const outcome = OUTCOMES[String(data.status).toLowerCase()] || 'pending';
+
+  return {
+    outcome,
+    reference: data.tx_ref,
+    transactionId: data.id != null ? String(data.id) : null,
+    amount: data.amount != null ? Number(data.amount) : null,
+    currency: data.currency || null,
+    reason: outcome === 'failed' ? data.processor_response || 'Payment failed' : null,
+    // Card token, for recurring charges
+    paymentToken: data.card && data.card.token ? data.card.token : null
+  };
+};
+
+module.exports = {
+  name: 'flutterwave',
+
+  configured() {
+    return Boolean(secretKey());
+  },
+
+  async initialize({ reference, amount, currency, email, name, callbackUrl, metadata }) {
+    const { data } = await requestJson(`${baseUrl()}/payments`, {
+      method: 'POST',
+      headers: headers(),
+      body: {
+        tx_ref: reference,
+        amount,
+        currency,
+        redirect_url: callbackUrl,
+        customer: { email, name },
+        meta: metadata
+      }
+    });
+
+    return { authorizationUrl: data.link, reference };
+  },
+
+  async charge({ token, reference, amount, currency, email, metadata }) {
+    const { data } = await requestJson(`${baseUrl()}/tokenized-charges`, {
+      method: 'POST',
+      headers: headers(),
+      body: {
+        token,
+        tx_ref: reference,
+        amount,
+        currency,
+        email,
+        meta: metadata
+      }
+    });
+
+    return fromTransaction(data);
+  },
+
+  async refund({ transactionId, amount, reason }) {
+    const { data } = await requestJson(`${baseUrl()}/transactions/${encodeURIComponent(transactionId)}/refund`, {
+      method: 'POST',
+      headers: headers(),
+      body: { amount, comments: reason }
+    });
+    const status = String(data.status).toLowerCase();
+
+    return {
+      outcome: status === 'completed' ? 'completed' : status === 'failed' ? 'failed' : 'pending',
+      refundReference: data.id != null ? String(data.id) : null,
+      reason: status === 'failed' ? 'Refund failed at Flutterwave' : null
+    };
+  },
+
+  async verify(reference) {
+    const { data } = await requestJson(
+      `${baseUrl()}/transactions/verify_by_reference?tx_ref=${encodeURIComponent(reference)}`,
+      { headers: headers() }
+    );
+
+    return fromTransaction(data);
+  },
+
+  verifySignature(rawBody, requestHeaders) {
+    if (!webhookHash()) return false;
+    return safeEqual(webhookHash(), requestHeaders['verif-hash']);
+  },
+
+  parseWebhook({ event, data } = {}) {
+    if (!data) return null;
+
+    switch (event) {
+      case 'charge.completed':
+        return fromTransaction(data);
+      case 'refund.completed':
+        return {
+          outcome: 'refunded',
+          reference: data.tx_ref || data.TxRef,
+          transactionId: data.transaction_id != null ? String(data.transaction_id) : null,
+          amount: data.amount_refunded != null ? Number(data.amount_refunded) : null,
+          currency: data.currency || null,
+          reason: data.comments || null,
+          refundReference: data.id != null ? String(data.id) : null
+        };
+      default:
+        return null;
+    }
+  }
+};
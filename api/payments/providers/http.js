@@ -0,0 +1,54 @@
+/**
+ * Helpers shared by the payment provider adapters
+ *
+ * @module payments/providers/http
+ */
+
+const crypto = require('crypto');
+
+const TIMEOUT_MS = Number(process.env.PAYMENT_HTTP_TIMEOUT_MS) || 15000;
+
+/**
+ * JSON request to a provider API. Throws on network errors, timeouts and
+ * non-2xx responses; the error carries the HTTP status and response body.
+ *
+ * @param {string} url - Absolute URL
+ * @param {Object} options - { method, headers, body }
+ * @returns {Object} Parsed response body
+ */
+const requestJson = async (url, { method = 'GET', headers = {}, body } = {}) => {
+  const response = await fetch(url, {
+    method,
+    headers: {
+      Accept: 'application/json',
+      ...(body ? { 'Content-Type': 'application/json' } : {}),
+      ...headers
+    },
+    body: body ? JSON.stringify(body) : undefined,
+    signal: AbortSignal.timeout(TIMEOUT_MS)
+  });
+  const data = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    const error = new Error((data && data.message) || `Provider responded with HTTP ${response.status}`);
+    error.status = response.status;
+    error.body = data;
+    throw error;
+  }
+
+  return data;
+};
+
+/**
+ * Constant-time string comparison for webhook signatures
+ */
+const safeEqual = (a, b) => {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const hmac = (algorithm, secret, payload) => crypto.createHmac(algorithm, secret).update(payload).digest('hex');
+
+module.exports = { requestJson, safeEqual, hmac };
@@ -0,0 +1,138 @@
+/**
+ * Mock adapter for development and tests
+ *
+ * Keeps checkouts in memory and never charges anything. The "hosted page" is
+ * the callback URL itself. Settle a checkout by sending a signed webhook:
+ *
+ *   POST /api/v1/payments/webhooks/mock
+ *   x-mock-signature: HMAC-SHA256 of the raw body keyed with MOCK_PAYMENT_SECRET
+ *   { "event": "payment.completed" | "payment.failed" | "payment.refunded",
+ *     "data": { "reference", "transactionId", "amount", "currency", "reason",
+ *               "refundReference" } }
+ *
+ * or from code with settle(), which also returns such a signed webhook.
+ * Completed payments carry a reusable paymentToken; charge() with a token
+ * containing "fail" is declined, any other token succeeds. refund() completes
+ * at once unless the reason contains "fail".
+ *
+ * Disabled until MOCK_PAYMENT_SECRET is set, and in production also unless
+ * PAYMENT_MOCK_ENABLED=true. There is no default secret: anyone who knows it
+ * can sign "successful" payments.
+ *
+ * @module payments/providers/mock
+ */
+
+const crypto = require('crypto');
+const { safeEqual, hmac } = require('./http');
+
+const secret = () => process.env.MOCK_PAYMENT_SECRET;
+
+const EVENTS = {
+  'payment.completed': 'completed',
+  'payment.failed': 'failed',
+  'payment.refunded': 'refunded'
+};
+
+// reference -> { outcome, transactionId, amount, currency, reason, paymentToken }
+const payments = new Map();
+
+module.exports = {
+  name: 'mock',
+
+  configured() {
+    if (!secret()) return false;
+    return process.env.NODE_ENV !== 'production' || process.env.PAYMENT_MOCK_ENABLED === 'true';
+  },
+
+  async initialize({ reference, amount, currency, callbackUrl }) {
+    payments.set(reference, {
+      outcome: 'pending',
+      transactionId: `mock_${crypto.randomBytes(8).toString('hex')}`,
+      amount,
+      currency,
+      reason: null,
+      paymentToken: `mock_tok_${crypto.randomBytes(8).toString('hex')}`
+    });
+
+    const separator = callbackUrl.includes('?') ? '&' : '?';
+    return { authorizationUrl: `${callbackUrl}${separator}reference=${encodeURIComponent(reference)}`, reference };
+  },
+
+  async charge({ token, reference, amount, currency }) {
+    const declined = String(token).includes('fail');
+    const payment = {
+      outcome: declined ? 'failed' : 'completed',
+      transactionId: `mock_${crypto.randomBytes(8).toString('hex')}`,
+      amount,
+      currency,
+      reason: declined ? 'Card declined by mock provider' : null,
+      paymentToken: declined ? null : token
+    };
+    payments.set(reference, payment);
+
+    return { reference, ...payment };
+  },
+
+  async refund({ reason }) {
+    const declined = String(reason).includes('fail');
+
+    return {
+      outcome: declined ? 'failed' : 'completed',
+      refundReference: `mock_rf_${crypto.randomBytes(8).toString('hex')}`,
+      reason: declined ? 'Refund declined by mock provider' : null
+    };
+  },
+
+  async verify(reference) {
+    const payment = payments.get(reference);
+    if (!payment) {
+      return { outcome: 'pending', reference, transactionId: null, amount: null, currency: null, reason: null, paymentToken: null };
+    }
+
+    return { reference, ...payment };
+  },
+
+  verifySignature(rawBody, requestHeaders) {
+    if (!secret()) return false;
+    return safeEqual(hmac('sha256', secret(), rawBody), requestHeaders['x-mock-signature']);
+  },
+
+  parseWebhook({ event, data } = {}) {
+    if (!data || !EVENTS[event]) return null;
+
+    return {
+      outcome: EVENTS[event],
+      reference: data.reference,
+      transactionId: data.transactionId != null ? String(data.transactionId) : null,
+      amount: data.amount != null ? Number(data.amount) : null,
+      currency: data.currency || null,
+      reason: data.reason || null,
+      paymentToken: data.paymentToken || null,
+      refundReference: data.refundReference || null
+    };
+  },
+
+  /**
+   * Settle a checkout: updates what verify() reports and returns the signed
+   * webhook the provider would send
+   *
+   * @param {string} reference - Checkout reference
+   * @param {string} outcome - completed | failed | refunded
+   * @param {Object} overrides - e.g. { amount } to simulate a mismatch
+   * @returns {Object} { body, headers }
+   */
+  settle(reference, outcome, overrides = {}) {
+    const payment = {
+      ...(payments.get(reference) || { transactionId: `mock_${crypto.randomBytes(8).toString('hex')}` }),
+      outcome,
+      reason: outcome === 'failed' ? 'Declined by mock provider' : null,
+      ...overrides
+    };
+    payments.set(reference, payment);
+
+    const event = Object.keys(EVENTS).find(name => EVENTS[name] === outcome);
+    const { outcome: settled, ...data } = payment;
+    const body = JSON.stringify({ event, data: { reference, ...data } });
+    return { body, headers: { 'x-mock-signature': hmac('sha256', secret(), body) } };
+  }
+};
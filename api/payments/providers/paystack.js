@@ -0,0 +1,146 @@
+/**
+ * Paystack adapter
+ *
+ * Amounts go to Paystack in the currency's subunit (kobo, cents) and come
+ * back the same way. Webhooks are signed with an HMAC-SHA512 of the raw body
+ * keyed with the secret key (x-paystack-signature). Recurring charges use the
+ * reusable authorization code of an earlier card payment.
+ *
+ * Env: PAYSTACK_SECRET_KEY, PAYSTACK_BASE_URL (default https://api.paystack.co)
+ *
+ * @module payments/providers/paystack
+ */
+
+const { requestJson, safeEqual, hmac } = require('./http');
+
+const secretKey = () => process.env.PAYSTACK_SECRET_KEY;
+const baseUrl = () => (process.env.PAYSTACK_BASE_URL || 'https://api.paystack.co').replace(/\/$/, '');
+const headers = () => ({ Authorization: `Bearer ${secretKey()}` });
+
+const toSubunit = (amount) => Math.round(amount * 100);
+const fromSubunit = (amount) => (amount == null ? null : Number(amount) / 100);
+
+const REFUND_OUTCOMES = {
+  processed: 'completed',
+  failed: 'failed'
+};
+
+const OUTCOMES = {
+  success: 'completed',
+  failed: 'failed',
+  reversed: 'refunded',
+  abandoned: 'pending',
+  ongoing: 'pending',
+  pending: 'pending',
+  processing: 'pending',
+  queued: 'pending'
+};
+
+// Transaction object (verify response, charge.* webhooks) to a normalised result
+const fromTransaction = (data, outcome = OUTCOMES[data.status] || 'pending') => ({
+  outcome,
+  reference: data.reference,
+  transactionId: data.id != null ? String(data.id) : null,
+  amount: fromSubunit(data.amount),
+  currency: data.currency || null,
+  reason: outcome === 'failed' ? data.gateway_response || 'Payment failed' : null,
+  // Reusable card authorization, for recurring charges
+  paymentToken: data.authorization && data.authorization.reusable ? data.authorization.authorization_code : null
+});
+
+module.exports = {
+  name: 'paystack',
+
+  configured() {
+    return Boolean(secretKey());
+  },
+
+  async initialize({ reference, amount, currency, email, callbackUrl, metadata }) {
+    const { data } = await requestJson(`${baseUrl()}/transaction/initialize`, {
+      method: 'POST',
+      headers: headers(),
+      body: {
+        reference,
+        amount: toSubunit(amount),
+        currency,
+        email,
+        callback_url: callbackUrl,
+        metadata
+      }
+    });
+
+    return { authorizationUrl: data.authorization_url, reference: data.reference, accessCode: data.access_code };
+  },
+
+  async charge({ token, reference, amount, currency, email, metadata }) {
+    const { data } = await requestJson(`${baseUrl()}/transaction/charge_authorization`, {
+      method: 'POST',
+      headers: headers(),
+      body: {
+        authorization_code: token,
+        reference,
+        amount: toSubunit(amount),
+        currency,
+        email,
+        metadata
+      }
+    });
+
+    return fromTransaction(data);
+  },
+
+  async refund({ reference, amount, currency, reason }) {
+    const { data } = await requestJson(`${baseUrl()}/refund`, {
+      method: 'POST',
+      headers: headers(),
+      body: {
+        transaction: reference,
+        amount: toSubunit(amount),
+        currency,
+        merchant_note: reason
+      }
+    });
+
+    return {
+      outcome: REFUND_OUTCOMES[data.status] || 'pending',
+      refundReference: data.id != null ? String(data.id) : null,
+      reason: data.status === 'failed' ? 'Refund failed at Paystack' : null
+    };
+  },
+
+  async verify(reference) {
+    const { data } = await requestJson(`${baseUrl()}/transaction/verify/${encodeURIComponent(reference)}`, {
+      headers: headers()
+    });
+
+    return fromTransaction(data);
+  },
+
+  verifySignature(rawBody, requestHeaders) {
+    if (!secretKey()) return false;
+    return safeEqual(hmac('sha512', secretKey(), rawBody), requestHeaders['x-paystack-signature']);
+  },
+
+  parseWebhook({ event, data } = {}) {
+    if (!data) return null;
+
+    switch (event) {
+      case 'charge.success':
+        return fromTransaction(data, 'completed');
+      case 'charge.failed':
+        return fromTransaction(data, 'failed');
+      case 'refund.processed':
+        return {
+          outcome: 'refunded',
+          reference: data.transaction_reference,
+          transactionId: data.transaction != null ? String(data.transaction.id || data.transaction) : null,
+          amount: fromSubunit(data.amount),
+          currency: data.currency || null,
+          reason: data.customer_note || data.merchant_note || null,
+          refundReference: data.id != null ? String(data.id) : data.refund_reference || null
+        };
+      default:
+        return null;
+    }
+  }
+};
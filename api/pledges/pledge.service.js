@@ -0,0 +1,619 @@
+/**
+ * ============================================================================
+ * PLEDGE SERVICE CLASS
+ * ============================================================================
+ *
+ * Pledges are commitments to give a total to a campaign by a due date, on a
+ * schedule of one or more instalments. Donations created with `pledge` set
+ * (donationType 'pledge') fulfil them:
+ *
+ *   - recalculate() runs from the Donation totals hook whenever a linked
+ *     donation is saved, completed through a payment provider or deleted. It
+ *     sums the completed donations into amountFulfilled, allocates them to
+ *     the instalments in due-date order and sets nextDueDate, the earliest
+ *     instalment still owed. An open pledge past its nextDueDate is overdue.
+ *   - A pledge is fulfilled once amountFulfilled reaches totalAmount, and
+ *     reopens if a refund takes it back below.
+ *   - Staff can reschedule an open pledge, or close it as cancelled or
+ *     written off.
+ *
+ * Campaigns carry totalPledged (open and fulfilled pledges) and
+ * pledgeOutstanding (still owed on open pledges) next to totalRaised, so
+ * progress can show raised and pledged money separately. report() gives
+ * outstanding, overdue and fulfilment-rate figures per campaign or season.
+ * A pledge is kept in its own currency; campaign figures and reports convert
+ * it into the campaign's baseCurrency at the latest uploaded rate.
+ *
+ * Methods return { success: false, status, error } for expected failures.
+ * Methods taking a `user` (req.user) limit donors to their own pledges and
+ * agents to the pledges they took.
+ *
+ * @class PledgeService
+ * @requires models/Pledge
+ * @requires rollover/season.assignment
+ * @requires fx/exchange.rate.service
+ */
+
+const mongoose = require('mongoose');
+const Pledge = require('../models/Pledge');
+const Donation = require('../models/Donation');
+const Donor = require('../models/Donor');
+const Campaign = require('../models/Campaign');
+const SeasonAssignment = require('../rollover/season.assignment');
+const ExchangeRateService = require('../fx/exchange.rate.service');
+const RecurringService = require('../recurring/recurring.service');
+const TokenService = require('../auth/token.service');
+const { ROLES } = require('../middlesware/permissions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CLOSED_CAMPAIGN_STATUSES = ['completed', 'cancelled'];
+
+// Pledges that still count toward campaign figures
+const ACTIVE_STATUSES = ['open', 'fulfilled'];
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+class PledgeService {
+  static STATUSES = Pledge.schema.path('status').enumValues;
+
+  static MAX_INSTALMENTS = 120;
+
+  /**
+   * Query restriction for the caller: donors see their own pledges, agents
+   * the pledges they took
+   */
+  static scope(user) {
+    if (!user) return {};
+    if (user.role === ROLES.DONOR) return { donor: user.id };
+    if ([ROLES.AGENT, ROLES.CORPORATE_AGENT].includes(user.role)) return { agent: user.id };
+    return {};
+  }
+
+  /**
+   * Build an instalment schedule. Either give the instalments, which must
+   * add up to totalAmount, or instalmentCount equal instalments every
+   * `frequency` starting at firstDueDate. A single instalment falls on
+   * dueDate.
+   *
+   * @param {Object} input - { totalAmount, instalments: [{ dueDate, amount }],
+   *   instalmentCount, frequency, firstDueDate, dueDate }
+   * @returns {Object} { instalments, dueDate } or { error }
+   */
+  static schedule({ totalAmount, instalments, instalmentCount, frequency = 'monthly', firstDueDate, dueDate }) {
+    const total = round(Number(totalAmount));
+
+    if (Array.isArray(instalments) && instalments.length) {
+      if (instalments.length > PledgeService.MAX_INSTALMENTS) {
+        return { error: `A pledge can have at most ${PledgeService.MAX_INSTALMENTS} instalments` };
+      }
+
+      const list = instalments.map(({ dueDate: date, amount }) => ({ dueDate: new Date(date), amount: round(Number(amount)) }));
+
+      if (list.some(item => Number.isNaN(item.dueDate.getTime()) || !(item.amount > 0))) {
+        return { error: 'Every instalment needs a valid dueDate and an amount greater than 0' };
+      }
+
+      const sum = round(list.reduce((acc, item) => acc + item.amount, 0));
+      if (sum !== total) {
+        return { error: `Instalments add up to ${sum}, not the pledged ${total}` };
+      }
+
+      list.sort((a, b) => a.dueDate - b.dueDate);
+      return { instalments: list, dueDate: list[list.length - 1].dueDate };
+    }
+
+    const count = instalmentCount ? parseInt(instalmentCount, 10) : 1;
+
+    if (!(count >= 1 && count <= PledgeService.MAX_INSTALMENTS)) {
+      return { error: `instalmentCount must be between 1 and ${PledgeService.MAX_INSTALMENTS}` };
+    }
+
+    if (count === 1) {
+      const date = new Date(dueDate);
+      if (!dueDate || Number.isNaN(date.getTime())) return { error: 'A valid dueDate is required' };
+      return { instalments: [{ dueDate: date, amount: total }], dueDate: date };
+    }
+
+    if (!RecurringService.FREQUENCIES.includes(frequency)) {
+      return { error: `frequency must be one of: ${RecurringService.FREQUENCIES.join(', ')}` };
+    }
+
+    const first = new Date(firstDueDate);
+    if (!firstDueDate || Number.isNaN(first.getTime())) {
+      return { error: 'A valid firstDueDate is required for more than one instalment' };
+    }
+
+    // Even split in cents; the last instalment takes the remainder
+    const cents = Math.round(total * 100);
+    const share = Math.floor(cents / count);
+    const list = [];
+    let date = first;
+
+    for (let i = 0; i < count; i += 1) {
+      const amountCents = i === count - 1 ? cents - share * (count - 1) : share;
+      list.push({ dueDate: date, amount: amountCents / 100 });
+      date = RecurringService.nextDate(date, frequency, first.getUTCDate());
+    }
+
+    if (list.some(item => !(item.amount > 0))) {
+      return { error: 'Pledged amount is too small for that many instalments' };
+    }
+
+    return { instalments: list, dueDate: list[list.length - 1].dueDate };
+  }
+
+  /**
+   * Spread completed donations (sorted by date) over the instalments in
+   * due-date order
+   *
+   * @returns {Object} { instalments, amountFulfilled, nextDueDate }
+   */
+  static allocate(instalments, donations) {
+    const amountFulfilled = round(donations.reduce((acc, donation) => acc + donation.amount, 0));
+    let remaining = amountFulfilled;
+    let owed = 0;
+    let nextDueDate = null;
+
+    const allocated = instalments.map(({ dueDate, amount }) => {
+      const paidAmount = round(Math.min(amount, Math.max(0, remaining)));
+      remaining = round(remaining - paidAmount);
+      owed = round(owed + amount);
+
+      // Date of the donation that took the running total to this instalment
+      let paidAt = null;
+      if (paidAmount >= amount) {
+        let running = 0;
+        const covering = donations.find((donation) => {
+          running = round(running + donation.amount);
+          return running >= owed;
+        });
+        paidAt = covering ? covering.donationDate : null;
+      } else if (!nextDueDate) {
+        nextDueDate = dueDate;
+      }
+
+      return { dueDate, amount, paidAmount, paidAt };
+    });
+
+    return { instalments: allocated, amountFulfilled, nextDueDate };
+  }
+
+  /**
+   * Recompute a pledge's fulfilment from its completed donations, then the
+   * campaign's pledge totals
+   *
+   * @param {string} id - Pledge ID
+   * @returns {Object|null} Updated pledge
+   */
+  static async recalculate(id) {
+    const pledge = await Pledge.findById(id);
+    if (!pledge) return null;
+
+    // Partly refunded donations count with what was kept
+    const donations = (await Donation.find({ pledge: pledge._id, status: 'completed' })
+      .select('amount refundedAmount donationDate')
+      .sort({ donationDate: 1, createdAt: 1 })
+      .lean())
+      .map(donation => ({ ...donation, amount: round(donation.amount - (donation.refundedAmount || 0)) }));
+
+    const { instalments, amountFulfilled, nextDueDate } = PledgeService.allocate(
+      pledge.instalments.map(item => ({ dueDate: item.dueDate, amount: item.amount })),
+      donations
+    );
+
+    pledge.instalments = instalments;
+    pledge.amountFulfilled = amountFulfilled;
+    pledge.donationCount = donations.length;
+    pledge.lastPaymentAt = donations.length ? donations[donations.length - 1].donationDate : null;
+    pledge.nextDueDate = ACTIVE_STATUSES.includes(pledge.status) ? nextDueDate : null;
+
+    if (pledge.status === 'open' && amountFulfilled >= pledge.totalAmount) {
+      pledge.status = 'fulfilled';
+      pledge.fulfilledAt = new Date();
+    } else if (pledge.status === 'fulfilled' && amountFulfilled < pledge.totalAmount) {
+      // A refund took it back below the pledged total
+      pledge.status = 'open';
+      pledge.fulfilledAt = null;
+    }
+
+    await pledge.save();
+    await PledgeService.updateCampaignTotals(pledge.campaign);
+    return pledge;
+  }
+
+  /**
+   * Convert the amount fields of per-currency aggregation rows into their
+   * campaign's base currency at today's rate and add them up per key.
+   * Rows are { _id: { key, campaign, currency }, ...amounts }.
+   *
+   * @param {Array} rows - Aggregation rows
+   * @param {Array} amountFields - Fields to convert; the rest are only summed
+   * @returns {Array} One row per key with _id set to the key
+   */
+  static async inBaseCurrency(rows, amountFields) {
+    const merged = new Map();
+    const rates = new Map();
+
+    for (const row of rows) {
+      const { key, campaign, currency } = row._id;
+      const baseCurrency = await ExchangeRateService.baseCurrencyOf(campaign);
+      const pair = `${currency || baseCurrency}/${baseCurrency}`;
+
+      if (!rates.has(pair)) {
+        const found = await ExchangeRateService.findRate(currency || baseCurrency, baseCurrency);
+        if (!found) console.warn(`No exchange rate for ${pair}; pledges in ${currency} are left out of the totals`);
+        rates.set(pair, found ? found.rate : null);
+      }
+
+      const rate = rates.get(pair);
+      if (rate === null) continue;
+
+      const id = key === null || key === undefined ? 'null' : String(key);
+      const target = merged.get(id) || { _id: key === undefined ? null : key };
+
+      Object.entries(row).forEach(([field, value]) => {
+        if (field === '_id' || typeof value !== 'number') return;
+        target[field] = (target[field] || 0) + (amountFields.includes(field) ? value * rate : value);
+      });
+      merged.set(id, target);
+    }
+
+    return [...merged.values()];
+  }
+
+  /**
+   * Set a campaign's totalPledged and pledgeOutstanding, in its base currency
+   */
+  static async updateCampaignTotals(campaignId) {
+    const rows = await Pledge.aggregate([
+      { $match: { campaign: new mongoose.Types.ObjectId(String(campaignId)), status: { $in: ACTIVE_STATUSES } } },
+      {
+        $group: {
+          _id: { campaign: '$campaign', currency: '$currency' },
+          totalPledged: { $sum: '$totalAmount' },
+          outstanding: { $sum: { $max: [0, { $subtract: ['$totalAmount', '$amountFulfilled'] }] } },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+    const [stats] = await PledgeService.inBaseCurrency(rows, ['totalPledged', 'outstanding']);
+
+    await Campaign.updateOne(
+      { _id: campaignId },
+      {
+        $set: {
+          totalPledged: stats ? round(stats.totalPledged) : 0,
+          pledgeOutstanding: stats ? round(stats.outstanding) : 0,
+          pledgeCount: stats ? stats.count : 0
+        }
+      }
+    );
+  }
+
+  // ==========================================================================
+  // MANAGEMENT
+  // ==========================================================================
+
+  /**
+   * Record a pledge
+   *
+   * @param {Object} input - { donor, campaign, agent, agentModel, totalAmount,
+   *   currency, pledgeDate, notes, isAnonymous } and the schedule (see schedule())
+   * @param {Object} user - Caller (req.user); agents take pledges for themselves
+   * @returns {Object} { success, pledge }
+   */
+  static async create(input, user) {
+    const [donor, campaign] = await Promise.all([
+      Donor.findById(input.donor).select('isActive deletedAt').lean(),
+      Campaign.findById(input.campaign).select('name status baseCurrency').lean()
+    ]);
+
+    if (!donor || donor.deletedAt) return { success: false, status: 404, error: 'Donor not found' };
+    if (!donor.isActive) return { success: false, status: 400, error: 'Cannot record a pledge for an inactive donor' };
+    if (!campaign) return { success: false, status: 404, error: 'Campaign not found' };
+
+    if (CLOSED_CAMPAIGN_STATUSES.includes(campaign.status)) {
+      return { success: false, status: 400, error: `Cannot pledge to a ${campaign.status} campaign` };
+    }
+
+    const currency = ExchangeRateService.normalise(input.currency) || campaign.baseCurrency;
+    if (!await ExchangeRateService.findRate(currency, campaign.baseCurrency)) {
+      return { success: false, status: 400, error: `No exchange rate from ${currency} to ${campaign.baseCurrency}` };
+    }
+
+    const pledgeDate = input.pledgeDate ? new Date(input.pledgeDate) : new Date();
+    const plan = PledgeService.schedule(input);
+    if (plan.error) return { success: false, status: 400, error: plan.error };
+
+    if (plan.instalments[0].dueDate < new Date(pledgeDate.getTime() - DAY_MS)) {
+      return { success: false, status: 400, error: 'Instalments cannot fall due before the pledge date' };
+    }
+
+    const isAgent = [ROLES.AGENT, ROLES.CORPORATE_AGENT].includes(user.role);
+    const agent = isAgent ? user.id : input.agent || null;
+    const agentModel = isAgent ? TokenService.ACCOUNT_MODELS[user.role] : input.agentModel || null;
+    const placement = await SeasonAssignment.resolve(campaign._id, pledgeDate);
+
+    const pledge = await Pledge.create({
+      donor: input.donor,
+      campaign: campaign._id,
+      season: placement.season ? placement.season._id : null,
+      cycle: placement.cycle ? placement.cycle._id : null,
+      agent,
+      agentModel: agent ? agentModel : null,
+      totalAmount: round(Number(input.totalAmount)),
+      currency,
+      pledgeDate,
+      dueDate: plan.dueDate,
+      instalments: plan.instalments,
+      nextDueDate: plan.instalments[0].dueDate,
+      notes: input.notes || null,
+      isAnonymous: Boolean(input.isAnonymous)
+    });
+
+    await PledgeService.updateCampaignTotals(campaign._id);
+    return { success: true, pledge };
+  }
+
+  /**
+   * @param {Object} query - { status, campaign, season, donor, overdue, page, limit }
+   * @param {Object} user - Caller (req.user)
+   * @returns {Object} { data, pagination }
+   */
+  static async list({ status, campaign, season, donor, overdue, page = 1, limit = 20 } = {}, user) {
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+    const filter = { ...PledgeService.scope(user) };
+    const isOverdue = overdue === true || overdue === 'true';
+
+    if (status) filter.status = status;
+    if (campaign) filter.campaign = campaign;
+    if (season) filter.season = season;
+    if (donor && !filter.donor) filter.donor = donor;
+    if (isOverdue) {
+      filter.status = 'open';
+      filter.nextDueDate = { $lt: new Date() };
+    }
+
+    const [pledges, total] = await Promise.all([
+      Pledge.find(filter)
+        .populate('donor', 'firstName lastName email')
+        .populate('campaign', 'name status')
+        .populate('season', 'name')
+        .sort(isOverdue ? { nextDueDate: 1 } : { createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Pledge.countDocuments(filter)
+    ]);
+
+    return {
+      data: pledges.map(PledgeService.withBalance),
+      pagination: {
+        total,
+        page: pageNum,
+        limit: limitNum,
+        pages: Math.ceil(total / limitNum)
+      }
+    };
+  }
+
+  /**
+   * Plain pledge with outstanding and overdue figures
+   */
+  static withBalance(pledge, now = new Date()) {
+    const data = pledge.toObject();
+    const overdueAmount = data.status === 'open'
+      ? round(data.instalments
+        .filter(item => item.dueDate < now)
+        .reduce((acc, item) => acc + item.amount - item.paidAmount, 0))
+      : 0;
+
+    return {
+      ...data,
+      overdueAmount,
+      daysOverdue: data.isOverdue ? Math.floor((now - data.nextDueDate) / DAY_MS) : 0,
+      fulfilmentPercent: data.totalAmount > 0 ? round((data.amountFulfilled / data.totalAmount) * 100) : 0
+    };
+  }
+
+  /**
+   * A pledge with its balance and the donations linked to it
+   */
+  static async findById(id, user) {
+    const pledge = await Pledge.findOne({ _id: id, ...PledgeService.scope(user) })
+      .populate('donor', 'firstName lastName email')
+      .populate('campaign', 'name status')
+      .populate('season', 'name')
+      .populate('closedBy', 'name email');
+
+    if (!pledge) return null;
+
+    const donations = await Donation.find({ pledge: pledge._id })
+      .select('amount currency status donationDate paymentMethod transactionId')
+      .sort({ donationDate: -1 })
+      .lean();
+
+    return { ...PledgeService.withBalance(pledge), donations };
+  }
+
+  /**
+   * Replace the schedule of an open pledge, optionally with a new total.
+   * Payments already made are reallocated to the new instalments.
+   *
+   * @param {Object} input - { totalAmount, notes } and the schedule (see schedule())
+   */
+  static async reschedule(id, input, user) {
+    const pledge = await Pledge.findOne({ _id: id, ...PledgeService.scope(user) });
+
+    if (!pledge) return { success: false, status: 404, error: 'Pledge not found' };
+    if (pledge.status !== 'open') {
+      return { success: false, status: 409, error: `Cannot reschedule a ${pledge.status} pledge` };
+    }
+
+    const totalAmount = input.totalAmount !== undefined ? input.totalAmount : pledge.totalAmount;
+    const plan = PledgeService.schedule({ ...input, totalAmount });
+    if (plan.error) return { success: false, status: 400, error: plan.error };
+
+    const updated = await Pledge.findOneAndUpdate(
+      { _id: pledge._id, status: 'open', updatedAt: pledge.updatedAt },
+      {
+        $set: {
+          totalAmount: round(Number(totalAmount)),
+          dueDate: plan.dueDate,
+          instalments: plan.instalments,
+          ...(input.notes !== undefined ? { notes: input.notes || null } : {})
+        }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      return { success: false, status: 409, error: 'Pledge was changed by someone else; reload and try again' };
+    }
+
+    return { success: true, pledge: PledgeService.withBalance(await PledgeService.recalculate(updated._id)) };
+  }
+
+  /**
+   * Close an open pledge as cancelled or written off. Amounts already given
+   * stay on the campaign; the remainder stops counting as pledged.
+   *
+   * @param {string} status - cancelled | written_off
+   */
+  static async close(id, status, { reason = null } = {}, user) {
+    const pledge = await Pledge.findOneAndUpdate(
+      { _id: id, status: 'open', ...PledgeService.scope(user) },
+      {
+        $set: {
+          status,
+          nextDueDate: null,
+          closedAt: new Date(),
+          closedBy: user.role === ROLES.ADMIN ? user.id : null,
+          closeReason: reason
+        }
+      },
+      { new: true }
+    );
+
+    if (!pledge) {
+      const existing = await Pledge.findOne({ _id: id, ...PledgeService.scope(user) }).select('status').lean();
+      return existing
+        ? { success: false, status: 409, error: `Cannot close a ${existing.status} pledge` }
+        : { success: false, status: 404, error: 'Pledge not found' };
+    }
+
+    await PledgeService.updateCampaignTotals(pledge.campaign);
+    return { success: true, pledge: PledgeService.withBalance(pledge) };
+  }
+
+  // ==========================================================================
+  // REPORTS
+  // ==========================================================================
+
+  /**
+   * Pledged, fulfilled, outstanding and overdue amounts per campaign or
+   * season, in the campaign's base currency. Cancelled pledges are left out;
+   * written-off pledges count toward what was pledged but not toward what is
+   * outstanding.
+   *
+   * @param {Object} query - { groupBy: campaign | season, campaign, season, from, to }
+   * @returns {Object} { groupBy, rows, totals }
+   */
+  static async report({ groupBy = 'campaign', campaign, season, from, to } = {}, user) {
+    const now = new Date();
+    const match = { status: { $ne: 'cancelled' } };
+    const scope = PledgeService.scope(user);
+
+    if (scope.agent) match.agent = new mongoose.Types.ObjectId(String(scope.agent));
+    if (scope.donor) match.donor = new mongoose.Types.ObjectId(String(scope.donor));
+    if (campaign) match.campaign = new mongoose.Types.ObjectId(String(campaign));
+    if (season) match.season = new mongoose.Types.ObjectId(String(season));
+    if (from || to) {
+      match.pledgeDate = {};
+      if (from) match.pledgeDate.$gte = new Date(from);
+      if (to) match.pledgeDate.$lte = new Date(to);
+    }
+
+    const isOpen = { $eq: ['$status', 'open'] };
+    const outstanding = { $max: [0, { $subtract: ['$totalAmount', '$amountFulfilled'] }] };
+    const overdueAmount = {
+      $reduce: {
+        input: { $filter: { input: '$instalments', as: 'item', cond: { $lt: ['$$item.dueDate', now] } } },
+        initialValue: 0,
+        in: { $add: ['$$value', { $subtract: ['$$this.amount', '$$this.paidAmount'] }] }
+      }
+    };
+
+    const grouped = await Pledge.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { key: `$${groupBy}`, campaign: '$campaign', currency: '$currency' },
+          pledgeCount: { $sum: 1 },
+          totalPledged: { $sum: '$totalAmount' },
+          amountFulfilled: { $sum: '$amountFulfilled' },
+          outstanding: { $sum: { $cond: [isOpen, outstanding, 0] } },
+          writtenOff: { $sum: { $cond: [{ $eq: ['$status', 'written_off'] }, outstanding, 0] } },
+          fulfilledCount: { $sum: { $cond: [{ $eq: ['$status', 'fulfilled'] }, 1, 0] } },
+          openCount: { $sum: { $cond: [isOpen, 1, 0] } },
+          overdueCount: {
+            $sum: { $cond: [{ $and: [isOpen, { $ne: ['$nextDueDate', null] }, { $lt: ['$nextDueDate', now] }] }, 1, 0] }
+          },
+          overdueAmount: { $sum: { $cond: [isOpen, overdueAmount, 0] } }
+        }
+      }
+    ]);
+
+    const rows = (await PledgeService.inBaseCurrency(
+      grouped,
+      ['totalPledged', 'amountFulfilled', 'outstanding', 'writtenOff', 'overdueAmount']
+    )).sort((a, b) => b.totalPledged - a.totalPledged);
+
+    const GroupModel = mongoose.model(groupBy === 'season' ? 'Season' : 'Campaign');
+    const names = new Map((await GroupModel.find({ _id: { $in: rows.map(row => row._id).filter(Boolean) } })
+      .select('name')
+      .lean()).map(doc => [String(doc._id), doc.name]));
+
+    const summarise = (row) => ({
+      pledgeCount: row.pledgeCount,
+      totalPledged: round(row.totalPledged),
+      amountFulfilled: round(row.amountFulfilled),
+      outstanding: round(row.outstanding),
+      writtenOff: round(row.writtenOff),
+      overdueCount: row.overdueCount,
+      overdueAmount: round(row.overdueAmount),
+      openCount: row.openCount,
+      fulfilledCount: row.fulfilledCount,
+      // Share of the pledged money received, and of pledges honoured in full
+      fulfilmentRate: row.totalPledged > 0 ? round((row.amountFulfilled / row.totalPledged) * 100) : 0,
+      pledgesFulfilledRate: row.pledgeCount > 0 ? round((row.fulfilledCount / row.pledgeCount) * 100) : 0
+    });
+
+    const totals = rows.reduce((acc, row) => {
+      Object.keys(acc).forEach((key) => { acc[key] += row[key]; });
+      return acc;
+    }, {
+      pledgeCount: 0,
+      totalPledged: 0,
+      amountFulfilled: 0,
+      outstanding: 0,
+      writtenOff: 0,
+      overdueCount: 0,
+      overdueAmount: 0,
+      openCount: 0,
+      fulfilledCount: 0
+    });
+
+    return {
+      groupBy,
+      rows: rows.map(row => ({
+        [groupBy]: row._id ? { id: row._id, name: names.get(String(row._id)) || null } : null,
+        ...summarise(row)
+      })),
+      totals: summarise(totals),
+      generatedAt: now
+    };
+  }
+}
+
+module.exports = PledgeService;
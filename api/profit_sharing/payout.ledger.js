@@ -0,0 +1,337 @@
+/**
+ * ============================================================================
+ * PAYOUT LEDGER CLASS
+ * ============================================================================
+ *
+ * Turns an executed profit distribution into payout records and moves them
+ * through the settlement workflow:
+ *
+ *   pending → approved → paid
+ *                  ↘ failed → approved (retry)
+ *
+ * Every transition is appended to the payout's statusHistory with who made it.
+ * Reconciliation compares ledger totals per line against the vendorDistribution
+ * computed by ProfitSharing.distributeToVendors.
+ *
+ * Payouts to agents and corporate agents that have not passed KYC stay
+ * pending: they cannot be approved or marked paid until the account is
+ * verified.
+ *
+ * @class PayoutLedger
+ * @requires models/Payout
+ * @requires models/ProfitDistribution
+ * @requires kyc/kyc.service
+ */
+
+const Payout = require('../models/Payout');
+const ProfitDistribution = require('../models/ProfitDistribution');
+const KycService = require('../kyc/kyc.service');
+const mongoose = require('mongoose');
+
+class PayoutLedger {
+  /**
+   * Allowed status transitions (from → [to])
+   */
+  static TRANSITIONS = {
+    pending: ['approved'],
+    approved: ['paid', 'failed'],
+    failed: ['approved'],
+    paid: []
+  };
+
+  /**
+   * Statuses a payout can only reach when its beneficiary is verified
+   */
+  static VERIFIED_ONLY = ['approved', 'paid'];
+
+  /**
+   * Ledger categories and the vendorDistribution.summary key they reconcile against
+   */
+  static SUMMARY_KEYS = {
+    freelancing: 'freelancingAgent',
+    corporate: 'corporateAgent',
+    major: 'majorAgent',
+    miscellaneous: 'miscellaneous',
+    r1: 'r1',
+    pb: 'pb',
+    sf: 'sf',
+    bmg: 'bmg'
+  };
+
+  /**
+   * Build the payout lines for an executed distribution
+   * Selected donors are recorded for settlement with no amount: the vendor
+   * distribution does not allocate them any of the profit.
+   *
+   * @param {Object} distribution - ProfitDistribution document
+   * @param {Object} result - Successful ProfitSharing.executeProfitSharing result
+   * @returns {Array} Payout documents to insert
+   */
+  static buildLines(distribution, result) {
+    const base = {
+      distribution: distribution._id,
+      season: distribution.season,
+      campaign: distribution.campaign,
+      currency: distribution.currency,
+      statusHistory: [{ from: null, to: 'pending', note: 'Created from profit distribution' }]
+    };
+    const { summary } = result.vendorDistribution;
+    const lines = [];
+
+    for (const d of result.selectedDonors) {
+      lines.push({
+        ...base,
+        vendor: 'donors',
+        category: 'selectedDonor',
+        beneficiary: d.donor.id,
+        beneficiaryModel: 'Donor',
+        beneficiaryName: d.donor.fullName,
+        amount: 0
+      });
+    }
+
+    for (const category of ['freelancing', 'corporate']) {
+      const bucket = result.agentPayouts[category];
+
+      for (const p of bucket.payouts) {
+        lines.push({
+          ...base,
+          vendor: 'agents',
+          category,
+          beneficiary: p.agentId,
+          beneficiaryModel: p.agentModel,
+          beneficiaryName: p.name,
+          amount: p.amount,
+          basis: {
+            donationsAmount: p.donationsAmount,
+            donationCount: p.donationCount,
+            sharePercent: p.sharePercent
+          }
+        });
+      }
+
+      if (bucket.unallocated > 0) {
+        lines.push({
+          ...base,
+          vendor: 'agents',
+          category,
+          beneficiaryName: `Unallocated ${category} agent share`,
+          amount: bucket.unallocated
+        });
+      }
+    }
+
+    const namedLines = [
+      ['agents', 'major', 'Major Agent'],
+      ['agents', 'miscellaneous', 'Miscellaneous'],
+      ['stakeholders', 'r1', 'R1'],
+      ['stakeholders', 'pb', 'PB'],
+      ['stakeholders', 'sf', 'SF'],
+      ['stakeholders', 'bmg', 'BMG']
+    ];
+
+    for (const [vendor, category, name] of namedLines) {
+      const amount = summary[PayoutLedger.SUMMARY_KEYS[category]];
+      if (amount > 0) {
+        lines.push({ ...base, vendor, category, beneficiaryName: name, amount });
+      }
+    }
+
+    return lines;
+  }
+
+  /**
+   * Move payouts to a new status when their current status allows it
+   *
+   * @param {Array} ids - Payout ids
+   * @param {string} to - Target status
+   * @param {Object} fields - Extra fields to set
+   * @param {Object} change - { by, note } recorded in statusHistory
+   * @returns {Object} { updated: [ids], skipped: [{ id, status, reason }] }
+   */
+  static async transition(ids, to, fields, change) {
+    const allowedFrom = Object.keys(PayoutLedger.TRANSITIONS)
+      .filter(from => PayoutLedger.TRANSITIONS[from].includes(to));
+
+    const validIds = ids.filter(id => mongoose.isValidObjectId(id));
+    const payouts = await Payout.find({ _id: { $in: validIds } }).select('status beneficiary beneficiaryModel').lean();
+    const found = new Map(payouts.map(p => [String(p._id), p]));
+    const unverified = PayoutLedger.VERIFIED_ONLY.includes(to)
+      ? await KycService.unverifiedBeneficiaries(payouts)
+      : new Set();
+
+    const updated = [];
+    const skipped = [];
+
+    for (const id of ids) {
+      const payout = found.get(String(id));
+      if (!payout) {
+        skipped.push({ id, reason: 'Payout not found' });
+        continue;
+      }
+
+      if (!allowedFrom.includes(payout.status)) {
+        skipped.push({ id, status: payout.status, reason: `Cannot move a ${payout.status} payout to ${to}` });
+        continue;
+      }
+
+      if (payout.beneficiary && unverified.has(String(payout.beneficiary))) {
+        skipped.push({ id, status: payout.status, reason: 'Beneficiary has not passed KYC verification' });
+        continue;
+      }
+
+      // Conditional on the status we read, so concurrent transitions cannot both win
+      const result = await Payout.updateOne(
+        { _id: payout._id, status: payout.status },
+        {
+          $set: { ...fields(id), status: to },
+          $push: { statusHistory: { from: payout.status, to, by: change.by || null, note: change.note || null } }
+        }
+      );
+
+      if (result.modifiedCount === 1) {
+        updated.push(id);
+      } else {
+        skipped.push({ id, reason: 'Payout status changed concurrently' });
+      }
+    }
+
+    return { updated, skipped };
+  }
+
+  /**
+   * Approve pending (or retry failed) payouts
+   *
+   * @param {Array} ids - Payout ids
+   * @param {string} approvedBy - Approver identity
+   * @param {string} [note] - Optional note
+   * @returns {Object} { updated, skipped }
+   */
+  static approve(ids, approvedBy, note) {
+    const approvedAt = new Date();
+    return PayoutLedger.transition(
+      ids,
+      'approved',
+      () => ({ approvedBy, approvedAt, failureReason: null, failedAt: null }),
+      { by: approvedBy, note }
+    );
+  }
+
+  /**
+   * Mark approved payouts as paid
+   *
+   * @param {Array} items - [{ id, paymentReference }]
+   * @param {string} paidBy - Identity recording the payment
+   * @returns {Object} { updated, skipped }
+   */
+  static markPaid(items, paidBy) {
+    const paidAt = new Date();
+    const references = new Map(items.map(i => [String(i.id), i.paymentReference]));
+
+    return PayoutLedger.transition(
+      items.map(i => i.id),
+      'paid',
+      (id) => ({ paymentReference: references.get(String(id)), paidAt }),
+      { by: paidBy }
+    );
+  }
+
+  /**
+   * Mark an approved payout as failed
+   *
+   * @param {string} id - Payout id
+   * @param {string} reason - Failure reason
+   * @param {string} by - Identity recording the failure
+   * @returns {Object} { updated, skipped }
+   */
+  static markFailed(id, reason, by) {
+    return PayoutLedger.transition(
+      [id],
+      'failed',
+      () => ({ failureReason: reason, failedAt: new Date() }),
+      { by, note: reason }
+    );
+  }
+
+  /**
+   * Compare ledger totals per line with the distribution's vendorDistribution
+   *
+   * @param {string} distributionId - ProfitDistribution id
+   * @returns {Object|null} Reconciliation report, null when the distribution does not exist
+   */
+  static async reconcile(distributionId) {
+    const distribution = await ProfitDistribution.findById(distributionId)
+      .select('season campaign vendorDistribution totalProfit executedAt')
+      .lean();
+
+    if (!distribution) return null;
+
+    const ledger = await Payout.aggregate([
+      { $match: { distribution: distribution._id } },
+      {
+        $group: {
+          _id: '$category',
+          total: { $sum: '$amount' },
+          count: { $sum: 1 },
+          pending: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, '$amount', 0] } },
+          approved: { $sum: { $cond: [{ $eq: ['$status', 'approved'] }, '$amount', 0] } },
+          paid: { $sum: { $cond: [{ $eq: ['$status', 'paid'] }, '$amount', 0] } },
+          failed: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, '$amount', 0] } }
+        }
+      }
+    ]);
+
+    const round = (n) => Math.round(n * 100) / 100;
+    const byCategory = new Map(ledger.map(l => [l._id, l]));
+    const { summary } = distribution.vendorDistribution;
+
+    const lines = Object.entries(PayoutLedger.SUMMARY_KEYS).map(([category, key]) => {
+      const entry = byCategory.get(category) || { total: 0, count: 0, pending: 0, approved: 0, paid: 0, failed: 0 };
+      const expected = summary[key] || 0;
+
+      return {
+        category,
+        expected,
+        ledger: round(entry.total),
+        difference: round(entry.total - expected),
+        matches: Math.abs(entry.total - expected) < 0.01,
+        payoutCount: entry.count,
+        byStatus: {
+          pending: round(entry.pending),
+          approved: round(entry.approved),
+          paid: round(entry.paid),
+          failed: round(entry.failed)
+        }
+      };
+    });
+
+    const sum = (field) => round(lines.reduce((total, l) => total + l[field], 0));
+    const sumStatus = (status) => round(lines.reduce((total, l) => total + l.byStatus[status], 0));
+
+    return {
+      distribution: {
+        id: distribution._id,
+        season: distribution.season,
+        campaign: distribution.campaign,
+        totalProfit: distribution.totalProfit,
+        executedAt: distribution.executedAt
+      },
+      lines,
+      totals: {
+        expected: sum('expected'),
+        ledger: sum('ledger'),
+        difference: sum('difference'),
+        pending: sumStatus('pending'),
+        approved: sumStatus('approved'),
+        paid: sumStatus('paid'),
+        failed: sumStatus('failed'),
+        outstanding: round(sum('ledger') - sumStatus('paid'))
+      },
+      reconciled: lines.every(l => l.matches),
+      selectedDonors: byCategory.get('selectedDonor')?.count || 0,
+      generatedAt: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = PayoutLedger;
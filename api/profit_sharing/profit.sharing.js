@@ -4,14 +4,15 @@
  * ============================================================================
  *
  * This class handles the profit sharing mechanism for seasons:
- * - Randomly selects 2 eligible donors when season reaches goal
+ * - Randomly selects 2 eligible donors when season reaches goal, using a
+ *   seeded draw that anyone can replay (see DRAW ALGORITHM below)
  * - Eligibility: Donors must have donated at least 5 times
  * - Profit calculation: totalRaised × 1.8 × 0.1 × 0.44 × 0.63
  * - Distribution: Split between 2 vendors (agents and stakeholders)
  *
  * AGENTS BREAKDOWN (50% of profit):
- * - Freelancing Agent: 39.49%
- * - Corporate Agent: 30.50%
+ * - Freelancing Agent: 39.49% (split pro rata among Agents by donations they brought in)
+ * - Corporate Agent: 30.50% (split pro rata among CorporateAgents the same way)
  * - Major Agent: $10,000 per $1,000,000 raised
  * - Miscellaneous: Remainder
  *
@@ -21,17 +22,43 @@
  * - SF: 20%
  * - BMG: 60%
  *
+ * The figures above are the defaults. A campaign can override them with a
+ * versioned ProfitSharingPolicy; executions record the policy version used.
+ *
+ * DRAW ALGORITHM (sha256-fisher-yates-v1):
+ * - A commitment (SHA-256 of a secret reveal value) is stored while the season
+ *   is still open, so the reveal cannot be picked after seeing the final pool
+ * - seed = SHA-256(`${seasonId}:${reveal}`)
+ * - The eligible pool is sorted by donor id, then Fisher-Yates shuffled where the
+ *   k-th random integer comes from SHA-256(`${seed}:${k}`) with rejection sampling
+ * - The first SELECTED_DONORS_COUNT donors of the shuffle are the winners
+ *
  * @class ProfitSharing
  * @requires models/Season
  * @requires models/Donor
  * @requires models/Donation
- * @requires models/ProfitDistribution (to be created)
+ * @requires models/ProfitDistribution
+ * @requires models/DrawCommitment
+ * @requires models/ProfitSharingPolicy
+ * @requires models/Payout
+ * @requires profit_sharing/payout.ledger
+ * @requires models/Agent
+ * @requires models/CorporateAgent
  */
 
 const Season = require('../models/Season');
 const Donor = require('../models/Donor');
 const Donation = require('../models/Donation');
+const ProfitDistribution = require('../models/ProfitDistribution');
+const DrawCommitment = require('../models/DrawCommitment');
+const ProfitSharingPolicy = require('../models/ProfitSharingPolicy');
+const Payout = require('../models/Payout');
+const PayoutLedger = require('./payout.ledger');
+const Agent = require('../models/Agent');
+const CorporateAgent = require('../models/CorporateAgent');
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { BASE_AMOUNT, DEFAULT_BASE_CURRENCY } = require('../fx/exchange.rate.service');
 
 class ProfitSharing {
   /**
@@ -65,6 +92,11 @@ class ProfitSharing {
    */
   static SELECTED_DONORS_COUNT = 2;
 
+  /**
+   * Identifier of the seeded draw algorithm stored with every distribution
+   */
+  static DRAW_ALGORITHM = 'sha256-fisher-yates-v1';
+
   /**
    * Vendor distribution (50-50 split between agents and stakeholders)
    */
@@ -93,6 +125,64 @@ class ProfitSharing {
     BMG: 0.60    // 60%
   };
 
+  /**
+   * Policy used by campaigns without a ProfitSharingPolicy (version 0)
+   * Same shape as a ProfitSharingPolicy document
+   */
+  static DEFAULT_POLICY = Object.freeze({
+    version: 0,
+    isDefault: true,
+    multipliers: {
+      initial: ProfitSharing.MULTIPLIERS.INITIAL,
+      first: ProfitSharing.MULTIPLIERS.FIRST,
+      second: ProfitSharing.MULTIPLIERS.SECOND,
+      final: ProfitSharing.MULTIPLIERS.FINAL
+    },
+    minDonations: ProfitSharing.MIN_DONATIONS,
+    selectedDonorsCount: ProfitSharing.SELECTED_DONORS_COUNT,
+    vendorSplit: {
+      agents: ProfitSharing.VENDOR_SPLIT.AGENTS,
+      stakeholders: ProfitSharing.VENDOR_SPLIT.STAKEHOLDERS
+    },
+    agentDistribution: {
+      freelancing: ProfitSharing.AGENT_DISTRIBUTION.FREELANCING,
+      corporate: ProfitSharing.AGENT_DISTRIBUTION.CORPORATE,
+      majorPerMillion: ProfitSharing.AGENT_DISTRIBUTION.MAJOR_PER_MILLION
+    },
+    stakeholderDistribution: {
+      r1: ProfitSharing.STAKEHOLDER_DISTRIBUTION.R1,
+      pb: ProfitSharing.STAKEHOLDER_DISTRIBUTION.PB,
+      sf: ProfitSharing.STAKEHOLDER_DISTRIBUTION.SF,
+      bmg: ProfitSharing.STAKEHOLDER_DISTRIBUTION.BMG
+    },
+    executionMode: process.env.PROFIT_SHARING_EXECUTION_MODE === 'auto' ? 'auto' : 'approval'
+  });
+
+  /**
+   * Get the current policy for a campaign (its highest version)
+   * Falls back to DEFAULT_POLICY when the campaign has none
+   *
+   * @param {string} campaignId - Campaign MongoDB ObjectId
+   * @returns {Object} Policy (lean document or DEFAULT_POLICY)
+   */
+  static async getPolicy(campaignId) {
+    const policy = await ProfitSharingPolicy.findOne({ campaign: campaignId })
+      .sort('-version')
+      .lean();
+
+    return policy || ProfitSharing.DEFAULT_POLICY;
+  }
+
+  /**
+   * Percentage with two decimals for display (0.3949 -> 39.49)
+   *
+   * @param {number} fraction - Value between 0 and 1
+   * @returns {number} Percentage
+   */
+  static toPercent(fraction) {
+    return Math.round(fraction * 100 * 100) / 100;
+  }
+
   /**
    * Check if a season is eligible for profit sharing
    *
@@ -154,18 +244,19 @@ class ProfitSharing {
 
   /**
    * Get eligible donors for a season
-   * Donors must have donated at least MIN_DONATIONS times
+   * Donors must have donated at least minDonations times
    *
    * @param {string} seasonId - Season MongoDB ObjectId
+   * @param {number} minDonations - Minimum completed donations (default: MIN_DONATIONS)
    * @returns {Array} Array of eligible donor objects with donation counts
    */
-  static async getEligibleDonors(seasonId) {
+  static async getEligibleDonors(seasonId, minDonations = ProfitSharing.MIN_DONATIONS) {
     try {
       // Aggregate donations by donor for this season
       const donorStats = await Donation.aggregate([
         {
           $match: {
-            season: mongoose.Types.ObjectId(seasonId),
+            season: new mongoose.Types.ObjectId(seasonId),
             status: 'completed'
           }
         },
@@ -173,14 +264,14 @@ class ProfitSharing {
           $group: {
             _id: '$donor',
             donationCount: { $sum: 1 },
-            totalContributed: { $sum: '$amount' },
+            totalContributed: { $sum: BASE_AMOUNT },
             firstDonation: { $min: '$donationDate' },
             lastDonation: { $max: '$donationDate' }
           }
         },
         {
           $match: {
-            donationCount: { $gte: ProfitSharing.MIN_DONATIONS }
+            donationCount: { $gte: minDonations }
           }
         },
         {
@@ -225,27 +316,97 @@ class ProfitSharing {
   }
 
   /**
-   * Randomly select donors from eligible pool
-   * Uses Fisher-Yates shuffle for fair random selection
+   * SHA-256 hex digest of a string
+   *
+   * @param {string} value - Value to hash
+   * @returns {string} Hex digest
+   */
+  static sha256(value) {
+    return crypto.createHash('sha256').update(String(value)).digest('hex');
+  }
+
+  /**
+   * Derive the draw seed from the season id and the revealed commitment value
+   *
+   * @param {string} seasonId - Season MongoDB ObjectId
+   * @param {string} reveal - Secret value whose hash was committed
+   * @returns {string} Hex seed
+   */
+  static deriveSeed(seasonId, reveal) {
+    return ProfitSharing.sha256(`${seasonId}:${reveal}`);
+  }
+
+  /**
+   * Create a deterministic random integer generator from a seed
+   * The k-th call hashes `${seed}:${k}` and uses rejection sampling to stay unbiased
+   *
+   * @param {string} seed - Hex seed
+   * @returns {Function} randomInt(max) returning an integer in [0, max)
+   */
+  static createSeededRandom(seed) {
+    const RANGE = 2 ** 48;
+    let counter = 0;
+
+    return (max) => {
+      const limit = RANGE - (RANGE % max);
+      for (;;) {
+        const digest = ProfitSharing.sha256(`${seed}:${counter++}`);
+        const value = parseInt(digest.slice(0, 12), 16);
+        if (value < limit) return value % max;
+      }
+    };
+  }
+
+  /**
+   * Sort the eligible pool into its canonical order (donor id ascending)
+   * The aggregation order is not stable, so the draw always runs on this order
    *
    * @param {Array} eligibleDonors - Array of eligible donor objects
+   * @returns {Array} New array in canonical order
+   */
+  static canonicalizePool(eligibleDonors) {
+    return [...eligibleDonors].sort((a, b) => {
+      const idA = String(a.donorId);
+      const idB = String(b.donorId);
+      return idA < idB ? -1 : idA > idB ? 1 : 0;
+    });
+  }
+
+  /**
+   * Hash of the canonical pool, so a replay can prove it used the same pool
+   *
+   * @param {Array} pool - Eligible donors in canonical order
+   * @returns {string} Hex digest
+   */
+  static hashPool(pool) {
+    return ProfitSharing.sha256(pool.map(d => String(d.donorId)).join(','));
+  }
+
+  /**
+   * Select donors from the eligible pool with a seeded Fisher-Yates shuffle
+   * Given the same pool and seed the result is always the same
+   *
+   * @param {Array} eligibleDonors - Array of eligible donor objects
+   * @param {string} seed - Hex seed from deriveSeed
    * @param {number} count - Number of donors to select
-   * @returns {Array} Array of selected donors
+   * @returns {Array} Array of selected donors in draw order
    */
-  static selectRandomDonors(eligibleDonors, count = ProfitSharing.SELECTED_DONORS_COUNT) {
+  static selectRandomDonors(eligibleDonors, seed, count = ProfitSharing.SELECTED_DONORS_COUNT) {
     if (eligibleDonors.length === 0) {
       return [];
     }
 
+    const shuffled = ProfitSharing.canonicalizePool(eligibleDonors);
+
     // If we have fewer eligible donors than needed, return all
-    if (eligibleDonors.length <= count) {
-      return [...eligibleDonors];
+    if (shuffled.length <= count) {
+      return shuffled;
     }
 
     // Fisher-Yates shuffle algorithm
-    const shuffled = [...eligibleDonors];
+    const randomInt = ProfitSharing.createSeededRandom(seed);
     for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = randomInt(i + 1);
       [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
     }
 
@@ -253,59 +414,211 @@ class ProfitSharing {
     return shuffled.slice(0, count);
   }
 
+  /**
+   * When a season's eligible pool stopped changing: the earliest of the goal
+   * being reached, the season being closed and its end date
+   *
+   * @param {Object} season - Season (needs goalReachedAt, closedAt, endDate)
+   * @returns {Date|null}
+   */
+  static poolClosedAt(season) {
+    const times = [season.goalReachedAt, season.closedAt, season.endDate]
+      .filter(Boolean)
+      .map(date => new Date(date).getTime());
+    return times.length ? new Date(Math.min(...times)) : null;
+  }
+
+  /**
+   * Commit to a draw for a season while it is still open
+   * Without a commitment the server generates and holds the reveal value itself
+   *
+   * @param {string} seasonId - Season MongoDB ObjectId
+   * @param {string} [commitment] - SHA-256 hex digest of a caller-held reveal value
+   * @returns {Object} Commitment result
+   */
+  static async commitDraw(seasonId, commitment) {
+    const season = await Season.findById(seasonId).select('_id name endDate closedAt goalReachedAt').lean();
+    if (!season) {
+      return { success: false, error: 'Season not found', seasonId };
+    }
+
+    const poolClosedAt = ProfitSharing.poolClosedAt(season);
+    if (poolClosedAt && poolClosedAt <= new Date()) {
+      return { success: false, error: 'Draw commitments close when the season reaches its goal or ends', seasonId, poolClosedAt };
+    }
+
+    if (await ProfitDistribution.exists({ season: season._id })) {
+      return { success: false, error: 'Profit sharing already executed for this season', seasonId };
+    }
+
+    if (await DrawCommitment.exists({ season: season._id })) {
+      return { success: false, error: 'A draw commitment already exists for this season', seasonId };
+    }
+
+    let reveal = null;
+    if (!commitment) {
+      reveal = crypto.randomBytes(32).toString('hex');
+      commitment = ProfitSharing.sha256(reveal);
+    }
+
+    const record = await DrawCommitment.create({
+      season: season._id,
+      commitment,
+      reveal,
+      serverHeld: reveal !== null
+    });
+
+    return {
+      success: true,
+      message: 'Draw commitment recorded',
+      season: { id: season._id, name: season.name, endDate: season.endDate },
+      commitment: record.commitment,
+      serverHeld: record.serverHeld,
+      committedAt: record.committedAt
+    };
+  }
+
+  /**
+   * Resolve the seed for executing a season's draw from its commitment
+   *
+   * @param {Object} season - Season document (lean)
+   * @param {string} [reveal] - Reveal value (required unless the server holds it)
+   * @returns {Object} { seed, commitment, reveal, committedAt } or { error }
+   */
+  static async resolveDrawSeed(season, reveal) {
+    const record = await DrawCommitment.findOne({ season: season._id }).select('+reveal');
+
+    if (!record) {
+      return { error: 'No draw commitment found for this season' };
+    }
+
+    const revealValue = reveal || record.reveal;
+    if (!revealValue) {
+      return { error: 'Reveal value is required to execute this draw' };
+    }
+
+    if (ProfitSharing.sha256(revealValue) !== record.commitment) {
+      return { error: 'Reveal value does not match the draw commitment' };
+    }
+
+    return {
+      record,
+      seed: ProfitSharing.deriveSeed(season._id, revealValue),
+      commitment: record.commitment,
+      reveal: revealValue,
+      committedAt: record.committedAt
+    };
+  }
+
+  /**
+   * Replay the persisted draw for a season and compare it with the stored winners
+   *
+   * @param {string} seasonId - Season MongoDB ObjectId
+   * @returns {Object} Verification result
+   */
+  static async verifyDraw(seasonId) {
+    const distribution = await ProfitDistribution.findOne({ season: seasonId }).lean();
+
+    if (!distribution) {
+      return { success: false, error: 'No profit distribution found for this season', seasonId };
+    }
+
+    const { draw } = distribution;
+    const season = await Season.findById(distribution.season).select('endDate closedAt goalReachedAt').lean();
+    const poolClosedAt = season ? ProfitSharing.poolClosedAt(season) : null;
+    const pool = draw.pool.map(p => ({ donorId: p.donor }));
+    const expectedSeed = ProfitSharing.deriveSeed(distribution.season, draw.reveal);
+    const replayed = ProfitSharing.selectRandomDonors(pool, draw.seed, draw.order.length)
+      .map(d => String(d.donorId));
+    const stored = draw.order.map(String);
+
+    const checks = {
+      commitmentMatchesReveal: ProfitSharing.sha256(draw.reveal) === draw.commitment,
+      seedMatchesReveal: expectedSeed === draw.seed,
+      poolHashMatches: ProfitSharing.hashPool(pool) === draw.poolHash,
+      winnersMatch: replayed.length === stored.length && replayed.every((id, i) => id === stored[i]),
+      // A commitment made after the pool closed could have been picked for its winners
+      committedBeforeClose: Boolean(draw.committedAt && poolClosedAt && new Date(draw.committedAt) < poolClosedAt)
+    };
+
+    return {
+      success: true,
+      verified: Object.values(checks).every(Boolean),
+      checks,
+      draw: {
+        algorithm: draw.algorithm,
+        commitment: draw.commitment,
+        reveal: draw.reveal,
+        seed: draw.seed,
+        poolHash: draw.poolHash,
+        poolSize: draw.pool.length,
+        committedAt: draw.committedAt,
+        poolClosedAt
+      },
+      storedOrder: stored,
+      replayedOrder: replayed
+    };
+  }
+
   /**
    * Calculate profit amount based on season's total raised
-   * Formula: totalRaised × 1.8 × 0.1 × 0.44 × 0.63
+   * Formula: totalRaised × initial × first × second × final
    *
    * @param {number} totalRaised - Season's total amount raised
+   * @param {Object} policy - Profit sharing policy (default: DEFAULT_POLICY)
    * @returns {Object} Profit calculation breakdown
    */
-  static calculateProfit(totalRaised) {
-    const step1 = totalRaised * ProfitSharing.MULTIPLIERS.INITIAL;
-    const step2 = step1 * ProfitSharing.MULTIPLIERS.FIRST;
-    const step3 = step2 * ProfitSharing.MULTIPLIERS.SECOND;
-    const finalProfit = step3 * ProfitSharing.MULTIPLIERS.FINAL;
+  static calculateProfit(totalRaised, policy = ProfitSharing.DEFAULT_POLICY) {
+    const { initial, first, second, final } = policy.multipliers;
+
+    const step1 = totalRaised * initial;
+    const step2 = step1 * first;
+    const step3 = step2 * second;
+    const finalProfit = step3 * final;
 
     return {
       totalRaised,
       calculations: {
         step1: {
-          formula: `${totalRaised} × ${ProfitSharing.MULTIPLIERS.INITIAL}`,
+          formula: `${totalRaised} × ${initial}`,
           result: Math.round(step1 * 100) / 100
         },
         step2: {
-          formula: `${Math.round(step1 * 100) / 100} × ${ProfitSharing.MULTIPLIERS.FIRST}`,
+          formula: `${Math.round(step1 * 100) / 100} × ${first}`,
           result: Math.round(step2 * 100) / 100
         },
         step3: {
-          formula: `${Math.round(step2 * 100) / 100} × ${ProfitSharing.MULTIPLIERS.SECOND}`,
+          formula: `${Math.round(step2 * 100) / 100} × ${second}`,
           result: Math.round(step3 * 100) / 100
         },
         step4: {
-          formula: `${Math.round(step3 * 100) / 100} × ${ProfitSharing.MULTIPLIERS.FINAL}`,
+          formula: `${Math.round(step3 * 100) / 100} × ${final}`,
           result: Math.round(finalProfit * 100) / 100
         }
       },
       finalProfit: Math.round(finalProfit * 100) / 100,
-      effectiveRate: `${Math.round(ProfitSharing.FINAL_MULTIPLIER * 10000) / 100}%`
+      effectiveRate: `${Math.round(initial * first * second * final * 10000) / 100}%`
     };
   }
 
   /**
    * Calculate agent distribution breakdown
    *
-   * @param {number} agentsShare - Total amount for agents (50% of profit)
+   * @param {number} agentsShare - Total amount for agents (vendor split of profit)
    * @param {number} totalRaised - Season's total raised (for major agent calculation)
+   * @param {Object} policy - Profit sharing policy (default: DEFAULT_POLICY)
    * @returns {Object} Detailed agent distribution
    */
-  static calculateAgentDistribution(agentsShare, totalRaised) {
+  static calculateAgentDistribution(agentsShare, totalRaised, policy = ProfitSharing.DEFAULT_POLICY) {
+    const { freelancing, corporate, majorPerMillion } = policy.agentDistribution;
+
     // Calculate major agent share based on millions raised
     const millionsRaised = totalRaised / 1000000;
-    const majorAgentShare = millionsRaised * ProfitSharing.AGENT_DISTRIBUTION.MAJOR_PER_MILLION;
+    const majorAgentShare = millionsRaised * majorPerMillion;
 
     // Calculate freelancing and corporate shares
-    const freelancingShare = agentsShare * ProfitSharing.AGENT_DISTRIBUTION.FREELANCING;
-    const corporateShare = agentsShare * ProfitSharing.AGENT_DISTRIBUTION.CORPORATE;
+    const freelancingShare = agentsShare * freelancing;
+    const corporateShare = agentsShare * corporate;
 
     // Miscellaneous gets the remainder
     const allocatedTotal = freelancingShare + corporateShare + majorAgentShare;
@@ -321,12 +634,12 @@ class ProfitSharing {
       breakdown: {
         freelancing: {
           amount: Math.round(freelancingShare * 100) / 100,
-          percentage: 39.49,
+          percentage: ProfitSharing.toPercent(freelancing),
           description: 'Freelancing Agent'
         },
         corporate: {
           amount: Math.round(corporateShare * 100) / 100,
-          percentage: 30.50,
+          percentage: ProfitSharing.toPercent(corporate),
           description: 'Corporate Agent'
         },
         major: {
@@ -335,8 +648,8 @@ class ProfitSharing {
           description: 'Major Agent',
           calculation: {
             millionsRaised: Math.round(millionsRaised * 100) / 100,
-            ratePerMillion: ProfitSharing.AGENT_DISTRIBUTION.MAJOR_PER_MILLION,
-            formula: `${Math.round(millionsRaised * 100) / 100} × $${ProfitSharing.AGENT_DISTRIBUTION.MAJOR_PER_MILLION.toLocaleString()}`
+            ratePerMillion: majorPerMillion,
+            formula: `${Math.round(millionsRaised * 100) / 100} × $${majorPerMillion.toLocaleString()}`
           }
         },
         miscellaneous: {
@@ -355,36 +668,39 @@ class ProfitSharing {
   /**
    * Calculate stakeholder distribution breakdown
    *
-   * @param {number} stakeholdersShare - Total amount for stakeholders (50% of profit)
+   * @param {number} stakeholdersShare - Total amount for stakeholders (vendor split of profit)
+   * @param {Object} policy - Profit sharing policy (default: DEFAULT_POLICY)
    * @returns {Object} Detailed stakeholder distribution
    */
-  static calculateStakeholderDistribution(stakeholdersShare) {
-    const r1Share = stakeholdersShare * ProfitSharing.STAKEHOLDER_DISTRIBUTION.R1;
-    const pbShare = stakeholdersShare * ProfitSharing.STAKEHOLDER_DISTRIBUTION.PB;
-    const sfShare = stakeholdersShare * ProfitSharing.STAKEHOLDER_DISTRIBUTION.SF;
-    const bmgShare = stakeholdersShare * ProfitSharing.STAKEHOLDER_DISTRIBUTION.BMG;
+  static calculateStakeholderDistribution(stakeholdersShare, policy = ProfitSharing.DEFAULT_POLICY) {
+    const { r1, pb, sf, bmg } = policy.stakeholderDistribution;
+
+    const r1Share = stakeholdersShare * r1;
+    const pbShare = stakeholdersShare * pb;
+    const sfShare = stakeholdersShare * sf;
+    const bmgShare = stakeholdersShare * bmg;
 
     return {
       total: Math.round(stakeholdersShare * 100) / 100,
       breakdown: {
         r1: {
           amount: Math.round(r1Share * 100) / 100,
-          percentage: 5,
+          percentage: ProfitSharing.toPercent(r1),
           description: 'R1'
         },
         pb: {
           amount: Math.round(pbShare * 100) / 100,
-          percentage: 15,
+          percentage: ProfitSharing.toPercent(pb),
           description: 'PB'
         },
         sf: {
           amount: Math.round(sfShare * 100) / 100,
-          percentage: 20,
+          percentage: ProfitSharing.toPercent(sf),
           description: 'SF'
         },
         bmg: {
           amount: Math.round(bmgShare * 100) / 100,
-          percentage: 60,
+          percentage: ProfitSharing.toPercent(bmg),
           description: 'BMG'
         }
       },
@@ -400,27 +716,28 @@ class ProfitSharing {
    *
    * @param {number} totalProfit - Total profit to distribute
    * @param {number} totalRaised - Season's total raised (for major agent calculation)
+   * @param {Object} policy - Profit sharing policy (default: DEFAULT_POLICY)
    * @returns {Object} Vendor distribution breakdown with sub-allocations
    */
-  static distributeToVendors(totalProfit, totalRaised) {
-    const agentsShare = totalProfit * ProfitSharing.VENDOR_SPLIT.AGENTS;
-    const stakeholdersShare = totalProfit * ProfitSharing.VENDOR_SPLIT.STAKEHOLDERS;
+  static distributeToVendors(totalProfit, totalRaised, policy = ProfitSharing.DEFAULT_POLICY) {
+    const agentsShare = totalProfit * policy.vendorSplit.agents;
+    const stakeholdersShare = totalProfit * policy.vendorSplit.stakeholders;
 
     // Get detailed breakdowns
-    const agentDistribution = ProfitSharing.calculateAgentDistribution(agentsShare, totalRaised);
-    const stakeholderDistribution = ProfitSharing.calculateStakeholderDistribution(stakeholdersShare);
+    const agentDistribution = ProfitSharing.calculateAgentDistribution(agentsShare, totalRaised, policy);
+    const stakeholderDistribution = ProfitSharing.calculateStakeholderDistribution(stakeholdersShare, policy);
 
     return {
       totalProfit: Math.round(totalProfit * 100) / 100,
       vendors: {
         agents: {
           total: Math.round(agentsShare * 100) / 100,
-          percentage: ProfitSharing.VENDOR_SPLIT.AGENTS * 100,
+          percentage: ProfitSharing.toPercent(policy.vendorSplit.agents),
           distribution: agentDistribution
         },
         stakeholders: {
           total: Math.round(stakeholdersShare * 100) / 100,
-          percentage: ProfitSharing.VENDOR_SPLIT.STAKEHOLDERS * 100,
+          percentage: ProfitSharing.toPercent(policy.vendorSplit.stakeholders),
           distribution: stakeholderDistribution
         }
       },
@@ -443,106 +760,295 @@ class ProfitSharing {
     };
   }
 
+  /**
+   * Get completed donation totals per attributed agent for a season
+   *
+   * @param {string} seasonId - Season MongoDB ObjectId
+   * @returns {Array} [{ agentId, agentModel, name, email, donationsAmount, donationCount }]
+   */
+  static async getAgentContributions(seasonId) {
+    const totals = await Donation.aggregate([
+      {
+        $match: {
+          season: new mongoose.Types.ObjectId(seasonId),
+          status: 'completed',
+          agent: { $ne: null }
+        }
+      },
+      {
+        $group: {
+          _id: { agent: '$agent', agentModel: '$agentModel' },
+          donationsAmount: { $sum: BASE_AMOUNT },
+          donationCount: { $sum: 1 }
+        }
+      }
+    ]);
+
+    const idsFor = (model) => totals.filter(t => t._id.agentModel === model).map(t => t._id.agent);
+    const [agents, corporateAgents] = await Promise.all([
+      Agent.find({ _id: { $in: idsFor('Agent') } }).select('name email').lean(),
+      CorporateAgent.find({ _id: { $in: idsFor('CorporateAgent') } }).select('name email').lean()
+    ]);
+
+    const accounts = new Map(
+      [...agents, ...corporateAgents].map(a => [String(a._id), a])
+    );
+
+    return totals.map(t => ({
+      agentId: t._id.agent,
+      agentModel: t._id.agentModel,
+      name: accounts.get(String(t._id.agent))?.name || null,
+      email: accounts.get(String(t._id.agent))?.email || null,
+      donationsAmount: Math.round(t.donationsAmount * 100) / 100,
+      donationCount: t.donationCount
+    }));
+  }
+
+  /**
+   * Split a bucket pro rata to each contributor's donations amount
+   * Rounding leftovers go to the largest contributor so the lines sum to the bucket
+   *
+   * @param {number} bucketAmount - Amount to split
+   * @param {Array} contributions - Entries from getAgentContributions
+   * @returns {Array} Contributions with amount and sharePercent
+   */
+  static allocateProRata(bucketAmount, contributions) {
+    const total = contributions.reduce((sum, c) => sum + c.donationsAmount, 0);
+    if (total <= 0 || bucketAmount <= 0) return [];
+
+    const lines = contributions
+      .map(c => ({
+        ...c,
+        sharePercent: Math.round((c.donationsAmount / total) * 100 * 100) / 100,
+        amount: Math.floor((bucketAmount * c.donationsAmount / total) * 100) / 100
+      }))
+      .sort((a, b) => b.donationsAmount - a.donationsAmount);
+
+    const allocated = lines.reduce((sum, l) => sum + l.amount, 0);
+    lines[0].amount = Math.round((lines[0].amount + (bucketAmount - allocated)) * 100) / 100;
+
+    return lines;
+  }
+
+  /**
+   * Turn the freelancing and corporate buckets into per-agent payouts
+   * A bucket with no attributed donations is reported as unallocated
+   *
+   * @param {Object} vendorDistribution - Result of distributeToVendors
+   * @param {Array} contributions - Result of getAgentContributions
+   * @returns {Object} { freelancing, corporate } each with bucket, payouts and unallocated
+   */
+  static calculateAgentPayouts(vendorDistribution, contributions) {
+    const { breakdown } = vendorDistribution.vendors.agents.distribution;
+
+    const buildBucket = (bucketAmount, agentModel) => {
+      const payouts = ProfitSharing.allocateProRata(
+        bucketAmount,
+        contributions.filter(c => c.agentModel === agentModel)
+      );
+
+      return {
+        bucket: bucketAmount,
+        agentModel,
+        payouts,
+        unallocated: payouts.length > 0 ? 0 : bucketAmount
+      };
+    };
+
+    return {
+      freelancing: buildBucket(breakdown.freelancing.amount, 'Agent'),
+      corporate: buildBucket(breakdown.corporate.amount, 'CorporateAgent')
+    };
+  }
+
+  /**
+   * Dry-run engine shared by execution and simulation
+   * Loads the season, its policy and the eligible donor pool, then calculates
+   * the profit, vendor distribution and agent payouts. It only reads: no donors
+   * are drawn and nothing is written.
+   *
+   * @param {string} seasonId - Season MongoDB ObjectId
+   * @returns {Object} { success, season, policy, eligibleDonors, pool, profitCalculation,
+   *                     vendorDistribution, agentPayouts } or a failure result
+   */
+  static async prepareProfitSharing(seasonId) {
+    // Step 1: Get season
+    const season = await Season.findById(seasonId)
+      .populate('campaign', 'name baseCurrency')
+      .lean();
+
+    if (!season) {
+      return {
+        success: false,
+        error: 'Season not found',
+        seasonId
+      };
+    }
+
+    // Step 2: Check eligibility
+    const eligibility = ProfitSharing.checkSeasonEligibility(season);
+    if (!eligibility.isEligible) {
+      return {
+        success: false,
+        error: eligibility.reason,
+        details: eligibility.details,
+        season: {
+          id: season._id,
+          name: season.name,
+          campaign: season.campaign?.name
+        }
+      };
+    }
+
+    // Step 3: Load the campaign's policy and get eligible donors
+    const policy = await ProfitSharing.getPolicy(season.campaign?._id || season.campaign);
+    const eligibleDonors = await ProfitSharing.getEligibleDonors(seasonId, policy.minDonations);
+
+    if (eligibleDonors.length === 0) {
+      return {
+        success: false,
+        error: 'No eligible donors found',
+        message: `No donors have made at least ${policy.minDonations} donations to this season`,
+        season: {
+          id: season._id,
+          name: season.name,
+          totalDonations: season.donationCount
+        }
+      };
+    }
+
+    if (eligibleDonors.length < policy.selectedDonorsCount) {
+      return {
+        success: false,
+        error: 'Insufficient eligible donors',
+        message: `Found only ${eligibleDonors.length} eligible donor(s), but ${policy.selectedDonorsCount} are required`,
+        eligibleDonors: eligibleDonors.map(d => ({
+          fullName: `${d.donor.firstName} ${d.donor.lastName}`,
+          email: d.donor.email,
+          donationCount: d.donationCount
+        }))
+      };
+    }
+
+    // Step 4: Calculate profit
+    const profitCalculation = ProfitSharing.calculateProfit(season.totalRaised, policy);
+
+    // Step 5: Distribute to vendors with detailed breakdown
+    const vendorDistribution = ProfitSharing.distributeToVendors(
+      profitCalculation.finalProfit,
+      season.totalRaised,
+      policy
+    );
+
+    // Step 6: Split agent buckets among the agents who brought in donations
+    const agentContributions = await ProfitSharing.getAgentContributions(seasonId);
+    const agentPayouts = ProfitSharing.calculateAgentPayouts(vendorDistribution, agentContributions);
+
+    return {
+      success: true,
+      season,
+      policy,
+      eligibleDonors,
+      pool: ProfitSharing.canonicalizePool(eligibleDonors),
+      profitCalculation,
+      vendorDistribution,
+      agentPayouts
+    };
+  }
+
+  /**
+   * Season, eligibility and policy sections common to execution and simulation results
+   *
+   * @param {Object} prepared - Successful prepareProfitSharing result
+   * @returns {Object} { season, eligibility, policy }
+   */
+  static describePreparation({ season, policy, eligibleDonors }) {
+    return {
+      season: {
+        id: season._id,
+        name: season.name,
+        campaign: season.campaign?.name || 'Unknown',
+        currency: season.campaign?.baseCurrency || DEFAULT_BASE_CURRENCY,
+        goal: season.goal,
+        totalRaised: season.totalRaised,
+        donationCount: season.donationCount,
+        status: season.status
+      },
+      eligibility: {
+        totalEligibleDonors: eligibleDonors.length,
+        minimumDonationsRequired: policy.minDonations,
+        allEligibleDonors: eligibleDonors.map(d => ({
+          fullName: `${d.donor.firstName} ${d.donor.lastName}`,
+          email: d.donor.email,
+          donationCount: d.donationCount,
+          totalContributed: Math.round(d.totalContributed * 100) / 100
+        }))
+      },
+      policy: {
+        id: policy._id || null,
+        version: policy.version,
+        isDefault: Boolean(policy.isDefault)
+      }
+    };
+  }
+
   /**
    * Execute complete profit sharing process for a season
+   * The result is persisted as a ProfitDistribution, so a season can only be executed once
    *
    * @param {string} seasonId - Season MongoDB ObjectId
+   * @param {Object} [options]
+   * @param {string} [options.reveal] - Reveal value for the season's draw commitment
    * @returns {Object} Complete profit sharing result
    */
-  static async executeProfitSharing(seasonId) {
+  static async executeProfitSharing(seasonId, { reveal } = {}) {
     try {
-      // Step 1: Get season
-      const season = await Season.findById(seasonId)
-        .populate('campaign', 'name')
+      // Step 1: Guard against a second execution for the same season
+      const existing = await ProfitDistribution.findOne({ season: seasonId })
+        .select('_id executedAt seasonSnapshot.name')
         .lean();
 
-      if (!season) {
+      if (existing) {
         return {
           success: false,
-          error: 'Season not found',
-          seasonId
-        };
-      }
-
-      // Step 2: Check eligibility
-      const eligibility = ProfitSharing.checkSeasonEligibility(season);
-      if (!eligibility.isEligible) {
-        return {
-          success: false,
-          error: eligibility.reason,
-          details: eligibility.details,
+          error: 'Profit sharing already executed for this season',
+          distributionId: existing._id,
+          executedAt: existing.executedAt,
           season: {
-            id: season._id,
-            name: season.name,
-            campaign: season.campaign?.name
+            id: seasonId,
+            name: existing.seasonSnapshot?.name
           }
         };
       }
 
-      // Step 3: Get eligible donors
-      const eligibleDonors = await ProfitSharing.getEligibleDonors(seasonId);
+      // Step 2: Calculate the distribution
+      const prepared = await ProfitSharing.prepareProfitSharing(seasonId);
+      if (!prepared.success) {
+        return prepared;
+      }
+
+      const { season, policy, pool, profitCalculation, vendorDistribution, agentPayouts } = prepared;
 
-      if (eligibleDonors.length === 0) {
+      // Step 3: Resolve the committed seed and draw the donors
+      const drawSeed = await ProfitSharing.resolveDrawSeed(season, reveal);
+      if (drawSeed.error) {
         return {
           success: false,
-          error: 'No eligible donors found',
-          message: `No donors have made at least ${ProfitSharing.MIN_DONATIONS} donations to this season`,
+          error: drawSeed.error,
           season: {
             id: season._id,
-            name: season.name,
-            totalDonations: season.donationCount
+            name: season.name
           }
         };
       }
 
-      if (eligibleDonors.length < ProfitSharing.SELECTED_DONORS_COUNT) {
-        return {
-          success: false,
-          error: 'Insufficient eligible donors',
-          message: `Found only ${eligibleDonors.length} eligible donor(s), but ${ProfitSharing.SELECTED_DONORS_COUNT} are required`,
-          eligibleDonors: eligibleDonors.map(d => ({
-            fullName: `${d.donor.firstName} ${d.donor.lastName}`,
-            email: d.donor.email,
-            donationCount: d.donationCount
-          }))
-        };
-      }
-
-      // Step 4: Select random donors
-      const selectedDonors = ProfitSharing.selectRandomDonors(eligibleDonors);
-
-      // Step 5: Calculate profit
-      const profitCalculation = ProfitSharing.calculateProfit(season.totalRaised);
+      const selectedDonors = ProfitSharing.selectRandomDonors(pool, drawSeed.seed, policy.selectedDonorsCount);
 
-      // Step 6: Distribute to vendors with detailed breakdown
-      const vendorDistribution = ProfitSharing.distributeToVendors(
-        profitCalculation.finalProfit,
-        season.totalRaised
-      );
-
-      // Step 7: Prepare result
+      // Step 4: Prepare result
       const result = {
         success: true,
         message: 'Profit sharing executed successfully',
-        season: {
-          id: season._id,
-          name: season.name,
-          campaign: season.campaign?.name || 'Unknown',
-          goal: season.goal,
-          totalRaised: season.totalRaised,
-          donationCount: season.donationCount,
-          status: season.status
-        },
-        eligibility: {
-          totalEligibleDonors: eligibleDonors.length,
-          minimumDonationsRequired: ProfitSharing.MIN_DONATIONS,
-          allEligibleDonors: eligibleDonors.map(d => ({
-            fullName: `${d.donor.firstName} ${d.donor.lastName}`,
-            email: d.donor.email,
-            donationCount: d.donationCount,
-            totalContributed: Math.round(d.totalContributed * 100) / 100
-          }))
-        },
+        ...ProfitSharing.describePreparation(prepared),
         selectedDonors: selectedDonors.map((d, index) => ({
           rank: index + 1,
           donor: {
@@ -558,13 +1064,44 @@ class ProfitSharing {
             lastDonation: d.lastDonation
           }
         })),
+        draw: {
+          algorithm: ProfitSharing.DRAW_ALGORITHM,
+          commitment: drawSeed.commitment,
+          reveal: drawSeed.reveal,
+          seed: drawSeed.seed,
+          poolHash: ProfitSharing.hashPool(pool),
+          pool: pool.map(d => ({
+            donor: d.donorId,
+            donationCount: d.donationCount,
+            totalContributed: Math.round(d.totalContributed * 100) / 100
+          })),
+          order: selectedDonors.map(d => d.donorId),
+          committedAt: drawSeed.committedAt
+        },
         profitCalculation,
         vendorDistribution,
+        agentPayouts,
         executedAt: new Date().toISOString()
       };
 
+      // Step 5: Persist the distribution and reveal the commitment
+      const distribution = await ProfitSharing.saveDistribution(season, result);
+      result.distributionId = distribution._id;
+
+      drawSeed.record.reveal = drawSeed.reveal;
+      drawSeed.record.revealedAt = new Date();
+      await drawSeed.record.save();
+
       return result;
     } catch (error) {
+      if (error.code === 11000) {
+        return {
+          success: false,
+          error: 'Profit sharing already executed for this season',
+          seasonId
+        };
+      }
+
       console.error('Error executing profit sharing:', error);
       return {
         success: false,
@@ -574,51 +1111,94 @@ class ProfitSharing {
     }
   }
 
+  /**
+   * Persist an executed profit sharing result and its payout ledger lines
+   * in one transaction, so a season is never left executed without a ledger.
+   * The unique index on season rejects concurrent executions for the same
+   * season. Transactions need MongoDB running as a replica set (Atlas is).
+   *
+   * @param {Object} season - Season document (lean)
+   * @param {Object} result - Successful executeProfitSharing result
+   * @returns {Object} Created ProfitDistribution document
+   */
+  static async saveDistribution(season, result) {
+    const record = {
+      season: season._id,
+      campaign: season.campaign?._id || season.campaign,
+      currency: season.campaign?.baseCurrency || DEFAULT_BASE_CURRENCY,
+      seasonSnapshot: {
+        name: season.name,
+        goal: season.goal,
+        totalRaised: season.totalRaised,
+        donationCount: season.donationCount
+      },
+      eligibility: {
+        totalEligibleDonors: result.eligibility.totalEligibleDonors,
+        minimumDonationsRequired: result.eligibility.minimumDonationsRequired
+      },
+      selectedDonors: result.selectedDonors.map(d => ({
+        rank: d.rank,
+        donor: d.donor.id,
+        fullName: d.donor.fullName,
+        email: d.donor.email,
+        donationCount: d.contributions.donationCount,
+        totalContributed: d.contributions.totalContributed
+      })),
+      policy: {
+        policy: result.policy.id,
+        version: result.policy.version
+      },
+      draw: result.draw,
+      totalProfit: result.profitCalculation.finalProfit,
+      profitCalculation: result.profitCalculation,
+      vendorDistribution: result.vendorDistribution,
+      executedAt: result.executedAt
+    };
+
+    const session = await mongoose.startSession();
+    try {
+      let distribution;
+      await session.withTransaction(async () => {
+        [distribution] = await ProfitDistribution.create([record], { session });
+        await Payout.insertMany(PayoutLedger.buildLines(distribution, result), { session });
+      });
+      return distribution;
+    } finally {
+      await session.endSession();
+    }
+  }
+
   /**
    * Get profit sharing summary for multiple seasons
+   * Reads persisted distributions only; seasons that have not been executed
+   * are listed as pending and nothing is drawn or written.
    *
    * @param {Array} seasonIds - Array of season IDs
-   * @returns {Object} Summary of profit sharing across seasons
+   * @returns {Object} Summary of executed distributions
    */
   static async getProfitSharingSummary(seasonIds) {
     try {
-      const results = await Promise.all(
-        seasonIds.map(id => ProfitSharing.executeProfitSharing(id))
-      );
-
-      const successful = results.filter(r => r.success);
-      const failed = results.filter(r => !r.success);
-
-      const totalProfit = successful.reduce(
-        (sum, r) => sum + (r.profitCalculation?.finalProfit || 0),
-        0
-      );
+      const distributions = await ProfitDistribution.find({ season: { $in: seasonIds } })
+        .select('-draw.pool')
+        .sort('executedAt')
+        .lean();
 
-      const totalToAgents = successful.reduce(
-        (sum, r) => sum + (r.vendorDistribution?.vendors.agents.amount || 0),
-        0
-      );
+      const executedIds = new Set(distributions.map(d => String(d.season)));
+      const pendingIds = seasonIds.filter(id => !executedIds.has(String(id)));
 
-      const totalToStakeholders = successful.reduce(
-        (sum, r) => sum + (r.vendorDistribution?.vendors.stakeholders.amount || 0),
-        0
-      );
+      const sum = (fn) => Math.round(distributions.reduce((total, d) => total + (fn(d) || 0), 0) * 100) / 100;
 
       return {
         summary: {
           totalSeasons: seasonIds.length,
-          successful: successful.length,
-          failed: failed.length,
-          totalProfit: Math.round(totalProfit * 100) / 100,
-          totalToAgents: Math.round(totalToAgents * 100) / 100,
-          totalToStakeholders: Math.round(totalToStakeholders * 100) / 100
+          executed: distributions.length,
+          pending: pendingIds.length,
+          totalProfit: sum(d => d.totalProfit),
+          totalToAgents: sum(d => d.vendorDistribution?.vendors?.agents?.total),
+          totalToStakeholders: sum(d => d.vendorDistribution?.vendors?.stakeholders?.total)
         },
-        successfulDistributions: successful,
-        failedDistributions: failed.map(f => ({
-          seasonId: f.seasonId || f.season?.id,
-          error: f.error,
-          message: f.message
-        }))
+        distributions,
+        pendingSeasons: pendingIds
       };
     } catch (error) {
       console.error('Error getting profit sharing summary:', error);
@@ -627,21 +1207,65 @@ class ProfitSharing {
   }
 
   /**
-   * Simulate profit sharing without execution
-   * Useful for previewing results before actual execution
+   * Simulate profit sharing for a season
+   * Uses the same dry-run engine as execution but draws nobody: instead it
+   * returns the candidate pool and each candidate's chance of being drawn.
    *
    * @param {string} seasonId - Season MongoDB ObjectId
-   * @returns {Object} Simulated profit sharing result
+   * @returns {Object} Simulation result
    */
   static async simulateProfitSharing(seasonId) {
-    const result = await ProfitSharing.executeProfitSharing(seasonId);
+    const prepared = await ProfitSharing.prepareProfitSharing(seasonId);
 
-    if (result.success) {
-      result.message = 'Profit sharing simulation completed (not executed)';
-      result.isSimulation = true;
+    if (!prepared.success) {
+      return prepared;
     }
 
-    return result;
+    const { season, policy, pool, profitCalculation, vendorDistribution, agentPayouts } = prepared;
+
+    // The shuffle is uniform, so every candidate has the same chance of landing in the first k places
+    const probability = Math.min(policy.selectedDonorsCount, pool.length) / pool.length;
+    const roundedProbability = Math.round(probability * 1000000) / 1000000;
+
+    const [existing, commitment] = await Promise.all([
+      ProfitDistribution.findOne({ season: season._id }).select('_id executedAt').lean(),
+      DrawCommitment.findOne({ season: season._id }).select('commitment committedAt').lean()
+    ]);
+
+    return {
+      success: true,
+      isSimulation: true,
+      message: 'Profit sharing simulation (no donors drawn, nothing persisted)',
+      ...ProfitSharing.describePreparation(prepared),
+      draw: {
+        algorithm: ProfitSharing.DRAW_ALGORITHM,
+        selectedDonorsCount: policy.selectedDonorsCount,
+        candidateCount: pool.length,
+        selectionProbability: roundedProbability,
+        selectionProbabilityPercent: ProfitSharing.toPercent(probability),
+        poolHash: ProfitSharing.hashPool(pool),
+        commitment: commitment ? commitment.commitment : null,
+        committedAt: commitment ? commitment.committedAt : null
+      },
+      candidates: pool.map(d => ({
+        donor: {
+          id: d.donor.id,
+          fullName: `${d.donor.firstName} ${d.donor.lastName}`,
+          email: d.donor.email,
+          donorType: d.donor.donorType
+        },
+        contributions: {
+          donationCount: d.donationCount,
+          totalContributed: Math.round(d.totalContributed * 100) / 100
+        },
+        selectionProbability: roundedProbability
+      })),
+      profitCalculation,
+      vendorDistribution,
+      agentPayouts,
+      executed: existing ? { distributionId: existing._id, executedAt: existing.executedAt } : null,
+      simulatedAt: new Date().toISOString()
+    };
   }
 
   /**
@@ -657,12 +1281,14 @@ class ProfitSharing {
         status: { $in: ['active', 'completed'] }
       }).lean();
 
+      const policy = await ProfitSharing.getPolicy(campaignId);
+
       const eligibleSeasons = seasons.filter(s =>
         ProfitSharing.checkSeasonEligibility(s).isEligible
       );
 
       const totalPotentialProfit = eligibleSeasons.reduce((sum, s) => {
-        const calc = ProfitSharing.calculateProfit(s.totalRaised);
+        const calc = ProfitSharing.calculateProfit(s.totalRaised, policy);
         return sum + calc.finalProfit;
       }, 0);
 
@@ -672,16 +1298,21 @@ class ProfitSharing {
           totalSeasons: seasons.length,
           eligibleSeasons: eligibleSeasons.length
         },
+        policy: {
+          id: policy._id || null,
+          version: policy.version,
+          isDefault: Boolean(policy.isDefault)
+        },
         potentialProfit: {
           total: Math.round(totalPotentialProfit * 100) / 100,
-          toAgents: Math.round(totalPotentialProfit * ProfitSharing.VENDOR_SPLIT.AGENTS * 100) / 100,
-          toStakeholders: Math.round(totalPotentialProfit * ProfitSharing.VENDOR_SPLIT.STAKEHOLDERS * 100) / 100
+          toAgents: Math.round(totalPotentialProfit * policy.vendorSplit.agents * 100) / 100,
+          toStakeholders: Math.round(totalPotentialProfit * policy.vendorSplit.stakeholders * 100) / 100
         },
         seasonBreakdown: eligibleSeasons.map(s => ({
           id: s._id,
           name: s.name,
           totalRaised: s.totalRaised,
-          profit: Math.round(ProfitSharing.calculateProfit(s.totalRaised).finalProfit * 100) / 100
+          profit: Math.round(ProfitSharing.calculateProfit(s.totalRaised, policy).finalProfit * 100) / 100
         }))
       };
     } catch (error) {
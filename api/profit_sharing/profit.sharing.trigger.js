@@ -0,0 +1,220 @@
+/**
+ * ============================================================================
+ * PROFIT SHARING TRIGGER CLASS
+ * ============================================================================
+ *
+ * Detects the donation that takes a season to its goal and queues a profit
+ * sharing job for the season. The campaign policy's executionMode decides
+ * what happens next:
+ *
+ *   auto     → queued → running → completed | failed
+ *   approval → awaiting_approval → (approve) running → completed | failed
+ *                                → (reject) rejected
+ *
+ * Auto jobs need a server-held draw commitment, since nobody is there to
+ * supply the reveal; without one the job is held for approval instead.
+ * Failed jobs can be approved again to retry. So can jobs left running (or
+ * queued) for PROFIT_SHARING_JOB_STALE_MINUTES, whose process presumably
+ * stopped; a run that did save its distribution is detected and the job
+ * completed.
+ *
+ * @class ProfitSharingTrigger
+ * @requires models/Season
+ * @requires models/DrawCommitment
+ * @requires models/ProfitSharingJob
+ * @requires profit_sharing/profit.sharing
+ */
+
+const Season = require('../models/Season');
+const DrawCommitment = require('../models/DrawCommitment');
+const ProfitSharingJob = require('../models/ProfitSharingJob');
+const ProfitSharing = require('./profit.sharing');
+
+class ProfitSharingTrigger {
+  /**
+   * Minutes after which a running or queued job is presumed abandoned
+   */
+  static STALE_MINUTES = Number(process.env.PROFIT_SHARING_JOB_STALE_MINUTES) || 30;
+
+  /**
+   * Record the goal crossing for a donation's season and queue its job
+   * Called after the season totals are recalculated. The conditional update on
+   * goalReachedAt means only the first donation to cross the goal triggers.
+   *
+   * @param {Object} donation - Donation document that was saved
+   * @param {number} totalRaised - Season total after recalculation
+   * @returns {Object|null} Created job, or null when no crossing happened
+   */
+  static async onSeasonTotals(donation, totalRaised) {
+    if (!donation.season || donation.status !== 'completed') return null;
+
+    const season = await Season.findOneAndUpdate(
+      { _id: donation.season, goalReachedAt: null, goal: { $gt: 0, $lte: totalRaised } },
+      { $set: { goalReachedAt: new Date(), goalReachedDonation: donation._id } },
+      { new: true }
+    ).lean();
+
+    if (!season) return null;
+
+    return ProfitSharingTrigger.enqueue(season, donation);
+  }
+
+  /**
+   * Create the profit sharing job for a season that reached its goal
+   *
+   * @param {Object} season - Season document (lean) with goalReachedAt set
+   * @param {Object} donation - Donation that crossed the goal
+   * @returns {Object} Job document
+   */
+  static async enqueue(season, donation) {
+    const policy = await ProfitSharing.getPolicy(season.campaign);
+    const mode = policy.executionMode === 'auto' ? 'auto' : 'approval';
+
+    let status = 'awaiting_approval';
+    let holdReason = null;
+
+    if (mode === 'auto') {
+      const commitment = await DrawCommitment.findOne({ season: season._id }).select('+reveal').lean();
+
+      if (!commitment) {
+        holdReason = 'No draw commitment found for this season';
+      } else if (!commitment.serverHeld || !commitment.reveal) {
+        holdReason = 'Draw commitment is not server-held; a reveal value is required';
+      } else {
+        status = 'queued';
+      }
+    }
+
+    let job;
+    try {
+      job = await ProfitSharingJob.create({
+        season: season._id,
+        campaign: season.campaign,
+        triggerDonation: donation._id,
+        goalReachedAt: season.goalReachedAt,
+        goal: season.goal,
+        totalRaisedAtTrigger: season.totalRaised,
+        mode,
+        status,
+        holdReason
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return ProfitSharingJob.findOne({ season: season._id }).lean();
+      }
+      throw error;
+    }
+
+    // Run outside the donation save so the donor's request is not held up
+    if (status === 'queued') {
+      setImmediate(() => {
+        ProfitSharingTrigger.run(job._id, ['queued']).catch((error) => {
+          console.error('Error running profit sharing job:', error);
+        });
+      });
+    }
+
+    return job;
+  }
+
+  /**
+   * Claim a job and execute profit sharing for its season
+   *
+   * @param {string} jobId - ProfitSharingJob id
+   * @param {Array} fromStatuses - Statuses the job may be claimed from
+   * @param {Object} options - { reveal, set, reclaimStale } where set holds
+   *   extra fields to record on the claim and reclaimStale also claims
+   *   abandoned running or queued jobs
+   * @returns {Object} { success, job, result } or { success: false, error }
+   */
+  static async run(jobId, fromStatuses, { reveal, set = {}, reclaimStale = false } = {}) {
+    const staleBefore = new Date(Date.now() - ProfitSharingTrigger.STALE_MINUTES * 60 * 1000);
+    const claimable = [{ status: { $in: fromStatuses } }];
+
+    if (reclaimStale) {
+      claimable.push(
+        { status: 'running', startedAt: { $lt: staleBefore } },
+        { status: 'queued', createdAt: { $lt: staleBefore } }
+      );
+    }
+
+    const job = await ProfitSharingJob.findOneAndUpdate(
+      { _id: jobId, $or: claimable },
+      {
+        $set: { ...set, status: 'running', startedAt: new Date(), error: null },
+        $inc: { attempts: 1 }
+      },
+      { new: true }
+    );
+
+    if (!job) {
+      const existing = await ProfitSharingJob.findById(jobId).select('status').lean();
+      return {
+        success: false,
+        error: existing ? `Job is ${existing.status}` : 'Profit sharing job not found',
+        status: existing?.status,
+        ...(reclaimStale && ['running', 'queued'].includes(existing?.status) && {
+          message: `It can be approved once it has been ${existing.status} for ${ProfitSharingTrigger.STALE_MINUTES} minutes`
+        })
+      };
+    }
+
+    const result = await ProfitSharing.executeProfitSharing(job.season, { reveal });
+
+    // A manual execution got there first: the job's work is done
+    const alreadyExecuted = !result.success && Boolean(result.distributionId);
+
+    job.status = result.success || alreadyExecuted ? 'completed' : 'failed';
+    job.distribution = result.distributionId || null;
+    job.error = result.success ? null : (result.message || result.error);
+    job.completedAt = job.status === 'completed' ? new Date() : null;
+    await job.save();
+
+    return { success: job.status === 'completed', job, result };
+  }
+
+  /**
+   * Approve a held, failed or abandoned job and execute it
+   *
+   * @param {string} jobId - ProfitSharingJob id
+   * @param {string} approvedBy - Approver identity
+   * @param {string} [reveal] - Reveal value when the commitment is not server-held
+   * @returns {Object} Run result
+   */
+  static approve(jobId, approvedBy, reveal) {
+    return ProfitSharingTrigger.run(jobId, ['awaiting_approval', 'failed'], {
+      reveal,
+      set: { approvedBy, approvedAt: new Date() },
+      reclaimStale: true
+    });
+  }
+
+  /**
+   * Reject a held (or failed) job; the season can still be executed by hand
+   *
+   * @param {string} jobId - ProfitSharingJob id
+   * @param {string} rejectedBy - Identity rejecting the job
+   * @param {string} reason - Rejection reason
+   * @returns {Object} { success, job } or { success: false, error }
+   */
+  static async reject(jobId, rejectedBy, reason) {
+    const job = await ProfitSharingJob.findOneAndUpdate(
+      { _id: jobId, status: { $in: ['awaiting_approval', 'failed'] } },
+      { $set: { status: 'rejected', rejectedBy, rejectionReason: reason, completedAt: new Date() } },
+      { new: true }
+    ).lean();
+
+    if (!job) {
+      const existing = await ProfitSharingJob.findById(jobId).select('status').lean();
+      return {
+        success: false,
+        error: existing ? `Job is ${existing.status}` : 'Profit sharing job not found',
+        status: existing?.status
+      };
+    }
+
+    return { success: true, job };
+  }
+}
+
+module.exports = ProfitSharingTrigger;
@@ -0,0 +1,750 @@
+/**
+ * ============================================================================
+ * RECURRING SERVICE CLASS
+ * ============================================================================
+ *
+ * Runs recurring donation plans. The periodic sweep picks up every active or
+ * past-due plan whose nextRunAt has come and:
+ *
+ *   1. creates the installment: a child donation (donationType 'recurring')
+ *      dated the plan's dueDate, placed in the season covering that date
+ *   2. with a saved payment token, charges it through the plan's provider;
+ *      without one the installment stays pending, for staff to process or
+ *      the donor to pay through a checkout (whose webhook saves the token)
+ *   3. on success (or a pending installment) moves dueDate and nextRunAt to
+ *      the next period
+ *
+ * Dunning: a charge the provider declines puts the plan past_due and retries
+ * after each of RECURRING_RETRY_DAYS (default 1,3,7) with an email to the
+ * donor. When the retries run out the installment stays failed, the saved
+ * token is dropped and the plan is paused until the donor or staff resume it.
+ * Charges that fail on our side (provider unavailable, the installment
+ * changed, a payment that could not be applied) are logged and retried on
+ * the next sweep; they are not dunning attempts and the donor is not emailed.
+ *
+ * Donors and staff can pause (optionally until a date), resume, skip the
+ * current installment or cancel. Resuming never back-charges periods missed
+ * while paused. Every step is appended to the plan's events.
+ *
+ * Methods return { success: false, status, error } for expected failures.
+ * Methods taking a `user` (req.user) limit donors to their own plans.
+ *
+ * @class RecurringService
+ * @requires models/RecurringPlan
+ * @requires payments/payment.service
+ * @requires rollover/season.assignment
+ * @requires fx/exchange.rate.service
+ */
+
+const RecurringPlan = require('../models/RecurringPlan');
+const Donation = require('../models/Donation');
+const Donor = require('../models/Donor');
+const Campaign = require('../models/Campaign');
+const PaymentGateway = require('../payments/payment.gateway');
+const PaymentService = require('../payments/payment.service');
+const SeasonAssignment = require('../rollover/season.assignment');
+const ExchangeRateService = require('../fx/exchange.rate.service');
+const TokenService = require('../auth/token.service');
+const Mailer = require('../mail/mailer');
+const { ROLES } = require('../middlesware/permissions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTHS = { monthly: 1, quarterly: 3, annually: 12 };
+const CLOSED_CAMPAIGN_STATUSES = ['completed', 'cancelled'];
+
+class RecurringService {
+  static FREQUENCIES = RecurringPlan.schema.path('frequency').enumValues;
+
+  /**
+   * Days to wait before each retry of a failed charge
+   */
+  static RETRY_DAYS = (process.env.RECURRING_RETRY_DAYS || '1,3,7')
+    .split(',')
+    .map(Number)
+    .filter(days => days > 0);
+
+  /**
+   * Minutes between sweeps when RECURRING_SWEEP_MINUTES is not set
+   */
+  static DEFAULT_INTERVAL_MINUTES = 60;
+
+  /**
+   * How long a sweep may hold a plan before another may pick it up
+   */
+  static LOCK_MINUTES = 10;
+
+  /**
+   * The installment date after `date`. Monthly and longer plans stay on
+   * their anchor day, or the last day of shorter months.
+   */
+  static nextDate(date, frequency, anchorDay) {
+    if (frequency === 'weekly') return new Date(date.getTime() + 7 * DAY_MS);
+
+    const next = new Date(date);
+    next.setUTCDate(1);
+    next.setUTCMonth(next.getUTCMonth() + MONTHS[frequency]);
+    const lastDay = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+    next.setUTCDate(Math.min(anchorDay, lastDay));
+    return next;
+  }
+
+  static event(type, { actor = null, actorModel = null, donation = null, note = null } = {}) {
+    return { type, at: new Date(), actor, actorModel, donation, note };
+  }
+
+  static actorOf(user) {
+    return user ? { actor: user.id, actorModel: TokenService.ACCOUNT_MODELS[user.role] } : {};
+  }
+
+  /**
+   * Query restriction for the caller: donors see their own plans, agents the
+   * plans they set up
+   */
+  static scope(user) {
+    if (!user) return {};
+    if (user.role === ROLES.DONOR) return { donor: user.id };
+    if ([ROLES.AGENT, ROLES.CORPORATE_AGENT].includes(user.role)) return { agent: user.id };
+    return {};
+  }
+
+  static async notify(plan, subject, lines) {
+    try {
+      const donor = await Donor.findById(plan.donor).select('firstName email deletedAt').lean();
+      if (!donor || donor.deletedAt) return;
+
+      await Mailer.send({
+        to: donor.email,
+        subject,
+        text: [`Hello ${donor.firstName},`, '', ...lines].join('\n')
+      });
+    } catch (error) {
+      // The plan changes stand even if the email cannot be sent
+      console.error('Failed to send recurring donation email:', error);
+    }
+  }
+
+  static describe(plan) {
+    return `${plan.frequency} donation of ${plan.amount} ${plan.currency}`;
+  }
+
+  // ==========================================================================
+  // MANAGEMENT
+  // ==========================================================================
+
+  /**
+   * Create a plan. The first installment is due on startDate, which cannot
+   * be before today: run() would charge every period since then in turn.
+   *
+   * @param {Object} input - { donor, campaign, agent, agentModel, amount,
+   *   currency, frequency, startDate, endDate, paymentMethod, paymentProvider,
+   *   paymentToken, isAnonymous }
+   * @param {Object} user - Caller (req.user); donors create plans for themselves
+   * @param {Object} options - { now }
+   * @returns {Object} { success, plan }
+   */
+  static async create(input, user, { now = new Date() } = {}) {
+    const startDate = input.startDate ? new Date(input.startDate) : now;
+    const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    if (startDate < today) return { success: false, status: 400, error: 'startDate cannot be before today' };
+
+    const donorId = user.role === ROLES.DONOR ? user.id : input.donor;
+    const [donor, campaign] = await Promise.all([
+      Donor.findById(donorId).select('isActive deletedAt').lean(),
+      Campaign.findById(input.campaign).select('name status baseCurrency').lean()
+    ]);
+
+    if (!donor || donor.deletedAt) return { success: false, status: 404, error: 'Donor not found' };
+    if (!donor.isActive) return { success: false, status: 400, error: 'Cannot create a plan for an inactive donor' };
+    if (!campaign) return { success: false, status: 404, error: 'Campaign not found' };
+
+    if (CLOSED_CAMPAIGN_STATUSES.includes(campaign.status)) {
+      return { success: false, status: 400, error: `Cannot give to a ${campaign.status} campaign` };
+    }
+
+    const currency = ExchangeRateService.normalise(input.currency) || campaign.baseCurrency;
+    if (!await ExchangeRateService.findRate(currency, campaign.baseCurrency)) {
+      return { success: false, status: 400, error: `No exchange rate from ${currency} to ${campaign.baseCurrency}` };
+    }
+
+    if (input.paymentProvider) {
+      const adapter = PaymentGateway.get(input.paymentProvider);
+      if (!adapter || typeof adapter.charge !== 'function') {
+        return { success: false, status: 400, error: `Payment provider '${input.paymentProvider}' cannot run recurring charges` };
+      }
+    } else if (input.paymentToken) {
+      return { success: false, status: 400, error: 'paymentToken needs a paymentProvider' };
+    }
+
+    const actor = RecurringService.actorOf(user);
+    const isAgent = [ROLES.AGENT, ROLES.CORPORATE_AGENT].includes(user.role);
+    const agent = isAgent ? user.id : input.agent || null;
+    const agentModel = isAgent ? actor.actorModel : input.agentModel || null;
+
+    const plan = await RecurringPlan.create({
+      donor: donorId,
+      campaign: campaign._id,
+      agent,
+      agentModel: agent ? agentModel : null,
+      amount: Number(input.amount),
+      currency,
+      frequency: input.frequency,
+      anchorDay: startDate.getUTCDate(),
+      startDate,
+      endDate: input.endDate ? new Date(input.endDate) : null,
+      paymentMethod: input.paymentMethod || (input.paymentProvider ? 'credit_card' : 'other'),
+      paymentProvider: input.paymentProvider || null,
+      paymentToken: input.paymentToken || null,
+      tokenSavedAt: input.paymentToken ? new Date() : null,
+      dueDate: startDate,
+      nextRunAt: startDate,
+      isAnonymous: Boolean(input.isAnonymous),
+      events: [RecurringService.event('created', actor)]
+    });
+
+    return { success: true, plan: RecurringService.toPublic(plan) };
+  }
+
+  /**
+   * Plan without the payment token
+   */
+  static toPublic(plan) {
+    const { paymentToken, lockedUntil, ...rest } = plan.toObject ? plan.toObject() : plan;
+    return rest;
+  }
+
+  /**
+   * @param {Object} query - { status, donor, campaign, frequency, page, limit }
+   * @param {Object} user - Caller (req.user)
+   * @returns {Object} { data, pagination }
+   */
+  static async list({ status, donor, campaign, frequency, page = 1, limit = 20 } = {}, user) {
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+    const filter = { ...RecurringService.scope(user) };
+
+    if (status) filter.status = status;
+    if (donor && !filter.donor) filter.donor = donor;
+    if (campaign) filter.campaign = campaign;
+    if (frequency) filter.frequency = frequency;
+
+    const [data, total] = await Promise.all([
+      RecurringPlan.find(filter)
+        .select('-events -lockedUntil')
+        .populate('donor', 'firstName lastName email')
+        .populate('campaign', 'name status')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      RecurringPlan.countDocuments(filter)
+    ]);
+
+    return {
+      data,
+      pagination: {
+        total,
+        page: pageNum,
+        limit: limitNum,
+        pages: Math.ceil(total / limitNum)
+      }
+    };
+  }
+
+  /**
+   * A plan with its audit trail and latest installments
+   */
+  static async findById(id, user) {
+    const plan = await RecurringPlan.findOne({ _id: id, ...RecurringService.scope(user) })
+      .select('-lockedUntil')
+      .populate('donor', 'firstName lastName email')
+      .populate('campaign', 'name status')
+      .lean();
+
+    if (!plan) return null;
+
+    const installments = await Donation.find({ recurringPlan: plan._id })
+      .select('amount currency status donationDate transactionId failureReason')
+      .sort({ donationDate: -1 })
+      .limit(12)
+      .lean();
+
+    return { ...plan, installments };
+  }
+
+  /**
+   * Load a plan for a state change, or the failure to return
+   */
+  static async load(id, user) {
+    const plan = await RecurringPlan.findOne({ _id: id, ...RecurringService.scope(user) });
+    return plan
+      ? { success: true, plan }
+      : { success: false, status: 404, error: 'Recurring plan not found' };
+  }
+
+  /**
+   * Apply a conditional update to a plan in one of `from` statuses
+   */
+  static async transition(plan, from, update) {
+    const updated = await RecurringPlan.findOneAndUpdate(
+      { _id: plan._id, status: { $in: from } },
+      update,
+      { new: true }
+    );
+
+    return updated
+      ? { success: true, plan: RecurringService.toPublic(updated) }
+      : { success: false, status: 409, error: 'Plan was changed by someone else; reload and try again' };
+  }
+
+  /**
+   * Stop creating installments, until resumed or until `until`
+   *
+   * @param {Object} options - { until, note }
+   */
+  static async pause(id, user, { until = null, note = null } = {}) {
+    const loaded = await RecurringService.load(id, user);
+    if (!loaded.success) return loaded;
+    const { plan } = loaded;
+
+    if (!['active', 'past_due'].includes(plan.status)) {
+      return { success: false, status: 409, error: `Cannot pause a ${plan.status} plan` };
+    }
+
+    return RecurringService.transition(plan, ['active', 'past_due'], {
+      $set: {
+        status: 'paused',
+        pausedAt: new Date(),
+        resumeAt: until,
+        pausedReason: 'requested',
+        failedAttempts: 0
+      },
+      $push: {
+        events: RecurringService.event('paused', {
+          ...RecurringService.actorOf(user),
+          note: [note, until ? `until ${until.toISOString().slice(0, 10)}` : null].filter(Boolean).join('; ') || null
+        })
+      }
+    });
+  }
+
+  /**
+   * Resume a paused plan from the next installment date that has not passed
+   */
+  static async resume(id, user, { now = new Date() } = {}) {
+    const loaded = await RecurringService.load(id, user);
+    if (!loaded.success) return loaded;
+    const { plan } = loaded;
+
+    if (plan.status !== 'paused') {
+      return { success: false, status: 409, error: `Cannot resume a ${plan.status} plan` };
+    }
+
+    return RecurringService.transition(plan, ['paused'], RecurringService.resumeUpdate(plan, user, now));
+  }
+
+  static resumeUpdate(plan, user, now) {
+    // Periods missed while paused are not charged
+    const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    let dueDate = plan.dueDate;
+    while (dueDate < today) dueDate = RecurringService.nextDate(dueDate, plan.frequency, plan.anchorDay);
+
+    return {
+      $set: {
+        status: 'active',
+        dueDate,
+        nextRunAt: dueDate,
+        pausedAt: null,
+        resumeAt: null,
+        pausedReason: null,
+        failedAttempts: 0
+      },
+      $push: { events: RecurringService.event('resumed', user ? RecurringService.actorOf(user) : { note: 'Scheduled resume' }) }
+    };
+  }
+
+  /**
+   * Skip the installment currently due; an unpaid pending installment for it
+   * is cancelled
+   */
+  static async skip(id, user) {
+    const loaded = await RecurringService.load(id, user);
+    if (!loaded.success) return loaded;
+    const { plan } = loaded;
+
+    if (!['active', 'past_due', 'paused'].includes(plan.status)) {
+      return { success: false, status: 409, error: `Cannot skip on a ${plan.status} plan` };
+    }
+
+    const skipped = plan.dueDate;
+    const dueDate = RecurringService.nextDate(skipped, plan.frequency, plan.anchorDay);
+    const cancelled = await Donation.findOneAndUpdate(
+      { recurringPlan: plan._id, donationDate: skipped, status: 'pending' },
+      { $set: { status: 'cancelled' } },
+      { new: true }
+    );
+
+    const result = await RecurringService.transition(plan, [plan.status], {
+      $set: {
+        dueDate,
+        nextRunAt: dueDate,
+        ...(plan.status === 'past_due' ? { status: 'active' } : {}),
+        failedAttempts: 0,
+        lastFailureReason: null
+      },
+      $push: {
+        events: RecurringService.event('skipped', {
+          ...RecurringService.actorOf(user),
+          donation: cancelled ? cancelled._id : null,
+          note: `Installment of ${skipped.toISOString().slice(0, 10)} skipped`
+        })
+      }
+    });
+
+    return result.success ? { ...result, skippedDate: skipped } : result;
+  }
+
+  /**
+   * Cancel for good; an unpaid pending installment is cancelled with it
+   */
+  static async cancel(id, user, { reason = null } = {}) {
+    const loaded = await RecurringService.load(id, user);
+    if (!loaded.success) return loaded;
+    const { plan } = loaded;
+
+    if (['cancelled', 'completed'].includes(plan.status)) {
+      return { success: false, status: 409, error: `Plan is already ${plan.status}` };
+    }
+
+    const result = await RecurringService.close(plan, 'cancelled', reason || 'Cancelled on request', RecurringService.actorOf(user));
+
+    if (result.success) {
+      await RecurringService.notify(plan, 'Your recurring donation has been cancelled', [
+        `Your ${RecurringService.describe(plan)} has been cancelled. No further payments will be taken.`,
+        '',
+        'Thank you for your support.'
+      ]);
+    }
+
+    return result;
+  }
+
+  /**
+   * Move a plan to cancelled or completed and cancel its unpaid pending
+   * installments
+   */
+  static async close(plan, status, note, actor = {}) {
+    const now = new Date();
+    const result = await RecurringService.transition(plan, ['active', 'past_due', 'paused'], {
+      $set: {
+        status,
+        nextRunAt: null,
+        ...(status === 'cancelled' ? { cancelledAt: now, cancelReason: note } : {})
+      },
+      $push: { events: RecurringService.event(status, { ...actor, note }) }
+    });
+
+    if (result.success) {
+      await Donation.updateMany(
+        { recurringPlan: plan._id, status: 'pending', paymentReference: null },
+        { $set: { status: 'cancelled' } }
+      );
+    }
+
+    return result;
+  }
+
+  // ==========================================================================
+  // SCHEDULER
+  // ==========================================================================
+
+  /**
+   * The installment donation for the plan's dueDate, created if needed
+   */
+  static async installmentFor(plan) {
+    const existing = await Donation.findOne({ recurringPlan: plan._id, donationDate: plan.dueDate });
+    if (existing) return existing;
+
+    const placement = await SeasonAssignment.resolve(plan.campaign, plan.dueDate);
+
+    try {
+      const donation = await Donation.create({
+        campaign: plan.campaign,
+        donor: plan.donor,
+        season: placement.season ? placement.season._id : undefined,
+        cycle: placement.cycle ? placement.cycle._id : undefined,
+        seasonAssignment: placement.season ? 'auto' : 'out_of_season',
+        agent: plan.agent || undefined,
+        agentModel: plan.agent ? plan.agentModel : undefined,
+        amount: plan.amount,
+        currency: plan.currency,
+        donationType: 'recurring',
+        paymentMethod: plan.paymentMethod,
+        status: 'pending',
+        donationDate: plan.dueDate,
+        isAnonymous: plan.isAnonymous,
+        recurringPlan: plan._id
+      });
+
+      await RecurringPlan.updateOne({ _id: plan._id }, { $inc: { installmentCount: 1 } });
+      return donation;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return Donation.findOne({ recurringPlan: plan._id, donationDate: plan.dueDate });
+    }
+  }
+
+  /**
+   * Move to the next installment; completes the plan past its endDate
+   */
+  static async advance(plan, event, extra = {}) {
+    const dueDate = RecurringService.nextDate(plan.dueDate, plan.frequency, plan.anchorDay);
+
+    await RecurringPlan.updateOne(
+      { _id: plan._id },
+      {
+        $set: { status: 'active', dueDate, nextRunAt: dueDate, failedAttempts: 0, lastFailureReason: null, ...extra },
+        $push: { events: event }
+      }
+    );
+
+    if (plan.endDate && dueDate > plan.endDate) {
+      await RecurringService.close({ _id: plan._id }, 'completed', 'End date reached');
+    }
+  }
+
+  /**
+   * Record a charge that failed on our side. The plan stays due, so the next
+   * sweep tries again; an event is only added when the reason changes.
+   */
+  static async chargeError(plan, donation, reason) {
+    console.error(`Recurring plan ${plan._id} could not charge installment ${donation._id}: ${reason}`);
+
+    const update = { $set: { lastFailureReason: reason } };
+    if (plan.lastFailureReason !== reason) {
+      update.$push = { events: RecurringService.event('charge_error', { donation: donation._id, note: reason }) };
+    }
+    await RecurringPlan.updateOne({ _id: plan._id }, update);
+  }
+
+  /**
+   * Record a charge declined by the provider: retry later, or pause once
+   * retries run out
+   */
+  static async fail(plan, donation, reason, now) {
+    const attempts = plan.failedAttempts + 1;
+    const event = RecurringService.event('charge_failed', { donation: donation._id, note: reason });
+
+    if (attempts <= RecurringService.RETRY_DAYS.length) {
+      const retryAt = new Date(now.getTime() + RecurringService.RETRY_DAYS[attempts - 1] * DAY_MS);
+
+      await RecurringPlan.updateOne(
+        { _id: plan._id },
+        {
+          $set: { status: 'past_due', nextRunAt: retryAt, failedAttempts: attempts, lastFailureReason: reason },
+          $push: { events: event }
+        }
+      );
+
+      await RecurringService.notify(plan, 'Your recurring donation payment failed', [
+        `We could not take your ${RecurringService.describe(plan)}.`,
+        `Reason: ${reason}`,
+        '',
+        `We will try again on ${retryAt.toDateString()}. Please make sure your card can be charged.`
+      ]);
+      return;
+    }
+
+    // Out of retries: give up on this installment and wait for the donor
+    const dueDate = RecurringService.nextDate(plan.dueDate, plan.frequency, plan.anchorDay);
+    await RecurringPlan.updateOne(
+      { _id: plan._id },
+      {
+        $set: {
+          status: 'paused',
+          pausedAt: now,
+          pausedReason: 'payment_failed',
+          dueDate,
+          nextRunAt: dueDate,
+          failedAttempts: 0,
+          lastFailureReason: reason,
+          paymentToken: null,
+          tokenSavedAt: null
+        },
+        $push: { events: [event, RecurringService.event('paused', { note: 'Payment retries exhausted' })] }
+      }
+    );
+
+    await RecurringService.notify(plan, 'Your recurring donation is paused', [
+      `We could not take your ${RecurringService.describe(plan)} after ${attempts} attempts, so the plan is paused.`,
+      '',
+      'Resume it from your donor account; the next donation will ask you to pay by card again.'
+    ]);
+  }
+
+  /**
+   * Process one due plan. Claims it first so overlapping sweeps skip it.
+   *
+   * @param {string} id - Plan ID
+   * @param {Object} options - { now }
+   * @returns {string|null} What happened, or null if the plan was not due
+   */
+  static async run(id, { now = new Date() } = {}) {
+    const plan = await RecurringPlan.findOneAndUpdate(
+      {
+        _id: id,
+        status: { $in: ['active', 'past_due'] },
+        nextRunAt: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+      },
+      { $set: { lockedUntil: new Date(now.getTime() + RecurringService.LOCK_MINUTES * 60 * 1000) } },
+      { new: true }
+    ).select('+paymentToken');
+
+    if (!plan) return null;
+
+    try {
+      if (plan.endDate && plan.dueDate > plan.endDate) {
+        await RecurringService.close(plan, 'completed', 'End date reached');
+        return 'completed';
+      }
+
+      const [campaign, donor] = await Promise.all([
+        Campaign.findById(plan.campaign).select('status').lean(),
+        Donor.findById(plan.donor).select('email isActive deletedAt').lean()
+      ]);
+
+      if (!campaign || CLOSED_CAMPAIGN_STATUSES.includes(campaign.status)) {
+        await RecurringService.close(plan, 'cancelled', 'Campaign closed');
+        return 'cancelled';
+      }
+
+      if (!donor || !donor.isActive || donor.deletedAt) {
+        await RecurringService.close(plan, 'cancelled', 'Donor inactive');
+        return 'cancelled';
+      }
+
+      const donation = await RecurringService.installmentFor(plan);
+
+      // Paid in the meantime, e.g. by a late webhook
+      if (donation.status === 'completed') {
+        await RecurringService.advance(
+          plan,
+          RecurringService.event('charged', { donation: donation._id }),
+          { lastChargedAt: now }
+        );
+        return 'charged';
+      }
+
+      if (!plan.paymentToken) {
+        await RecurringService.advance(
+          plan,
+          RecurringService.event('installment_created', { donation: donation._id, note: 'Awaiting payment' })
+        );
+
+        if (plan.paymentProvider) {
+          await RecurringService.notify(plan, 'Your recurring donation is due', [
+            `Your ${RecurringService.describe(plan)} is due.`,
+            'Sign in to your donor account to complete the payment; your card will then be charged automatically next time.'
+          ]);
+        }
+        return 'installment_created';
+      }
+
+      const charge = await PaymentService.charge(donation, {
+        provider: plan.paymentProvider,
+        token: plan.paymentToken,
+        email: donor.email
+      });
+
+      // Never reached the provider: not the donor's card
+      if (!charge.success) {
+        await RecurringService.chargeError(plan, donation, charge.error);
+        return 'retrying';
+      }
+
+      if (charge.outcome === 'completed' && charge.donation && charge.donation.status === 'completed') {
+        await RecurringService.advance(
+          plan,
+          RecurringService.event('charged', { donation: donation._id }),
+          { lastChargedAt: now }
+        );
+        return 'charged';
+      }
+
+      // Provider still processing; its webhook completes the installment
+      if (charge.outcome === 'pending') {
+        await RecurringService.advance(
+          plan,
+          RecurringService.event('charge_pending', { donation: donation._id, note: 'Awaiting provider confirmation' })
+        );
+        return 'pending';
+      }
+
+      if (charge.outcome === 'failed') {
+        await RecurringService.fail(plan, donation, charge.reason || 'Payment failed', now);
+        return 'failed';
+      }
+
+      // Paid, but the payment could not be applied (e.g. amount_mismatch)
+      await RecurringService.chargeError(plan, donation, `Provider reported ${charge.outcome}; payment ${charge.result}`);
+      return 'retrying';
+    } finally {
+      await RecurringPlan.updateOne({ _id: plan._id }, { $set: { lockedUntil: null } });
+    }
+  }
+
+  /**
+   * Resume plans whose pause has ended, then run every due plan
+   *
+   * @param {Object} options - { now }
+   * @returns {Object} Counts per outcome
+   */
+  static async sweep({ now = new Date() } = {}) {
+    const summary = { resumed: 0, checked: 0, errors: 0 };
+
+    const resuming = await RecurringPlan.find({ status: 'paused', resumeAt: { $ne: null, $lte: now } });
+    for (const plan of resuming) {
+      const result = await RecurringService.transition(plan, ['paused'], RecurringService.resumeUpdate(plan, null, now));
+      if (result.success) summary.resumed += 1;
+    }
+
+    const due = await RecurringPlan.find({ status: { $in: ['active', 'past_due'] }, nextRunAt: { $lte: now } })
+      .select('_id')
+      .lean();
+
+    for (const { _id } of due) {
+      summary.checked += 1;
+      try {
+        const outcome = await RecurringService.run(_id, { now });
+        if (outcome) summary[outcome] = (summary[outcome] || 0) + 1;
+      } catch (error) {
+        summary.errors += 1;
+        console.error(`Error running recurring plan ${_id}:`, error);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Run sweep() every intervalMinutes. Does nothing for 0 or less.
+   *
+   * @param {number} intervalMinutes - Minutes between sweeps
+   * @returns {Object|null} Interval handle
+   */
+  static startScheduler(intervalMinutes = RecurringService.DEFAULT_INTERVAL_MINUTES) {
+    if (!(intervalMinutes > 0)) return null;
+
+    const timer = setInterval(() => {
+      RecurringService.sweep().catch((error) => {
+        console.error('Error in recurring donation sweep:', error);
+      });
+    }, intervalMinutes * 60 * 1000);
+
+    // Do not keep the process alive just for the scheduler
+    timer.unref();
+    return timer;
+  }
+}
+
+module.exports = RecurringService;
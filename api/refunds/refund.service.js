@@ -0,0 +1,565 @@
+/**
+ * ============================================================================
+ * REFUND SERVICE CLASS
+ * ============================================================================
+ *
+ * Refunds part or all of a completed donation. Every refund is its own
+ * Refund record with amount, reason, operator, status and the provider's
+ * refund ID:
+ *
+ *   - Donations paid through a provider that supports refunds are refunded
+ *     there (method 'gateway'); the refund stays pending until the provider
+ *     confirms it, directly or by webhook. Anything else is recorded as paid
+ *     back outside the system (method 'manual') and completes at once.
+ *   - A refund holds its amount in the donation's pendingRefundAmount from
+ *     before it is sent to the provider until it completes, fails or is
+ *     cancelled; the check and the hold are a single update.
+ *   - A completed refund adds to the donation's refundedAmount and
+ *     refundedBaseAmount. Totals subtract only that portion; a donation
+ *     refunded in full moves to status refunded.
+ *   - Refunds initiated in a provider's dashboard arrive as webhooks
+ *     (PaymentService.apply) and are recorded as completed refunds.
+ *
+ * Profit sharing: when the donation's season has already paid out (a payout
+ * of its distribution is paid), REFUNDS_AFTER_PAYOUT decides: 'block'
+ * (default) rejects the refund, 'clawback' lets it through flagged for
+ * clawback until someone marks the money recovered or waived. Provider
+ * refunds cannot be blocked and are always flagged.
+ *
+ * Methods return { success: false, status, error } for expected failures.
+ *
+ * @class RefundService
+ * @requires models/Refund
+ * @requires payments/payment.gateway
+ */
+
+const mongoose = require('mongoose');
+const Refund = require('../models/Refund');
+const Donation = require('../models/Donation');
+const ProfitDistribution = require('../models/ProfitDistribution');
+const Payout = require('../models/Payout');
+const PaymentGateway = require('../payments/payment.gateway');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+class RefundService {
+  static STATUSES = Refund.schema.path('status').enumValues;
+
+  static CLAWBACK_STATUSES = ['pending', 'recovered', 'waived'];
+
+  // Times applyToDonation recalculates when the donation changes under it
+  static APPLY_ATTEMPTS = 5;
+
+  /**
+   * What happens to refunds of donations in seasons that have paid out
+   * profit sharing: block | clawback
+   */
+  static afterPayoutPolicy() {
+    return process.env.REFUNDS_AFTER_PAYOUT === 'clawback' ? 'clawback' : 'block';
+  }
+
+  /**
+   * Profit sharing state of a season
+   *
+   * @returns {Object|null} { distribution, paidOut } or null when profit
+   *   sharing has not run
+   */
+  static async payoutState(seasonId) {
+    if (!seasonId) return null;
+
+    const distribution = await ProfitDistribution.findOne({ season: seasonId }).select('_id').lean();
+    if (!distribution) return null;
+
+    const paidOut = Boolean(await Payout.exists({ distribution: distribution._id, status: 'paid' }));
+    return { distribution: distribution._id, paidOut };
+  }
+
+  /**
+   * Amount of a donation not yet refunded or held by a pending refund
+   */
+  static refundable(donation) {
+    return round(donation.amount - (donation.refundedAmount || 0) - (donation.pendingRefundAmount || 0));
+  }
+
+  /**
+   * Hold part of a completed donation for a pending refund
+   *
+   * @returns {Object|null} The donation, or null when that much is no
+   *   longer refundable
+   */
+  static async reserve(donationId, amount) {
+    return Donation.findOneAndUpdate(
+      {
+        _id: donationId,
+        status: 'completed',
+        $expr: {
+          $lte: [
+            { $add: [{ $ifNull: ['$refundedAmount', 0] }, { $ifNull: ['$pendingRefundAmount', 0] }, amount] },
+            { $add: ['$amount', 0.005] }
+          ]
+        }
+      },
+      { $inc: { pendingRefundAmount: amount } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Give back the hold of a refund that failed or was cancelled
+   */
+  static async release(donationId, amount) {
+    return Donation.updateOne({ _id: donationId }, { $inc: { pendingRefundAmount: -amount } });
+  }
+
+  static history(from, to, by = null, note = null) {
+    return { from, to, by, note, at: new Date() };
+  }
+
+  // ==========================================================================
+  // LIFECYCLE
+  // ==========================================================================
+
+  /**
+   * Refund part or all of a completed donation
+   *
+   * @param {string} donationId - Donation ID
+   * @param {Object} input - { amount (default: all that is left), reason,
+   *   method: gateway | manual (default: gateway when the provider supports it) }
+   * @param {Object} user - Operator (req.user)
+   * @returns {Object} { success, refund, donation, warnings }
+   */
+  static async create(donationId, { amount, reason, method } = {}, user = null) {
+    const donation = await Donation.findById(donationId);
+    if (!donation) return { success: false, status: 404, error: 'Donation not found' };
+
+    if (donation.status !== 'completed') {
+      return { success: false, status: 400, error: 'Can only refund completed donations', currentStatus: donation.status };
+    }
+
+    const refundable = RefundService.refundable(donation);
+    const refundAmount = amount === undefined || amount === null ? refundable : round(Number(amount));
+
+    if (!(refundAmount > 0) || refundAmount > refundable) {
+      return {
+        success: false,
+        status: 400,
+        error: refundable > 0
+          ? `Refund amount must be between 0.01 and ${refundable} ${donation.currency}`
+          : 'Nothing left to refund on this donation',
+        refundable
+      };
+    }
+
+    const warnings = [];
+    const payouts = await RefundService.payoutState(donation.season);
+    const clawback = { status: null, distribution: null };
+
+    if (payouts && payouts.paidOut) {
+      if (RefundService.afterPayoutPolicy() === 'block') {
+        return {
+          success: false,
+          status: 409,
+          error: 'The donation\'s season has already paid out profit sharing',
+          distribution: payouts.distribution
+        };
+      }
+      clawback.status = 'pending';
+      clawback.distribution = payouts.distribution;
+      warnings.push('The season has already paid out profit sharing - the refund is flagged for clawback');
+    } else if (payouts) {
+      warnings.push('Profit sharing for the season was calculated with the full donation');
+    }
+
+    const adapter = donation.paymentProvider ? PaymentGateway.get(donation.paymentProvider) : null;
+    const canUseGateway = Boolean(adapter && typeof adapter.refund === 'function' && donation.paymentReference);
+
+    if (method === 'gateway' && !canUseGateway) {
+      return { success: false, status: 400, error: 'This donation cannot be refunded through a payment provider; use method manual' };
+    }
+
+    // Hold the amount before the provider is asked for it
+    if (!await RefundService.reserve(donation._id, refundAmount)) {
+      return {
+        success: false,
+        status: 409,
+        error: 'Another refund of this donation was issued at the same time; check what is left and try again'
+      };
+    }
+
+    const useGateway = method ? method === 'gateway' : canUseGateway;
+    let refund;
+    try {
+      refund = await Refund.create({
+        donation: donation._id,
+        donor: donation.donor,
+        campaign: donation.campaign,
+        season: donation.season,
+        amount: refundAmount,
+        currency: donation.currency,
+        baseAmount: round(refundAmount * (donation.exchangeRate || 1)),
+        reason,
+        method: useGateway ? 'gateway' : 'manual',
+        provider: useGateway ? donation.paymentProvider : null,
+        requestedBy: user ? user.id : null,
+        clawback,
+        statusHistory: [RefundService.history(null, 'pending', user ? user.id : null, reason)]
+      });
+    } catch (error) {
+      await RefundService.release(donation._id, refundAmount);
+      throw error;
+    }
+
+    if (!useGateway) {
+      const completed = await RefundService.complete(refund._id, { by: user ? user.id : null });
+      return { ...completed, warnings };
+    }
+
+    let result;
+    try {
+      result = await adapter.refund({
+        reference: donation.paymentReference,
+        transactionId: donation.transactionId,
+        amount: refundAmount,
+        currency: donation.currency,
+        reason
+      });
+    } catch (error) {
+      console.error(`Error refunding through ${donation.paymentProvider}:`, error);
+      result = { outcome: 'failed', reason: error.message };
+    }
+
+    if (result.refundReference) {
+      await Refund.updateOne({ _id: refund._id }, { $set: { gatewayReference: result.refundReference } });
+    }
+
+    if (result.outcome === 'completed') {
+      const completed = await RefundService.complete(refund._id, { note: `Confirmed by ${donation.paymentProvider}` });
+      return { ...completed, warnings };
+    }
+
+    if (result.outcome === 'failed') {
+      const failed = await RefundService.fail(refund._id, result.reason || 'Refund failed at the provider');
+      return {
+        success: false,
+        status: 502,
+        error: 'Payment provider could not refund the donation',
+        message: failed.failureReason,
+        refund: failed
+      };
+    }
+
+    warnings.push(`Waiting for ${donation.paymentProvider} to confirm the refund`);
+    return { success: true, refund: await Refund.findById(refund._id), donation, warnings };
+  }
+
+  /**
+   * Complete a pending refund and apply it to the donation. When the
+   * donation cannot be updated the refund goes back to pending, so the
+   * provider's webhook (or cancelling and issuing it again) can retry.
+   *
+   * @param {string} id - Refund ID
+   * @param {Object} options - { by, note }
+   * @returns {Object} { success, refund, donation }
+   */
+  static async complete(id, { by = null, note = null } = {}) {
+    const refund = await Refund.findOneAndUpdate(
+      { _id: id, status: 'pending' },
+      {
+        $set: { status: 'completed', completedAt: new Date(), failureReason: null },
+        $push: { statusHistory: RefundService.history('pending', 'completed', by, note) }
+      },
+      { new: true }
+    );
+
+    if (!refund) return { success: true, refund: await Refund.findById(id), donation: null };
+
+    const applied = await RefundService.applyToDonation(refund.donation, refund.amount);
+    if (applied.success) return { success: true, refund, donation: applied.donation };
+
+    const reverted = await Refund.findOneAndUpdate(
+      { _id: id, status: 'completed' },
+      {
+        $set: { status: 'pending', completedAt: null },
+        $push: { statusHistory: RefundService.history('completed', 'pending', null, applied.error) }
+      },
+      { new: true }
+    );
+
+    return { ...applied, refund: reverted };
+  }
+
+  /**
+   * Recalculate a donation's refunded amounts from its completed refunds,
+   * mark it refunded once nothing is left, and update the totals it feeds.
+   * The write only matches the status and refundedAmount it was calculated
+   * from; when either changed in between it is calculated again.
+   *
+   * @param {string} donationId - Donation ID
+   * @param {number} released - Hold of the refund just completed
+   * @returns {Object} { success, donation }
+   */
+  static async applyToDonation(donationId, released = 0) {
+    const id = new mongoose.Types.ObjectId(String(donationId));
+
+    for (let attempt = 0; attempt < RefundService.APPLY_ATTEMPTS; attempt++) {
+      // Read before summing, so a refund completed in between changes
+      // refundedAmount and fails the write below
+      const donation = await Donation.findById(id);
+      if (!donation) return { success: false, status: 404, error: 'Donation not found' };
+
+      const [refunded] = await Refund.aggregate([
+        { $match: { donation: id, status: 'completed' } },
+        { $group: { _id: null, total: { $sum: '$amount' } } }
+      ]);
+
+      const refundedAmount = Math.min(donation.amount, round(refunded ? refunded.total : 0));
+      const changes = {
+        refundedAmount,
+        refundedBaseAmount: round(refundedAmount * (donation.exchangeRate || 1))
+      };
+
+      if (donation.status === 'completed' && refundedAmount >= donation.amount - 0.005) {
+        changes.status = 'refunded';
+      }
+
+      const updated = await Donation.findOneAndUpdate(
+        {
+          _id: id,
+          status: donation.status,
+          refundedAmount: donation.refundedAmount ? donation.refundedAmount : { $in: [0, null] }
+        },
+        { $set: changes, $inc: { pendingRefundAmount: -released } },
+        { new: true }
+      );
+
+      if (updated) {
+        await Donation.recalculateTotals(updated);
+        return { success: true, donation: updated };
+      }
+    }
+
+    return {
+      success: false,
+      status: 409,
+      error: 'The donation changed while the refund was being applied; it is pending again'
+    };
+  }
+
+  /**
+   * Mark a pending refund failed; nothing was refunded
+   */
+  static async fail(id, reason, by = null) {
+    const refund = await Refund.findOneAndUpdate(
+      { _id: id, status: 'pending' },
+      {
+        $set: { status: 'failed', failureReason: reason },
+        $push: { statusHistory: RefundService.history('pending', 'failed', by, reason) }
+      },
+      { new: true }
+    );
+
+    if (refund) await RefundService.release(refund.donation, refund.amount);
+    return refund;
+  }
+
+  /**
+   * Cancel a pending refund, e.g. one the provider never confirmed
+   *
+   * @returns {Object} { success, refund }
+   */
+  static async cancel(id, { note = null } = {}, user = null) {
+    const refund = await Refund.findOneAndUpdate(
+      { _id: id, status: 'pending' },
+      {
+        $set: { status: 'cancelled' },
+        $push: { statusHistory: RefundService.history('pending', 'cancelled', user ? user.id : null, note) }
+      },
+      { new: true }
+    );
+
+    if (!refund) {
+      const existing = await Refund.findById(id).select('status').lean();
+      return existing
+        ? { success: false, status: 409, error: `Cannot cancel a ${existing.status} refund` }
+        : { success: false, status: 404, error: 'Refund not found' };
+    }
+
+    await RefundService.release(refund.donation, refund.amount);
+    return { success: true, refund };
+  }
+
+  /**
+   * Resolve the clawback of a refund from a season that had paid out
+   *
+   * @param {string} id - Refund ID
+   * @param {Object} input - { status: recovered | waived, note }
+   * @returns {Object} { success, refund }
+   */
+  static async resolveClawback(id, { status, note = null }, user = null) {
+    const refund = await Refund.findOneAndUpdate(
+      { _id: id, 'clawback.status': 'pending' },
+      {
+        $set: {
+          'clawback.status': status,
+          'clawback.resolvedBy': user ? user.id : null,
+          'clawback.resolvedAt': new Date(),
+          'clawback.note': note
+        }
+      },
+      { new: true }
+    );
+
+    if (!refund) {
+      const existing = await Refund.findById(id).select('clawback').lean();
+      return existing
+        ? { success: false, status: 409, error: 'Refund has no pending clawback' }
+        : { success: false, status: 404, error: 'Refund not found' };
+    }
+
+    return { success: true, refund };
+  }
+
+  // ==========================================================================
+  // PROVIDER REFUNDS
+  // ==========================================================================
+
+  /**
+   * Apply a provider's refund notification to a donation: completes our
+   * pending refund with that provider refund ID, or records a refund made in
+   * the provider's dashboard
+   *
+   * @param {string} provider - Provider name
+   * @param {Object} result - Normalised refunded result (see payment.gateway)
+   * @param {Object} donation - Donation with the result's reference
+   * @returns {Object} { result: applied | duplicate | no_change, refund, donation, reason }
+   */
+  static async fromProvider(provider, result, donation) {
+    const reference = result.refundReference || null;
+
+    if (reference) {
+      const known = await Refund.findOne({ provider, gatewayReference: reference });
+
+      if (known && known.status === 'completed') return { result: 'duplicate', refund: known };
+      if (known && known.status === 'pending') {
+        return RefundService.completeFromProvider(known._id, provider);
+      }
+      if (known) return { result: 'no_change', refund: known, reason: `Refund is ${known.status}` };
+    }
+
+    if (donation.status !== 'completed') {
+      return { result: 'no_change', reason: `Cannot refund a ${donation.status} donation` };
+    }
+
+    // Without an amount the provider refunded what was left
+    const left = RefundService.refundable(donation);
+    const amount = result.amount != null ? Math.min(round(Number(result.amount)), left) : left;
+    if (!(amount > 0) || !await RefundService.reserve(donation._id, amount)) {
+      return { result: 'no_change', reason: 'Nothing left to refund' };
+    }
+
+    const payouts = await RefundService.payoutState(donation.season);
+    const paidOut = Boolean(payouts && payouts.paidOut);
+
+    let refund;
+    try {
+      refund = await Refund.create({
+        donation: donation._id,
+        donor: donation.donor,
+        campaign: donation.campaign,
+        season: donation.season,
+        amount,
+        currency: donation.currency,
+        baseAmount: round(amount * (donation.exchangeRate || 1)),
+        reason: result.reason || `Refunded via ${provider}`,
+        method: 'gateway',
+        provider,
+        gatewayReference: reference,
+        clawback: paidOut ? { status: 'pending', distribution: payouts.distribution } : { status: null },
+        statusHistory: [RefundService.history(null, 'pending', null, `Reported by ${provider} webhook`)]
+      });
+    } catch (error) {
+      await RefundService.release(donation._id, amount);
+
+      // A concurrent delivery recorded it first
+      if (error.code !== 11000) throw error;
+      return { result: 'duplicate', refund: await Refund.findOne({ provider, gatewayReference: reference }) };
+    }
+
+    return RefundService.completeFromProvider(refund._id, provider);
+  }
+
+  /**
+   * Complete a refund the provider confirmed. Throws when the donation could
+   * not be updated, so the webhook fails and the provider sends it again.
+   */
+  static async completeFromProvider(id, provider) {
+    const { success, error, refund, donation } = await RefundService.complete(id, { note: `Confirmed by ${provider} webhook` });
+    if (!success) throw new Error(error);
+    return { result: 'applied', refund, donation };
+  }
+
+  // ==========================================================================
+  // QUERIES
+  // ==========================================================================
+
+  /**
+   * @param {Object} query - { donation, campaign, season, status, clawback,
+   *   method, page, limit }
+   * @returns {Object} { data, pagination, totals }
+   */
+  static async list({ donation, campaign, season, status, clawback, method, page = 1, limit = 20 } = {}) {
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+    const filter = {};
+
+    if (donation) filter.donation = new mongoose.Types.ObjectId(String(donation));
+    if (campaign) filter.campaign = new mongoose.Types.ObjectId(String(campaign));
+    if (season) filter.season = new mongoose.Types.ObjectId(String(season));
+    if (status) filter.status = status;
+    if (clawback) filter['clawback.status'] = clawback;
+    if (method) filter.method = method;
+
+    const [data, total, totals] = await Promise.all([
+      Refund.find(filter)
+        .populate('donation', 'amount currency status donationDate')
+        .populate('donor', 'firstName lastName email')
+        .populate('campaign', 'name baseCurrency')
+        .populate('season', 'name')
+        .populate('requestedBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      Refund.countDocuments(filter),
+      Refund.aggregate([
+        { $match: filter },
+        { $group: { _id: '$status', count: { $sum: 1 }, baseAmount: { $sum: '$baseAmount' } } },
+        { $sort: { _id: 1 } }
+      ])
+    ]);
+
+    return {
+      data,
+      pagination: {
+        total,
+        page: pageNum,
+        limit: limitNum,
+        pages: Math.ceil(total / limitNum)
+      },
+      totals: totals.map(row => ({ status: row._id, count: row.count, baseAmount: round(row.baseAmount) }))
+    };
+  }
+
+  static async findById(id) {
+    return Refund.findById(id)
+      .populate('donation', 'amount currency refundedAmount status donationDate paymentProvider')
+      .populate('donor', 'firstName lastName email')
+      .populate('campaign', 'name baseCurrency')
+      .populate('season', 'name')
+      .populate('requestedBy', 'name email')
+      .populate('clawback.resolvedBy', 'name email')
+      .lean();
+  }
+}
+
+module.exports = RefundService;
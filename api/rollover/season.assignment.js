@@ -0,0 +1,217 @@
+/**
+ * ============================================================================
+ * SEASON ASSIGNMENT CLASS
+ * ============================================================================
+ *
+ * Works out which season and cycle a donation belongs to from its
+ * donationDate, so donations count toward season totals and profit-sharing
+ * eligibility without the client having to pass them:
+ *
+ *   - The season is the campaign's season whose startDate..endDate covers the
+ *     date; when seasons overlap the active one wins, then the latest started
+ *   - The cycle is the season's cycle, or else the campaign cycle whose dates
+ *     cover the donation date
+ *
+ * Donations dated outside every season are rejected or flagged as
+ * out_of_season depending on campaign.settings.outOfSeasonDonations.
+ *
+ * @class SeasonAssignment
+ * @requires models/Season
+ * @requires models/Cycle
+ * @requires models/Donation
+ * @requires profit_sharing/profit.sharing.trigger
+ */
+
+const Season = require('../models/Season');
+const Cycle = require('../models/Cycle');
+const Donation = require('../models/Donation');
+const { BASE_AMOUNT } = require('../fx/exchange.rate.service');
+const ProfitSharingTrigger = require('../profit_sharing/profit.sharing.trigger');
+
+class SeasonAssignment {
+  /**
+   * Load the seasons and cycles of a campaign needed to place its donations
+   *
+   * @param {string} campaignId - Campaign MongoDB ObjectId
+   * @returns {Object} { seasons, cycles }
+   */
+  static async loadCalendar(campaignId) {
+    const [seasons, cycles] = await Promise.all([
+      Season.find({ campaign: campaignId }).select('name status startDate endDate cycle').lean(),
+      Cycle.find({ campaign: campaignId }).select('cycleNumber status startDate endDate').lean()
+    ]);
+
+    return { seasons, cycles };
+  }
+
+  /**
+   * Pick the season and cycle covering `date` from a loaded calendar
+   *
+   * @param {Object} calendar - { seasons, cycles } from loadCalendar()
+   * @param {Date} date - Donation date
+   * @returns {Object} { season, cycle } (either may be null)
+   */
+  static pick({ seasons, cycles }, date) {
+    const when = new Date(date);
+    const covers = (doc) => doc.startDate && new Date(doc.startDate) <= when
+      && (!doc.endDate || when <= new Date(doc.endDate));
+
+    const season = seasons
+      .filter(covers)
+      .sort((a, b) => (b.status === 'active') - (a.status === 'active')
+        || new Date(b.startDate) - new Date(a.startDate))[0] || null;
+
+    let cycle = null;
+    if (season?.cycle) {
+      cycle = cycles.find(c => String(c._id) === String(season.cycle)) || { _id: season.cycle };
+    } else {
+      cycle = cycles
+        .filter(covers)
+        .sort((a, b) => b.cycleNumber - a.cycleNumber)[0] || null;
+    }
+
+    return { season, cycle };
+  }
+
+  /**
+   * Resolve the season and cycle of a campaign for a donation date
+   *
+   * @param {string} campaignId - Campaign MongoDB ObjectId
+   * @param {Date} date - Donation date
+   * @returns {Object} { season, cycle } (either may be null)
+   */
+  static async resolve(campaignId, date = new Date()) {
+    const calendar = await SeasonAssignment.loadCalendar(campaignId);
+    return SeasonAssignment.pick(calendar, date);
+  }
+
+  /**
+   * Recalculate a season's or cycle's totals from its completed donations
+   *
+   * @param {Model} Model - Season or Cycle
+   * @param {string} field - Donation field referencing it ('season' or 'cycle')
+   * @param {ObjectId} id - Season or cycle ObjectId
+   */
+  static async refreshTotals(Model, field, id) {
+    const result = await Donation.aggregate([
+      { $match: { [field]: id, status: 'completed' } },
+      { $group: { _id: null, total: { $sum: BASE_AMOUNT }, count: { $sum: 1 } } }
+    ]);
+    const stats = result[0] || { total: 0, count: 0 };
+
+    await Model.findByIdAndUpdate(id, { totalRaised: stats.total, donationCount: stats.count });
+  }
+
+  /**
+   * Completed donation of a season whose running total, in donationDate
+   * order, first reaches the goal
+   */
+  static async goalCrossingDonation(season) {
+    const donations = await Donation.find({ season: season._id, status: 'completed' })
+      .select('season status amount baseAmount refundedBaseAmount donationDate')
+      .sort({ donationDate: 1, _id: 1 })
+      .lean();
+
+    let total = 0;
+    for (const donation of donations) {
+      total += (donation.baseAmount != null ? donation.baseAmount : donation.amount) - (donation.refundedBaseAmount || 0);
+      if (total >= season.goal) return donation;
+    }
+    return donations[donations.length - 1] || null;
+  }
+
+  /**
+   * Assign existing donations that have no season.
+   *
+   * Totals of every season and cycle that received donations are recalculated
+   * once at the end. A season the backfill takes past its goal gets its
+   * profit sharing job queued as if the donation that crossed the goal had
+   * just completed; `goalsReached` lists them with the job.
+   *
+   * @param {Object} options - { campaign, dryRun }
+   * @returns {Object} { checked, assigned, outOfSeason, seasons, cycles, goalsReached, dryRun }
+   */
+  static async backfill({ campaign = null, dryRun = false } = {}) {
+    const query = { season: null };
+    if (campaign) query.campaign = campaign;
+
+    const donations = await Donation.find(query).select('campaign cycle donationDate').lean();
+
+    const calendars = new Map();
+    const seasonIds = new Map();
+    const cycleIds = new Map();
+    let assigned = 0;
+    let outOfSeason = 0;
+
+    for (const donation of donations) {
+      const key = String(donation.campaign);
+      if (!calendars.has(key)) {
+        calendars.set(key, await SeasonAssignment.loadCalendar(donation.campaign));
+      }
+
+      const { season, cycle } = SeasonAssignment.pick(calendars.get(key), donation.donationDate);
+      const cycleId = donation.cycle || cycle?._id || null;
+
+      if (season) {
+        assigned++;
+        seasonIds.set(String(season._id), season._id);
+      } else {
+        outOfSeason++;
+      }
+      if (cycleId && !donation.cycle) cycleIds.set(String(cycleId), cycleId);
+
+      if (!dryRun) {
+        await Donation.updateOne(
+          { _id: donation._id, season: null },
+          {
+            $set: {
+              season: season?._id || null,
+              cycle: cycleId,
+              seasonAssignment: season ? 'backfill' : 'out_of_season'
+            }
+          }
+        );
+      }
+    }
+
+    const goalsReached = [];
+    if (!dryRun) {
+      for (const id of seasonIds.values()) {
+        await SeasonAssignment.refreshTotals(Season, 'season', id);
+      }
+      for (const id of cycleIds.values()) {
+        await SeasonAssignment.refreshTotals(Cycle, 'cycle', id);
+      }
+
+      const reached = await Season.find({
+        _id: { $in: [...seasonIds.values()] },
+        goalReachedAt: null,
+        goal: { $gt: 0 },
+        $expr: { $gte: ['$totalRaised', '$goal'] }
+      }).select('name campaign goal totalRaised').lean();
+
+      for (const season of reached) {
+        let job = null;
+        try {
+          const donation = await SeasonAssignment.goalCrossingDonation(season);
+          if (donation) job = await ProfitSharingTrigger.onSeasonTotals(donation, season.totalRaised);
+        } catch (error) {
+          console.error('Error triggering profit sharing after backfill:', error);
+        }
+        goalsReached.push({ ...season, job: job ? { id: job._id, status: job.status } : null });
+      }
+    }
+
+    return {
+      checked: donations.length,
+      assigned,
+      outOfSeason,
+      seasons: seasonIds.size,
+      cycles: cycleIds.size,
+      goalsReached,
+      dryRun
+    };
+  }
+}
+
+module.exports = SeasonAssignment;
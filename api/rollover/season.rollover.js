@@ -0,0 +1,314 @@
+/**
+ * ============================================================================
+ * SEASON ROLLOVER CLASS
+ * ============================================================================
+ *
+ * Advances a campaign from one season to the next, and from one cycle to the
+ * next once a cycle has run its seasonsPerCycle seasons:
+ *
+ *   1. Close the active season (goal reached, end date passed, or by hand)
+ *   2. Close its cycle when this was the cycle's last season
+ *   3. Stop if the campaign has ended or is no longer running
+ *   4. Open the next cycle (inheriting goal) when the previous one closed
+ *   5. Activate the next planned (upcoming) season, or open a new one that
+ *      inherits the closed season's goal and duration
+ *
+ * Only campaigns with settings.autoAdvance roll over automatically: on the
+ * donation that reaches a season's goal, and on a periodic sweep for end dates.
+ * Every transition is written to CampaignHistory.
+ *
+ * @class SeasonRollover
+ * @requires models/Campaign
+ * @requires models/Season
+ * @requires models/Cycle
+ * @requires models/CampaignHistory
+ */
+
+const Campaign = require('../models/Campaign');
+const Season = require('../models/Season');
+const Cycle = require('../models/Cycle');
+const CampaignHistory = require('../models/CampaignHistory');
+
+class SeasonRollover {
+  /**
+   * Minutes between end-date sweeps when ROLLOVER_INTERVAL_MINUTES is not set
+   */
+  static DEFAULT_INTERVAL_MINUTES = 15;
+
+  /**
+   * Why an active season should close now, if at all
+   *
+   * @param {Object} season - Season document
+   * @param {Date} now - Reference time
+   * @returns {string|null} 'goal_reached', 'end_date_passed' or null
+   */
+  static getCloseReason(season, now = new Date()) {
+    if (season.goal > 0 && season.totalRaised >= season.goal) return 'goal_reached';
+    if (season.endDate && new Date(season.endDate) < now) return 'end_date_passed';
+    return null;
+  }
+
+  /**
+   * Name for the season after `name`: a trailing number is incremented
+   * ("Season 3" → "Season 4"), otherwise " 2" is appended
+   *
+   * @param {string} name - Previous season name
+   * @returns {string} Next season name
+   */
+  static nextSeasonName(name) {
+    const match = /^(.*?)(\d+)(\D*)$/.exec(name);
+    return match ? `${match[1]}${parseInt(match[2]) + 1}${match[3]}` : `${name} 2`;
+  }
+
+  /**
+   * Close a season and open the one after it
+   *
+   * @param {string} seasonId - Season MongoDB ObjectId
+   * @param {Object} options - { reason, triggeredBy, now }
+   * @returns {Object} { success, closedSeason, closedCycle, openedCycle, openedSeason, halted, history }
+   */
+  static async rolloverSeason(seasonId, { reason = 'manual', triggeredBy = 'system', now = new Date() } = {}) {
+    // Step 1: Close the season; conditional on it still being active so only one rollover wins
+    const season = await Season.findOneAndUpdate(
+      { _id: seasonId, status: 'active' },
+      { $set: { status: 'completed', closedAt: now, closeReason: reason } },
+      { new: true }
+    ).lean();
+
+    if (!season) {
+      return {
+        success: false,
+        error: 'Season is not active',
+        seasonId
+      };
+    }
+
+    const campaign = await Campaign.findById(season.campaign).lean();
+    const history = [];
+    const record = async (entry) => {
+      history.push(await CampaignHistory.create({
+        campaign: season.campaign,
+        triggeredBy,
+        occurredAt: now,
+        ...entry
+      }));
+    };
+
+    await record({
+      event: 'season_closed',
+      season: season._id,
+      cycle: season.cycle,
+      reason,
+      details: {
+        name: season.name,
+        goal: season.goal,
+        totalRaised: season.totalRaised,
+        donationCount: season.donationCount,
+        startDate: season.startDate,
+        endDate: season.endDate
+      }
+    });
+
+    // Step 2: Close the cycle when this was its last season
+    let cycle = season.cycle ? await Cycle.findById(season.cycle).lean() : null;
+    let closedCycle = null;
+    let seasonNumber = null;
+
+    if (cycle) {
+      if ((season.seasonNumber || 0) >= cycle.seasonsPerCycle) {
+        closedCycle = await Cycle.findOneAndUpdate(
+          { _id: cycle._id, status: { $ne: 'completed' } },
+          { $set: { status: 'completed', endDate: now } },
+          { new: true }
+        ).lean();
+
+        if (closedCycle) {
+          await record({
+            event: 'cycle_closed',
+            cycle: closedCycle._id,
+            reason: 'season_limit_reached',
+            details: {
+              cycleNumber: closedCycle.cycleNumber,
+              goal: closedCycle.goal,
+              totalRaised: closedCycle.totalRaised,
+              donationCount: closedCycle.donationCount
+            }
+          });
+        }
+      } else {
+        seasonNumber = (season.seasonNumber || 0) + 1;
+      }
+    }
+
+    // Step 3: Stop when the campaign is over or not running
+    const haltReason = !campaign || now >= new Date(campaign.endDate)
+      ? 'campaign_ended'
+      : (campaign.status !== 'active' ? 'campaign_inactive' : null);
+
+    if (haltReason) {
+      await record({
+        event: 'rollover_halted',
+        season: season._id,
+        reason: haltReason,
+        details: { campaignStatus: campaign?.status, campaignEndDate: campaign?.endDate }
+      });
+
+      return { success: true, closedSeason: season, closedCycle, openedCycle: null, openedSeason: null, halted: haltReason, history };
+    }
+
+    // Step 4: Open the next cycle when the previous one closed
+    let openedCycle = null;
+    if (cycle && seasonNumber === null) {
+      const cycleNumber = cycle.cycleNumber + 1;
+
+      try {
+        openedCycle = await Cycle.create({
+          name: `Cycle ${cycleNumber}`,
+          campaign: season.campaign,
+          cycleNumber,
+          goal: cycle.goal,
+          seasonsPerCycle: campaign.settings?.seasonsPerCycle || cycle.seasonsPerCycle,
+          status: 'active',
+          startDate: now
+        });
+
+        await record({
+          event: 'cycle_opened',
+          cycle: openedCycle._id,
+          reason: 'season_limit_reached',
+          details: { cycleNumber, goal: openedCycle.goal, seasonsPerCycle: openedCycle.seasonsPerCycle }
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        // Already created (planned by an admin, or by a concurrent rollover)
+        openedCycle = await Cycle.findOneAndUpdate(
+          { campaign: season.campaign, cycleNumber },
+          { $set: { status: 'active' } },
+          { new: true }
+        );
+      }
+
+      cycle = openedCycle;
+      seasonNumber = 1;
+    }
+
+    // Step 5: Activate the next planned season, or open one like the closed season
+    const placement = cycle ? { cycle: cycle._id, seasonNumber } : {};
+    const planned = await Season.findOne({ campaign: season.campaign, status: 'upcoming' })
+      .sort('startDate')
+      .lean();
+
+    let openedSeason = null;
+    if (planned) {
+      openedSeason = await Season.findOneAndUpdate(
+        { _id: planned._id, status: 'upcoming' },
+        { $set: { status: 'active', ...(planned.cycle ? {} : placement) } },
+        { new: true }
+      );
+    }
+
+    if (!openedSeason) {
+      const duration = new Date(season.endDate) - new Date(season.startDate);
+
+      openedSeason = await Season.create({
+        name: SeasonRollover.nextSeasonName(season.name),
+        campaign: season.campaign,
+        description: season.description,
+        goal: season.goal,
+        status: 'active',
+        startDate: now,
+        endDate: new Date(Math.min(now.getTime() + duration, new Date(campaign.endDate).getTime())),
+        totalRaised: 0,
+        donationCount: 0,
+        ...placement
+      });
+    }
+
+    await record({
+      event: 'season_opened',
+      season: openedSeason._id,
+      cycle: openedSeason.cycle,
+      reason,
+      details: {
+        name: openedSeason.name,
+        goal: openedSeason.goal,
+        startDate: openedSeason.startDate,
+        endDate: openedSeason.endDate,
+        seasonNumber: openedSeason.seasonNumber,
+        previousSeason: season._id,
+        planned: Boolean(planned && String(planned._id) === String(openedSeason._id))
+      }
+    });
+
+    return { success: true, closedSeason: season, closedCycle, openedCycle, openedSeason, halted: null, history };
+  }
+
+  /**
+   * Roll over a campaign's season once the donation hook sees it reach its goal
+   *
+   * @param {string} seasonId - Season MongoDB ObjectId
+   * @returns {Object|null} Rollover result, null when the campaign does not auto-advance
+   */
+  static async onGoalReached(seasonId) {
+    const season = await Season.findById(seasonId).populate('campaign', 'settings').lean();
+
+    if (!season || !season.campaign?.settings?.autoAdvance) return null;
+
+    return SeasonRollover.rolloverSeason(season._id, { reason: 'goal_reached' });
+  }
+
+  /**
+   * Roll over every active season of auto-advancing campaigns that is due
+   *
+   * @param {Date} now - Reference time
+   * @returns {Object} { checked, rolledOver: [results], failed: [{ seasonId, error }] }
+   */
+  static async sweep(now = new Date()) {
+    const campaigns = await Campaign.find({ 'settings.autoAdvance': true }).select('_id').lean();
+
+    const seasons = await Season.find({
+      campaign: { $in: campaigns.map(c => c._id) },
+      status: 'active'
+    }).lean();
+
+    const rolledOver = [];
+    const failed = [];
+
+    for (const season of seasons) {
+      const reason = SeasonRollover.getCloseReason(season, now);
+      if (!reason) continue;
+
+      try {
+        const result = await SeasonRollover.rolloverSeason(season._id, { reason, now });
+        if (result.success) rolledOver.push(result);
+      } catch (error) {
+        console.error('Error rolling over season:', error);
+        failed.push({ seasonId: season._id, error: error.message });
+      }
+    }
+
+    return { checked: seasons.length, rolledOver, failed };
+  }
+
+  /**
+   * Run sweep() every intervalMinutes (0 disables the scheduler)
+   *
+   * @param {number} intervalMinutes - Minutes between sweeps
+   * @returns {Object|null} Interval handle
+   */
+  static startScheduler(intervalMinutes = SeasonRollover.DEFAULT_INTERVAL_MINUTES) {
+    if (!(intervalMinutes > 0)) return null;
+
+    const timer = setInterval(() => {
+      SeasonRollover.sweep().catch((error) => {
+        console.error('Error in season rollover sweep:', error);
+      });
+    }, intervalMinutes * 60 * 1000);
+
+    // Do not keep the process alive just for the scheduler
+    timer.unref();
+    return timer;
+  }
+}
+
+module.exports = SeasonRollover;
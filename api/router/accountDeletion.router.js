@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middlesware/middlesware');
+
+const {
+  createRequest,
+  confirmRequest,
+  cancelRequest,
+  getDeletionRequests,
+  getDeletionRequest,
+  approveDeletionRequest,
+  rejectDeletionRequest,
+} = require('../controller/accountDeletion.controller');
+
+// Public: request by email, then confirm or cancel with the emailed token
+router.post('/requests', createRequest);
+router.post('/confirm', confirmRequest);
+router.post('/cancel', cancelRequest);
+
+router.get('/requests', authenticate, authorize('deletions:read'), getDeletionRequests);
+router.get('/requests/:id', authenticate, authorize('deletions:read'), getDeletionRequest);
+router.post('/requests/:id/approve', authenticate, authorize('deletions:review'), approveDeletionRequest);
+router.post('/requests/:id/reject', authenticate, authorize('deletions:review'), rejectDeletionRequest);
+
+module.exports = router;
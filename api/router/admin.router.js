@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middlesware/middlesware');
+const { ROLES } = require('../middlesware/permissions');
+
+const { login } = require('../controller/account.controller');
+const {
+  createAdmin,
+  getAllAdmins,
+  getAdmin,
+  updateAdmin,
+} = require('../controller/admin.controller');
+
+router.post('/login', login(ROLES.ADMIN));
+
+router.route('/')
+  .get(authenticate, authorize('admins:manage'), getAllAdmins)
+  .post(authenticate, authorize('admins:manage'), createAdmin);
+
+router.route('/:id')
+  .get(authenticate, authorize('admins:manage', { selfRole: ROLES.ADMIN }), getAdmin)
+  .patch(authenticate, authorize('admins:manage'), updateAdmin);
+
+module.exports = router;
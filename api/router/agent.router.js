@@ -1,17 +1,22 @@
 const express = require('express');
 const router = express.Router();
+const { authenticate, authorize, requireRole } = require('../middlesware/middlesware');
+const { ROLES } = require('../middlesware/permissions');
 
-const {
-  loginAgent,
-  registerAgent,
-  getAllAgents,
-  getAgent,
-} = require('../controller/agent.controller');
+const { login, register, getAll, getOne, getPayouts } = require('../controller/account.controller');
+const { forgotPassword, resetPassword, changePassword } = require('../controller/password.controller');
+const { updateAccountTwoFactor } = require('../controller/twoFactor.controller');
 
-router.post('/login', loginAgent);
-router.post('/register', registerAgent);
+router.post('/login', login(ROLES.AGENT));
+router.post('/register', register(ROLES.AGENT));
 
-router.get('/', getAllAgents);
-router.get('/:id', getAgent);
+router.post('/forgot-password', forgotPassword(ROLES.AGENT));
+router.post('/reset-password', resetPassword(ROLES.AGENT));
+router.post('/change-password', authenticate, requireRole(ROLES.AGENT), changePassword(ROLES.AGENT));
+
+router.get('/', authenticate, authorize('accounts:read'), getAll(ROLES.AGENT));
+router.get('/:id', authenticate, authorize('accounts:read', { selfRole: ROLES.AGENT }), getOne(ROLES.AGENT));
+router.get('/:id/payouts', authenticate, authorize('payouts:read', { selfRole: ROLES.AGENT }), getPayouts(ROLES.AGENT));
+router.patch('/:id/two-factor', authenticate, authorize('accounts:security'), updateAccountTwoFactor(ROLES.AGENT));
 
 module.exports = router;
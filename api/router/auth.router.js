@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authenticateOrChallenge, authorize, requireRole } = require('../middlesware/middlesware');
+const { ACCOUNT_TYPES } = require('../identity/account.types');
+
+const {
+  refreshToken,
+  logout,
+  logoutAll,
+  getLockouts,
+  unlockLogin,
+  getAuthEvents,
+} = require('../controller/auth.controller');
+const { loginAny, verifyLogin } = require('../controller/account.controller');
+const {
+  getStatus,
+  setup,
+  enable,
+  disable,
+  regenerateBackupCodes,
+} = require('../controller/twoFactor.controller');
+
+const accountRoles = requireRole(...Object.keys(ACCOUNT_TYPES));
+
+router.post('/login', loginAny);
+router.post('/login/verify', verifyLogin);
+router.post('/refresh', refreshToken);
+router.post('/logout', logout);
+router.post('/logout-all', authenticate, logoutAll);
+
+router.get('/lockouts', authenticate, authorize('logins:support'), getLockouts);
+router.post('/lockouts/unlock', authenticate, authorize('logins:support'), unlockLogin);
+router.get('/events', authenticate, authorize('logins:support'), getAuthEvents);
+
+router.get('/two-factor', authenticate, accountRoles, getStatus);
+router.post('/two-factor/setup', authenticateOrChallenge('two_factor_setup'), accountRoles, setup);
+router.post('/two-factor/enable', authenticateOrChallenge('two_factor_setup'), accountRoles, enable);
+router.post('/two-factor/disable', authenticate, accountRoles, disable);
+router.post('/two-factor/backup-codes', authenticate, accountRoles, regenerateBackupCodes);
+
+module.exports = router;
@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const { authenticate, authorize } = require('../middlesware/middlesware');
 
 const {
   getAllCampaigns,
@@ -13,24 +14,32 @@ const {
   updateCampaignStatus,
 } = require('../controller/campaignController');
 
+const {
+  getCampaignHistory,
+  rolloverCampaign,
+  runRolloverSweep,
+} = require('../controller/rollover.controller');
+
 // Collection routes
 router.route('/')
   .get(getAllCampaigns)
-  .post(createCampaign);
+  .post(authenticate, authorize('campaigns:manage'), createCampaign);
 
 // Sub-resource routes (must be before /:id to avoid conflicts)
-// None needed here
+router.post('/rollover/sweep', authenticate, authorize('campaigns:manage'), runRolloverSweep);
 
 // Single resource routes
 router.route('/:id')
   .get(getCampaign)
-  .put(updateCampaign)
-  .delete(deleteCampaign);
+  .put(authenticate, authorize('campaigns:manage'), updateCampaign)
+  .delete(authenticate, authorize('campaigns:manage'), deleteCampaign);
 
 // Nested / action routes
 router.get('/:id/stats', getCampaignStats);
 router.get('/:id/donations', getCampaignDonations);
 router.get('/:id/top-donors', getTopDonors);
-router.patch('/:id/status', updateCampaignStatus);
+router.patch('/:id/status', authenticate, authorize('campaigns:manage'), updateCampaignStatus);
+router.get('/:id/history', getCampaignHistory);
+router.post('/:id/rollover', authenticate, authorize('campaigns:manage'), rolloverCampaign);
 
 module.exports = router;
@@ -1,17 +1,22 @@
 const express = require('express');
 const router = express.Router();
+const { authenticate, authorize, requireRole } = require('../middlesware/middlesware');
+const { ROLES } = require('../middlesware/permissions');
 
-const {
-  loginCorporateAgent,
-  registerCorporateAgent,
-  getAllCorporateAgents,
-  getCorporateAgent,
-} = require('../controller/corporateAgent.controller');
+const { login, register, getAll, getOne, getPayouts } = require('../controller/account.controller');
+const { forgotPassword, resetPassword, changePassword } = require('../controller/password.controller');
+const { updateAccountTwoFactor } = require('../controller/twoFactor.controller');
 
-router.post('/login', loginCorporateAgent);
-router.post('/register', registerCorporateAgent);
+router.post('/login', login(ROLES.CORPORATE_AGENT));
+router.post('/register', register(ROLES.CORPORATE_AGENT));
 
-router.get('/', getAllCorporateAgents);
-router.get('/:id', getCorporateAgent);
+router.post('/forgot-password', forgotPassword(ROLES.CORPORATE_AGENT));
+router.post('/reset-password', resetPassword(ROLES.CORPORATE_AGENT));
+router.post('/change-password', authenticate, requireRole(ROLES.CORPORATE_AGENT), changePassword(ROLES.CORPORATE_AGENT));
+
+router.get('/', authenticate, authorize('accounts:read'), getAll(ROLES.CORPORATE_AGENT));
+router.get('/:id', authenticate, authorize('accounts:read', { selfRole: ROLES.CORPORATE_AGENT }), getOne(ROLES.CORPORATE_AGENT));
+router.get('/:id/payouts', authenticate, authorize('payouts:read', { selfRole: ROLES.CORPORATE_AGENT }), getPayouts(ROLES.CORPORATE_AGENT));
+router.patch('/:id/two-factor', authenticate, authorize('accounts:security'), updateAccountTwoFactor(ROLES.CORPORATE_AGENT));
 
 module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middlesware/middlesware');
+
+const {
+  getAllCycles,
+  getCycle,
+  createCycle,
+  updateCycle,
+  deleteCycle,
+  getCycleStats,
+  getCycleSeasons,
+  attachSeason,
+  detachSeason,
+} = require('../controller/cycle.controller');
+
+// Collection routes
+router.route('/')
+  .get(getAllCycles)
+  .post(authenticate, authorize('cycles:manage'), createCycle);
+
+// Single resource routes
+router.route('/:id')
+  .get(getCycle)
+  .put(authenticate, authorize('cycles:manage'), updateCycle)
+  .delete(authenticate, authorize('cycles:manage'), deleteCycle);
+
+// Nested routes
+router.get('/:id/stats', getCycleStats);
+router.route('/:id/seasons')
+  .get(getCycleSeasons)
+  .post(authenticate, authorize('cycles:manage'), attachSeason);
+router.delete('/:id/seasons/:seasonId', authenticate, authorize('cycles:manage'), detachSeason);
+
+module.exports = router;
@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const { authenticate, authorize } = require('../middlesware/middlesware');
 
 const {
   getAllDonations,
@@ -11,25 +12,31 @@ const {
   getDonationAnalytics,
   markReceiptSent,
   refundDonation,
+  backfillDonationSeasons,
+  backfillDonationCurrency,
 } = require('../controller/donation.controller');
+const { getDonationRefunds } = require('../controller/refund.controller');
 
 // Analytics route must come before /:id to avoid conflict
-router.get('/analytics', getDonationAnalytics);
+router.get('/analytics', authenticate, authorize('donations:read'), getDonationAnalytics);
+router.post('/backfill-seasons', authenticate, authorize('donations:manage'), backfillDonationSeasons);
+router.post('/backfill-currency', authenticate, authorize('donations:manage'), backfillDonationCurrency);
 
 // Collection routes
 router.route('/')
-  .get(getAllDonations)
-  .post(createDonation);
+  .get(authenticate, authorize('donations:read'), getAllDonations)
+  .post(authenticate, authorize('donations:create:own'), createDonation);
 
 // Single resource routes
 router.route('/:id')
-  .get(getDonation)
-  .put(updateDonation)
-  .delete(deleteDonation);
+  .get(authenticate, authorize('donations:read'), getDonation)
+  .put(authenticate, authorize('donations:manage'), updateDonation)
+  .delete(authenticate, authorize('donations:manage'), deleteDonation);
 
 // Action routes
-router.patch('/:id/process', processDonation);
-router.patch('/:id/receipt', markReceiptSent);
-router.patch('/:id/refund', refundDonation);
+router.patch('/:id/process', authenticate, authorize('donations:process'), processDonation);
+router.patch('/:id/receipt', authenticate, authorize('donations:process'), markReceiptSent);
+router.patch('/:id/refund', authenticate, authorize('donations:refund'), refundDonation);
+router.get('/:id/refunds', authenticate, authorize('donations:read'), getDonationRefunds);
 
 module.exports = router;
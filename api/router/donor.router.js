@@ -1,5 +1,7 @@
 const express = require('express');
 const router = express.Router();
+const { authenticate, authorize, requireRole } = require('../middlesware/middlesware');
+const { ROLES } = require('../middlesware/permissions');
 
 const {
   getAllDonors,
@@ -14,26 +16,38 @@ const {
   reactivateDonor,
   getDonorCommunications,
 } = require('../controller/donor.controller');
+const { login, register, requestMagicLink, magicLinkLogin } = require('../controller/account.controller');
+const { forgotPassword, resetPassword, changePassword } = require('../controller/password.controller');
+
+// Donor portal sign-up and sign-in
+router.post('/register', register(ROLES.DONOR));
+router.post('/login', login(ROLES.DONOR));
+router.post('/magic-link', requestMagicLink(ROLES.DONOR));
+router.post('/magic-link/verify', magicLinkLogin(ROLES.DONOR));
+
+router.post('/forgot-password', forgotPassword(ROLES.DONOR));
+router.post('/reset-password', resetPassword(ROLES.DONOR));
+router.post('/change-password', authenticate, requireRole(ROLES.DONOR), changePassword(ROLES.DONOR));
 
 // Static routes must come before /:id to avoid conflicts
-router.get('/segments', getDonorSegments);
-router.get('/retention', getDonorRetention);
-router.post('/merge', mergeDonors);
+router.get('/segments', authenticate, authorize('donors:reports'), getDonorSegments);
+router.get('/retention', authenticate, authorize('donors:reports'), getDonorRetention);
+router.post('/merge', authenticate, authorize('donors:support'), mergeDonors);
 
 // Collection routes
 router.route('/')
-  .get(getAllDonors)
-  .post(createDonor);
+  .get(authenticate, authorize('donors:read'), getAllDonors)
+  .post(authenticate, authorize('donors:write'), createDonor);
 
 // Single resource routes
 router.route('/:id')
-  .get(getDonor)
-  .put(updateDonor)
-  .delete(deleteDonor);
+  .get(authenticate, authorize('donors:read', { selfRole: ROLES.DONOR }), getDonor)
+  .put(authenticate, authorize('donors:write'), updateDonor)
+  .delete(authenticate, authorize('donors:manage'), deleteDonor);
 
 // Nested / action routes
-router.get('/:id/history', getDonorHistory);
-router.get('/:id/communications', getDonorCommunications);
-router.patch('/:id/reactivate', reactivateDonor);
+router.get('/:id/history', authenticate, authorize('donors:read', { selfRole: ROLES.DONOR }), getDonorHistory);
+router.get('/:id/communications', authenticate, authorize('donors:reports'), getDonorCommunications);
+router.patch('/:id/reactivate', authenticate, authorize('donors:support'), reactivateDonor);
 
 module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middlesware/middlesware');
+
+const {
+  getExchangeRates,
+  uploadExchangeRates,
+  deleteExchangeRate,
+  convertAmount,
+} = require('../controller/exchangeRate.controller');
+
+router.use(authenticate);
+
+// Must come before /:id to avoid conflicts
+router.get('/convert', authorize('fx:read'), convertAmount);
+
+router.route('/')
+  .get(authorize('fx:read'), getExchangeRates)
+  .post(authorize('fx:manage'), uploadExchangeRates);
+router.delete('/:id', authorize('fx:manage'), deleteExchangeRate);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize, requireRole } = require('../middlesware/middlesware');
+const { ROLES } = require('../middlesware/permissions');
+
+const {
+  submitKyc,
+  getMyKyc,
+  getKycSubmissions,
+  getKycSubmission,
+  approveKyc,
+  rejectKyc,
+} = require('../controller/kyc.controller');
+
+const kycSubject = requireRole(ROLES.AGENT, ROLES.CORPORATE_AGENT, ROLES.PROJECT_OWNER);
+
+router.use(authenticate);
+
+router.get('/me', kycSubject, getMyKyc);
+router.post('/submissions', kycSubject, submitKyc);
+
+router.get('/submissions', authorize('kyc:read'), getKycSubmissions);
+router.get('/submissions/:id', authorize('kyc:read'), getKycSubmission);
+router.post('/submissions/:id/approve', authorize('kyc:review'), approveKyc);
+router.post('/submissions/:id/reject', authorize('kyc:review'), rejectKyc);
+
+module.exports = router;
@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, requireRole } = require('../middlesware/middlesware');
+const { ROLES } = require('../middlesware/permissions');
+const { ACCOUNT_TYPES } = require('../identity/account.types');
+
+const { getMe, updateMe } = require('../controller/account.controller');
+const {
+  getMyDonations,
+  getMyReceipts,
+  getMyPreferences,
+  updateMyPreferences,
+} = require('../controller/donorPortal.controller');
+const {
+  getMyDeletionRequest,
+  createMyDeletionRequest,
+  cancelMyDeletionRequest,
+} = require('../controller/accountDeletion.controller');
+const {
+  getRecurringPlans,
+  getRecurringPlan,
+  createRecurringPlan,
+  pauseRecurringPlan,
+  resumeRecurringPlan,
+  skipRecurringInstallment,
+  cancelRecurringPlan,
+} = require('../controller/recurringPlan.controller');
+const { getPledges, getPledge } = require('../controller/pledge.controller');
+
+router.use(authenticate, requireRole(...Object.keys(ACCOUNT_TYPES)));
+
+router.route('/')
+  .get(getMe)
+  .patch(updateMe);
+
+// Account deletion; confirmed through the emailed link
+router.route('/deletion-request')
+  .get(getMyDeletionRequest)
+  .post(createMyDeletionRequest);
+router.post('/deletion-request/cancel', cancelMyDeletionRequest);
+
+// Donor portal
+router.get('/donations', requireRole(ROLES.DONOR), getMyDonations);
+router.get('/receipts', requireRole(ROLES.DONOR), getMyReceipts);
+router.route('/preferences')
+  .get(requireRole(ROLES.DONOR), getMyPreferences)
+  .patch(requireRole(ROLES.DONOR), updateMyPreferences);
+
+// Donor's recurring plans
+router.route('/recurring-plans')
+  .get(requireRole(ROLES.DONOR), getRecurringPlans)
+  .post(requireRole(ROLES.DONOR), createRecurringPlan);
+router.get('/recurring-plans/:id', requireRole(ROLES.DONOR), getRecurringPlan);
+router.post('/recurring-plans/:id/pause', requireRole(ROLES.DONOR), pauseRecurringPlan);
+router.post('/recurring-plans/:id/resume', requireRole(ROLES.DONOR), resumeRecurringPlan);
+router.post('/recurring-plans/:id/skip', requireRole(ROLES.DONOR), skipRecurringInstallment);
+router.post('/recurring-plans/:id/cancel', requireRole(ROLES.DONOR), cancelRecurringPlan);
+
+// Donor's pledges
+router.get('/pledges', requireRole(ROLES.DONOR), getPledges);
+router.get('/pledges/:id', requireRole(ROLES.DONOR), getPledge);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middlesware/middlesware');
+
+const {
+  createCheckout,
+  verifyPayment,
+  receiveWebhook,
+  getPaymentEvents,
+} = require('../controller/payment.controller');
+
+// Signed by the provider; see PaymentGateway adapters
+router.post('/webhooks/:provider', receiveWebhook);
+
+router.post('/checkout', authenticate, authorize('donations:create:own'), createCheckout);
+router.get('/verify/:reference', authenticate, authorize('donations:create:own'), verifyPayment);
+router.get('/events', authenticate, authorize('payments:read'), getPaymentEvents);
+
+module.exports = router;
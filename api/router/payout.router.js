@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middlesware/middlesware');
+
+const {
+  getAllPayouts,
+  getPayout,
+  approvePayouts,
+  markPayoutsPaid,
+  markPayoutFailed,
+  getReconciliation,
+} = require('../controller/payout.controller');
+
+// Every payout route needs a signed-in caller
+router.use(authenticate);
+
+// Static routes must come before /:id to avoid conflicts
+router.post('/approve', authorize('payouts:manage'), approvePayouts);
+router.post('/pay', authorize('payouts:manage'), markPayoutsPaid);
+router.get('/reconciliation/:distributionId', authorize('payouts:read'), getReconciliation);
+
+// Collection routes
+router.get('/', authorize('payouts:read'), getAllPayouts);
+
+// Single resource routes
+router.get('/:id', authorize('payouts:read'), getPayout);
+router.patch('/:id/fail', authorize('payouts:manage'), markPayoutFailed);
+
+module.exports = router;
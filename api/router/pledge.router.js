@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middlesware/middlesware');
+
+const {
+  getPledges,
+  getOverduePledges,
+  getPledge,
+  createPledge,
+  reschedulePledge,
+  cancelPledge,
+  writeOffPledge,
+  getPledgeReport,
+} = require('../controller/pledge.controller');
+
+router.use(authenticate);
+
+// Must come before /:id to avoid conflicts
+router.get('/overdue', authorize('pledges:read'), getOverduePledges);
+router.get('/reports/summary', authorize('pledges:read'), getPledgeReport);
+
+router.route('/')
+  .get(authorize('pledges:read'), getPledges)
+  .post(authorize('pledges:write'), createPledge);
+router.get('/:id', authorize('pledges:read'), getPledge);
+
+router.put('/:id/schedule', authorize('pledges:write'), reschedulePledge);
+router.post('/:id/cancel', authorize('pledges:manage'), cancelPledge);
+router.post('/:id/write-off', authorize('pledges:manage'), writeOffPledge);
+
+module.exports = router;
@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middlesware/middlesware');
+
+const {
+  executeProfitSharing,
+  simulateProfitSharing,
+  getAllDistributions,
+  getProfitSharingSummary,
+  getDistributionBySeason,
+  getCampaignProfitStats,
+  commitDraw,
+  getDrawCommitment,
+  verifyDraw,
+} = require('../controller/profitSharing.controller');
+
+const {
+  getPolicies,
+  getCurrentPolicy,
+  getPolicyVersion,
+  createPolicy,
+  deletePolicy,
+} = require('../controller/profitSharingPolicy.controller');
+
+const {
+  getJobs,
+  getJob,
+  approveJob,
+  rejectJob,
+} = require('../controller/profitSharingJob.controller');
+
+// Collection routes
+router.get('/', authenticate, authorize('profitSharing:read'), getAllDistributions);
+router.get('/summary', authenticate, authorize('profitSharing:read'), getProfitSharingSummary);
+
+// Goal-triggered job routes
+router.get('/jobs', authenticate, authorize('profitSharing:read'), getJobs);
+router.get('/jobs/:jobId', authenticate, authorize('profitSharing:read'), getJob);
+router.post('/jobs/:jobId/approve', authenticate, authorize('profitSharing:manage'), approveJob);
+router.post('/jobs/:jobId/reject', authenticate, authorize('profitSharing:manage'), rejectJob);
+
+// Campaign routes
+router.get('/campaigns/:campaignId/stats', authenticate, authorize('profitSharing:read'), getCampaignProfitStats);
+
+// Campaign policy routes (/current must come before /:version)
+router.route('/campaigns/:campaignId/policies')
+  .get(authenticate, authorize('profitSharing:read'), getPolicies)
+  .post(authenticate, authorize('profitSharing:manage'), createPolicy);
+router.get('/campaigns/:campaignId/policies/current', authenticate, authorize('profitSharing:read'), getCurrentPolicy);
+router.route('/campaigns/:campaignId/policies/:version')
+  .get(authenticate, authorize('profitSharing:read'), getPolicyVersion)
+  .delete(authenticate, authorize('profitSharing:manage'), deletePolicy);
+
+// Season routes (draw commitment and verification stay public)
+router.get('/seasons/:seasonId', authenticate, authorize('profitSharing:read'), getDistributionBySeason);
+router.get('/seasons/:seasonId/simulate', authenticate, authorize('profitSharing:read'), simulateProfitSharing);
+router.get('/seasons/:seasonId/verify', verifyDraw);
+router.route('/seasons/:seasonId/commitment')
+  .get(getDrawCommitment)
+  .post(authenticate, authorize('profitSharing:manage'), commitDraw);
+router.post('/seasons/:seasonId/execute', authenticate, authorize('profitSharing:manage'), executeProfitSharing);
+
+module.exports = router;
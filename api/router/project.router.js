@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const { authenticate, authorize } = require('../middlesware/middlesware');
 
 const {
   createProject,
@@ -11,11 +12,11 @@ const {
 
 router.route('/')
   .get(getAllProjects)
-  .post(createProject);
+  .post(authenticate, authorize('projects:write'), createProject);
 
 router.route('/:id')
   .get(getProject)
-  .put(updateProject)
-  .delete(deleteProject);
+  .put(authenticate, authorize('projects:write'), updateProject)
+  .delete(authenticate, authorize('projects:write'), deleteProject);
 
 module.exports = router;
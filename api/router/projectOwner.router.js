@@ -1,17 +1,21 @@
 const express = require('express');
 const router = express.Router();
+const { authenticate, authorize, requireRole } = require('../middlesware/middlesware');
+const { ROLES } = require('../middlesware/permissions');
 
-const {
-  loginProjectOwner,
-  registerProjectOwner,
-  getAllProjectOwners,
-  getProjectOwner,
-} = require('../controller/projectOwner.controller');
+const { login, register, getAll, getOne } = require('../controller/account.controller');
+const { forgotPassword, resetPassword, changePassword } = require('../controller/password.controller');
+const { updateAccountTwoFactor } = require('../controller/twoFactor.controller');
 
-router.post('/login', loginProjectOwner);
-router.post('/register', registerProjectOwner);
+router.post('/login', login(ROLES.PROJECT_OWNER));
+router.post('/register', register(ROLES.PROJECT_OWNER));
 
-router.get('/', getAllProjectOwners);
-router.get('/:id', getProjectOwner);
+router.post('/forgot-password', forgotPassword(ROLES.PROJECT_OWNER));
+router.post('/reset-password', resetPassword(ROLES.PROJECT_OWNER));
+router.post('/change-password', authenticate, requireRole(ROLES.PROJECT_OWNER), changePassword(ROLES.PROJECT_OWNER));
+
+router.get('/', authenticate, authorize('accounts:read'), getAll(ROLES.PROJECT_OWNER));
+router.get('/:id', authenticate, authorize('accounts:read', { selfRole: ROLES.PROJECT_OWNER }), getOne(ROLES.PROJECT_OWNER));
+router.patch('/:id/two-factor', authenticate, authorize('accounts:security'), updateAccountTwoFactor(ROLES.PROJECT_OWNER));
 
 module.exports = router;
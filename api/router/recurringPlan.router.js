@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middlesware/middlesware');
+
+const {
+  getRecurringPlans,
+  getRecurringPlan,
+  createRecurringPlan,
+  pauseRecurringPlan,
+  resumeRecurringPlan,
+  skipRecurringInstallment,
+  cancelRecurringPlan,
+} = require('../controller/recurringPlan.controller');
+
+router.use(authenticate);
+
+router.route('/')
+  .get(authorize('recurring:read'), getRecurringPlans)
+  .post(authorize('recurring:create'), createRecurringPlan);
+router.get('/:id', authorize('recurring:read'), getRecurringPlan);
+
+router.post('/:id/pause', authorize('recurring:manage'), pauseRecurringPlan);
+router.post('/:id/resume', authorize('recurring:manage'), resumeRecurringPlan);
+router.post('/:id/skip', authorize('recurring:manage'), skipRecurringInstallment);
+router.post('/:id/cancel', authorize('recurring:manage'), cancelRecurringPlan);
+
+module.exports = router;
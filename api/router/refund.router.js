@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middlesware/middlesware');
+
+const {
+  getRefunds,
+  getRefund,
+  cancelRefund,
+  resolveClawback,
+} = require('../controller/refund.controller');
+
+router.use(authenticate);
+
+router.get('/', authorize('refunds:read'), getRefunds);
+router.get('/:id', authorize('refunds:read'), getRefund);
+
+router.post('/:id/cancel', authorize('donations:refund'), cancelRefund);
+router.post('/:id/clawback', authorize('donations:refund'), resolveClawback);
+
+module.exports = router;
@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const { authenticate, authorize } = require('../middlesware/middlesware');
 
 const {
   getAllSeasons,
@@ -17,13 +18,13 @@ router.get('/compare', compareSeasons);
 // Collection routes
 router.route('/')
   .get(getAllSeasons)
-  .post(createSeason);
+  .post(authenticate, authorize('seasons:manage'), createSeason);
 
 // Single resource routes
 router.route('/:id')
   .get(getSeason)
-  .put(updateSeason)
-  .delete(deleteSeason);
+  .put(authenticate, authorize('seasons:manage'), updateSeason)
+  .delete(authenticate, authorize('seasons:manage'), deleteSeason);
 
 // Nested routes
 router.get('/:id/stats', getSeasonStats);
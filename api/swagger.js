@@ -44,8 +44,12 @@ const swaggerDefinition = {
           name: { type: 'string', example: 'Summer Scholarship Fund' },
           description: { type: 'string', example: 'Supporting students in need' },
           goal: { type: 'number', example: 50000 },
+          baseCurrency: { type: 'string', example: 'NGN', description: 'Currency of the goal and every total; donations are converted into it' },
           totalRaised: { type: 'number', example: 12500 },
           donationCount: { type: 'integer', example: 25 },
+          totalPledged: { type: 'number', example: 6000, description: 'Committed on open and fulfilled pledges' },
+          pledgeOutstanding: { type: 'number', example: 4000, description: 'Still owed on open pledges; not included in totalRaised' },
+          pledgeCount: { type: 'integer', example: 3 },
           status: {
             type: 'string',
             enum: ['draft', 'active', 'paused', 'completed', 'cancelled'],
@@ -53,6 +57,14 @@ const swaggerDefinition = {
           },
           startDate: { type: 'string', format: 'date-time' },
           endDate: { type: 'string', format: 'date-time' },
+          settings: {
+            type: 'object',
+            properties: {
+              autoAdvance: { type: 'boolean', default: false, description: 'Roll seasons and cycles over automatically on goal or end date' },
+              seasonsPerCycle: { type: 'integer', minimum: 1, default: 10, description: 'Seasons per cycle opened by rollover' },
+              outOfSeasonDonations: { type: 'string', enum: ['flag', 'reject'], default: 'flag', description: 'What to do with donations dated outside every season' },
+            },
+          },
           createdAt: { type: 'string', format: 'date-time' },
           updatedAt: { type: 'string', format: 'date-time' },
         },
@@ -65,6 +77,7 @@ const swaggerDefinition = {
           name: { type: 'string', maxLength: 200, example: 'Summer Scholarship Fund' },
           description: { type: 'string', maxLength: 2000, example: 'Supporting students in need' },
           goal: { type: 'number', minimum: 0, example: 50000 },
+          baseCurrency: { type: 'string', example: 'NGN', description: 'Defaults to DEFAULT_BASE_CURRENCY; cannot change once the campaign has donations' },
           startDate: { type: 'string', format: 'date', example: '2024-06-01' },
           endDate: { type: 'string', format: 'date', example: '2024-08-31' },
           status: {
@@ -72,6 +85,36 @@ const swaggerDefinition = {
             enum: ['draft', 'active', 'paused', 'completed', 'cancelled'],
             default: 'draft',
           },
+          settings: {
+            type: 'object',
+            properties: {
+              autoAdvance: { type: 'boolean', default: false, description: 'Roll seasons and cycles over automatically on goal or end date' },
+              seasonsPerCycle: { type: 'integer', minimum: 1, default: 10, description: 'Seasons per cycle opened by rollover' },
+              outOfSeasonDonations: { type: 'string', enum: ['flag', 'reject'], default: 'flag', description: 'What to do with donations dated outside every season' },
+            },
+          },
+        },
+      },
+
+      CampaignHistory: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string' },
+          campaign: { type: 'string', example: '507f1f77bcf86cd799439011' },
+          event: {
+            type: 'string',
+            enum: ['season_closed', 'season_opened', 'cycle_closed', 'cycle_opened', 'rollover_halted'],
+            example: 'season_closed',
+          },
+          season: { type: 'object', nullable: true, description: 'Populated with name and seasonNumber' },
+          cycle: { type: 'object', nullable: true, description: 'Populated with name and cycleNumber' },
+          reason: {
+            type: 'string',
+            enum: ['goal_reached', 'end_date_passed', 'manual', 'season_limit_reached', 'campaign_ended', 'campaign_inactive'],
+          },
+          triggeredBy: { type: 'string', example: 'system' },
+          details: { type: 'object', description: 'Snapshot of the season or cycle at the transition' },
+          occurredAt: { type: 'string', format: 'date-time' },
         },
       },
 
@@ -103,11 +146,34 @@ const swaggerDefinition = {
           isActive: { type: 'boolean', example: true },
           totalDonated: { type: 'number', example: 5000 },
           donationCount: { type: 'integer', example: 10 },
+          preferences: { $ref: '#/components/schemas/DonorPreferences' },
+          lastLoginAt: { type: 'string', format: 'date-time', nullable: true },
           createdAt: { type: 'string', format: 'date-time' },
           updatedAt: { type: 'string', format: 'date-time' },
         },
       },
 
+      DonorPreferences: {
+        type: 'object',
+        properties: {
+          emailReceipts: { type: 'boolean', default: true },
+          newsletter: { type: 'boolean', default: false },
+          contactChannel: { type: 'string', enum: ['email', 'phone', 'mail', 'none'], default: 'email' },
+        },
+      },
+
+      DonorRegisterInput: {
+        type: 'object',
+        required: ['firstName', 'lastName', 'email', 'password', 'confirmPassword'],
+        properties: {
+          firstName: { type: 'string', example: 'John' },
+          lastName: { type: 'string', example: 'Doe' },
+          email: { type: 'string', format: 'email', example: 'john.doe@example.com' },
+          password: { type: 'string', minLength: 8, example: 'Secure456' },
+          confirmPassword: { type: 'string', example: 'Secure456' },
+        },
+      },
+
       DonorInput: {
         type: 'object',
         required: ['firstName', 'lastName', 'email'],
@@ -144,8 +210,20 @@ const swaggerDefinition = {
           donor: { type: 'string', example: '507f1f77bcf86cd799439012' },
           season: { type: 'string', nullable: true },
           cycle: { type: 'string', nullable: true },
-          amount: { type: 'number', example: 500 },
-          currency: { type: 'string', default: 'USD', example: 'USD' },
+          seasonAssignment: {
+            type: 'string',
+            enum: ['provided', 'auto', 'backfill', 'out_of_season'],
+            nullable: true,
+            description: 'How season and cycle were set',
+          },
+          agent: { type: 'string', nullable: true, description: 'Agent or corporate agent who brought the donation in' },
+          agentModel: { type: 'string', enum: ['Agent', 'CorporateAgent'], nullable: true },
+          amount: { type: 'number', example: 500, description: 'In the currency the donor paid in' },
+          currency: { type: 'string', example: 'USD' },
+          baseAmount: { type: 'number', nullable: true, example: 775000, description: "amount in the campaign's base currency; used by every total" },
+          baseCurrency: { type: 'string', nullable: true, example: 'NGN' },
+          exchangeRate: { type: 'number', nullable: true, example: 1550, description: 'Units of baseCurrency per unit of currency' },
+          exchangeRateDate: { type: 'string', format: 'date-time', nullable: true, description: 'Effective date of the rate used' },
           donationType: {
             type: 'string',
             enum: ['one-time', 'recurring', 'pledge'],
@@ -156,7 +234,15 @@ const swaggerDefinition = {
             enum: ['credit_card', 'debit_card', 'bank_transfer', 'cash', 'check', 'paypal', 'other'],
             example: 'credit_card',
           },
-          transactionId: { type: 'string', nullable: true },
+          transactionId: { type: 'string', nullable: true, description: "The provider's transaction ID for gateway payments" },
+          paymentProvider: { type: 'string', nullable: true, example: 'paystack', description: 'Set by POST /payments/checkout' },
+          paymentReference: { type: 'string', nullable: true, example: 'DON-507f1f77bcf86cd799439011-1a2b3c4d' },
+          failureReason: { type: 'string', nullable: true },
+          recurringPlan: { type: 'string', nullable: true, description: 'Set on installments of a recurring plan; donationDate is the due date' },
+          pledge: { type: 'string', nullable: true, description: 'Pledge this donation pays toward' },
+          refundedAmount: { type: 'number', default: 0, description: 'Sum of completed refunds, in currency; totals subtract it' },
+          refundedBaseAmount: { type: 'number', default: 0, description: 'refundedAmount in baseCurrency' },
+          pendingRefundAmount: { type: 'number', default: 0, description: 'Held by pending refunds, in currency; not refundable until they complete, fail or are cancelled' },
           status: {
             type: 'string',
             enum: ['pending', 'completed', 'failed', 'refunded', 'cancelled'],
@@ -178,15 +264,18 @@ const swaggerDefinition = {
         properties: {
           campaign: { type: 'string', example: '507f1f77bcf86cd799439011' },
           donor: { type: 'string', example: '507f1f77bcf86cd799439012' },
-          season: { type: 'string', example: '507f1f77bcf86cd799439014' },
-          cycle: { type: 'string', example: '507f1f77bcf86cd799439015' },
+          season: { type: 'string', example: '507f1f77bcf86cd799439014', description: 'Resolved from donationDate when omitted' },
+          cycle: { type: 'string', example: '507f1f77bcf86cd799439015', description: 'Taken from the season, or resolved from donationDate, when omitted' },
+          agent: { type: 'string', description: 'Agent or corporate agent who brought the donation in' },
+          agentModel: { type: 'string', enum: ['Agent', 'CorporateAgent'], description: 'Required when agent is set' },
           amount: { type: 'number', minimum: 0.01, example: 500 },
-          currency: { type: 'string', default: 'USD' },
+          currency: { type: 'string', example: 'USD', description: "Defaults to the campaign's baseCurrency; other currencies need an uploaded rate effective on donationDate" },
           donationType: {
             type: 'string',
             enum: ['one-time', 'recurring', 'pledge'],
             default: 'one-time',
           },
+          pledge: { type: 'string', description: 'Open pledge of the same donor and campaign to pay toward; sets donationType to pledge' },
           paymentMethod: {
             type: 'string',
             enum: ['credit_card', 'debit_card', 'bank_transfer', 'cash', 'check', 'paypal', 'other'],
@@ -221,6 +310,12 @@ const swaggerDefinition = {
           },
           startDate: { type: 'string', format: 'date-time' },
           endDate: { type: 'string', format: 'date-time' },
+          cycle: { type: 'string', nullable: true, example: '507f1f77bcf86cd799439015' },
+          seasonNumber: { type: 'integer', nullable: true, example: 3, description: 'Position within the cycle' },
+          goalReachedAt: { type: 'string', format: 'date-time', nullable: true },
+          goalReachedDonation: { type: 'string', nullable: true, description: 'Donation that took totalRaised to the goal' },
+          closedAt: { type: 'string', format: 'date-time', nullable: true },
+          closeReason: { type: 'string', enum: ['goal_reached', 'end_date_passed', 'manual'], nullable: true },
           createdAt: { type: 'string', format: 'date-time' },
           updatedAt: { type: 'string', format: 'date-time' },
         },
@@ -244,6 +339,41 @@ const swaggerDefinition = {
         },
       },
 
+      // ── Cycle ────────────────────────────────────────────────────────────
+      Cycle: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string', example: '507f1f77bcf86cd799439015' },
+          name: { type: 'string', example: 'Cycle 1' },
+          campaign: { type: 'string', example: '507f1f77bcf86cd799439011' },
+          cycleNumber: { type: 'integer', example: 1 },
+          goal: { type: 'number', example: 180000000 },
+          seasonsPerCycle: { type: 'integer', example: 10 },
+          totalRaised: { type: 'number', example: 54000000 },
+          donationCount: { type: 'integer', example: 2810 },
+          status: { type: 'string', enum: ['upcoming', 'active', 'completed'], example: 'active' },
+          startDate: { type: 'string', format: 'date-time' },
+          endDate: { type: 'string', format: 'date-time' },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' },
+        },
+      },
+
+      CycleInput: {
+        type: 'object',
+        required: ['name', 'campaign'],
+        properties: {
+          name: { type: 'string', example: 'Cycle 1' },
+          campaign: { type: 'string', example: '507f1f77bcf86cd799439011' },
+          cycleNumber: { type: 'integer', example: 1, description: 'Defaults to the campaign\'s next cycle number' },
+          goal: { type: 'number', example: 180000000 },
+          seasonsPerCycle: { type: 'integer', default: 10 },
+          status: { type: 'string', enum: ['upcoming', 'active', 'completed'], default: 'upcoming' },
+          startDate: { type: 'string', format: 'date', example: '2024-01-01' },
+          endDate: { type: 'string', format: 'date', example: '2024-12-31' },
+        },
+      },
+
       // ── Project ───────────────────────────────────────────────────────────
       Project: {
         type: 'object',
@@ -296,16 +426,144 @@ const swaggerDefinition = {
         },
       },
 
+      AnyLoginInput: {
+        type: 'object',
+        required: ['email', 'password'],
+        properties: {
+          email: { type: 'string', format: 'email', example: 'user@example.com' },
+          password: { type: 'string', example: 'Secret123' },
+          accountType: {
+            type: 'string',
+            enum: ['agent', 'corporate_agent', 'project_owner', 'admin', 'donor'],
+            description: 'Only needed when the same email and password belong to more than one account type',
+          },
+        },
+      },
+
+      ProfileUpdateInput: {
+        type: 'object',
+        description: 'Editable fields depend on the account type: agents and corporate agents name, phone, houseAddress, officeAddress; project owners name, phone, organization; admins name; donors firstName, lastName, phone, address, tags',
+        properties: {
+          name: { type: 'string' },
+          phone: { type: 'string' },
+          houseAddress: { type: 'string' },
+          officeAddress: { type: 'string' },
+          organization: { type: 'string' },
+          firstName: { type: 'string' },
+          lastName: { type: 'string' },
+          address: {
+            type: 'object',
+            description: 'Donors only; lines not sent are kept',
+            properties: {
+              street: { type: 'string' },
+              city: { type: 'string' },
+              state: { type: 'string' },
+              zipCode: { type: 'string' },
+              country: { type: 'string' },
+            },
+          },
+          tags: {
+            type: 'array',
+            items: { type: 'string' },
+            example: ['newsletter-subscriber'],
+            description: 'Donors only; the full set of self-service tags (DONOR_SELF_SERVICE_TAGS). Tags set by staff are kept.',
+          },
+        },
+      },
+
+      AuthEvent: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string' },
+          type: { type: 'string', enum: ['login_success', 'login_failure', 'login_blocked', 'lockout', 'unlock', 'mail_blocked', 'two_factor_enabled', 'two_factor_disabled', 'two_factor_required', 'two_factor_reset'] },
+          email: { type: 'string', nullable: true },
+          account: { type: 'object', nullable: true, description: 'Matched account (name, email), also for failed attempts' },
+          accountModel: { type: 'string', nullable: true, enum: ['Agent', 'CorporateAgent', 'ProjectOwner', 'Admin', 'Donor'] },
+          reason: { type: 'string', nullable: true, example: 'invalid_password', description: 'unknown_email, invalid_password, invalid_2fa_code, deactivated, email_locked, ip_locked' },
+          ip: { type: 'string', nullable: true },
+          userAgent: { type: 'string', nullable: true },
+          actor: { type: 'object', nullable: true, description: 'Admin who unlocked, or changed two-factor settings' },
+          details: { type: 'object', nullable: true },
+          createdAt: { type: 'string', format: 'date-time' },
+        },
+      },
+
       LoginResponse: {
         type: 'object',
         properties: {
           success: { type: 'boolean', example: true },
           message: { type: 'string', example: 'Login successful' },
-          token: { type: 'string', example: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...' },
+          accountType: { type: 'string', enum: ['agent', 'corporate_agent', 'project_owner', 'admin', 'donor'] },
+          token: { type: 'string', example: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...', description: 'Access token for the Authorization header' },
+          refreshToken: { type: 'string', description: 'Single-use token for POST /auth/refresh' },
+          expiresIn: { type: 'string', example: '15m', description: 'Access token lifetime' },
+          refreshTokenExpiresAt: { type: 'string', format: 'date-time' },
           data: { type: 'object', description: 'Authenticated user data (password excluded)' },
         },
       },
 
+      TwoFactorChallenge: {
+        type: 'object',
+        description: 'Returned by login instead of tokens when the account uses, or must set up, two-factor authentication',
+        properties: {
+          success: { type: 'boolean', example: true },
+          message: { type: 'string', example: 'Enter the code from your authenticator app' },
+          accountType: { type: 'string', enum: ['agent', 'corporate_agent', 'project_owner', 'admin', 'donor'] },
+          twoFactorRequired: { type: 'boolean', description: 'Complete with POST /auth/login/verify' },
+          twoFactorSetupRequired: { type: 'boolean', description: 'Enrol with POST /auth/two-factor/setup and /enable, sending challengeToken' },
+          challengeToken: { type: 'string' },
+          expiresIn: { type: 'string', example: '5m' },
+        },
+      },
+
+      TwoFactorVerifyInput: {
+        type: 'object',
+        required: ['challengeToken'],
+        properties: {
+          challengeToken: { type: 'string', description: 'From the login response' },
+          code: { type: 'string', example: '123456', description: 'Code from the authenticator app' },
+          backupCode: { type: 'string', example: '9f2c-41ab', description: 'Instead of code; each backup code works once' },
+        },
+      },
+
+      TwoFactorStatus: {
+        type: 'object',
+        properties: {
+          enabled: { type: 'boolean' },
+          required: { type: 'boolean', description: 'Set by an admin; 2FA cannot be disabled' },
+          enabledAt: { type: 'string', format: 'date-time', nullable: true },
+          backupCodesRemaining: { type: 'integer' },
+        },
+      },
+
+      ForgotPasswordInput: {
+        type: 'object',
+        required: ['email'],
+        properties: {
+          email: { type: 'string', format: 'email', example: 'user@example.com' },
+        },
+      },
+
+      ResetPasswordInput: {
+        type: 'object',
+        required: ['token', 'password', 'confirmPassword'],
+        properties: {
+          token: { type: 'string', description: 'Token from the reset link' },
+          password: { type: 'string', minLength: 8, example: 'NewSecret123' },
+          confirmPassword: { type: 'string', example: 'NewSecret123' },
+        },
+      },
+
+      ChangePasswordInput: {
+        type: 'object',
+        required: ['currentPassword', 'newPassword', 'confirmPassword'],
+        properties: {
+          currentPassword: { type: 'string', example: 'Secret123' },
+          newPassword: { type: 'string', minLength: 8, example: 'NewSecret123' },
+          confirmPassword: { type: 'string', example: 'NewSecret123' },
+        },
+      },
+
       // ── Agent ────────────────────────────────────────────────────────────
       Agent: {
         type: 'object',
@@ -320,6 +578,8 @@ const swaggerDefinition = {
           nin: { type: 'string', example: '12345678901' },
           isActive: { type: 'boolean', example: true },
           isVerified: { type: 'boolean', example: false },
+          kycStatus: { type: 'string', enum: ['unsubmitted', 'pending', 'approved', 'rejected'], example: 'unsubmitted' },
+          verifiedAt: { type: 'string', format: 'date-time', nullable: true },
           createdAt: { type: 'string', format: 'date-time' },
           updatedAt: { type: 'string', format: 'date-time' },
         },
@@ -355,6 +615,8 @@ const swaggerDefinition = {
           nin: { type: 'string', example: '98765432101' },
           isActive: { type: 'boolean', example: true },
           isVerified: { type: 'boolean', example: false },
+          kycStatus: { type: 'string', enum: ['unsubmitted', 'pending', 'approved', 'rejected'], example: 'unsubmitted' },
+          verifiedAt: { type: 'string', format: 'date-time', nullable: true },
           createdAt: { type: 'string', format: 'date-time' },
           updatedAt: { type: 'string', format: 'date-time' },
         },
@@ -388,6 +650,8 @@ const swaggerDefinition = {
           nin: { type: 'string', example: '11223344556' },
           isActive: { type: 'boolean', example: true },
           isVerified: { type: 'boolean', example: false },
+          kycStatus: { type: 'string', enum: ['unsubmitted', 'pending', 'approved', 'rejected'], example: 'unsubmitted' },
+          verifiedAt: { type: 'string', format: 'date-time', nullable: true },
           createdAt: { type: 'string', format: 'date-time' },
           updatedAt: { type: 'string', format: 'date-time' },
         },
@@ -407,128 +671,694 @@ const swaggerDefinition = {
         },
       },
 
-      // ── Error ─────────────────────────────────────────────────────────────
-      Error: {
+      // ── Admin ────────────────────────────────────────────────────────────
+      Admin: {
         type: 'object',
         properties: {
-          success: { type: 'boolean', example: false },
-          error: { type: 'string', example: 'Resource not found' },
-          message: { type: 'string' },
+          _id: { type: 'string', example: '507f1f77bcf86cd799439030' },
+          name: { type: 'string', example: 'Ngozi Obi' },
+          email: { type: 'string', format: 'email', example: 'ngozi@ftt.org' },
+          role: {
+            type: 'string',
+            enum: ['super_admin', 'finance', 'support', 'viewer'],
+            example: 'finance',
+            description: 'finance: refunds, donation processing, profit sharing, payouts. support: donor edits, merge, reactivate. viewer: read-only. super_admin: everything.',
+          },
+          isActive: { type: 'boolean', example: true },
+          lastLoginAt: { type: 'string', format: 'date-time', nullable: true },
+          createdBy: { type: 'string', nullable: true, description: 'Admin who created this account; null for the bootstrapped one' },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' },
         },
       },
-    },
 
-    // ── Reusable Parameters ──────────────────────────────────────────────────
-    parameters: {
-      idParam: {
-        name: 'id',
-        in: 'path',
-        required: true,
-        schema: { type: 'string', example: '507f1f77bcf86cd799439011' },
-        description: 'MongoDB ObjectId',
-      },
-      pageParam: {
-        name: 'page',
-        in: 'query',
-        schema: { type: 'integer', default: 1, minimum: 1 },
-        description: 'Page number',
-      },
-      limitParam: {
-        name: 'limit',
-        in: 'query',
-        schema: { type: 'integer', default: 10, minimum: 1, maximum: 100 },
-        description: 'Items per page (max 100)',
-      },
-      sortParam: {
-        name: 'sort',
-        in: 'query',
-        schema: { type: 'string', example: '-createdAt' },
-        description: "Sort field. Prefix with '-' for descending order.",
+      AdminInput: {
+        type: 'object',
+        required: ['name', 'email', 'password'],
+        properties: {
+          name: { type: 'string', example: 'Ngozi Obi' },
+          email: { type: 'string', format: 'email', example: 'ngozi@ftt.org' },
+          password: { type: 'string', minLength: 8, example: 'Secure789' },
+          role: { type: 'string', enum: ['super_admin', 'finance', 'support', 'viewer'], default: 'viewer' },
+        },
       },
-    },
-  },
 
-  // ─── Tags ─────────────────────────────────────────────────────────────────
-  tags: [
-    { name: 'Campaigns', description: 'Fundraising campaign management' },
-    { name: 'Donations', description: 'Donation management and processing' },
-    { name: 'Donors', description: 'Donor management and analytics' },
-    { name: 'Seasons', description: 'Campaign season management' },
-    { name: 'Projects', description: 'Project / campaign creation and management' },
-    { name: 'Agents', description: 'Individual agent registration and management' },
-    { name: 'Corporate Agents', description: 'Corporate agent registration and management' },
-    { name: 'Project Owners', description: 'Project owner registration and management' },
-  ],
+      // ── KYC ──────────────────────────────────────────────────────────────
+      KycDocument: {
+        type: 'object',
+        required: ['type', 'fileName', 'url', 'mimeType', 'size'],
+        properties: {
+          type: { type: 'string', enum: ['nin_slip', 'cac_certificate', 'government_id', 'utility_bill', 'passport_photo', 'other'] },
+          fileName: { type: 'string', example: 'nin-slip.pdf' },
+          url: { type: 'string', example: 'https://storage.example.com/kyc/nin-slip.pdf', description: 'Where the uploaded file is stored' },
+          mimeType: { type: 'string', enum: ['application/pdf', 'image/jpeg', 'image/png'] },
+          size: { type: 'integer', example: 204800, description: 'Bytes, max 10 MB' },
+          uploadedAt: { type: 'string', format: 'date-time' },
+        },
+      },
 
-  // ─── Paths ────────────────────────────────────────────────────────────────
-  paths: {
+      KycSubmissionInput: {
+        type: 'object',
+        required: ['documents'],
+        properties: {
+          documents: {
+            type: 'array',
+            items: { $ref: '#/components/schemas/KycDocument' },
+            description: 'Agents and corporate agents need nin_slip and cac_certificate; project owners need nin_slip',
+          },
+          nin: { type: 'string', example: '12345678902', description: '11 digits; defaults to the NIN on the account' },
+          cac: { type: 'string', example: 'RC 1234567', description: 'Agents and corporate agents; normalised to e.g. RC1234567. Defaults to the CAC on the account' },
+        },
+      },
 
-    // ═══════════════════════════════════════════════════════════════════════
-    // CAMPAIGNS
-    // ═══════════════════════════════════════════════════════════════════════
+      KycSubmission: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string' },
+          account: { type: 'string', description: 'Account ID (populated in the review queue)' },
+          accountModel: { type: 'string', enum: ['Agent', 'CorporateAgent', 'ProjectOwner'] },
+          nin: { type: 'string' },
+          cac: { type: 'string', nullable: true },
+          documents: { type: 'array', items: { $ref: '#/components/schemas/KycDocument' } },
+          status: { type: 'string', enum: ['pending', 'approved', 'rejected'] },
+          reviewedBy: { type: 'string', nullable: true, description: 'Admin ID' },
+          reviewedAt: { type: 'string', format: 'date-time', nullable: true },
+          reason: { type: 'string', nullable: true, description: 'Rejection reason or approval note' },
+          createdAt: { type: 'string', format: 'date-time' },
+        },
+      },
 
-    '/campaigns': {
-      get: {
-        tags: ['Campaigns'],
-        summary: 'Get all campaigns',
-        description: 'Retrieve a paginated list of campaigns with optional filters.',
-        parameters: [
-          {
-            name: 'status',
-            in: 'query',
-            schema: { type: 'string', enum: ['draft', 'active', 'paused', 'completed', 'cancelled'] },
+      // ── Account deletion ─────────────────────────────────────────────────
+      AccountDeletionRequest: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string' },
+          account: { type: 'string' },
+          accountModel: { type: 'string', enum: ['Agent', 'CorporateAgent', 'ProjectOwner', 'Admin', 'Donor'] },
+          email: { type: 'string', description: 'Anonymised once the request is executed' },
+          reason: { type: 'string', nullable: true },
+          source: { type: 'string', enum: ['form', 'api', 'self_service'] },
+          status: {
+            type: 'string',
+            enum: ['pending_confirmation', 'pending_review', 'approved', 'executing', 'rejected', 'cancelled', 'completed'],
           },
-          { name: 'search', in: 'query', schema: { type: 'string' }, description: 'Full-text search' },
-          { $ref: '#/components/parameters/pageParam' },
-          { $ref: '#/components/parameters/limitParam' },
-          { $ref: '#/components/parameters/sortParam' },
-          { name: 'minGoal', in: 'query', schema: { type: 'number' } },
-          { name: 'maxGoal', in: 'query', schema: { type: 'number' } },
-          { name: 'startDateFrom', in: 'query', schema: { type: 'string', format: 'date' } },
-          { name: 'startDateTo', in: 'query', schema: { type: 'string', format: 'date' } },
-        ],
-        responses: {
-          200: {
-            description: 'List of campaigns',
-            content: {
-              'application/json': {
-                schema: {
-                  type: 'object',
-                  properties: {
-                    success: { type: 'boolean', example: true },
-                    data: { type: 'array', items: { $ref: '#/components/schemas/Campaign' } },
-                    pagination: { $ref: '#/components/schemas/Pagination' },
-                  },
-                },
+          isOpen: { type: 'boolean' },
+          confirmBy: { type: 'string', format: 'date-time', description: 'Deadline for the emailed confirmation link' },
+          confirmedAt: { type: 'string', format: 'date-time', nullable: true },
+          scheduledFor: { type: 'string', format: 'date-time', nullable: true, description: 'End of the grace period' },
+          reviewedBy: { type: 'string', nullable: true, description: 'Admin (populated)' },
+          reviewedAt: { type: 'string', format: 'date-time', nullable: true },
+          reviewNote: { type: 'string', nullable: true, description: 'Approval note or rejection reason' },
+          completedAt: { type: 'string', format: 'date-time', nullable: true },
+          events: {
+            type: 'array',
+            description: 'Audit trail, one entry per step',
+            items: {
+              type: 'object',
+              properties: {
+                type: { type: 'string', enum: ['requested', 'confirmed', 'approved', 'rejected', 'cancelled', 'executed', 'failed'] },
+                at: { type: 'string', format: 'date-time' },
+                actor: { type: 'string', nullable: true, description: 'Account holder or admin; null for the scheduler' },
+                actorModel: { type: 'string', nullable: true },
+                ip: { type: 'string', nullable: true },
+                note: { type: 'string', nullable: true },
               },
             },
           },
-          500: { description: 'Server error', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } },
+          createdAt: { type: 'string', format: 'date-time' },
         },
       },
-      post: {
-        tags: ['Campaigns'],
-        summary: 'Create a campaign',
-        requestBody: {
-          required: true,
-          content: { 'application/json': { schema: { $ref: '#/components/schemas/CampaignInput' } } },
-        },
-        responses: {
-          201: {
-            description: 'Campaign created',
-            content: { 'application/json': { schema: { type: 'object', properties: { success: { type: 'boolean' }, data: { $ref: '#/components/schemas/Campaign' } } } } },
+
+      // ── Recurring plan ───────────────────────────────────────────────────
+      RecurringPlan: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string' },
+          donor: { type: 'string' },
+          campaign: { type: 'string' },
+          agent: { type: 'string', nullable: true },
+          agentModel: { type: 'string', enum: ['Agent', 'CorporateAgent'], nullable: true },
+          amount: { type: 'number', example: 50 },
+          currency: { type: 'string', example: 'USD' },
+          frequency: { type: 'string', enum: ['weekly', 'monthly', 'quarterly', 'annually'] },
+          anchorDay: { type: 'integer', example: 15, description: 'Day of month for monthly and longer plans; the last day in shorter months' },
+          startDate: { type: 'string', format: 'date-time' },
+          endDate: { type: 'string', format: 'date-time', nullable: true },
+          paymentMethod: { type: 'string', example: 'credit_card' },
+          paymentProvider: { type: 'string', nullable: true, example: 'paystack' },
+          tokenSavedAt: { type: 'string', format: 'date-time', nullable: true, description: 'When a reusable payment method was saved; the token itself is never returned' },
+          status: { type: 'string', enum: ['active', 'past_due', 'paused', 'cancelled', 'completed'] },
+          dueDate: { type: 'string', format: 'date-time', description: 'Date of the current installment' },
+          nextRunAt: { type: 'string', format: 'date-time', nullable: true, description: 'Next scheduler run: the due date, or the next retry when past_due' },
+          failedAttempts: { type: 'integer' },
+          lastFailureReason: { type: 'string', nullable: true },
+          installmentCount: { type: 'integer' },
+          lastChargedAt: { type: 'string', format: 'date-time', nullable: true },
+          pausedAt: { type: 'string', format: 'date-time', nullable: true },
+          resumeAt: { type: 'string', format: 'date-time', nullable: true, description: 'Automatic resume date' },
+          pausedReason: { type: 'string', enum: ['requested', 'payment_failed', null], nullable: true },
+          cancelledAt: { type: 'string', format: 'date-time', nullable: true },
+          cancelReason: { type: 'string', nullable: true },
+          isAnonymous: { type: 'boolean' },
+          events: {
+            type: 'array',
+            description: 'Audit trail, one entry per step',
+            items: {
+              type: 'object',
+              properties: {
+                type: {
+                  type: 'string',
+                  enum: ['created', 'installment_created', 'charged', 'charge_pending', 'charge_failed', 'charge_error', 'paused', 'resumed', 'skipped', 'cancelled', 'completed', 'payment_method_saved'],
+                },
+                at: { type: 'string', format: 'date-time' },
+                actor: { type: 'string', nullable: true, description: 'Caller; null for the scheduler' },
+                actorModel: { type: 'string', nullable: true },
+                donation: { type: 'string', nullable: true, description: 'Installment concerned' },
+                note: { type: 'string', nullable: true },
+              },
+            },
           },
-          400: { description: 'Validation error', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } },
-          409: { description: 'Campaign name already exists', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } },
-          500: { description: 'Server error', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } },
+          createdAt: { type: 'string', format: 'date-time' },
+        },
+      },
+      RecurringPlanInput: {
+        type: 'object',
+        required: ['campaign', 'amount', 'frequency'],
+        properties: {
+          donor: { type: 'string', description: 'Required except on /me/recurring-plans' },
+          campaign: { type: 'string' },
+          amount: { type: 'number', example: 50 },
+          currency: { type: 'string', example: 'USD' },
+          frequency: { type: 'string', enum: ['weekly', 'monthly', 'quarterly', 'annually'] },
+          startDate: { type: 'string', format: 'date-time', description: 'First installment, today or later; default now' },
+          endDate: { type: 'string', format: 'date-time' },
+          paymentMethod: { type: 'string', enum: ['credit_card', 'debit_card', 'bank_transfer', 'cash', 'check', 'paypal', 'other'] },
+          paymentProvider: { type: 'string', enum: ['paystack', 'flutterwave', 'mock'], description: 'Gateway for automatic charges' },
+          paymentToken: { type: 'string', description: 'Reusable provider authorization (staff only). Without one, the first installment paid through checkout saves it' },
+          isAnonymous: { type: 'boolean' },
         },
       },
-    },
 
-    '/campaigns/{id}': {
-      get: {
-        tags: ['Campaigns'],
-        summary: 'Get a campaign by ID',
+      // ── Pledge ───────────────────────────────────────────────────────────
+      Pledge: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string' },
+          donor: { type: 'string' },
+          campaign: { type: 'string' },
+          season: { type: 'string', nullable: true, description: 'Season covering pledgeDate' },
+          cycle: { type: 'string', nullable: true },
+          agent: { type: 'string', nullable: true },
+          agentModel: { type: 'string', enum: ['Agent', 'CorporateAgent'], nullable: true },
+          totalAmount: { type: 'number', example: 1200 },
+          currency: { type: 'string', example: 'USD' },
+          pledgeDate: { type: 'string', format: 'date-time' },
+          dueDate: { type: 'string', format: 'date-time', description: 'Due date of the last instalment' },
+          instalments: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                dueDate: { type: 'string', format: 'date-time' },
+                amount: { type: 'number', example: 400 },
+                paidAmount: { type: 'number', example: 400, description: 'Completed donations allocated in due-date order' },
+                paidAt: { type: 'string', format: 'date-time', nullable: true },
+              },
+            },
+          },
+          amountFulfilled: { type: 'number', example: 400 },
+          outstanding: { type: 'number', example: 800 },
+          donationCount: { type: 'integer' },
+          lastPaymentAt: { type: 'string', format: 'date-time', nullable: true },
+          nextDueDate: { type: 'string', format: 'date-time', nullable: true, description: 'Earliest instalment not paid in full' },
+          isOverdue: { type: 'boolean' },
+          overdueAmount: { type: 'number', description: 'Unpaid part of instalments already due' },
+          daysOverdue: { type: 'integer' },
+          fulfilmentPercent: { type: 'number', example: 33.33 },
+          status: { type: 'string', enum: ['open', 'fulfilled', 'cancelled', 'written_off'] },
+          fulfilledAt: { type: 'string', format: 'date-time', nullable: true },
+          closedAt: { type: 'string', format: 'date-time', nullable: true },
+          closedBy: { type: 'string', nullable: true },
+          closeReason: { type: 'string', nullable: true },
+          notes: { type: 'string', nullable: true },
+          isAnonymous: { type: 'boolean' },
+          createdAt: { type: 'string', format: 'date-time' },
+        },
+      },
+      PledgeInput: {
+        type: 'object',
+        required: ['donor', 'campaign', 'totalAmount'],
+        description: 'Give instalments, or instalmentCount with firstDueDate, or dueDate for a single payment',
+        properties: {
+          donor: { type: 'string' },
+          campaign: { type: 'string' },
+          totalAmount: { type: 'number', example: 1200 },
+          currency: { type: 'string', example: 'USD' },
+          pledgeDate: { type: 'string', format: 'date-time', description: 'Default now' },
+          dueDate: { type: 'string', format: 'date-time', description: 'Single-payment pledges' },
+          instalments: {
+            type: 'array',
+            description: 'Must add up to totalAmount',
+            items: {
+              type: 'object',
+              required: ['dueDate', 'amount'],
+              properties: {
+                dueDate: { type: 'string', format: 'date-time' },
+                amount: { type: 'number' },
+              },
+            },
+          },
+          instalmentCount: { type: 'integer', minimum: 1, maximum: 120, description: 'Equal instalments; the last takes any rounding remainder' },
+          frequency: { type: 'string', enum: ['weekly', 'monthly', 'quarterly', 'annually'], default: 'monthly' },
+          firstDueDate: { type: 'string', format: 'date-time' },
+          agent: { type: 'string', description: 'Staff only; agents take pledges for themselves' },
+          agentModel: { type: 'string', enum: ['Agent', 'CorporateAgent'] },
+          notes: { type: 'string' },
+          isAnonymous: { type: 'boolean' },
+        },
+      },
+
+      // ── Exchange Rate ────────────────────────────────────────────────────
+      ExchangeRate: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string' },
+          base: { type: 'string', example: 'USD' },
+          quote: { type: 'string', example: 'NGN' },
+          rate: { type: 'number', example: 1550, description: 'Units of quote per unit of base; also used inverted for quote to base' },
+          effectiveDate: { type: 'string', format: 'date-time', description: 'Start of the UTC day from which the rate applies' },
+          source: { type: 'string', example: 'manual' },
+          uploadedBy: { type: 'string', nullable: true },
+          note: { type: 'string', nullable: true },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' },
+        },
+      },
+
+      ExchangeRateInput: {
+        type: 'object',
+        required: ['base', 'quote', 'rate', 'effectiveDate'],
+        properties: {
+          base: { type: 'string', example: 'USD' },
+          quote: { type: 'string', example: 'NGN' },
+          rate: { type: 'number', exclusiveMinimum: 0, example: 1550 },
+          effectiveDate: { type: 'string', format: 'date', example: '2024-06-01' },
+          note: { type: 'string' },
+        },
+      },
+
+      // ── Refund ───────────────────────────────────────────────────────────
+      Refund: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string' },
+          donation: { type: 'string' },
+          donor: { type: 'string' },
+          campaign: { type: 'string' },
+          season: { type: 'string', nullable: true },
+          amount: { type: 'number', example: 200, description: "In the donation's currency" },
+          currency: { type: 'string', example: 'NGN' },
+          baseAmount: { type: 'number', example: 200, description: "In the campaign's base currency" },
+          reason: { type: 'string', example: 'Donor gave twice by mistake' },
+          method: { type: 'string', enum: ['gateway', 'manual'] },
+          status: { type: 'string', enum: ['pending', 'completed', 'failed', 'cancelled'], description: 'Only completed refunds count' },
+          provider: { type: 'string', nullable: true, example: 'paystack' },
+          gatewayReference: { type: 'string', nullable: true, description: "The provider's refund ID" },
+          failureReason: { type: 'string', nullable: true },
+          requestedBy: { type: 'string', nullable: true, description: 'Operator; null for refunds reported by a provider webhook' },
+          completedAt: { type: 'string', format: 'date-time', nullable: true },
+          clawback: {
+            type: 'object',
+            description: 'Set when the season had already paid out profit sharing',
+            properties: {
+              status: { type: 'string', enum: ['pending', 'recovered', 'waived'], nullable: true },
+              distribution: { type: 'string', nullable: true },
+              resolvedBy: { type: 'string', nullable: true },
+              resolvedAt: { type: 'string', format: 'date-time', nullable: true },
+              note: { type: 'string', nullable: true },
+            },
+          },
+          statusHistory: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                from: { type: 'string', nullable: true },
+                to: { type: 'string' },
+                by: { type: 'string', nullable: true },
+                note: { type: 'string', nullable: true },
+                at: { type: 'string', format: 'date-time' },
+              },
+            },
+          },
+          createdAt: { type: 'string', format: 'date-time' },
+        },
+      },
+
+      // ── Payout ───────────────────────────────────────────────────────────
+      Payout: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string' },
+          distribution: { type: 'string' },
+          season: { type: 'string' },
+          campaign: { type: 'string' },
+          vendor: { type: 'string', enum: ['donors', 'agents', 'stakeholders'] },
+          category: { type: 'string', enum: ['selectedDonor', 'freelancing', 'corporate', 'major', 'miscellaneous', 'r1', 'pb', 'sf', 'bmg'] },
+          beneficiary: { type: 'string', nullable: true },
+          beneficiaryModel: { type: 'string', enum: ['Agent', 'CorporateAgent', 'Donor'], nullable: true },
+          beneficiaryName: { type: 'string', example: 'Jane Agent' },
+          amount: { type: 'number', example: 88667.69 },
+          currency: { type: 'string', example: 'NGN', description: "The campaign's base currency" },
+          basis: {
+            type: 'object',
+            properties: {
+              donationsAmount: { type: 'number', example: 9000000 },
+              donationCount: { type: 'integer', example: 410 },
+              sharePercent: { type: 'number', example: 50 },
+            },
+          },
+          status: { type: 'string', enum: ['pending', 'approved', 'paid', 'failed'], example: 'pending' },
+          approvedBy: { type: 'string', nullable: true },
+          approvedAt: { type: 'string', format: 'date-time', nullable: true },
+          paymentReference: { type: 'string', nullable: true, example: 'TRF-2024-000123' },
+          paidAt: { type: 'string', format: 'date-time', nullable: true },
+          failureReason: { type: 'string', nullable: true },
+          failedAt: { type: 'string', format: 'date-time', nullable: true },
+          statusHistory: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                from: { type: 'string', nullable: true },
+                to: { type: 'string' },
+                by: { type: 'string', nullable: true },
+                note: { type: 'string', nullable: true },
+                at: { type: 'string', format: 'date-time' },
+              },
+            },
+          },
+          createdAt: { type: 'string', format: 'date-time' },
+        },
+      },
+
+      // ── Profit Sharing Job ───────────────────────────────────────────────
+      ProfitSharingJob: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string' },
+          season: { type: 'string' },
+          campaign: { type: 'string' },
+          triggerDonation: { type: 'string', description: 'Donation that took the season to its goal' },
+          goalReachedAt: { type: 'string', format: 'date-time' },
+          goal: { type: 'number', example: 18000000 },
+          totalRaisedAtTrigger: { type: 'number', example: 18004500 },
+          mode: { type: 'string', enum: ['auto', 'approval'] },
+          status: { type: 'string', enum: ['awaiting_approval', 'queued', 'running', 'completed', 'failed', 'rejected'] },
+          holdReason: { type: 'string', nullable: true, description: 'Why an auto job is waiting for approval' },
+          approvedBy: { type: 'string', nullable: true },
+          approvedAt: { type: 'string', format: 'date-time', nullable: true },
+          rejectedBy: { type: 'string', nullable: true },
+          rejectionReason: { type: 'string', nullable: true },
+          attempts: { type: 'integer', example: 1 },
+          error: { type: 'string', nullable: true },
+          distribution: { type: 'string', nullable: true },
+          completedAt: { type: 'string', format: 'date-time', nullable: true },
+        },
+      },
+
+      // ── Profit Distribution ──────────────────────────────────────────────
+      ProfitDistribution: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string', example: '507f1f77bcf86cd799439030' },
+          season: { type: 'string', example: '507f1f77bcf86cd799439013' },
+          campaign: { type: 'string', example: '507f1f77bcf86cd799439011' },
+          currency: { type: 'string', example: 'NGN', description: "The campaign's base currency; every amount is in it" },
+          seasonSnapshot: {
+            type: 'object',
+            properties: {
+              name: { type: 'string', example: 'Season 1' },
+              goal: { type: 'number', example: 18000000 },
+              totalRaised: { type: 'number', example: 18250000 },
+              donationCount: { type: 'integer', example: 940 },
+            },
+          },
+          selectedDonors: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                rank: { type: 'integer', example: 1 },
+                donor: { type: 'string', example: '507f1f77bcf86cd799439012' },
+                fullName: { type: 'string', example: 'Jane Doe' },
+                email: { type: 'string', format: 'email' },
+                donationCount: { type: 'integer', example: 7 },
+                totalContributed: { type: 'number', example: 35000 },
+              },
+            },
+          },
+          totalProfit: { type: 'number', example: 910602 },
+          profitCalculation: { type: 'object' },
+          vendorDistribution: { type: 'object' },
+          executedAt: { type: 'string', format: 'date-time' },
+        },
+      },
+
+      ProfitSharingPolicyInput: {
+        type: 'object',
+        description: 'Omitted sections are carried over from the current policy. Fractions are 0-1.',
+        properties: {
+          multipliers: {
+            type: 'object',
+            properties: {
+              initial: { type: 'number', example: 1.8 },
+              first: { type: 'number', example: 0.1 },
+              second: { type: 'number', example: 0.44 },
+              final: { type: 'number', example: 0.63 },
+            },
+          },
+          minDonations: { type: 'integer', example: 5 },
+          selectedDonorsCount: { type: 'integer', example: 2 },
+          vendorSplit: {
+            type: 'object',
+            description: 'Must sum to 1',
+            properties: {
+              agents: { type: 'number', example: 0.5 },
+              stakeholders: { type: 'number', example: 0.5 },
+            },
+          },
+          agentDistribution: {
+            type: 'object',
+            description: 'freelancing + corporate may not exceed 1; miscellaneous takes the remainder',
+            properties: {
+              freelancing: { type: 'number', example: 0.3949 },
+              corporate: { type: 'number', example: 0.305 },
+              majorPerMillion: { type: 'number', example: 10000 },
+            },
+          },
+          stakeholderDistribution: {
+            type: 'object',
+            description: 'Must sum to 1',
+            properties: {
+              r1: { type: 'number', example: 0.05 },
+              pb: { type: 'number', example: 0.15 },
+              sf: { type: 'number', example: 0.2 },
+              bmg: { type: 'number', example: 0.6 },
+            },
+          },
+          executionMode: {
+            type: 'string',
+            enum: ['auto', 'approval'],
+            example: 'approval',
+            description: 'Run profit sharing as soon as a season reaches its goal, or queue it for admin approval',
+          },
+          notes: { type: 'string', example: 'Renegotiated BMG share for 2026' },
+        },
+      },
+
+      // ── Error ─────────────────────────────────────────────────────────────
+      Error: {
+        type: 'object',
+        properties: {
+          success: { type: 'boolean', example: false },
+          error: { type: 'string', example: 'Resource not found' },
+          message: { type: 'string' },
+        },
+      },
+    },
+
+    // ── Reusable Parameters ──────────────────────────────────────────────────
+    parameters: {
+      idParam: {
+        name: 'id',
+        in: 'path',
+        required: true,
+        schema: { type: 'string', example: '507f1f77bcf86cd799439011' },
+        description: 'MongoDB ObjectId',
+      },
+      pageParam: {
+        name: 'page',
+        in: 'query',
+        schema: { type: 'integer', default: 1, minimum: 1 },
+        description: 'Page number',
+      },
+      limitParam: {
+        name: 'limit',
+        in: 'query',
+        schema: { type: 'integer', default: 10, minimum: 1, maximum: 100 },
+        description: 'Items per page (max 100)',
+      },
+      sortParam: {
+        name: 'sort',
+        in: 'query',
+        schema: { type: 'string', example: '-createdAt' },
+        description: "Sort field. Prefix with '-' for descending order.",
+      },
+    },
+
+    // ── Security ─────────────────────────────────────────────────────────────
+    securitySchemes: {
+      bearerAuth: {
+        type: 'http',
+        scheme: 'bearer',
+        bearerFormat: 'JWT',
+        description: 'Token from a login endpoint. Roles: admin (with adminRole super_admin, finance, support or viewer), agent, corporate_agent, project_owner, donor.',
+      },
+    },
+
+    // ── Reusable Responses ───────────────────────────────────────────────────
+    responses: {
+      Unauthorized: {
+        description: 'Missing, invalid, expired or revoked bearer token',
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              properties: {
+                success: { type: 'boolean', example: false },
+                error: { type: 'string', enum: ['Authentication required', 'Invalid token', 'Token expired', 'Token revoked'] },
+                message: { type: 'string' },
+              },
+            },
+          },
+        },
+      },
+      Forbidden: {
+        description: "Caller's role lacks the permission for this operation",
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              properties: {
+                success: { type: 'boolean', example: false },
+                error: { type: 'string', example: 'Forbidden' },
+                message: { type: 'string', example: "Role 'admin:viewer' does not have the 'campaigns:manage' permission" },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+
+  // ─── Tags ─────────────────────────────────────────────────────────────────
+  tags: [
+    { name: 'Campaigns', description: 'Fundraising campaign management' },
+    { name: 'Donations', description: 'Donation management and processing' },
+    { name: 'Payments', description: 'Gateway checkouts (Paystack, Flutterwave, mock), verification and signed webhooks' },
+    { name: 'Pledges', description: 'Pledges with instalment schedules, fulfilment by linked donations, overdue tracking and reports' },
+    { name: 'Recurring Plans', description: 'Recurring donations: scheduled installments, saved-token charges, retries and dunning' },
+    { name: 'Refunds', description: 'Partial and full refunds with their lifecycle, and clawbacks after profit sharing payouts' },
+    { name: 'Exchange Rates', description: 'Uploaded exchange rates converting donations into campaign base currencies' },
+    { name: 'Donors', description: 'Donor management and analytics, donor portal sign-up and sign-in' },
+    { name: 'Seasons', description: 'Campaign season management' },
+    { name: 'Cycles', description: 'Campaign cycles (groups of seasons) management' },
+    { name: 'Projects', description: 'Project / campaign creation and management' },
+    { name: 'Agents', description: 'Individual agent registration and management' },
+    { name: 'Corporate Agents', description: 'Corporate agent registration and management' },
+    { name: 'Project Owners', description: 'Project owner registration and management' },
+    { name: 'Admins', description: 'Back-office accounts and sub-roles' },
+    { name: 'Auth', description: 'Login for any account type, two-factor authentication, token refresh, logout and logout from all devices' },
+    { name: 'Profile', description: "The caller's own account, and a donor's giving and preferences" },
+    { name: 'KYC', description: 'Identity verification of agents, corporate agents and project owners' },
+    { name: 'Account Deletion', description: 'Account deletion requests: email confirmation, grace period, admin review and anonymisation' },
+    { name: 'Profit Sharing', description: 'Season profit sharing execution and distribution audit' },
+    { name: 'Payouts', description: 'Profit sharing payout ledger, settlement and reconciliation' },
+  ],
+
+  // ─── Paths ────────────────────────────────────────────────────────────────
+  paths: {
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // CAMPAIGNS
+    // ═══════════════════════════════════════════════════════════════════════
+
+    '/campaigns': {
+      get: {
+        tags: ['Campaigns'],
+        summary: 'Get all campaigns',
+        description: 'Retrieve a paginated list of campaigns with optional filters.',
+        parameters: [
+          {
+            name: 'status',
+            in: 'query',
+            schema: { type: 'string', enum: ['draft', 'active', 'paused', 'completed', 'cancelled'] },
+          },
+          { name: 'search', in: 'query', schema: { type: 'string' }, description: 'Full-text search' },
+          { $ref: '#/components/parameters/pageParam' },
+          { $ref: '#/components/parameters/limitParam' },
+          { $ref: '#/components/parameters/sortParam' },
+          { name: 'minGoal', in: 'query', schema: { type: 'number' } },
+          { name: 'maxGoal', in: 'query', schema: { type: 'number' } },
+          { name: 'startDateFrom', in: 'query', schema: { type: 'string', format: 'date' } },
+          { name: 'startDateTo', in: 'query', schema: { type: 'string', format: 'date' } },
+        ],
+        responses: {
+          200: {
+            description: 'List of campaigns',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    data: { type: 'array', items: { $ref: '#/components/schemas/Campaign' } },
+                    pagination: { $ref: '#/components/schemas/Pagination' },
+                  },
+                },
+              },
+            },
+          },
+          500: { description: 'Server error', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } },
+        },
+      },
+      post: {
+        tags: ['Campaigns'],
+        summary: 'Create a campaign',
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/CampaignInput' } } },
+        },
+        responses: {
+          201: {
+            description: 'Campaign created',
+            content: { 'application/json': { schema: { type: 'object', properties: { success: { type: 'boolean' }, data: { $ref: '#/components/schemas/Campaign' } } } } },
+          },
+          400: { description: 'Validation error', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } },
+          409: { description: 'Campaign name already exists', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } },
+        },
+      },
+    },
+
+    '/campaigns/{id}': {
+      get: {
+        tags: ['Campaigns'],
+        summary: 'Get a campaign by ID',
         parameters: [{ $ref: '#/components/parameters/idParam' }],
         responses: {
           200: { description: 'Campaign details', content: { 'application/json': { schema: { type: 'object', properties: { success: { type: 'boolean' }, data: { $ref: '#/components/schemas/Campaign' } } } } } },
@@ -540,6 +1370,7 @@ const swaggerDefinition = {
       put: {
         tags: ['Campaigns'],
         summary: 'Update a campaign',
+        security: [{ bearerAuth: [] }],
         parameters: [{ $ref: '#/components/parameters/idParam' }],
         requestBody: {
           required: true,
@@ -549,18 +1380,24 @@ const swaggerDefinition = {
           200: { description: 'Campaign updated', content: { 'application/json': { schema: { type: 'object', properties: { success: { type: 'boolean' }, data: { $ref: '#/components/schemas/Campaign' } } } } } },
           400: { description: 'Validation error or invalid ID' },
           404: { description: 'Campaign not found' },
+          409: { description: 'baseCurrency changed on a campaign that has donations' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
           500: { description: 'Server error' },
         },
       },
       delete: {
         tags: ['Campaigns'],
         summary: 'Delete a campaign',
+        security: [{ bearerAuth: [] }],
         parameters: [{ $ref: '#/components/parameters/idParam' }],
         responses: {
           200: { description: 'Campaign deleted' },
           400: { description: 'Invalid ID format' },
           404: { description: 'Campaign not found' },
           409: { description: 'Campaign has existing donations and cannot be deleted' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
           500: { description: 'Server error' },
         },
       },
@@ -570,7 +1407,7 @@ const swaggerDefinition = {
       get: {
         tags: ['Campaigns'],
         summary: 'Get campaign statistics',
-        description: 'Comprehensive analytics: progress, timeline, donor analytics, payment breakdown.',
+        description: 'Comprehensive analytics: progress (with the amount raised and the amount still pledged shown separately), timeline, donor analytics, payment breakdown.',
         parameters: [{ $ref: '#/components/parameters/idParam' }],
         responses: {
           200: { description: 'Campaign statistics' },
@@ -623,6 +1460,7 @@ const swaggerDefinition = {
       patch: {
         tags: ['Campaigns'],
         summary: 'Update campaign status',
+        security: [{ bearerAuth: [] }],
         parameters: [{ $ref: '#/components/parameters/idParam' }],
         requestBody: {
           required: true,
@@ -642,35 +1480,124 @@ const swaggerDefinition = {
           200: { description: 'Status updated' },
           400: { description: 'Invalid status' },
           404: { description: 'Campaign not found' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
           500: { description: 'Server error' },
         },
       },
     },
 
-    // ═══════════════════════════════════════════════════════════════════════
-    // DONATIONS
-    // ═══════════════════════════════════════════════════════════════════════
-
-    '/donations/analytics': {
+    '/campaigns/{id}/history': {
       get: {
-        tags: ['Donations'],
-        summary: 'Get donation analytics',
-        description: 'Comprehensive analytics: summary, breakdown by payment method, type, month, day of week, amount range, top campaigns and donors.',
+        tags: ['Campaigns'],
+        summary: 'Season and cycle transition history of a campaign (newest first)',
         parameters: [
-          { name: 'campaign', in: 'query', schema: { type: 'string' }, description: 'Filter by campaign ID' },
-          { name: 'donor', in: 'query', schema: { type: 'string' }, description: 'Filter by donor ID' },
-          { name: 'startDate', in: 'query', schema: { type: 'string', format: 'date' } },
-          { name: 'endDate', in: 'query', schema: { type: 'string', format: 'date' } },
+          { $ref: '#/components/parameters/idParam' },
           {
-            name: 'status',
+            name: 'event',
             in: 'query',
-            schema: { type: 'string', enum: ['pending', 'completed', 'failed', 'refunded', 'cancelled'], default: 'completed' },
+            schema: { type: 'string', enum: ['season_closed', 'season_opened', 'cycle_closed', 'cycle_opened', 'rollover_halted'] },
           },
+          { $ref: '#/components/parameters/pageParam' },
+          { $ref: '#/components/parameters/limitParam' },
         ],
         responses: {
-          200: { description: 'Donation analytics data' },
-          500: { description: 'Server error' },
-        },
+          200: {
+            description: 'Paginated history',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean' },
+                    data: { type: 'array', items: { $ref: '#/components/schemas/CampaignHistory' } },
+                    pagination: { $ref: '#/components/schemas/Pagination' },
+                  },
+                },
+              },
+            },
+          },
+          400: { description: 'Invalid campaign ID' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/campaigns/{id}/rollover': {
+      post: {
+        tags: ['Campaigns'],
+        summary: 'Close the active season now and open the next one',
+        security: [{ bearerAuth: [] }],
+        description: 'Closes the cycle too when the season was its last, and opens the next cycle. Stops after closing when the campaign has ended or is not active.',
+        parameters: [{ $ref: '#/components/parameters/idParam' }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['triggeredBy'],
+                properties: {
+                  triggeredBy: { type: 'string', example: 'admin@example.com' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: { description: 'Rolled over; data holds closed/opened season and cycle, halted reason and history entries' },
+          400: { description: 'Invalid ID or missing triggeredBy' },
+          404: { description: 'Campaign not found or has no active season' },
+          409: { description: 'Season was rolled over concurrently' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/campaigns/rollover/sweep': {
+      post: {
+        tags: ['Campaigns'],
+        summary: 'Roll over every due season of auto-advancing campaigns now',
+        security: [{ bearerAuth: [] }],
+        description: 'Same sweep the scheduler runs every ROLLOVER_INTERVAL_MINUTES: active seasons past their end date or at their goal are rolled over.',
+        responses: {
+          200: { description: 'Sweep result: checked count, rolled-over seasons and failures' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // DONATIONS
+    // ═══════════════════════════════════════════════════════════════════════
+
+    '/donations/analytics': {
+      get: {
+        tags: ['Donations'],
+        summary: 'Get donation analytics',
+        security: [{ bearerAuth: [] }],
+        description: 'Comprehensive analytics: summary, breakdown by payment method, type, month, day of week, amount range, top campaigns and donors. Agents only see donations they brought in.',
+        parameters: [
+          { name: 'campaign', in: 'query', schema: { type: 'string' }, description: 'Filter by campaign ID' },
+          { name: 'donor', in: 'query', schema: { type: 'string' }, description: 'Filter by donor ID' },
+          { name: 'startDate', in: 'query', schema: { type: 'string', format: 'date' } },
+          { name: 'endDate', in: 'query', schema: { type: 'string', format: 'date' } },
+          {
+            name: 'status',
+            in: 'query',
+            schema: { type: 'string', enum: ['pending', 'completed', 'failed', 'refunded', 'cancelled'], default: 'completed' },
+          },
+        ],
+        responses: {
+          200: { description: 'Donation analytics data' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
       },
     },
 
@@ -678,17 +1605,21 @@ const swaggerDefinition = {
       get: {
         tags: ['Donations'],
         summary: 'Get all donations',
+        description: 'Agents only see donations they brought in.',
+        security: [{ bearerAuth: [] }],
         parameters: [
           { name: 'campaign', in: 'query', schema: { type: 'string' } },
           { name: 'donor', in: 'query', schema: { type: 'string' } },
           { name: 'season', in: 'query', schema: { type: 'string' } },
           { name: 'cycle', in: 'query', schema: { type: 'string' } },
+          { name: 'seasonAssignment', in: 'query', schema: { type: 'string', enum: ['provided', 'auto', 'backfill', 'out_of_season'] } },
           {
             name: 'status',
             in: 'query',
             schema: { type: 'string', enum: ['pending', 'completed', 'failed', 'refunded', 'cancelled'] },
           },
           { name: 'donationType', in: 'query', schema: { type: 'string', enum: ['one-time', 'recurring', 'pledge'] } },
+          { name: 'pledge', in: 'query', schema: { type: 'string' } },
           { name: 'paymentMethod', in: 'query', schema: { type: 'string', enum: ['credit_card', 'debit_card', 'bank_transfer', 'cash', 'check', 'paypal', 'other'] } },
           { name: 'minAmount', in: 'query', schema: { type: 'number' } },
           { name: 'maxAmount', in: 'query', schema: { type: 'number' } },
@@ -716,12 +1647,15 @@ const swaggerDefinition = {
               },
             },
           },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
           500: { description: 'Server error' },
         },
       },
       post: {
         tags: ['Donations'],
         summary: 'Create a donation',
+        security: [{ bearerAuth: [] }],
         requestBody: {
           required: true,
           content: { 'application/json': { schema: { $ref: '#/components/schemas/DonationInput' } } },
@@ -731,6 +1665,70 @@ const swaggerDefinition = {
           400: { description: 'Validation error or business rule violation' },
           404: { description: 'Campaign or Donor not found' },
           409: { description: 'Season/Cycle does not belong to campaign' },
+          422: { description: 'Donation dated outside every season and the campaign rejects those' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/donations/backfill-seasons': {
+      post: {
+        tags: ['Donations'],
+        summary: 'Assign donations without a season to the season and cycle covering their date',
+        security: [{ bearerAuth: [] }],
+        description: 'Season and cycle totals are recalculated afterwards. Seasons taken past their goal get their profit sharing job queued, as when a donation completes, and are listed in goalsReached with the job.',
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  campaign: { type: 'string', description: 'Only backfill this campaign' },
+                  dryRun: { type: 'boolean', default: false },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: { description: 'Counts of checked, assigned and out-of-season donations, and seasons that reached their goal with their profit sharing job' },
+          400: { description: 'Invalid campaign ID' },
+          404: { description: 'Campaign not found' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/donations/backfill-currency': {
+      post: {
+        tags: ['Donations'],
+        summary: "Convert existing donations into their campaign's base currency",
+        security: [{ bearerAuth: [] }],
+        description: 'Uses the uploaded rate effective on each donationDate, then recalculates campaign, donor, season and cycle totals. Donations without a rate are counted per currency pair in missingRates.',
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  campaign: { type: 'string', description: 'Only convert this campaign' },
+                  onlyMissing: { type: 'boolean', default: true, description: 'false reconverts every donation, e.g. after correcting a rate' },
+                  dryRun: { type: 'boolean', default: false },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: { description: 'Counts of checked, converted and unchanged donations, and currency pairs missing a rate' },
+          400: { description: 'Invalid campaign ID' },
+          404: { description: 'Campaign not found' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
           500: { description: 'Server error' },
         },
       },
@@ -740,17 +1738,22 @@ const swaggerDefinition = {
       get: {
         tags: ['Donations'],
         summary: 'Get a donation by ID',
+        description: 'Agents only see donations they brought in.',
+        security: [{ bearerAuth: [] }],
         parameters: [{ $ref: '#/components/parameters/idParam' }],
         responses: {
           200: { description: 'Donation details with analysis', content: { 'application/json': { schema: { type: 'object', properties: { success: { type: 'boolean' }, data: { $ref: '#/components/schemas/Donation' } } } } } },
           400: { description: 'Invalid ID format' },
           404: { description: 'Donation not found' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
           500: { description: 'Server error' },
         },
       },
       put: {
         tags: ['Donations'],
         summary: 'Update a donation',
+        security: [{ bearerAuth: [] }],
         parameters: [{ $ref: '#/components/parameters/idParam' }],
         requestBody: {
           required: true,
@@ -760,17 +1763,22 @@ const swaggerDefinition = {
           200: { description: 'Donation updated' },
           400: { description: 'Validation error' },
           404: { description: 'Donation not found' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
           500: { description: 'Server error' },
         },
       },
       delete: {
         tags: ['Donations'],
         summary: 'Delete a donation',
+        security: [{ bearerAuth: [] }],
         parameters: [{ $ref: '#/components/parameters/idParam' }],
         responses: {
           200: { description: 'Donation deleted' },
           400: { description: 'Invalid ID format' },
           404: { description: 'Donation not found' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
           500: { description: 'Server error' },
         },
       },
@@ -780,6 +1788,7 @@ const swaggerDefinition = {
       patch: {
         tags: ['Donations'],
         summary: 'Process a donation',
+        security: [{ bearerAuth: [] }],
         description: 'Mark a pending donation as completed and trigger total updates across campaign and donor.',
         parameters: [{ $ref: '#/components/parameters/idParam' }],
         requestBody: {
@@ -799,6 +1808,8 @@ const swaggerDefinition = {
           200: { description: 'Donation processed successfully' },
           400: { description: 'Already processed, cancelled, or refunded' },
           404: { description: 'Donation not found' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
           500: { description: 'Server error' },
         },
       },
@@ -808,10 +1819,13 @@ const swaggerDefinition = {
       patch: {
         tags: ['Donations'],
         summary: 'Mark receipt as sent',
+        security: [{ bearerAuth: [] }],
         parameters: [{ $ref: '#/components/parameters/idParam' }],
         responses: {
           200: { description: 'Receipt marked as sent' },
           404: { description: 'Donation not found' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
           500: { description: 'Server error' },
         },
       },
@@ -820,793 +1834,4044 @@ const swaggerDefinition = {
     '/donations/{id}/refund': {
       patch: {
         tags: ['Donations'],
-        summary: 'Refund a donation',
-        description: 'Only completed donations can be refunded.',
+        summary: 'Refund part or all of a donation',
+        security: [{ bearerAuth: [] }],
+        description: "Only completed donations can be refunded. Each refund is recorded as a Refund; totals subtract only the refunded portion and the donation moves to refunded once nothing is left. Donations paid through a provider that supports refunds are refunded there and stay pending until it confirms. When the season has already paid out profit sharing, the refund is rejected (REFUNDS_AFTER_PAYOUT=block) or flagged for clawback (REFUNDS_AFTER_PAYOUT=clawback).",
         parameters: [{ $ref: '#/components/parameters/idParam' }],
         requestBody: {
+          required: true,
           content: {
             'application/json': {
               schema: {
                 type: 'object',
+                required: ['reason'],
                 properties: {
+                  amount: { type: 'number', minimum: 0.01, description: "In the donation's currency; default: all that is left" },
                   reason: { type: 'string', example: 'Donor requested refund' },
+                  method: { type: 'string', enum: ['gateway', 'manual'], description: "Default: gateway when the donation's provider supports refunds" },
                 },
               },
             },
           },
         },
         responses: {
-          200: { description: 'Donation refunded' },
-          400: { description: 'Donation is not in completed status' },
+          200: { description: 'Refund completed', content: { 'application/json': { schema: { type: 'object', properties: { success: { type: 'boolean' }, data: { type: 'object', properties: { refund: { $ref: '#/components/schemas/Refund' }, donation: { $ref: '#/components/schemas/Donation' } } } } } } } },
+          202: { description: 'Refund requested; waiting for the payment provider' },
+          400: { description: 'Donation not completed, missing reason, or amount above what is left to refund' },
           404: { description: 'Donation not found' },
+          409: { description: 'The season has already paid out profit sharing, a concurrent refund holds the amount, or the donation changed while the refund was applied (the refund is left pending)' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          502: { description: 'The payment provider rejected the refund' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/donations/{id}/refunds': {
+      get: {
+        tags: ['Donations'],
+        summary: 'Refunds of a donation',
+        description: 'Agents only see refunds of donations they brought in.',
+        security: [{ bearerAuth: [] }],
+        parameters: [{ $ref: '#/components/parameters/idParam' }],
+        responses: {
+          200: { description: 'Refunds, newest first, with totals per status', content: { 'application/json': { schema: { type: 'object', properties: { success: { type: 'boolean' }, data: { type: 'array', items: { $ref: '#/components/schemas/Refund' } } } } } } },
+          400: { description: 'Invalid donation ID' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
           500: { description: 'Server error' },
         },
       },
     },
 
     // ═══════════════════════════════════════════════════════════════════════
-    // DONORS
+    // REFUNDS
     // ═══════════════════════════════════════════════════════════════════════
 
-    '/donors/segments': {
+    '/refunds': {
       get: {
-        tags: ['Donors'],
-        summary: 'Get donor segments (RFM analysis)',
-        description: 'Classify active donors into segments: champions, loyalists, potentialLoyalists, recentDonors, promising, needsAttention, atRisk, hibernating, lost.',
+        tags: ['Refunds'],
+        summary: 'List refunds',
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { name: 'status', in: 'query', schema: { type: 'string', enum: ['pending', 'completed', 'failed', 'cancelled'] } },
+          { name: 'clawback', in: 'query', schema: { type: 'string', enum: ['pending', 'recovered', 'waived'] }, description: 'e.g. pending for clawbacks still to recover' },
+          { name: 'method', in: 'query', schema: { type: 'string', enum: ['gateway', 'manual'] } },
+          { name: 'donation', in: 'query', schema: { type: 'string' } },
+          { name: 'campaign', in: 'query', schema: { type: 'string' } },
+          { name: 'season', in: 'query', schema: { type: 'string' } },
+          { $ref: '#/components/parameters/pageParam' },
+          { $ref: '#/components/parameters/limitParam' },
+        ],
         responses: {
-          200: { description: 'Donor segments' },
+          200: { description: 'Refunds, newest first, with counts and base amounts per status', content: { 'application/json': { schema: { type: 'object', properties: { success: { type: 'boolean' }, data: { type: 'array', items: { $ref: '#/components/schemas/Refund' } } } } } } },
+          400: { description: 'Invalid filter' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
           500: { description: 'Server error' },
         },
       },
     },
 
-    '/donors/retention': {
+    '/refunds/{id}': {
       get: {
-        tags: ['Donors'],
-        summary: 'Get donor retention analytics',
-        parameters: [
-          { name: 'year', in: 'query', schema: { type: 'integer', example: 2024 }, description: 'Target year (defaults to current year)' },
-        ],
+        tags: ['Refunds'],
+        summary: 'Get a refund with its status history',
+        security: [{ bearerAuth: [] }],
+        parameters: [{ $ref: '#/components/parameters/idParam' }],
         responses: {
-          200: { description: 'Retention metrics: total donors, retained, lost, new, retention rate' },
+          200: { description: 'Refund', content: { 'application/json': { schema: { type: 'object', properties: { success: { type: 'boolean' }, data: { $ref: '#/components/schemas/Refund' } } } } } },
+          400: { description: 'Invalid refund ID' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { description: 'Refund not found' },
           500: { description: 'Server error' },
         },
       },
     },
 
-    '/donors/merge': {
+    '/refunds/{id}/cancel': {
       post: {
-        tags: ['Donors'],
-        summary: 'Merge duplicate donors',
-        description: 'Transfer all donations from the duplicate donor to the primary donor and deactivate the duplicate.',
+        tags: ['Refunds'],
+        summary: 'Cancel a refund waiting for the payment provider',
+        description: 'Check with the provider first: a refund it completes later is recorded again from its webhook.',
+        security: [{ bearerAuth: [] }],
+        parameters: [{ $ref: '#/components/parameters/idParam' }],
+        requestBody: {
+          content: { 'application/json': { schema: { type: 'object', properties: { note: { type: 'string' } } } } },
+        },
+        responses: {
+          200: { description: 'Refund cancelled' },
+          400: { description: 'Invalid refund ID' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { description: 'Refund not found' },
+          409: { description: 'Refund is not pending' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/refunds/{id}/clawback': {
+      post: {
+        tags: ['Refunds'],
+        summary: 'Resolve the clawback of a refund',
+        description: 'For refunds from seasons that had already paid out profit sharing.',
+        security: [{ bearerAuth: [] }],
+        parameters: [{ $ref: '#/components/parameters/idParam' }],
         requestBody: {
           required: true,
           content: {
             'application/json': {
               schema: {
                 type: 'object',
-                required: ['primaryDonorId', 'duplicateDonorId'],
+                required: ['status'],
                 properties: {
-                  primaryDonorId: { type: 'string', example: '507f1f77bcf86cd799439011' },
-                  duplicateDonorId: { type: 'string', example: '507f1f77bcf86cd799439012' },
+                  status: { type: 'string', enum: ['recovered', 'waived'] },
+                  note: { type: 'string', example: 'Deducted from the next season payout' },
                 },
               },
             },
           },
         },
         responses: {
-          200: { description: 'Donors merged successfully' },
-          400: { description: 'Missing IDs or same ID provided for both' },
-          404: { description: 'One or both donors not found' },
+          200: { description: 'Clawback resolved' },
+          400: { description: 'Invalid refund ID or status' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { description: 'Refund not found' },
+          409: { description: 'Refund has no pending clawback' },
           500: { description: 'Server error' },
         },
       },
     },
 
-    '/donors': {
+    // ═══════════════════════════════════════════════════════════════════════
+    // PAYMENTS
+    // ═══════════════════════════════════════════════════════════════════════
+
+    '/payments/checkout': {
+      post: {
+        tags: ['Payments'],
+        summary: 'Start a hosted checkout for a pending donation',
+        description: 'Stores the provider and a new payment reference on the donation and returns the provider page to send the donor to. Donors can only pay for their own donations. The donation completes when the provider webhook arrives or the reference is verified.',
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['donation'],
+                properties: {
+                  donation: { type: 'string', description: 'Donation ID' },
+                  provider: { type: 'string', enum: ['paystack', 'flutterwave', 'mock'], description: 'Default: PAYMENT_PROVIDER' },
+                  callbackUrl: { type: 'string', description: 'Default: PAYMENT_CALLBACK_URL or APP_URL/payments/callback' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          201: {
+            description: 'Checkout started',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        provider: { type: 'string', example: 'paystack' },
+                        reference: { type: 'string', example: 'DON-507f1f77bcf86cd799439011-1a2b3c4d' },
+                        authorizationUrl: { type: 'string', example: 'https://checkout.paystack.com/abc123' },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          400: { description: 'Invalid donation ID or callbackUrl, or provider not configured' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { description: 'Donation not found' },
+          409: { description: 'Donation is not pending' },
+          502: { description: 'Provider error' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/payments/verify/{reference}': {
       get: {
-        tags: ['Donors'],
-        summary: 'Get all donors',
+        tags: ['Payments'],
+        summary: 'Verify a checkout with the provider',
+        description: 'Applies what the provider reports, like a webhook would. result is applied, no_change, unmatched or amount_mismatch.',
+        security: [{ bearerAuth: [] }],
+        parameters: [{ name: 'reference', in: 'path', required: true, schema: { type: 'string' } }],
+        responses: {
+          200: { description: 'Result and the donation status' },
+          400: { description: 'Provider not configured' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { description: 'No donation has this reference' },
+          502: { description: 'Provider error' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/payments/webhooks/{provider}': {
+      post: {
+        tags: ['Payments'],
+        summary: 'Provider webhook',
+        description: 'Signed by the provider: x-paystack-signature (HMAC-SHA512 with PAYSTACK_SECRET_KEY), verif-hash (FLUTTERWAVE_WEBHOOK_HASH) or x-mock-signature (HMAC-SHA256 with MOCK_PAYMENT_SECRET). Completes or fails the donation with the payment reference, or records a refund of part or all of it. A delivery already applied for the same transactionId (for refunds, the same provider refund ID) is acknowledged as a duplicate; completion requires the paid amount and currency to match.',
+        parameters: [{ name: 'provider', in: 'path', required: true, schema: { type: 'string', enum: ['paystack', 'flutterwave', 'mock'] } }],
+        requestBody: { required: true, content: { 'application/json': { schema: { type: 'object' } } } },
+        responses: {
+          200: { description: 'Processed: result is applied, no_change, duplicate, unmatched, amount_mismatch or ignored' },
+          400: { description: 'Body is not valid JSON' },
+          401: { description: 'Invalid signature' },
+          404: { description: 'Provider not configured' },
+          500: { description: 'Server error; the provider will retry' },
+        },
+      },
+    },
+
+    '/payments/events': {
+      get: {
+        tags: ['Payments'],
+        summary: 'Payment event log',
+        description: 'Checkouts, verifications and webhooks with their effect on the donation, newest first.',
+        security: [{ bearerAuth: [] }],
         parameters: [
-          { name: 'search', in: 'query', schema: { type: 'string' }, description: 'Full-text search on firstName, lastName, email' },
-          { name: 'donorType', in: 'query', schema: { type: 'string', enum: ['individual', 'organization', 'foundation'] } },
-          { name: 'isActive', in: 'query', schema: { type: 'string', enum: ['true', 'false', 'all'], default: 'true' } },
-          { name: 'minDonated', in: 'query', schema: { type: 'number' } },
-          { name: 'maxDonated', in: 'query', schema: { type: 'number' } },
-          { name: 'minDonations', in: 'query', schema: { type: 'integer' } },
-          { name: 'tags', in: 'query', schema: { type: 'string' }, description: 'Comma-separated tags to filter' },
-          { name: 'city', in: 'query', schema: { type: 'string' } },
-          { name: 'state', in: 'query', schema: { type: 'string' } },
-          { name: 'country', in: 'query', schema: { type: 'string' } },
+          { name: 'donation', in: 'query', schema: { type: 'string' } },
+          { name: 'reference', in: 'query', schema: { type: 'string' } },
+          { name: 'provider', in: 'query', schema: { type: 'string' } },
+          { name: 'result', in: 'query', schema: { type: 'string', enum: ['applied', 'no_change', 'duplicate', 'unmatched', 'amount_mismatch'] } },
+          { $ref: '#/components/parameters/pageParam' },
+          { $ref: '#/components/parameters/limitParam' },
+        ],
+        responses: {
+          200: { description: 'Paginated payment events' },
+          400: { description: 'Invalid donation ID or result filter' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // PLEDGES
+    // ═══════════════════════════════════════════════════════════════════════
+
+    '/pledges': {
+      get: {
+        tags: ['Pledges'],
+        summary: 'List pledges',
+        description: 'With outstanding and overdue amounts. Agents only see pledges they took.',
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { name: 'status', in: 'query', schema: { type: 'string', enum: ['open', 'fulfilled', 'cancelled', 'written_off'] } },
+          { name: 'campaign', in: 'query', schema: { type: 'string' } },
+          { name: 'season', in: 'query', schema: { type: 'string' } },
+          { name: 'donor', in: 'query', schema: { type: 'string' } },
+          { name: 'overdue', in: 'query', schema: { type: 'boolean' }, description: 'Only open pledges with an instalment past due' },
           { $ref: '#/components/parameters/pageParam' },
           { $ref: '#/components/parameters/limitParam' },
-          { $ref: '#/components/parameters/sortParam' },
         ],
         responses: {
           200: {
-            description: 'List of donors',
+            description: 'Paginated pledges',
             content: {
               'application/json': {
                 schema: {
                   type: 'object',
                   properties: {
-                    success: { type: 'boolean' },
-                    data: { type: 'array', items: { $ref: '#/components/schemas/Donor' } },
+                    success: { type: 'boolean', example: true },
+                    data: { type: 'array', items: { $ref: '#/components/schemas/Pledge' } },
                     pagination: { $ref: '#/components/schemas/Pagination' },
                   },
                 },
               },
             },
           },
+          400: { description: 'Invalid filter' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
           500: { description: 'Server error' },
         },
       },
       post: {
-        tags: ['Donors'],
-        summary: 'Create a donor',
+        tags: ['Pledges'],
+        summary: 'Record a pledge',
+        description: 'Pay toward it by creating donations with pledge set (POST /donations). The pledge is fulfilled once its completed donations reach totalAmount.',
+        security: [{ bearerAuth: [] }],
         requestBody: {
           required: true,
-          content: { 'application/json': { schema: { $ref: '#/components/schemas/DonorInput' } } },
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/PledgeInput' } } },
         },
         responses: {
-          201: { description: 'Donor created' },
-          400: { description: 'Validation error' },
-          409: { description: 'Donor with this email already exists' },
+          201: { description: 'Pledge recorded', content: { 'application/json': { schema: { $ref: '#/components/schemas/Pledge' } } } },
+          400: { description: 'Validation error, invalid schedule, inactive donor or closed campaign' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { description: 'Donor or campaign not found' },
           500: { description: 'Server error' },
         },
       },
     },
 
-    '/donors/{id}': {
+    '/pledges/overdue': {
       get: {
-        tags: ['Donors'],
-        summary: 'Get a donor by ID',
-        description: 'Returns donor details with engagement metrics, classification, and recent donations.',
-        parameters: [{ $ref: '#/components/parameters/idParam' }],
-        responses: {
-          200: { description: 'Donor details', content: { 'application/json': { schema: { type: 'object', properties: { success: { type: 'boolean' }, data: { $ref: '#/components/schemas/Donor' } } } } } },
-          400: { description: 'Invalid ID format' },
-          404: { description: 'Donor not found' },
+        tags: ['Pledges'],
+        summary: 'Overdue pledges',
+        description: 'Open pledges with an instalment past due, longest overdue first.',
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { name: 'campaign', in: 'query', schema: { type: 'string' } },
+          { name: 'season', in: 'query', schema: { type: 'string' } },
+          { $ref: '#/components/parameters/pageParam' },
+          { $ref: '#/components/parameters/limitParam' },
+        ],
+        responses: {
+          200: { description: 'Paginated overdue pledges' },
+          400: { description: 'Invalid campaign or season ID' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
           500: { description: 'Server error' },
         },
       },
-      put: {
-        tags: ['Donors'],
-        summary: 'Update a donor',
-        parameters: [{ $ref: '#/components/parameters/idParam' }],
-        requestBody: {
-          required: true,
-          content: { 'application/json': { schema: { $ref: '#/components/schemas/DonorInput' } } },
-        },
+    },
+
+    '/pledges/reports/summary': {
+      get: {
+        tags: ['Pledges'],
+        summary: 'Pledge report per campaign or season',
+        description: 'Pledged, fulfilled, outstanding, written-off and overdue amounts, with fulfilmentRate (share of pledged money received) and pledgesFulfilledRate (share of pledges honoured in full). Cancelled pledges are left out.',
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { name: 'groupBy', in: 'query', schema: { type: 'string', enum: ['campaign', 'season'], default: 'campaign' } },
+          { name: 'campaign', in: 'query', schema: { type: 'string' } },
+          { name: 'season', in: 'query', schema: { type: 'string' } },
+          { name: 'from', in: 'query', schema: { type: 'string', format: 'date' }, description: 'Pledges made on or after' },
+          { name: 'to', in: 'query', schema: { type: 'string', format: 'date' }, description: 'Pledges made on or before' },
+        ],
         responses: {
-          200: { description: 'Donor updated' },
-          400: { description: 'Validation error or protected field update attempt' },
-          404: { description: 'Donor not found' },
-          409: { description: 'Email already in use by another donor' },
+          200: { description: 'Rows per group and totals' },
+          400: { description: 'Invalid groupBy, ID or date' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
           500: { description: 'Server error' },
         },
       },
-      delete: {
-        tags: ['Donors'],
-        summary: 'Deactivate a donor (soft delete)',
-        description: 'Sets isActive to false. Donor data and donation history are preserved.',
+    },
+
+    '/pledges/{id}': {
+      get: {
+        tags: ['Pledges'],
+        summary: 'Get a pledge',
+        description: 'Includes the instalments and the donations linked to it.',
+        security: [{ bearerAuth: [] }],
         parameters: [{ $ref: '#/components/parameters/idParam' }],
         responses: {
-          200: { description: 'Donor deactivated' },
-          400: { description: 'Invalid ID or donor already deactivated' },
-          404: { description: 'Donor not found' },
+          200: { description: 'Pledge with donations' },
+          400: { description: 'Invalid pledge ID' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { description: 'Pledge not found' },
           500: { description: 'Server error' },
         },
       },
     },
 
-    '/donors/{id}/history': {
-      get: {
-        tags: ['Donors'],
-        summary: 'Get donation history for a donor',
-        parameters: [
-          { $ref: '#/components/parameters/idParam' },
-          { $ref: '#/components/parameters/pageParam' },
-          { $ref: '#/components/parameters/limitParam' },
-          { $ref: '#/components/parameters/sortParam' },
-          { name: 'status', in: 'query', schema: { type: 'string' } },
-          { name: 'campaign', in: 'query', schema: { type: 'string' } },
-          { name: 'startDate', in: 'query', schema: { type: 'string', format: 'date' } },
-          { name: 'endDate', in: 'query', schema: { type: 'string', format: 'date' } },
-        ],
+    '/pledges/{id}/schedule': {
+      put: {
+        tags: ['Pledges'],
+        summary: 'Reschedule an open pledge',
+        description: 'Replaces the instalments, optionally with a new totalAmount, using the same schedule options as POST /pledges. Payments already made are reallocated.',
+        security: [{ bearerAuth: [] }],
+        parameters: [{ $ref: '#/components/parameters/idParam' }],
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/PledgeInput' } } },
+        },
         responses: {
-          200: { description: 'Donor history with full analytics' },
-          404: { description: 'Donor not found' },
+          200: { description: 'Pledge rescheduled' },
+          400: { description: 'Invalid pledge ID or schedule' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { description: 'Pledge not found' },
+          409: { description: 'Pledge is not open, or was changed meanwhile' },
           500: { description: 'Server error' },
         },
       },
     },
 
-    '/donors/{id}/communications': {
-      get: {
-        tags: ['Donors'],
-        summary: 'Get donor communication info',
-        description: 'Returns receipts sent count, pending thank-yous, and recommendations.',
+    '/pledges/{id}/cancel': {
+      post: {
+        tags: ['Pledges'],
+        summary: 'Cancel a pledge',
+        description: 'The pledge no longer counts as pledged or in reports. Donations already made stay on the campaign.',
+        security: [{ bearerAuth: [] }],
         parameters: [{ $ref: '#/components/parameters/idParam' }],
+        requestBody: {
+          content: { 'application/json': { schema: { type: 'object', properties: { reason: { type: 'string' } } } } },
+        },
         responses: {
-          200: { description: 'Communication details' },
-          404: { description: 'Donor not found' },
+          200: { description: 'Pledge closed' },
+          400: { description: 'Invalid pledge ID' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { description: 'Pledge not found' },
+          409: { description: 'Pledge is not open' },
           500: { description: 'Server error' },
         },
       },
     },
 
-    '/donors/{id}/reactivate': {
-      patch: {
-        tags: ['Donors'],
-        summary: 'Reactivate a deactivated donor',
+    '/pledges/{id}/write-off': {
+      post: {
+        tags: ['Pledges'],
+        summary: 'Write off a pledge',
+        description: 'Stops expecting the rest; reports count the remainder as written off.',
+        security: [{ bearerAuth: [] }],
         parameters: [{ $ref: '#/components/parameters/idParam' }],
+        requestBody: {
+          content: { 'application/json': { schema: { type: 'object', properties: { reason: { type: 'string' } } } } },
+        },
         responses: {
-          200: { description: 'Donor reactivated' },
-          400: { description: 'Donor is already active' },
-          404: { description: 'Donor not found' },
+          200: { description: 'Pledge closed' },
+          400: { description: 'Invalid pledge ID' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { description: 'Pledge not found' },
+          409: { description: 'Pledge is not open' },
           500: { description: 'Server error' },
         },
       },
     },
 
     // ═══════════════════════════════════════════════════════════════════════
-    // SEASONS
+    // EXCHANGE RATES
     // ═══════════════════════════════════════════════════════════════════════
 
-    '/seasons/compare': {
+    '/exchange-rates': {
       get: {
-        tags: ['Seasons'],
-        summary: 'Compare seasons',
-        description: 'Compare 2–10 seasons by IDs, or all seasons within a campaign.',
+        tags: ['Exchange Rates'],
+        summary: 'List uploaded exchange rates',
+        security: [{ bearerAuth: [] }],
         parameters: [
-          { name: 'ids', in: 'query', schema: { type: 'string' }, description: 'Comma-separated season IDs (2–10)' },
-          { name: 'campaign', in: 'query', schema: { type: 'string' }, description: 'Campaign ID to compare all its seasons' },
+          { name: 'base', in: 'query', schema: { type: 'string' } },
+          { name: 'quote', in: 'query', schema: { type: 'string' } },
+          { name: 'from', in: 'query', schema: { type: 'string', format: 'date' } },
+          { name: 'to', in: 'query', schema: { type: 'string', format: 'date' } },
+          { $ref: '#/components/parameters/pageParam' },
+          { name: 'limit', in: 'query', schema: { type: 'integer', default: 50, maximum: 200 } },
         ],
         responses: {
-          200: { description: 'Season comparison with summary' },
-          400: { description: 'Missing or invalid parameters' },
-          404: { description: 'No seasons found' },
+          200: { description: 'Rates, most recent first', content: { 'application/json': { schema: { type: 'object', properties: { success: { type: 'boolean' }, data: { type: 'array', items: { $ref: '#/components/schemas/ExchangeRate' } } } } } } },
+          400: { description: 'Invalid currency or date' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+      post: {
+        tags: ['Exchange Rates'],
+        summary: 'Upload exchange rates',
+        description: 'Send rates as JSON rows or csv text (base,quote,rate,effectiveDate[,note], header optional). A rate for a pair on a day it already has replaces it. Nothing is saved unless every row is valid. Existing donations are not reconverted; run POST /donations/backfill-currency.',
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  rates: { type: 'array', maxItems: 1000, items: { $ref: '#/components/schemas/ExchangeRateInput' } },
+                  csv: { type: 'string', example: 'base,quote,rate,effectiveDate\nUSD,NGN,1550,2024-06-01' },
+                  source: { type: 'string', default: 'manual' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          201: { description: 'Counts of rates added and replaced' },
+          400: { description: 'No rates, or invalid rows (listed in rowErrors)' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
           500: { description: 'Server error' },
         },
       },
     },
 
-    '/seasons': {
+    '/exchange-rates/convert': {
       get: {
-        tags: ['Seasons'],
-        summary: 'Get all seasons',
+        tags: ['Exchange Rates'],
+        summary: 'Convert an amount with the rate effective on a date',
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { name: 'amount', in: 'query', required: true, schema: { type: 'number' } },
+          { name: 'from', in: 'query', required: true, schema: { type: 'string', example: 'USD' } },
+          { name: 'to', in: 'query', required: true, schema: { type: 'string', example: 'NGN' } },
+          { name: 'date', in: 'query', schema: { type: 'string', format: 'date' }, description: 'Default: now' },
+        ],
+        responses: {
+          200: { description: 'Converted amount with the rate and its effective date' },
+          400: { description: 'Invalid amount, currency or date' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { description: 'No rate for the pair on or before the date' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/exchange-rates/{id}': {
+      delete: {
+        tags: ['Exchange Rates'],
+        summary: 'Delete an exchange rate',
+        description: 'Donations already converted with it keep their amounts until POST /donations/backfill-currency runs with onlyMissing false.',
+        security: [{ bearerAuth: [] }],
+        parameters: [{ $ref: '#/components/parameters/idParam' }],
+        responses: {
+          200: { description: 'Rate deleted' },
+          400: { description: 'Invalid exchange rate ID' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { description: 'Exchange rate not found' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // RECURRING PLANS
+    // ═══════════════════════════════════════════════════════════════════════
+
+    '/recurring-plans': {
+      get: {
+        tags: ['Recurring Plans'],
+        summary: 'List recurring plans',
+        description: 'Agents only see plans they set up.',
+        security: [{ bearerAuth: [] }],
         parameters: [
+          { name: 'status', in: 'query', schema: { type: 'string', enum: ['active', 'past_due', 'paused', 'cancelled', 'completed'] } },
+          { name: 'donor', in: 'query', schema: { type: 'string' } },
           { name: 'campaign', in: 'query', schema: { type: 'string' } },
-          { name: 'status', in: 'query', schema: { type: 'string', enum: ['upcoming', 'active', 'completed'] } },
-          { name: 'active', in: 'query', schema: { type: 'boolean' }, description: 'Show only currently running seasons' },
-          { name: 'minGoal', in: 'query', schema: { type: 'number' } },
-          { name: 'maxGoal', in: 'query', schema: { type: 'number' } },
-          { name: 'startDateFrom', in: 'query', schema: { type: 'string', format: 'date' } },
-          { name: 'startDateTo', in: 'query', schema: { type: 'string', format: 'date' } },
+          { name: 'frequency', in: 'query', schema: { type: 'string', enum: ['weekly', 'monthly', 'quarterly', 'annually'] } },
           { $ref: '#/components/parameters/pageParam' },
           { $ref: '#/components/parameters/limitParam' },
-          { $ref: '#/components/parameters/sortParam' },
         ],
         responses: {
           200: {
-            description: 'List of seasons',
+            description: 'Paginated plans',
             content: {
               'application/json': {
                 schema: {
                   type: 'object',
                   properties: {
-                    success: { type: 'boolean' },
-                    data: { type: 'array', items: { $ref: '#/components/schemas/Season' } },
+                    success: { type: 'boolean', example: true },
+                    data: { type: 'array', items: { $ref: '#/components/schemas/RecurringPlan' } },
                     pagination: { $ref: '#/components/schemas/Pagination' },
                   },
                 },
               },
             },
           },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
           500: { description: 'Server error' },
         },
       },
       post: {
-        tags: ['Seasons'],
-        summary: 'Create a season',
-        description: 'Season dates must fall within the parent campaign dates.',
+        tags: ['Recurring Plans'],
+        summary: 'Create a recurring plan',
+        description: 'The scheduler creates an installment donation on each due date and charges the saved payment token. Failed charges are retried after RECURRING_RETRY_DAYS with an email to the donor; when retries run out the plan is paused.',
+        security: [{ bearerAuth: [] }],
         requestBody: {
           required: true,
-          content: { 'application/json': { schema: { $ref: '#/components/schemas/SeasonInput' } } },
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/RecurringPlanInput' } } },
         },
         responses: {
-          201: { description: 'Season created' },
-          400: { description: 'Validation error or dates outside campaign range' },
-          404: { description: 'Campaign not found' },
+          201: { description: 'Plan created', content: { 'application/json': { schema: { $ref: '#/components/schemas/RecurringPlan' } } } },
+          400: { description: 'Validation error, inactive donor, closed campaign or provider that cannot charge saved tokens' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { description: 'Donor or campaign not found' },
           500: { description: 'Server error' },
         },
       },
     },
 
-    '/seasons/{id}': {
+    '/recurring-plans/{id}': {
       get: {
-        tags: ['Seasons'],
-        summary: 'Get a season by ID',
-        description: 'Returns season details with timeline analysis, progress, performance metrics, and recent activity.',
+        tags: ['Recurring Plans'],
+        summary: 'Get a recurring plan',
+        description: 'Includes the events and the latest 12 installments.',
+        security: [{ bearerAuth: [] }],
         parameters: [{ $ref: '#/components/parameters/idParam' }],
         responses: {
-          200: { description: 'Season details', content: { 'application/json': { schema: { type: 'object', properties: { success: { type: 'boolean' }, data: { $ref: '#/components/schemas/Season' } } } } } },
-          400: { description: 'Invalid ID format' },
-          404: { description: 'Season not found' },
+          200: { description: 'Plan with installments' },
+          400: { description: 'Invalid plan ID' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { description: 'Plan not found' },
           500: { description: 'Server error' },
         },
       },
-      put: {
-        tags: ['Seasons'],
-        summary: 'Update a season',
+    },
+
+    '/recurring-plans/{id}/pause': {
+      post: {
+        tags: ['Recurring Plans'],
+        summary: 'Pause a plan',
+        description: 'Stops installments until resumed, or until `until`. Super admin, finance and support.',
+        security: [{ bearerAuth: [] }],
         parameters: [{ $ref: '#/components/parameters/idParam' }],
         requestBody: {
-          required: true,
-          content: { 'application/json': { schema: { $ref: '#/components/schemas/SeasonInput' } } },
+          content: { 'application/json': { schema: { type: 'object', properties: { until: { type: 'string', format: 'date-time', description: 'Resume automatically on this date' }, note: { type: 'string' } } } } },
         },
         responses: {
-          200: { description: 'Season updated' },
-          400: { description: 'Validation error or dates outside campaign range' },
-          404: { description: 'Season or campaign not found' },
+          200: { description: 'Updated plan' },
+          400: { description: 'Invalid plan ID or until is not a future date' },
+          409: { description: 'Plan is not active or past due' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { description: 'Plan not found' },
           500: { description: 'Server error' },
         },
       },
-      delete: {
-        tags: ['Seasons'],
-        summary: 'Delete a season',
+    },
+
+    '/recurring-plans/{id}/resume': {
+      post: {
+        tags: ['Recurring Plans'],
+        summary: 'Resume a paused plan',
+        description: 'Continues from the next due date that has not passed; installments missed while paused are not charged. Super admin, finance and support.',
+        security: [{ bearerAuth: [] }],
         parameters: [{ $ref: '#/components/parameters/idParam' }],
         responses: {
-          200: { description: 'Season deleted (associated donations are preserved)' },
-          400: { description: 'Invalid ID format' },
-          404: { description: 'Season not found' },
+          200: { description: 'Updated plan' },
+          400: { description: 'Invalid plan ID' },
+          409: { description: 'Plan is not paused' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { description: 'Plan not found' },
           500: { description: 'Server error' },
         },
       },
     },
 
-    '/seasons/{id}/stats': {
-      get: {
-        tags: ['Seasons'],
-        summary: 'Get season statistics',
-        description: 'Comprehensive analytics: progress, timeline, donation stats, donor analytics, payment breakdown, daily trend.',
+    '/recurring-plans/{id}/skip': {
+      post: {
+        tags: ['Recurring Plans'],
+        summary: 'Skip the current installment',
+        description: 'Moves the due date to the next period and cancels the unpaid pending installment, if any. Super admin, finance and support.',
+        security: [{ bearerAuth: [] }],
         parameters: [{ $ref: '#/components/parameters/idParam' }],
         responses: {
-          200: { description: 'Season statistics' },
-          400: { description: 'Invalid ID format' },
-          404: { description: 'Season not found' },
+          200: { description: 'Updated plan' },
+          400: { description: 'Invalid plan ID' },
+          409: { description: 'Plan is cancelled or completed' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { description: 'Plan not found' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/recurring-plans/{id}/cancel': {
+      post: {
+        tags: ['Recurring Plans'],
+        summary: 'Cancel a plan',
+        description: 'Cancels the plan and its unpaid pending installments, and emails the donor. Super admin, finance and support.',
+        security: [{ bearerAuth: [] }],
+        parameters: [{ $ref: '#/components/parameters/idParam' }],
+        requestBody: {
+          content: { 'application/json': { schema: { type: 'object', properties: { reason: { type: 'string' } } } } },
+        },
+        responses: {
+          200: { description: 'Updated plan' },
+          400: { description: 'Invalid plan ID' },
+          409: { description: 'Plan is already cancelled or completed' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { description: 'Plan not found' },
           500: { description: 'Server error' },
         },
       },
     },
 
     // ═══════════════════════════════════════════════════════════════════════
-    // PROJECTS
+    // DONORS
     // ═══════════════════════════════════════════════════════════════════════
 
-    '/projects': {
-      get: {
-        tags: ['Projects'],
-        summary: 'Get all projects',
-        parameters: [
-          { name: 'search', in: 'query', schema: { type: 'string' }, description: 'Full-text search on title, description, category' },
-          { name: 'category', in: 'query', schema: { type: 'string', enum: ['education', 'health', 'environment', 'humanitarian', 'community', 'religion', 'arts', 'technology', 'sports', 'other'] } },
-          { name: 'status', in: 'query', schema: { type: 'string', enum: ['draft', 'active', 'completed', 'cancelled'] } },
-          { name: 'createdBy', in: 'query', schema: { type: 'string' }, description: 'Filter by creator ID' },
-          { name: 'minGoal', in: 'query', schema: { type: 'number' } },
-          { name: 'maxGoal', in: 'query', schema: { type: 'number' } },
-          { $ref: '#/components/parameters/pageParam' },
-          { $ref: '#/components/parameters/limitParam' },
-          { $ref: '#/components/parameters/sortParam' },
-        ],
+    '/donors/register': {
+      post: {
+        tags: ['Donors'],
+        summary: 'Sign up for the donor portal',
+        description: 'Creates a donor with portal credentials. Answers 202 with the same message whether or not the email is taken, so it does not reveal which emails are registered. A new donor gets a welcome email; the holder of a taken email (including donors recorded by staff) gets an email pointing to the magic link and forgot-password instead. Throttled per email and IP like the other requests that send mail.',
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/DonorRegisterInput' } } },
+        },
         responses: {
-          200: {
-            description: 'List of projects',
+          202: {
+            description: 'Registration received; next steps were emailed to the address',
             content: {
               'application/json': {
                 schema: {
                   type: 'object',
                   properties: {
                     success: { type: 'boolean', example: true },
-                    data: { type: 'array', items: { $ref: '#/components/schemas/Project' } },
-                    pagination: { $ref: '#/components/schemas/Pagination' },
+                    message: { type: 'string', example: 'Check your email to continue. If this address already has an account, we have sent it sign-in instructions instead' },
                   },
                 },
               },
             },
           },
+          400: { description: 'Missing fields, password too short or mismatched' },
+          429: { description: 'Too many requests for this email or IP; retry after Retry-After seconds' },
           500: { description: 'Server error' },
         },
       },
+    },
+
+    '/donors/login': {
       post: {
-        tags: ['Projects'],
-        summary: 'Create a new project',
-        description: 'Creates a fundraising project with title, category, description, and goal.',
+        tags: ['Donors'],
+        summary: 'Donor login',
+        description: 'Authenticate with email and password. Returns a short-lived access token and a refresh token (see /auth/refresh).',
         requestBody: {
           required: true,
-          content: { 'application/json': { schema: { $ref: '#/components/schemas/ProjectInput' } } },
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/LoginInput' } } },
         },
         responses: {
-          201: {
-            description: 'Project created successfully',
-            content: {
-              'application/json': {
-                schema: {
-                  type: 'object',
-                  properties: {
-                    success: { type: 'boolean', example: true },
-                    message: { type: 'string', example: 'Project created successfully' },
-                    data: { $ref: '#/components/schemas/Project' },
-                  },
-                },
-              },
-            },
+          200: {
+            description: 'Login successful, or a two-factor challenge',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/LoginResponse' } } },
           },
-          400: { description: 'Missing required fields, invalid category, or invalid goal' },
+          400: { description: 'Email or password missing' },
+          401: { description: 'Invalid email or password (also for donors without a password)' },
+          403: { description: 'Account is deactivated' },
+          429: { description: 'Too many failed attempts for this email or IP; retry after Retry-After seconds' },
           500: { description: 'Server error' },
         },
       },
     },
 
-    '/projects/{id}': {
-      get: {
-        tags: ['Projects'],
-        summary: 'Get a project by ID',
-        description: 'Returns project details including progressPercent, amountRemaining, and isGoalReached.',
-        parameters: [{ $ref: '#/components/parameters/idParam' }],
-        responses: {
-          200: {
-            description: 'Project details',
-            content: {
-              'application/json': {
-                schema: {
-                  type: 'object',
-                  properties: {
-                    success: { type: 'boolean' },
-                    data: { $ref: '#/components/schemas/Project' },
-                  },
-                },
-              },
-            },
-          },
-          400: { description: 'Invalid ID format' },
-          404: { description: 'Project not found' },
-          500: { description: 'Server error' },
-        },
-      },
-      put: {
-        tags: ['Projects'],
-        summary: 'Update a project',
-        description: 'Updates any editable field. Calculated fields (totalRaised, donationCount) cannot be set manually.',
-        parameters: [{ $ref: '#/components/parameters/idParam' }],
+    '/donors/magic-link': {
+      post: {
+        tags: ['Donors'],
+        summary: 'Email a sign-in link',
+        description: 'Emails a single-use sign-in link to FRONTEND_URL/magic-link that expires after MAGIC_LINK_TTL_MINUTES (default 15). A new request supersedes earlier links. The response is the same whether or not the email is registered.',
         requestBody: {
           required: true,
-          content: { 'application/json': { schema: { $ref: '#/components/schemas/ProjectInput' } } },
-        },
-        responses: {
-          200: { description: 'Project updated successfully' },
-          400: { description: 'Invalid ID, invalid category, invalid goal, or protected field update attempt' },
-          404: { description: 'Project not found' },
-          500: { description: 'Server error' },
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/ForgotPasswordInput' } } },
         },
-      },
-      delete: {
-        tags: ['Projects'],
-        summary: 'Delete a project',
-        parameters: [{ $ref: '#/components/parameters/idParam' }],
         responses: {
-          200: { description: 'Project deleted successfully' },
-          400: { description: 'Invalid ID format' },
-          404: { description: 'Project not found' },
+          200: { description: 'Sign-in email sent if the donor exists and is active' },
+          400: { description: 'Email missing' },
+          429: { description: 'Too many link requests for this email or IP; retry after Retry-After seconds' },
           500: { description: 'Server error' },
         },
       },
     },
 
-    // ═══════════════════════════════════════════════════════════════════════
-    // AGENTS
-    // ═══════════════════════════════════════════════════════════════════════
-
-    '/agents/login': {
+    '/donors/magic-link/verify': {
       post: {
-        tags: ['Agents'],
-        summary: 'Agent login',
-        description: 'Authenticate with email and password. Returns a JWT valid for 7 days.',
+        tags: ['Donors'],
+        summary: 'Sign in with a magic link token',
         requestBody: {
           required: true,
-          content: { 'application/json': { schema: { $ref: '#/components/schemas/LoginInput' } } },
+          content: {
+            'application/json': {
+              schema: { type: 'object', required: ['token'], properties: { token: { type: 'string', description: 'Token from the sign-in link' } } },
+            },
+          },
         },
         responses: {
           200: {
-            description: 'Login successful',
+            description: 'Login successful, or a two-factor challenge',
             content: { 'application/json': { schema: { $ref: '#/components/schemas/LoginResponse' } } },
           },
-          400: { description: 'Email or password missing' },
-          401: { description: 'Invalid email or password' },
+          400: { description: 'Token missing, invalid, expired or already used' },
           403: { description: 'Account is deactivated' },
           500: { description: 'Server error' },
         },
       },
     },
 
-    '/agents/register': {
+    '/donors/forgot-password': {
       post: {
-        tags: ['Agents'],
-        summary: 'Register a new agent',
-        description: 'Creates a new individual agent account. Password is hashed before storage. Duplicate email, CAC, and NIN are rejected.',
+        tags: ['Donors'],
+        summary: 'Request a password reset email',
+        description: 'Also how a donor recorded by staff sets a first password. The response is the same whether or not the email is registered.',
         requestBody: {
           required: true,
-          content: { 'application/json': { schema: { $ref: '#/components/schemas/AgentRegisterInput' } } },
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/ForgotPasswordInput' } } },
         },
         responses: {
-          201: {
-            description: 'Agent registered successfully',
-            content: {
-              'application/json': {
-                schema: {
-                  type: 'object',
-                  properties: {
-                    success: { type: 'boolean', example: true },
-                    message: { type: 'string', example: 'Agent registered successfully' },
-                    data: { $ref: '#/components/schemas/Agent' },
-                  },
-                },
-              },
-            },
-          },
-          400: { description: 'Missing fields, password mismatch, invalid NIN or phone format' },
-          409: { description: 'Email, CAC, or NIN already registered' },
+          200: { description: 'Reset email sent if the donor exists and is active' },
+          400: { description: 'Email missing' },
+          429: { description: 'Too many link requests for this email or IP; retry after Retry-After seconds' },
           500: { description: 'Server error' },
         },
       },
     },
 
-    '/agents': {
-      get: {
-        tags: ['Agents'],
-        summary: 'Get all agents',
-        parameters: [
-          { name: 'search', in: 'query', schema: { type: 'string' }, description: 'Search by name, email, phone, or CAC' },
-          { name: 'isActive', in: 'query', schema: { type: 'string', enum: ['true', 'false', 'all'] } },
-          { $ref: '#/components/parameters/pageParam' },
-          { $ref: '#/components/parameters/limitParam' },
-        ],
+    '/donors/reset-password': {
+      post: {
+        tags: ['Donors'],
+        summary: 'Reset password with an emailed token',
+        description: 'Sets a new password. The token works once. All sessions of the donor are logged out.',
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/ResetPasswordInput' } } },
+        },
+        responses: {
+          200: { description: 'Password reset' },
+          400: { description: 'Token missing, invalid, expired or already used; password too short or mismatched' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/donors/change-password': {
+      post: {
+        tags: ['Donors'],
+        summary: 'Change own password',
+        description: 'Requires the current password. Every other session is logged out; the response carries a fresh access and refresh token.',
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/ChangePasswordInput' } } },
+        },
         responses: {
           200: {
-            description: 'List of agents',
-            content: {
-              'application/json': {
-                schema: {
-                  type: 'object',
-                  properties: {
-                    success: { type: 'boolean' },
-                    data: { type: 'array', items: { $ref: '#/components/schemas/Agent' } },
-                    pagination: { $ref: '#/components/schemas/Pagination' },
-                  },
-                },
-              },
-            },
+            description: 'Password changed',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/LoginResponse' } } },
           },
+          400: { description: 'Current password incorrect; new password too short, mismatched or unchanged' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
           500: { description: 'Server error' },
         },
       },
     },
 
-    '/agents/{id}': {
+    '/donors/segments': {
       get: {
-        tags: ['Agents'],
-        summary: 'Get an agent by ID',
-        parameters: [{ $ref: '#/components/parameters/idParam' }],
+        tags: ['Donors'],
+        summary: 'Get donor segments (RFM analysis)',
+        security: [{ bearerAuth: [] }],
+        description: 'Classify active donors into segments: champions, loyalists, potentialLoyalists, recentDonors, promising, needsAttention, atRisk, hibernating, lost.',
         responses: {
-          200: { description: 'Agent details', content: { 'application/json': { schema: { type: 'object', properties: { success: { type: 'boolean' }, data: { $ref: '#/components/schemas/Agent' } } } } } },
-          400: { description: 'Invalid ID format' },
-          404: { description: 'Agent not found' },
+          200: { description: 'Donor segments' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
           500: { description: 'Server error' },
         },
       },
     },
 
-    // ═══════════════════════════════════════════════════════════════════════
-    // CORPORATE AGENTS
-    // ═══════════════════════════════════════════════════════════════════════
-
-    '/corporate-agents/login': {
-      post: {
-        tags: ['Corporate Agents'],
-        summary: 'Corporate agent login',
-        description: 'Authenticate with email and password. Returns a JWT valid for 7 days.',
-        requestBody: {
-          required: true,
-          content: { 'application/json': { schema: { $ref: '#/components/schemas/LoginInput' } } },
-        },
+    '/donors/retention': {
+      get: {
+        tags: ['Donors'],
+        summary: 'Get donor retention analytics',
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { name: 'year', in: 'query', schema: { type: 'integer', example: 2024 }, description: 'Target year (defaults to current year)' },
+        ],
         responses: {
-          200: {
-            description: 'Login successful',
-            content: { 'application/json': { schema: { $ref: '#/components/schemas/LoginResponse' } } },
-          },
-          400: { description: 'Email or password missing' },
-          401: { description: 'Invalid email or password' },
-          403: { description: 'Account is deactivated' },
+          200: { description: 'Retention metrics: total donors, retained, lost, new, retention rate' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
           500: { description: 'Server error' },
         },
       },
     },
 
-    '/corporate-agents/register': {
+    '/donors/merge': {
       post: {
-        tags: ['Corporate Agents'],
-        summary: 'Register a new corporate agent',
-        description: 'Creates a new corporate agent account. Password is hashed before storage. Duplicate email, CAC, and NIN are rejected.',
+        tags: ['Donors'],
+        summary: 'Merge duplicate donors',
+        security: [{ bearerAuth: [] }],
+        description: 'Transfer all donations from the duplicate donor to the primary donor and deactivate the duplicate.',
         requestBody: {
           required: true,
-          content: { 'application/json': { schema: { $ref: '#/components/schemas/CorporateAgentRegisterInput' } } },
-        },
-        responses: {
-          201: {
-            description: 'Corporate agent registered successfully',
-            content: {
-              'application/json': {
-                schema: {
-                  type: 'object',
-                  properties: {
-                    success: { type: 'boolean', example: true },
-                    message: { type: 'string', example: 'Corporate agent registered successfully' },
-                    data: { $ref: '#/components/schemas/CorporateAgent' },
-                  },
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['primaryDonorId', 'duplicateDonorId'],
+                properties: {
+                  primaryDonorId: { type: 'string', example: '507f1f77bcf86cd799439011' },
+                  duplicateDonorId: { type: 'string', example: '507f1f77bcf86cd799439012' },
                 },
               },
             },
           },
-          400: { description: 'Missing fields, password mismatch, invalid NIN or phone format' },
-          409: { description: 'Email, CAC, or NIN already registered' },
+        },
+        responses: {
+          200: { description: 'Donors merged successfully' },
+          400: { description: 'Missing IDs or same ID provided for both' },
+          404: { description: 'One or both donors not found' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
           500: { description: 'Server error' },
         },
       },
     },
 
-    '/corporate-agents': {
+    '/donors': {
       get: {
-        tags: ['Corporate Agents'],
-        summary: 'Get all corporate agents',
+        tags: ['Donors'],
+        summary: 'Get all donors',
+        description: 'Agents only see donors they recorded or took donations from.',
+        security: [{ bearerAuth: [] }],
         parameters: [
-          { name: 'search', in: 'query', schema: { type: 'string' }, description: 'Search by name, email, phone, or CAC' },
-          { name: 'isActive', in: 'query', schema: { type: 'string', enum: ['true', 'false', 'all'] } },
+          { name: 'search', in: 'query', schema: { type: 'string' }, description: 'Full-text search on firstName, lastName, email' },
+          { name: 'donorType', in: 'query', schema: { type: 'string', enum: ['individual', 'organization', 'foundation'] } },
+          { name: 'isActive', in: 'query', schema: { type: 'string', enum: ['true', 'false', 'all'], default: 'true' } },
+          { name: 'minDonated', in: 'query', schema: { type: 'number' } },
+          { name: 'maxDonated', in: 'query', schema: { type: 'number' } },
+          { name: 'minDonations', in: 'query', schema: { type: 'integer' } },
+          { name: 'tags', in: 'query', schema: { type: 'string' }, description: 'Comma-separated tags to filter' },
+          { name: 'city', in: 'query', schema: { type: 'string' } },
+          { name: 'state', in: 'query', schema: { type: 'string' } },
+          { name: 'country', in: 'query', schema: { type: 'string' } },
           { $ref: '#/components/parameters/pageParam' },
           { $ref: '#/components/parameters/limitParam' },
+          { $ref: '#/components/parameters/sortParam' },
         ],
         responses: {
           200: {
-            description: 'List of corporate agents',
+            description: 'List of donors',
             content: {
               'application/json': {
                 schema: {
                   type: 'object',
                   properties: {
                     success: { type: 'boolean' },
-                    data: { type: 'array', items: { $ref: '#/components/schemas/CorporateAgent' } },
+                    data: { type: 'array', items: { $ref: '#/components/schemas/Donor' } },
                     pagination: { $ref: '#/components/schemas/Pagination' },
                   },
                 },
               },
             },
           },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+      post: {
+        tags: ['Donors'],
+        summary: 'Create a donor',
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/DonorInput' } } },
+        },
+        responses: {
+          201: { description: 'Donor created' },
+          400: { description: 'Validation error' },
+          409: { description: 'Donor with this email already exists' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
           500: { description: 'Server error' },
         },
       },
     },
 
-    '/corporate-agents/{id}': {
+    '/donors/{id}': {
       get: {
-        tags: ['Corporate Agents'],
-        summary: 'Get a corporate agent by ID',
+        tags: ['Donors'],
+        summary: 'Get a donor by ID',
+        security: [{ bearerAuth: [] }],
+        description: 'Returns donor details with engagement metrics, classification, and recent donations. Agents only see donors they recorded or took donations from.',
         parameters: [{ $ref: '#/components/parameters/idParam' }],
         responses: {
-          200: { description: 'Corporate agent details', content: { 'application/json': { schema: { type: 'object', properties: { success: { type: 'boolean' }, data: { $ref: '#/components/schemas/CorporateAgent' } } } } } },
+          200: { description: 'Donor details', content: { 'application/json': { schema: { type: 'object', properties: { success: { type: 'boolean' }, data: { $ref: '#/components/schemas/Donor' } } } } } },
           400: { description: 'Invalid ID format' },
-          404: { description: 'Corporate agent not found' },
+          404: { description: 'Donor not found' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
           500: { description: 'Server error' },
         },
       },
-    },
-
-    // ═══════════════════════════════════════════════════════════════════════
-    // PROJECT OWNERS
-    // ═══════════════════════════════════════════════════════════════════════
-
-    '/project-owners/login': {
-      post: {
-        tags: ['Project Owners'],
-        summary: 'Project owner login',
-        description: 'Authenticate with email and password. Returns a JWT valid for 7 days.',
+      put: {
+        tags: ['Donors'],
+        summary: 'Update a donor',
+        security: [{ bearerAuth: [] }],
+        parameters: [{ $ref: '#/components/parameters/idParam' }],
         requestBody: {
           required: true,
-          content: { 'application/json': { schema: { $ref: '#/components/schemas/LoginInput' } } },
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/DonorInput' } } },
+        },
+        responses: {
+          200: { description: 'Donor updated' },
+          400: { description: 'Validation error, protected field update attempt, or email change for a donor with a portal account' },
+          404: { description: 'Donor not found' },
+          409: { description: 'Email already in use by another donor' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+      delete: {
+        tags: ['Donors'],
+        summary: 'Deactivate a donor (soft delete)',
+        security: [{ bearerAuth: [] }],
+        description: 'Sets isActive to false. Donor data and donation history are preserved.',
+        parameters: [{ $ref: '#/components/parameters/idParam' }],
+        responses: {
+          200: { description: 'Donor deactivated' },
+          400: { description: 'Invalid ID or donor already deactivated' },
+          404: { description: 'Donor not found' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/donors/{id}/history': {
+      get: {
+        tags: ['Donors'],
+        summary: 'Get donation history for a donor',
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { $ref: '#/components/parameters/idParam' },
+          { $ref: '#/components/parameters/pageParam' },
+          { $ref: '#/components/parameters/limitParam' },
+          { $ref: '#/components/parameters/sortParam' },
+          { name: 'status', in: 'query', schema: { type: 'string' } },
+          { name: 'campaign', in: 'query', schema: { type: 'string' } },
+          { name: 'startDate', in: 'query', schema: { type: 'string', format: 'date' } },
+          { name: 'endDate', in: 'query', schema: { type: 'string', format: 'date' } },
+        ],
+        responses: {
+          200: { description: 'Donor history with full analytics' },
+          404: { description: 'Donor not found' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/donors/{id}/communications': {
+      get: {
+        tags: ['Donors'],
+        summary: 'Get donor communication info',
+        security: [{ bearerAuth: [] }],
+        description: 'Returns receipts sent count, pending thank-yous, and recommendations.',
+        parameters: [{ $ref: '#/components/parameters/idParam' }],
+        responses: {
+          200: { description: 'Communication details' },
+          404: { description: 'Donor not found' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/donors/{id}/reactivate': {
+      patch: {
+        tags: ['Donors'],
+        summary: 'Reactivate a deactivated donor',
+        security: [{ bearerAuth: [] }],
+        parameters: [{ $ref: '#/components/parameters/idParam' }],
+        responses: {
+          200: { description: 'Donor reactivated' },
+          400: { description: 'Donor is already active' },
+          404: { description: 'Donor not found' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // SEASONS
+    // ═══════════════════════════════════════════════════════════════════════
+
+    '/seasons/compare': {
+      get: {
+        tags: ['Seasons'],
+        summary: 'Compare seasons',
+        description: 'Compare 2–10 seasons by IDs, or all seasons within a campaign.',
+        parameters: [
+          { name: 'ids', in: 'query', schema: { type: 'string' }, description: 'Comma-separated season IDs (2–10)' },
+          { name: 'campaign', in: 'query', schema: { type: 'string' }, description: 'Campaign ID to compare all its seasons' },
+        ],
+        responses: {
+          200: { description: 'Season comparison with summary' },
+          400: { description: 'Missing or invalid parameters' },
+          404: { description: 'No seasons found' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/seasons': {
+      get: {
+        tags: ['Seasons'],
+        summary: 'Get all seasons',
+        parameters: [
+          { name: 'campaign', in: 'query', schema: { type: 'string' } },
+          { name: 'cycle', in: 'query', schema: { type: 'string' } },
+          { name: 'status', in: 'query', schema: { type: 'string', enum: ['upcoming', 'active', 'completed'] } },
+          { name: 'active', in: 'query', schema: { type: 'boolean' }, description: 'Show only currently running seasons' },
+          { name: 'minGoal', in: 'query', schema: { type: 'number' } },
+          { name: 'maxGoal', in: 'query', schema: { type: 'number' } },
+          { name: 'startDateFrom', in: 'query', schema: { type: 'string', format: 'date' } },
+          { name: 'startDateTo', in: 'query', schema: { type: 'string', format: 'date' } },
+          { $ref: '#/components/parameters/pageParam' },
+          { $ref: '#/components/parameters/limitParam' },
+          { $ref: '#/components/parameters/sortParam' },
+        ],
+        responses: {
+          200: {
+            description: 'List of seasons',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean' },
+                    data: { type: 'array', items: { $ref: '#/components/schemas/Season' } },
+                    pagination: { $ref: '#/components/schemas/Pagination' },
+                  },
+                },
+              },
+            },
+          },
+          500: { description: 'Server error' },
+        },
+      },
+      post: {
+        tags: ['Seasons'],
+        summary: 'Create a season',
+        security: [{ bearerAuth: [] }],
+        description: 'Season dates must fall within the parent campaign dates.',
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/SeasonInput' } } },
+        },
+        responses: {
+          201: { description: 'Season created' },
+          400: { description: 'Validation error or dates outside campaign range' },
+          404: { description: 'Campaign not found' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/seasons/{id}': {
+      get: {
+        tags: ['Seasons'],
+        summary: 'Get a season by ID',
+        description: 'Returns season details with timeline analysis, progress, performance metrics, and recent activity.',
+        parameters: [{ $ref: '#/components/parameters/idParam' }],
+        responses: {
+          200: { description: 'Season details', content: { 'application/json': { schema: { type: 'object', properties: { success: { type: 'boolean' }, data: { $ref: '#/components/schemas/Season' } } } } } },
+          400: { description: 'Invalid ID format' },
+          404: { description: 'Season not found' },
+          500: { description: 'Server error' },
+        },
+      },
+      put: {
+        tags: ['Seasons'],
+        summary: 'Update a season',
+        security: [{ bearerAuth: [] }],
+        parameters: [{ $ref: '#/components/parameters/idParam' }],
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/SeasonInput' } } },
+        },
+        responses: {
+          200: { description: 'Season updated' },
+          400: { description: 'Validation error or dates outside campaign range' },
+          404: { description: 'Season or campaign not found' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+      delete: {
+        tags: ['Seasons'],
+        summary: 'Delete a season',
+        security: [{ bearerAuth: [] }],
+        parameters: [{ $ref: '#/components/parameters/idParam' }],
+        responses: {
+          200: { description: 'Season deleted (associated donations are preserved)' },
+          400: { description: 'Invalid ID format' },
+          404: { description: 'Season not found' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/seasons/{id}/stats': {
+      get: {
+        tags: ['Seasons'],
+        summary: 'Get season statistics',
+        description: 'Comprehensive analytics: progress, timeline, donation stats, donor analytics, payment breakdown, daily trend.',
+        parameters: [{ $ref: '#/components/parameters/idParam' }],
+        responses: {
+          200: { description: 'Season statistics' },
+          400: { description: 'Invalid ID format' },
+          404: { description: 'Season not found' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // CYCLES
+    // ═══════════════════════════════════════════════════════════════════════
+
+    '/cycles': {
+      get: {
+        tags: ['Cycles'],
+        summary: 'Get all cycles',
+        parameters: [
+          { name: 'campaign', in: 'query', schema: { type: 'string' } },
+          { name: 'status', in: 'query', schema: { type: 'string', enum: ['upcoming', 'active', 'completed'] } },
+          { $ref: '#/components/parameters/pageParam' },
+          { $ref: '#/components/parameters/limitParam' },
+          { $ref: '#/components/parameters/sortParam' },
+        ],
+        responses: {
+          200: { description: 'Paginated cycles', content: { 'application/json': { schema: { type: 'object', properties: { success: { type: 'boolean' }, data: { type: 'array', items: { $ref: '#/components/schemas/Cycle' } }, pagination: { $ref: '#/components/schemas/Pagination' } } } } } },
+          500: { description: 'Server error' },
+        },
+      },
+      post: {
+        tags: ['Cycles'],
+        summary: 'Create a cycle',
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/CycleInput' } } },
+        },
+        responses: {
+          201: { description: 'Cycle created', content: { 'application/json': { schema: { type: 'object', properties: { success: { type: 'boolean' }, data: { $ref: '#/components/schemas/Cycle' } } } } } },
+          400: { description: 'Validation error' },
+          404: { description: 'Campaign not found' },
+          409: { description: 'Cycle number already used in the campaign' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/cycles/{id}': {
+      get: {
+        tags: ['Cycles'],
+        summary: 'Get a cycle with its seasons and progress',
+        parameters: [{ $ref: '#/components/parameters/idParam' }],
+        responses: {
+          200: { description: 'Cycle details' },
+          400: { description: 'Invalid ID format' },
+          404: { description: 'Cycle not found' },
+          500: { description: 'Server error' },
+        },
+      },
+      put: {
+        tags: ['Cycles'],
+        summary: 'Update a cycle',
+        security: [{ bearerAuth: [] }],
+        description: 'totalRaised and donationCount are calculated from donations and cannot be set. A cycle cannot move to another campaign.',
+        parameters: [{ $ref: '#/components/parameters/idParam' }],
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/CycleInput' } } },
+        },
+        responses: {
+          200: { description: 'Cycle updated' },
+          400: { description: 'Validation error or protected field' },
+          404: { description: 'Cycle not found' },
+          409: { description: 'seasonsPerCycle below attached seasons, or cycle number taken' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+      delete: {
+        tags: ['Cycles'],
+        summary: 'Delete a cycle with no seasons attached',
+        security: [{ bearerAuth: [] }],
+        parameters: [{ $ref: '#/components/parameters/idParam' }],
+        responses: {
+          200: { description: 'Cycle deleted' },
+          400: { description: 'Invalid ID format' },
+          404: { description: 'Cycle not found' },
+          409: { description: 'Seasons are still attached' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/cycles/{id}/stats': {
+      get: {
+        tags: ['Cycles'],
+        summary: 'Get cycle statistics',
+        description: 'Progress, donation and donor statistics, and a per-season breakdown.',
+        parameters: [{ $ref: '#/components/parameters/idParam' }],
+        responses: {
+          200: { description: 'Cycle statistics' },
+          400: { description: 'Invalid ID format' },
+          404: { description: 'Cycle not found' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/cycles/{id}/seasons': {
+      get: {
+        tags: ['Cycles'],
+        summary: 'Get the seasons of a cycle',
+        parameters: [{ $ref: '#/components/parameters/idParam' }],
+        responses: {
+          200: { description: 'Seasons in season number order', content: { 'application/json': { schema: { type: 'object', properties: { success: { type: 'boolean' }, data: { type: 'array', items: { $ref: '#/components/schemas/Season' } } } } } } },
+          400: { description: 'Invalid ID format' },
+          404: { description: 'Cycle not found' },
+          500: { description: 'Server error' },
+        },
+      },
+      post: {
+        tags: ['Cycles'],
+        summary: 'Attach a season to a cycle',
+        security: [{ bearerAuth: [] }],
+        description: 'The season must belong to the cycle\'s campaign. Its donations are linked to the cycle and the cycle totals recalculated.',
+        parameters: [{ $ref: '#/components/parameters/idParam' }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['season'],
+                properties: {
+                  season: { type: 'string', example: '507f1f77bcf86cd799439014' },
+                  seasonNumber: { type: 'integer', example: 3, description: 'Defaults to the next free number' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          201: { description: 'Season attached' },
+          400: { description: 'Invalid IDs or season number out of range' },
+          404: { description: 'Cycle or season not found' },
+          409: { description: 'Different campaign, season already attached, cycle full or number taken' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/cycles/{id}/seasons/{seasonId}': {
+      delete: {
+        tags: ['Cycles'],
+        summary: 'Detach a season from a cycle',
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { $ref: '#/components/parameters/idParam' },
+          { name: 'seasonId', in: 'path', required: true, schema: { type: 'string' } },
+        ],
+        responses: {
+          200: { description: 'Season detached' },
+          400: { description: 'Invalid ID format' },
+          404: { description: 'Season is not attached to this cycle' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // PROJECTS
+    // ═══════════════════════════════════════════════════════════════════════
+
+    '/projects': {
+      get: {
+        tags: ['Projects'],
+        summary: 'Get all projects',
+        parameters: [
+          { name: 'search', in: 'query', schema: { type: 'string' }, description: 'Full-text search on title, description, category' },
+          { name: 'category', in: 'query', schema: { type: 'string', enum: ['education', 'health', 'environment', 'humanitarian', 'community', 'religion', 'arts', 'technology', 'sports', 'other'] } },
+          { name: 'status', in: 'query', schema: { type: 'string', enum: ['draft', 'active', 'completed', 'cancelled'] } },
+          { name: 'createdBy', in: 'query', schema: { type: 'string' }, description: 'Filter by creator ID' },
+          { name: 'minGoal', in: 'query', schema: { type: 'number' } },
+          { name: 'maxGoal', in: 'query', schema: { type: 'number' } },
+          { $ref: '#/components/parameters/pageParam' },
+          { $ref: '#/components/parameters/limitParam' },
+          { $ref: '#/components/parameters/sortParam' },
+        ],
+        responses: {
+          200: {
+            description: 'List of projects',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    data: { type: 'array', items: { $ref: '#/components/schemas/Project' } },
+                    pagination: { $ref: '#/components/schemas/Pagination' },
+                  },
+                },
+              },
+            },
+          },
+          500: { description: 'Server error' },
+        },
+      },
+      post: {
+        tags: ['Projects'],
+        summary: 'Create a new project',
+        security: [{ bearerAuth: [] }],
+        description: 'Creates a fundraising project with title, category, description, and goal. The owning agent, corporate agent or project owner must have passed KYC verification.',
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/ProjectInput' } } },
+        },
+        responses: {
+          201: {
+            description: 'Project created successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string', example: 'Project created successfully' },
+                    data: { $ref: '#/components/schemas/Project' },
+                  },
+                },
+              },
+            },
+          },
+          400: { description: 'Missing required fields, invalid category, or invalid goal' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/projects/{id}': {
+      get: {
+        tags: ['Projects'],
+        summary: 'Get a project by ID',
+        description: 'Returns project details including progressPercent, amountRemaining, and isGoalReached.',
+        parameters: [{ $ref: '#/components/parameters/idParam' }],
+        responses: {
+          200: {
+            description: 'Project details',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean' },
+                    data: { $ref: '#/components/schemas/Project' },
+                  },
+                },
+              },
+            },
+          },
+          400: { description: 'Invalid ID format' },
+          404: { description: 'Project not found' },
+          500: { description: 'Server error' },
+        },
+      },
+      put: {
+        tags: ['Projects'],
+        summary: 'Update a project',
+        security: [{ bearerAuth: [] }],
+        description: 'Updates any editable field. Calculated fields (totalRaised, donationCount) cannot be set manually.',
+        parameters: [{ $ref: '#/components/parameters/idParam' }],
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/ProjectInput' } } },
+        },
+        responses: {
+          200: { description: 'Project updated successfully' },
+          400: { description: 'Invalid ID, invalid category, invalid goal, or protected field update attempt' },
+          404: { description: 'Project not found' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+      delete: {
+        tags: ['Projects'],
+        summary: 'Delete a project',
+        security: [{ bearerAuth: [] }],
+        parameters: [{ $ref: '#/components/parameters/idParam' }],
+        responses: {
+          200: { description: 'Project deleted successfully' },
+          400: { description: 'Invalid ID format' },
+          404: { description: 'Project not found' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // AGENTS
+    // ═══════════════════════════════════════════════════════════════════════
+
+    '/agents/login': {
+      post: {
+        tags: ['Agents'],
+        summary: 'Agent login',
+        description: 'Authenticate with email and password. Returns a short-lived access token and a refresh token (see /auth/refresh).',
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/LoginInput' } } },
+        },
+        responses: {
+          200: {
+            description: 'Login successful',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/LoginResponse' } } },
+          },
+          400: { description: 'Email or password missing' },
+          401: { description: 'Invalid email or password' },
+          403: { description: 'Account is deactivated' },
+          429: { description: 'Too many failed attempts for this email or IP; retry after Retry-After seconds' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/agents/register': {
+      post: {
+        tags: ['Agents'],
+        summary: 'Register a new agent',
+        description: 'Creates a new individual agent account. Password is hashed before storage. Duplicate email, CAC, and NIN are rejected.',
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/AgentRegisterInput' } } },
+        },
+        responses: {
+          201: {
+            description: 'Agent registered successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string', example: 'Agent registered successfully' },
+                    data: { $ref: '#/components/schemas/Agent' },
+                  },
+                },
+              },
+            },
+          },
+          400: { description: 'Missing fields, password mismatch, invalid NIN or phone format' },
+          409: { description: 'Email, CAC, or NIN already registered' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/agents/forgot-password': {
+      post: {
+        tags: ['Agents'],
+        summary: 'Request a password reset email',
+        description: 'Emails a single-use reset link that expires after PASSWORD_RESET_TTL_MINUTES (default 60). A new request supersedes earlier links. The response is the same whether or not the email is registered.',
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/ForgotPasswordInput' } } },
+        },
+        responses: {
+          200: { description: 'Reset email sent if the account exists and is active' },
+          400: { description: 'Email missing' },
+          429: { description: 'Too many link requests for this email or IP; retry after Retry-After seconds' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/agents/reset-password': {
+      post: {
+        tags: ['Agents'],
+        summary: 'Reset password with an emailed token',
+        description: 'Sets a new password. The token works once. All sessions of the agent are logged out.',
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/ResetPasswordInput' } } },
+        },
+        responses: {
+          200: { description: 'Password reset' },
+          400: { description: 'Token missing, invalid, expired or already used; password too short or mismatched' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/agents/change-password': {
+      post: {
+        tags: ['Agents'],
+        summary: 'Change own password',
+        description: 'Requires the current password. Every other session is logged out; the response carries a fresh access and refresh token.',
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/ChangePasswordInput' } } },
+        },
+        responses: {
+          200: {
+            description: 'Password changed',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/LoginResponse' } } },
+          },
+          400: { description: 'Current password incorrect; new password too short, mismatched or unchanged' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/agents': {
+      get: {
+        tags: ['Agents'],
+        summary: 'Get all agents',
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { name: 'search', in: 'query', schema: { type: 'string' }, description: 'Search by name, email, phone, or CAC' },
+          { name: 'isActive', in: 'query', schema: { type: 'string', enum: ['true', 'false', 'all'] } },
+          { $ref: '#/components/parameters/pageParam' },
+          { $ref: '#/components/parameters/limitParam' },
+        ],
+        responses: {
+          200: {
+            description: 'List of agents',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean' },
+                    data: { type: 'array', items: { $ref: '#/components/schemas/Agent' } },
+                    pagination: { $ref: '#/components/schemas/Pagination' },
+                  },
+                },
+              },
+            },
+          },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/agents/{id}': {
+      get: {
+        tags: ['Agents'],
+        summary: 'Get an agent by ID',
+        security: [{ bearerAuth: [] }],
+        parameters: [{ $ref: '#/components/parameters/idParam' }],
+        responses: {
+          200: { description: 'Agent details', content: { 'application/json': { schema: { type: 'object', properties: { success: { type: 'boolean' }, data: { $ref: '#/components/schemas/Agent' } } } } } },
+          400: { description: 'Invalid ID format' },
+          404: { description: 'Agent not found' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/agents/{id}/payouts': {
+      get: {
+        tags: ['Agents'],
+        summary: 'Get the profit sharing payouts ledger for a agent',
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { $ref: '#/components/parameters/idParam' },
+          { name: 'season', in: 'query', schema: { type: 'string' } },
+          { name: 'campaign', in: 'query', schema: { type: 'string' } },
+          { $ref: '#/components/parameters/pageParam' },
+          { $ref: '#/components/parameters/limitParam' },
+        ],
+        responses: {
+          200: {
+            description: 'Payouts with totals',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean' },
+                    data: { type: 'array', items: { $ref: '#/components/schemas/Payout' } },
+                    summary: { type: 'object', properties: { totalAmount: { type: 'number' }, payoutCount: { type: 'integer' } } },
+                    pagination: { $ref: '#/components/schemas/Pagination' },
+                  },
+                },
+              },
+            },
+          },
+          400: { description: 'Invalid ID format' },
+          404: { description: 'Agent not found' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/agents/{id}/two-factor': {
+      patch: {
+        tags: ['Agents'],
+        summary: 'Require or reset two-factor authentication for a agent',
+        description: 'required: true makes 2FA mandatory; a agent without it is signed out and must enrol at the next login. reset: true removes a lost enrolment.',
+        security: [{ bearerAuth: [] }],
+        parameters: [{ $ref: '#/components/parameters/idParam' }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  required: { type: 'boolean' },
+                  reset: { type: 'boolean' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: { description: 'Updated two-factor status and number of sessions revoked' },
+          400: { description: 'Invalid ID format or body' },
+          404: { description: 'Account not found' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // CORPORATE AGENTS
+    // ═══════════════════════════════════════════════════════════════════════
+
+    '/corporate-agents/login': {
+      post: {
+        tags: ['Corporate Agents'],
+        summary: 'Corporate agent login',
+        description: 'Authenticate with email and password. Returns a short-lived access token and a refresh token (see /auth/refresh).',
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/LoginInput' } } },
+        },
+        responses: {
+          200: {
+            description: 'Login successful',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/LoginResponse' } } },
+          },
+          400: { description: 'Email or password missing' },
+          401: { description: 'Invalid email or password' },
+          403: { description: 'Account is deactivated' },
+          429: { description: 'Too many failed attempts for this email or IP; retry after Retry-After seconds' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/corporate-agents/register': {
+      post: {
+        tags: ['Corporate Agents'],
+        summary: 'Register a new corporate agent',
+        description: 'Creates a new corporate agent account. Password is hashed before storage. Duplicate email, CAC, and NIN are rejected.',
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/CorporateAgentRegisterInput' } } },
+        },
+        responses: {
+          201: {
+            description: 'Corporate agent registered successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string', example: 'Corporate agent registered successfully' },
+                    data: { $ref: '#/components/schemas/CorporateAgent' },
+                  },
+                },
+              },
+            },
+          },
+          400: { description: 'Missing fields, password mismatch, invalid NIN or phone format' },
+          409: { description: 'Email, CAC, or NIN already registered' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/corporate-agents/forgot-password': {
+      post: {
+        tags: ['Corporate Agents'],
+        summary: 'Request a password reset email',
+        description: 'Emails a single-use reset link that expires after PASSWORD_RESET_TTL_MINUTES (default 60). A new request supersedes earlier links. The response is the same whether or not the email is registered.',
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/ForgotPasswordInput' } } },
+        },
+        responses: {
+          200: { description: 'Reset email sent if the account exists and is active' },
+          400: { description: 'Email missing' },
+          429: { description: 'Too many link requests for this email or IP; retry after Retry-After seconds' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/corporate-agents/reset-password': {
+      post: {
+        tags: ['Corporate Agents'],
+        summary: 'Reset password with an emailed token',
+        description: 'Sets a new password. The token works once. All sessions of the corporate agent are logged out.',
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/ResetPasswordInput' } } },
+        },
+        responses: {
+          200: { description: 'Password reset' },
+          400: { description: 'Token missing, invalid, expired or already used; password too short or mismatched' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/corporate-agents/change-password': {
+      post: {
+        tags: ['Corporate Agents'],
+        summary: 'Change own password',
+        description: 'Requires the current password. Every other session is logged out; the response carries a fresh access and refresh token.',
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/ChangePasswordInput' } } },
+        },
+        responses: {
+          200: {
+            description: 'Password changed',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/LoginResponse' } } },
+          },
+          400: { description: 'Current password incorrect; new password too short, mismatched or unchanged' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/corporate-agents': {
+      get: {
+        tags: ['Corporate Agents'],
+        summary: 'Get all corporate agents',
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { name: 'search', in: 'query', schema: { type: 'string' }, description: 'Search by name, email, phone, or CAC' },
+          { name: 'isActive', in: 'query', schema: { type: 'string', enum: ['true', 'false', 'all'] } },
+          { $ref: '#/components/parameters/pageParam' },
+          { $ref: '#/components/parameters/limitParam' },
+        ],
+        responses: {
+          200: {
+            description: 'List of corporate agents',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean' },
+                    data: { type: 'array', items: { $ref: '#/components/schemas/CorporateAgent' } },
+                    pagination: { $ref: '#/components/schemas/Pagination' },
+                  },
+                },
+              },
+            },
+          },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/corporate-agents/{id}': {
+      get: {
+        tags: ['Corporate Agents'],
+        summary: 'Get a corporate agent by ID',
+        security: [{ bearerAuth: [] }],
+        parameters: [{ $ref: '#/components/parameters/idParam' }],
+        responses: {
+          200: { description: 'Corporate agent details', content: { 'application/json': { schema: { type: 'object', properties: { success: { type: 'boolean' }, data: { $ref: '#/components/schemas/CorporateAgent' } } } } } },
+          400: { description: 'Invalid ID format' },
+          404: { description: 'Corporate agent not found' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/corporate-agents/{id}/payouts': {
+      get: {
+        tags: ['Corporate Agents'],
+        summary: 'Get the profit sharing payouts ledger for a corporate agent',
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { $ref: '#/components/parameters/idParam' },
+          { name: 'season', in: 'query', schema: { type: 'string' } },
+          { name: 'campaign', in: 'query', schema: { type: 'string' } },
+          { $ref: '#/components/parameters/pageParam' },
+          { $ref: '#/components/parameters/limitParam' },
+        ],
+        responses: {
+          200: {
+            description: 'Payouts with totals',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean' },
+                    data: { type: 'array', items: { $ref: '#/components/schemas/Payout' } },
+                    summary: { type: 'object', properties: { totalAmount: { type: 'number' }, payoutCount: { type: 'integer' } } },
+                    pagination: { $ref: '#/components/schemas/Pagination' },
+                  },
+                },
+              },
+            },
+          },
+          400: { description: 'Invalid ID format' },
+          404: { description: 'Corporate agent not found' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/corporate-agents/{id}/two-factor': {
+      patch: {
+        tags: ['Corporate Agents'],
+        summary: 'Require or reset two-factor authentication for a corporate agent',
+        description: 'required: true makes 2FA mandatory; a corporate agent without it is signed out and must enrol at the next login. reset: true removes a lost enrolment.',
+        security: [{ bearerAuth: [] }],
+        parameters: [{ $ref: '#/components/parameters/idParam' }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  required: { type: 'boolean' },
+                  reset: { type: 'boolean' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: { description: 'Updated two-factor status and number of sessions revoked' },
+          400: { description: 'Invalid ID format or body' },
+          404: { description: 'Account not found' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // PROJECT OWNERS
+    // ═══════════════════════════════════════════════════════════════════════
+
+    '/project-owners/login': {
+      post: {
+        tags: ['Project Owners'],
+        summary: 'Project owner login',
+        description: 'Authenticate with email and password. Returns a short-lived access token and a refresh token (see /auth/refresh).',
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/LoginInput' } } },
+        },
+        responses: {
+          200: {
+            description: 'Login successful',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/LoginResponse' } } },
+          },
+          400: { description: 'Email or password missing' },
+          401: { description: 'Invalid email or password' },
+          403: { description: 'Account is deactivated' },
+          429: { description: 'Too many failed attempts for this email or IP; retry after Retry-After seconds' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/project-owners/register': {
+      post: {
+        tags: ['Project Owners'],
+        summary: 'Register a new project owner',
+        description: 'Creates a new project owner account. Password is hashed before storage. Duplicate email and NIN are rejected.',
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/ProjectOwnerRegisterInput' } } },
+        },
+        responses: {
+          201: {
+            description: 'Project owner registered successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string', example: 'Project owner registered successfully' },
+                    data: { $ref: '#/components/schemas/ProjectOwner' },
+                  },
+                },
+              },
+            },
+          },
+          400: { description: 'Missing fields, password mismatch, invalid NIN or phone format' },
+          409: { description: 'Email or NIN already registered' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/project-owners/forgot-password': {
+      post: {
+        tags: ['Project Owners'],
+        summary: 'Request a password reset email',
+        description: 'Emails a single-use reset link that expires after PASSWORD_RESET_TTL_MINUTES (default 60). A new request supersedes earlier links. The response is the same whether or not the email is registered.',
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/ForgotPasswordInput' } } },
+        },
+        responses: {
+          200: { description: 'Reset email sent if the account exists and is active' },
+          400: { description: 'Email missing' },
+          429: { description: 'Too many link requests for this email or IP; retry after Retry-After seconds' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/project-owners/reset-password': {
+      post: {
+        tags: ['Project Owners'],
+        summary: 'Reset password with an emailed token',
+        description: 'Sets a new password. The token works once. All sessions of the project owner are logged out.',
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/ResetPasswordInput' } } },
+        },
+        responses: {
+          200: { description: 'Password reset' },
+          400: { description: 'Token missing, invalid, expired or already used; password too short or mismatched' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/project-owners/change-password': {
+      post: {
+        tags: ['Project Owners'],
+        summary: 'Change own password',
+        description: 'Requires the current password. Every other session is logged out; the response carries a fresh access and refresh token.',
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/ChangePasswordInput' } } },
+        },
+        responses: {
+          200: {
+            description: 'Password changed',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/LoginResponse' } } },
+          },
+          400: { description: 'Current password incorrect; new password too short, mismatched or unchanged' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/project-owners': {
+      get: {
+        tags: ['Project Owners'],
+        summary: 'Get all project owners',
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { name: 'search', in: 'query', schema: { type: 'string' }, description: 'Search by name, email, phone, or organization' },
+          { name: 'isActive', in: 'query', schema: { type: 'string', enum: ['true', 'false', 'all'] } },
+          { $ref: '#/components/parameters/pageParam' },
+          { $ref: '#/components/parameters/limitParam' },
+        ],
+        responses: {
+          200: {
+            description: 'List of project owners',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean' },
+                    data: { type: 'array', items: { $ref: '#/components/schemas/ProjectOwner' } },
+                    pagination: { $ref: '#/components/schemas/Pagination' },
+                  },
+                },
+              },
+            },
+          },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/project-owners/{id}': {
+      get: {
+        tags: ['Project Owners'],
+        summary: 'Get a project owner by ID',
+        security: [{ bearerAuth: [] }],
+        parameters: [{ $ref: '#/components/parameters/idParam' }],
+        responses: {
+          200: { description: 'Project owner details', content: { 'application/json': { schema: { type: 'object', properties: { success: { type: 'boolean' }, data: { $ref: '#/components/schemas/ProjectOwner' } } } } } },
+          400: { description: 'Invalid ID format' },
+          404: { description: 'Project owner not found' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/project-owners/{id}/two-factor': {
+      patch: {
+        tags: ['Project Owners'],
+        summary: 'Require or reset two-factor authentication for a project owner',
+        description: 'required: true makes 2FA mandatory; a project owner without it is signed out and must enrol at the next login. reset: true removes a lost enrolment.',
+        security: [{ bearerAuth: [] }],
+        parameters: [{ $ref: '#/components/parameters/idParam' }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  required: { type: 'boolean' },
+                  reset: { type: 'boolean' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: { description: 'Updated two-factor status and number of sessions revoked' },
+          400: { description: 'Invalid ID format or body' },
+          404: { description: 'Account not found' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // ADMINS
+    // ═══════════════════════════════════════════════════════════════════════
+
+    '/admins/login': {
+      post: {
+        tags: ['Admins'],
+        summary: 'Admin login',
+        description: 'Authenticate with email and password. The JWT carries role "admin" and the adminRole sub-role.',
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/LoginInput' } } },
+        },
+        responses: {
+          200: {
+            description: 'Login successful',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/LoginResponse' } } },
+          },
+          400: { description: 'Email or password missing' },
+          401: { description: 'Invalid email or password' },
+          403: { description: 'Account is deactivated' },
+          429: { description: 'Too many failed attempts for this email or IP; retry after Retry-After seconds' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/admins': {
+      get: {
+        tags: ['Admins'],
+        summary: 'Get all admins',
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { name: 'role', in: 'query', schema: { type: 'string', enum: ['super_admin', 'finance', 'support', 'viewer'] } },
+          { name: 'isActive', in: 'query', schema: { type: 'string', enum: ['true', 'false', 'all'] } },
+          { name: 'search', in: 'query', schema: { type: 'string' }, description: 'Match name or email' },
+          { $ref: '#/components/parameters/pageParam' },
+          { $ref: '#/components/parameters/limitParam' },
+        ],
+        responses: {
+          200: {
+            description: 'List of admins',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean' },
+                    data: { type: 'array', items: { $ref: '#/components/schemas/Admin' } },
+                    pagination: { $ref: '#/components/schemas/Pagination' },
+                  },
+                },
+              },
+            },
+          },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+      post: {
+        tags: ['Admins'],
+        summary: 'Create an admin',
+        description: 'Super admins only. The first super admin is created with `npm run create-admin`.',
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/AdminInput' } } },
+        },
+        responses: {
+          201: { description: 'Admin created' },
+          400: { description: 'Missing fields, invalid role or validation error' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          409: { description: 'Email already in use' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/admins/{id}': {
+      get: {
+        tags: ['Admins'],
+        summary: 'Get an admin by ID',
+        description: 'Super admins, or the admin themself.',
+        security: [{ bearerAuth: [] }],
+        parameters: [{ $ref: '#/components/parameters/idParam' }],
+        responses: {
+          200: { description: 'Admin details', content: { 'application/json': { schema: { type: 'object', properties: { success: { type: 'boolean' }, data: { $ref: '#/components/schemas/Admin' } } } } } },
+          400: { description: 'Invalid ID format' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { description: 'Admin not found' },
+          500: { description: 'Server error' },
+        },
+      },
+      patch: {
+        tags: ['Admins'],
+        summary: "Change an admin's name, sub-role or active flag",
+        description: 'The last active super admin cannot be demoted or deactivated. Changes apply to tokens issued afterwards.',
+        security: [{ bearerAuth: [] }],
+        parameters: [{ $ref: '#/components/parameters/idParam' }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string' },
+                  role: { type: 'string', enum: ['super_admin', 'finance', 'support', 'viewer'] },
+                  isActive: { type: 'boolean' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: { description: 'Admin updated' },
+          400: { description: 'Invalid ID, role or isActive' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { description: 'Admin not found' },
+          409: { description: 'Would leave no active super admin' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // AUTH
+    // ═══════════════════════════════════════════════════════════════════════
+
+    '/auth/login': {
+      post: {
+        tags: ['Auth'],
+        summary: 'Login with any account type',
+        description: 'Finds the agent, corporate agent, project owner, admin or donor account with this email and password. accountType in the response says which one it is.',
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/AnyLoginInput' } } },
+        },
+        responses: {
+          200: {
+            description: 'Login successful, or a two-factor challenge',
+            content: {
+              'application/json': {
+                schema: {
+                  oneOf: [
+                    { $ref: '#/components/schemas/LoginResponse' },
+                    { $ref: '#/components/schemas/TwoFactorChallenge' },
+                  ],
+                },
+              },
+            },
+          },
+          400: { description: 'Email or password missing, or invalid accountType' },
+          401: { description: 'Invalid email or password' },
+          403: { description: 'Account is deactivated' },
+          429: { description: 'Too many failed attempts for this email or IP; retry after Retry-After seconds' },
+          409: { description: 'Credentials match more than one account type; retry with accountType (listed under accountTypes)' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/auth/login/verify': {
+      post: {
+        tags: ['Auth'],
+        summary: 'Second login step for two-factor accounts',
+        description: 'Send the challengeToken from login with a code from the authenticator app or a backup code. Wrong codes count as failed logins.',
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/TwoFactorVerifyInput' } } },
+        },
+        responses: {
+          200: {
+            description: 'Login successful',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/LoginResponse' } } },
+          },
+          400: { description: 'challengeToken, or both code and backupCode, missing' },
+          401: { description: 'Invalid, expired or revoked challenge, or invalid code' },
+          429: { description: 'Too many failed attempts for this email or IP; retry after Retry-After seconds' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/auth/two-factor': {
+      get: {
+        tags: ['Auth'],
+        summary: 'Get own two-factor status',
+        security: [{ bearerAuth: [] }],
+        responses: {
+          200: { description: 'Two-factor status', content: { 'application/json': { schema: { type: 'object', properties: { success: { type: 'boolean' }, data: { $ref: '#/components/schemas/TwoFactorStatus' } } } } } },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/auth/two-factor/setup': {
+      post: {
+        tags: ['Auth'],
+        summary: 'Start two-factor enrolment',
+        description: 'Returns a new TOTP secret and its otpauth:// URI (show it as a QR code). Accounts that login asked to enrol send the setup challengeToken instead of a bearer token.',
+        security: [{ bearerAuth: [] }, {}],
+        requestBody: {
+          content: { 'application/json': { schema: { type: 'object', properties: { challengeToken: { type: 'string' } } } } },
+        },
+        responses: {
+          200: {
+            description: 'Pending secret',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        secret: { type: 'string', example: 'JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP' },
+                        otpauthUrl: { type: 'string', example: 'otpauth://totp/FTT:user%40example.com?secret=...&issuer=FTT' },
+                        digits: { type: 'integer', example: 6 },
+                        period: { type: 'integer', example: 30 },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          409: { description: 'Two-factor authentication is already enabled' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/auth/two-factor/enable': {
+      post: {
+        tags: ['Auth'],
+        summary: 'Confirm two-factor enrolment',
+        description: 'Confirms the pending secret with a code and returns 10 backup codes, shown only once. With a setup challengeToken the response also carries the login tokens.',
+        security: [{ bearerAuth: [] }, {}],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['code'],
+                properties: {
+                  code: { type: 'string', example: '123456' },
+                  challengeToken: { type: 'string' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: { description: 'Enabled; backupCodes (and tokens when enrolling during login)' },
+          400: { description: 'Missing or invalid code, or setup not started' },
+          409: { description: 'Two-factor authentication is already enabled' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/auth/two-factor/disable': {
+      post: {
+        tags: ['Auth'],
+        summary: 'Turn two-factor authentication off',
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['password'],
+                properties: {
+                  password: { type: 'string' },
+                  code: { type: 'string' },
+                  backupCode: { type: 'string' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: { description: 'Disabled' },
+          400: { description: 'Wrong password or invalid code' },
+          409: { description: 'Not enabled, or required for this account by an admin' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/auth/two-factor/backup-codes': {
+      post: {
+        tags: ['Auth'],
+        summary: 'Replace backup codes',
+        description: 'Returns 10 new backup codes; the previous ones stop working.',
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { type: 'object', properties: { code: { type: 'string' }, backupCode: { type: 'string' } } } } },
+        },
+        responses: {
+          200: { description: 'New backup codes' },
+          400: { description: 'Invalid code' },
+          409: { description: 'Two-factor authentication is not enabled' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/auth/refresh': {
+      post: {
+        tags: ['Auth'],
+        summary: 'Exchange a refresh token for a new token pair',
+        description: 'Refresh tokens rotate: the one presented stops working. Presenting an already-rotated token revokes the whole session.',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['refreshToken'],
+                properties: {
+                  refreshToken: { type: 'string' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: {
+            description: 'New access and refresh tokens',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean' },
+                    token: { type: 'string' },
+                    refreshToken: { type: 'string' },
+                    expiresIn: { type: 'string', example: '15m' },
+                    refreshTokenExpiresAt: { type: 'string', format: 'date-time' },
+                  },
+                },
+              },
+            },
+          },
+          400: { description: 'refreshToken missing' },
+          401: { description: 'Refresh token invalid, expired or revoked, or account deactivated' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/auth/logout': {
+      post: {
+        tags: ['Auth'],
+        summary: 'End the session a refresh token belongs to',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['refreshToken'],
+                properties: {
+                  refreshToken: { type: 'string' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: { description: 'Logged out' },
+          400: { description: 'refreshToken missing' },
+          401: { description: 'Invalid refresh token' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/auth/logout-all': {
+      post: {
+        tags: ['Auth'],
+        summary: 'Log out of every device',
+        description: "Revokes all of the caller's refresh tokens and invalidates every access token issued so far, including the one used for this call.",
+        security: [{ bearerAuth: [] }],
+        responses: {
+          200: { description: 'Logged out everywhere; data.sessionsRevoked counts revoked refresh tokens' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/auth/lockouts': {
+      get: {
+        tags: ['Auth'],
+        summary: 'List active login lockouts',
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { name: 'scope', in: 'query', schema: { type: 'string', enum: ['email', 'ip'] } },
+        ],
+        responses: {
+          200: { description: 'Locked emails and IPs with lockedUntil and lockout count' },
+          400: { description: 'Invalid scope' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/auth/lockouts/unlock': {
+      post: {
+        tags: ['Auth'],
+        summary: 'Lift a login lockout',
+        description: 'Unlocks an email or an IP and resets its progressive lockout. Recorded in the auth event log.',
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  email: { type: 'string', format: 'email' },
+                  ip: { type: 'string' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: { description: 'Unlocked' },
+          400: { description: 'Neither or both of email and ip given' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { description: 'No active lockout' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/auth/events': {
+      get: {
+        tags: ['Auth'],
+        summary: 'Query the auth event log',
+        description: 'Login successes and failures, refused attempts, lockouts, unlocks and two-factor changes with IP and user agent, newest first.',
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { name: 'type', in: 'query', schema: { type: 'string', enum: ['login_success', 'login_failure', 'login_blocked', 'lockout', 'unlock', 'mail_blocked', 'two_factor_enabled', 'two_factor_disabled', 'two_factor_required', 'two_factor_reset'] } },
+          { name: 'email', in: 'query', schema: { type: 'string' } },
+          { name: 'account', in: 'query', schema: { type: 'string' }, description: 'Account ID' },
+          { name: 'accountModel', in: 'query', schema: { type: 'string', enum: ['Agent', 'CorporateAgent', 'ProjectOwner', 'Admin', 'Donor'] } },
+          { name: 'ip', in: 'query', schema: { type: 'string' } },
+          { name: 'from', in: 'query', schema: { type: 'string', format: 'date-time' } },
+          { name: 'to', in: 'query', schema: { type: 'string', format: 'date-time' } },
+          { $ref: '#/components/parameters/pageParam' },
+          { name: 'limit', in: 'query', schema: { type: 'integer', default: 20, maximum: 100 } },
+        ],
+        responses: {
+          200: {
+            description: 'Paginated events',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    data: { type: 'array', items: { $ref: '#/components/schemas/AuthEvent' } },
+                    pagination: { $ref: '#/components/schemas/Pagination' },
+                  },
+                },
+              },
+            },
+          },
+          400: { description: 'Invalid account ID or dates' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // PROFILE
+    // ═══════════════════════════════════════════════════════════════════════
+
+    '/me': {
+      get: {
+        tags: ['Profile'],
+        summary: 'Get own account',
+        security: [{ bearerAuth: [] }],
+        responses: {
+          200: { description: 'The caller\'s account (password excluded) and accountType' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { description: 'Account not found' },
+          500: { description: 'Server error' },
+        },
+      },
+      patch: {
+        tags: ['Profile'],
+        summary: 'Update own profile',
+        description: 'Email, NIN and CAC cannot be changed here; passwords use change-password.',
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/ProfileUpdateInput' } } },
+        },
+        responses: {
+          200: { description: 'Profile updated' },
+          400: { description: 'Non-editable fields or tags, no fields, empty values or invalid phone number' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/me/donations': {
+      get: {
+        tags: ['Profile'],
+        summary: 'Own donation history (donors)',
+        description: 'Same data as GET /donors/{id}/history for the signed-in donor.',
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { $ref: '#/components/parameters/pageParam' },
+          { $ref: '#/components/parameters/limitParam' },
+          { name: 'status', in: 'query', schema: { type: 'string', enum: ['pending', 'completed', 'failed', 'refunded', 'cancelled'] } },
+          { name: 'campaign', in: 'query', schema: { type: 'string' } },
+          { name: 'sort', in: 'query', schema: { type: 'string', default: '-donationDate' } },
+          { name: 'startDate', in: 'query', schema: { type: 'string', format: 'date' } },
+          { name: 'endDate', in: 'query', schema: { type: 'string', format: 'date' } },
+        ],
+        responses: {
+          200: { description: 'Donations with lifetime statistics and breakdowns' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/me/receipts': {
+      get: {
+        tags: ['Profile'],
+        summary: 'Own receipts (donors)',
+        description: 'Completed donations with their receipt status, newest first, and totals per currency.',
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { name: 'year', in: 'query', schema: { type: 'integer', example: 2026 } },
+          { $ref: '#/components/parameters/pageParam' },
+          { $ref: '#/components/parameters/limitParam' },
+        ],
+        responses: {
+          200: {
+            description: 'Receipts',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean' },
+                    data: { type: 'array', items: { type: 'object' } },
+                    summary: {
+                      type: 'object',
+                      properties: {
+                        year: { type: 'integer', nullable: true },
+                        totals: {
+                          type: 'array',
+                          items: { type: 'object', properties: { currency: { type: 'string' }, totalAmount: { type: 'number' }, donationCount: { type: 'integer' } } },
+                        },
+                      },
+                    },
+                    pagination: { $ref: '#/components/schemas/Pagination' },
+                  },
+                },
+              },
+            },
+          },
+          400: { description: 'Invalid year' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/me/preferences': {
+      get: {
+        tags: ['Profile'],
+        summary: 'Own communication preferences (donors)',
+        security: [{ bearerAuth: [] }],
+        responses: {
+          200: { description: 'Preferences', content: { 'application/json': { schema: { type: 'object', properties: { success: { type: 'boolean' }, data: { $ref: '#/components/schemas/DonorPreferences' } } } } } },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { description: 'Donor not found' },
+          500: { description: 'Server error' },
+        },
+      },
+      patch: {
+        tags: ['Profile'],
+        summary: 'Update own communication preferences (donors)',
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/DonorPreferences' } } },
+        },
+        responses: {
+          200: { description: 'Preferences updated' },
+          400: { description: 'Unknown preference, invalid value or nothing to update' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { description: 'Donor not found' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/me/deletion-request': {
+      get: {
+        tags: ['Profile'],
+        summary: 'Own latest deletion request',
+        security: [{ bearerAuth: [] }],
+        responses: {
+          200: { description: 'Latest deletion request, or null' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+      post: {
+        tags: ['Profile'],
+        summary: 'Request deletion of own account',
+        description: 'Emails a confirmation link; a request still awaiting confirmation gets a fresh link. See Account Deletion for the rest of the flow.',
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: { type: 'object', properties: { reason: { type: 'string', maxLength: 1000 } } },
+            },
+          },
+        },
+        responses: {
+          201: { description: 'Request created; confirm it with the emailed link' },
+          400: { description: 'Reason too long' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          409: { description: 'A confirmed request is already under review' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/me/deletion-request/cancel': {
+      post: {
+        tags: ['Profile'],
+        summary: 'Cancel own deletion request',
+        security: [{ bearerAuth: [] }],
+        responses: {
+          200: { description: 'Request cancelled' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { description: 'No open deletion request' },
+          409: { description: 'The account is already being deleted' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/me/recurring-plans': {
+      get: {
+        tags: ['Profile'],
+        summary: 'List recurring plans',
+        description: 'The donor\'s own plans.',
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { name: 'status', in: 'query', schema: { type: 'string', enum: ['active', 'past_due', 'paused', 'cancelled', 'completed'] } },
+          { name: 'campaign', in: 'query', schema: { type: 'string' } },
+          { name: 'frequency', in: 'query', schema: { type: 'string', enum: ['weekly', 'monthly', 'quarterly', 'annually'] } },
+          { $ref: '#/components/parameters/pageParam' },
+          { $ref: '#/components/parameters/limitParam' },
+        ],
+        responses: {
+          200: {
+            description: 'Paginated plans',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    data: { type: 'array', items: { $ref: '#/components/schemas/RecurringPlan' } },
+                    pagination: { $ref: '#/components/schemas/Pagination' },
+                  },
+                },
+              },
+            },
+          },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+      post: {
+        tags: ['Profile'],
+        summary: 'Create a recurring plan',
+        description: 'Creates a plan for the signed-in donor. Pay the first installment through POST /payments/checkout to save the card for automatic charges.',
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/RecurringPlanInput' } } },
+        },
+        responses: {
+          201: { description: 'Plan created', content: { 'application/json': { schema: { $ref: '#/components/schemas/RecurringPlan' } } } },
+          400: { description: 'Validation error, inactive donor, closed campaign or provider that cannot charge saved tokens' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { description: 'Donor or campaign not found' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/me/recurring-plans/{id}': {
+      get: {
+        tags: ['Profile'],
+        summary: 'Get a recurring plan',
+        description: 'Includes the events and the latest 12 installments.',
+        security: [{ bearerAuth: [] }],
+        parameters: [{ $ref: '#/components/parameters/idParam' }],
+        responses: {
+          200: { description: 'Plan with installments' },
+          400: { description: 'Invalid plan ID' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { description: 'Plan not found' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/me/recurring-plans/{id}/pause': {
+      post: {
+        tags: ['Profile'],
+        summary: 'Pause a plan',
+        description: 'Stops installments until resumed, or until `until`.',
+        security: [{ bearerAuth: [] }],
+        parameters: [{ $ref: '#/components/parameters/idParam' }],
+        requestBody: {
+          content: { 'application/json': { schema: { type: 'object', properties: { until: { type: 'string', format: 'date-time', description: 'Resume automatically on this date' }, note: { type: 'string' } } } } },
+        },
+        responses: {
+          200: { description: 'Updated plan' },
+          400: { description: 'Invalid plan ID or until is not a future date' },
+          409: { description: 'Plan is not active or past due' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { description: 'Plan not found' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/me/recurring-plans/{id}/resume': {
+      post: {
+        tags: ['Profile'],
+        summary: 'Resume a paused plan',
+        description: 'Continues from the next due date that has not passed; installments missed while paused are not charged.',
+        security: [{ bearerAuth: [] }],
+        parameters: [{ $ref: '#/components/parameters/idParam' }],
+        responses: {
+          200: { description: 'Updated plan' },
+          400: { description: 'Invalid plan ID' },
+          409: { description: 'Plan is not paused' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { description: 'Plan not found' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/me/recurring-plans/{id}/skip': {
+      post: {
+        tags: ['Profile'],
+        summary: 'Skip the current installment',
+        description: 'Moves the due date to the next period and cancels the unpaid pending installment, if any.',
+        security: [{ bearerAuth: [] }],
+        parameters: [{ $ref: '#/components/parameters/idParam' }],
+        responses: {
+          200: { description: 'Updated plan' },
+          400: { description: 'Invalid plan ID' },
+          409: { description: 'Plan is cancelled or completed' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { description: 'Plan not found' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/me/recurring-plans/{id}/cancel': {
+      post: {
+        tags: ['Profile'],
+        summary: 'Cancel a plan',
+        description: 'Cancels the plan and its unpaid pending installments, and emails the donor.',
+        security: [{ bearerAuth: [] }],
+        parameters: [{ $ref: '#/components/parameters/idParam' }],
+        requestBody: {
+          content: { 'application/json': { schema: { type: 'object', properties: { reason: { type: 'string' } } } } },
+        },
+        responses: {
+          200: { description: 'Updated plan' },
+          400: { description: 'Invalid plan ID' },
+          409: { description: 'Plan is already cancelled or completed' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { description: 'Plan not found' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/me/pledges': {
+      get: {
+        tags: ['Profile'],
+        summary: 'Own pledges',
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { name: 'status', in: 'query', schema: { type: 'string', enum: ['open', 'fulfilled', 'cancelled', 'written_off'] } },
+          { name: 'campaign', in: 'query', schema: { type: 'string' } },
+          { name: 'season', in: 'query', schema: { type: 'string' } },
+          { name: 'overdue', in: 'query', schema: { type: 'boolean' }, description: 'Only open pledges with an instalment past due' },
+          { $ref: '#/components/parameters/pageParam' },
+          { $ref: '#/components/parameters/limitParam' },
+        ],
+        responses: {
+          200: {
+            description: 'Paginated pledges',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    data: { type: 'array', items: { $ref: '#/components/schemas/Pledge' } },
+                    pagination: { $ref: '#/components/schemas/Pagination' },
+                  },
+                },
+              },
+            },
+          },
+          400: { description: 'Invalid filter' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/me/pledges/{id}': {
+      get: {
+        tags: ['Profile'],
+        summary: 'Get a pledge',
+        description: 'Includes the instalments and the donations linked to it.',
+        security: [{ bearerAuth: [] }],
+        parameters: [{ $ref: '#/components/parameters/idParam' }],
+        responses: {
+          200: { description: 'Pledge with donations' },
+          400: { description: 'Invalid pledge ID' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { description: 'Pledge not found' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // KYC
+    // ═══════════════════════════════════════════════════════════════════════
+
+    '/kyc/me': {
+      get: {
+        tags: ['KYC'],
+        summary: 'Own verification status',
+        description: "The caller's isVerified flag and kycStatus, the documents their account type must provide, and their latest submission.",
+        security: [{ bearerAuth: [] }],
+        responses: {
+          200: { description: 'Verification status' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/kyc/submissions': {
+      get: {
+        tags: ['KYC'],
+        summary: 'Review queue',
+        description: 'Pending submissions oldest first by default.',
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { name: 'status', in: 'query', schema: { type: 'string', enum: ['pending', 'approved', 'rejected', 'all'], default: 'pending' } },
+          { name: 'accountModel', in: 'query', schema: { type: 'string', enum: ['Agent', 'CorporateAgent', 'ProjectOwner'] } },
+          { name: 'account', in: 'query', schema: { type: 'string' }, description: 'Account ID' },
+          { $ref: '#/components/parameters/pageParam' },
+          { $ref: '#/components/parameters/limitParam' },
+        ],
+        responses: {
+          200: {
+            description: 'Paginated submissions',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    data: { type: 'array', items: { $ref: '#/components/schemas/KycSubmission' } },
+                    pagination: { $ref: '#/components/schemas/Pagination' },
+                  },
+                },
+              },
+            },
+          },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+      post: {
+        tags: ['KYC'],
+        summary: 'Submit own account for verification',
+        description: 'For agents, corporate agents and project owners. The NIN must be 11 digits; CAC numbers are normalised and must carry an RC, BN, IT, LP or LLP prefix. Only one submission can be pending at a time.',
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/KycSubmissionInput' } } },
+        },
+        responses: {
+          201: {
+            description: 'Submission received',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string', example: 'KYC submission received and awaiting review' },
+                    data: { $ref: '#/components/schemas/KycSubmission' },
+                  },
+                },
+              },
+            },
+          },
+          400: { description: 'Missing or invalid documents, NIN or CAC number (details under errors)' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          409: { description: 'Already verified, a submission is already pending, or the NIN/CAC belongs to another account' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/kyc/submissions/{id}': {
+      get: {
+        tags: ['KYC'],
+        summary: 'Get a submission',
+        security: [{ bearerAuth: [] }],
+        parameters: [{ $ref: '#/components/parameters/idParam' }],
+        responses: {
+          200: { description: 'Submission with the account populated' },
+          400: { description: 'Invalid ID format' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { description: 'Submission not found' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/kyc/submissions/{id}/approve': {
+      post: {
+        tags: ['KYC'],
+        summary: 'Approve a submission',
+        description: 'Marks the account verified, copies the reviewed NIN/CAC onto it and emails the account.',
+        security: [{ bearerAuth: [] }],
+        parameters: [{ $ref: '#/components/parameters/idParam' }],
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: { type: 'object', properties: { reason: { type: 'string', description: 'Optional note' } } },
+            },
+          },
+        },
+        responses: {
+          200: { description: 'Submission approved' },
+          400: { description: 'Invalid ID format' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { description: 'Submission not found' },
+          409: { description: 'Already reviewed, or the NIN/CAC now belongs to another account' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/kyc/submissions/{id}/reject': {
+      post: {
+        tags: ['KYC'],
+        summary: 'Reject a submission',
+        description: 'The account is emailed the reason and can submit again.',
+        security: [{ bearerAuth: [] }],
+        parameters: [{ $ref: '#/components/parameters/idParam' }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['reason'],
+                properties: { reason: { type: 'string', example: 'NIN slip is unreadable' } },
+              },
+            },
+          },
+        },
+        responses: {
+          200: { description: 'Submission rejected' },
+          400: { description: 'Invalid ID format or reason missing' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { description: 'Submission not found' },
+          409: { description: 'Already reviewed' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // ACCOUNT DELETION
+    // ═══════════════════════════════════════════════════════════════════════
+
+    '/account-deletion/requests': {
+      post: {
+        tags: ['Account Deletion'],
+        summary: 'Request deletion by email',
+        description: 'Emails a confirmation link to every account registered with the address, or only the given account type. Responds the same way whether or not the email is registered. The /account-delete page posts the same fields as a form.',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['email'],
+                properties: {
+                  email: { type: 'string', format: 'email' },
+                  accountType: { type: 'string', enum: ['agent', 'corporate_agent', 'project_owner', 'admin', 'donor'] },
+                  reason: { type: 'string', maxLength: 1000 },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          202: { description: 'Request received' },
+          400: { description: 'Invalid email, accountType or reason' },
+          500: { description: 'Server error' },
+        },
+      },
+      get: {
+        tags: ['Account Deletion'],
+        summary: 'Review queue',
+        description: 'Requests pending review by default, soonest scheduled first.',
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'status',
+            in: 'query',
+            schema: {
+              type: 'string',
+              enum: ['pending_confirmation', 'pending_review', 'approved', 'executing', 'rejected', 'cancelled', 'completed', 'open', 'all'],
+              default: 'pending_review',
+            },
+          },
+          { name: 'accountType', in: 'query', schema: { type: 'string', enum: ['agent', 'corporate_agent', 'project_owner', 'admin', 'donor'] } },
+          { $ref: '#/components/parameters/pageParam' },
+          { $ref: '#/components/parameters/limitParam' },
+        ],
+        responses: {
+          200: {
+            description: 'Paginated requests',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    data: { type: 'array', items: { $ref: '#/components/schemas/AccountDeletionRequest' } },
+                    pagination: { $ref: '#/components/schemas/Pagination' },
+                  },
+                },
+              },
+            },
+          },
+          400: { description: 'Invalid status or accountType filter' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/account-deletion/confirm': {
+      post: {
+        tags: ['Account Deletion'],
+        summary: 'Confirm a request',
+        description: 'Starts the grace period (ACCOUNT_DELETION_GRACE_DAYS) and queues the request for review. The holder is emailed a cancellation link.',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: { type: 'object', required: ['token'], properties: { token: { type: 'string', description: 'Token from the email' } } },
+            },
+          },
+        },
+        responses: {
+          200: { description: 'Confirmed; data carries status and scheduledFor' },
+          400: { description: 'Token missing, invalid, expired or already used' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/account-deletion/cancel': {
+      post: {
+        tags: ['Account Deletion'],
+        summary: 'Cancel a request',
+        description: 'Uses the token from the confirmation or scheduling email. Possible until the request is executed.',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: { type: 'object', required: ['token'], properties: { token: { type: 'string', description: 'Token from the email' } } },
+            },
+          },
+        },
+        responses: {
+          200: { description: 'Request cancelled' },
+          400: { description: 'Token missing' },
+          404: { description: 'Invalid token or request already closed' },
+          409: { description: 'The account is already being deleted' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/account-deletion/requests/{id}': {
+      get: {
+        tags: ['Account Deletion'],
+        summary: 'Get a request with its audit trail',
+        security: [{ bearerAuth: [] }],
+        parameters: [{ $ref: '#/components/parameters/idParam' }],
+        responses: {
+          200: { description: 'Deletion request' },
+          400: { description: 'Invalid ID format' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { description: 'Deletion request not found' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/account-deletion/requests/{id}/approve': {
+      post: {
+        tags: ['Account Deletion'],
+        summary: 'Approve a request',
+        description: 'Executed at the end of the grace period by the periodic sweep, or immediately if it is already over. Execution anonymises the account (names, contact details, identifiers, KYC documents, donation notes), deactivates it and revokes its sessions; donation amounts are kept. The last active super admin cannot be deleted.',
+        security: [{ bearerAuth: [] }],
+        parameters: [{ $ref: '#/components/parameters/idParam' }],
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: { type: 'object', properties: { note: { type: 'string', description: 'Optional review note' } } },
+            },
+          },
+        },
+        responses: {
+          200: { description: 'Request approved (and executed if due)' },
+          400: { description: 'Invalid ID format' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { description: 'Deletion request not found' },
+          409: { description: 'Not pending review, or the account is the last active super admin' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/account-deletion/requests/{id}/reject': {
+      post: {
+        tags: ['Account Deletion'],
+        summary: 'Reject a request',
+        description: 'The holder is emailed the reason.',
+        security: [{ bearerAuth: [] }],
+        parameters: [{ $ref: '#/components/parameters/idParam' }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['reason'],
+                properties: { reason: { type: 'string', example: 'Outstanding payouts must be settled first' } },
+              },
+            },
+          },
+        },
+        responses: {
+          200: { description: 'Request rejected' },
+          400: { description: 'Invalid ID format or reason missing' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { description: 'Deletion request not found' },
+          409: { description: 'Not pending review or approved' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // PROFIT SHARING
+    // ═══════════════════════════════════════════════════════════════════════
+
+    '/profit-sharing': {
+      get: {
+        tags: ['Profit Sharing'],
+        summary: 'Get all executed profit distributions',
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { name: 'campaign', in: 'query', schema: { type: 'string' }, description: 'Filter by campaign ID' },
+          { name: 'from', in: 'query', schema: { type: 'string', format: 'date' }, description: 'Executed on or after' },
+          { name: 'to', in: 'query', schema: { type: 'string', format: 'date' }, description: 'Executed on or before' },
+          { $ref: '#/components/parameters/pageParam' },
+          { $ref: '#/components/parameters/limitParam' },
+        ],
+        responses: {
+          200: {
+            description: 'List of profit distributions',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean' },
+                    data: { type: 'array', items: { $ref: '#/components/schemas/ProfitDistribution' } },
+                    pagination: { $ref: '#/components/schemas/Pagination' },
+                  },
+                },
+              },
+            },
+          },
+          400: { description: 'Invalid campaign ID format' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/profit-sharing/summary': {
+      get: {
+        tags: ['Profit Sharing'],
+        summary: 'Summarise persisted distributions for several seasons',
+        security: [{ bearerAuth: [] }],
+        description: 'Read-only. Seasons without a persisted distribution are listed as pending; nothing is executed.',
+        parameters: [
+          { name: 'seasons', in: 'query', required: true, schema: { type: 'string' }, description: 'Comma-separated season IDs' },
+        ],
+        responses: {
+          200: { description: 'Totals across executed seasons, their distributions and the pending season IDs' },
+          400: { description: 'Missing or invalid season IDs' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/profit-sharing/jobs': {
+      get: {
+        tags: ['Profit Sharing'],
+        summary: 'List goal-triggered profit sharing jobs',
+        security: [{ bearerAuth: [] }],
+        description: 'A job is queued when a completed donation takes a season to its goal. Auto jobs run straight away; others wait for approval.',
+        parameters: [
+          { name: 'status', in: 'query', schema: { type: 'string', enum: ['awaiting_approval', 'queued', 'running', 'completed', 'failed', 'rejected'] } },
+          { name: 'campaign', in: 'query', schema: { type: 'string' } },
+          { $ref: '#/components/parameters/pageParam' },
+          { $ref: '#/components/parameters/limitParam' },
+        ],
+        responses: {
+          200: { description: 'Paginated jobs', content: { 'application/json': { schema: { type: 'object', properties: { success: { type: 'boolean' }, data: { type: 'array', items: { $ref: '#/components/schemas/ProfitSharingJob' } }, pagination: { $ref: '#/components/schemas/Pagination' } } } } } },
+          400: { description: 'Invalid campaign ID format' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
         },
+      },
+    },
+
+    '/profit-sharing/jobs/{jobId}': {
+      get: {
+        tags: ['Profit Sharing'],
+        summary: 'Get a profit sharing job',
+        security: [{ bearerAuth: [] }],
+        parameters: [{ name: 'jobId', in: 'path', required: true, schema: { type: 'string' } }],
         responses: {
-          200: {
-            description: 'Login successful',
-            content: { 'application/json': { schema: { $ref: '#/components/schemas/LoginResponse' } } },
+          200: { description: 'Job with its season and trigger donation' },
+          400: { description: 'Invalid ID format' },
+          404: { description: 'Job not found' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/profit-sharing/jobs/{jobId}/approve': {
+      post: {
+        tags: ['Profit Sharing'],
+        summary: 'Approve and execute a held or failed job',
+        description: 'Also reclaims a job left running or queued for PROFIT_SHARING_JOB_STALE_MINUTES (default 30) after the process running it stopped. If that run had already saved the distribution, the job is completed.',
+        security: [{ bearerAuth: [] }],
+        parameters: [{ name: 'jobId', in: 'path', required: true, schema: { type: 'string' } }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['approvedBy'],
+                properties: {
+                  approvedBy: { type: 'string', example: 'finance@example.com' },
+                  reveal: { type: 'string', description: 'Reveal value for the commitment (omit if server-held)' },
+                },
+              },
+            },
           },
-          400: { description: 'Email or password missing' },
-          401: { description: 'Invalid email or password' },
-          403: { description: 'Account is deactivated' },
+        },
+        responses: {
+          200: { description: 'Job approved and profit sharing executed' },
+          400: { description: 'Invalid ID format or missing approvedBy' },
+          404: { description: 'Job not found' },
+          409: { description: 'Job is not awaiting approval, failed or abandoned' },
+          422: { description: 'Execution failed; the job is left failed and can be approved again' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
           500: { description: 'Server error' },
         },
       },
     },
 
-    '/project-owners/register': {
+    '/profit-sharing/jobs/{jobId}/reject': {
       post: {
-        tags: ['Project Owners'],
-        summary: 'Register a new project owner',
-        description: 'Creates a new project owner account. Password is hashed before storage. Duplicate email and NIN are rejected.',
+        tags: ['Profit Sharing'],
+        summary: 'Reject a held or failed job',
+        security: [{ bearerAuth: [] }],
+        parameters: [{ name: 'jobId', in: 'path', required: true, schema: { type: 'string' } }],
         requestBody: {
           required: true,
-          content: { 'application/json': { schema: { $ref: '#/components/schemas/ProjectOwnerRegisterInput' } } },
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['rejectedBy', 'reason'],
+                properties: {
+                  rejectedBy: { type: 'string' },
+                  reason: { type: 'string' },
+                },
+              },
+            },
+          },
         },
         responses: {
-          201: {
-            description: 'Project owner registered successfully',
-            content: {
-              'application/json': {
-                schema: {
-                  type: 'object',
-                  properties: {
-                    success: { type: 'boolean', example: true },
-                    message: { type: 'string', example: 'Project owner registered successfully' },
-                    data: { $ref: '#/components/schemas/ProjectOwner' },
-                  },
+          200: { description: 'Job rejected' },
+          400: { description: 'Invalid ID format or missing fields' },
+          404: { description: 'Job not found' },
+          409: { description: 'Job is not awaiting approval or failed' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/profit-sharing/campaigns/{campaignId}/stats': {
+      get: {
+        tags: ['Profit Sharing'],
+        summary: 'Get campaign profit sharing statistics',
+        security: [{ bearerAuth: [] }],
+        description: 'Potential profit across eligible seasons plus totals of distributions already executed.',
+        parameters: [{ name: 'campaignId', in: 'path', required: true, schema: { type: 'string' } }],
+        responses: {
+          200: { description: 'Campaign profit statistics' },
+          400: { description: 'Invalid ID format' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/profit-sharing/campaigns/{campaignId}/policies': {
+      get: {
+        tags: ['Profit Sharing'],
+        summary: 'List policy versions for a campaign',
+        security: [{ bearerAuth: [] }],
+        parameters: [{ name: 'campaignId', in: 'path', required: true, schema: { type: 'string' } }],
+        responses: {
+          200: { description: 'Policy versions, newest first' },
+          400: { description: 'Invalid ID format' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+      post: {
+        tags: ['Profit Sharing'],
+        summary: 'Create the next policy version',
+        security: [{ bearerAuth: [] }],
+        parameters: [{ name: 'campaignId', in: 'path', required: true, schema: { type: 'string' } }],
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/ProfitSharingPolicyInput' } } },
+        },
+        responses: {
+          201: { description: 'Policy version created' },
+          400: { description: 'Validation failed (e.g. splits do not sum to 100%)' },
+          404: { description: 'Campaign not found' },
+          409: { description: 'Concurrent version conflict' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/profit-sharing/campaigns/{campaignId}/policies/current': {
+      get: {
+        tags: ['Profit Sharing'],
+        summary: 'Get the policy applied to the next execution',
+        security: [{ bearerAuth: [] }],
+        description: 'Returns the highest version, or the built-in defaults (version 0).',
+        parameters: [{ name: 'campaignId', in: 'path', required: true, schema: { type: 'string' } }],
+        responses: {
+          200: { description: 'Current policy' },
+          400: { description: 'Invalid ID format' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/profit-sharing/campaigns/{campaignId}/policies/{version}': {
+      get: {
+        tags: ['Profit Sharing'],
+        summary: 'Get a policy version',
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { name: 'campaignId', in: 'path', required: true, schema: { type: 'string' } },
+          { name: 'version', in: 'path', required: true, schema: { type: 'integer' } },
+        ],
+        responses: {
+          200: { description: 'Policy version' },
+          404: { description: 'Policy version not found' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+      delete: {
+        tags: ['Profit Sharing'],
+        summary: 'Delete an unused policy version',
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { name: 'campaignId', in: 'path', required: true, schema: { type: 'string' } },
+          { name: 'version', in: 'path', required: true, schema: { type: 'integer' } },
+        ],
+        responses: {
+          200: { description: 'Policy version deleted' },
+          404: { description: 'Policy version not found' },
+          409: { description: 'Version was used by a profit sharing execution' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/profit-sharing/seasons/{seasonId}': {
+      get: {
+        tags: ['Profit Sharing'],
+        summary: 'Get the executed distribution for a season',
+        security: [{ bearerAuth: [] }],
+        parameters: [{ name: 'seasonId', in: 'path', required: true, schema: { type: 'string' } }],
+        responses: {
+          200: { description: 'Profit distribution', content: { 'application/json': { schema: { type: 'object', properties: { success: { type: 'boolean' }, data: { $ref: '#/components/schemas/ProfitDistribution' } } } } } },
+          400: { description: 'Invalid ID format' },
+          404: { description: 'Profit sharing not executed for this season' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/profit-sharing/seasons/{seasonId}/simulate': {
+      get: {
+        tags: ['Profit Sharing'],
+        summary: 'Simulate profit sharing for a season',
+        security: [{ bearerAuth: [] }],
+        description: 'Runs the same calculation as execution without drawing donors or persisting anything. Returns the candidate pool with each donor\'s probability of being drawn.',
+        parameters: [{ name: 'seasonId', in: 'path', required: true, schema: { type: 'string' } }],
+        responses: {
+          200: { description: 'Candidate pool, draw odds and projected distribution' },
+          400: { description: 'Invalid ID format or season not eligible' },
+          404: { description: 'Season not found' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/profit-sharing/seasons/{seasonId}/commitment': {
+      get: {
+        tags: ['Profit Sharing'],
+        summary: 'Get the draw commitment for a season',
+        parameters: [{ name: 'seasonId', in: 'path', required: true, schema: { type: 'string' } }],
+        responses: {
+          200: { description: 'Published commitment (reveal is hidden until execution)' },
+          400: { description: 'Invalid ID format' },
+          404: { description: 'No commitment for this season' },
+          500: { description: 'Server error' },
+        },
+      },
+      post: {
+        tags: ['Profit Sharing'],
+        summary: 'Commit to a season draw',
+        security: [{ bearerAuth: [] }],
+        description: 'Stores SHA-256(reveal). Omit commitment to have the server generate and hold the reveal value. Only accepted while the season is open: once it reaches its goal, is closed or passes its end date, no commitment can be made.',
+        parameters: [{ name: 'seasonId', in: 'path', required: true, schema: { type: 'string' } }],
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  commitment: { type: 'string', example: '9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08' },
                 },
               },
             },
           },
-          400: { description: 'Missing fields, password mismatch, invalid NIN or phone format' },
-          409: { description: 'Email or NIN already registered' },
+        },
+        responses: {
+          201: { description: 'Commitment recorded' },
+          400: { description: 'Invalid ID or commitment format' },
+          404: { description: 'Season not found' },
+          409: { description: 'Commitment already exists, season already executed, or season reached its goal or ended' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
           500: { description: 'Server error' },
         },
       },
     },
 
-    '/project-owners': {
+    '/profit-sharing/seasons/{seasonId}/verify': {
       get: {
-        tags: ['Project Owners'],
-        summary: 'Get all project owners',
+        tags: ['Profit Sharing'],
+        summary: 'Verify a season draw',
+        description: 'Replays the stored seed over the stored pool (sha256-fisher-yates-v1) and compares the winners. Also checks that the commitment was made before the season\'s pool closed (committedBeforeClose).',
+        parameters: [{ name: 'seasonId', in: 'path', required: true, schema: { type: 'string' } }],
+        responses: {
+          200: { description: 'Verification result with individual checks' },
+          400: { description: 'Invalid ID format' },
+          404: { description: 'Profit sharing not executed for this season' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/profit-sharing/seasons/{seasonId}/execute': {
+      post: {
+        tags: ['Profit Sharing'],
+        summary: 'Execute profit sharing for a season',
+        security: [{ bearerAuth: [] }],
+        description: 'Draws donors with the committed seed, calculates the vendor distribution and persists it. A season can only be executed once.',
+        parameters: [{ name: 'seasonId', in: 'path', required: true, schema: { type: 'string' } }],
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  reveal: { type: 'string', description: 'Reveal value for the commitment (omit if server-held)' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          201: { description: 'Profit sharing executed and persisted' },
+          400: { description: 'Invalid ID format, season not eligible, missing commitment or reveal mismatch' },
+          404: { description: 'Season not found' },
+          409: { description: 'Profit sharing already executed for this season' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // PAYOUTS
+    // ═══════════════════════════════════════════════════════════════════════
+
+    '/payouts': {
+      get: {
+        tags: ['Payouts'],
+        summary: 'List payouts',
+        security: [{ bearerAuth: [] }],
         parameters: [
-          { name: 'search', in: 'query', schema: { type: 'string' }, description: 'Search by name, email, phone, or organization' },
-          { name: 'isActive', in: 'query', schema: { type: 'string', enum: ['true', 'false', 'all'] } },
+          { name: 'distribution', in: 'query', schema: { type: 'string' }, description: 'Filter by profit distribution ID' },
+          { name: 'season', in: 'query', schema: { type: 'string' } },
+          { name: 'campaign', in: 'query', schema: { type: 'string' } },
+          { name: 'status', in: 'query', schema: { type: 'string', enum: ['pending', 'approved', 'paid', 'failed'] } },
+          { name: 'vendor', in: 'query', schema: { type: 'string', enum: ['donors', 'agents', 'stakeholders'] } },
+          { name: 'category', in: 'query', schema: { type: 'string' } },
           { $ref: '#/components/parameters/pageParam' },
           { $ref: '#/components/parameters/limitParam' },
         ],
         responses: {
-          200: {
-            description: 'List of project owners',
-            content: {
-              'application/json': {
-                schema: {
-                  type: 'object',
-                  properties: {
-                    success: { type: 'boolean' },
-                    data: { type: 'array', items: { $ref: '#/components/schemas/ProjectOwner' } },
-                    pagination: { $ref: '#/components/schemas/Pagination' },
+          200: { description: 'Paginated payouts', content: { 'application/json': { schema: { type: 'object', properties: { success: { type: 'boolean' }, data: { type: 'array', items: { $ref: '#/components/schemas/Payout' } }, pagination: { $ref: '#/components/schemas/Pagination' } } } } } },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/payouts/approve': {
+      post: {
+        tags: ['Payouts'],
+        summary: 'Approve payouts in bulk',
+        security: [{ bearerAuth: [] }],
+        description: 'Moves pending (or failed, for a retry) payouts to approved. Payouts in any other status, or to an agent or corporate agent that has not passed KYC verification, are returned under skipped.',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['ids', 'approvedBy'],
+                properties: {
+                  ids: { type: 'array', items: { type: 'string' } },
+                  approvedBy: { type: 'string', example: 'finance@example.com' },
+                  note: { type: 'string' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: { description: 'Updated and skipped payout IDs' },
+          400: { description: 'Missing ids or approvedBy' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/payouts/pay': {
+      post: {
+        tags: ['Payouts'],
+        summary: 'Mark approved payouts as paid',
+        security: [{ bearerAuth: [] }],
+        description: 'Payouts to an agent or corporate agent that has not passed KYC verification are returned under skipped.',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['payments', 'paidBy'],
+                properties: {
+                  payments: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      required: ['id', 'paymentReference'],
+                      properties: {
+                        id: { type: 'string' },
+                        paymentReference: { type: 'string', example: 'TRF-2024-000123' },
+                      },
+                    },
                   },
+                  paidBy: { type: 'string', example: 'finance@example.com' },
                 },
               },
             },
           },
+        },
+        responses: {
+          200: { description: 'Updated and skipped payout IDs' },
+          400: { description: 'Missing payments, payment reference or paidBy' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
           500: { description: 'Server error' },
         },
       },
     },
 
-    '/project-owners/{id}': {
+    '/payouts/reconciliation/{distributionId}': {
       get: {
-        tags: ['Project Owners'],
-        summary: 'Get a project owner by ID',
+        tags: ['Payouts'],
+        summary: 'Reconcile payouts against a distribution',
+        security: [{ bearerAuth: [] }],
+        description: 'Compares ledger totals per distribution line with the computed vendor distribution, with amounts broken down by status.',
+        parameters: [{ name: 'distributionId', in: 'path', required: true, schema: { type: 'string' } }],
+        responses: {
+          200: { description: 'Reconciliation report' },
+          400: { description: 'Invalid ID format' },
+          404: { description: 'Profit distribution not found' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/payouts/{id}': {
+      get: {
+        tags: ['Payouts'],
+        summary: 'Get a payout with its status history',
+        security: [{ bearerAuth: [] }],
         parameters: [{ $ref: '#/components/parameters/idParam' }],
         responses: {
-          200: { description: 'Project owner details', content: { 'application/json': { schema: { type: 'object', properties: { success: { type: 'boolean' }, data: { $ref: '#/components/schemas/ProjectOwner' } } } } } },
+          200: { description: 'Payout', content: { 'application/json': { schema: { type: 'object', properties: { success: { type: 'boolean' }, data: { $ref: '#/components/schemas/Payout' } } } } } },
           400: { description: 'Invalid ID format' },
-          404: { description: 'Project owner not found' },
+          404: { description: 'Payout not found' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { description: 'Server error' },
+        },
+      },
+    },
+
+    '/payouts/{id}/fail': {
+      patch: {
+        tags: ['Payouts'],
+        summary: 'Mark an approved payout as failed',
+        security: [{ bearerAuth: [] }],
+        parameters: [{ $ref: '#/components/parameters/idParam' }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['reason'],
+                properties: {
+                  reason: { type: 'string', example: 'Beneficiary account closed' },
+                  failedBy: { type: 'string' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: { description: 'Payout marked as failed' },
+          400: { description: 'Invalid ID format or missing reason' },
+          404: { description: 'Payout not found' },
+          409: { description: 'Payout is not approved' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
           500: { description: 'Server error' },
         },
       },
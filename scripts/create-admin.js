@@ -0,0 +1,59 @@
+/**
+ * Bootstrap the first back-office account (a super admin).
+ *
+ * Usage:
+ *   ADMIN_PASSWORD=... npm run create-admin -- --email ops@example.com --name "Ops Lead"
+ *
+ * ADMIN_EMAIL and ADMIN_NAME may be used instead of the flags; the password is
+ * read from ADMIN_PASSWORD only, so it does not end up in shell history.
+ * Refuses to run once a super admin exists; further admins are created
+ * through POST /api/v1/admins.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Admin = require('../api/models/Admin');
+
+const arg = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+};
+
+async function main() {
+  const email = arg('email') || process.env.ADMIN_EMAIL;
+  const name = arg('name') || process.env.ADMIN_NAME;
+  const password = process.env.ADMIN_PASSWORD;
+
+  if (!email || !name || !password) {
+    console.error('Usage: ADMIN_PASSWORD=... npm run create-admin -- --email <email> --name <name>');
+    process.exitCode = 1;
+    return;
+  }
+
+  if (!process.env.MONGODB_URI) {
+    console.error('MONGODB_URI is not set');
+    process.exitCode = 1;
+    return;
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    const existing = await Admin.findOne({ role: 'super_admin' }).select('email').lean();
+    if (existing) {
+      console.error(`A super admin already exists (${existing.email}); create further admins through the API`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const admin = await Admin.create({ name, email, password, role: 'super_admin' });
+    console.log(`Created super admin ${admin.email} (${admin._id})`);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error('Failed to create admin:', error.message);
+  process.exitCode = 1;
+});
@@ -1,38 +1,82 @@
+// Load .env before anything reads process.env (token secrets are read when
+// the routers are required)
+const dotenv = require("dotenv");
+dotenv.config();
+
 const express = require('express')
 const bodyParser = require('body-parser')
 const MongoClient = require('mongodb').MongoClient;
 const mongoose = require("mongoose");
 const cors = require("cors");
 
-const dotenv = require("dotenv");
 const path = require("path");
 const redirectSSL = require('redirect-ssl')
 const app = express()
 
 const port = process.env.PORT || 3035
+
+// Behind a reverse proxy (e.g. Render) req.ip must come from X-Forwarded-For,
+// otherwise every client shares the proxy's IP for login throttling.
+// TRUST_PROXY: hop count, true, or a list of proxy addresses
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
 app.use(cors());
 app.use(express.static(path.join(__dirname, "public")));
 const prefix = "/api/v1";
 app.use(bodyParser.urlencoded({ extended: true }))
-app.use(bodyParser.json())
+// Keep the raw body: payment webhooks are signed over the exact bytes
+app.use(bodyParser.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}))
 
 const campaignRouter = require('./api/router/campaign.router');
 const donationRouter = require('./api/router/donation.router');
 const donorRouter = require('./api/router/donor.router');
 const seasonRouter = require('./api/router/season.router');
+const cycleRouter = require('./api/router/cycle.router');
 const agentRouter = require('./api/router/agent.router');
 const corporateAgentRouter = require('./api/router/corporateAgent.router');
 const projectOwnerRouter = require('./api/router/projectOwner.router');
 const projectRouter = require('./api/router/project.router');
+const profitSharingRouter = require('./api/router/profitSharing.router');
+const payoutRouter = require('./api/router/payout.router');
+const adminRouter = require('./api/router/admin.router');
+const authRouter = require('./api/router/auth.router');
+const kycRouter = require('./api/router/kyc.router');
+const meRouter = require('./api/router/me.router');
+const accountDeletionRouter = require('./api/router/accountDeletion.router');
+const paymentRouter = require('./api/router/payment.router');
+const recurringPlanRouter = require('./api/router/recurringPlan.router');
+const pledgeRouter = require('./api/router/pledge.router');
+const exchangeRateRouter = require('./api/router/exchangeRate.router');
+const refundRouter = require('./api/router/refund.router');
 
 app.use(`${prefix}/campaigns`, campaignRouter);
 app.use(`${prefix}/donations`, donationRouter);
 app.use(`${prefix}/donors`, donorRouter);
 app.use(`${prefix}/seasons`, seasonRouter);
+app.use(`${prefix}/cycles`, cycleRouter);
 app.use(`${prefix}/agents`, agentRouter);
 app.use(`${prefix}/corporate-agents`, corporateAgentRouter);
 app.use(`${prefix}/project-owners`, projectOwnerRouter);
 app.use(`${prefix}/projects`, projectRouter);
+app.use(`${prefix}/profit-sharing`, profitSharingRouter);
+app.use(`${prefix}/payouts`, payoutRouter);
+app.use(`${prefix}/admins`, adminRouter);
+app.use(`${prefix}/auth`, authRouter);
+app.use(`${prefix}/kyc`, kycRouter);
+app.use(`${prefix}/me`, meRouter);
+app.use(`${prefix}/account-deletion`, accountDeletionRouter);
+app.use(`${prefix}/payments`, paymentRouter);
+app.use(`${prefix}/recurring-plans`, recurringPlanRouter);
+app.use(`${prefix}/pledges`, pledgeRouter);
+app.use(`${prefix}/exchange-rates`, exchangeRateRouter);
+app.use(`${prefix}/refunds`, refundRouter);
 
 // Swagger UI
 const swaggerUi = require('swagger-ui-express');
@@ -46,7 +90,6 @@ app.set('view engine', 'ejs');
 app.use(express.static(path.join(__dirname,'public')))
 app.use('/assets',express.static(path.join(__dirname,'public/assets')))
 
-const env = dotenv.config();
 const connectionString = process.env.MONGODB_URI
 
 // mongoose.connect(connectionString, { useUnifiedTopology: true })
@@ -68,8 +111,51 @@ const connectionString = process.env.MONGODB_URI
       res.render('account_delete');
     });
 
+    // Deletion request form and the confirm/cancel links from its emails
+    const accountDeletePage = require('./api/controller/accountDeletion.controller');
+    app.post('/account-delete', accountDeletePage.submitForm);
+    app.get('/account-delete/confirm', accountDeletePage.confirmFromLink);
+    app.get('/account-delete/cancel', accountDeletePage.cancelFromLink);
+
 // //})
 
+// Season/cycle rollover sweep, started once the database is reachable
+const SeasonRollover = require('./api/rollover/season.rollover');
+mongoose.connection.once('open', () => {
+  SeasonRollover.startScheduler(
+    process.env.ROLLOVER_INTERVAL_MINUTES !== undefined
+      ? Number(process.env.ROLLOVER_INTERVAL_MINUTES)
+      : SeasonRollover.DEFAULT_INTERVAL_MINUTES
+  );
+});
+
+// Executes approved account deletions once their grace period is over
+const AccountDeletionService = require('./api/deletion/account.deletion.service');
+mongoose.connection.once('open', () => {
+  AccountDeletionService.startScheduler(
+    process.env.ACCOUNT_DELETION_SWEEP_MINUTES !== undefined
+      ? Number(process.env.ACCOUNT_DELETION_SWEEP_MINUTES)
+      : AccountDeletionService.DEFAULT_INTERVAL_MINUTES
+  );
+});
+
+// Creates and charges recurring donation installments as they fall due
+const RecurringService = require('./api/recurring/recurring.service');
+mongoose.connection.once('open', () => {
+  RecurringService.startScheduler(
+    process.env.RECURRING_SWEEP_MINUTES !== undefined
+      ? Number(process.env.RECURRING_SWEEP_MINUTES)
+      : RecurringService.DEFAULT_INTERVAL_MINUTES
+  );
+});
+
+// Refuse to start without a secret to sign tokens with, in production
+// without a mail transport that delivers, or without a frontend for magic
+// sign-in links to open
+require('./api/auth/token.service').assertConfigured();
+require('./api/mail/mailer').assertConfigured();
+require('./api/auth/magic.link.service').assertConfigured();
+
 app.listen(port, () => { console.log(`Starting the server at ${port}`) })
 // }).catch(error => {
 // console.error('Error occurred at database')
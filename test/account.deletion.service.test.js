@@ -0,0 +1,137 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const AccountDeletionService = require('../api/deletion/account.deletion.service');
+const AccountDeletionRequest = require('../api/models/AccountDeletionRequest');
+const AuthEvent = require('../api/models/AuthEvent');
+const Donation = require('../api/models/Donation');
+const KycSubmission = require('../api/models/KycSubmission');
+const MagicLinkToken = require('../api/models/MagicLinkToken');
+const PasswordResetToken = require('../api/models/PasswordResetToken');
+const TokenService = require('../api/auth/token.service');
+const Donor = require('../api/models/Donor');
+const Agent = require('../api/models/Agent');
+const Admin = require('../api/models/Admin');
+
+describe('AccountDeletionService.execute', () => {
+  const now = new Date('2025-03-10T12:00:00Z');
+  let request;
+
+  const approved = (accountModel, fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    account: new mongoose.Types.ObjectId(),
+    accountModel,
+    email: 'holder@example.com',
+    status: 'executing',
+    scheduledFor: new Date('2025-03-01T00:00:00Z'),
+    ...fields
+  });
+
+  beforeEach(() => {
+    request = approved('Donor');
+    mock.method(AccountDeletionRequest, 'findOneAndUpdate', async () => request);
+    mock.method(AccountDeletionRequest, 'findByIdAndUpdate', async (id, update) => ({ ...request, ...update.$set }));
+    mock.method(AccountDeletionRequest, 'updateMany', async () => ({ modifiedCount: 1 }));
+    mock.method(TokenService, 'revokeAll', async () => 2);
+    mock.method(Donor, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(Agent, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(Donation, 'updateMany', async () => ({ modifiedCount: 3 }));
+    mock.method(KycSubmission, 'updateMany', async () => ({ modifiedCount: 0 }));
+    mock.method(AuthEvent, 'updateMany', async () => ({ modifiedCount: 4 }));
+    mock.method(PasswordResetToken, 'deleteMany', async () => ({ deletedCount: 0 }));
+    mock.method(MagicLinkToken, 'deleteMany', async () => ({ deletedCount: 1 }));
+    mock.method(AccountDeletionService, 'notify', async () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('anonymises a donor, signs them out and keeps their donation figures', async () => {
+    const result = await AccountDeletionService.execute(request._id, { now });
+
+    assert.equal(result.success, true);
+    assert.equal(result.request.status, 'completed');
+
+    const [claimFilter] = AccountDeletionRequest.findOneAndUpdate.mock.calls[0].arguments;
+    assert.deepEqual(claimFilter, { _id: request._id, status: 'approved', scheduledFor: { $lte: now } });
+
+    assert.deepEqual(TokenService.revokeAll.mock.calls[0].arguments, [request.account, 'donor', 'account_deleted']);
+
+    const anonymisedEmail = `deleted-${request.account}@deleted.invalid`;
+    const [filter, { $set, $unset }] = Donor.updateOne.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: request.account });
+    assert.equal($set.firstName, 'Deleted');
+    assert.equal($set.lastName, 'Donor');
+    assert.equal($set.phone, null);
+    assert.equal($set.address, null);
+    assert.equal($set['preferences.newsletter'], false);
+    assert.equal($set['twoFactor.secret'], null);
+    assert.equal($set.email, anonymisedEmail);
+    assert.equal($set.isActive, false);
+    assert.deepEqual($set.deletedAt, now);
+    assert.deepEqual($unset, { password: 1 });
+
+    const [donations, donationUpdate] = Donation.updateMany.mock.calls[0].arguments;
+    assert.deepEqual(donations, { donor: request.account });
+    assert.deepEqual(donationUpdate, { $set: { notes: null, isAnonymous: true } });
+
+    assert.deepEqual(AuthEvent.updateMany.mock.calls[0].arguments[1], { $set: { email: anonymisedEmail } });
+    assert.deepEqual(AccountDeletionRequest.updateMany.mock.calls[0].arguments[1], { $set: { email: anonymisedEmail } });
+    assert.equal(MagicLinkToken.deleteMany.mock.callCount(), 1);
+    assert.equal(PasswordResetToken.deleteMany.mock.callCount(), 1);
+
+    // The goodbye email goes to the address the holder used
+    assert.equal(AccountDeletionService.notify.mock.calls[0].arguments[0], 'holder@example.com');
+  });
+
+  it('replaces unique agent identifiers with values derived from the account id', async () => {
+    request = approved('Agent');
+
+    await AccountDeletionService.execute(request._id, { now });
+
+    const [, { $set }] = Agent.updateOne.mock.calls[0].arguments;
+    assert.equal($set.name, 'Deleted account');
+    assert.equal($set.cac, `DELETED${request.account}`);
+    assert.equal($set.nin, `deleted-${request.account}`);
+    assert.deepEqual(KycSubmission.updateMany.mock.calls[0].arguments[1], { $set: { nin: '[deleted]', cac: null, documents: [] } });
+    assert.equal(Donation.updateMany.mock.callCount(), 0);
+  });
+
+  it('touches nothing when the request is not approved or still in its grace period', async () => {
+    AccountDeletionRequest.findOneAndUpdate.mock.mockImplementation(async () => null);
+
+    const result = await AccountDeletionService.execute(request._id, { now });
+
+    assert.equal(result.status, 409);
+    assert.equal(TokenService.revokeAll.mock.callCount(), 0);
+    assert.equal(Donor.updateOne.mock.callCount(), 0);
+  });
+
+  it('puts the request back to approved when anonymising fails part way', async () => {
+    mock.method(console, 'error', () => {});
+    Donation.updateMany.mock.mockImplementation(async () => { throw new Error('write failed'); });
+
+    const result = await AccountDeletionService.execute(request._id, { now });
+
+    assert.equal(result.success, false);
+    const [, { $set, $push }] = AccountDeletionRequest.findByIdAndUpdate.mock.calls[0].arguments;
+    assert.equal($set.status, 'approved');
+    assert.equal($push.events.type, 'failed');
+    assert.equal($push.events.note, 'write failed');
+    assert.equal(AccountDeletionService.notify.mock.callCount(), 0);
+  });
+
+  it('refuses to delete the last active super admin', async () => {
+    request = approved('Admin');
+    mock.method(Admin, 'findById', () => ({ select: () => ({ lean: async () => ({ _id: request.account, role: 'super_admin', isActive: true }) }) }));
+    mock.method(Admin, 'countDocuments', async () => 0);
+    const anonymise = mock.method(Admin, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    const result = await AccountDeletionService.execute(request._id, { now });
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /last active super admin/);
+    assert.equal(anonymise.mock.callCount(), 0);
+    assert.equal(TokenService.revokeAll.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,144 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const donorController = require('../api/controller/donor.controller');
+const Donor = require('../api/models/Donor');
+const Donation = require('../api/models/Donation');
+
+const SUPPORT = { id: String(new mongoose.Types.ObjectId()), role: 'admin', adminRole: 'support' };
+const AGENT = { id: String(new mongoose.Types.ObjectId()), role: 'agent' };
+
+const response = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+// Mongoose query stand-in that can be chained or awaited
+const query = (value) => ({
+  select() { return this; },
+  lean: async () => value,
+  then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+});
+
+const existing = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  email: 'donor@example.com',
+  password: undefined,
+  lastLoginAt: null,
+  isActive: true,
+  ...fields
+});
+
+const update = async (donor, body, user = SUPPORT) => {
+  const res = response();
+  await donorController.updateDonor({ params: { id: String(donor._id) }, body, user }, res);
+  return res;
+};
+
+describe('donorController.updateDonor', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('refuses to change the email of a donor who signs in with a password or magic link', async () => {
+    const save = mock.method(Donor, 'findByIdAndUpdate', async () => null);
+
+    for (const account of [{ password: '$2a$10$hash' }, { lastLoginAt: new Date() }]) {
+      const donor = existing(account);
+      mock.method(Donor, 'findOne', () => query(donor));
+
+      const res = await update(donor, { email: 'agent@example.com' });
+
+      assert.equal(res.statusCode, 400);
+      assert.deepEqual(res.body.protectedFields, ['email']);
+    }
+    assert.equal(save.mock.callCount(), 0);
+  });
+
+  it('changes the email of a donor without a portal account', async () => {
+    const donor = existing();
+    const findOne = mock.method(Donor, 'findOne', () => query(donor));
+    findOne.mock.mockImplementationOnce(() => query(null), 1);
+    const save = mock.method(Donor, 'findByIdAndUpdate', async (id, body) => ({ ...donor, ...body }));
+
+    const res = await update(donor, { email: 'new@example.com' });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(save.mock.calls[0].arguments[1].email, 'new@example.com');
+  });
+
+  it('matches the duplicate email check literally', async () => {
+    const donor = existing();
+    const findOne = mock.method(Donor, 'findOne', () => query(null));
+    findOne.mock.mockImplementationOnce(() => query(donor), 0);
+    mock.method(Donor, 'findByIdAndUpdate', async (id, body) => ({ ...donor, ...body }));
+
+    await update(donor, { email: 'a.b+c@example.com' });
+
+    const pattern = findOne.mock.calls[1].arguments[0].email.$regex;
+    assert.equal(pattern.test('a.b+c@example.com'), true);
+    assert.equal(pattern.test('aXbbbc@exampleXcom'), false);
+  });
+
+  it('only lets an agent reach donors they recorded or took donations from', async () => {
+    const theirs = new mongoose.Types.ObjectId();
+    mock.method(Donation, 'distinct', async () => [theirs]);
+    const findOne = mock.method(Donor, 'findOne', () => query(null));
+    const save = mock.method(Donor, 'findByIdAndUpdate', async () => null);
+
+    const res = await update(existing(), { phone: '+1 555 0100' }, AGENT);
+
+    assert.equal(res.statusCode, 404);
+    assert.equal(save.mock.callCount(), 0);
+    assert.deepEqual(Donation.distinct.mock.calls[0].arguments[1], { agent: new mongoose.Types.ObjectId(AGENT.id) });
+
+    const [filter] = findOne.mock.calls[0].arguments;
+    assert.deepEqual(filter.$or, [{ agent: new mongoose.Types.ObjectId(AGENT.id) }, { _id: { $in: [theirs] } }]);
+  });
+
+  it('keeps an agent from handing a donor to another agent', async () => {
+    mock.method(Donation, 'distinct', async () => []);
+    mock.method(Donor, 'findOne', () => query(existing({ agent: AGENT.id })));
+
+    const res = await update(existing(), { agent: String(new mongoose.Types.ObjectId()) }, AGENT);
+
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.body.protectedFields, ['agent']);
+  });
+});
+
+describe('donorController.getAllDonors', () => {
+  afterEach(() => mock.restoreAll());
+
+  const list = (user) => {
+    const find = mock.method(Donor, 'find', () => ({
+      sort() { return this; },
+      limit() { return this; },
+      skip() { return this; },
+      select() { return this; },
+      lean() { return this; },
+      exec: async () => []
+    }));
+    mock.method(Donor, 'countDocuments', async () => 0);
+    mock.method(Donor, 'aggregate', async () => []);
+    return donorController.getAllDonors({ query: {}, user }, response()).then(() => find.mock.calls[0].arguments[0]);
+  };
+
+  it('restricts agents to their own donors', async () => {
+    mock.method(Donation, 'distinct', async () => []);
+
+    const filter = await list(AGENT);
+
+    assert.ok(filter.$or);
+  });
+
+  it('does not restrict admins', async () => {
+    const distinct = mock.method(Donation, 'distinct', async () => []);
+
+    const filter = await list(SUPPORT);
+
+    assert.equal(filter.$or, undefined);
+    assert.equal(distinct.mock.callCount(), 0);
+  });
+});
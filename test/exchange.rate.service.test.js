@@ -0,0 +1,199 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const ExchangeRateService = require('../api/fx/exchange.rate.service');
+const ExchangeRate = require('../api/models/ExchangeRate');
+const Donation = require('../api/models/Donation');
+
+const utc = (year, month, day) => new Date(Date.UTC(year, month - 1, day));
+
+// ExchangeRate.findOne over an in-memory rate table
+const rateTable = (rates) => mock.method(ExchangeRate, 'findOne', ({ base, quote, effectiveDate }) => ({
+  sort() { return this; },
+  lean: async () => rates
+    .filter(r => r.base === base && r.quote === quote && r.effectiveDate <= effectiveDate.$lte)
+    .sort((a, b) => b.effectiveDate - a.effectiveDate)[0] || null
+}));
+
+const rate = (base, quote, value, effectiveDate) => ({ _id: new mongoose.Types.ObjectId(), base, quote, rate: value, effectiveDate });
+
+describe('ExchangeRateService.findRate', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('uses the latest rate effective on the date', async () => {
+    rateTable([rate('USD', 'NGN', 1400, utc(2025, 1, 1)), rate('USD', 'NGN', 1500, utc(2025, 2, 1))]);
+
+    assert.equal((await ExchangeRateService.findRate('usd', 'ngn', utc(2025, 1, 20))).rate, 1400);
+    assert.equal((await ExchangeRateService.findRate('USD', 'NGN', utc(2025, 2, 1))).rate, 1500);
+    assert.equal(await ExchangeRateService.findRate('USD', 'NGN', utc(2024, 12, 31)), null);
+  });
+
+  it('inverts a rate uploaded for the other direction, preferring the more recent one', async () => {
+    rateTable([rate('NGN', 'EUR', 0.0005, utc(2025, 1, 1)), rate('EUR', 'NGN', 1600, utc(2025, 3, 1))]);
+
+    const early = await ExchangeRateService.findRate('EUR', 'NGN', utc(2025, 2, 1));
+    assert.equal(early.rate, 2000);
+    assert.equal(early.inverse, true);
+
+    const late = await ExchangeRateService.findRate('EUR', 'NGN', utc(2025, 3, 2));
+    assert.equal(late.rate, 1600);
+    assert.equal(late.inverse, false);
+  });
+
+  it('needs no rate to convert a currency into itself', async () => {
+    const findOne = rateTable([]);
+
+    assert.equal((await ExchangeRateService.findRate('NGN', 'ngn')).rate, 1);
+    assert.equal(findOne.mock.callCount(), 0);
+  });
+});
+
+describe('ExchangeRateService.convertDonation', () => {
+  beforeEach(() => rateTable([rate('USD', 'NGN', 1533.337, utc(2025, 1, 1))]));
+  afterEach(() => mock.restoreAll());
+
+  it('converts the amount and the refunded amount into the base currency', async () => {
+    const { fields } = await ExchangeRateService.convertDonation(
+      { amount: 10, currency: 'usd', donationDate: utc(2025, 1, 15), refundedAmount: 2.5 },
+      'NGN'
+    );
+
+    assert.deepEqual(fields, {
+      currency: 'USD',
+      baseAmount: 15333.37,
+      baseCurrency: 'NGN',
+      exchangeRate: 1533.337,
+      exchangeRateDate: utc(2025, 1, 1),
+      refundedBaseAmount: 3833.34
+    });
+  });
+
+  it('treats a donation without a currency as being in the base currency', async () => {
+    const { fields } = await ExchangeRateService.convertDonation({ amount: 500, donationDate: utc(2025, 1, 15) }, 'NGN');
+
+    assert.equal(fields.currency, 'NGN');
+    assert.equal(fields.baseAmount, 500);
+    assert.equal(fields.exchangeRate, 1);
+  });
+
+  it('reports the pair when no rate was effective on the donation date', async () => {
+    const result = await ExchangeRateService.convertDonation({ amount: 10, currency: 'USD', donationDate: utc(2024, 12, 1) }, 'NGN');
+
+    assert.equal(result.fields, undefined);
+    assert.equal(result.pair, 'USD/NGN');
+  });
+});
+
+describe('ExchangeRateService.upload', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('saves nothing when any row is invalid', async () => {
+    const bulkWrite = mock.method(ExchangeRate, 'bulkWrite', async () => ({}));
+
+    const result = await ExchangeRateService.upload([
+      { base: 'USD', quote: 'NGN', rate: 1500, effectiveDate: '2025-01-01' },
+      { base: 'USD', quote: 'USD', rate: 1, effectiveDate: '2025-01-01' },
+      { base: 'EUR', quote: 'NGN', rate: -3, effectiveDate: '2025-01-01' },
+      { base: 'EURO', quote: 'NGN', rate: 3, effectiveDate: '2025-01-01' },
+      { base: 'GBP', quote: 'NGN', rate: 3, effectiveDate: 'someday' }
+    ]);
+
+    assert.equal(result.status, 400);
+    assert.deepEqual(result.rowErrors.map(e => e.row), [2, 3, 4, 5]);
+    assert.equal(bulkWrite.mock.callCount(), 0);
+  });
+
+  it('upserts one rate per pair per day', async () => {
+    const bulkWrite = mock.method(ExchangeRate, 'bulkWrite', async () => ({ upsertedCount: 1, modifiedCount: 0 }));
+
+    const rows = ExchangeRateService.parseCsv('base,quote,rate,effectiveDate,note\nusd, ngn ,1500,2025-01-01T18:30:00Z,CBN, closing\n');
+    const result = await ExchangeRateService.upload(rows, { source: 'csv' });
+
+    assert.equal(result.inserted, 1);
+    const [{ updateOne }] = bulkWrite.mock.calls[0].arguments[0];
+    assert.deepEqual(updateOne.filter, { base: 'USD', quote: 'NGN', effectiveDate: utc(2025, 1, 1) });
+    assert.equal(updateOne.update.$set.rate, 1500);
+    assert.equal(updateOne.update.$set.note, 'CBN, closing');
+    assert.equal(updateOne.upsert, true);
+  });
+});
+
+describe('ExchangeRateService.backfill', () => {
+  const batchSize = ExchangeRateService.BACKFILL_BATCH_SIZE;
+  const campaign = new mongoose.Types.ObjectId();
+
+  const donations = (count, fields = {}) => Array.from({ length: count }, () => ({
+    _id: new mongoose.Types.ObjectId(),
+    campaign,
+    donor: new mongoose.Types.ObjectId(),
+    amount: 10,
+    currency: 'USD',
+    donationDate: utc(2025, 1, 15),
+    baseAmount: null,
+    ...fields
+  }));
+
+  // Donation.find(...).select(...).lean().cursor() yielding the given rows
+  const stream = (rows) => mock.method(Donation, 'find', () => ({
+    select() { return this; },
+    lean() { return this; },
+    cursor: () => (async function* yieldRows() { yield* rows; })()
+  }));
+
+  beforeEach(() => {
+    ExchangeRateService.BACKFILL_BATCH_SIZE = 2;
+    rateTable([rate('USD', 'NGN', 1500, utc(2025, 1, 1))]);
+    mock.method(ExchangeRateService, 'baseCurrencyOf', async () => 'NGN');
+    mock.method(Donation, 'bulkWrite', async () => ({}));
+    mock.method(Donation, 'recalculateTotals', async () => {});
+  });
+
+  afterEach(() => {
+    ExchangeRateService.BACKFILL_BATCH_SIZE = batchSize;
+    mock.restoreAll();
+  });
+
+  it('streams donations and writes the conversions in batches', async () => {
+    const rows = donations(5);
+    const find = stream(rows);
+
+    const result = await ExchangeRateService.backfill();
+
+    assert.deepEqual(find.mock.calls[0].arguments[0], { baseAmount: null });
+    assert.equal(result.checked, 5);
+    assert.equal(result.converted, 5);
+    assert.deepEqual(Donation.bulkWrite.mock.calls.map(call => call.arguments[0].length), [2, 2, 1]);
+
+    const [{ updateOne }] = Donation.bulkWrite.mock.calls[0].arguments[0];
+    assert.deepEqual(updateOne.filter, { _id: rows[0]._id });
+    assert.equal(updateOne.update.$set.baseAmount, 15000);
+
+    // Totals are recalculated once per campaign and donor, after every write
+    assert.equal(Donation.recalculateTotals.mock.callCount(), 1 + 5);
+  });
+
+  it('skips donations already converted at the same rate and reports missing rates', async () => {
+    stream([
+      ...donations(1, { baseAmount: 15000, baseCurrency: 'NGN', exchangeRate: 1500 }),
+      ...donations(2, { currency: 'GBP' })
+    ]);
+
+    const result = await ExchangeRateService.backfill({ onlyMissing: false });
+
+    assert.equal(result.unchanged, 1);
+    assert.equal(result.converted, 0);
+    assert.deepEqual(result.missingRates.map(({ pair, count }) => ({ pair, count })), [{ pair: 'GBP/NGN', count: 2 }]);
+    assert.equal(Donation.bulkWrite.mock.callCount(), 0);
+  });
+
+  it('writes nothing on a dry run', async () => {
+    stream(donations(3));
+
+    const result = await ExchangeRateService.backfill({ dryRun: true });
+
+    assert.equal(result.converted, 3);
+    assert.equal(Donation.bulkWrite.mock.callCount(), 0);
+    assert.equal(Donation.recalculateTotals.mock.callCount(), 0);
+  });
+});
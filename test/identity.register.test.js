@@ -0,0 +1,129 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const IdentityService = require('../api/identity/identity.service');
+const accountController = require('../api/controller/account.controller');
+const LoginGuard = require('../api/auth/login.guard');
+const Mailer = require('../api/mail/mailer');
+const Donor = require('../api/models/Donor');
+const Agent = require('../api/models/Agent');
+
+const signUp = (fields = {}) => ({
+  firstName: 'Ada',
+  lastName: 'Obi',
+  email: 'Ada@Example.com',
+  password: 'correct horse battery',
+  confirmPassword: 'correct horse battery',
+  ...fields
+});
+
+const response = () => {
+  const res = { statusCode: 200, body: null, headers: {} };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  res.set = (name, value) => { res.headers[name] = value; return res; };
+  return res;
+};
+
+const register = async (body) => {
+  const res = response();
+  await accountController.register('donor')({ body, ip: '203.0.113.7', get: () => null }, res);
+  return res;
+};
+
+describe('donor registration', () => {
+  beforeEach(() => {
+    mock.method(Mailer, 'send', async () => {});
+    mock.method(LoginGuard, 'throttleMailRequest', async () => null);
+    mock.method(Donor, 'exists', async () => null);
+    mock.method(Donor, 'create', async (data) => ({ _id: new mongoose.Types.ObjectId(), ...data }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('creates a new donor and sends a welcome email', async () => {
+    const result = await IdentityService.register('donor', signUp());
+
+    assert.equal(result.success, true);
+    assert.equal(result.existing, false);
+    assert.equal(result.account.password, undefined);
+    assert.equal(Donor.create.mock.calls[0].arguments[0].email, 'ada@example.com');
+    assert.equal(Mailer.send.mock.calls[0].arguments[0].to, 'ada@example.com');
+    assert.equal(Mailer.send.mock.calls[0].arguments[0].subject, 'Welcome');
+  });
+
+  it('emails the holder of a taken email instead of reporting a conflict', async () => {
+    Donor.exists.mock.mockImplementation(async () => ({ _id: new mongoose.Types.ObjectId() }));
+
+    const result = await IdentityService.register('donor', signUp());
+
+    assert.equal(result.success, true);
+    assert.equal(result.existing, true);
+    assert.equal(Donor.create.mock.callCount(), 0);
+
+    const [mail] = Mailer.send.mock.calls[0].arguments;
+    assert.equal(mail.to, 'ada@example.com');
+    assert.match(mail.text, /already has one/);
+  });
+
+  it('treats losing a race to a concurrent sign-up like a taken email', async () => {
+    Donor.create.mock.mockImplementation(async () => {
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000, keyPattern: { email: 1 } });
+    });
+
+    const result = await IdentityService.register('donor', signUp());
+
+    assert.equal(result.success, true);
+    assert.equal(result.existing, true);
+  });
+
+  it('answers the same whether or not the email is taken, even when mail fails', async () => {
+    const fresh = await register(signUp());
+
+    mock.method(console, 'error', () => {});
+    Mailer.send.mock.mockImplementation(async () => { throw new Error('SMTP down'); });
+    Donor.exists.mock.mockImplementation(async () => ({ _id: new mongoose.Types.ObjectId() }));
+    const taken = await register(signUp());
+
+    assert.equal(fresh.statusCode, 202);
+    assert.equal(taken.statusCode, fresh.statusCode);
+    assert.deepEqual(taken.body, fresh.body);
+    assert.equal(fresh.body.data, undefined);
+  });
+
+  it('throttles sign-ups per email and IP', async () => {
+    LoginGuard.throttleMailRequest.mock.mockImplementation(async () => ({ scope: 'email', retryAfter: 60 }));
+
+    const res = await register(signUp());
+
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.headers['Retry-After'], '60');
+    assert.equal(LoginGuard.throttleMailRequest.mock.calls[0].arguments[1].request, 'registration');
+    assert.equal(Donor.create.mock.callCount(), 0);
+  });
+
+  it('still reports invalid input', async () => {
+    const res = await register(signUp({ confirmPassword: 'something else' }));
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(Mailer.send.mock.callCount(), 0);
+  });
+});
+
+describe('agent registration', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('keeps reporting a taken email', async () => {
+    mock.method(Agent, 'exists', async () => ({ _id: new mongoose.Types.ObjectId() }));
+    const send = mock.method(Mailer, 'send', async () => {});
+
+    const result = await IdentityService.register('agent', {
+      name: 'Agent', email: 'agent@example.com', password: 'correct horse battery', confirmPassword: 'correct horse battery',
+      phone: '+234 800 000 0000', houseAddress: 'Lagos', officeAddress: 'Lagos', cac: 'RC123456', nin: '12345678901'
+    });
+
+    assert.equal(result.status, 409);
+    assert.equal(send.mock.callCount(), 0);
+  });
+});
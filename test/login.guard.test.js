@@ -0,0 +1,167 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const LoginGuard = require('../api/auth/login.guard');
+const LoginThrottle = require('../api/models/LoginThrottle');
+const AuthEvent = require('../api/models/AuthEvent');
+
+const MINUTE = 60 * 1000;
+
+// In-memory LoginThrottle that applies the same update countFailure sends
+const throttleStore = () => {
+  const records = new Map();
+
+  mock.method(LoginThrottle, 'findOneAndUpdate', ({ key }, [{ $set }]) => {
+    const windowStart = $set.failures.$cond[0].$lt[1];
+    const current = records.get(key) || { _id: new mongoose.Types.ObjectId(), key, failures: 0, lockouts: null, lastFailureAt: null };
+    const restart = !current.lastFailureAt || current.lastFailureAt < windowStart;
+    const record = {
+      ...current,
+      scope: $set.scope,
+      value: $set.value,
+      failures: restart ? 1 : current.failures + 1,
+      lockouts: current.lockouts ?? 0,
+      lastFailureAt: $set.lastFailureAt
+    };
+    records.set(key, record);
+    return { lean: async () => ({ ...record }) };
+  });
+
+  mock.method(LoginThrottle, 'updateOne', async (filter, { $set, $inc }) => {
+    const record = [...records.values()].find(r =>
+      (filter._id ? r._id.equals(filter._id) : r.key === filter.key) &&
+      (filter.failures === undefined || r.failures === filter.failures));
+    if (!record) return { modifiedCount: 0 };
+    Object.assign(record, $set);
+    if ($inc) record.lockouts += $inc.lockouts;
+    return { modifiedCount: 1 };
+  });
+
+  mock.method(LoginThrottle, 'find', ({ key, lockedUntil }) => {
+    const found = [...records.values()]
+      .filter(r => key.$in.includes(r.key) && r.lockedUntil > lockedUntil.$gt)
+      .sort((a, b) => b.lockedUntil - a.lockedUntil);
+    return { sort() { return this; }, lean: async () => found };
+  });
+
+  return records;
+};
+
+describe('LoginGuard.lockoutMinutes', () => {
+  it('doubles each lockout up to LOCKOUT_MAX_MINUTES', () => {
+    assert.equal(LoginGuard.lockoutMinutes(0), LoginGuard.LOCKOUT_MINUTES);
+    assert.equal(LoginGuard.lockoutMinutes(1), LoginGuard.LOCKOUT_MINUTES * 2);
+    assert.equal(LoginGuard.lockoutMinutes(2), LoginGuard.LOCKOUT_MINUTES * 4);
+    assert.equal(LoginGuard.lockoutMinutes(30), LoginGuard.LOCKOUT_MAX_MINUTES);
+  });
+});
+
+describe('LoginGuard lockout', () => {
+  let records;
+
+  beforeEach(() => {
+    records = throttleStore();
+    mock.method(AuthEvent, 'insertMany', async () => []);
+    mock.method(AuthEvent, 'create', async () => ({}));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const failTimes = async (count, email = 'Donor@Example.com', ip = '203.0.113.7') => {
+    let applied = [];
+    for (let i = 0; i < count; i++) applied = await LoginGuard.recordFailure(email, { ip, reason: 'bad_password' });
+    return applied;
+  };
+
+  it('locks the email on the MAX_ATTEMPTS-th failure, whatever its case', async () => {
+    assert.deepEqual(await failTimes(LoginGuard.MAX_ATTEMPTS - 1), []);
+    assert.equal(await LoginGuard.check('donor@example.com', null), null);
+
+    const [lock] = await failTimes(1, ' DONOR@example.com ');
+
+    assert.equal(lock.scope, 'email');
+    assert.equal(lock.minutes, LoginGuard.LOCKOUT_MINUTES);
+
+    const blocked = await LoginGuard.check('donor@example.com', '198.51.100.1');
+    assert.equal(blocked.scope, 'email');
+    assert.ok(blocked.retryAfter > 0 && blocked.retryAfter <= LoginGuard.LOCKOUT_MINUTES * 60);
+
+    const events = AuthEvent.insertMany.mock.calls.at(-1).arguments[0];
+    assert.deepEqual(events.map(e => e.type), ['login_failure', 'lockout']);
+    assert.equal(events[1].reason, 'email_locked');
+  });
+
+  it('locks the IP once IP_MAX_ATTEMPTS failures come from it across emails', async () => {
+    for (let i = 0; i < LoginGuard.IP_MAX_ATTEMPTS - 1; i++) {
+      await LoginGuard.recordFailure(`donor${i}@example.com`, { ip: '203.0.113.7' });
+    }
+    assert.equal(await LoginGuard.check('new@example.com', '203.0.113.7'), null);
+
+    const applied = await LoginGuard.recordFailure('new@example.com', { ip: '203.0.113.7' });
+
+    assert.deepEqual(applied.map(lock => lock.scope), ['ip']);
+    assert.equal((await LoginGuard.check('new@example.com', '203.0.113.7')).scope, 'ip');
+    assert.equal(await LoginGuard.check('new@example.com', '198.51.100.1'), null);
+  });
+
+  it('lengthens each further lockout', async () => {
+    await failTimes(LoginGuard.MAX_ATTEMPTS);
+    records.get('email:donor@example.com').lockedUntil = new Date(Date.now() - MINUTE);
+
+    const [second] = await failTimes(LoginGuard.MAX_ATTEMPTS);
+
+    assert.equal(second.minutes, LoginGuard.LOCKOUT_MINUTES * 2);
+  });
+
+  it('starts counting again when the last failure is outside the window', async () => {
+    await failTimes(LoginGuard.MAX_ATTEMPTS - 1);
+    records.get('email:donor@example.com').lastFailureAt = new Date(Date.now() - (LoginGuard.WINDOW_MINUTES + 1) * MINUTE);
+
+    assert.deepEqual(await failTimes(1), []);
+    assert.equal(records.get('email:donor@example.com').failures, 1);
+  });
+
+  it('applies the lock once when concurrent failures cross the threshold', async () => {
+    await failTimes(LoginGuard.MAX_ATTEMPTS - 1);
+    LoginThrottle.updateOne.mock.mockImplementationOnce(async () => ({ modifiedCount: 0 }));
+
+    assert.equal(await LoginGuard.countFailure('email', 'donor@example.com', LoginGuard.MAX_ATTEMPTS), null);
+  });
+
+  it('clears the email counters and lockout history after a successful login', async () => {
+    await failTimes(LoginGuard.MAX_ATTEMPTS - 1);
+
+    await LoginGuard.recordSuccess('Donor@Example.com', { ip: '203.0.113.7' });
+
+    const record = records.get('email:donor@example.com');
+    assert.equal(record.failures, 0);
+    assert.equal(record.lockouts, 0);
+    assert.equal(records.get('ip:203.0.113.7').failures, LoginGuard.MAX_ATTEMPTS - 1);
+  });
+
+  it('throttles link requests on their own counters without locking password login', async () => {
+    for (let i = 0; i < LoginGuard.MAIL_MAX_REQUESTS; i++) {
+      assert.equal(await LoginGuard.throttleMailRequest('donor@example.com', { request: 'magic_link' }), null);
+    }
+
+    const lock = await LoginGuard.throttleMailRequest('donor@example.com', { request: 'magic_link' });
+
+    assert.equal(lock.scope, 'email');
+    assert.equal(AuthEvent.create.mock.calls[0].arguments[0].type, 'mail_blocked');
+    assert.equal(await LoginGuard.check('donor@example.com', null), null);
+  });
+
+  it('lets an admin lift a lock', async () => {
+    await failTimes(LoginGuard.MAX_ATTEMPTS);
+    mock.method(LoginThrottle, 'updateMany', async ({ _id }, { $set }) => {
+      for (const record of records.values()) if (_id.$in.some(id => id.equals(record._id))) Object.assign(record, $set);
+    });
+
+    assert.equal(await LoginGuard.unlock('email', 'DONOR@example.com', { id: new mongoose.Types.ObjectId() }), true);
+
+    assert.equal(await LoginGuard.check('donor@example.com', null), null);
+    assert.equal(AuthEvent.create.mock.calls[0].arguments[0].type, 'unlock');
+    assert.equal(await LoginGuard.unlock('email', 'donor@example.com'), false);
+  });
+});
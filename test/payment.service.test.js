@@ -0,0 +1,216 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+process.env.MOCK_PAYMENT_SECRET = 'test_mock_secret';
+
+const PaymentService = require('../api/payments/payment.service');
+const mockProvider = require('../api/payments/providers/mock');
+const Donation = require('../api/models/Donation');
+const PaymentEvent = require('../api/models/PaymentEvent');
+
+const pendingDonation = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  status: 'pending',
+  amount: 100,
+  currency: 'NGN',
+  paymentProvider: 'mock',
+  transactionId: null,
+  recurringPlan: null,
+  ...fields
+});
+
+describe('PaymentService.apply', () => {
+  let events;
+
+  beforeEach(() => {
+    events = [];
+    mock.method(PaymentEvent, 'create', async (event) => {
+      events.push(event);
+      return event;
+    });
+    mock.method(PaymentEvent, 'exists', async () => null);
+    mock.method(Donation, 'recalculateTotals', async () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('completes a pending donation and records the event as applied', async () => {
+    const donation = pendingDonation();
+    mock.method(Donation, 'findOne', async () => donation);
+    const update = mock.method(Donation, 'findOneAndUpdate', async (filter, { $set }) => ({ ...donation, ...$set }));
+
+    const result = await PaymentService.apply('mock', {
+      outcome: 'completed',
+      reference: 'DON-1',
+      transactionId: 'tx_1',
+      amount: 100,
+      currency: 'ngn'
+    }, { source: 'webhook' });
+
+    assert.equal(result.result, 'applied');
+    assert.equal(result.donation.status, 'completed');
+    assert.deepEqual(update.mock.calls[0].arguments[0], { _id: donation._id, status: 'pending' });
+    assert.equal(update.mock.calls[0].arguments[1].$set.transactionId, 'tx_1');
+    assert.equal(Donation.recalculateTotals.mock.callCount(), 1);
+    assert.equal(events.length, 1);
+    assert.equal(events[0].result, 'applied');
+  });
+
+  it('acknowledges a redelivered webhook as a duplicate without touching the donation', async () => {
+    PaymentEvent.exists.mock.mockImplementation(async () => ({ _id: 'seen' }));
+    const findOne = mock.method(Donation, 'findOne', async () => pendingDonation());
+
+    const result = await PaymentService.apply('mock', {
+      outcome: 'completed',
+      reference: 'DON-1',
+      transactionId: 'tx_1',
+      amount: 100
+    }, { source: 'webhook' });
+
+    assert.equal(result.result, 'duplicate');
+    assert.equal(findOne.mock.callCount(), 0);
+    assert.equal(events[0].result, 'duplicate');
+  });
+
+  it('changes nothing when another delivery moved the donation first', async () => {
+    mock.method(Donation, 'findOne', async () => pendingDonation());
+    mock.method(Donation, 'findOneAndUpdate', async () => null);
+
+    const result = await PaymentService.apply('mock', {
+      outcome: 'completed',
+      reference: 'DON-1',
+      transactionId: 'tx_2',
+      amount: 100,
+      currency: 'NGN'
+    }, { source: 'webhook' });
+
+    assert.equal(result.result, 'no_change');
+    assert.equal(Donation.recalculateTotals.mock.callCount(), 0);
+  });
+
+  it('does not complete an already completed donation again', async () => {
+    mock.method(Donation, 'findOne', async () => pendingDonation({ status: 'completed' }));
+    const update = mock.method(Donation, 'findOneAndUpdate', async () => null);
+
+    const result = await PaymentService.apply('mock', {
+      outcome: 'completed',
+      reference: 'DON-1',
+      transactionId: 'tx_3',
+      amount: 100
+    }, { source: 'verify' });
+
+    assert.equal(result.result, 'no_change');
+    assert.equal(update.mock.callCount(), 0);
+  });
+
+  it('refuses to complete a donation when the paid amount or currency differs', async () => {
+    mock.method(Donation, 'findOne', async () => pendingDonation());
+    const update = mock.method(Donation, 'findOneAndUpdate', async () => null);
+
+    const short = await PaymentService.apply('mock', {
+      outcome: 'completed',
+      reference: 'DON-1',
+      transactionId: 'tx_4',
+      amount: 10
+    }, { source: 'webhook' });
+    const otherCurrency = await PaymentService.apply('mock', {
+      outcome: 'completed',
+      reference: 'DON-1',
+      transactionId: 'tx_5',
+      amount: 100,
+      currency: 'USD'
+    }, { source: 'webhook' });
+
+    assert.equal(short.result, 'amount_mismatch');
+    assert.equal(otherCurrency.result, 'amount_mismatch');
+    assert.equal(update.mock.callCount(), 0);
+  });
+
+  it('refuses to complete a donation when the amount or currency is not reported', async () => {
+    mock.method(Donation, 'findOne', async () => pendingDonation());
+    const update = mock.method(Donation, 'findOneAndUpdate', async () => null);
+
+    const noAmount = await PaymentService.apply('mock', {
+      outcome: 'completed',
+      reference: 'DON-1',
+      transactionId: 'tx_6',
+      currency: 'NGN'
+    }, { source: 'webhook' });
+    const noCurrency = await PaymentService.apply('mock', {
+      outcome: 'completed',
+      reference: 'DON-1',
+      transactionId: 'tx_7',
+      amount: 100
+    }, { source: 'webhook' });
+
+    assert.equal(noAmount.result, 'amount_mismatch');
+    assert.equal(noCurrency.result, 'amount_mismatch');
+    assert.match(events[1].reason, /did not report/);
+    assert.equal(update.mock.callCount(), 0);
+  });
+
+  it('only matches donations whose checkout went through the notifying provider', async () => {
+    const findOne = mock.method(Donation, 'findOne', async (filter) => (filter.paymentProvider === 'paystack' ? pendingDonation() : null));
+
+    const result = await PaymentService.apply('mock', {
+      outcome: 'completed',
+      reference: 'DON-1',
+      transactionId: 'tx_8',
+      amount: 100,
+      currency: 'NGN'
+    }, { source: 'webhook' });
+
+    assert.equal(result.result, 'unmatched');
+    assert.deepEqual(findOne.mock.calls[0].arguments[0], { paymentReference: 'DON-1', paymentProvider: 'mock' });
+  });
+
+  it('records webhooks for unknown references as unmatched', async () => {
+    mock.method(Donation, 'findOne', async () => null);
+
+    const result = await PaymentService.apply('mock', { outcome: 'failed', reference: 'DON-X' }, { source: 'webhook' });
+
+    assert.equal(result.result, 'unmatched');
+  });
+});
+
+describe('PaymentService.handleWebhook', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('rejects a body that is not signed with the provider secret', async () => {
+    const { body } = mockProvider.settle('DON-2', 'completed');
+    const apply = mock.method(PaymentService, 'apply', async () => ({ success: true }));
+
+    const result = await PaymentService.handleWebhook('mock', body, { 'x-mock-signature': 'forged' });
+
+    assert.equal(result.status, 401);
+    assert.equal(apply.mock.callCount(), 0);
+  });
+
+  it('applies a correctly signed webhook', async () => {
+    const { body, headers } = mockProvider.settle('DON-3', 'completed', { amount: 100 });
+    const apply = mock.method(PaymentService, 'apply', async () => ({ success: true, result: 'applied' }));
+
+    const result = await PaymentService.handleWebhook('mock', body, headers);
+
+    assert.equal(result.result, 'applied');
+    const [provider, parsed, context] = apply.mock.calls[0].arguments;
+    assert.equal(provider, 'mock');
+    assert.equal(parsed.outcome, 'completed');
+    assert.equal(parsed.reference, 'DON-3');
+    assert.equal(context.source, 'webhook');
+  });
+});
+
+describe('mock payment provider', () => {
+  afterEach(() => {
+    process.env.MOCK_PAYMENT_SECRET = 'test_mock_secret';
+  });
+
+  it('is unavailable without MOCK_PAYMENT_SECRET', () => {
+    delete process.env.MOCK_PAYMENT_SECRET;
+
+    assert.equal(mockProvider.configured(), false);
+    assert.equal(mockProvider.verifySignature('{}', { 'x-mock-signature': '' }), false);
+  });
+});
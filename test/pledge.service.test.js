@@ -0,0 +1,167 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const PledgeService = require('../api/pledges/pledge.service');
+const Pledge = require('../api/models/Pledge');
+const Donation = require('../api/models/Donation');
+const ExchangeRateService = require('../api/fx/exchange.rate.service');
+
+const utc = (year, month, day) => new Date(Date.UTC(year, month - 1, day));
+
+describe('PledgeService.schedule', () => {
+  it('splits evenly in cents and gives the remainder to the last instalment', () => {
+    const plan = PledgeService.schedule({ totalAmount: 100, instalmentCount: 3, frequency: 'monthly', firstDueDate: '2025-01-31' });
+
+    assert.deepEqual(plan.instalments.map(item => item.amount), [33.33, 33.33, 33.34]);
+    assert.deepEqual(plan.instalments.map(item => item.dueDate), [utc(2025, 1, 31), utc(2025, 2, 28), utc(2025, 3, 31)]);
+    assert.deepEqual(plan.dueDate, utc(2025, 3, 31));
+  });
+
+  it('sorts given instalments and requires them to add up to the total', () => {
+    const plan = PledgeService.schedule({
+      totalAmount: 300,
+      instalments: [{ dueDate: '2025-06-01', amount: 200 }, { dueDate: '2025-03-01', amount: 100 }]
+    });
+
+    assert.deepEqual(plan.instalments.map(item => item.amount), [100, 200]);
+    assert.deepEqual(plan.dueDate, utc(2025, 6, 1));
+
+    const short = PledgeService.schedule({ totalAmount: 300, instalments: [{ dueDate: '2025-03-01', amount: 100 }] });
+    assert.match(short.error, /add up to 100, not the pledged 300/);
+  });
+
+  it('puts a single instalment on dueDate', () => {
+    const plan = PledgeService.schedule({ totalAmount: 50, dueDate: '2025-05-01' });
+
+    assert.deepEqual(plan.instalments, [{ dueDate: utc(2025, 5, 1), amount: 50 }]);
+  });
+
+  it('refuses schedules it cannot build', () => {
+    assert.ok(PledgeService.schedule({ totalAmount: 50 }).error);
+    assert.ok(PledgeService.schedule({ totalAmount: 50, instalmentCount: 0 }).error);
+    assert.ok(PledgeService.schedule({ totalAmount: 50, instalmentCount: PledgeService.MAX_INSTALMENTS + 1 }).error);
+    assert.ok(PledgeService.schedule({ totalAmount: 50, instalmentCount: 2, frequency: 'daily', firstDueDate: '2025-01-01' }).error);
+    assert.ok(PledgeService.schedule({ totalAmount: 50, instalmentCount: 2 }).error);
+    assert.match(PledgeService.schedule({ totalAmount: 0.02, instalmentCount: 3, firstDueDate: '2025-01-01' }).error, /too small/);
+    assert.ok(PledgeService.schedule({ totalAmount: 50, instalments: [{ dueDate: 'soon', amount: 50 }] }).error);
+  });
+});
+
+describe('PledgeService.allocate', () => {
+  const instalments = [
+    { dueDate: utc(2025, 1, 1), amount: 100 },
+    { dueDate: utc(2025, 2, 1), amount: 100 },
+    { dueDate: utc(2025, 3, 1), amount: 100 }
+  ];
+
+  it('fills instalments in due-date order and dates each by the donation that completed it', () => {
+    const { instalments: allocated, amountFulfilled, nextDueDate } = PledgeService.allocate(instalments, [
+      { amount: 60, donationDate: utc(2025, 1, 5) },
+      { amount: 90, donationDate: utc(2025, 1, 20) }
+    ]);
+
+    assert.equal(amountFulfilled, 150);
+    assert.deepEqual(allocated.map(item => item.paidAmount), [100, 50, 0]);
+    assert.deepEqual(allocated[0].paidAt, utc(2025, 1, 20));
+    assert.equal(allocated[1].paidAt, null);
+    assert.deepEqual(nextDueDate, utc(2025, 2, 1));
+  });
+
+  it('has no next due date once everything is paid', () => {
+    const result = PledgeService.allocate(instalments, [{ amount: 300, donationDate: utc(2025, 1, 5) }]);
+
+    assert.equal(result.nextDueDate, null);
+    assert.ok(result.instalments.every(item => item.paidAmount === item.amount));
+  });
+});
+
+describe('PledgeService.recalculate', () => {
+  let pledge;
+
+  const donations = (rows) => mock.method(Donation, 'find', () => ({
+    select() { return this; },
+    sort() { return this; },
+    lean: async () => rows
+  }));
+
+  beforeEach(() => {
+    pledge = {
+      _id: new mongoose.Types.ObjectId(),
+      campaign: new mongoose.Types.ObjectId(),
+      status: 'open',
+      totalAmount: 200,
+      instalments: [{ dueDate: utc(2025, 1, 1), amount: 100 }, { dueDate: utc(2025, 2, 1), amount: 100 }],
+      save: async () => pledge
+    };
+    mock.method(Pledge, 'findById', async () => pledge);
+    mock.method(PledgeService, 'updateCampaignTotals', async () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('marks the pledge fulfilled once completed donations reach the total', async () => {
+    donations([{ amount: 120, donationDate: utc(2025, 1, 1) }, { amount: 80, donationDate: utc(2025, 2, 1) }]);
+
+    await PledgeService.recalculate(pledge._id);
+
+    assert.equal(pledge.status, 'fulfilled');
+    assert.ok(pledge.fulfilledAt);
+    assert.equal(pledge.amountFulfilled, 200);
+    assert.equal(pledge.nextDueDate, null);
+    assert.equal(pledge.donationCount, 2);
+    assert.deepEqual(pledge.lastPaymentAt, utc(2025, 2, 1));
+    assert.equal(PledgeService.updateCampaignTotals.mock.calls[0].arguments[0], pledge.campaign);
+  });
+
+  it('reopens a fulfilled pledge when a refund takes it below the total', async () => {
+    Object.assign(pledge, { status: 'fulfilled', fulfilledAt: utc(2025, 2, 1) });
+    donations([{ amount: 200, refundedAmount: 50, donationDate: utc(2025, 1, 1) }]);
+
+    await PledgeService.recalculate(pledge._id);
+
+    assert.equal(pledge.status, 'open');
+    assert.equal(pledge.fulfilledAt, null);
+    assert.equal(pledge.amountFulfilled, 150);
+    assert.deepEqual(pledge.nextDueDate, utc(2025, 2, 1));
+  });
+
+  it('only counts completed donations', async () => {
+    const find = donations([]);
+
+    await PledgeService.recalculate(pledge._id);
+
+    assert.deepEqual(find.mock.calls[0].arguments[0], { pledge: pledge._id, status: 'completed' });
+    assert.equal(pledge.status, 'open');
+  });
+});
+
+describe('PledgeService.inBaseCurrency', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('converts amounts at the latest rate and leaves out currencies without one', async () => {
+    const campaign = new mongoose.Types.ObjectId();
+    mock.method(console, 'warn', () => {});
+    mock.method(ExchangeRateService, 'baseCurrencyOf', async () => 'NGN');
+    mock.method(ExchangeRateService, 'findRate', async (from) => ({ NGN: { rate: 1 }, USD: { rate: 1500 } })[from] || null);
+
+    const [row] = await PledgeService.inBaseCurrency([
+      { _id: { key: campaign, campaign, currency: 'NGN' }, totalPledged: 10000, count: 2 },
+      { _id: { key: campaign, campaign, currency: 'USD' }, totalPledged: 10, count: 1 },
+      { _id: { key: campaign, campaign, currency: 'EUR' }, totalPledged: 10, count: 1 }
+    ], ['totalPledged']);
+
+    assert.equal(row.totalPledged, 25000);
+    assert.equal(row.count, 3);
+    assert.equal(console.warn.mock.callCount(), 1);
+  });
+});
+
+describe('PledgeService.scope', () => {
+  it('limits donors to their pledges and agents to the pledges they took', () => {
+    assert.deepEqual(PledgeService.scope({ id: 'd1', role: 'donor' }), { donor: 'd1' });
+    assert.deepEqual(PledgeService.scope({ id: 'a1', role: 'agent' }), { agent: 'a1' });
+    assert.deepEqual(PledgeService.scope({ id: 'c1', role: 'corporate_agent' }), { agent: 'c1' });
+    assert.deepEqual(PledgeService.scope({ id: 'x1', role: 'admin' }), {});
+  });
+});
@@ -0,0 +1,177 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const ProfitSharing = require('../api/profit_sharing/profit.sharing');
+const ProfitDistribution = require('../api/models/ProfitDistribution');
+const DrawCommitment = require('../api/models/DrawCommitment');
+const Season = require('../api/models/Season');
+
+const HOUR_MS = 60 * 60 * 1000;
+const goalReachedAt = new Date('2025-06-01T12:00:00Z');
+
+const donorIds = Array.from({ length: 12 }, () => new mongoose.Types.ObjectId());
+const pool = donorIds.map(donorId => ({ donorId }));
+
+// A stored distribution as execute() persists it
+const storedDistribution = (seasonId, reveal, count = 5) => {
+  const seed = ProfitSharing.deriveSeed(seasonId, reveal);
+  const canonical = ProfitSharing.canonicalizePool(pool);
+
+  return {
+    season: seasonId,
+    draw: {
+      algorithm: ProfitSharing.DRAW_ALGORITHM,
+      commitment: ProfitSharing.sha256(reveal),
+      reveal,
+      seed,
+      poolHash: ProfitSharing.hashPool(canonical),
+      pool: canonical.map(d => ({ donor: d.donorId })),
+      order: ProfitSharing.selectRandomDonors(pool, seed, count).map(d => d.donorId),
+      committedAt: new Date(goalReachedAt.getTime() - 24 * HOUR_MS)
+    }
+  };
+};
+
+const lean = (value) => ({ select: () => ({ lean: async () => value }), lean: async () => value });
+
+const serve = (distribution) => {
+  mock.method(ProfitDistribution, 'findOne', () => lean(distribution));
+  mock.method(Season, 'findById', () => lean({ goalReachedAt, closedAt: null, endDate: new Date('2025-12-31T00:00:00Z') }));
+};
+
+describe('ProfitSharing.selectRandomDonors', () => {
+  it('draws the same donors for the same seed whatever order the pool arrives in', () => {
+    const seed = ProfitSharing.deriveSeed('season', 'reveal');
+    const first = ProfitSharing.selectRandomDonors(pool, seed, 5).map(d => String(d.donorId));
+    const shuffledPool = [...pool].reverse();
+    const second = ProfitSharing.selectRandomDonors(shuffledPool, seed, 5).map(d => String(d.donorId));
+
+    assert.equal(first.length, 5);
+    assert.deepEqual(second, first);
+    assert.notDeepEqual(
+      ProfitSharing.selectRandomDonors(pool, ProfitSharing.deriveSeed('season', 'other'), 5).map(d => String(d.donorId)),
+      first
+    );
+  });
+});
+
+describe('ProfitSharing.verifyDraw', () => {
+  const seasonId = new mongoose.Types.ObjectId();
+
+  afterEach(() => mock.restoreAll());
+
+  it('verifies a stored draw by replaying it', async () => {
+    serve(storedDistribution(seasonId, 'a1b2c3'));
+
+    const result = await ProfitSharing.verifyDraw(seasonId);
+
+    assert.equal(result.success, true);
+    assert.equal(result.verified, true);
+    assert.deepEqual(Object.values(result.checks), [true, true, true, true, true]);
+    assert.deepEqual(result.draw.poolClosedAt, goalReachedAt);
+  });
+
+  it('fails when the stored winners were changed', async () => {
+    const distribution = storedDistribution(seasonId, 'a1b2c3');
+    const outsider = donorIds.find(id => !distribution.draw.order.some(winner => winner.equals(id)));
+    distribution.draw.order[0] = outsider;
+    serve(distribution);
+
+    const result = await ProfitSharing.verifyDraw(seasonId);
+
+    assert.equal(result.verified, false);
+    assert.equal(result.checks.winnersMatch, false);
+    assert.equal(result.checks.seedMatchesReveal, true);
+  });
+
+  it('fails when the reveal does not match the commitment or seed', async () => {
+    const distribution = storedDistribution(seasonId, 'a1b2c3');
+    distribution.draw.reveal = 'chosen-later';
+    serve(distribution);
+
+    const result = await ProfitSharing.verifyDraw(seasonId);
+
+    assert.equal(result.verified, false);
+    assert.equal(result.checks.commitmentMatchesReveal, false);
+    assert.equal(result.checks.seedMatchesReveal, false);
+  });
+
+  it('fails when a donor was dropped from the stored pool', async () => {
+    const distribution = storedDistribution(seasonId, 'a1b2c3');
+    const loser = distribution.draw.pool.find(p => !distribution.draw.order.some(winner => winner.equals(p.donor)));
+    distribution.draw.pool = distribution.draw.pool.filter(p => p !== loser);
+    serve(distribution);
+
+    const result = await ProfitSharing.verifyDraw(seasonId);
+
+    assert.equal(result.verified, false);
+    assert.equal(result.checks.poolHashMatches, false);
+  });
+
+  it('fails a consistent draw that was committed after the season reached its goal', async () => {
+    const distribution = storedDistribution(seasonId, 'a1b2c3');
+    distribution.draw.committedAt = new Date(goalReachedAt.getTime() + HOUR_MS);
+    serve(distribution);
+
+    const result = await ProfitSharing.verifyDraw(seasonId);
+
+    assert.equal(result.verified, false);
+    assert.equal(result.checks.committedBeforeClose, false);
+    assert.equal(result.checks.winnersMatch, true);
+  });
+
+  it('reports a season without a distribution', async () => {
+    serve(null);
+
+    const result = await ProfitSharing.verifyDraw(seasonId);
+
+    assert.equal(result.success, false);
+  });
+});
+
+describe('ProfitSharing.commitDraw', () => {
+  const season = (fields) => ({
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Season 1',
+    goalReachedAt: null,
+    closedAt: null,
+    endDate: new Date(Date.now() + 30 * 24 * HOUR_MS),
+    ...fields
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const stubCommit = (found) => {
+    mock.method(Season, 'findById', () => lean(found));
+    mock.method(ProfitDistribution, 'exists', async () => null);
+    mock.method(DrawCommitment, 'exists', async () => null);
+    return mock.method(DrawCommitment, 'create', async (doc) => ({ ...doc, committedAt: new Date() }));
+  };
+
+  it('accepts a commitment while the season is open', async () => {
+    const create = stubCommit(season());
+
+    const result = await ProfitSharing.commitDraw(new mongoose.Types.ObjectId(), 'f'.repeat(64));
+
+    assert.equal(result.success, true);
+    assert.equal(create.mock.calls[0].arguments[0].commitment, 'f'.repeat(64));
+  });
+
+  it('refuses a commitment once the season reached its goal, closed or ended', async () => {
+    for (const closed of [
+      { goalReachedAt: new Date(Date.now() - HOUR_MS) },
+      { closedAt: new Date(Date.now() - HOUR_MS) },
+      { endDate: new Date(Date.now() - HOUR_MS) }
+    ]) {
+      const create = stubCommit(season(closed));
+
+      const result = await ProfitSharing.commitDraw(new mongoose.Types.ObjectId(), 'f'.repeat(64));
+
+      assert.equal(result.success, false);
+      assert.match(result.error, /reaches its goal or ends/);
+      assert.equal(create.mock.callCount(), 0);
+      mock.restoreAll();
+    }
+  });
+});
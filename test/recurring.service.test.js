@@ -0,0 +1,216 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const RecurringService = require('../api/recurring/recurring.service');
+const RecurringPlan = require('../api/models/RecurringPlan');
+const Donor = require('../api/models/Donor');
+const Campaign = require('../api/models/Campaign');
+const PaymentService = require('../api/payments/payment.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const utc = (year, month, day) => new Date(Date.UTC(year, month - 1, day));
+
+describe('RecurringService.nextDate', () => {
+  it('keeps a month-end anchor through short months', () => {
+    const february = RecurringService.nextDate(utc(2024, 1, 31), 'monthly', 31);
+    const march = RecurringService.nextDate(february, 'monthly', 31);
+    const april = RecurringService.nextDate(march, 'monthly', 31);
+
+    assert.deepEqual(february, utc(2024, 2, 29));
+    assert.deepEqual(march, utc(2024, 3, 31));
+    assert.deepEqual(april, utc(2024, 4, 30));
+  });
+
+  it('clamps quarterly and annual plans to the last day of the month', () => {
+    assert.deepEqual(RecurringService.nextDate(utc(2024, 11, 30), 'quarterly', 30), utc(2025, 2, 28));
+    assert.deepEqual(RecurringService.nextDate(utc(2024, 2, 29), 'annually', 29), utc(2025, 2, 28));
+    assert.deepEqual(RecurringService.nextDate(utc(2025, 2, 28), 'annually', 29), utc(2026, 2, 28));
+  });
+
+  it('adds seven days for weekly plans', () => {
+    assert.deepEqual(RecurringService.nextDate(utc(2024, 12, 28), 'weekly', 28), utc(2025, 1, 4));
+  });
+});
+
+describe('RecurringService.create', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('refuses a startDate before today so missed periods are never charged', async () => {
+    const findDonor = mock.method(Donor, 'findById', () => ({ select: () => ({ lean: async () => null }) }));
+    const create = mock.method(RecurringPlan, 'create', async (doc) => doc);
+    const donor = { id: String(new mongoose.Types.ObjectId()), role: 'donor' };
+
+    const result = await RecurringService.create(
+      { campaign: new mongoose.Types.ObjectId(), amount: 5000, frequency: 'monthly', startDate: '2025-03-09T23:59:00Z' },
+      donor,
+      { now: utc(2025, 3, 10) }
+    );
+
+    assert.equal(result.status, 400);
+    assert.match(result.error, /startDate/);
+    assert.equal(findDonor.mock.callCount(), 0);
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it('accepts a startDate earlier today', async () => {
+    mock.method(Donor, 'findById', () => ({ select: () => ({ lean: async () => null }) }));
+    mock.method(Campaign, 'findById', () => ({ select: () => ({ lean: async () => null }) }));
+
+    const result = await RecurringService.create(
+      { campaign: new mongoose.Types.ObjectId(), amount: 5000, frequency: 'monthly', startDate: '2025-03-10T01:00:00Z' },
+      { id: String(new mongoose.Types.ObjectId()), role: 'donor' },
+      { now: new Date('2025-03-10T15:00:00Z') }
+    );
+
+    // Past the date check, on to the donor lookup
+    assert.equal(result.error, 'Donor not found');
+  });
+});
+
+describe('RecurringService.fail', () => {
+  const now = utc(2025, 3, 10);
+  const donation = { _id: new mongoose.Types.ObjectId() };
+  let updates;
+
+  const plan = (fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    donor: new mongoose.Types.ObjectId(),
+    amount: 5000,
+    currency: 'NGN',
+    frequency: 'monthly',
+    anchorDay: 31,
+    dueDate: utc(2025, 1, 31),
+    failedAttempts: 0,
+    paymentToken: 'tok_saved',
+    ...fields
+  });
+
+  beforeEach(() => {
+    updates = [];
+    mock.method(RecurringPlan, 'updateOne', async (filter, update) => {
+      updates.push({ filter, update });
+      return { modifiedCount: 1 };
+    });
+    mock.method(RecurringService, 'notify', async () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('marks the plan past due and schedules each retry from RETRY_DAYS', async () => {
+    for (const [index, days] of RecurringService.RETRY_DAYS.entries()) {
+      await RecurringService.fail(plan({ failedAttempts: index }), donation, 'card_declined', now);
+
+      const { $set, $push } = updates[index].update;
+      assert.equal($set.status, 'past_due');
+      assert.equal($set.failedAttempts, index + 1);
+      assert.deepEqual($set.nextRunAt, new Date(now.getTime() + days * DAY_MS));
+      assert.equal($push.events.type, 'charge_failed');
+    }
+
+    assert.equal(RecurringService.notify.mock.callCount(), RecurringService.RETRY_DAYS.length);
+    assert.match(RecurringService.notify.mock.calls[0].arguments[1], /payment failed/);
+  });
+
+  it('pauses the plan, moves to the next installment and drops the card once retries run out', async () => {
+    const failing = plan({ failedAttempts: RecurringService.RETRY_DAYS.length });
+
+    await RecurringService.fail(failing, donation, 'card_declined', now);
+
+    const { filter, update: { $set, $push } } = updates[0];
+    assert.deepEqual(filter, { _id: failing._id });
+    assert.equal($set.status, 'paused');
+    assert.equal($set.pausedReason, 'payment_failed');
+    assert.deepEqual($set.dueDate, utc(2025, 2, 28));
+    assert.deepEqual($set.nextRunAt, utc(2025, 2, 28));
+    assert.equal($set.failedAttempts, 0);
+    assert.equal($set.paymentToken, null);
+    assert.deepEqual($push.events.map(event => event.type), ['charge_failed', 'paused']);
+    assert.match(RecurringService.notify.mock.calls[0].arguments[1], /paused/);
+  });
+});
+
+describe('RecurringService.run charging a saved token', () => {
+  const now = utc(2025, 3, 10);
+  let plan;
+  let donation;
+  let updates;
+
+  const lean = (value) => ({ select: () => ({ lean: async () => value }) });
+
+  beforeEach(() => {
+    plan = {
+      _id: new mongoose.Types.ObjectId(),
+      donor: new mongoose.Types.ObjectId(),
+      campaign: new mongoose.Types.ObjectId(),
+      amount: 5000,
+      currency: 'NGN',
+      frequency: 'monthly',
+      anchorDay: 10,
+      dueDate: now,
+      endDate: null,
+      failedAttempts: 0,
+      lastFailureReason: null,
+      paymentProvider: 'mock',
+      paymentToken: 'tok_saved'
+    };
+    donation = { _id: new mongoose.Types.ObjectId(), status: 'pending' };
+    updates = [];
+
+    mock.method(RecurringPlan, 'findOneAndUpdate', () => ({ select: async () => plan }));
+    mock.method(RecurringPlan, 'updateOne', async (filter, update) => {
+      updates.push(update);
+      return { modifiedCount: 1 };
+    });
+    mock.method(Campaign, 'findById', () => lean({ status: 'active' }));
+    mock.method(Donor, 'findById', () => lean({ email: 'donor@example.com', isActive: true, deletedAt: null }));
+    mock.method(RecurringService, 'installmentFor', async () => donation);
+    mock.method(RecurringService, 'notify', async () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('counts a decline from the provider as a dunning attempt and emails the donor', async () => {
+    mock.method(PaymentService, 'charge', async () => ({ success: true, result: 'applied', outcome: 'failed', reason: 'insufficient_funds' }));
+
+    assert.equal(await RecurringService.run(plan._id, { now }), 'failed');
+
+    assert.equal(updates[0].$set.status, 'past_due');
+    assert.equal(updates[0].$set.failedAttempts, 1);
+    assert.equal(RecurringService.notify.mock.callCount(), 1);
+  });
+
+  it('retries a charge that failed on our side without dunning or emailing the donor', async () => {
+    mock.method(PaymentService, 'charge', async () => ({ success: false, status: 409, error: 'Donation is no longer awaiting payment' }));
+
+    assert.equal(await RecurringService.run(plan._id, { now }), 'retrying');
+
+    const { $set, $push } = updates[0];
+    assert.equal($set.lastFailureReason, 'Donation is no longer awaiting payment');
+    assert.equal($set.status, undefined);
+    assert.equal($set.failedAttempts, undefined);
+    assert.equal($set.nextRunAt, undefined);
+    assert.equal($push.events.type, 'charge_error');
+    assert.equal(RecurringService.notify.mock.callCount(), 0);
+    assert.equal(console.error.mock.callCount(), 1);
+  });
+
+  it('retries a payment that went through but could not be applied', async () => {
+    mock.method(PaymentService, 'charge', async () => ({ success: true, result: 'amount_mismatch', outcome: 'completed', donation }));
+
+    assert.equal(await RecurringService.run(plan._id, { now }), 'retrying');
+
+    assert.match(updates[0].$set.lastFailureReason, /amount_mismatch/);
+    assert.equal(RecurringService.notify.mock.callCount(), 0);
+  });
+
+  it('does not add another event while the same error repeats', async () => {
+    plan.lastFailureReason = 'Payment provider \'mock\' cannot charge saved payment methods';
+    mock.method(PaymentService, 'charge', async () => ({ success: false, status: 400, error: plan.lastFailureReason }));
+
+    await RecurringService.run(plan._id, { now });
+
+    assert.equal(updates[0].$push, undefined);
+  });
+});
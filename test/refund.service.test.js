@@ -0,0 +1,145 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const RefundService = require('../api/refunds/refund.service');
+const Refund = require('../api/models/Refund');
+const Donation = require('../api/models/Donation');
+
+const completedDonation = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  donor: new mongoose.Types.ObjectId(),
+  campaign: new mongoose.Types.ObjectId(),
+  season: null,
+  status: 'completed',
+  amount: 100,
+  currency: 'NGN',
+  exchangeRate: 1,
+  refundedAmount: 0,
+  pendingRefundAmount: 0,
+  paymentProvider: null,
+  ...fields
+});
+
+describe('RefundService.refundable', () => {
+  it('leaves out what is refunded and what pending refunds hold', () => {
+    assert.equal(RefundService.refundable(completedDonation()), 100);
+    assert.equal(RefundService.refundable(completedDonation({ refundedAmount: 30, pendingRefundAmount: 20.5 })), 49.5);
+    assert.equal(RefundService.refundable(completedDonation({ refundedAmount: undefined, pendingRefundAmount: undefined })), 100);
+  });
+});
+
+describe('RefundService.create', () => {
+  let donation;
+
+  beforeEach(() => {
+    donation = completedDonation({ refundedAmount: 30, pendingRefundAmount: 20 });
+    mock.method(Donation, 'findById', async () => donation);
+    mock.method(Donation, 'findOneAndUpdate', async () => donation);
+    mock.method(Donation, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(Refund, 'create', async (doc) => ({ _id: new mongoose.Types.ObjectId(), ...doc }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('refuses more than is left after refunds and holds', async () => {
+    const result = await RefundService.create(donation._id, { amount: 60, method: 'manual' });
+
+    assert.equal(result.status, 400);
+    assert.equal(result.refundable, 50);
+    assert.equal(Donation.findOneAndUpdate.mock.callCount(), 0);
+    assert.equal(Refund.create.mock.callCount(), 0);
+  });
+
+  it('refuses refunds of donations that are not completed', async () => {
+    donation.status = 'pending';
+
+    const result = await RefundService.create(donation._id, { amount: 10 });
+
+    assert.equal(result.status, 400);
+    assert.equal(Refund.create.mock.callCount(), 0);
+  });
+
+  it('returns 409 without creating a refund when the hold cannot be placed', async () => {
+    Donation.findOneAndUpdate.mock.mockImplementation(async () => null);
+
+    const result = await RefundService.create(donation._id, { amount: 50, method: 'manual' });
+
+    assert.equal(result.status, 409);
+    assert.equal(Refund.create.mock.callCount(), 0);
+
+    const [filter, update] = Donation.findOneAndUpdate.mock.calls[0].arguments;
+    assert.equal(filter.status, 'completed');
+    assert.ok(filter.$expr);
+    assert.deepEqual(update, { $inc: { pendingRefundAmount: 50 } });
+  });
+
+  it('releases the hold when the refund cannot be saved', async () => {
+    Refund.create.mock.mockImplementation(async () => { throw new Error('write failed'); });
+
+    await assert.rejects(RefundService.create(donation._id, { amount: 25, method: 'manual' }), /write failed/);
+
+    const [filter, update] = Donation.updateOne.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: donation._id });
+    assert.deepEqual(update, { $inc: { pendingRefundAmount: -25 } });
+  });
+});
+
+describe('RefundService.applyToDonation', () => {
+  let donation;
+
+  beforeEach(() => {
+    donation = completedDonation({ pendingRefundAmount: 40 });
+    mock.method(Donation, 'findById', async () => donation);
+    mock.method(Donation, 'recalculateTotals', async () => {});
+    mock.method(Refund, 'aggregate', async () => [{ _id: null, total: 40 }]);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('releases the hold and records the refunded amount', async () => {
+    const update = mock.method(Donation, 'findOneAndUpdate', async (filter, { $set }) => ({ ...donation, ...$set }));
+
+    const result = await RefundService.applyToDonation(donation._id, 40);
+
+    assert.equal(result.success, true);
+    assert.equal(result.donation.refundedAmount, 40);
+    assert.equal(result.donation.status, 'completed');
+
+    const [filter, changes] = update.mock.calls[0].arguments;
+    assert.deepEqual(filter.refundedAmount, { $in: [0, null] });
+    assert.deepEqual(changes.$inc, { pendingRefundAmount: -40 });
+    assert.equal(Donation.recalculateTotals.mock.callCount(), 1);
+  });
+
+  it('marks the donation refunded once nothing is left', async () => {
+    Refund.aggregate.mock.mockImplementation(async () => [{ _id: null, total: 100 }]);
+    mock.method(Donation, 'findOneAndUpdate', async (filter, { $set }) => ({ ...donation, ...$set }));
+
+    const result = await RefundService.applyToDonation(donation._id, 60);
+
+    assert.equal(result.donation.status, 'refunded');
+  });
+
+  it('calculates again when the donation changed before the write', async () => {
+    let calls = 0;
+    mock.method(Donation, 'findOneAndUpdate', async (filter, { $set }) => (++calls < 3 ? null : { ...donation, ...$set }));
+
+    const result = await RefundService.applyToDonation(donation._id, 40);
+
+    assert.equal(result.success, true);
+    assert.equal(Donation.findById.mock.callCount(), 3);
+    assert.equal(Refund.aggregate.mock.callCount(), 3);
+  });
+
+  it('gives up with 409 after APPLY_ATTEMPTS without touching the totals', async () => {
+    mock.method(Donation, 'findOneAndUpdate', async () => null);
+
+    const result = await RefundService.applyToDonation(donation._id, 40);
+
+    assert.equal(result.success, false);
+    assert.equal(result.status, 409);
+    assert.equal(Donation.findOneAndUpdate.mock.callCount(), RefundService.APPLY_ATTEMPTS);
+    assert.equal(Donation.recalculateTotals.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,162 @@
+const { describe, it, before, beforeEach, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const TokenService = require('../api/auth/token.service');
+const RefreshToken = require('../api/models/RefreshToken');
+const Donor = require('../api/models/Donor');
+
+const savedSecret = process.env.JWT_SECRET;
+
+const restoreSecret = () => {
+  if (savedSecret === undefined) delete process.env.JWT_SECRET;
+  else process.env.JWT_SECRET = savedSecret;
+};
+
+describe('TokenService secret', () => {
+  afterEach(restoreSecret);
+
+  it('refuses to start or sign tokens without JWT_SECRET', () => {
+    delete process.env.JWT_SECRET;
+
+    assert.throws(() => TokenService.assertConfigured(), /JWT_SECRET/);
+    assert.throws(() => TokenService.signAccessToken({ _id: new mongoose.Types.ObjectId() }, 'admin'), /JWT_SECRET/);
+  });
+
+  it('rejects tokens signed with the old default secret', async () => {
+    process.env.JWT_SECRET = 'ftt_secret_key';
+    const forged = TokenService.signAccessToken({ _id: new mongoose.Types.ObjectId(), role: 'super_admin' }, 'admin');
+
+    process.env.JWT_SECRET = 'deployment_secret';
+    const result = await TokenService.verifyAccessToken(forged);
+
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'Invalid token');
+  });
+});
+
+describe('TokenService.rotate', () => {
+  const presented = 'presented-refresh-token';
+  let record;
+  let donor;
+
+  before(() => { process.env.JWT_SECRET = 'test_secret'; });
+  after(restoreSecret);
+
+  beforeEach(() => {
+    donor = { _id: new mongoose.Types.ObjectId(), isActive: true, tokenVersion: 0 };
+    record = {
+      _id: new mongoose.Types.ObjectId(),
+      account: donor._id,
+      accountModel: 'Donor',
+      tokenHash: TokenService.hash(presented),
+      family: 'family-1',
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      revokedAt: null,
+      revokedReason: null
+    };
+
+    mock.method(RefreshToken, 'findOne', async () => record);
+    mock.method(RefreshToken, 'findOneAndUpdate', async () => ({ ...record, revokedAt: new Date(), revokedReason: 'rotated' }));
+    mock.method(RefreshToken, 'create', async (doc) => ({ _id: new mongoose.Types.ObjectId(), ...doc }));
+    mock.method(RefreshToken, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(RefreshToken, 'updateMany', async () => ({ modifiedCount: 2 }));
+    mock.method(Donor, 'findById', async () => donor);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('retires the presented token and issues a new one in the same family', async () => {
+    const result = await TokenService.rotate(presented);
+
+    assert.equal(result.success, true);
+    assert.equal(result.role, 'donor');
+    assert.notEqual(result.refreshToken, presented);
+
+    const [claimFilter, claim] = RefreshToken.findOneAndUpdate.mock.calls[0].arguments;
+    assert.deepEqual(claimFilter, { _id: record._id, revokedAt: null });
+    assert.equal(claim.$set.revokedReason, 'rotated');
+
+    const [issued] = RefreshToken.create.mock.calls[0].arguments;
+    assert.equal(issued.family, 'family-1');
+    assert.equal(issued.tokenHash, TokenService.hash(result.refreshToken));
+
+    const [linkFilter, link] = RefreshToken.updateOne.mock.calls[0].arguments;
+    assert.deepEqual(linkFilter, { _id: record._id });
+    assert.deepEqual(link, { replacedBy: result.record._id });
+    assert.equal(RefreshToken.updateMany.mock.callCount(), 0);
+  });
+
+  it('revokes the whole family when a rotated token is presented again', async () => {
+    Object.assign(record, { revokedAt: new Date(), revokedReason: 'rotated' });
+
+    const result = await TokenService.rotate(presented);
+
+    assert.equal(result.success, false);
+    assert.equal(RefreshToken.create.mock.callCount(), 0);
+
+    const [filter, update] = RefreshToken.updateMany.mock.calls[0].arguments;
+    assert.deepEqual(filter, { family: 'family-1', revokedAt: null });
+    assert.equal(update.$set.revokedReason, 'reuse_detected');
+  });
+
+  it('refuses a token revoked at logout without touching the family again', async () => {
+    Object.assign(record, { revokedAt: new Date(), revokedReason: 'logout' });
+
+    const result = await TokenService.rotate(presented);
+
+    assert.equal(result.success, false);
+    assert.equal(RefreshToken.updateMany.mock.callCount(), 0);
+  });
+
+  it('refuses expired tokens and unknown tokens', async () => {
+    record.expiresAt = new Date(Date.now() - 1000);
+    assert.equal((await TokenService.rotate(presented)).error, 'Refresh token has expired');
+
+    RefreshToken.findOne.mock.mockImplementation(async () => null);
+    assert.equal((await TokenService.rotate('unknown')).error, 'Invalid refresh token');
+
+    assert.equal(RefreshToken.create.mock.callCount(), 0);
+  });
+
+  it('revokes the family of a deactivated account', async () => {
+    donor.isActive = false;
+
+    const result = await TokenService.rotate(presented);
+
+    assert.equal(result.success, false);
+    assert.equal(RefreshToken.updateMany.mock.calls[0].arguments[1].$set.revokedReason, 'deactivated');
+    assert.equal(RefreshToken.create.mock.callCount(), 0);
+  });
+
+  it('issues nothing when a concurrent request rotated the token first', async () => {
+    RefreshToken.findOneAndUpdate.mock.mockImplementation(async () => null);
+
+    const result = await TokenService.rotate(presented);
+
+    assert.equal(result.success, false);
+    assert.equal(RefreshToken.create.mock.callCount(), 0);
+  });
+});
+
+describe('TokenService.revokeAll', () => {
+  before(() => { process.env.JWT_SECRET = 'test_secret'; });
+  after(restoreSecret);
+  afterEach(() => mock.restoreAll());
+
+  it('revokes refresh tokens and invalidates access tokens already issued', async () => {
+    const donor = { _id: new mongoose.Types.ObjectId(), isActive: true, tokenVersion: 0 };
+    const token = TokenService.signAccessToken(donor, 'donor');
+    const bump = mock.method(Donor, 'updateOne', async () => { donor.tokenVersion += 1; });
+    const revoke = mock.method(RefreshToken, 'updateMany', async () => ({ modifiedCount: 3 }));
+    mock.method(Donor, 'findById', () => ({ select: () => ({ lean: async () => donor }) }));
+
+    assert.equal(await TokenService.revokeAll(donor._id, 'donor'), 3);
+
+    assert.deepEqual(bump.mock.calls[0].arguments[1], { $inc: { tokenVersion: 1 } });
+    assert.deepEqual(revoke.mock.calls[0].arguments[0], { account: donor._id, accountModel: 'Donor', revokedAt: null });
+
+    const result = await TokenService.verifyAccessToken(token);
+    assert.equal(result.error, 'Token revoked');
+  });
+});
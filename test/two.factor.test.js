@@ -0,0 +1,134 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const totp = require('../api/auth/totp');
+const TwoFactorService = require('../api/auth/two.factor.service');
+
+// RFC 6238 appendix B secret ("12345678901234567890")
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+const STEP_MS = totp.STEP_SECONDS * 1000;
+
+describe('totp', () => {
+  it('produces the RFC 6238 SHA-1 test vectors', () => {
+    assert.equal(totp.codeAt(RFC_SECRET, totp.stepAt(59 * 1000)), '287082');
+    assert.equal(totp.codeAt(RFC_SECRET, totp.stepAt(1111111109 * 1000)), '081804');
+    assert.equal(totp.codeAt(RFC_SECRET, totp.stepAt(2000000000 * 1000)), '279037');
+  });
+
+  it('round-trips base32 secrets', () => {
+    const bytes = Buffer.from('12345678901234567890');
+    assert.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    assert.deepEqual(totp.base32Decode(RFC_SECRET.toLowerCase().replace(/(.{4})/g, '$1 ')), bytes);
+  });
+
+  it('accepts codes one step either side and refuses older or newer ones', () => {
+    const time = 1111111109 * 1000;
+    const step = totp.stepAt(time);
+
+    assert.equal(totp.verify(RFC_SECRET, totp.codeAt(RFC_SECRET, step), { time }), step);
+    assert.equal(totp.verify(RFC_SECRET, totp.codeAt(RFC_SECRET, step - 1), { time }), step - 1);
+    assert.equal(totp.verify(RFC_SECRET, totp.codeAt(RFC_SECRET, step + 1), { time }), step + 1);
+    assert.equal(totp.verify(RFC_SECRET, totp.codeAt(RFC_SECRET, step - 2), { time }), null);
+    assert.equal(totp.verify(RFC_SECRET, totp.codeAt(RFC_SECRET, step + 2), { time }), null);
+  });
+
+  it('refuses steps at or before afterStep so a code cannot be replayed', () => {
+    const time = 1111111109 * 1000;
+    const step = totp.stepAt(time);
+    const code = totp.codeAt(RFC_SECRET, step);
+
+    assert.equal(totp.verify(RFC_SECRET, code, { time, afterStep: step }), null);
+    assert.equal(totp.verify(RFC_SECRET, totp.codeAt(RFC_SECRET, step - 1), { time, afterStep: step - 1 }), null);
+    assert.equal(totp.verify(RFC_SECRET, code, { time, afterStep: step - 1 }), step);
+  });
+
+  it('refuses anything that is not six digits', () => {
+    for (const code of ['', null, '12345', '1234567', 'abcdef', '12 34 5x']) {
+      assert.equal(totp.verify(RFC_SECRET, code), null);
+    }
+  });
+});
+
+describe('TwoFactorService.verify', () => {
+  const savedSecret = process.env.JWT_SECRET;
+  let account;
+
+  // Stands in for the account model; verify() reaches it via account.constructor
+  class Account {
+    static updateOne() {}
+  }
+
+  before(() => { process.env.JWT_SECRET = 'test_secret'; });
+  after(() => {
+    if (savedSecret === undefined) delete process.env.JWT_SECRET;
+    else process.env.JWT_SECRET = savedSecret;
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  beforeEach(() => {
+    account = Object.assign(new Account(), {
+      _id: new mongoose.Types.ObjectId(),
+      twoFactor: {
+        enabled: true,
+        secret: TwoFactorService.encrypt(RFC_SECRET),
+        lastUsedStep: null,
+        backupCodes: [TwoFactorService.hashBackupCode('abcd-1234')]
+      }
+    });
+  });
+
+  const currentCode = () => totp.codeAt(RFC_SECRET, totp.stepAt());
+
+  it('accepts a current code and claims its step', async () => {
+    const claim = mock.method(Account, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    assert.equal(await TwoFactorService.verify(account, { code: currentCode() }), 'totp');
+
+    const [filter, update] = claim.mock.calls[0].arguments;
+    assert.deepEqual(filter.$or[1], { 'twoFactor.lastUsedStep': { $lt: update.$set['twoFactor.lastUsedStep'] } });
+    assert.equal(update.$set['twoFactor.lastUsedStep'], totp.stepAt());
+  });
+
+  it('refuses a code from a step that was already used', async () => {
+    const claim = mock.method(Account, 'updateOne', async () => ({ modifiedCount: 1 }));
+    account.twoFactor.lastUsedStep = totp.stepAt();
+
+    assert.equal(await TwoFactorService.verify(account, { code: currentCode() }), null);
+    assert.equal(claim.mock.callCount(), 0);
+  });
+
+  it('refuses the code when a concurrent request claimed the step first', async () => {
+    mock.method(Account, 'updateOne', async () => ({ modifiedCount: 0 }));
+
+    assert.equal(await TwoFactorService.verify(account, { code: currentCode() }), null);
+  });
+
+  it('refuses codes from outside the drift window', async () => {
+    const claim = mock.method(Account, 'updateOne', async () => ({ modifiedCount: 1 }));
+    const stale = totp.codeAt(RFC_SECRET, totp.stepAt(Date.now() - 3 * STEP_MS));
+
+    assert.equal(await TwoFactorService.verify(account, { code: stale }), null);
+    assert.equal(claim.mock.callCount(), 0);
+  });
+
+  it('consumes a backup code once, ignoring case and separators', async () => {
+    const consume = mock.method(Account, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    assert.equal(await TwoFactorService.verify(account, { backupCode: 'ABCD 1234' }), 'backup_code');
+
+    const [filter, update] = consume.mock.calls[0].arguments;
+    assert.equal(filter['twoFactor.backupCodes'], TwoFactorService.hashBackupCode('abcd-1234'));
+    assert.deepEqual(update, { $pull: { 'twoFactor.backupCodes': filter['twoFactor.backupCodes'] } });
+
+    consume.mock.mockImplementation(async () => ({ modifiedCount: 0 }));
+    assert.equal(await TwoFactorService.verify(account, { backupCode: 'abcd-1234' }), null);
+  });
+
+  it('refuses everything when two-factor is not enabled', async () => {
+    account.twoFactor.enabled = false;
+
+    assert.equal(await TwoFactorService.verify(account, { code: currentCode() }), null);
+  });
+});